@@ -0,0 +1,14 @@
+-- Import de tout l'historique WhatsApp d'un contact (services/historyBackfill.js)
+-- Lancé automatiquement à la création d'une conversation (premier lien numéro / véhicule), une fois le premier
+-- message enregistré, ou à la demande;
+-- les messages antérieurs au lancement de l'application sont importés avec leur date d'origine.
+-- À exécuter après create_history_sync_tables.sql
+
+-- 'pending' (en attente de WhatsApp connecté) | 'running' | 'completed' | 'partial' (limité à
+-- HISTORY_BACKFILL_MAX_MESSAGES, history_backfilled_at reste vide) | 'failed'
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS history_backfill_status VARCHAR;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS history_backfilled_at TIMESTAMPTZ;   -- historique complet importé
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS history_backfill_count INTEGER;      -- messages importés
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS history_backfill_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_history_backfill ON conversations(history_backfill_status);
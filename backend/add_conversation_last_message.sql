@@ -0,0 +1,60 @@
+-- Filtre "lu sans réponse" de la liste des conversations (GET /api/conversations?filter=read_no_reply):
+-- expéditeur et statut du dernier message recopiés dans conversations, pour filtrer et paginer côté serveur.
+-- Tenus à jour par un trigger sur messages, quelle que soit l'origine (message reçu, envoi, accusé de
+-- réception, synchronisation de l'historique, fusion de doublons).
+-- À exécuter après add_message_status.sql
+
+ALTER TABLE conversations
+  ADD COLUMN IF NOT EXISTS last_message_from_me BOOLEAN,
+  ADD COLUMN IF NOT EXISTS last_message_status TEXT;
+
+-- Recopie le dernier message (par date) d'une conversation, NULL quand elle n'en a plus
+CREATE OR REPLACE FUNCTION refresh_conversation_last_message(target_conversation_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE conversations
+  SET (last_message_from_me, last_message_status) = (
+    SELECT m.is_from_me, m.status
+    FROM messages m
+    WHERE m.conversation_id = target_conversation_id
+    ORDER BY m.timestamp DESC
+    LIMIT 1
+  )
+  WHERE id = target_conversation_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION sync_conversation_last_message()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.conversation_id IS NOT NULL THEN
+    PERFORM refresh_conversation_last_message(NEW.conversation_id);
+  END IF;
+  IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.conversation_id IS NOT NULL
+    AND (TG_OP = 'DELETE' OR OLD.conversation_id IS DISTINCT FROM NEW.conversation_id) THEN
+    PERFORM refresh_conversation_last_message(OLD.conversation_id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_conversation_last_message_trigger ON messages;
+CREATE TRIGGER sync_conversation_last_message_trigger
+AFTER INSERT OR DELETE OR UPDATE OF status, timestamp, is_from_me, conversation_id ON messages
+FOR EACH ROW
+EXECUTE FUNCTION sync_conversation_last_message();
+
+-- Conversations existantes
+UPDATE conversations c
+SET last_message_from_me = latest.is_from_me,
+    last_message_status = latest.status
+FROM (
+  SELECT DISTINCT ON (conversation_id) conversation_id, is_from_me, status
+  FROM messages
+  WHERE conversation_id IS NOT NULL
+  ORDER BY conversation_id, timestamp DESC
+) latest
+WHERE c.id = latest.conversation_id;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_user_last_message
+  ON conversations(user_id, last_message_from_me, last_message_status, last_message_at DESC);
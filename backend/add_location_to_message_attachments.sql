@@ -0,0 +1,9 @@
+-- Partage de position (pins de localisation) dans les pièces jointes
+-- À exécuter après create_message_attachments_table.sql
+
+ALTER TABLE message_attachments
+  ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+
+-- Les positions ne sont pas des fichiers: pas de chemin de stockage
+ALTER TABLE message_attachments ALTER COLUMN storage_path DROP NOT NULL;
@@ -0,0 +1,34 @@
+-- Modifications, suppressions et réactions des messages WhatsApp
+-- À exécuter dans l'éditeur SQL de Supabase
+
+-- Message modifié: `body` garde le dernier texte, les versions précédentes sont dans message_revisions
+-- Message supprimé pour tous: signalé, le texte d'origine est conservé
+ALTER TABLE messages
+  ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Versions précédentes d'un message modifié (une ligne par modification)
+CREATE TABLE IF NOT EXISTS message_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  body TEXT,                              -- texte remplacé par la modification
+  edited_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_revisions_message_id ON message_revisions(message_id);
+
+-- Réactions (emoji) aux messages: une par participant, retirée quand il l'enlève
+CREATE TABLE IF NOT EXISTS message_reactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+  sender VARCHAR NOT NULL,                -- adresse du participant ('33612345678@c.us')
+  from_me BOOLEAN NOT NULL DEFAULT FALSE,
+  reaction VARCHAR NOT NULL,
+  reacted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (message_id, sender)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_reactions_message_id ON message_reactions(message_id);
@@ -0,0 +1,12 @@
+-- Accusés de réception WhatsApp (ack): statut de livraison par message
+-- pending -> sent -> delivered -> read, ou failed
+
+ALTER TABLE messages
+  ADD COLUMN IF NOT EXISTS status TEXT CHECK (status IN ('pending', 'sent', 'delivered', 'read', 'failed')),
+  ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP WITH TIME ZONE;
+
+-- Les messages sortants déjà enregistrés sont au moins envoyés
+UPDATE messages SET status = 'sent' WHERE is_from_me = TRUE AND status IS NULL;
+
+-- Mise à jour du statut par identifiant WhatsApp à chaque ack
+CREATE INDEX IF NOT EXISTS idx_messages_message_id ON messages(message_id);
@@ -0,0 +1,14 @@
+-- Un message WhatsApp n'est enregistré qu'une fois: message_id devient unique, les sauvegardes
+-- (models/message.js saveMessage / saveMessages) sont des upserts sur message_id.
+-- Exécuter d'abord `node reconcile_duplicate_messages.js --merge`: l'index échoue tant qu'il reste des doublons.
+-- Les messages sans ID (NULL) ne sont pas concernés.
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_message_id_unique ON messages(message_id);
+
+-- Remplacé par l'index unique
+DROP INDEX IF EXISTS idx_messages_message_id;
+
+-- Le trigger de prevent_duplicate_messages.sql (même texte dans les 10 secondes) écartait aussi les
+-- messages répétés légitimement ("ok", "merci"): les doublons sont maintenant reconnus par leur ID
+DROP TRIGGER IF EXISTS prevent_duplicate_messages_trigger ON messages;
+DROP FUNCTION IF EXISTS prevent_duplicate_messages();
@@ -0,0 +1,17 @@
+-- Origine des véhicules importés (site d'annonces), pour filtrer la sélection par source
+-- Valeurs: 'autoscout24' | 'leboncoin' | 'lacentrale' | 'mobilede' (services/marketplaces), NULL pour une saisie manuelle
+-- À exécuter après create_autoscout_tables.sql
+
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS source TEXT;
+
+-- Véhicules existants: la source est déduite du site de l'annonce
+UPDATE vehicles
+SET source = CASE
+  WHEN listing_url ~* '^https?://([a-z0-9-]+\.)*autoscout24\.' THEN 'autoscout24'
+  WHEN listing_url ~* '^https?://([a-z0-9-]+\.)*leboncoin\.fr' THEN 'leboncoin'
+  WHEN listing_url ~* '^https?://([a-z0-9-]+\.)*lacentrale\.fr' THEN 'lacentrale'
+  WHEN listing_url ~* '^https?://([a-z0-9-]+\.)*mobile\.de' THEN 'mobilede'
+END
+WHERE source IS NULL AND listing_url IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_vehicles_user_source ON vehicles(user_id, source);
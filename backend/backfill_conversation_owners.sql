@@ -0,0 +1,18 @@
+-- Propriétaire des conversations (authentification et filtrage par utilisateur de l'API)
+-- Les conversations créées avant la liaison à un utilisateur reprennent le propriétaire du véhicule
+
+UPDATE conversations c
+SET user_id = v.user_id
+FROM vehicles v
+WHERE c.vehicle_id = v.id
+  AND c.user_id IS NULL
+  AND v.user_id IS NOT NULL;
+
+-- Les conversations restantes sans propriétaire (numéros inconnus) peuvent être attribuées
+-- au compte par défaut (DEFAULT_OWNER_USER_ID du backend):
+-- UPDATE conversations SET user_id = '<uuid>' WHERE user_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_vehicles_user_id ON vehicles(user_id);
+CREATE INDEX IF NOT EXISTS idx_outbound_batches_user_id ON outbound_batches(user_id);
+CREATE INDEX IF NOT EXISTS idx_campaigns_user_id ON campaigns(user_id);
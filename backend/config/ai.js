@@ -1,6 +1,7 @@
 const OpenAI = require('openai');
 const logger = require('../utils/logger');
 const { AUTOMOTIVE_PROMPT_TEMPLATES, selectOptimalTemplate } = require('./promptTemplates');
+const { normalizeStateMachine } = require('./stateMachine');
 
 // Configuration de l'API Grok (compatible OpenAI)
 const grokApiKey = process.env.GROK_API_KEY;
@@ -238,6 +239,8 @@ const defaultAiConfig = {
     "je l'ai vendu", "plus à vendre", "n'est plus à vendre"
   ],
   pauseBotOnPriceOffer: true,
+  // Machine à états des conversations (voir config/stateMachine.js)
+  stateMachine: normalizeStateMachine(null),
   
   // Nouveaux paramètres avancés
   aiParameters: { ...AI_PARAMETERS.defaults },
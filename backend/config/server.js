@@ -4,6 +4,9 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const path = require('path');
 const logger = require('../utils/logger'); // Assuming a logger utility will be created
+const { authenticate, authenticateSocket } = require('../middleware/auth');
+const { requireSignedMediaUrl, setMediaHeaders } = require('../middleware/media');
+const { userRoom, conversationRoom } = require('../utils/socketRooms');
 
 const PORT = process.env.PORT || 3001;
 
@@ -23,8 +26,8 @@ const corsOptions = {
     'http://31.97.69.92:8080',
     'http://31.97.69.92:3000'
   ],
-  methods: ['GET', 'POST', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'OPTIONS', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
   credentials: true
 };
 
@@ -33,6 +36,12 @@ app.use(cors(corsOptions));
 // Middleware pour parser le JSON
 app.use(express.json());
 
+// Servir les médias des messages stockés localement (MEDIA_STORAGE=local), par URL signée uniquement
+app.use('/media', requireSignedMediaUrl, express.static(process.env.MEDIA_STORAGE_DIR || path.join(__dirname, '..', 'media'), {
+  setHeaders: setMediaHeaders,
+  fallthrough: false
+}));
+
 // Servir l'interface web de démo
 app.get('/demo', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'demo_web_interface.html'));
@@ -43,8 +52,8 @@ app.get('/demo-modern', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'demo_web_interface_modern.html'));
 });
 
-// Endpoint API pour simuler des messages (pour l'interface web)
-app.post('/api/simulate-message', async (req, res) => {
+// Endpoint API pour simuler des messages (pour l'interface web, authentifiée par clé API)
+app.post('/api/simulate-message', authenticate, async (req, res) => {
   try {
     const { message } = req.body;
     
@@ -76,7 +85,7 @@ app.post('/api/simulate-message', async (req, res) => {
 });
 
 // Endpoint pour récupérer l'état de la conversation de démo
-app.get('/api/demo-conversation-state', async (req, res) => {
+app.get('/api/demo-conversation-state', authenticate, async (req, res) => {
   try {
     const { supabase } = require('../services/database');
     const { normalizePhoneNumber } = require('../utils/phoneNumber');
@@ -128,7 +137,7 @@ app.get('/api/demo-conversation-state', async (req, res) => {
 });
 
 // Endpoint pour modifier l'état de la conversation de démo
-app.patch('/api/demo-conversation-state', async (req, res) => {
+app.patch('/api/demo-conversation-state', authenticate, async (req, res) => {
   try {
     const { newState } = req.body;
     
@@ -137,7 +146,7 @@ app.patch('/api/demo-conversation-state', async (req, res) => {
     }
     
     // Valider l'état
-    const validStates = ['active', 'negotiation', 'completed', 'archived'];
+    const validStates = require('./stateMachine').CONVERSATION_STATES;
     if (!validStates.includes(newState)) {
       return res.status(400).json({ 
         error: 'État invalide', 
@@ -157,6 +166,7 @@ app.patch('/api/demo-conversation-state', async (req, res) => {
       .from('conversations')
       .update({
         state: newState,
+        bot_paused: newState !== 'active', // La démo ne passe pas par la machine à états
         last_state_change: new Date().toISOString(),
         state_change_reason: 'Manuel via interface démo'
       })
@@ -193,7 +203,7 @@ app.patch('/api/demo-conversation-state', async (req, res) => {
 });
 
 // Endpoint pour reset complet de la conversation de démo
-app.delete('/api/demo-conversation-reset', async (req, res) => {
+app.delete('/api/demo-conversation-reset', authenticate, async (req, res) => {
   try {
     const { supabase } = require('../services/database');
     const { normalizePhoneNumber } = require('../utils/phoneNumber');
@@ -263,6 +273,7 @@ app.delete('/api/demo-conversation-reset', async (req, res) => {
       .from('conversations')
       .update({
         state: 'active',
+        bot_paused: false,
         last_message_at: new Date().toISOString(),
         last_state_change: new Date().toISOString(),
         state_change_reason: 'Reset démo',
@@ -307,20 +318,62 @@ const io = new Server(server, {
   pingInterval: 25000
 });
 
+// Seuls les clients authentifiés (JWT Supabase ou clé API) peuvent se connecter
+io.use(authenticateSocket);
+
 // Configuration des WebSockets
 io.on('connection', (socket) => {
-  logger.info('Nouvelle connexion WebSocket établie:', socket.id);
+  logger.info(`Nouvelle connexion WebSocket établie: ${socket.id} (utilisateur ${socket.user.id})`);
+
+  // Room de l'utilisateur: messages, offres et progression des envois de ses conversations
+  socket.join(userRoom(socket.user.id));
 
   // Envoyer un message de bienvenue
   socket.emit('welcome', { message: 'Connexion WebSocket établie avec succès' });
 
+  // Room de la conversation affichée (accusés de réception, présence), après vérification du propriétaire
+  socket.on('join_conversation', async (conversationId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const { supabase } = require('../services/database');
+      const { data: conversation } = await supabase
+        .from('conversations')
+        .select('id, phone_number, channel, user_id')
+        .eq('id', conversationId)
+        .eq('user_id', socket.user.id)
+        .maybeSingle();
+      if (!conversation) {
+        return reply({ ok: false, error: 'Conversation not found' });
+      }
+      socket.join(conversationRoom(conversation.id));
+      logger.websocket.debug(`${socket.id} suit la conversation ${conversation.id}`);
+      reply({ ok: true });
+
+      // Présence du contact (en ligne, en train d'écrire) relayée tant que la conversation est affichée
+      const { getConversationChannel } = require('../services/channels');
+      const channel = getConversationChannel(conversation);
+      if (typeof channel.subscribePresence === 'function' && channel.getStatus().status === 'connected') {
+        channel.subscribePresence(conversation.phone_number).catch(error => {
+          logger.websocket.warn(`Présence non suivie pour ${conversation.phone_number}: ${error.message}`);
+        });
+      }
+    } catch (error) {
+      logger.websocket.error(`Erreur join_conversation ${conversationId}:`, error);
+      reply({ ok: false, error: 'Could not join conversation' });
+    }
+  });
+
+  socket.on('leave_conversation', (conversationId) => {
+    socket.leave(conversationRoom(conversationId));
+  });
+
   // Handler pour les messages de test
   socket.on('test_new_message', (message) => {
-    logger.info('📤 Message de test reçu, rediffusion à tous les clients...');
+    logger.info("📤 Message de test reçu, rediffusion aux clients de l'utilisateur...");
     logger.info('📤 Message:', JSON.stringify(message, null, 2));
     
-    // Rediffuser le message à tous les clients connectés
-    io.emit('new_message', message);
+    // Rediffuser le message aux connexions du même utilisateur
+    io.to(userRoom(socket.user.id)).emit('new_message', message);
     
     logger.info('✅ Message de test rediffusé avec succès!');
   });
@@ -0,0 +1,179 @@
+// State machine of the conversations: states, allowed transitions, automatic rules and hooks.
+//
+// The machine is part of the AI configuration (ai_config.state_machine) and is edited in the dashboard:
+//   transitions - state -> states it may move to (manual changes and rules are both checked against it)
+//   onEnter     - state -> hooks run whenever a conversation enters it
+//   rules       - automatic transitions, tried in order on each event: the first enabled rule whose
+//                 `from` contains the current state and whose guard passes moves the conversation to `to`
+//                 and runs its own hooks after the onEnter hooks of the new state
+// Side effects are run by services/conversationState.js; this module has no dependencies.
+
+const CONVERSATION_STATES = ['active', 'negotiation', 'manual', 'completed', 'archived'];
+
+// Conditions a rule can wait for, with the event context they read
+const GUARDS = {
+  // Price offer in the seller's message (context.priceOffer from detectPriceOffer), rule.minConfidence optional
+  price_detected: (rule, context) => Boolean(
+    context.priceOffer && context.priceOffer.detected
+    && (context.priceOffer.confidence == null || context.priceOffer.confidence >= (rule.minConfidence || 0))
+  ),
+  // Unavailability keyword of the AI configuration in the seller's message (context.unavailable)
+  unavailability_keyword: (rule, context) => context.unavailable === true,
+  // No message for rule.silenceHours hours (context.silentHours, computed by the silence monitor)
+  silence: (rule, context) => context.silentHours != null && context.silentHours >= rule.silenceHours,
+  // Price offer accepted from the negotiation thread (context.offerAccepted)
+  offer_accepted: (rule, context) => context.offerAccepted === true,
+};
+
+// Side effects that can run on a transition
+const HOOKS = ['pause_bot', 'resume_bot', 'notify', 'mark_vehicle_contacted', 'mark_vehicle_sold'];
+
+const DEFAULT_STATE_MACHINE = {
+  transitions: {
+    active: ['negotiation', 'manual', 'completed', 'archived'],
+    negotiation: ['active', 'manual', 'completed', 'archived'],
+    manual: ['active', 'negotiation', 'completed', 'archived'],
+    completed: ['active', 'archived'],
+    archived: ['active'],
+  },
+  onEnter: {
+    active: ['resume_bot'],
+    negotiation: ['pause_bot'],
+    manual: ['pause_bot'],
+    completed: ['pause_bot'],
+    archived: ['pause_bot'],
+  },
+  rules: [
+    {
+      id: 'vehicle_unavailable',
+      guard: 'unavailability_keyword',
+      from: ['active', 'negotiation', 'manual'],
+      to: 'completed',
+      enabled: true,
+      hooks: ['mark_vehicle_sold', 'notify'],
+    },
+    {
+      id: 'price_offer',
+      guard: 'price_detected',
+      from: ['active'],
+      to: 'negotiation',
+      enabled: true,
+      minConfidence: 0,
+      hooks: ['notify'],
+    },
+    {
+      id: 'offer_accepted',
+      guard: 'offer_accepted',
+      from: ['active', 'negotiation', 'manual'],
+      to: 'completed',
+      enabled: true,
+      hooks: [],
+    },
+    {
+      id: 'seller_silence',
+      guard: 'silence',
+      from: ['active', 'negotiation'],
+      to: 'manual',
+      enabled: false,
+      silenceHours: 72,
+      hooks: ['notify'],
+    },
+  ],
+};
+
+// Function to build an error on an invalid state machine (400 for the API)
+function invalidStateMachine(message) {
+  const error = new Error(`Invalid state machine: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+// Function to validate a state machine from the configuration (missing parts take the default values)
+// Throws a 400 error on unknown states, guards or hooks
+function normalizeStateMachine(machine) {
+  if (!machine || typeof machine !== 'object') {
+    return JSON.parse(JSON.stringify(DEFAULT_STATE_MACHINE));
+  }
+
+  const checkStates = (states, where) => {
+    if (!Array.isArray(states)) throw invalidStateMachine(`${where} must be a list of states`);
+    const unknown = states.find(state => !CONVERSATION_STATES.includes(state));
+    if (unknown) throw invalidStateMachine(`unknown state "${unknown}" in ${where}`);
+    return [...new Set(states)];
+  };
+  const checkHooks = (hooks, where) => {
+    if (!Array.isArray(hooks)) throw invalidStateMachine(`${where} must be a list of hooks`);
+    const unknown = hooks.find(hook => !HOOKS.includes(hook));
+    if (unknown) throw invalidStateMachine(`unknown hook "${unknown}" in ${where}`);
+    return [...new Set(hooks)];
+  };
+
+  const transitions = {};
+  const onEnter = {};
+  for (const state of CONVERSATION_STATES) {
+    const allowed = machine.transitions && machine.transitions[state];
+    transitions[state] = allowed === undefined
+      ? [...DEFAULT_STATE_MACHINE.transitions[state]]
+      : checkStates(allowed, `transitions.${state}`).filter(target => target !== state);
+
+    const hooks = machine.onEnter && machine.onEnter[state];
+    onEnter[state] = hooks === undefined ? [...DEFAULT_STATE_MACHINE.onEnter[state]] : checkHooks(hooks, `onEnter.${state}`);
+  }
+
+  const rules = (Array.isArray(machine.rules) ? machine.rules : DEFAULT_STATE_MACHINE.rules).map((rule, index) => {
+    const where = `rule ${rule && rule.id ? rule.id : index + 1}`;
+    if (!rule || typeof rule !== 'object') throw invalidStateMachine(`${where} must be an object`);
+    if (!GUARDS[rule.guard]) throw invalidStateMachine(`unknown guard "${rule.guard}" in ${where}`);
+    if (!CONVERSATION_STATES.includes(rule.to)) throw invalidStateMachine(`unknown target state "${rule.to}" in ${where}`);
+
+    const normalized = {
+      id: String(rule.id || `${rule.guard}_${index + 1}`),
+      guard: rule.guard,
+      from: checkStates(rule.from || [], `${where}.from`),
+      to: rule.to,
+      enabled: rule.enabled !== false,
+      hooks: checkHooks(rule.hooks || [], `${where}.hooks`),
+    };
+    if (rule.guard === 'silence') {
+      const hours = Number(rule.silenceHours);
+      if (!(hours > 0)) throw invalidStateMachine(`${where} needs a positive silenceHours`);
+      normalized.silenceHours = hours;
+    }
+    if (rule.guard === 'price_detected') {
+      const minConfidence = Number(rule.minConfidence || 0);
+      if (!(minConfidence >= 0 && minConfidence <= 1)) throw invalidStateMachine(`${where} minConfidence must be between 0 and 1`);
+      normalized.minConfidence = minConfidence;
+    }
+    return normalized;
+  });
+
+  return { transitions, onEnter, rules };
+}
+
+// Function to check that a conversation may move from a state to another
+function canTransition(machine, from, to) {
+  const allowed = machine.transitions[from || 'active'];
+  return Boolean(allowed && allowed.includes(to));
+}
+
+// Function to find the rule triggered by an event in a state (null when none applies)
+function findTriggeredRule(machine, state, context = {}) {
+  const current = state || 'active';
+  return machine.rules.find(rule =>
+    rule.enabled
+    && rule.from.includes(current)
+    && rule.to !== current
+    && canTransition(machine, current, rule.to)
+    && GUARDS[rule.guard](rule, context)
+  ) || null;
+}
+
+module.exports = {
+  CONVERSATION_STATES,
+  GUARDS,
+  HOOKS,
+  DEFAULT_STATE_MACHINE,
+  normalizeStateMachine,
+  canTransition,
+  findTriggeredRule,
+};
@@ -110,8 +110,8 @@ const updateAiConfiguration = async (req, res) => {
     }
   } catch (error) {
     logger.error('Exception updating AI configuration:', error);
-    res.status(500).json({
-      error: 'Server error updating configuration',
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Server error updating configuration',
       details: error.message
     });
   }
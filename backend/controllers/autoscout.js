@@ -0,0 +1,261 @@
+const {
+  createSearch,
+  getSearchById,
+  listSearches,
+  updateSearch,
+  deleteSearch,
+  listRuns,
+} = require('../models/autoscoutSearch');
+const { MAX_PAGES, scrapeSearch, importListings, runSearchNow } = require('../services/listingImporter');
+const { getMarketplaceForUrl, isSupportedSearchUrl, listMarketplaces } = require('../services/marketplaces');
+const logger = require('../utils/logger');
+
+// One interactive scrape per user, stopped by POST /autoscout/stop or by closing the stream
+const activeScrapes = new Map();
+
+// Function to check that a saved search belongs to the authenticated user (404 otherwise)
+async function assertSearchOwner(searchId, userId) {
+  const search = await getSearchById(searchId);
+  if (!search || search.user_id !== userId) {
+    const error = new Error('Search not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return search;
+}
+
+// Function to validate the fields of a saved search; returns an error message or null
+function validateSearchRequest(body, { partial = false } = {}) {
+  if ((!partial || body.url !== undefined) && !isSupportedSearchUrl(body.url)) {
+    return 'url must be a search URL of a supported marketplace';
+  }
+  if ((!partial || body.name !== undefined) && (typeof body.name !== 'string' || !body.name.trim())) {
+    return 'name is required';
+  }
+  if (body.maxPages !== undefined && !(parseInt(body.maxPages) >= 1 && parseInt(body.maxPages) <= MAX_PAGES)) {
+    return `maxPages must be between 1 and ${MAX_PAGES}`;
+  }
+  if (body.intervalMinutes !== undefined && !(parseInt(body.intervalMinutes) >= 15)) {
+    return 'intervalMinutes must be at least 15';
+  }
+  return null;
+}
+
+// Function to convert a scraped listing to the result rows shown by the import page
+function toScraperResult(listing) {
+  return {
+    marque: listing.brand,
+    modele: listing.model,
+    prix: listing.price ? `${listing.price.toLocaleString('fr-BE')} €` : '',
+    annee: listing.year ? String(listing.year) : '',
+    kilometrage: listing.mileage !== null ? `${listing.mileage.toLocaleString('fr-BE')} km` : '',
+    carburant: listing.fuel_type,
+    transmission: listing.transmission,
+    puissance: listing.power ? String(listing.power) : '',
+    localisation: listing.location,
+    url: listing.listing_url,
+    telephone: listing.phone || '',
+    image_url: listing.image_url || '',
+    vendeur: listing.seller_type || '',
+    source: listing.source
+  };
+}
+
+// Function to scrape a search URL and stream the progress as Server-Sent Events
+// Query: ?url=<search URL of a supported marketplace>&multiPage=true|false
+// Events (data: JSON): { type: 'log' | 'progress' | 'result' | 'complete' | 'error', ... }
+// Nothing is saved: the results are reviewed on the page, then saved with POST /autoscout/vehicles
+const streamScrape = async (req, res) => {
+  const { url } = req.query;
+  const marketplace = getMarketplaceForUrl(url);
+  if (!marketplace) {
+    return res.status(400).json({ error: 'url must be a search URL of a supported marketplace' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+  const previous = activeScrapes.get(req.user.id);
+  if (previous) previous.abort();
+  const controller = new AbortController();
+  activeScrapes.set(req.user.id, controller);
+  req.on('close', () => controller.abort());
+
+  const maxPages = req.query.multiPage === 'true' ? MAX_PAGES : 1;
+  send({ type: 'log', message: `Extraction ${marketplace.label} de ${url} (${maxPages > 1 ? `jusqu'à ${maxPages} pages` : '1 page'})` });
+
+  try {
+    const { listings, complete } = await scrapeSearch(url, {
+      maxPages,
+      signal: controller.signal,
+      onPage: ({ page, totalPages, listings: pageListings }) => {
+        send({ type: 'log', message: `Page ${page}/${totalPages}: ${pageListings.length} annonce(s)` });
+        send({ type: 'progress', value: Math.round((page / totalPages) * 100) });
+      }
+    });
+
+    if (!complete) {
+      send({ type: 'log', message: controller.signal.aborted ? 'Extraction interrompue' : 'Extraction incomplète, certaines pages ont échoué' });
+    }
+    send({ type: 'result', vehicles: listings.map(toScraperResult) });
+    send({ type: 'complete', count: listings.length });
+  } catch (error) {
+    logger.error(`Erreur extraction ${marketplace.label}:`, error.message);
+    send({ type: 'error', message: error.message });
+  } finally {
+    if (activeScrapes.get(req.user.id) === controller) {
+      activeScrapes.delete(req.user.id);
+    }
+    res.end();
+  }
+};
+
+// Function to stop the interactive scrape of the user
+const stopScrape = async (req, res) => {
+  const controller = activeScrapes.get(req.user.id);
+  if (controller) {
+    controller.abort();
+    activeScrapes.delete(req.user.id);
+  }
+  res.json({ success: true, stopped: Boolean(controller) });
+};
+
+// Function to save reviewed listings into the vehicles of the user (upsert on listing_url)
+// Body: { vehicles: [{ brand, model, price, year, mileage, fuel_type, transmission, power, location, listing_url, phone, image_url, seller_type, source }] }
+// The source defaults to the marketplace of the listing URL
+const saveVehicles = async (req, res, next) => {
+  try {
+    const { vehicles } = req.body;
+    if (!Array.isArray(vehicles) || vehicles.length === 0) {
+      return res.status(400).json({ error: 'vehicles must be a non-empty array' });
+    }
+
+    const listings = vehicles.map(vehicle => ({
+      ...vehicle,
+      price: Number.isFinite(vehicle.price) ? vehicle.price : null,
+      source: vehicle.source || (getMarketplaceForUrl(vehicle.listing_url) || {}).name || null
+    }));
+    const result = await importListings(req.user.id, listings);
+
+    res.json({
+      success: true,
+      savedCount: result.saved,
+      createdCount: result.created.length,
+      changedCount: result.changed.length,
+      skippedCount: result.skipped
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to list the marketplaces whose search URLs can be imported
+const getMarketplaces = async (req, res) => {
+  res.json({ marketplaces: listMarketplaces() });
+};
+
+// Function to list the saved searches of the user
+const getSearches = async (req, res, next) => {
+  try {
+    res.json({ searches: await listSearches({ userId: req.user.id }) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to save a search, re-scraped every `intervalMinutes`
+// Body: { name, url, maxPages?, intervalMinutes?, enabled? }
+const create = async (req, res, next) => {
+  try {
+    const validationError = validateSearchRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { name, url, maxPages, intervalMinutes, enabled } = req.body;
+    const search = await createSearch({
+      name: name.trim(),
+      url,
+      maxPages: maxPages !== undefined ? parseInt(maxPages) : undefined,
+      intervalMinutes: intervalMinutes !== undefined ? parseInt(intervalMinutes) : undefined,
+      enabled: enabled !== undefined ? Boolean(enabled) : undefined,
+      userId: req.user.id
+    });
+
+    res.status(201).json(search);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to update a saved search (name, url, maxPages, intervalMinutes, enabled)
+const update = async (req, res, next) => {
+  try {
+    await assertSearchOwner(req.params.searchId, req.user.id);
+    const validationError = validateSearchRequest(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { name, url, maxPages, intervalMinutes, enabled } = req.body;
+    const updates = {};
+    if (name !== undefined) updates.name = name.trim();
+    if (url !== undefined) updates.url = url;
+    if (maxPages !== undefined) updates.max_pages = parseInt(maxPages);
+    if (intervalMinutes !== undefined) updates.interval_minutes = parseInt(intervalMinutes);
+    if (enabled !== undefined) updates.enabled = Boolean(enabled);
+
+    res.json(await updateSearch(req.params.searchId, updates));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to delete a saved search (the imported vehicles are kept)
+const remove = async (req, res, next) => {
+  try {
+    await assertSearchOwner(req.params.searchId, req.user.id);
+    await deleteSearch(req.params.searchId);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to run a saved search now and return its report
+const run = async (req, res, next) => {
+  try {
+    await assertSearchOwner(req.params.searchId, req.user.id);
+    res.json(await runSearchNow(req.params.searchId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to list the last runs of a saved search with their new/changed/removed report
+const getRuns = async (req, res, next) => {
+  try {
+    await assertSearchOwner(req.params.searchId, req.user.id);
+    res.json({ runs: await listRuns(req.params.searchId, { limit: parseInt(req.query.limit) || 20 }) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  streamScrape,
+  stopScrape,
+  saveVehicles,
+  getMarketplaces,
+  getSearches,
+  create,
+  update,
+  remove,
+  run,
+  getRuns,
+};
@@ -0,0 +1,139 @@
+const { listCampaigns, getCampaignById } = require('../models/campaign');
+const {
+  previewCampaign,
+  scheduleCampaign,
+  launchCampaign,
+  getCampaignDetails,
+  controlCampaign,
+} = require('../services/campaigns');
+const { getChannelForUser } = require('../services/channels');
+const logger = require('../utils/logger');
+
+// Function to validate the template and optional start date of a campaign request
+function validateCampaignRequest(body) {
+  if (!body.template || typeof body.template !== 'string' || !body.template.trim()) {
+    return 'template is required';
+  }
+  if (body.scheduledAt && isNaN(new Date(body.scheduledAt).getTime())) {
+    return 'scheduledAt must be a valid date';
+  }
+  return null;
+}
+
+// Function to check that a campaign belongs to the authenticated user (404 otherwise)
+async function assertCampaignOwner(campaignId, userId) {
+  const campaign = await getCampaignById(campaignId);
+  if (!campaign || campaign.user_id !== userId) {
+    const error = new Error('Campaign not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return campaign;
+}
+
+// Function to create a campaign from a vehicle filter and a template
+// Body: { name, template, filter: { vehicleIds, brand, model, minPrice, maxPrice, minYear, maxYear, location, contactStatus },
+//         settings?: { minDelay, maxDelay, maxPerHour, channel }, scheduledAt? }
+// Only the vehicles of the authenticated user are targeted, from settings.channel (WhatsApp session) if given
+const createCampaign = async (req, res, next) => {
+  try {
+    const validationError = validateCampaignRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (!req.body.name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const { name, template, filter, settings, scheduledAt } = req.body;
+    if (settings && settings.channel) {
+      getChannelForUser(settings.channel, req.user.id);
+    }
+
+    const campaign = await scheduleCampaign({
+      name,
+      template,
+      vehicleFilter: { ...(filter || {}), userId: req.user.id },
+      settings: settings || {},
+      scheduledAt: scheduledAt ? new Date(scheduledAt).toISOString() : null,
+      userId: req.user.id
+    });
+
+    res.status(201).json(campaign);
+  } catch (error) {
+    logger.error('Error creating campaign:', error.message);
+    next(error);
+  }
+};
+
+// Function to preview the recipients and rendered messages of a campaign
+const preview = async (req, res, next) => {
+  try {
+    const validationError = validateCampaignRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    res.json(await previewCampaign(req.body.template, { ...(req.body.filter || {}), userId: req.user.id }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to list campaigns
+const getCampaigns = async (req, res, next) => {
+  try {
+    const campaigns = await listCampaigns({
+      userId: req.user.id,
+      limit: parseInt(req.query.limit) || 50
+    });
+    res.json({ campaigns });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to retrieve a campaign with delivery status and reply rate
+const getCampaign = async (req, res, next) => {
+  try {
+    await assertCampaignOwner(req.params.campaignId, req.user.id);
+    res.json(await getCampaignDetails(req.params.campaignId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to start a scheduled campaign immediately
+const launch = async (req, res, next) => {
+  try {
+    await assertCampaignOwner(req.params.campaignId, req.user.id);
+    const launched = await launchCampaign(req.params.campaignId);
+    if (!launched) {
+      return res.status(409).json({ error: 'Campaign is not scheduled' });
+    }
+    res.json(await getCampaignDetails(launched.id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to pause, resume or cancel a campaign
+const control = (action) => async (req, res, next) => {
+  try {
+    await assertCampaignOwner(req.params.campaignId, req.user.id);
+    res.json(await controlCampaign(req.params.campaignId, action));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createCampaign,
+  preview,
+  getCampaigns,
+  getCampaign,
+  launch,
+  pause: control('pause'),
+  resume: control('resume'),
+  cancel: control('cancel'),
+};
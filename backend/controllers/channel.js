@@ -0,0 +1,37 @@
+const { listChannels, getChannelForUser } = require('../services/channels');
+const logger = require('../utils/logger');
+
+// Return all registered messaging channels with their status
+const getChannels = (req, res) => {
+  res.json({ channels: listChannels(req.user.id) });
+};
+
+// Return the status of one channel
+const getChannelStatus = (req, res, next) => {
+  try {
+    const channel = getChannelForUser(req.params.name, req.user.id);
+    res.json({ name: channel.name, type: channel.type, ...channel.getStatus() });
+  } catch (error) {
+    logger.error(`Error retrieving status for channel ${req.params.name}:`, error.message);
+    next(error);
+  }
+};
+
+// Return the pending authentication challenge (QR code) of a channel
+const getChannelQrCode = (req, res, next) => {
+  try {
+    const qrcode = getChannelForUser(req.params.name, req.user.id).getQRCode();
+    if (!qrcode) {
+      return res.status(404).json({ error: 'QR code not available' });
+    }
+    res.json({ qrcode });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getChannels,
+  getChannelStatus,
+  getChannelQrCode,
+};
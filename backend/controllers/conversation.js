@@ -1,14 +1,21 @@
-const { getAllConversations, getConversationById, updateConversationState } = require('../models/conversation');
+const { CONVERSATION_FILTERS, getAllConversations, getConversationById, getConversationStateHistory } = require('../models/conversation');
+const { transitionConversation } = require('../services/conversationState');
 const { getMessagesByConversationId } = require('../models/message');
+const { getBackfillStatus, requestBackfill } = require('../services/historyBackfill');
 const logger = require('../utils/logger');
 
 // Return all paginated conversations
+// Query: page, limit, filter ('read_no_reply': last message sent and read, without reply)
 async function getConversationsPaginated(req, res, next) {
   try {
     const page = Number(req.query.page) || 1;
     const limit = Number(req.query.limit) || 20;
+    const filter = req.query.filter || null;
+    if (filter && !Object.keys(CONVERSATION_FILTERS).includes(filter)) {
+      return res.status(400).json({ error: `Unknown filter: ${filter}` });
+    }
 
-    const { conversations, pagination } = await getAllConversations(page, limit);
+    const { conversations, pagination } = await getAllConversations(page, limit, req.user.id, filter);
 
     res.json({
       conversations,
@@ -25,7 +32,7 @@ async function getConversation(req, res, next) {
   try {
     const { id } = req.params;
 
-    const conversation = await getConversationById(id);
+    const conversation = await getConversationById(id, req.user.id);
 
     if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
@@ -43,25 +50,25 @@ async function getConversation(req, res, next) {
   }
 }
 
-// Update the state of a conversation
+// Update the state of a conversation (409 when the state machine does not allow the transition)
 async function updateConversationStateHandler(req, res, next) {
   try {
     const { id } = req.params;
-    const { state } = req.body;
+    const { state, reason } = req.body;
 
     if (!id || !state) {
       return res.status(400).json({ error: 'Conversation ID and new state are required' });
     }
 
-    const updatedConversation = await updateConversationState(id, state, 'Manual update via API');
-
-    if (!updatedConversation) {
-      return res.status(404).json({ error: 'Conversation not found' });
-    }
+    const { conversation } = await transitionConversation(id, state, {
+      trigger: 'manual',
+      reason: reason || 'Manual update via API',
+      userId: req.user.id
+    });
 
     res.json({
       success: true,
-      conversation: updatedConversation
+      conversation
     });
   } catch (error) {
     logger.error(`Error updating conversation ${req.params.id} state:`, error);
@@ -69,8 +76,56 @@ async function updateConversationStateHandler(req, res, next) {
   }
 }
 
+// Return the state changes of a conversation, oldest first
+async function getConversationStateHistoryHandler(req, res, next) {
+  try {
+    const conversation = await getConversationById(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const history = await getConversationStateHistory(conversation.id);
+    res.json({
+      history: history.map(change => ({
+        id: change.id,
+        fromState: change.from_state,
+        toState: change.to_state,
+        trigger: change.trigger,
+        ruleId: change.rule_id,
+        reason: change.reason,
+        createdAt: change.created_at
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error retrieving state history of conversation ${req.params.id}:`, error);
+    next(error);
+  }
+}
+
+// Function to get the state of the import of the whole chat history of a conversation
+// Response: { conversationId, status: 'pending' | 'running' | 'completed' | 'failed' | null, queued, backfilledAt, imported, error }
+async function getHistoryBackfillHandler(req, res, next) {
+  try {
+    res.json(await getBackfillStatus(req.params.id, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Function to import the whole chat history of a conversation in the background (again when already done)
+async function startHistoryBackfillHandler(req, res, next) {
+  try {
+    res.status(202).json(await requestBackfill(req.params.id, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   getConversationsPaginated,
   getConversation, // Renamed from getConversationById to match common controller naming
-  updateConversationStateHandler
+  updateConversationStateHandler,
+  getConversationStateHistoryHandler,
+  getHistoryBackfillHandler,
+  startHistoryBackfillHandler
 };
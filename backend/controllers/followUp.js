@@ -0,0 +1,61 @@
+const {
+  DEFAULT_FOLLOWUP_STEPS,
+  getFollowUps,
+  scheduleFollowUps,
+  cancelFollowUps,
+} = require('../services/followUps');
+
+// Function to format a conversation_followups row for the API
+function formatFollowUp(followUp) {
+  return {
+    id: followUp.id,
+    step: followUp.step,
+    delayHours: followUp.delay_hours,
+    body: followUp.body,
+    status: followUp.status,
+    dueAt: followUp.due_at,
+    sentAt: followUp.sent_at,
+    cancelReason: followUp.cancel_reason,
+    error: followUp.last_error,
+    createdAt: followUp.created_at
+  };
+}
+
+// Function to retrieve the follow-up sequence of a conversation
+// Response: { followUps, defaultSteps } - `defaultSteps` is the sequence suggested when none is attached
+const getConversationFollowUps = async (req, res, next) => {
+  try {
+    const followUps = await getFollowUps(req.params.id, req.user.id);
+    res.json({ followUps: followUps.map(formatFollowUp), defaultSteps: DEFAULT_FOLLOWUP_STEPS });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to attach a follow-up sequence to a conversation, or replace its steps not sent yet
+// Body: { steps: [{ delayHours, body }] }
+const updateConversationFollowUps = async (req, res, next) => {
+  try {
+    const followUps = await scheduleFollowUps(req.params.id, (req.body || {}).steps, req.user.id);
+    res.json({ success: true, followUps: followUps.map(formatFollowUp) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to cancel the follow-ups of a conversation not sent yet
+const cancelConversationFollowUps = async (req, res, next) => {
+  try {
+    const cancelled = await cancelFollowUps(req.params.id, 'manual', { userId: req.user.id });
+    const followUps = await getFollowUps(req.params.id, req.user.id);
+    res.json({ success: true, cancelled, followUps: followUps.map(formatFollowUp) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getConversationFollowUps,
+  updateConversationFollowUps,
+  cancelConversationFollowUps,
+};
@@ -1,5 +1,6 @@
+const { supabase } = require('../services/database');
 const { getMessagesByConversationId } = require('../models/message');
-const { findOrCreateConversation } = require('../models/conversation'); // Needed to find conversation by phone
+const { findOrCreateConversation, getConversationById } = require('../models/conversation'); // Needed to find conversation by phone
 const { findVehicleByPhone } = require('../models/vehicle'); // Needed to find vehicle by phone
 const logger = require('../utils/logger');
 const { normalizePhoneNumber } = require('../utils/phoneNumber'); // Needed for phone number handling
@@ -20,7 +21,8 @@ const getMessagesForVehicle = async (req, res, next) => {
       .from('vehicles')
       .select('id, phone')
       .eq('id', vehicleId)
-      .single();
+      .eq('user_id', req.user.id)
+      .maybeSingle();
 
     if (vehicleError) {
       logger.error('Error searching for vehicle:', vehicleError);
@@ -39,6 +41,7 @@ const getMessagesForVehicle = async (req, res, next) => {
         .from('conversations')
         .select('id')
         .eq('vehicle_id', vehicleId)
+        .eq('user_id', req.user.id)
         .maybeSingle();
 
     if (convByVehicleError) {
@@ -56,6 +59,7 @@ const getMessagesForVehicle = async (req, res, next) => {
         .from('conversations')
         .select('id')
         .eq('phone_number', phoneNumber)
+        .eq('user_id', req.user.id)
         .maybeSingle();
 
       if (convByPhoneError) {
@@ -96,6 +100,11 @@ const getMessagesForContact = async (req, res, next) => {
 
     logger.info('Retrieving messages for conversation (contact):', contactId);
 
+    const conversation = await getConversationById(contactId, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
     // Retrieve messages for this conversation
     const messages = await getMessagesByConversationId(contactId);
 
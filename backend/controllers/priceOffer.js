@@ -0,0 +1,79 @@
+const { getConversationById } = require('../models/conversation');
+const { getPriceOffersForConversation } = require('../models/priceoffer');
+const { acceptOffer, rejectOffer, counterOffer } = require('../services/negotiation');
+
+// Function to format a price_offers row for the API
+function formatOffer(offer) {
+  return {
+    id: offer.id,
+    conversationId: offer.conversation_id,
+    vehicleId: offer.vehicle_id,
+    parentOfferId: offer.parent_offer_id,
+    direction: offer.direction || 'seller',
+    price: Number(offer.offered_price),
+    currency: offer.offer_currency,
+    status: offer.status,
+    notes: offer.notes,
+    messageId: offer.message_id,
+    createdAt: offer.created_at,
+    respondedAt: offer.responded_at
+  };
+}
+
+// Function to retrieve the negotiation thread of a conversation (offers and counter-offers, oldest first)
+// Response: { offers, pendingOfferId }
+const getConversationOffers = async (req, res, next) => {
+  try {
+    const conversation = await getConversationById(req.params.id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const offers = (await getPriceOffersForConversation(conversation.id)).map(formatOffer);
+    const pending = offers.filter(offer => offer.status === 'pending').pop();
+
+    res.json({ offers, pendingOfferId: pending ? pending.id : null });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to accept a pending offer; the conversation changes state as the state machine says (completed by default)
+// Body: { notes? }
+const acceptPriceOffer = async (req, res, next) => {
+  try {
+    const { offer, conversationState } = await acceptOffer(req.user.id, req.params.offerId, req.body || {});
+    res.json({ success: true, offer: formatOffer(offer), conversationState });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to reject a pending offer
+// Body: { notes? }
+const rejectPriceOffer = async (req, res, next) => {
+  try {
+    const { offer } = await rejectOffer(req.user.id, req.params.offerId, req.body || {});
+    res.json({ success: true, offer: formatOffer(offer) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to answer an offer of the seller with a counter-offer
+// Body: { price, message? } - `message` is sent to the seller on the conversation channel
+const counterPriceOffer = async (req, res, next) => {
+  try {
+    const { offer, counterOffer: counter } = await counterOffer(req.user.id, req.params.offerId, req.body || {});
+    res.json({ success: true, offer: formatOffer(offer), counterOffer: formatOffer(counter) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getConversationOffers,
+  acceptPriceOffer,
+  rejectPriceOffer,
+  counterPriceOffer,
+};
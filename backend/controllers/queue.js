@@ -0,0 +1,111 @@
+const { enqueueBatch, pauseBatch, resumeBatch, cancelBatch } = require('../services/outboundQueue');
+const { getBatch, listBatches, getBatchMessages } = require('../models/outboundQueue');
+const { getOwnedVehicleIds } = require('../models/vehicle');
+const { getChannelForUser } = require('../services/channels');
+const logger = require('../utils/logger');
+
+// Function to check that a batch belongs to the authenticated user (404 otherwise)
+async function assertBatchOwner(batchId, userId) {
+  const batch = await getBatch(batchId);
+  if (!batch || batch.user_id !== userId) {
+    const error = new Error('Batch not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return batch;
+}
+
+// Function to queue a batch of messages for server-side sending
+// Body: { name?, settings?: { minDelay, maxDelay, maxPerHour, maxAttempts, channel }, messages: [{ number, message, vehicleId? }] }
+// settings.channel is the WhatsApp session to send from (default: the user's session)
+const createBatch = async (req, res, next) => {
+  try {
+    const { name, settings, messages } = req.body;
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ error: 'messages must be a non-empty array' });
+    }
+
+    const invalid = messages.find(msg => !msg || !msg.number || !msg.message);
+    if (invalid) {
+      return res.status(400).json({ error: 'Each message requires a number and a message' });
+    }
+
+    const vehicleIds = messages.map(msg => msg.vehicleId).filter(Boolean);
+    const ownedVehicleIds = await getOwnedVehicleIds(vehicleIds, req.user.id);
+    if (vehicleIds.some(id => !ownedVehicleIds.has(id))) {
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
+
+    if (settings && settings.channel) {
+      getChannelForUser(settings.channel, req.user.id);
+    }
+
+    const batch = await enqueueBatch({ name, userId: req.user.id, settings, messages });
+    res.status(201).json(batch);
+  } catch (error) {
+    logger.error('Error creating outbound batch:', error.message);
+    next(error);
+  }
+};
+
+// Function to list recent batches
+const getBatches = async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const batches = await listBatches({ userId: req.user.id, limit });
+    res.json({ batches });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to retrieve a batch with its counters and messages
+const getBatchDetails = async (req, res, next) => {
+  try {
+    const batch = await assertBatchOwner(req.params.batchId, req.user.id);
+    const messages = await getBatchMessages(batch.id);
+    res.json({ ...batch, messages });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to pause a batch
+const pause = async (req, res, next) => {
+  try {
+    await assertBatchOwner(req.params.batchId, req.user.id);
+    res.json(await pauseBatch(req.params.batchId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to resume a batch
+const resume = async (req, res, next) => {
+  try {
+    await assertBatchOwner(req.params.batchId, req.user.id);
+    res.json(await resumeBatch(req.params.batchId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to cancel a batch
+const cancel = async (req, res, next) => {
+  try {
+    await assertBatchOwner(req.params.batchId, req.user.id);
+    res.json(await cancelBatch(req.params.batchId));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createBatch,
+  getBatches,
+  getBatchDetails,
+  pause,
+  resume,
+  cancel,
+};
@@ -0,0 +1,87 @@
+const {
+  listSessions,
+  getSessionForUser,
+  createSession,
+  logoutSession,
+  deleteSession,
+} = require('../services/whatsappSessions');
+const logger = require('../utils/logger');
+
+// Function to list the WhatsApp sessions of the authenticated user (plus the shared default session)
+const getSessions = async (req, res, next) => {
+  try {
+    res.json({ sessions: await listSessions(req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to create a WhatsApp session; its QR code is then available on /:id/qrcode
+// Body: { label }
+const create = async (req, res, next) => {
+  try {
+    const label = typeof req.body.label === 'string' ? req.body.label.trim() : '';
+    if (!label) {
+      return res.status(400).json({ error: 'label is required' });
+    }
+
+    res.status(201).json(await createSession({ label, userId: req.user.id }));
+  } catch (error) {
+    logger.error('Error creating WhatsApp session:', error.message);
+    next(error);
+  }
+};
+
+// Function to get the status of a session
+const getStatus = (req, res, next) => {
+  try {
+    const session = getSessionForUser(req.params.id, req.user.id);
+    res.json({ id: session.name, ...session.getStatus() });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to get the pending QR code of a session
+const getQrCode = (req, res, next) => {
+  try {
+    const qrcode = getSessionForUser(req.params.id, req.user.id).getQRCode();
+    if (!qrcode) {
+      return res.status(404).json({ error: 'QR code not available' });
+    }
+    res.json({ qrcode });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to unlink the phone of a session
+const logout = async (req, res, next) => {
+  try {
+    await logoutSession(req.params.id, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error logging out WhatsApp session ${req.params.id}:`, error.message);
+    next(error);
+  }
+};
+
+// Function to delete a session and its stored credentials
+const remove = async (req, res, next) => {
+  try {
+    await deleteSession(req.params.id, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error deleting WhatsApp session ${req.params.id}:`, error.message);
+    next(error);
+  }
+};
+
+module.exports = {
+  getSessions,
+  create,
+  getStatus,
+  getQrCode,
+  logout,
+  remove,
+};
@@ -0,0 +1,159 @@
+const { getVehicleById, getVehiclePriceHistory, getPriceDropSinceFirstContact, searchVehicles } = require('../models/vehicle');
+const { getPriceOffersForVehicle } = require('../models/priceoffer');
+const { findDuplicateClusters, mergeDuplicates, excludeDuplicates } = require('../services/vehicleDedup');
+const { getVehicleValuation } = require('../services/vehicleValuation');
+
+// Function to retrieve a vehicle of the authenticated user (404 otherwise)
+async function assertVehicleOwner(vehicleId, userId) {
+  const vehicle = await getVehicleById(vehicleId);
+  if (!vehicle || vehicle.user_id !== userId) {
+    const error = new Error('Vehicle not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return vehicle;
+}
+
+// Function to search the vehicles of the authenticated user
+// Query: search, contactStatus, sellerType, source ('all' or empty = no filter), minPrice, maxPrice, minYear, maxYear,
+//        showOnlyWithPhone, sortBy, page, limit, select=id (IDs only), ids (comma-separated)
+// Response: { vehicles, pagination: { page, limit, total, totalPages } }
+const search = async (req, res, next) => {
+  try {
+    const { query } = req;
+    const optional = (value) => (value && value !== 'all' ? value : null);
+    const { vehicles, total, page, limit } = await searchVehicles({
+      userId: req.user.id,
+      ids: query.ids ? String(query.ids).split(',').filter(Boolean) : null,
+      search: optional(query.search),
+      contactStatus: optional(query.contactStatus),
+      sellerType: optional(query.sellerType),
+      source: optional(query.source),
+      minPrice: parseInt(query.minPrice) || null,
+      maxPrice: parseInt(query.maxPrice) || null,
+      minYear: parseInt(query.minYear) || null,
+      maxYear: parseInt(query.maxYear) || null,
+      showOnlyWithPhone: query.showOnlyWithPhone === 'true',
+      sortBy: query.sortBy,
+      page: query.page,
+      limit: query.limit,
+      select: query.select
+    });
+
+    res.json({
+      vehicles,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to retrieve the asking-price history of a vehicle with the offers made on it
+// Response: { vehicle, history, offers, priceDrop } where priceDrop compares the price to the first contact
+const getPriceHistory = async (req, res, next) => {
+  try {
+    const vehicle = await assertVehicleOwner(req.params.vehicleId, req.user.id);
+    const [history, offers] = await Promise.all([
+      getVehiclePriceHistory(vehicle.id),
+      getPriceOffersForVehicle(vehicle.id)
+    ]);
+
+    res.json({
+      vehicle: {
+        id: vehicle.id,
+        price: vehicle.price,
+        mileage: vehicle.mileage,
+        firstContactedAt: vehicle.first_contacted_at,
+        firstContactPrice: vehicle.first_contact_price,
+        removedAt: vehicle.removed_at
+      },
+      history,
+      offers: offers.map(offer => ({
+        id: offer.id,
+        conversationId: offer.conversation_id,
+        price: offer.offered_price,
+        currency: offer.offer_currency,
+        status: offer.status,
+        createdAt: offer.created_at
+      })),
+      priceDrop: getPriceDropSinceFirstContact(vehicle)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to retrieve the market valuation of a vehicle (computed again when stale, or always on POST)
+// Response: { vehicleId, askingPrice, estimatedPrice, priceLow, priceHigh, targetPrice, confidence,
+//             comparablesCount, criteria, computedAt } - estimatedPrice is null without enough comparables
+const getValuation = async (req, res, next) => {
+  try {
+    const vehicle = await assertVehicleOwner(req.params.vehicleId, req.user.id);
+    const valuation = await getVehicleValuation(vehicle, { refresh: req.method === 'POST' });
+    const { askingPrice = null, ...criteria } = valuation.criteria || {};
+
+    res.json({
+      vehicleId: vehicle.id,
+      askingPrice,
+      estimatedPrice: valuation.estimated_price,
+      priceLow: valuation.price_low,
+      priceHigh: valuation.price_high,
+      targetPrice: valuation.target_price,
+      confidence: valuation.confidence,
+      comparablesCount: valuation.comparables_count,
+      criteria,
+      computedAt: valuation.computed_at
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to list the clusters of vehicles of the user that look like the same car
+// Response: { clusters: [{ vehicles, matches: [{ vehicleIds, similarity, reasons }], suggestedSurvivorId }] }
+const getDuplicates = async (req, res, next) => {
+  try {
+    res.json({ clusters: await findDuplicateClusters(req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to merge duplicates into the vehicle kept; its conversations, offers and history are moved to it
+// Body: { survivorId, vehicleIds: [ids of the duplicates] }
+const mergeDuplicateVehicles = async (req, res, next) => {
+  try {
+    const { survivorId, vehicleIds } = req.body;
+    if (!survivorId || !Array.isArray(vehicleIds)) {
+      return res.status(400).json({ error: 'survivorId and vehicleIds are required' });
+    }
+    res.json({ success: true, vehicle: await mergeDuplicates(req.user.id, survivorId, vehicleIds) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Function to mark vehicles as different cars, so they are no longer suggested as duplicates
+// Body: { vehicleIds: [at least two ids] }
+const excludeDuplicateVehicles = async (req, res, next) => {
+  try {
+    const { vehicleIds } = req.body;
+    if (!Array.isArray(vehicleIds)) {
+      return res.status(400).json({ error: 'vehicleIds must be an array' });
+    }
+    await excludeDuplicates(req.user.id, vehicleIds);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  search,
+  getDuplicates,
+  mergeDuplicateVehicles,
+  excludeDuplicateVehicles,
+  getPriceHistory,
+  getValuation,
+};
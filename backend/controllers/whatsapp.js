@@ -1,10 +1,14 @@
-const { getWhatsAppStatus, getQRCode, sendWhatsAppMessage, initializeWhatsAppClient } = require('../services/whatsapp');
-const { findOrCreateConversation } = require('../models/conversation'); // Needed to get conversation ID for saving message
-const { saveMessage } = require('../models/message'); // Needed to save outgoing message
-const { updateVehicleContactStatus } = require('../models/vehicle'); // Needed to update vehicle status
+const { getWhatsAppStatus, getQRCode } = require('../services/whatsapp');
+const { getChannel } = require('../services/channels');
+const { getWhatsAppHealth } = require('../services/whatsappSupervisor');
+const { fetchMediaFromUrl } = require('../services/mediaStorage');
+const { sendOutgoingMessage } = require('../services/messageSender');
+const { getOwnedVehicleIds } = require('../models/vehicle');
+const { getRecentMessagesByUser } = require('../models/message');
 const logger = require('../utils/logger');
 const { io } = require('../config/server'); // Import io for WebSocket emission
 const { saveConversationToSupabase } = require('../services/supabaseSync'); // Import the sync function
+const { syncConversation, startHistorySync, getHistorySyncStatus } = require('../services/historySync');
 const { supabase } = require('../services/database'); // Import supabase
 
 // Function to get WhatsApp status
@@ -14,6 +18,12 @@ const getStatus = (req, res) => {
   res.json(status);
 };
 
+// Function to get the detailed health of the WhatsApp sessions of the user (default session and their own)
+// Response: { status: 'healthy' | 'degraded' | 'down', serverUptimeSeconds, supervisor, sessions }
+const getHealth = (req, res) => {
+  res.json(getWhatsAppHealth(req.user.id));
+};
+
 // Function to get QR code
 const getQrCode = (req, res) => {
   logger.info('QR code request received');
@@ -25,197 +35,106 @@ const getQrCode = (req, res) => {
   }
 };
 
+// Function to parse the optional location pin of a send request
+function parseLocation(body) {
+  if (body.latitude === undefined && body.longitude === undefined) {
+    return null;
+  }
+  const latitude = parseFloat(body.latitude);
+  const longitude = parseFloat(body.longitude);
+  if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return undefined;
+  }
+  return { latitude, longitude, name: body.locationName || null, address: body.locationAddress || null };
+}
+
 // Function to handle message sending
+// Accepts JSON or multipart/form-data: a text `message`, an uploaded `file` or a `mediaUrl`
+// (sent with `message` as caption), or a location pin (`latitude`, `longitude`, `locationName`, `locationAddress`)
+// `session` picks the WhatsApp session to send from (default: the conversation's, else the user's)
 const sendMessage = async (req, res) => {
   logger.info('Received message send request', req.body);
   try {
-    const { number, message, vehicleId, userId } = req.body;
+    const { number, vehicleId, mediaUrl, fileName, session } = req.body;
+    const message = req.body.message || '';
+    const location = parseLocation(req.body);
 
-    if (!number || !message) {
-      return res.status(400).json({ error: 'Number and message are required' });
+    if (location === undefined) {
+      return res.status(400).json({ error: 'Invalid latitude/longitude' });
     }
 
-    // Find or create the conversation
-    const conversation = await findOrCreateConversation(number, vehicleId, userId);
-
-    if (!conversation) {
-      return res.status(500).json({ error: 'Could not create conversation' });
+    if (!number || (!message && !req.file && !mediaUrl && !location)) {
+      return res.status(400).json({ error: 'Number and message, file, mediaUrl or location are required' });
     }
 
-    // Send the message via WhatsApp service
-    const sentMessage = await sendWhatsAppMessage(number, message, vehicleId, userId);
-
-    // Store the message in the messages table
-    const savedMessage = await saveMessage(
-      conversation.id,
-      message,
-      true, // isFromMe
-      sentMessage.id._serialized,
-      new Date().toISOString(),
-      userId || conversation.user_id
-    );
-
-
-    if (!savedMessage) {
-      logger.error('Error storing outgoing message after sending.');
-      // Continue without sending WebSocket if saving failed, but respond success to API
-    } else {
-      // Update the last message date
-      await supabase.from('conversations').update({ last_message_at: new Date().toISOString() }).eq('id', conversation.id);
-
-      // Update vehicle contact status if available
-      if (conversation.vehicle_id) {
-        await updateVehicleContactStatus(conversation.vehicle_id, userId || conversation.user_id);
-      }
-
-      // Retrieve vehicle information if available (for WebSocket emission)
-      let vehicle = null;
-      if (conversation.vehicle_id) {
-        const { data: vehicleData } = await supabase
-          .from('vehicles')
-          .select('id, brand, model, year, image_url')
-          .eq('id', conversation.vehicle_id)
-          .single();
-        vehicle = vehicleData;
-      }
+    if (vehicleId && !(await getOwnedVehicleIds([vehicleId], req.user.id)).has(vehicleId)) {
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
 
-      // Create a formatted message object for the client
-      const formattedMessage = {
-        id: savedMessage.id, // Use the DB ID
-        message_id: sentMessage.id._serialized, // Original WhatsApp ID
-        from: 'me',
-        to: number,
-        body: message,
-        timestamp: new Date(savedMessage.timestamp).getTime() / 1000, // Use saved timestamp
-        isFromMe: true,
-        chatName: vehicle ? `${vehicle.brand} ${vehicle.model}` : 'Unnamed Chat',
-        chatId: conversation.chat_id || conversation.id, // Use conversation chatId or ID
-        conversation_id: conversation.id,
-        vehicle: vehicle
+    // Resolve the media to send (uploaded file or URL reference)
+    let media = null;
+    if (req.file) {
+      media = {
+        data: req.file.buffer.toString('base64'),
+        mimetype: req.file.mimetype,
+        filename: fileName || req.file.originalname || null
       };
-
-      // Emit the new message event to all connected clients
-      logger.info('WebSocket Emission (outgoing message) - Details:', JSON.stringify(formattedMessage, null, 2));
-      logger.info('Connected WebSocket clients:', io.engine.clientsCount);
-
-      io.emit('new_message', formattedMessage);
-      logger.info('Message emitted via WebSocket:', formattedMessage.body);
+    } else if (mediaUrl) {
+      media = await fetchMediaFromUrl(mediaUrl, fileName);
     }
 
+    const { messageId, conversationId } = await sendOutgoingMessage({
+      number,
+      message,
+      media,
+      location,
+      vehicleId,
+      userId: req.user.id,
+      channelName: session || null
+    });
 
     res.json({
       success: true,
-      messageId: sentMessage.id._serialized,
-      conversationId: conversation.id
+      messageId,
+      conversationId
     });
   } catch (error) {
     logger.error('Send message error:', error.message, error); // Log the error object as well
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 };
 
-// Function to retrieve recent messages from WhatsApp with more information
+// Function to retrieve the recent messages of the user
+// Served from the stored messages (live messages and history sync, see POST /sync-all-conversations):
+// reading them never fetches the chats from WhatsApp
 const getRecentMessages = async (req, res) => {
   try {
-    const whatsappClient = require('../services/whatsapp').getWhatsAppClient(); // Get client instance
-
-    if (!whatsappClient || !whatsappClient.info) {
-      return res.status(503).json({
-        error: 'WhatsApp client is not connected',
-        status: 'disconnected'
-      });
-    }
-
-    logger.info('Retrieving WhatsApp messages...');
-
-    // Retrieve all chats
-    const chats = await whatsappClient.getChats();
-    logger.info(`${chats.length} chats found`);
-
-    // Array to store all messages
-    let allMessages = [];
-
-    // Array to store formatted conversations
-    let formattedConversations = [];
-
-    // Number of chats to process (limit this number for better performance)
-    const chatLimit = Math.min(100, chats.length); // Increased to 100 to see more conversations
-
-    // For each chat, retrieve recent messages
-    for (let i = 0; i < chatLimit; i++) {
-      const chat = chats[i];
-      try {
-        // Get additional chat information
-        const contact = await chat.getContact();
-
-        // Retrieve recent messages (maximum 30 per chat)
-        const messages = await chat.fetchMessages({ limit: 30 });
-
-        // Format messages
-        const formattedMessages = messages.map(msg => ({
-          id: msg.id.id,
-          from: msg.from,
-          to: msg.to,
-          body: msg.body,
-          timestamp: msg.timestamp,
-          isFromMe: msg.fromMe,
-          chatName: chat.name || contact.pushname || contact.number || 'Unnamed Chat',
-          chatId: chat.id._serialized,
-          contact: {
-            number: contact.number,
-            name: contact.pushname || contact.name || '',
-            isGroup: chat.isGroup
-          }
-        }));
-
-        // Add to the array of all messages
-        allMessages = [...allMessages, ...formattedMessages];
-
-        // Add the formatted conversation
-        if (!contact.isGroup) {
-          formattedConversations.push({
-            chatId: chat.id._serialized,
-            chatName: chat.name || contact.pushname || contact.number || 'Unnamed Chat',
-            contact: {
-              number: contact.number,
-              name: contact.pushname || contact.name || '',
-              isGroup: contact.isGroup
-            },
-            messages: formattedMessages,
-            messageCount: formattedMessages.length
-          });
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 1000);
+    const messages = await getRecentMessagesByUser(req.user.id, limit);
+
+    const allMessages = messages.map(msg => {
+      const conversation = msg.conversations;
+      const vehicle = conversation.vehicles;
+      return {
+        id: msg.message_id || msg.id,
+        from: msg.is_from_me ? 'me' : conversation.phone_number,
+        to: msg.is_from_me ? conversation.phone_number : 'me',
+        body: msg.body,
+        timestamp: Math.floor(new Date(msg.timestamp).getTime() / 1000),
+        isFromMe: msg.is_from_me,
+        chatName: vehicle ? `${vehicle.brand} ${vehicle.model}` : conversation.phone_number || 'Unnamed Chat',
+        chatId: conversation.id,
+        conversation_id: conversation.id,
+        contact: {
+          number: conversation.phone_number,
+          name: '',
+          isGroup: false
         }
-      } catch (err) {
-        logger.error(`Error retrieving messages for chat ${chat.name}:`, err);
-      }
-    }
-
-    // Sort messages by timestamp (most recent first)
-    allMessages.sort((a, b) => b.timestamp - a.timestamp);
+      };
+    });
 
     logger.info(`Total of ${allMessages.length} messages retrieved`);
 
-    // Save conversations to Supabase
-    logger.info('Saving recent conversations to Supabase...');
-
-    // Statistics for saving to Supabase
-    let conversationsSaved = 0;
-    let totalMessagesSaved = 0;
-
-    // Save each non-group conversation to Supabase
-    for (const conversation of formattedConversations) {
-      if (!conversation.contact.isGroup) {
-        const result = await saveConversationToSupabase(conversation);
-        if (result) {
-          conversationsSaved++;
-          totalMessagesSaved += result.messagesCreated;
-        }
-      }
-    }
-    logger.info(`${conversationsSaved} recent conversations saved to Supabase`);
-    logger.info(`${totalMessagesSaved} recent messages saved to Supabase`);
-
-
     return res.json(allMessages);
   } catch (error) {
     logger.error('Exception retrieving WhatsApp messages:', error);
@@ -279,6 +198,7 @@ const updateContactedVehicles = async (req, res) => {
              return supabase
                 .from('vehicles')
                 .update({ contact_status: 'contacted' })
+                .eq('user_id', req.user.id) // Only the vehicles of the authenticated user
                 .filter('phone', 'ilike', `%${formattedNumber}%`); // Using ilike for partial match
         });
     });
@@ -352,7 +272,7 @@ const getAllWhatsAppConversations = async (req, res) => {
 
         // Format messages
         const formattedMessages = messages.map(msg => ({
-          id: msg.id.id,
+          id: msg.id._serialized, // Same ID as the live messages and the history sync
           from: msg.from,
           to: msg.to,
           body: msg.body,
@@ -414,6 +334,7 @@ const getAllWhatsAppConversations = async (req, res) => {
           const { error } = await supabase
             .from('vehicles')
             .update({ contact_status: 'contacted' })
+            .eq('user_id', req.user.id) // Only the vehicles of the authenticated user
             .filter('phone', 'ilike', `%${formattedNumber}%`);
 
           if (error) {
@@ -435,7 +356,7 @@ const getAllWhatsAppConversations = async (req, res) => {
     // Save each non-group conversation to Supabase
     for (const conversation of allConversations) {
       if (!conversation.contact.isGroup) {
-        const result = await saveConversationToSupabase(conversation);
+        const result = await saveConversationToSupabase(conversation, req.user.id);
         if (result) {
           conversationsSaved++;
           totalMessagesSaved += result.messagesCreated;
@@ -466,27 +387,18 @@ const getAllWhatsAppConversations = async (req, res) => {
   }
 };
 
-// Nouvelle fonction pour synchroniser l'historique des messages d'une conversation
+// Function to sync the messages of a conversation received or sent since its last sync
 const syncConversationHistory = async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const whatsappClient = require('../services/whatsapp').getWhatsAppClient();
-    const { supabase } = require('../services/database');
-    const { saveMessage } = require('../models/message');
-
-    if (!whatsappClient || !whatsappClient.info) {
-      return res.status(503).json({
-        error: 'WhatsApp client is not connected',
-        status: 'disconnected'
-      });
-    }
 
     // Récupérer les informations de la conversation depuis la DB
     const { data: conversation, error: convError } = await supabase
       .from('conversations')
-      .select('*')
+      .select('id, phone_number, channel, user_id, last_message_at')
       .eq('id', conversationId)
-      .single();
+      .eq('user_id', req.user.id)
+      .maybeSingle();
 
     if (convError || !conversation) {
       return res.status(404).json({ error: 'Conversation not found' });
@@ -494,225 +406,36 @@ const syncConversationHistory = async (req, res) => {
 
     logger.info(`Synchronizing history for conversation ${conversationId} (${conversation.phone_number})`);
 
-    // Trouver le chat WhatsApp correspondant
-    const chats = await whatsappClient.getChats();
-    const targetChat = chats.find(chat => {
-      const chatNumber = chat.id._serialized.replace('@c.us', '');
-      const conversationNumber = conversation.phone_number.replace('@c.us', '');
-      return chatNumber === conversationNumber;
-    });
+    const result = await syncConversation(conversation);
 
-    if (!targetChat) {
-      return res.status(404).json({ error: 'WhatsApp chat not found for this conversation' });
-    }
-
-    // Récupérer tous les messages de ce chat
-    logger.info('Fetching messages from WhatsApp...');
-    const messages = await targetChat.fetchMessages({ limit: 999999 });
-    logger.info(`${messages.length} messages found in WhatsApp`);
-
-    // Récupérer les messages existants dans la DB pour éviter les doublons
-    const { data: existingMessages } = await supabase
-      .from('messages')
-      .select('message_id')
-      .eq('conversation_id', conversationId);
-
-    const existingMessageIds = new Set(existingMessages?.map(m => m.message_id) || []);
-
-    let newMessagesSaved = 0;
-    let skippedMessages = 0;
-
-    // Sauvegarder chaque message qui n'existe pas déjà
-    for (const msg of messages) {
-      const messageId = msg.id._serialized;
-      
-      if (existingMessageIds.has(messageId)) {
-        skippedMessages++;
-        continue;
-      }
-
-      try {
-        const savedMessage = await saveMessage(
-          conversationId,
-          msg.body,
-          msg.fromMe,
-          messageId,
-          new Date(msg.timestamp * 1000).toISOString(),
-          conversation.user_id
-        );
-
-        if (savedMessage) {
-          newMessagesSaved++;
-        }
-      } catch (err) {
-        logger.error(`Error saving message ${messageId}:`, err);
-      }
-    }
-
-    // Mettre à jour la date du dernier message
-    if (messages.length > 0) {
-      const latestMessage = messages.reduce((latest, msg) => 
-        msg.timestamp > latest.timestamp ? msg : latest
-      );
-      
-      await supabase
-        .from('conversations')
-        .update({ last_message_at: new Date(latestMessage.timestamp * 1000).toISOString() })
-        .eq('id', conversationId);
-    }
-
-    logger.info(`Synchronization complete: ${newMessagesSaved} new messages saved, ${skippedMessages} skipped`);
+    logger.info(`Synchronization complete: ${result.newMessages} new messages saved`);
 
     res.json({
       success: true,
       conversationId,
-      totalMessages: messages.length,
-      newMessagesSaved,
-      skippedMessages,
+      totalMessages: result.fetched,
+      newMessagesSaved: result.newMessages,
+      skippedMessages: result.fetched - result.newMessages,
       message: `Synchronization complete for conversation ${conversationId}`
     });
 
   } catch (error) {
     logger.error('Error synchronizing conversation history:', error);
-    res.status(500).json({
-      error: 'Server error during synchronization',
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Server error during synchronization',
       details: error.message
     });
   }
 };
 
-// Nouvelle fonction pour synchroniser l'historique de toutes les conversations
+// Function to start the background sync of every conversation of the user (resumes the one not finished)
+// Progress is pushed with 'history_sync_progress' events and available from GET /sync-status
 const syncAllConversationsHistory = async (req, res) => {
   try {
-    const whatsappClient = require('../services/whatsapp').getWhatsAppClient();
-    const { supabase } = require('../services/database');
-    const { saveMessage } = require('../models/message');
-
-    if (!whatsappClient || !whatsappClient.info) {
-      return res.status(503).json({
-        error: 'WhatsApp client is not connected',
-        status: 'disconnected'
-      });
-    }
-
-    logger.info('Starting synchronization of all conversations...');
-
-    // Récupérer toutes les conversations de la DB
-    const { data: conversations, error: convError } = await supabase
-      .from('conversations')
-      .select('*')
-      .order('last_message_at', { ascending: false })
-      .limit(200); // Augmenter à 200 conversations pour couvrir plus de pages
-
-    if (convError) {
-      return res.status(500).json({ error: 'Error fetching conversations from database' });
-    }
-
-    logger.info(`Found ${conversations.length} conversations to sync`);
-
-    // Récupérer tous les chats WhatsApp
-    const chats = await whatsappClient.getChats();
-    
-    let totalNewMessages = 0;
-    let conversationsSynced = 0;
-    const syncResults = [];
-
-    // Pour chaque conversation dans la DB
-    for (const conversation of conversations) {
-      try {
-        // Trouver le chat WhatsApp correspondant
-        const targetChat = chats.find(chat => {
-          const chatNumber = chat.id._serialized.replace('@c.us', '');
-          const conversationNumber = conversation.phone_number.replace('@c.us', '');
-          return chatNumber === conversationNumber;
-        });
-
-        if (!targetChat) {
-          logger.warn(`WhatsApp chat not found for conversation ${conversation.id} (${conversation.phone_number})`);
-          continue;
-        }
-
-        // Récupérer les messages de ce chat
-        const messages = await targetChat.fetchMessages({ limit: 100 }); // Limiter à 100 messages par conversation
-
-        // Récupérer les messages existants dans la DB pour éviter les doublons
-        const { data: existingMessages } = await supabase
-          .from('messages')
-          .select('message_id')
-          .eq('conversation_id', conversation.id);
-
-        const existingMessageIds = new Set(existingMessages?.map(m => m.message_id) || []);
-
-        let newMessagesForThisConv = 0;
-
-        // Sauvegarder chaque message qui n'existe pas déjà
-        for (const msg of messages) {
-          const messageId = msg.id._serialized;
-          
-          if (existingMessageIds.has(messageId)) {
-            continue;
-          }
-
-          try {
-            const savedMessage = await saveMessage(
-              conversation.id,
-              msg.body,
-              msg.fromMe,
-              messageId,
-              new Date(msg.timestamp * 1000).toISOString(),
-              conversation.user_id
-            );
-
-            if (savedMessage) {
-              newMessagesForThisConv++;
-              totalNewMessages++;
-            }
-          } catch (err) {
-            logger.error(`Error saving message ${messageId}:`, err);
-          }
-        }
-
-        // Mettre à jour la date du dernier message si nécessaire
-        if (messages.length > 0) {
-          const latestMessage = messages.reduce((latest, msg) => 
-            msg.timestamp > latest.timestamp ? msg : latest
-          );
-          
-          await supabase
-            .from('conversations')
-            .update({ last_message_at: new Date(latestMessage.timestamp * 1000).toISOString() })
-            .eq('id', conversation.id);
-        }
-
-        if (newMessagesForThisConv > 0) {
-          conversationsSynced++;
-          syncResults.push({
-            conversationId: conversation.id,
-            phoneNumber: conversation.phone_number,
-            newMessages: newMessagesForThisConv
-          });
-        }
-
-        logger.info(`Conversation ${conversation.id}: ${newMessagesForThisConv} new messages synced`);
-
-      } catch (err) {
-        logger.error(`Error syncing conversation ${conversation.id}:`, err);
-      }
-    }
-
-    logger.info(`Synchronization complete: ${totalNewMessages} total new messages synced across ${conversationsSynced} conversations`);
-
-    res.json({
-      success: true,
-      totalNewMessages,
-      conversationsSynced,
-      totalConversationsChecked: conversations.length,
-      syncResults,
-      message: `Synchronization complete: ${totalNewMessages} new messages synced`
-    });
-
+    await startHistorySync(req.user.id);
+    res.status(202).json({ success: true, sync: await getHistorySyncStatus(req.user.id) });
   } catch (error) {
-    logger.error('Error synchronizing all conversations history:', error);
+    logger.error('Error starting history sync:', error);
     res.status(500).json({
       error: 'Server error during bulk synchronization',
       details: error.message
@@ -720,11 +443,21 @@ const syncAllConversationsHistory = async (req, res) => {
   }
 };
 
+// Function to get the progress of the last history sync of the user
+// Response: { sync: { runId, status, processed, total, messagesSaved, errors, active, ... } | null }
+const getSyncStatus = async (req, res, next) => {
+  try {
+    res.json({ sync: await getHistorySyncStatus(req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Function to initialize WhatsApp client manually
 const initializeClient = async (req, res) => {
   try {
     logger.info('Manual WhatsApp client initialization requested');
-    await initializeWhatsAppClient(io);
+    await getChannel('whatsapp').initialize(io);
     res.json({ success: true, message: 'WhatsApp client initialized successfully' });
   } catch (error) {
     logger.error('Failed to initialize WhatsApp client:', error);
@@ -734,6 +467,7 @@ const initializeClient = async (req, res) => {
 
 module.exports = {
   getStatus,
+  getHealth,
   getQrCode,
   sendMessage,
   initializeClient,
@@ -742,4 +476,5 @@ module.exports = {
   getAllWhatsAppConversations,
   syncConversationHistory,
   syncAllConversationsHistory,
+  getSyncStatus,
 };
@@ -0,0 +1,47 @@
+-- Import des annonces AutoScout24: recherches enregistrées, re-scrapées à intervalle régulier,
+-- et rapport de chaque exécution (annonces nouvelles / modifiées / retirées)
+
+-- Une annonce n'est importée qu'une fois par utilisateur (clé de l'upsert)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicles_user_listing_url ON vehicles(user_id, listing_url);
+
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS external_id TEXT;         -- identifiant AutoScout24 (guid)
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS source TEXT;              -- 'autoscout24' pour les annonces importées
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ; -- dernière exécution où l'annonce était en ligne
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS removed_at TIMESTAMPTZ;   -- annonce disparue des résultats de sa recherche
+
+CREATE TABLE IF NOT EXISTS autoscout_searches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id),
+  name VARCHAR NOT NULL,
+  url TEXT NOT NULL,                          -- URL de la page de résultats (https://www.autoscout24.be/fr/lst?...)
+  max_pages INTEGER NOT NULL DEFAULT 1,
+  interval_minutes INTEGER NOT NULL DEFAULT 360,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  next_run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_run_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_autoscout_searches_due ON autoscout_searches(enabled, next_run_at);
+
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS autoscout_search_id UUID REFERENCES autoscout_searches(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS autoscout_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  search_id UUID NOT NULL REFERENCES autoscout_searches(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+  status VARCHAR NOT NULL DEFAULT 'running', -- 'running' | 'completed' | 'failed'
+  pages_scraped INTEGER NOT NULL DEFAULT 0,
+  listings_count INTEGER NOT NULL DEFAULT 0,
+  new_count INTEGER NOT NULL DEFAULT 0,
+  changed_count INTEGER NOT NULL DEFAULT 0,
+  removed_count INTEGER NOT NULL DEFAULT 0,
+  report JSONB NOT NULL DEFAULT '{}',        -- { new: [...], changed: [{ ..., changes }], removed: [...] }
+  error TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_autoscout_runs_search ON autoscout_runs(search_id, started_at DESC);
@@ -0,0 +1,21 @@
+-- Campagnes d'envoi groupé (modèle + filtre de véhicules), envoyées via la file outbound_messages
+-- À exécuter après create_outbound_queue_tables.sql
+
+CREATE TABLE IF NOT EXISTS campaigns (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id),
+  name VARCHAR NOT NULL,
+  template TEXT NOT NULL,                     -- variables {{brand}} {{model}} {{price}} {{year}} ...
+  vehicle_filter JSONB NOT NULL DEFAULT '{}',
+  settings JSONB NOT NULL DEFAULT '{}',       -- transmis au batch: { minDelay, maxDelay, maxPerHour }
+  status VARCHAR NOT NULL DEFAULT 'scheduled', -- 'scheduled' | 'running' | 'paused' | 'completed' | 'cancelled' | 'failed'
+  scheduled_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  batch_id UUID REFERENCES outbound_batches(id) ON DELETE SET NULL,
+  recipients_count INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_due ON campaigns(status, scheduled_at);
@@ -0,0 +1,8 @@
+-- Informations extraites des messages des vendeurs (services/factExtraction)
+-- Kilométrage corrigé, historique d'entretien, accident, nombre de propriétaires et disponibilités
+-- pour une visite, sous forme JSONB: { "<type>": { value, details, confidence, excerpt, messageId,
+-- extractedAt, previousValue } }. conversations.facts contient les informations de la conversation,
+-- vehicles.seller_facts celles de toutes les conversations sur le véhicule (la plus récente l'emporte).
+
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS facts JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS seller_facts JSONB NOT NULL DEFAULT '{}'::jsonb;
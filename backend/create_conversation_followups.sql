@@ -0,0 +1,23 @@
+-- Relances automatiques des vendeurs sans réponse (services/followUps.js)
+-- Chaque étape d'une séquence (J+1, J+3, J+7...) est envoyée via la file outbound_messages
+-- À exécuter après create_outbound_queue_tables.sql et create_conversation_state_machine.sql
+
+CREATE TABLE IF NOT EXISTS conversation_followups (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+  step INTEGER NOT NULL,                        -- ordre dans la séquence (1, 2, 3...)
+  delay_hours INTEGER NOT NULL,                 -- délai depuis l'activation de la séquence (J+1 = 24)
+  body TEXT NOT NULL,                           -- variables {{brand}} {{model}} {{price}} ...
+  status VARCHAR NOT NULL DEFAULT 'scheduled',  -- 'scheduled' | 'queued' | 'sent' | 'failed' | 'cancelled'
+  due_at TIMESTAMPTZ NOT NULL,
+  batch_id UUID REFERENCES outbound_batches(id) ON DELETE SET NULL,
+  cancel_reason VARCHAR,                        -- 'reply' | 'state' | 'manual'
+  last_error TEXT,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_followups_due ON conversation_followups(status, due_at);
+CREATE INDEX IF NOT EXISTS idx_conversation_followups_conversation ON conversation_followups(conversation_id, step);
@@ -0,0 +1,27 @@
+-- Machine à états des conversations (config/stateMachine.js, services/conversationState.js)
+-- Les règles de transition sont enregistrées avec la configuration IA (ai_config.state_machine);
+-- chaque changement d'état est historisé dans conversation_state_history.
+-- États: 'active' | 'negotiation' | 'manual' | 'completed' | 'archived'
+-- Déclencheurs: 'manual' (tableau de bord ou API) | 'rule' (règle automatique, rule_id)
+
+ALTER TABLE ai_config ADD COLUMN IF NOT EXISTS state_machine JSONB;
+
+-- Le bot ne répond pas quand bot_paused est vrai (hooks pause_bot / resume_bot)
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS bot_paused BOOLEAN NOT NULL DEFAULT false;
+UPDATE conversations SET bot_paused = true WHERE state IS NOT NULL AND state <> 'active';
+
+CREATE TABLE IF NOT EXISTS conversation_state_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id UUID,
+  from_state VARCHAR,
+  to_state VARCHAR NOT NULL,
+  trigger VARCHAR NOT NULL DEFAULT 'manual',
+  rule_id VARCHAR,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_state_history_conversation ON conversation_state_history(conversation_id, created_at);
+-- Recherche des conversations silencieuses (règle 'silence')
+CREATE INDEX IF NOT EXISTS idx_conversations_state_last_message ON conversations(state, last_message_at);
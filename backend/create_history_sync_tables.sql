@@ -0,0 +1,35 @@
+-- Synchronisation incrémentale de l'historique WhatsApp (services/historySync.js)
+-- Un point de reprise par discussion: seuls les messages plus récents sont récupérés à la synchronisation suivante
+-- À exécuter après add_unique_message_id.sql (les messages sont insérés par lots avec un upsert sur message_id)
+
+CREATE TABLE IF NOT EXISTS chat_sync_checkpoints (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  channel VARCHAR NOT NULL,                     -- canal (session WhatsApp) de la discussion
+  chat_id VARCHAR NOT NULL,                     -- adresse de la discussion (33612345678@c.us)
+  conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+  last_message_id VARCHAR,                      -- ID WhatsApp du dernier message synchronisé
+  last_message_at TIMESTAMPTZ,
+  messages_synced INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (channel, chat_id)
+);
+
+-- Synchronisations en arrière-plan: une synchronisation interrompue (redémarrage du serveur, WhatsApp
+-- déconnecté) reste 'running' et reprend à la conversation `processed_count`
+CREATE TABLE IF NOT EXISTS history_sync_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id),
+  conversation_ids UUID[] NOT NULL,             -- conversations à synchroniser, dans l'ordre
+  processed_count INTEGER NOT NULL DEFAULT 0,
+  messages_saved INTEGER NOT NULL DEFAULT 0,
+  errors_count INTEGER NOT NULL DEFAULT 0,
+  status VARCHAR NOT NULL DEFAULT 'running',    -- 'running' | 'completed' | 'failed'
+  last_error TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_history_sync_runs_user ON history_sync_runs(user_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_history_sync_runs_status ON history_sync_runs(status);
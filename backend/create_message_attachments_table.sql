@@ -0,0 +1,25 @@
+-- Pièces jointes des messages (photos, notes vocales, documents, vidéos)
+-- À exécuter dans l'éditeur SQL de Supabase
+
+CREATE TABLE IF NOT EXISTS message_attachments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+  media_type VARCHAR NOT NULL,            -- 'image' | 'voice' | 'audio' | 'video' | 'document'
+  mime_type VARCHAR NOT NULL,
+  file_name VARCHAR,
+  file_size BIGINT,
+  storage VARCHAR NOT NULL DEFAULT 'local', -- 'local' | 'supabase'
+  storage_path VARCHAR NOT NULL,
+  url TEXT NOT NULL,
+  user_id UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_attachments_message_id ON message_attachments(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_attachments_conversation_id ON message_attachments(conversation_id);
+
+-- Bucket Supabase Storage utilisé quand MEDIA_STORAGE=supabase (privé: lu par URL signée)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('message-media', 'message-media', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,37 @@
+-- File d'envoi persistante côté serveur (envois groupés, campagnes)
+-- À exécuter dans l'éditeur SQL de Supabase
+
+CREATE TABLE IF NOT EXISTS outbound_batches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id),
+  name VARCHAR,
+  status VARCHAR NOT NULL DEFAULT 'running', -- 'running' | 'paused' | 'cancelled' | 'completed'
+  settings JSONB NOT NULL DEFAULT '{}',       -- { minDelay, maxDelay, maxPerHour } (secondes / messages)
+  total INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS outbound_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  batch_id UUID NOT NULL REFERENCES outbound_batches(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+  vehicle_id UUID REFERENCES vehicles(id) ON DELETE SET NULL,
+  recipient VARCHAR NOT NULL,               -- numéro normalisé
+  body TEXT NOT NULL,
+  status VARCHAR NOT NULL DEFAULT 'queued', -- 'queued' | 'sending' | 'sent' | 'failed' | 'cancelled'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_error TEXT,
+  message_id VARCHAR,                       -- identifiant WhatsApp une fois envoyé
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_due ON outbound_messages(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_batch ON outbound_messages(batch_id);
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_recipient_sent ON outbound_messages(recipient, sent_at);
@@ -0,0 +1,13 @@
+-- Négociation autour des offres de prix (price_offers)
+-- Une offre détectée dans un message du vendeur peut être acceptée, refusée ou recevoir une contre-offre;
+-- chaque offre pointe vers celle à laquelle elle répond (parent_offer_id), ce qui forme le fil de
+-- négociation de la conversation: offre -> contre-offre -> offre...
+-- Statuts: 'pending' | 'accepted' | 'rejected' | 'countered' | 'superseded'
+
+ALTER TABLE price_offers ADD COLUMN IF NOT EXISTS direction VARCHAR NOT NULL DEFAULT 'seller'; -- 'seller' (reçue) | 'buyer' (notre contre-offre)
+ALTER TABLE price_offers ADD COLUMN IF NOT EXISTS parent_offer_id UUID REFERENCES price_offers(id) ON DELETE SET NULL;
+ALTER TABLE price_offers ADD COLUMN IF NOT EXISTS responded_at TIMESTAMPTZ;
+
+UPDATE price_offers SET status = 'pending' WHERE status IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_price_offers_conversation ON price_offers(conversation_id, created_at);
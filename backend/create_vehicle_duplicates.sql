@@ -0,0 +1,23 @@
+-- Dédoublonnage des véhicules (même voiture remise en ligne, ou publiée sur deux sites)
+-- Un doublon fusionné reste en base (merged_into pointe vers le véhicule conservé) mais n'apparaît plus
+-- dans les recherches; ses conversations, offres et son historique de prix passent au véhicule conservé.
+-- À exécuter après create_vehicle_price_history.sql
+
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS image_hash TEXT;         -- hash perceptuel (dHash, 16 caractères hexadécimaux) de image_url
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS merged_into UUID REFERENCES vehicles(id) ON DELETE SET NULL;
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS merged_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_vehicles_user_phone ON vehicles(user_id, phone);
+CREATE INDEX IF NOT EXISTS idx_vehicles_merged_into ON vehicles(merged_into);
+
+-- Paires signalées comme "pas un doublon" depuis le dashboard (vehicle_id < other_vehicle_id)
+CREATE TABLE IF NOT EXISTS vehicle_duplicate_exclusions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id),
+  vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+  other_vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (vehicle_id, other_vehicle_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_duplicate_exclusions_user ON vehicle_duplicate_exclusions(user_id);
@@ -0,0 +1,91 @@
+-- Historique des prix et des changements d'annonce des véhicules
+-- Alimenté par des triggers: chaque insertion ou mise à jour de vehicles (import AutoScout24,
+-- enregistrement manuel, modification depuis le dashboard) est enregistrée, quelle que soit son origine.
+-- À exécuter après create_autoscout_tables.sql (colonnes removed_at / last_seen_at)
+
+CREATE TABLE IF NOT EXISTS vehicle_price_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  vehicle_id UUID NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+  event VARCHAR NOT NULL,          -- 'listed' | 'price_changed' | 'mileage_changed' | 'removed' | 'relisted'
+  price NUMERIC,                   -- prix demandé après l'événement
+  previous_price NUMERIC,
+  mileage INTEGER,
+  previous_mileage INTEGER,
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_price_history_vehicle ON vehicle_price_history(vehicle_id, recorded_at);
+
+-- Prix demandé au premier contact, pour signaler une baisse depuis
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS first_contacted_at TIMESTAMPTZ;
+ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS first_contact_price NUMERIC;
+
+-- Enregistre le premier contact (contact_status passe à 'contacted')
+CREATE OR REPLACE FUNCTION record_vehicle_first_contact()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.contact_status = 'contacted' AND NEW.first_contacted_at IS NULL THEN
+    NEW.first_contacted_at := NOW();
+    NEW.first_contact_price := NEW.price;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_vehicle_first_contact_trigger ON vehicles;
+CREATE TRIGGER record_vehicle_first_contact_trigger
+BEFORE INSERT OR UPDATE OF contact_status ON vehicles
+FOR EACH ROW
+EXECUTE FUNCTION record_vehicle_first_contact();
+
+-- Ajoute une ligne d'historique à chaque mise en ligne, changement de prix/kilométrage ou retrait
+CREATE OR REPLACE FUNCTION record_vehicle_price_history()
+RETURNS TRIGGER AS $$
+DECLARE
+  history_event VARCHAR;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    history_event := 'listed';
+  ELSIF NEW.removed_at IS NOT NULL AND OLD.removed_at IS NULL THEN
+    history_event := 'removed';
+  ELSIF NEW.removed_at IS NULL AND OLD.removed_at IS NOT NULL THEN
+    history_event := 'relisted';
+  ELSIF NEW.price IS DISTINCT FROM OLD.price THEN
+    history_event := 'price_changed';
+  ELSIF NEW.mileage IS DISTINCT FROM OLD.mileage THEN
+    history_event := 'mileage_changed';
+  ELSE
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO vehicle_price_history (vehicle_id, user_id, event, price, previous_price, mileage, previous_mileage)
+  VALUES (
+    NEW.id,
+    NEW.user_id,
+    history_event,
+    NEW.price,
+    CASE WHEN TG_OP = 'UPDATE' THEN OLD.price END,
+    NEW.mileage,
+    CASE WHEN TG_OP = 'UPDATE' THEN OLD.mileage END
+  );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_vehicle_price_history_trigger ON vehicles;
+CREATE TRIGGER record_vehicle_price_history_trigger
+AFTER INSERT OR UPDATE OF price, mileage, removed_at ON vehicles
+FOR EACH ROW
+EXECUTE FUNCTION record_vehicle_price_history();
+
+-- Véhicules existants: leur prix actuel devient le premier point de l'historique
+INSERT INTO vehicle_price_history (vehicle_id, user_id, event, price, mileage, recorded_at)
+SELECT v.id, v.user_id, 'listed', v.price, v.mileage, v.created_at
+FROM vehicles v
+WHERE NOT EXISTS (SELECT 1 FROM vehicle_price_history h WHERE h.vehicle_id = v.id);
+
+-- Véhicules déjà contactés: le prix connu au premier contact est le prix actuel
+UPDATE vehicles
+SET first_contacted_at = COALESCE(updated_at, created_at), first_contact_price = price
+WHERE contact_status = 'contacted' AND first_contacted_at IS NULL;
@@ -0,0 +1,24 @@
+-- Estimation du prix de marché des véhicules
+-- Calculée à partir des annonces comparables de la table vehicles (même marque/modèle, années et
+-- kilométrages proches, même carburant et boîte), avec un intervalle P25-P75 et un indice de confiance.
+-- Le prix cible (borne basse de l'intervalle) alimente contact_records.target_price s'il n'est pas renseigné.
+-- À exécuter après create_vehicle_duplicates.sql
+
+CREATE TABLE IF NOT EXISTS vehicle_valuations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  vehicle_id UUID NOT NULL UNIQUE REFERENCES vehicles(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES auth.users(id),
+  estimated_price NUMERIC,         -- médiane des prix comparables ajustés (NULL si pas assez d'annonces)
+  price_low NUMERIC,               -- 25e percentile
+  price_high NUMERIC,              -- 75e percentile
+  target_price NUMERIC,            -- prix visé pour la négociation
+  confidence VARCHAR NOT NULL,     -- 'high' | 'medium' | 'low' | 'none'
+  comparables_count INTEGER NOT NULL DEFAULT 0,
+  criteria JSONB,                  -- critères du niveau de recherche retenu (années, kilométrage, carburant...)
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_valuations_user ON vehicle_valuations(user_id);
+
+-- Recherche des comparables par marque et année
+CREATE INDEX IF NOT EXISTS idx_vehicles_brand_year ON vehicles(brand, year);
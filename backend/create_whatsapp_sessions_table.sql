@@ -0,0 +1,17 @@
+-- Sessions WhatsApp nommées: un numéro (clientId LocalAuth) par acheteur
+-- La session par défaut (canal 'whatsapp', clientId 'whatsapp-api') n'a pas de ligne ici
+
+CREATE TABLE IF NOT EXISTS whatsapp_sessions (
+  id TEXT PRIMARY KEY,                        -- clientId LocalAuth = nom du canal
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  label VARCHAR NOT NULL,
+  phone_number VARCHAR,                       -- renseigné à la connexion du téléphone
+  status VARCHAR NOT NULL DEFAULT 'pending',  -- 'pending' | 'connected' | 'disconnected'
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_sessions_user ON whatsapp_sessions(user_id);
+
+-- Canal (session) par lequel passe chaque conversation: les réponses repartent du même numéro
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS channel TEXT;
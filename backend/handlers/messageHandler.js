@@ -1,20 +1,94 @@
-const { findOrCreateConversation, updateConversationState } = require('../models/conversation');
-const { saveMessage } = require('../models/message');
+const { findOrCreateConversation } = require('../models/conversation');
+const { saveMessage, updateMessageStatus, findMessageByMessageId, editMessage, markMessageDeleted } = require('../models/message');
+const { saveMessageReaction, removeMessageReaction } = require('../models/messageReaction');
+const { saveMessageMedia } = require('../services/mediaStorage');
 const { updateVehicleContactStatus, isVehicleUnavailableResponse } = require('../models/vehicle');
 const { detectPriceOffer, createPriceOfferInDB } = require('../models/priceoffer');
-const { shouldAutoRespond, generateAIResponseWithHistory, getAiConfig } = require('../services/aiResponse');
+const { extractMessageFacts } = require('../services/factExtraction');
+const { applyStateRules } = require('../services/conversationState');
+const { cancelFollowUps } = require('../services/followUps');
+const { shouldAutoRespond, generateAIResponseWithHistory } = require('../services/aiResponse');
 const logger = require('../utils/logger');
 const { io } = require('../config/server');
+const { emitToUser, emitToConversation, emitToConversationAndUser } = require('../utils/socketRooms');
 const { supabase } = require('../services/database');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+
+// An ack can arrive before the sent message is saved (API sends save after the channel call)
+const STATUS_RETRY_DELAY_MS = 2000;
+// WhatsApp drops the "typing…" state after 25 seconds: it is renewed during longer typing delays
+const TYPING_RENEW_INTERVAL_MS = 20000;
+
+// Function to wait before the AI reply, showing "typing…" to the contact and in the dashboard meanwhile
+async function waitWhileTyping(channel, to, delayMs, { conversationId, showTypingIndicator = false } = {}) {
+  const canType = showTypingIndicator && channel && typeof channel.setTyping === 'function';
+  const setTyping = (typing) => channel.setTyping(to, typing).catch(error => {
+    logger.whatsapp.warn(`Indicateur de frappe non envoyé à ${to}: ${error.message}`);
+  });
+
+  let renewTimer = null;
+  if (canType) {
+    setTyping(true);
+    renewTimer = setInterval(() => setTyping(true), TYPING_RENEW_INTERVAL_MS);
+    emitToConversation(io, conversationId, 'assistant_typing', { conversation_id: conversationId, typing: true });
+  }
+
+  try {
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  } finally {
+    if (canType) {
+      clearInterval(renewTimer);
+      await setTyping(false);
+      emitToConversation(io, conversationId, 'assistant_typing', { conversation_id: conversationId, typing: false });
+    }
+  }
+}
+
+// Function to download, store and record the media of a message
+// Returns the saved attachments (empty array if none or on failure, the text message is kept anyway)
+async function saveMessageAttachments(msg, channel, savedMessage, conversationId, userId) {
+  if (!msg.hasMedia || !channel || typeof channel.downloadMedia !== 'function') {
+    return [];
+  }
+
+  try {
+    const media = await channel.downloadMedia(msg);
+    if (!media) {
+      logger.warn(`Média indisponible pour le message ${msg.id}`);
+      return [];
+    }
+
+    const attachment = await saveMessageMedia(media, {
+      messageId: savedMessage.id,
+      conversationId,
+      userId,
+      messageType: msg.type
+    });
+    return attachment ? [attachment] : [];
+  } catch (error) {
+    logger.error('Erreur traitement média:', error);
+    return [];
+  }
+}
+
+// Function to start the history backfill of a conversation created by a message, once that message is
+// stored: a backfill saving it first would make it look like a replayed event and skip its processing
+// Required here, the backfill service depends on the channels which depend on this handler
+function scheduleBackfillOfNewConversation(conversation) {
+  if (!conversation.isNew) return;
+  require('../services/historyBackfill').scheduleFirstContactBackfill(conversation)
+    .catch(error => logger.error('Erreur programmation import historique:', error));
+}
 
 // Function to handle incoming messages
-async function handleIncomingMessage(msg, whatsappClient) {
+// `msg` is a normalized channel message and `channel` the adapter it came from (see services/channels)
+async function handleIncomingMessage(msg, channel) {
   logger.section('TRAITEMENT MESSAGE ENTRANT');
   logger.whatsapp.messageReceived(msg.from, msg.body);
 
   try {
-    // Find or create the conversation
-    const initialConversation = await findOrCreateConversation(msg.from);
+    // Find or create the conversation (owned by the user of the session the message arrived on)
+    const initialConversation = await findOrCreateConversation(msg.from, null, channel ? channel.userId : null);
     if (!initialConversation) {
       logger.database.error('Impossible de créer la conversation pour:', msg.from);
       return;
@@ -23,7 +97,7 @@ async function handleIncomingMessage(msg, whatsappClient) {
     // Retrieve the current state and necessary info of the conversation
     const { data: currentConversationData, error: stateFetchError } = await supabase
         .from('conversations')
-        .select('id, state, vehicle_id, user_id')
+        .select('id, state, vehicle_id, user_id, bot_paused')
         .eq('id', initialConversation.id)
         .single();
 
@@ -44,7 +118,7 @@ async function handleIncomingMessage(msg, whatsappClient) {
       conversationId,
       msg.body,
       false, // isFromMe
-      msg.id._serialized,
+      msg.id,
       new Date(msg.timestamp * 1000).toISOString(),
       currentUserId
     );
@@ -54,25 +128,38 @@ async function handleIncomingMessage(msg, whatsappClient) {
       return;
     }
 
+    // Événement rejoué (reconnexion, synchronisation): message déjà traité
+    if (savedMessage.duplicate) {
+      logger.info(`Message ${msg.id} déjà enregistré, ignoré`);
+      return;
+    }
+
     logger.database.saved('messages', savedMessage.id);
 
-    // Update the last message date for the conversation
+    const attachments = await saveMessageAttachments(msg, channel, savedMessage, conversationId, currentUserId);
+    scheduleBackfillOfNewConversation(initialConversation);
+
+    // Update the last message date for the conversation, and the channel replies must go through
     await supabase
       .from('conversations')
-      .update({ last_message_at: new Date().toISOString() })
+      .update({ last_message_at: new Date().toISOString(), ...(channel ? { channel: channel.name } : {}) })
       .eq('id', conversationId);
 
+    // Extract the facts told by the seller (mileage, service history, accident...) without delaying the reply
+    extractMessageFacts({ conversationId, messageId: savedMessage.id, body: msg.body });
+
+    // The seller answered: the follow-ups not sent yet are dropped
+    cancelFollowUps(conversationId, 'reply')
+      .catch(error => logger.error(`Relances non annulées (conversation ${conversationId}):`, error));
+
+    // Check for unavailability response
+    const unavailable = isVehicleUnavailableResponse(msg.body);
+
     // Update vehicle contact status if available
-    if (currentVehicleId && !isVehicleUnavailableResponse(msg.body)) {
+    if (currentVehicleId && !unavailable) {
       await updateVehicleContactStatus(currentVehicleId, currentUserId);
     }
 
-    // Conversation state management logic
-    let newState = currentConversationState;
-    let stateChangeReason = null;
-    let detectedPrice = null;
-    let priceDetectedMessageId = null;
-
     // Check if this is a demo conversation (disable automatic state changes for demo)
     const isDemoConversation = msg.from.includes('demo+33123456789');
     
@@ -80,94 +167,74 @@ async function handleIncomingMessage(msg, whatsappClient) {
       logger.info(`🎮 Mode démo détecté pour ${msg.from} - Changements d'état automatiques désactivés`);
     }
 
-    // Check for unavailability response
-    if (isVehicleUnavailableResponse(msg.body)) {
+    // Check for a price offer (an unavailability message has none)
+    const priceOfferCheck = unavailable ? { detected: false } : detectPriceOffer(msg.body);
+    let priceOffer = null;
+
+    if (unavailable) {
       logger.info(`Message indisponibilité détecté de ${msg.from}`);
-    } else if (!isDemoConversation) {
-       // Check for price offer (only for non-demo conversations)
-       const priceOfferCheck = detectPriceOffer(msg.body);
-       const aiConfig = getAiConfig();
-
-       if (priceOfferCheck.detected && priceOfferCheck.price) {
-         logger.info(`Offre de prix détectée: ${priceOfferCheck.price} ${priceOfferCheck.currency}`);
-
-         if (aiConfig.pauseBotOnPriceOffer && currentConversationState === 'active') {
-           logger.info('Changement état vers negotiation');
-           newState = 'negotiation';
-           stateChangeReason = 'Prix détecté';
-           detectedPrice = priceOfferCheck.price;
-           priceDetectedMessageId = savedMessage?.id;
-
-           await createPriceOfferInDB(
-             conversationId,
-             currentVehicleId,
-             currentUserId,
-             savedMessage?.id,
-             priceOfferCheck.price,
-             priceOfferCheck.currency
-           );
-
-           // Emit price offer event
-           if (io) {
-               io.emit('price_offer_detected', {
-                 conversationId: conversationId,
-                 chatId: initialConversation.chat_id || conversationId,
-                 vehicleId: currentVehicleId,
-                 price: detectedPrice,
-                 currency: priceOfferCheck.currency,
-                 contactNumber: msg.from,
-                 messageBody: msg.body,
-                 timestamp: Date.now() / 1000
-               });
-               logger.websocket.emit('price_offer_detected', `Offre de ${detectedPrice}${priceOfferCheck.currency}`);
-           }
-         }
-       }
-    } else {
-       // For demo conversations, still detect and log prices but don't change state
-       const priceOfferCheck = detectPriceOffer(msg.body);
-       if (priceOfferCheck.detected && priceOfferCheck.price) {
-         logger.info(`🎮 Mode démo - Prix détecté: ${priceOfferCheck.price} ${priceOfferCheck.currency} (sans changement d'état)`);
-         
-         // Still save the price offer for demo purposes
-         await createPriceOfferInDB(
-           conversationId,
-           currentVehicleId,
-           currentUserId,
-           savedMessage?.id,
-           priceOfferCheck.price,
-           priceOfferCheck.currency
-         );
-       }
-    }
-
-    // Update conversation state if changed
-    if (newState !== currentConversationState) {
-      logger.info(`Changement état: ${currentConversationState} -> ${newState}`);
-      const { error: updateStateError } = await supabase
-        .from('conversations')
-        .update({
-          state: newState,
-          last_state_change: new Date().toISOString(),
-          state_change_reason: stateChangeReason,
-          detected_price: detectedPrice,
-          price_detected_at: detectedPrice ? new Date().toISOString() : null,
-          price_detected_message_id: priceDetectedMessageId
-        })
-        .eq('id', conversationId);
-
-      if (updateStateError) {
-        logger.database.error('Erreur mise à jour état:', updateStateError);
-      } else {
-        logger.database.info(`État mis à jour: ${newState}`);
+    } else if (priceOfferCheck.detected && priceOfferCheck.price) {
+      logger.info(`${isDemoConversation ? '🎮 Mode démo - ' : ''}Offre de prix détectée: ${priceOfferCheck.price} ${priceOfferCheck.currency} (${priceOfferCheck.type}, confiance ${priceOfferCheck.confidence})`);
+
+      // Every offer joins the negotiation thread, whatever the state of the conversation
+      priceOffer = await createPriceOfferInDB(
+        conversationId,
+        currentVehicleId,
+        currentUserId,
+        savedMessage?.id,
+        priceOfferCheck.price,
+        priceOfferCheck.currency
+      );
+    }
+
+    // Conversation state: the rules of the state machine decide the transition (config/stateMachine.js)
+    let newState = currentConversationState;
+    let botPaused = currentConversationData.bot_paused === true;
+
+    if (!isDemoConversation) {
+      try {
+        const transition = await applyStateRules(conversationId, {
+          priceOffer: priceOfferCheck,
+          unavailable,
+          messageId: savedMessage?.id
+        });
+        if (transition && transition.changed) {
+          newState = transition.to;
+          botPaused = transition.conversation.bot_paused === true;
+        }
+      } catch (error) {
+        logger.error('Erreur règles d\'état de la conversation:', error);
       }
     }
 
-    // Decide if AI should respond
+    // Emit price offer event
+    if (priceOffer && io && !isDemoConversation) {
+      emitToUser(io, currentUserId, 'price_offer_detected', {
+        transition: 'detected',
+        offerId: priceOffer.id,
+        parentOfferId: priceOffer.parent_offer_id,
+        status: 'pending',
+        direction: 'seller',
+        conversationState: newState,
+        conversationId: conversationId,
+        chatId: initialConversation.chat_id || conversationId,
+        vehicleId: currentVehicleId,
+        price: priceOfferCheck.price,
+        currency: priceOfferCheck.currency,
+        priceType: priceOfferCheck.type,
+        confidence: priceOfferCheck.confidence,
+        contactNumber: msg.from,
+        messageBody: msg.body,
+        timestamp: Date.now() / 1000
+      });
+      logger.websocket.emit('price_offer_detected', `Offre de ${priceOfferCheck.price}${priceOfferCheck.currency}`);
+    }
+
+    // Decide if AI should respond (the hooks of the state machine pause and resume the bot)
     const aiShouldRespondBasedOnConfig = shouldAutoRespond(msg.body);
-    const shouldAIRespondNow = newState === 'active' && aiShouldRespondBasedOnConfig;
+    const shouldAIRespondNow = !botPaused && aiShouldRespondBasedOnConfig;
 
-    logger.ai.info(`Décision IA: état=${newState}, shouldRespond=${aiShouldRespondBasedOnConfig}, final=${shouldAIRespondNow}`);
+    logger.ai.info(`Décision IA: état=${newState}, pause=${botPaused}, shouldRespond=${aiShouldRespondBasedOnConfig}, final=${shouldAIRespondNow}`);
 
     // Retrieve vehicle information for incoming message WebSocket emission
     let vehicle = null;
@@ -183,7 +250,7 @@ async function handleIncomingMessage(msg, whatsappClient) {
     // Create formatted message object for the incoming message
     const formattedMessage = {
       id: savedMessage?.id,
-      message_id: msg.id._serialized,
+      message_id: msg.id,
       from: msg.from,
       to: 'me',
       body: msg.body,
@@ -192,7 +259,8 @@ async function handleIncomingMessage(msg, whatsappClient) {
       chatName: vehicle ? `${vehicle.brand} ${vehicle.model}` : 'Chat sans nom',
       chatId: initialConversation.chat_id || conversationId,
       conversation_id: conversationId,
-      vehicle: vehicle
+      vehicle: vehicle,
+      attachments: attachments
     };
 
     // *** ÉMISSION IMMÉDIATE DU MESSAGE ENTRANT VIA WEBSOCKET ***
@@ -206,7 +274,8 @@ async function handleIncomingMessage(msg, whatsappClient) {
       }, null, 2)}`);
       logger.info(`[WEBSOCKET] Clients connectés: ${io.engine.clientsCount}`);
       
-      io.emit('new_message', formattedMessage);
+      // Sent to the owner's sockets only (conversation list and open conversation)
+      emitToUser(io, currentUserId, 'new_message', formattedMessage);
       logger.websocket.info(`Message entrant émis via WebSocket: ${msg.from} -> "${msg.body}"`);
     } else {
       logger.websocket.warn('Socket.IO non disponible');
@@ -221,21 +290,17 @@ async function handleIncomingMessage(msg, whatsappClient) {
       if (typeof aiResponse === 'object' && aiResponse.typingDelay) {
         logger.ai.info(`Délai de frappe: ${Math.round(aiResponse.typingDelay / 1000)}s`);
         
-        await new Promise(resolve => setTimeout(resolve, aiResponse.typingDelay));
+        await waitWhileTyping(channel, msg.from, aiResponse.typingDelay, {
+          conversationId,
+          showTypingIndicator: aiResponse.showTypingIndicator
+        });
         
-        if (whatsappClient) {
-          // Importer la fonction pour tracker les messages IA
-          const { addApiMessage } = require('../services/whatsapp');
-          const normalizedTo = msg.from.includes('@c.us') ? msg.from : `${msg.from}@c.us`;
-          
-          // Tracker le message IA AVANT l'envoi pour éviter la détection en double
-          addApiMessage(normalizedTo, aiResponse.text);
-          
-          const sentMessage = await whatsappClient.sendMessage(msg.from, aiResponse.text);
+        if (channel) {
+          const sentMessage = await channel.send(msg.from, aiResponse.text);
           logger.whatsapp.messageSent(msg.from, aiResponse.text);
           
           // Save AI response
-          const savedAiMessage = await saveMessage(conversationId, aiResponse.text, true, sentMessage.id._serialized, new Date().toISOString(), currentUserId);
+          const savedAiMessage = await saveMessage(conversationId, aiResponse.text, true, sentMessage.id, new Date().toISOString(), currentUserId);
           if (savedAiMessage) {
             logger.database.saved('messages', savedAiMessage.id);
             
@@ -243,7 +308,7 @@ async function handleIncomingMessage(msg, whatsappClient) {
             if (io) {
               const formattedAiMessage = {
                 id: savedAiMessage.id,
-                message_id: sentMessage.id._serialized,
+                message_id: sentMessage.id,
                 from: 'me',
                 to: msg.from,
                 body: aiResponse.text,
@@ -252,9 +317,10 @@ async function handleIncomingMessage(msg, whatsappClient) {
                 chatName: initialConversation.chat_id || conversationId,
                 chatId: initialConversation.chat_id || conversationId,
                 conversation_id: conversationId,
-                vehicle: null
+                vehicle: null,
+                status: savedAiMessage.status
               };
-              io.emit('new_message', formattedAiMessage);
+              emitToUser(io, currentUserId, 'new_message', formattedAiMessage);
               logger.websocket.info('Réponse IA émise via WebSocket');
             }
           }
@@ -262,18 +328,11 @@ async function handleIncomingMessage(msg, whatsappClient) {
       } else {
         // Handle simple response (string)
         const responseText = (typeof aiResponse === 'object' && aiResponse.text) ? aiResponse.text : aiResponse;
-        if (responseText && whatsappClient) {
-          // Importer la fonction pour tracker les messages IA
-          const { addApiMessage } = require('../services/whatsapp');
-          const normalizedTo = msg.from.includes('@c.us') ? msg.from : `${msg.from}@c.us`;
-          
-          // Tracker le message IA AVANT l'envoi pour éviter la détection en double
-          addApiMessage(normalizedTo, responseText);
-          
-          const sentMessage = await whatsappClient.sendMessage(msg.from, responseText);
+        if (responseText && channel) {
+          const sentMessage = await channel.send(msg.from, responseText);
           logger.whatsapp.messageSent(msg.from, responseText);
           
-          const savedAiMessage = await saveMessage(conversationId, responseText, true, sentMessage.id._serialized, new Date().toISOString(), currentUserId);
+          const savedAiMessage = await saveMessage(conversationId, responseText, true, sentMessage.id, new Date().toISOString(), currentUserId);
           if (savedAiMessage) {
             logger.database.saved('messages', savedAiMessage.id);
             
@@ -281,7 +340,7 @@ async function handleIncomingMessage(msg, whatsappClient) {
             if (io) {
               const formattedAiMessage = {
                 id: savedAiMessage.id,
-                message_id: sentMessage.id._serialized,
+                message_id: sentMessage.id,
                 from: 'me',
                 to: msg.from,
                 body: responseText,
@@ -290,9 +349,10 @@ async function handleIncomingMessage(msg, whatsappClient) {
                 chatName: initialConversation.chat_id || conversationId,
                 chatId: initialConversation.chat_id || conversationId,
                 conversation_id: conversationId,
-                vehicle: null
+                vehicle: null,
+                status: savedAiMessage.status
               };
-              io.emit('new_message', formattedAiMessage);
+              emitToUser(io, currentUserId, 'new_message', formattedAiMessage);
               logger.websocket.info('Réponse IA simple émise via WebSocket');
             }
           }
@@ -307,13 +367,13 @@ async function handleIncomingMessage(msg, whatsappClient) {
   }
 }
 
-// Function to handle outgoing messages
-async function handleOutgoingMessage(msg, whatsappClient) {
+// Function to handle outgoing messages sent from outside the app (phone, WhatsApp Web)
+async function handleOutgoingMessage(msg, channel) {
   logger.whatsapp.info('Message sortant détecté');
   logger.whatsapp.messageSent(msg.to, msg.body);
 
   try {
-    const initialConversation = await findOrCreateConversation(msg.to);
+    const initialConversation = await findOrCreateConversation(msg.to, null, channel ? channel.userId : null);
     if (!initialConversation) {
       logger.database.error('Impossible créer conversation pour:', msg.to);
       return;
@@ -339,7 +399,7 @@ async function handleOutgoingMessage(msg, whatsappClient) {
       conversationId,
       msg.body,
       true, // isFromMe
-      msg.id._serialized,
+      msg.id,
       new Date(msg.timestamp * 1000).toISOString(),
       currentUserId
     );
@@ -349,12 +409,20 @@ async function handleOutgoingMessage(msg, whatsappClient) {
       return;
     }
 
+    if (savedMessage.duplicate) {
+      logger.info(`Message sortant ${msg.id} déjà enregistré, ignoré`);
+      return;
+    }
+
     logger.database.saved('messages', savedMessage.id);
 
-    // Update last message date
+    const attachments = await saveMessageAttachments(msg, channel, savedMessage, conversationId, currentUserId);
+    scheduleBackfillOfNewConversation(initialConversation);
+
+    // Update last message date and the channel of the conversation
     await supabase
       .from('conversations')
-      .update({ last_message_at: new Date().toISOString() })
+      .update({ last_message_at: new Date().toISOString(), ...(channel ? { channel: channel.name } : {}) })
       .eq('id', conversationId);
 
     // Retrieve vehicle information
@@ -371,7 +439,7 @@ async function handleOutgoingMessage(msg, whatsappClient) {
     // Create formatted message object
     const formattedMessage = {
       id: savedMessage.id,
-      message_id: msg.id._serialized,
+      message_id: msg.id,
       from: 'me',
       to: msg.to,
       body: msg.body,
@@ -380,12 +448,14 @@ async function handleOutgoingMessage(msg, whatsappClient) {
       chatName: vehicle ? `${vehicle.brand} ${vehicle.model}` : 'Chat sans nom',
       chatId: initialConversation.chat_id || conversationId,
       conversation_id: conversationId,
-      vehicle: vehicle
+      vehicle: vehicle,
+      attachments: attachments,
+      status: savedMessage.status
     };
 
     // Emit outgoing message via WebSocket
     if (io) {
-      io.emit('new_message', formattedMessage);
+      emitToUser(io, currentUserId, 'new_message', formattedMessage);
       logger.websocket.emit('new_message', `Message sortant vers ${msg.to}`);
     } else {
       logger.websocket.warn('Socket.IO non disponible');
@@ -396,7 +466,172 @@ async function handleOutgoingMessage(msg, whatsappClient) {
   }
 }
 
+// Function to handle a delivery receipt: persist the new status and push it to the clients
+// `receipt` is { id, to, status } as emitted by a channel adapter on 'message_status'
+async function handleMessageStatus(receipt, channel, retried = false) {
+  try {
+    const updated = await updateMessageStatus(receipt.id, receipt.status);
+
+    if (!updated) {
+      if (!retried) {
+        setTimeout(() => handleMessageStatus(receipt, channel, true), STATUS_RETRY_DELAY_MS);
+      } else {
+        logger.debug(`Statut ${receipt.status} ignoré pour le message ${receipt.id}`);
+      }
+      return;
+    }
+
+    logger.debug(`Message ${receipt.id} -> ${updated.status}`);
+
+    // Sockets displaying the conversation update the message, the owner's conversation list its last message
+    if (io) {
+      const ownerId = updated.conversations ? updated.conversations.user_id : null;
+      emitToConversationAndUser(io, updated.conversation_id, ownerId, 'message_status', {
+        id: updated.id,
+        message_id: updated.message_id,
+        conversation_id: updated.conversation_id,
+        status: updated.status,
+        status_updated_at: updated.status_updated_at
+      });
+    }
+  } catch (error) {
+    logger.error('Erreur mise à jour statut message:', error);
+  }
+}
+
+// Function to record the edit of a message and push it to the sockets displaying its conversation
+// `edit` is { id, body, timestamp, ... } as emitted by a channel adapter on 'message_edit'
+async function handleMessageEdit(edit, channel) {
+  try {
+    const editedAt = new Date(edit.timestamp * 1000).toISOString();
+    const result = await editMessage(edit.id, edit.body, editedAt);
+    if (!result) {
+      logger.debug(`Modification ignorée pour le message ${edit.id}`);
+      return;
+    }
+
+    logger.info(`Message ${edit.id} modifié`);
+    if (io) {
+      emitToConversation(io, result.message.conversation_id, 'message_edited', {
+        id: result.message.id,
+        message_id: result.message.message_id,
+        conversation_id: result.message.conversation_id,
+        body: result.message.body,
+        edited_at: result.message.edited_at,
+        revision: result.revision
+      });
+    }
+  } catch (error) {
+    logger.error('Erreur enregistrement modification message:', error);
+  }
+}
+
+// Function to flag a message deleted by its sender and push it to the sockets displaying its conversation
+// `deletion` is { id, timestamp, ... } as emitted by a channel adapter on 'message_deleted'
+async function handleMessageDeletion(deletion, channel) {
+  try {
+    const deletedAt = new Date(deletion.timestamp * 1000).toISOString();
+    const deleted = await markMessageDeleted(deletion.id, deletedAt);
+    if (!deleted) {
+      logger.debug(`Suppression ignorée pour le message ${deletion.id}`);
+      return;
+    }
+
+    logger.info(`Message ${deletion.id} supprimé par son expéditeur`);
+    if (io) {
+      emitToConversation(io, deleted.conversation_id, 'message_deleted', {
+        id: deleted.id,
+        message_id: deleted.message_id,
+        conversation_id: deleted.conversation_id,
+        is_deleted: deleted.is_deleted,
+        deleted_at: deleted.deleted_at
+      });
+    }
+  } catch (error) {
+    logger.error('Erreur enregistrement suppression message:', error);
+  }
+}
+
+// Function to save a reaction to a message and push it to the sockets displaying its conversation
+// `reaction` is { id, sender, fromMe, reaction, timestamp } as emitted by a channel adapter on 'message_reaction'
+async function handleMessageReaction(reaction, channel) {
+  try {
+    const message = await findMessageByMessageId(reaction.id);
+    if (!message) {
+      logger.debug(`Réaction ignorée pour le message inconnu ${reaction.id}`);
+      return;
+    }
+
+    const reactedAt = new Date(reaction.timestamp * 1000).toISOString();
+    if (reaction.reaction) {
+      await saveMessageReaction({
+        messageId: message.id,
+        conversationId: message.conversation_id,
+        sender: reaction.sender,
+        fromMe: reaction.fromMe,
+        reaction: reaction.reaction,
+        reactedAt
+      });
+    } else {
+      await removeMessageReaction(message.id, reaction.sender);
+    }
+
+    if (io) {
+      emitToConversation(io, message.conversation_id, 'message_reaction', {
+        id: message.id,
+        message_id: message.message_id,
+        conversation_id: message.conversation_id,
+        sender: reaction.sender,
+        from_me: reaction.fromMe,
+        reaction: reaction.reaction, // null: reaction removed
+        reacted_at: reactedAt
+      });
+    }
+  } catch (error) {
+    logger.error('Erreur enregistrement réaction message:', error);
+  }
+}
+
+// Function to forward the presence of a contact (online, typing) to the sockets displaying their conversation
+// `presence` is { from, isOnline, state } as emitted by a channel adapter on 'presence'
+async function handleContactPresence(presence, channel) {
+  try {
+    let query = supabase
+      .from('conversations')
+      .select('id')
+      .eq('phone_number', normalizePhoneNumber(presence.from));
+
+    // A contact talking to a buyer's own number only concerns that buyer's conversation
+    if (channel && channel.userId) {
+      query = query.eq('user_id', channel.userId);
+    }
+
+    const { data: conversations, error } = await query;
+    if (error) {
+      logger.database.error('Erreur recherche conversation (présence):', error);
+      return;
+    }
+
+    for (const conversation of conversations || []) {
+      emitToConversation(io, conversation.id, 'contact_presence', {
+        conversation_id: conversation.id,
+        isOnline: presence.isOnline,
+        state: presence.state,
+        updated_at: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    logger.error('Erreur traitement présence contact:', error);
+  }
+}
+
 module.exports = {
+  saveMessageAttachments,
   handleIncomingMessage,
-  handleOutgoingMessage
+  handleOutgoingMessage,
+  handleMessageStatus,
+  handleMessageEdit,
+  handleMessageDeletion,
+  handleMessageReaction,
+  handleContactPresence
 };
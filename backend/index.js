@@ -1,7 +1,17 @@
 require('dotenv').config(); // Load environment variables
 const { app, server, io, PORT } = require('./config/server');
-const { initializeWhatsAppClient } = require('./services/whatsapp');
+const { registerChannel, getChannel } = require('./services/channels');
+const { createWhatsAppAdapter } = require('./services/channels/whatsappAdapter');
+const { loadWhatsAppSessions } = require('./services/whatsappSessions');
+const { startWhatsAppSupervisor } = require('./services/whatsappSupervisor');
 const { loadAIConfigFromDB } = require('./services/aiResponse');
+const { startOutboundQueue } = require('./services/outboundQueue');
+const { startCampaignScheduler } = require('./services/campaigns');
+const { startAutoScoutScheduler } = require('./services/listingImporter');
+const { startStateRulesMonitor } = require('./services/conversationState');
+const { startFollowUpScheduler } = require('./services/followUps');
+const { startHistorySyncResumer } = require('./services/historySync');
+const { startBackfillScheduler } = require('./services/historyBackfill');
 const errorHandler = require('./middleware/errorHandler');
 const routes = require('./routes');
 const logger = require('./utils/logger');
@@ -18,21 +28,55 @@ async function startServer() {
     // Apply the error handling middleware
     app.use(errorHandler);
 
+    // Register the messaging channels
+    registerChannel(createWhatsAppAdapter());
+
     // Initialiser le client WhatsApp seulement si pas dans Docker
     if (process.env.DOCKER_ENV !== 'true') {
       try {
-        await initializeWhatsAppClient(io);
+        await getChannel('whatsapp').initialize(io);
       } catch (error) {
         logger.error('Failed to initialize WhatsApp client:', error);
-        logger.info('Server will continue without WhatsApp - use /api/whatsapp/initialize to retry');
+        logger.info('Server will continue without WhatsApp - the supervisor will retry (or use /api/whatsapp/initialize)');
       }
     } else {
       logger.info('Docker environment detected - WhatsApp client will be initialized manually via API');
     }
 
+    // Sessions WhatsApp des acheteurs (un numéro par utilisateur)
+    try {
+      await loadWhatsAppSessions();
+    } catch (error) {
+      logger.error('Failed to load WhatsApp sessions:', error);
+    }
+
+    // Redémarrer les sessions WhatsApp déconnectées ou bloquées
+    startWhatsAppSupervisor();
+
     // Charger la configuration AI depuis la base de données
     await loadAIConfigFromDB();
 
+    // Reprendre les envois en file (batches interrompus par un redémarrage)
+    await startOutboundQueue();
+
+    // Lancer les campagnes programmées à leur date
+    startCampaignScheduler();
+
+    // Re-scraper les recherches AutoScout24 enregistrées à leur intervalle
+    startAutoScoutScheduler();
+
+    // Appliquer les règles de silence de la machine à états des conversations
+    startStateRulesMonitor();
+
+    // Envoyer les relances des vendeurs sans réponse à leur échéance
+    startFollowUpScheduler();
+
+    // Reprendre les synchronisations d'historique interrompues (redémarrage, WhatsApp déconnecté)
+    startHistorySyncResumer();
+
+    // Importer l'historique des nouveaux contacts quand WhatsApp est connecté (ou après un redémarrage)
+    startBackfillScheduler();
+
     // Démarrer le serveur
     server.listen(PORT, '0.0.0.0', () => {
       logger.info(`Server started on http://localhost:${PORT}`);
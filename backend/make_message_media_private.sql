@@ -0,0 +1,4 @@
+-- Médias des messages privés: le bucket n'est plus lisible publiquement, le backend renvoie des URL signées
+-- À exécuter dans l'éditeur SQL de Supabase (bases créées avec l'ancien create_message_attachments_table.sql)
+
+UPDATE storage.buckets SET public = false WHERE id = 'message-media';
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { supabase } = require('../services/database');
+const logger = require('../utils/logger');
+
+// Authentication of the API and Socket.IO clients:
+// - Supabase session JWT: `Authorization: Bearer <access_token>` (the dashboard)
+// - API key: `X-API-Key: <key>` for scripts and integrations, declared in API_KEYS as
+//   comma-separated `key:userId` pairs so every key acts on behalf of a user
+
+// Verified tokens are cached to avoid a Supabase round-trip on every request
+const TOKEN_CACHE_TTL_MS = (parseInt(process.env.AUTH_TOKEN_CACHE_TTL_S) || 60) * 1000;
+
+const tokenCache = new Map();
+
+// Function to parse API_KEYS into [{ key, userId }]
+function loadApiKeys() {
+  return (process.env.API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.lastIndexOf(':');
+      return separator > 0
+        ? { key: entry.slice(0, separator), userId: entry.slice(separator + 1) }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+const apiKeys = loadApiKeys();
+
+// Function to build a 401 error for the error handler
+function unauthorized(message) {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+}
+
+// Function to compare two secrets in constant time
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Function to find the user of an API key, or null
+function authenticateApiKey(key) {
+  const match = apiKeys.find(entry => safeEqual(entry.key, key));
+  return match ? { id: match.userId, email: null, authMethod: 'api_key' } : null;
+}
+
+// Function to verify a Supabase access token, or null if invalid/expired
+async function authenticateToken(token) {
+  const cached = tokenCache.get(token);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.user;
+  }
+  tokenCache.delete(token);
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data || !data.user) {
+    return null;
+  }
+
+  const user = { id: data.user.id, email: data.user.email, authMethod: 'jwt' };
+  tokenCache.set(token, { user, expiresAt: Date.now() + TOKEN_CACHE_TTL_MS });
+
+  // Drop expired entries so the cache does not grow with every session
+  if (tokenCache.size > 1000) {
+    for (const [key, entry] of tokenCache) {
+      if (entry.expiresAt <= Date.now()) tokenCache.delete(key);
+    }
+  }
+
+  return user;
+}
+
+// Function to resolve the user from credentials ({ token, apiKey }); throws a 401 error
+async function resolveUser({ token, apiKey }) {
+  if (apiKey) {
+    const user = authenticateApiKey(apiKey);
+    if (!user) throw unauthorized('Invalid API key');
+    return user;
+  }
+
+  if (token) {
+    const user = await authenticateToken(token);
+    if (!user) throw unauthorized('Invalid or expired token');
+    return user;
+  }
+
+  throw unauthorized('Authentication required');
+}
+
+// Function to read the bearer token of an Authorization header
+function getBearerToken(header) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  return match ? match[1].trim() : null;
+}
+
+// Express middleware: rejects anonymous requests and sets req.user = { id, email, authMethod }
+async function authenticate(req, res, next) {
+  try {
+    req.user = await resolveUser({
+      token: getBearerToken(req.headers.authorization),
+      apiKey: req.headers['x-api-key']
+    });
+    next();
+  } catch (error) {
+    if (error.statusCode !== 401) {
+      logger.error('Erreur authentification:', error);
+    }
+    next(error);
+  }
+}
+
+// Socket.IO middleware: credentials come from the handshake (`auth: { token }` or `auth: { apiKey }`)
+async function authenticateSocket(socket, next) {
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    socket.user = await resolveUser({
+      token: auth.token || getBearerToken(headers.authorization),
+      apiKey: auth.apiKey || headers['x-api-key']
+    });
+    next();
+  } catch (error) {
+    logger.websocket.warn(`Connexion WebSocket refusée (${socket.id}): ${error.message}`);
+    next(error);
+  }
+}
+
+module.exports = {
+  authenticate,
+  authenticateSocket,
+};
@@ -0,0 +1,28 @@
+const { verifyMediaSignature } = require('../services/mediaUrls');
+
+// Middleware serving /media only through the signed URLs of services/mediaUrls.js
+const requireSignedMediaUrl = (req, res, next) => {
+  let storagePath;
+  try {
+    storagePath = decodeURIComponent(req.path.replace(/^\//, ''));
+  } catch (error) {
+    storagePath = null;
+  }
+
+  if (!storagePath || !verifyMediaSignature(storagePath, req.query.expires, req.query.signature)) {
+    return res.status(403).json({ error: 'Invalid or expired media URL' });
+  }
+  next();
+};
+
+// Headers of the media files: never rendered as a page of the API origin (a seller can send any file)
+const setMediaHeaders = (res) => {
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Content-Disposition', 'attachment');
+  res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+};
+
+module.exports = {
+  requireSignedMediaUrl,
+  setMediaHeaders,
+};
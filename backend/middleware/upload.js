@@ -0,0 +1,23 @@
+const multer = require('multer');
+const { MEDIA_MAX_SIZE_BYTES } = require('../services/mediaStorage');
+
+// Files are kept in memory: they are forwarded to the channel and stored by services/mediaStorage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_SIZE_BYTES, files: 1 }
+});
+
+// Middleware accepting an optional single file in the given multipart field
+// Multer errors are turned into client errors for the error handler
+const uploadSingleFile = (fieldName) => (req, res, next) => {
+  upload.single(fieldName)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      err.statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    }
+    next(err);
+  });
+};
+
+module.exports = {
+  uploadSingleFile,
+};
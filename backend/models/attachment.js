@@ -0,0 +1,107 @@
+const { supabase } = require('../services/database');
+const logger = require('../utils/logger');
+const { withSignedUrls } = require('../services/mediaUrls');
+
+// Function to save an attachment linked to a message
+async function saveAttachment({ messageId, conversationId, mediaType, mimeType, fileName, fileSize, storage, storagePath, url, userId = null }) {
+  try {
+    const { data, error } = await supabase
+      .from('message_attachments')
+      .insert({
+        message_id: messageId,
+        conversation_id: conversationId,
+        media_type: mediaType,
+        mime_type: mimeType,
+        file_name: fileName,
+        file_size: fileSize,
+        storage: storage,
+        storage_path: storagePath,
+        url: url,
+        user_id: userId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Error saving attachment:', error);
+      return null;
+    }
+
+    const [signed] = await withSignedUrls([data]);
+    return signed;
+  } catch (error) {
+    logger.error('Exception saving attachment:', error);
+    return null;
+  }
+}
+
+// Function to save a location pin linked to a message
+async function saveLocationAttachment({ messageId, conversationId, latitude, longitude, name = null, userId = null }) {
+  try {
+    const { data, error } = await supabase
+      .from('message_attachments')
+      .insert({
+        message_id: messageId,
+        conversation_id: conversationId,
+        media_type: 'location',
+        mime_type: 'application/geo+json',
+        file_name: name,
+        storage: 'external',
+        url: `https://www.google.com/maps/search/?api=1&query=${latitude},${longitude}`,
+        latitude: latitude,
+        longitude: longitude,
+        user_id: userId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Error saving location attachment:', error);
+      return null;
+    }
+
+    return data;
+  } catch (error) {
+    logger.error('Exception saving location attachment:', error);
+    return null;
+  }
+}
+
+// Function to retrieve attachments for a list of message IDs, grouped by message ID
+async function getAttachmentsByMessageIds(messageIds) {
+  const attachmentsByMessage = {};
+  if (!messageIds || messageIds.length === 0) {
+    return attachmentsByMessage;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('message_attachments')
+      .select('*')
+      .in('message_id', messageIds)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      // Attachments are optional: never block message retrieval because of them
+      logger.error('Error retrieving attachments:', error);
+      return attachmentsByMessage;
+    }
+
+    for (const attachment of await withSignedUrls(data || [])) {
+      if (!attachmentsByMessage[attachment.message_id]) {
+        attachmentsByMessage[attachment.message_id] = [];
+      }
+      attachmentsByMessage[attachment.message_id].push(attachment);
+    }
+  } catch (error) {
+    logger.error('Exception retrieving attachments:', error);
+  }
+
+  return attachmentsByMessage;
+}
+
+module.exports = {
+  saveAttachment,
+  saveLocationAttachment,
+  getAttachmentsByMessageIds,
+};
@@ -0,0 +1,192 @@
+const { supabase } = require('../services/database');
+const logger = require('../utils/logger');
+
+// Function to create a saved AutoScout24 search
+async function createSearch({ name, url, maxPages = 1, intervalMinutes = 360, enabled = true, userId = null }) {
+  const { data, error } = await supabase
+    .from('autoscout_searches')
+    .insert({
+      name,
+      url,
+      max_pages: maxPages,
+      interval_minutes: intervalMinutes,
+      enabled,
+      user_id: userId
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error creating AutoScout24 search:', error);
+    throw new Error('Error creating search');
+  }
+
+  return data;
+}
+
+// Function to retrieve a saved search by ID (null if not found)
+async function getSearchById(searchId) {
+  const { data, error } = await supabase
+    .from('autoscout_searches')
+    .select('*')
+    .eq('id', searchId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    logger.error('Error retrieving AutoScout24 search:', error);
+    throw new Error('Error retrieving search');
+  }
+
+  return data;
+}
+
+// Function to list the saved searches of a user
+async function listSearches({ userId = null } = {}) {
+  let query = supabase
+    .from('autoscout_searches')
+    .select('*')
+    .order('created_at', { ascending: false });
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    logger.error('Error listing AutoScout24 searches:', error);
+    throw new Error('Error listing searches');
+  }
+
+  return data || [];
+}
+
+// Function to update a saved search
+async function updateSearch(searchId, updates) {
+  const { data, error } = await supabase
+    .from('autoscout_searches')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', searchId)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error updating AutoScout24 search:', error);
+    throw new Error('Error updating search');
+  }
+
+  return data;
+}
+
+// Function to delete a saved search (its runs are deleted with it, its vehicles are kept)
+async function deleteSearch(searchId) {
+  const { error } = await supabase
+    .from('autoscout_searches')
+    .delete()
+    .eq('id', searchId);
+
+  if (error) {
+    logger.error('Error deleting AutoScout24 search:', error);
+    throw new Error('Error deleting search');
+  }
+}
+
+// Function to list the enabled searches whose next run date has passed
+async function getDueSearches() {
+  const { data, error } = await supabase
+    .from('autoscout_searches')
+    .select('*')
+    .eq('enabled', true)
+    .lte('next_run_at', new Date().toISOString())
+    .order('next_run_at', { ascending: true });
+
+  if (error) {
+    logger.error('Error retrieving due AutoScout24 searches:', error);
+    return [];
+  }
+
+  return data || [];
+}
+
+// Function to claim a due search by moving its next run date (null if another run claimed it first)
+async function claimSearchRun(search, nextRunAt) {
+  const { data, error } = await supabase
+    .from('autoscout_searches')
+    .update({ next_run_at: nextRunAt, updated_at: new Date().toISOString() })
+    .eq('id', search.id)
+    .eq('next_run_at', search.next_run_at)
+    .select();
+
+  if (error) {
+    logger.error('Error claiming AutoScout24 search:', error);
+    return null;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Function to record the start of a run
+async function createRun(search) {
+  const { data, error } = await supabase
+    .from('autoscout_runs')
+    .insert({ search_id: search.id, user_id: search.user_id, status: 'running' })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error creating AutoScout24 run:', error);
+    throw new Error('Error creating run');
+  }
+
+  return data;
+}
+
+// Function to update a run (counts, report, final status)
+async function updateRun(runId, updates) {
+  const { data, error } = await supabase
+    .from('autoscout_runs')
+    .update(updates)
+    .eq('id', runId)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error updating AutoScout24 run:', error);
+    throw new Error('Error updating run');
+  }
+
+  return data;
+}
+
+// Function to list the runs of a search, most recent first
+async function listRuns(searchId, { limit = 20 } = {}) {
+  const { data, error } = await supabase
+    .from('autoscout_runs')
+    .select('*')
+    .eq('search_id', searchId)
+    .order('started_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    logger.error('Error listing AutoScout24 runs:', error);
+    throw new Error('Error listing runs');
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  createSearch,
+  getSearchById,
+  listSearches,
+  updateSearch,
+  deleteSearch,
+  getDueSearches,
+  claimSearchRun,
+  createRun,
+  updateRun,
+  listRuns,
+};
@@ -0,0 +1,170 @@
+const { supabase } = require('../services/database');
+const logger = require('../utils/logger');
+
+// Function to create a campaign
+async function createCampaign({ name, template, vehicleFilter = {}, settings = {}, scheduledAt = null, userId = null }) {
+  const { data, error } = await supabase
+    .from('campaigns')
+    .insert({
+      name,
+      template,
+      vehicle_filter: vehicleFilter,
+      settings,
+      user_id: userId,
+      status: 'scheduled',
+      scheduled_at: scheduledAt || new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error creating campaign:', error);
+    throw new Error('Error creating campaign');
+  }
+
+  return data;
+}
+
+// Function to retrieve a campaign by ID (null if not found)
+async function getCampaignById(campaignId) {
+  const { data, error } = await supabase
+    .from('campaigns')
+    .select('*')
+    .eq('id', campaignId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    logger.error('Error retrieving campaign:', error);
+    throw new Error('Error retrieving campaign');
+  }
+
+  return data;
+}
+
+// Function to list campaigns, most recent first
+async function listCampaigns({ userId = null, limit = 50 } = {}) {
+  let query = supabase
+    .from('campaigns')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    logger.error('Error listing campaigns:', error);
+    throw new Error('Error listing campaigns');
+  }
+
+  return data || [];
+}
+
+// Function to update a campaign
+async function updateCampaign(campaignId, updates) {
+  const { data, error } = await supabase
+    .from('campaigns')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', campaignId)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error updating campaign:', error);
+    throw new Error('Error updating campaign');
+  }
+
+  return data;
+}
+
+// Function to claim a scheduled campaign for launch (null if it was already launched or cancelled)
+async function claimScheduledCampaign(campaignId) {
+  const { data, error } = await supabase
+    .from('campaigns')
+    .update({ status: 'running', started_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', campaignId)
+    .eq('status', 'scheduled')
+    .select();
+
+  if (error) {
+    logger.error('Error claiming scheduled campaign:', error);
+    return null;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Function to list scheduled campaigns whose start date has passed
+async function getDueCampaigns() {
+  const { data, error } = await supabase
+    .from('campaigns')
+    .select('*')
+    .eq('status', 'scheduled')
+    .lte('scheduled_at', new Date().toISOString())
+    .order('scheduled_at', { ascending: true });
+
+  if (error) {
+    logger.error('Error retrieving due campaigns:', error);
+    return [];
+  }
+
+  return data || [];
+}
+
+// Conversation IDs per request (they go in the request URL) and rows per page (API row limit)
+const CONVERSATION_CHUNK_SIZE = 100;
+const PAGE_SIZE = 1000;
+
+// Function to retrieve the incoming message dates of each conversation after a date
+// Returns { [conversationId]: [timestamps of incoming messages] }
+async function getIncomingMessageTimes(conversationIds, since) {
+  const times = {};
+  if (!conversationIds || conversationIds.length === 0) {
+    return times;
+  }
+
+  const uniqueIds = [...new Set(conversationIds)];
+  for (let start = 0; start < uniqueIds.length; start += CONVERSATION_CHUNK_SIZE) {
+    const chunk = uniqueIds.slice(start, start + CONVERSATION_CHUNK_SIZE);
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('messages')
+        .select('conversation_id, timestamp')
+        .in('conversation_id', chunk)
+        .eq('is_from_me', false)
+        .gte('timestamp', since)
+        .order('id', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) {
+        logger.error('Error retrieving campaign replies:', error);
+        return times;
+      }
+
+      for (const row of data) {
+        if (!times[row.conversation_id]) {
+          times[row.conversation_id] = [];
+        }
+        times[row.conversation_id].push(new Date(row.timestamp).getTime());
+      }
+      if (data.length < PAGE_SIZE) break;
+    }
+  }
+  return times;
+}
+
+module.exports = {
+  createCampaign,
+  getCampaignById,
+  listCampaigns,
+  updateCampaign,
+  claimScheduledCampaign,
+  getDueCampaigns,
+  getIncomingMessageTimes,
+};
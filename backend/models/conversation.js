@@ -21,14 +21,23 @@ async function findOrCreateConversation(phoneNumber, vehicleId = null, userId =
     }
 
     // If a conversation exists, return it
+    // With one WhatsApp session per buyer, the same seller can talk to several users:
+    // the conversation of `userId` is used, or an unowned one it takes over
     if (existingConversations && existingConversations.length > 0) {
-      return existingConversations[0];
+      if (!userId) {
+        return existingConversations[0];
+      }
+      const ownConversation = existingConversations.find(conv => conv.user_id === userId)
+        || existingConversations.find(conv => !conv.user_id);
+      if (ownConversation) {
+        return ownConversation;
+      }
     }
 
     // If we don't have a vehicleId but have a phone number, try to find the vehicle
     if (!vehicleId) {
-      const vehicle = await findVehicleByPhone(normalizedPhone);
-      if (vehicle) {
+      const vehicle = await findVehicleByPhone(normalizedPhone, userId);
+      if (vehicle && (!userId || !vehicle.user_id || vehicle.user_id === userId)) {
         vehicleId = vehicle.id;
         userId = vehicle.user_id || userId;
       }
@@ -40,7 +49,8 @@ async function findOrCreateConversation(phoneNumber, vehicleId = null, userId =
       .insert({
         vehicle_id: vehicleId,
         phone_number: normalizedPhone,
-        user_id: userId,
+        // Contacts with no known owner (unknown number) go to the default owner, if configured
+        user_id: userId || process.env.DEFAULT_OWNER_USER_ID || null,
         last_message_at: new Date().toISOString()
       })
       .select();
@@ -50,21 +60,31 @@ async function findOrCreateConversation(phoneNumber, vehicleId = null, userId =
       return null;
     }
 
-    return newConversation[0];
+    // `isNew`: first contact with this number, the caller starts the history backfill once the message
+    // that created the conversation is stored (services/historyBackfill.js)
+    return { ...newConversation[0], isNew: true };
   } catch (error) {
     logger.error('Exception during find/create conversation:', error);
     return null;
   }
 }
 
+// Filters of the conversation list, applied before pagination (columns kept up to date by the trigger of
+// add_conversation_last_message.sql)
+const CONVERSATION_FILTERS = {
+  // Last message sent by us and read by the seller, without reply since
+  read_no_reply: query => query.eq('last_message_from_me', true).eq('last_message_status', 'read'),
+};
+
 // Function to retrieve all conversations from the database with pagination
-async function getAllConversations(page = 1, limit = 20) {
-  logger.info(`Retrieving conversations with pagination: page ${page}, limit ${limit}`);
+// `userId` restricts the list to the conversations of that user, `filter` is a key of CONVERSATION_FILTERS
+async function getAllConversations(page = 1, limit = 20, userId = null, filter = null) {
+  logger.info(`Retrieving conversations with pagination: page ${page}, limit ${limit}${filter ? `, filter ${filter}` : ''}`);
   try {
     const offset = (page - 1) * limit;
 
     // Fetch paginated conversations
-    const { data: conversations, error: conversationsError, count } = await supabase
+    let query = supabase
       .from('conversations')
       .select(`
         id,
@@ -74,12 +94,23 @@ async function getAllConversations(page = 1, limit = 20) {
         state,
         last_state_change,
         state_change_reason,
+        bot_paused,
         detected_price,
         price_detected_at,
         price_detected_message_id,
+        facts,
         vehicle_id,
         created_at
-      `, { count: 'exact' }) // Request total count
+      `, { count: 'exact' }); // Request total count
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+    if (filter) {
+      query = CONVERSATION_FILTERS[filter](query);
+    }
+
+    const { data: conversations, error: conversationsError, count } = await query
       .order('last_message_at', { ascending: false })
       .range(offset, offset + limit - 1); // Apply pagination
 
@@ -96,7 +127,7 @@ async function getAllConversations(page = 1, limit = 20) {
       try {
         const { data: messages, error: messagesError } = await supabase
           .from('messages')
-          .select('id, body, timestamp, is_from_me') // Select only necessary fields
+          .select('id, body, timestamp, is_from_me, status') // Select only necessary fields (status: read-but-not-replied filter)
           .eq('conversation_id', conv.id)
           .order('timestamp', { ascending: false })
           .limit(1);
@@ -141,9 +172,11 @@ async function getAllConversations(page = 1, limit = 20) {
         state: conv.state,
         lastStateChange: conv.last_state_change,
         stateChangeReason: conv.state_change_reason,
+        botPaused: conv.bot_paused === true,
         detectedPrice: conv.detected_price,
         priceDetectedAt: conv.price_detected_at,
         priceDetectedMessageId: conv.price_detected_message_id,
+        facts: conv.facts || {}, // Informations extraites des messages (services/factExtraction)
         vehicle: vehicleData,
         messages: [], // Messages are not included in this paginated list
         lastMessage: lastMessage
@@ -169,18 +202,24 @@ async function getAllConversations(page = 1, limit = 20) {
 }
 
 // Function to retrieve a specific conversation by ID
-async function getConversationById(id) {
+// With `userId`, a conversation of another user is treated as not found
+async function getConversationById(id, userId = null) {
   logger.info('Retrieving conversation:', id);
   try {
     // Retrieve the conversation
-    const { data: conversation, error: convError } = await supabase
+    let query = supabase
       .from('conversations')
       .select(`
         *,
         vehicles(*)
       `) // Fetch vehicle data directly
-      .eq('id', id)
-      .single();
+      .eq('id', id);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data: conversation, error: convError } = await query.single();
 
     if (convError) {
       logger.error('Error retrieving conversation:', convError);
@@ -201,9 +240,17 @@ async function getConversationById(id) {
       state: conversation.state,
       lastStateChange: conversation.last_state_change,
       stateChangeReason: conversation.state_change_reason,
+      botPaused: conversation.bot_paused === true,
       detectedPrice: conversation.detected_price,
       priceDetectedAt: conversation.price_detected_at,
       priceDetectedMessageId: conversation.price_detected_message_id,
+      facts: conversation.facts || {},
+      // Import of the chat history exchanged before the app was running (services/historyBackfill)
+      historyBackfill: {
+        status: conversation.history_backfill_status || null,
+        backfilledAt: conversation.history_backfilled_at || null,
+        imported: conversation.history_backfill_count ?? null
+      },
       vehicle: conversation.vehicles, // Vehicle data is already nested
     };
   } catch (error) {
@@ -213,18 +260,26 @@ async function getConversationById(id) {
 }
 
 // Function to update conversation state
-async function updateConversationState(id, state, reason = 'Manual update') {
+// With `userId`, only a conversation of that user is updated; `updates` are other columns written with the state
+// State changes go through services/conversationState.js, which checks the allowed transitions
+async function updateConversationState(id, state, reason = 'Manual update', userId = null, updates = {}) {
   logger.info(`Attempting to update conversation ${id} state to: ${state}`);
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from('conversations')
       .update({
+        ...updates,
         state: state,
         last_state_change: new Date().toISOString(),
         state_change_reason: reason
       })
-      .eq('id', id)
-      .select(); // Select the updated row to return it
+      .eq('id', id);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query.select(); // Select the updated row to return it
 
     if (error) {
       logger.error(`Error updating conversation ${id} state:`, error);
@@ -245,10 +300,80 @@ async function updateConversationState(id, state, reason = 'Manual update') {
   }
 }
 
+// Function to retrieve what the state machine needs to know about a conversation
+// With `userId`, a conversation of another user is treated as not found
+async function getConversationStateRow(id, userId = null) {
+  let query = supabase
+    .from('conversations')
+    .select('id, user_id, vehicle_id, state, bot_paused, last_message_at')
+    .eq('id', id);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    logger.error(`Error retrieving state of conversation ${id}:`, error);
+    throw new Error('Error retrieving conversation state');
+  }
+
+  return data;
+}
+
+// Function to record a state change in conversation_state_history
+async function recordStateChange(change) {
+  const { error } = await supabase
+    .from('conversation_state_history')
+    .insert(change);
+
+  if (error) {
+    logger.error(`Error recording state change of conversation ${change.conversation_id}:`, error);
+  }
+}
+
+// Function to retrieve the state changes of a conversation, oldest first
+async function getConversationStateHistory(conversationId) {
+  const { data, error } = await supabase
+    .from('conversation_state_history')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    logger.error(`Error retrieving state history of conversation ${conversationId}:`, error);
+    throw new Error('Error retrieving conversation state history');
+  }
+
+  return data || [];
+}
+
+// Function to list the conversations in one of `states` without any message since `before`
+async function listSilentConversations(states, before) {
+  const { data, error } = await supabase
+    .from('conversations')
+    .select('id, user_id, state, last_message_at')
+    .in('state', states)
+    .lt('last_message_at', before)
+    .limit(200);
+
+  if (error) {
+    logger.error('Error listing silent conversations:', error);
+    throw new Error('Error listing silent conversations');
+  }
+
+  return data || [];
+}
 
 module.exports = {
+  CONVERSATION_FILTERS,
   findOrCreateConversation,
   getAllConversations,
   getConversationById,
   updateConversationState,
+  getConversationStateRow,
+  recordStateChange,
+  getConversationStateHistory,
+  listSilentConversations,
 };
@@ -0,0 +1,50 @@
+const { supabase } = require('../services/database');
+const logger = require('../utils/logger');
+
+// Function to retrieve the facts of a conversation with its vehicle (listing values and facts)
+async function getConversationFactsContext(conversationId) {
+  const { data, error } = await supabase
+    .from('conversations')
+    .select('id, user_id, vehicle_id, facts, vehicles(id, brand, model, year, mileage, seller_facts)')
+    .eq('id', conversationId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Error retrieving facts of conversation ${conversationId}:`, error);
+    return null;
+  }
+
+  return data;
+}
+
+// Function to store the facts of a conversation (replaces the previous ones)
+async function saveConversationFacts(conversationId, facts) {
+  const { error } = await supabase
+    .from('conversations')
+    .update({ facts })
+    .eq('id', conversationId);
+
+  if (error) {
+    logger.error(`Error saving facts of conversation ${conversationId}:`, error);
+    throw new Error('Error saving conversation facts');
+  }
+}
+
+// Function to store the facts told by the seller of a vehicle (replaces the previous ones)
+async function saveVehicleSellerFacts(vehicleId, facts) {
+  const { error } = await supabase
+    .from('vehicles')
+    .update({ seller_facts: facts, updated_at: new Date().toISOString() })
+    .eq('id', vehicleId);
+
+  if (error) {
+    logger.error(`Error saving seller facts of vehicle ${vehicleId}:`, error);
+    throw new Error('Error saving vehicle seller facts');
+  }
+}
+
+module.exports = {
+  getConversationFactsContext,
+  saveConversationFacts,
+  saveVehicleSellerFacts,
+};
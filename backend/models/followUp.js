@@ -0,0 +1,160 @@
+const { supabase } = require('../services/database');
+const logger = require('../utils/logger');
+
+// Statuses of a follow-up that has not been sent yet
+const PENDING_STATUSES = ['scheduled', 'queued'];
+
+// Function to list the follow-ups of a conversation, in sequence order
+async function getConversationFollowUps(conversationId) {
+  const { data, error } = await supabase
+    .from('conversation_followups')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .order('step', { ascending: true });
+
+  if (error) {
+    logger.error(`Error retrieving follow-ups of conversation ${conversationId}:`, error);
+    throw new Error('Error retrieving follow-ups');
+  }
+
+  return data || [];
+}
+
+// Function to add follow-up steps to a conversation ({ step, delay_hours, body, due_at })
+async function createFollowUps(conversationId, userId, steps) {
+  const rows = steps.map(step => ({
+    ...step,
+    conversation_id: conversationId,
+    user_id: userId,
+    status: 'scheduled'
+  }));
+
+  const { data, error } = await supabase
+    .from('conversation_followups')
+    .insert(rows)
+    .select();
+
+  if (error) {
+    logger.error(`Error creating follow-ups of conversation ${conversationId}:`, error);
+    throw new Error('Error creating follow-ups');
+  }
+
+  return data || [];
+}
+
+// Function to update a follow-up
+async function updateFollowUp(followUpId, updates) {
+  const { data, error } = await supabase
+    .from('conversation_followups')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', followUpId)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Error updating follow-up ${followUpId}:`, error);
+    throw new Error('Error updating follow-up');
+  }
+
+  return data;
+}
+
+// Function to cancel the follow-ups of a conversation that are not sent yet
+// Resolves to the cancelled rows (the queued ones still have a batch to cancel)
+async function cancelPendingFollowUps(conversationId, reason) {
+  const { data, error } = await supabase
+    .from('conversation_followups')
+    .update({ status: 'cancelled', cancel_reason: reason, updated_at: new Date().toISOString() })
+    .eq('conversation_id', conversationId)
+    .in('status', PENDING_STATUSES)
+    .select();
+
+  if (error) {
+    logger.error(`Error cancelling follow-ups of conversation ${conversationId}:`, error);
+    throw new Error('Error cancelling follow-ups');
+  }
+
+  return data || [];
+}
+
+// Function to delete the follow-ups of a conversation not handed to the send queue yet (sequence replaced)
+async function deleteScheduledFollowUps(conversationId) {
+  const { error } = await supabase
+    .from('conversation_followups')
+    .delete()
+    .eq('conversation_id', conversationId)
+    .eq('status', 'scheduled');
+
+  if (error) {
+    logger.error(`Error deleting follow-ups of conversation ${conversationId}:`, error);
+    throw new Error('Error deleting follow-ups');
+  }
+}
+
+// Function to claim a scheduled follow-up for sending (null if it was cancelled or already claimed)
+async function claimFollowUp(followUpId) {
+  const { data, error } = await supabase
+    .from('conversation_followups')
+    .update({ status: 'queued', updated_at: new Date().toISOString() })
+    .eq('id', followUpId)
+    .eq('status', 'scheduled')
+    .select();
+
+  if (error) {
+    logger.error(`Error claiming follow-up ${followUpId}:`, error);
+    return null;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Function to list the scheduled follow-ups whose date has passed, with their conversation and vehicle
+async function getDueFollowUps(limit = 50) {
+  const { data, error } = await supabase
+    .from('conversation_followups')
+    .select('*, conversations(id, user_id, phone_number, vehicle_id, state, channel, vehicles(*))')
+    .eq('status', 'scheduled')
+    .lte('due_at', new Date().toISOString())
+    .order('due_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    logger.error('Error retrieving due follow-ups:', error);
+    return [];
+  }
+
+  return data || [];
+}
+
+// Function to list the follow-ups handed to the send queue and not known as sent yet
+async function getQueuedFollowUps(conversationId = null) {
+  let query = supabase
+    .from('conversation_followups')
+    .select('*')
+    .eq('status', 'queued')
+    .not('batch_id', 'is', null);
+
+  if (conversationId) {
+    query = query.eq('conversation_id', conversationId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    logger.error('Error retrieving queued follow-ups:', error);
+    return [];
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  getConversationFollowUps,
+  createFollowUps,
+  updateFollowUp,
+  cancelPendingFollowUps,
+  deleteScheduledFollowUps,
+  claimFollowUp,
+  getDueFollowUps,
+  getQueuedFollowUps,
+};
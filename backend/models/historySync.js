@@ -0,0 +1,112 @@
+const { supabase } = require('../services/database');
+const logger = require('../utils/logger');
+
+// Function to retrieve the sync checkpoint of a chat, null before its first sync
+async function getSyncCheckpoint(channel, chatId) {
+  const { data, error } = await supabase
+    .from('chat_sync_checkpoints')
+    .select('*')
+    .eq('channel', channel)
+    .eq('chat_id', chatId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Error retrieving sync checkpoint of ${chatId}:`, error);
+    throw new Error('Error retrieving sync checkpoint');
+  }
+
+  return data;
+}
+
+// Function to create or move the sync checkpoint of a chat
+// `checkpoint`: { channel, chat_id, conversation_id, last_message_id, last_message_at, messages_synced }
+async function saveSyncCheckpoint(checkpoint) {
+  const { data, error } = await supabase
+    .from('chat_sync_checkpoints')
+    .upsert({ ...checkpoint, updated_at: new Date().toISOString() }, { onConflict: 'channel,chat_id' })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Error saving sync checkpoint of ${checkpoint.chat_id}:`, error);
+    throw new Error('Error saving sync checkpoint');
+  }
+
+  return data;
+}
+
+// Function to create a background sync run over the given conversations
+async function createSyncRun(userId, conversationIds) {
+  const { data, error } = await supabase
+    .from('history_sync_runs')
+    .insert({ user_id: userId, conversation_ids: conversationIds, status: 'running' })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error creating history sync run:', error);
+    throw new Error('Error creating history sync run');
+  }
+
+  return data;
+}
+
+// Function to update the progress or status of a sync run
+async function updateSyncRun(runId, updates) {
+  const { data, error } = await supabase
+    .from('history_sync_runs')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', runId)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Error updating history sync run ${runId}:`, error);
+    throw new Error('Error updating history sync run');
+  }
+
+  return data;
+}
+
+// Function to retrieve the last sync run of a user, null when they never synced
+async function getLatestSyncRun(userId) {
+  const { data, error } = await supabase
+    .from('history_sync_runs')
+    .select('*')
+    .eq('user_id', userId)
+    .order('started_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    logger.error('Error retrieving history sync run:', error);
+    throw new Error('Error retrieving history sync run');
+  }
+
+  return data;
+}
+
+// Function to list the sync runs not finished (in progress, or interrupted by a restart)
+async function getRunningSyncRuns() {
+  const { data, error } = await supabase
+    .from('history_sync_runs')
+    .select('*')
+    .eq('status', 'running')
+    .order('started_at', { ascending: true });
+
+  if (error) {
+    logger.error('Error retrieving running history sync runs:', error);
+    throw new Error('Error retrieving history sync runs');
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  getSyncCheckpoint,
+  saveSyncCheckpoint,
+  createSyncRun,
+  updateSyncRun,
+  getLatestSyncRun,
+  getRunningSyncRuns,
+};
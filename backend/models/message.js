@@ -1,57 +1,96 @@
 const { supabase } = require('../services/database');
 const logger = require('../utils/logger');
+const { getAttachmentsByMessageIds } = require('./attachment');
+const { saveMessageRevision, getRevisionsByMessageIds } = require('./messageRevision');
+const { getReactionsByMessageIds } = require('./messageReaction');
 const crypto = require('crypto');
 
+// Delivery statuses in progression order: a late ack never moves a message back
+const MESSAGE_STATUS_RANK = { failed: 0, pending: 1, sent: 2, delivered: 3, read: 4 };
+
+// Function to build a messages row
+function buildMessageRow(conversationId, body, isFromMe, messageId = null, timestamp = null, userId = null) {
+  return {
+    conversation_id: conversationId,
+    body: body,
+    is_from_me: isFromMe,
+    message_id: messageId,
+    timestamp: timestamp || new Date().toISOString(),
+    user_id: userId,
+    // Outgoing messages are sent once saved; acks then move them to delivered/read
+    status: isFromMe ? 'sent' : null
+  };
+}
+
+// Function to retrieve a message from its channel message ID
+async function findMessageByMessageId(messageId) {
+  const { data, error } = await supabase
+    .from('messages')
+    .select('*')
+    .eq('message_id', messageId)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    logger.error('Error retrieving message by message ID:', error);
+    throw new Error('Error retrieving message');
+  }
+
+  return data;
+}
+
 // Function to save a message
+// Idempotent on `messageId` (unique, see add_unique_message_id.sql): saving a message already stored
+// returns the stored row flagged `duplicate: true` instead of inserting it again
 async function saveMessage(conversationId, body, isFromMe, messageId = null, timestamp = null, userId = null) {
   try {
     logger.info(`[DB] 💾 Tentative sauvegarde message: conversationId=${conversationId}, body="${body}", isFromMe=${isFromMe}, messageId=${messageId}`);
     
-    const messageData = {
-      conversation_id: conversationId,
-      body: body,
-      is_from_me: isFromMe,
-      message_id: messageId,
-      timestamp: timestamp || new Date().toISOString(),
-      user_id: userId
-    };
-    
-    const { data, error } = await supabase
-      .from('messages')
-      .insert(messageData)
-      .select()
-      .single();
+    const messageData = buildMessageRow(conversationId, body, isFromMe, messageId, timestamp, userId);
+
+    // ON CONFLICT DO NOTHING: the first save wins, a replayed event never overwrites its status or timestamp
+    const { data, error } = messageId
+      ? await supabase
+        .from('messages')
+        .upsert(messageData, { onConflict: 'message_id', ignoreDuplicates: true })
+        .select()
+      : await supabase
+        .from('messages')
+        .insert(messageData)
+        .select();
 
     if (error) {
-      // Si l'erreur est due à RLS (aucune ligne retournée), l'insertion a probablement réussi
-      if (error.code === 'PGRST116' && error.details === 'The result contains 0 rows') {
-        logger.info('[DB] 💾 Insertion réussie mais aucune donnée retournée (probablement RLS)');
-        // Créer un objet de message avec un UUID généré aléatoirement pour les références
-        const savedMessage = {
-          id: crypto.randomUUID(), // Générer un UUID valide
-          ...messageData,
-          timestamp: messageData.timestamp || new Date().toISOString()
-        };
-        logger.info(`[DB] 💾 Message sauvegardé avec UUID généré: ID=${savedMessage.id}`);
-        return savedMessage;
-      } else {
-        // Autre erreur réelle
-        logger.error('[DB] 💾 Erreur Supabase lors de la sauvegarde:', {
-          error: error,
-          message: error.message,
-          details: error.details,
-          hint: error.hint,
-          code: error.code
-        });
-        logger.error('[DB] 💾 Données tentées d\'insertion:', messageData);
-        return null;
-      }
+      logger.error('[DB] 💾 Erreur Supabase lors de la sauvegarde:', {
+        error: error,
+        message: error.message,
+        details: error.details,
+        hint: error.hint,
+        code: error.code
+      });
+      logger.error('[DB] 💾 Données tentées d\'insertion:', messageData);
+      return null;
     }
 
-    // Retourner les données réelles avec le vrai UUID de Supabase
-    const savedMessage = data;
-    
-    logger.info(`[DB] 💾 Message sauvegardé avec succès: ID=${savedMessage.id}`);
+    if (data && data.length > 0) {
+      // Retourner les données réelles avec le vrai UUID de Supabase
+      logger.info(`[DB] 💾 Message sauvegardé avec succès: ID=${data[0].id}`);
+      return data[0];
+    }
+
+    // Aucune ligne retournée: message déjà enregistré, ou insertion masquée par RLS
+    const existing = messageId ? await findMessageByMessageId(messageId) : null;
+    if (existing) {
+      logger.info(`[DB] 💾 Message ${messageId} déjà enregistré: ID=${existing.id}`);
+      return { ...existing, duplicate: true };
+    }
+
+    logger.info('[DB] 💾 Insertion réussie mais aucune donnée retournée (probablement RLS)');
+    // Créer un objet de message avec un UUID généré aléatoirement pour les références
+    const savedMessage = {
+      id: crypto.randomUUID(), // Générer un UUID valide
+      ...messageData
+    };
+    logger.info(`[DB] 💾 Message sauvegardé avec UUID généré: ID=${savedMessage.id}`);
     return savedMessage;
   } catch (error) {
     logger.error('[DB] 💾 Exception lors de la sauvegarde message:', {
@@ -63,6 +102,33 @@ async function saveMessage(conversationId, body, isFromMe, messageId = null, tim
   }
 }
 
+// Function to save a batch of messages of a conversation in one request, skipping the ones already stored
+// `messages`: [{ body, isFromMe, messageId, timestamp }], messages without `messageId` are ignored
+// Returns the rows actually inserted
+async function saveMessages(conversationId, messages, userId = null) {
+  // A batch can hold the same message twice (overlapping fetches): Postgres refuses it in one upsert
+  const rows = [...new Map(messages.filter(message => message.messageId).map(message => [
+    message.messageId,
+    buildMessageRow(conversationId, message.body, message.isFromMe, message.messageId, message.timestamp, userId)
+  ])).values()];
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('messages')
+    .upsert(rows, { onConflict: 'message_id', ignoreDuplicates: true })
+    .select();
+
+  if (error) {
+    logger.error('Error saving messages:', error);
+    throw new Error('Error saving messages');
+  }
+
+  return data || [];
+}
+
 // Function to retrieve messages for a conversation ID
 async function getMessagesByConversationId(conversationId) {
   logger.info('Retrieving messages for conversation:', conversationId);
@@ -78,14 +144,152 @@ async function getMessagesByConversationId(conversationId) {
       throw new Error('Error retrieving messages');
     }
 
-    return messages || [];
+    if (!messages || messages.length === 0) {
+      return [];
+    }
+
+    const messageIds = messages.map(msg => msg.id);
+    const [attachmentsByMessage, revisionsByMessage, reactionsByMessage] = await Promise.all([
+      getAttachmentsByMessageIds(messageIds),
+      getRevisionsByMessageIds(messageIds),
+      getReactionsByMessageIds(messageIds)
+    ]);
+    return messages.map(msg => ({
+      ...msg,
+      attachments: attachmentsByMessage[msg.id] || [],
+      revisions: revisionsByMessage[msg.id] || [],
+      reactions: reactionsByMessage[msg.id] || []
+    }));
   } catch (error) {
     logger.error('Exception retrieving messages:', error);
     throw error;
   }
 }
 
+// Function to retrieve the latest messages of the conversations of a user, with their conversation
+// (phone number, vehicle), most recent first
+async function getRecentMessagesByUser(userId, limit = 500) {
+  const { data, error } = await supabase
+    .from('messages')
+    .select('id, message_id, body, is_from_me, timestamp, conversation_id, conversations!inner(id, user_id, phone_number, vehicles(brand, model))')
+    .eq('conversations.user_id', userId)
+    .order('timestamp', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    logger.error('Error retrieving recent messages:', error);
+    throw new Error('Error retrieving messages');
+  }
+
+  return data || [];
+}
+
+// Function to update the delivery status of a message from its channel message ID
+// Returns the updated row (with `conversations.user_id`, the owner), or null when the message is unknown or
+// already further along
+async function updateMessageStatus(messageId, status) {
+  if (!(status in MESSAGE_STATUS_RANK)) {
+    throw new Error(`Invalid message status: ${status}`);
+  }
+
+  const { data: message, error: fetchError } = await supabase
+    .from('messages')
+    .select('id, conversation_id, status')
+    .eq('message_id', messageId)
+    .limit(1)
+    .maybeSingle();
+
+  if (fetchError) {
+    logger.error('Error retrieving message for status update:', fetchError);
+    throw new Error('Error retrieving message');
+  }
+
+  if (!message) {
+    return null;
+  }
+
+  // 'failed' only applies to a message not yet delivered
+  const currentRank = message.status ? MESSAGE_STATUS_RANK[message.status] : -1;
+  const isDowngrade = status === 'failed'
+    ? currentRank > MESSAGE_STATUS_RANK.sent
+    : currentRank >= MESSAGE_STATUS_RANK[status];
+  if (isDowngrade) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('messages')
+    .update({ status, status_updated_at: new Date().toISOString() })
+    .eq('id', message.id)
+    .select('id, message_id, conversation_id, status, status_updated_at, conversations(user_id)')
+    .single();
+
+  if (error) {
+    logger.error('Error updating message status:', error);
+    throw new Error('Error updating message status');
+  }
+
+  return data;
+}
+
+// Function to apply the edit of a message from its channel message ID
+// The replaced text is kept in message_revisions; returns { message, revision }, or null when the message
+// is unknown or already has this text (replayed event)
+async function editMessage(messageId, body, editedAt = null) {
+  const message = await findMessageByMessageId(messageId);
+  if (!message || message.body === body) {
+    return null;
+  }
+
+  const editedAtISO = editedAt || new Date().toISOString();
+  const revision = await saveMessageRevision({ messageId: message.id, body: message.body, editedAt: editedAtISO });
+
+  const { data, error } = await supabase
+    .from('messages')
+    .update({ body, edited_at: editedAtISO })
+    .eq('id', message.id)
+    .select('id, message_id, conversation_id, body, edited_at')
+    .single();
+
+  if (error) {
+    logger.error('Error updating edited message:', error);
+    throw new Error('Error updating edited message');
+  }
+
+  return { message: data, revision };
+}
+
+// Function to flag a message deleted by its sender, from its channel message ID; its text is kept
+// Returns the updated row, or null when the message is unknown or already flagged
+async function markMessageDeleted(messageId, deletedAt = null) {
+  const message = await findMessageByMessageId(messageId);
+  if (!message || message.is_deleted) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('messages')
+    .update({ is_deleted: true, deleted_at: deletedAt || new Date().toISOString() })
+    .eq('id', message.id)
+    .select('id, message_id, conversation_id, is_deleted, deleted_at')
+    .single();
+
+  if (error) {
+    logger.error('Error flagging deleted message:', error);
+    throw new Error('Error flagging deleted message');
+  }
+
+  return data;
+}
+
 module.exports = {
+  MESSAGE_STATUS_RANK,
   saveMessage,
+  saveMessages,
+  findMessageByMessageId,
   getMessagesByConversationId,
+  getRecentMessagesByUser,
+  updateMessageStatus,
+  editMessage,
+  markMessageDeleted,
 };
@@ -0,0 +1,78 @@
+const { supabase } = require('../services/database');
+const logger = require('../utils/logger');
+
+// Function to save the reaction of a participant to a message (replaces their previous one)
+async function saveMessageReaction({ messageId, conversationId, sender, fromMe = false, reaction, reactedAt = null }) {
+  const { data, error } = await supabase
+    .from('message_reactions')
+    .upsert({
+      message_id: messageId,
+      conversation_id: conversationId,
+      sender: sender,
+      from_me: fromMe,
+      reaction: reaction,
+      reacted_at: reactedAt || new Date().toISOString()
+    }, { onConflict: 'message_id,sender' })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error saving message reaction:', error);
+    throw new Error('Error saving message reaction');
+  }
+
+  return data;
+}
+
+// Function to remove the reaction of a participant to a message
+async function removeMessageReaction(messageId, sender) {
+  const { error } = await supabase
+    .from('message_reactions')
+    .delete()
+    .eq('message_id', messageId)
+    .eq('sender', sender);
+
+  if (error) {
+    logger.error('Error removing message reaction:', error);
+    throw new Error('Error removing message reaction');
+  }
+}
+
+// Function to retrieve the reactions to several messages, grouped by message ID
+async function getReactionsByMessageIds(messageIds) {
+  const reactionsByMessage = {};
+  if (!messageIds || messageIds.length === 0) {
+    return reactionsByMessage;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('message_reactions')
+      .select('id, message_id, sender, from_me, reaction, reacted_at')
+      .in('message_id', messageIds)
+      .order('reacted_at', { ascending: true });
+
+    if (error) {
+      // Reactions are optional: never block message retrieval because of them
+      logger.error('Error retrieving message reactions:', error);
+      return reactionsByMessage;
+    }
+
+    for (const reaction of data || []) {
+      if (!reactionsByMessage[reaction.message_id]) {
+        reactionsByMessage[reaction.message_id] = [];
+      }
+      reactionsByMessage[reaction.message_id].push(reaction);
+    }
+  } catch (error) {
+    logger.error('Exception retrieving message reactions:', error);
+  }
+
+  return reactionsByMessage;
+}
+
+module.exports = {
+  saveMessageReaction,
+  removeMessageReaction,
+  getReactionsByMessageIds,
+};
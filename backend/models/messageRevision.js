@@ -0,0 +1,60 @@
+const { supabase } = require('../services/database');
+const logger = require('../utils/logger');
+
+// Function to save the previous text of an edited message
+async function saveMessageRevision({ messageId, body, editedAt = null }) {
+  const { data, error } = await supabase
+    .from('message_revisions')
+    .insert({
+      message_id: messageId,
+      body: body,
+      edited_at: editedAt || new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error saving message revision:', error);
+    throw new Error('Error saving message revision');
+  }
+
+  return data;
+}
+
+// Function to retrieve the revisions of several messages, grouped by message ID (oldest first)
+async function getRevisionsByMessageIds(messageIds) {
+  const revisionsByMessage = {};
+  if (!messageIds || messageIds.length === 0) {
+    return revisionsByMessage;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('message_revisions')
+      .select('id, message_id, body, edited_at')
+      .in('message_id', messageIds)
+      .order('edited_at', { ascending: true });
+
+    if (error) {
+      // Revisions are optional: never block message retrieval because of them
+      logger.error('Error retrieving message revisions:', error);
+      return revisionsByMessage;
+    }
+
+    for (const revision of data || []) {
+      if (!revisionsByMessage[revision.message_id]) {
+        revisionsByMessage[revision.message_id] = [];
+      }
+      revisionsByMessage[revision.message_id].push(revision);
+    }
+  } catch (error) {
+    logger.error('Exception retrieving message revisions:', error);
+  }
+
+  return revisionsByMessage;
+}
+
+module.exports = {
+  saveMessageRevision,
+  getRevisionsByMessageIds,
+};
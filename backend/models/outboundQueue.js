@@ -0,0 +1,330 @@
+const { supabase } = require('../services/database');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+const logger = require('../utils/logger');
+
+// Rows per page when reading a whole batch (API row limit)
+const PAGE_SIZE = 1000;
+
+// Function to create a batch and queue its messages ({ number, message, vehicleId })
+async function createBatch({ name = null, userId = null, settings = {}, messages }) {
+  const { data: batch, error: batchError } = await supabase
+    .from('outbound_batches')
+    .insert({
+      name,
+      user_id: userId,
+      settings,
+      total: messages.length,
+      status: 'running'
+    })
+    .select()
+    .single();
+
+  if (batchError) {
+    logger.error('Error creating outbound batch:', batchError);
+    throw new Error('Error creating outbound batch');
+  }
+
+  const rows = messages.map(msg => ({
+    batch_id: batch.id,
+    user_id: userId,
+    vehicle_id: msg.vehicleId || null,
+    recipient: normalizePhoneNumber(msg.number),
+    body: msg.message,
+    max_attempts: settings.maxAttempts || 5
+  }));
+
+  const { error: messagesError } = await supabase
+    .from('outbound_messages')
+    .insert(rows);
+
+  if (messagesError) {
+    logger.error('Error queuing outbound messages:', messagesError);
+    await supabase.from('outbound_batches').delete().eq('id', batch.id);
+    throw new Error('Error queuing outbound messages');
+  }
+
+  return batch;
+}
+
+// Function to retrieve a batch with its per-status counters
+async function getBatch(batchId) {
+  const { data: batch, error } = await supabase
+    .from('outbound_batches')
+    .select('*')
+    .eq('id', batchId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    logger.error('Error retrieving outbound batch:', error);
+    throw new Error('Error retrieving outbound batch');
+  }
+
+  return { ...batch, counts: await getBatchCounts(batchId) };
+}
+
+// Statuses of a queued message, counted per batch
+const MESSAGE_STATUSES = ['queued', 'sending', 'sent', 'failed', 'cancelled'];
+
+// Function to count a batch's messages by status
+// Counted by the database, one query per status: loading the rows would stop at the API row limit
+async function getBatchCounts(batchId) {
+  const results = await Promise.all(MESSAGE_STATUSES.map(status => supabase
+    .from('outbound_messages')
+    .select('id', { count: 'exact', head: true })
+    .eq('batch_id', batchId)
+    .eq('status', status)));
+
+  const counts = {};
+  results.forEach(({ count, error }, index) => {
+    if (error) {
+      logger.error('Error counting outbound messages:', error);
+      throw new Error('Error counting outbound messages');
+    }
+    counts[MESSAGE_STATUSES[index]] = count || 0;
+  });
+  return counts;
+}
+
+// Function to list the most recent batches
+async function listBatches({ userId = null, limit = 20 } = {}) {
+  let query = supabase
+    .from('outbound_batches')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    logger.error('Error listing outbound batches:', error);
+    throw new Error('Error listing outbound batches');
+  }
+
+  return data || [];
+}
+
+// Function to retrieve the messages of a batch
+async function getBatchMessages(batchId) {
+  // Read page by page: a campaign can target more rows than the API row limit (1000 by default)
+  const messages = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('outbound_messages')
+      .select('*')
+      .eq('batch_id', batchId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      logger.error('Error retrieving outbound messages:', error);
+      throw new Error('Error retrieving outbound messages');
+    }
+
+    messages.push(...data);
+    if (data.length < PAGE_SIZE) return messages;
+  }
+}
+
+// Function to update a batch status
+async function updateBatchStatus(batchId, status) {
+  const updates = { status, updated_at: new Date().toISOString() };
+  if (status === 'completed' || status === 'cancelled') {
+    updates.completed_at = new Date().toISOString();
+  }
+
+  const { data, error } = await supabase
+    .from('outbound_batches')
+    .update(updates)
+    .eq('id', batchId)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error updating outbound batch status:', error);
+    throw new Error('Error updating outbound batch status');
+  }
+
+  return data;
+}
+
+// Function to cancel the messages of a batch that were not sent yet
+async function cancelPendingMessages(batchId) {
+  const { error } = await supabase
+    .from('outbound_messages')
+    .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+    .eq('batch_id', batchId)
+    .eq('status', 'queued');
+
+  if (error) {
+    logger.error('Error cancelling outbound messages:', error);
+    throw new Error('Error cancelling outbound messages');
+  }
+}
+
+// Function to get the next message due for sending, among running batches
+async function getNextDueMessage() {
+  const { data, error } = await supabase
+    .from('outbound_messages')
+    .select('*, outbound_batches!inner(id, status, settings)')
+    .eq('status', 'queued')
+    .eq('outbound_batches.status', 'running')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    logger.error('Error retrieving next outbound message:', error);
+    return null;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Function to claim a queued message for sending (returns null if another worker took it)
+async function claimMessage(messageId) {
+  const { data, error } = await supabase
+    .from('outbound_messages')
+    .update({ status: 'sending', updated_at: new Date().toISOString() })
+    .eq('id', messageId)
+    .eq('status', 'queued')
+    .select();
+
+  if (error) {
+    logger.error('Error claiming outbound message:', error);
+    return null;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Function to update a queued message
+async function updateQueuedMessage(messageId, updates) {
+  const { data, error } = await supabase
+    .from('outbound_messages')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', messageId)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error updating outbound message:', error);
+    return null;
+  }
+
+  return data;
+}
+
+// Function to delay every queued message of a batch until a date (batch rate limit reached)
+async function postponeBatchMessages(batchId, until) {
+  const { error } = await supabase
+    .from('outbound_messages')
+    .update({ next_attempt_at: until.toISOString(), updated_at: new Date().toISOString() })
+    .eq('batch_id', batchId)
+    .eq('status', 'queued')
+    .lt('next_attempt_at', until.toISOString());
+
+  if (error) {
+    logger.error('Error postponing outbound messages:', error);
+  }
+}
+
+// Function to put back in the queue the messages left 'sending' by a crash or restart
+async function requeueInterruptedMessages() {
+  const { data, error } = await supabase
+    .from('outbound_messages')
+    .update({ status: 'queued', updated_at: new Date().toISOString() })
+    .eq('status', 'sending')
+    .select('id');
+
+  if (error) {
+    logger.error('Error requeuing interrupted outbound messages:', error);
+    return 0;
+  }
+
+  return data ? data.length : 0;
+}
+
+// Function to count messages sent since a date, optionally for one batch or one recipient
+async function countSentSince(since, { batchId = null, recipient = null } = {}) {
+  let query = supabase
+    .from('outbound_messages')
+    .select('id', { count: 'exact', head: true })
+    .eq('status', 'sent')
+    .gte('sent_at', since.toISOString());
+
+  if (batchId) query = query.eq('batch_id', batchId);
+  if (recipient) query = query.eq('recipient', recipient);
+
+  const { count, error } = await query;
+
+  if (error) {
+    logger.error('Error counting sent outbound messages:', error);
+    return 0;
+  }
+
+  return count || 0;
+}
+
+// Function to get the oldest send time since a date (used to know when a rate window frees up)
+async function getOldestSentSince(since, { batchId = null } = {}) {
+  let query = supabase
+    .from('outbound_messages')
+    .select('sent_at')
+    .eq('status', 'sent')
+    .gte('sent_at', since.toISOString())
+    .order('sent_at', { ascending: true })
+    .limit(1);
+
+  if (batchId) query = query.eq('batch_id', batchId);
+
+  const { data, error } = await query;
+
+  if (error || !data || data.length === 0) {
+    return null;
+  }
+
+  return new Date(data[0].sent_at);
+}
+
+// Function to get the last time a message was sent to a recipient
+async function getLastSentToRecipient(recipient) {
+  const { data, error } = await supabase
+    .from('outbound_messages')
+    .select('sent_at')
+    .eq('recipient', recipient)
+    .eq('status', 'sent')
+    .order('sent_at', { ascending: false })
+    .limit(1);
+
+  if (error || !data || data.length === 0) {
+    return null;
+  }
+
+  return new Date(data[0].sent_at);
+}
+
+module.exports = {
+  createBatch,
+  getBatch,
+  getBatchCounts,
+  listBatches,
+  getBatchMessages,
+  updateBatchStatus,
+  cancelPendingMessages,
+  getNextDueMessage,
+  claimMessage,
+  updateQueuedMessage,
+  postponeBatchMessages,
+  requeueInterruptedMessages,
+  countSentSince,
+  getOldestSentSince,
+  getLastSentToRecipient,
+};
@@ -1,75 +1,25 @@
 const { supabase } = require('../services/database');
 const logger = require('../utils/logger');
+const { extractPrice } = require('../utils/priceExtraction');
 // const { getAiConfig } = require('../services/aiResponse'); // Might be needed if detection depends on AI config
 
+// Minimum confidence for a price to be recorded as an offer (a lone number in a long message is not enough)
+const MIN_OFFER_CONFIDENCE = 0.5;
+
 // Function to detect a price offer in a message
+// Returns { detected: true, price, currency: 'EUR'|'CHF'|'GBP', type: 'ask'|'offer'|'floor'|'range', confidence, min?, max? }
+// or { detected: false }; mileage, years, power and phone numbers are not prices (see utils/priceExtraction)
 function detectPriceOffer(message) {
-  // Regex améliorée pour détecter les formats courants de prix en euros
-  // Prend en compte les espaces, points ou virgules comme séparateurs de milliers/décimales.
-  // Cherche des chiffres suivis optionnellement de "k" ou "K" (pour milliers) puis € ou euros.
-  // Ou des phrases comme "je propose X euros", "offre à Y", etc.
-  const priceRegex = /(?:je\s+(?:propose|offre|donne)|prix\s*(?:de|est\s*de)?|offre\s*(?:de|à)?|pour|à|mon\s*dernier\s*prix\s*est)\s*(\d{1,3}(?:[\s.,]?\d{3})*(?:[\.,]\d{1,2})?)\s*(k|K)?\s*(?:€|euros?|eur)/i;
-  const match = message.match(priceRegex);
-
-  if (match) {
-    let priceStr = match[1].replace(/\s/g, '').replace(',', '.'); // Nettoyer le nombre
-    let price = parseFloat(priceStr);
-
-    if (match[2] && (match[2].toLowerCase() === 'k')) { // Si "k" ou "K" est présent
-      price *= 1000;
-    }
-
-    if (!isNaN(price) && price > 0) {
-      return { detected: true, price: price, currency: 'EUR' };
-    }
-  }
-  // Regex plus simple juste pour un nombre suivi de € ou euros, sans mots-clés avant.
-  const simplePriceRegex = /(\d{1,3}(?:[\s.,]?\d{3})*(?:[\.,]\d{1,2})?)\s*(k|K)?\s*(?:€|euros?|eur)/i;
-  const simpleMatch = message.match(simplePriceRegex);
-  if (simpleMatch) {
-    let priceStr = simpleMatch[1].replace(/\s/g, '').replace(',', '.');
-    let price = parseFloat(priceStr);
-     if (simpleMatch[2] && (simpleMatch[2].toLowerCase() === 'k')) {
-      price *= 1000;
-    }
-    if (!isNaN(price) && price > 0) {
-      return { detected: true, price: price, currency: 'EUR' };
-    }
-  }
-
-  // Regex pour les nombres de 4 ou 5 chiffres, potentiellement avec espace comme séparateur de milliers,
-  // et optionnellement 'k' ou un symbole monétaire.
-  // Ex: "18000", "18 000", "18k", "18000€"
-  // \b pour s'assurer que c'est un "mot" isolé.
-  // (?: ... )? rend le groupe monétaire optionnel.
-  const directNumberRegex = /\b(\d{1,2}(?:\s?\d{3})|\d{4,5})\s*(k|K)?(?:\s*(?:€|euros?|eur))?\b/i;
-  const directMatch = message.match(directNumberRegex);
-
-  if (directMatch) {
-    let priceStr = directMatch[1].replace(/\s/g, ''); // Enlever les espaces pour "18 000" -> "18000"
-    let price = parseFloat(priceStr);
-
-    if (directMatch[2] && (directMatch[2].toLowerCase() === 'k')) { // Gestion du "k"
-      price *= 1000;
-    }
-
-    // Heuristique de plausibilité pour un prix de véhicule
-    const isPlausiblePrice = !isNaN(price) && price >= 500 && price <= 200000; // Fourchette ajustable
-
-    if (isPlausiblePrice) {
-      // Pour réduire les faux positifs, on peut vérifier si le message est court
-      // ou si le nombre est le seul contenu numérique significatif.
-      const wordCount = message.split(/\s+/).length;
-      const justTheNumber = message.trim() === directMatch[0].trim(); // Le message est-il juste le prix détecté ?
+  const result = extractPrice(message);
 
-      if (justTheNumber || wordCount <= 5) { // Si c'est juste le nombre, ou un message très court
-        logger.debug(`Prix direct détecté: ${price} (message: "${message}")`);
-        return { detected: true, price: price, currency: 'EUR', context: 'direct_number' };
-      }
-    }
+  if (!result || result.confidence < MIN_OFFER_CONFIDENCE) {
+    if (result) logger.debug(`Prix ignoré (confiance ${result.confidence}): ${result.price} (message: "${message}")`);
+    return { detected: false };
   }
 
-  return { detected: false };
+  const { explicitCurrency, ...price } = result;
+  logger.debug(`Prix détecté: ${price.price} ${price.currency} (${price.type}, confiance ${price.confidence})`);
+  return { detected: true, ...price };
 }
 
 // Function to create a price offer in the DB
@@ -102,7 +52,14 @@ async function createPriceOfferInDB(conversationId, vehicleId, userId, messageId
     }
     
     logger.info(`Saving price offer with messageId: ${messageId} -> validMessageId: ${validMessageId}`);
-    
+
+    // A new offer from the seller answers the pending one: our counter-offer is countered,
+    // a previous offer of the seller is replaced
+    const previousOffer = await getPendingOffer(conversationId);
+    if (previousOffer) {
+      await updatePriceOfferStatus(previousOffer.id, previousOffer.direction === 'buyer' ? 'countered' : 'superseded');
+    }
+
     const { data, error } = await supabase
       .from('price_offers')
       .insert({
@@ -113,6 +70,8 @@ async function createPriceOfferInDB(conversationId, vehicleId, userId, messageId
         offered_price: price,
         offer_currency: currency,
         status: 'pending', // Initial status
+        direction: 'seller',
+        parent_offer_id: previousOffer ? previousOffer.id : null,
         notes: `Offre détectée automatiquement: ${price} ${currency}`
       })
       .select()
@@ -130,7 +89,144 @@ async function createPriceOfferInDB(conversationId, vehicleId, userId, messageId
   }
 }
 
+// Function to list the price offers made on a vehicle, oldest first
+async function getPriceOffersForVehicle(vehicleId) {
+  const { data, error } = await supabase
+    .from('price_offers')
+    .select('*')
+    .eq('vehicle_id', vehicleId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    logger.error('Error retrieving price offers:', error);
+    throw new Error('Error retrieving price offers');
+  }
+
+  return data || [];
+}
+
+// Function to retrieve a price offer by ID
+async function getPriceOfferById(offerId) {
+  const { data, error } = await supabase
+    .from('price_offers')
+    .select('*')
+    .eq('id', offerId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Error retrieving price offer ${offerId}:`, error);
+    throw new Error('Error retrieving price offer');
+  }
+
+  return data;
+}
+
+// Function to retrieve the offer of a conversation still waiting for an answer (the latest one)
+async function getPendingOffer(conversationId) {
+  const { data, error } = await supabase
+    .from('price_offers')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .eq('status', 'pending')
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    logger.error(`Error retrieving pending offer of conversation ${conversationId}:`, error);
+    return null;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Function to list the negotiation thread of a conversation (offers and counter-offers, oldest first)
+async function getPriceOffersForConversation(conversationId) {
+  const { data, error } = await supabase
+    .from('price_offers')
+    .select('*')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    logger.error('Error retrieving negotiation thread:', error);
+    throw new Error('Error retrieving price offers');
+  }
+
+  return data || [];
+}
+
+// Function to answer a pending offer ('accepted' | 'rejected' | 'countered' | 'superseded')
+// Only a pending offer is updated: returns null if it was answered in the meantime
+async function updatePriceOfferStatus(offerId, status, notes = null) {
+  const now = new Date().toISOString();
+  const update = { status, responded_at: now, updated_at: now };
+  if (notes) update.notes = notes;
+
+  const { data, error } = await supabase
+    .from('price_offers')
+    .update(update)
+    .eq('id', offerId)
+    .eq('status', 'pending')
+    .select();
+
+  if (error) {
+    logger.error(`Error updating price offer ${offerId} to ${status}:`, error);
+    throw new Error('Error updating price offer');
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Function to mark the other pending offers of a conversation as replaced (once a price is agreed)
+async function supersedePendingOffers(conversationId, exceptOfferId) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('price_offers')
+    .update({ status: 'superseded', responded_at: now, updated_at: now })
+    .eq('conversation_id', conversationId)
+    .eq('status', 'pending')
+    .neq('id', exceptOfferId);
+
+  if (error) {
+    logger.error(`Error closing pending offers of conversation ${conversationId}:`, error);
+  }
+}
+
+// Function to record our counter-offer in answer to an offer of the seller
+async function createCounterOfferInDB(parentOffer, price, userId, messageId = null, notes = null) {
+  const { data, error } = await supabase
+    .from('price_offers')
+    .insert({
+      conversation_id: parentOffer.conversation_id,
+      vehicle_id: parentOffer.vehicle_id,
+      user_id: userId,
+      message_id: messageId,
+      offered_price: price,
+      offer_currency: parentOffer.offer_currency || 'EUR',
+      status: 'pending',
+      direction: 'buyer',
+      parent_offer_id: parentOffer.id,
+      notes: notes || `Contre-offre: ${price} ${parentOffer.offer_currency || 'EUR'}`
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error saving counter-offer:', error);
+    throw new Error('Error saving counter-offer');
+  }
+
+  return data;
+}
+
 module.exports = {
   detectPriceOffer,
   createPriceOfferInDB,
+  getPriceOffersForVehicle,
+  getPriceOfferById,
+  getPendingOffer,
+  getPriceOffersForConversation,
+  updatePriceOfferStatus,
+  supersedePendingOffers,
+  createCounterOfferInDB,
 };
@@ -4,32 +4,323 @@ const logger = require('../utils/logger');
 const { getAiConfig } = require('../services/aiResponse'); // To get unavailability keywords
 
 // Function to find a vehicle by phone number
-async function findVehicleByPhone(phone) {
+// Exact matches come first, then partial ones (numbers stored with another prefix); merged duplicates
+// are skipped and, among several cars of the same seller, the last contacted or updated one is returned
+async function findVehicleByPhone(phone, userId = null) {
   // Format the phone number for searching
   const formattedPhone = normalizePhoneNumber(phone);
+  if (!formattedPhone) {
+    return null;
+  }
 
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from('vehicles')
       .select('*')
-      .filter('phone', 'ilike', `%${formattedPhone}%`);
+      .is('merged_into', null)
+      .filter('phone', 'ilike', `%${formattedPhone.slice(-9)}%`);
+
+    if (userId) {
+      query = query.or(`user_id.eq.${userId},user_id.is.null`);
+    }
+
+    const { data, error } = await query
+      .order('first_contacted_at', { ascending: false, nullsFirst: false })
+      .order('updated_at', { ascending: false });
 
     if (error) {
       logger.error('Error searching for vehicle:', error);
       return null;
     }
 
-    if (data && data.length > 0) {
-      return data[0];
+    if (!data || data.length === 0) {
+      return null;
     }
 
-    return null;
+    return data.find(vehicle => normalizePhoneNumber(vehicle.phone) === formattedPhone) || data[0];
   } catch (error) {
     logger.error('Exception during vehicle search:', error);
     throw error;
   }
 }
 
+// Vehicle IDs per request (they go in the request URL) and rows per page (API row limit)
+const VEHICLE_CHUNK_SIZE = 100;
+const PAGE_SIZE = 1000;
+
+// Function to build the query of a campaign filter, restricted to some vehicle IDs when given
+function buildFilterQuery(filter, vehicleIds = null) {
+  let query = supabase
+    .from('vehicles')
+    .select('*')
+    .not('phone', 'is', null)
+    .neq('phone', '')
+    .is('merged_into', null);
+
+  if (vehicleIds) query = query.in('id', vehicleIds);
+  if (filter.brand) query = query.ilike('brand', `%${filter.brand}%`);
+  if (filter.model) query = query.ilike('model', `%${filter.model}%`);
+  if (filter.location) query = query.ilike('location', `%${filter.location}%`);
+  if (filter.minPrice) query = query.gte('price', filter.minPrice);
+  if (filter.maxPrice) query = query.lte('price', filter.maxPrice);
+  if (filter.minYear) query = query.gte('year', filter.minYear);
+  if (filter.maxYear) query = query.lte('year', filter.maxYear);
+  if (filter.userId) query = query.eq('user_id', filter.userId);
+  if (filter.contactStatus === 'not_contacted') {
+    query = query.or('contact_status.is.null,contact_status.neq.contacted');
+  } else if (filter.contactStatus) {
+    query = query.eq('contact_status', filter.contactStatus);
+  }
+
+  return query.order('created_at', { ascending: false }).order('id', { ascending: true });
+}
+
+// Function to find the vehicles matching a campaign filter (only vehicles with a phone number)
+// Filter: { vehicleIds, brand, model, minPrice, maxPrice, minYear, maxYear, location, contactStatus, userId }
+// Read page by page, and the vehicle IDs by chunks: a campaign can target more rows than the API row limit
+async function findVehiclesByFilter(filter = {}) {
+  const chunks = [];
+  if (Array.isArray(filter.vehicleIds) && filter.vehicleIds.length > 0) {
+    const uniqueIds = [...new Set(filter.vehicleIds)];
+    for (let start = 0; start < uniqueIds.length; start += VEHICLE_CHUNK_SIZE) {
+      chunks.push(uniqueIds.slice(start, start + VEHICLE_CHUNK_SIZE));
+    }
+  } else {
+    chunks.push(null);
+  }
+
+  const vehicles = [];
+  for (const chunk of chunks) {
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await buildFilterQuery(filter, chunk).range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) {
+        logger.error('Error searching vehicles by filter:', error);
+        throw new Error('Error searching vehicles');
+      }
+
+      vehicles.push(...data);
+      if (data.length < PAGE_SIZE) break;
+    }
+  }
+
+  // Most recent first across the chunks, as for a single query
+  if (chunks.length > 1) {
+    vehicles.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+  return vehicles;
+}
+
+// Sort options of the vehicle search (sortBy -> column, direction)
+const SEARCH_SORTS = {
+  created_at_desc: ['created_at', false],
+  price_asc: ['price', true],
+  price_desc: ['price', false],
+  year_desc: ['year', false],
+  year_asc: ['year', true],
+  brand_asc: ['brand', true],
+};
+const MAX_SEARCH_LIMIT = 1000;
+
+// Function to search the vehicles of a user, paginated
+// Filter: { userId, ids, search, contactStatus, sellerType, source, minPrice, maxPrice, minYear, maxYear,
+//           showOnlyWithPhone, sortBy, page, limit, select }
+// Returns { vehicles, total, page, limit } (the limit is capped)
+async function searchVehicles(filter = {}) {
+  const limit = Math.min(Math.max(parseInt(filter.limit) || 50, 1), MAX_SEARCH_LIMIT);
+  const page = Math.max(parseInt(filter.page) || 1, 1);
+  const [column, ascending] = SEARCH_SORTS[filter.sortBy] || SEARCH_SORTS.created_at_desc;
+
+  let query = supabase
+    .from('vehicles')
+    .select(filter.select === 'id' ? 'id' : '*', { count: 'exact' })
+    .eq('user_id', filter.userId)
+    .is('merged_into', null);
+
+  if (Array.isArray(filter.ids) && filter.ids.length > 0) {
+    query = query.in('id', filter.ids);
+  }
+  if (filter.search) {
+    // Commas and parentheses would break the or() filter syntax
+    const term = filter.search.replace(/[,()]/g, ' ').trim();
+    if (term) query = query.or(`brand.ilike.%${term}%,model.ilike.%${term}%,location.ilike.%${term}%`);
+  }
+  if (filter.contactStatus === 'not_contacted') {
+    query = query.or('contact_status.is.null,contact_status.neq.contacted');
+  } else if (filter.contactStatus) {
+    query = query.eq('contact_status', filter.contactStatus);
+  }
+  if (filter.sellerType) query = query.eq('seller_type', filter.sellerType);
+  if (filter.source) query = query.eq('source', filter.source);
+  if (filter.minPrice) query = query.gte('price', filter.minPrice);
+  if (filter.maxPrice) query = query.lte('price', filter.maxPrice);
+  if (filter.minYear) query = query.gte('year', filter.minYear);
+  if (filter.maxYear) query = query.lte('year', filter.maxYear);
+  if (filter.showOnlyWithPhone) {
+    query = query.not('phone', 'is', null).neq('phone', '');
+  }
+
+  const { data, error, count } = await query
+    .order(column, { ascending, nullsFirst: false })
+    .range((page - 1) * limit, page * limit - 1);
+
+  if (error) {
+    logger.error('Error searching vehicles:', error);
+    throw new Error('Error searching vehicles');
+  }
+
+  return { vehicles: data || [], total: count || 0, page, limit };
+}
+
+// Function to keep, among vehicle IDs, those belonging to a user
+async function getOwnedVehicleIds(vehicleIds, userId) {
+  const ids = [...new Set(vehicleIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return new Set();
+  }
+
+  const { data, error } = await supabase
+    .from('vehicles')
+    .select('id')
+    .in('id', ids)
+    .eq('user_id', userId);
+
+  if (error) {
+    logger.error('Error checking vehicle ownership:', error);
+    throw new Error('Error checking vehicle ownership');
+  }
+
+  return new Set((data || []).map(vehicle => vehicle.id));
+}
+
+// Function to retrieve the vehicles of a user by listing URL
+async function findVehiclesByListingUrls(userId, listingUrls) {
+  const urls = [...new Set(listingUrls.filter(Boolean))];
+  if (urls.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('vehicles')
+    .select('*')
+    .eq('user_id', userId)
+    .in('listing_url', urls);
+
+  if (error) {
+    logger.error('Error retrieving vehicles by listing URL:', error);
+    throw new Error('Error retrieving vehicles');
+  }
+
+  return data || [];
+}
+
+// Function to insert or update vehicles, keyed on (user_id, listing_url)
+async function upsertVehicles(rows) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from('vehicles')
+    .upsert(rows, { onConflict: 'user_id,listing_url' })
+    .select();
+
+  if (error) {
+    logger.error('Error upserting vehicles:', error);
+    throw new Error('Error saving vehicles');
+  }
+
+  return data || [];
+}
+
+// Function to list the vehicles of a saved search still considered online
+async function findListedVehiclesForSearch(searchId) {
+  const { data, error } = await supabase
+    .from('vehicles')
+    .select('*')
+    .eq('autoscout_search_id', searchId)
+    .is('removed_at', null);
+
+  if (error) {
+    logger.error('Error retrieving vehicles of search:', error);
+    throw new Error('Error retrieving vehicles');
+  }
+
+  return data || [];
+}
+
+// Function to flag vehicles whose listing disappeared from the search results
+async function markVehiclesRemoved(vehicleIds) {
+  if (vehicleIds.length === 0) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('vehicles')
+    .update({ removed_at: now, updated_at: now })
+    .in('id', vehicleIds);
+
+  if (error) {
+    logger.error('Error flagging removed vehicles:', error);
+    throw new Error('Error updating vehicles');
+  }
+}
+
+// Function to retrieve a vehicle by ID (null if not found)
+async function getVehicleById(vehicleId) {
+  const { data, error } = await supabase
+    .from('vehicles')
+    .select('*')
+    .eq('id', vehicleId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error('Error retrieving vehicle:', error);
+    throw new Error('Error retrieving vehicle');
+  }
+
+  return data;
+}
+
+// Function to retrieve the price history of a vehicle, oldest first (fed by the vehicles triggers)
+async function getVehiclePriceHistory(vehicleId) {
+  const { data, error } = await supabase
+    .from('vehicle_price_history')
+    .select('*')
+    .eq('vehicle_id', vehicleId)
+    .order('recorded_at', { ascending: true });
+
+  if (error) {
+    logger.error('Error retrieving vehicle price history:', error);
+    throw new Error('Error retrieving price history');
+  }
+
+  return data || [];
+}
+
+// Function to compute the asking-price drop since the first contact with the seller
+// Returns { firstContactPrice, currentPrice, amount, percent } or null if the price did not drop
+function getPriceDropSinceFirstContact(vehicle) {
+  if (!vehicle || vehicle.first_contact_price === null || vehicle.first_contact_price === undefined) {
+    return null;
+  }
+
+  const firstContactPrice = Number(vehicle.first_contact_price);
+  const currentPrice = Number(vehicle.price);
+  if (!(firstContactPrice > 0) || !(currentPrice < firstContactPrice)) {
+    return null;
+  }
+
+  const amount = firstContactPrice - currentPrice;
+  return {
+    firstContactPrice,
+    currentPrice,
+    amount,
+    percent: Math.round((amount / firstContactPrice) * 1000) / 10
+  };
+}
+
 // Function to update the contact status of a vehicle
 async function updateVehicleContactStatus(vehicleId, userId) {
   try {
@@ -116,6 +407,16 @@ function isVehicleUnavailableResponse(message) {
 
 module.exports = {
   findVehicleByPhone,
+  findVehiclesByFilter,
+  searchVehicles,
+  getOwnedVehicleIds,
+  getVehicleById,
+  getVehiclePriceHistory,
+  getPriceDropSinceFirstContact,
+  findVehiclesByListingUrls,
+  upsertVehicles,
+  findListedVehiclesForSearch,
+  markVehiclesRemoved,
   updateVehicleContactStatus,
   markVehicleAsSoldInDB,
   isVehicleUnavailableResponse,
@@ -0,0 +1,158 @@
+const { supabase } = require('../services/database');
+const logger = require('../utils/logger');
+
+// Columns compared by the deduplication engine
+const DEDUP_COLUMNS = 'id, user_id, brand, model, year, mileage, price, phone, image_url, image_hash, location, '
+  + 'listing_url, source, seller_type, contact_status, first_contacted_at, first_contact_price, removed_at, created_at';
+
+// Rows per page when reading all the vehicles or exclusions of a user (API row limit)
+const PAGE_SIZE = 1000;
+
+// Function to list the vehicles of a user that were not merged into another one
+async function listActiveVehiclesForDedup(userId) {
+  const vehicles = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('vehicles')
+      .select(DEDUP_COLUMNS)
+      .eq('user_id', userId)
+      .is('merged_into', null)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      logger.error('Error listing vehicles for deduplication:', error);
+      throw new Error('Error listing vehicles');
+    }
+
+    vehicles.push(...data);
+    if (data.length < PAGE_SIZE) return vehicles;
+  }
+}
+
+// Function to list the active vehicles of a user whose image has not been hashed yet
+async function listVehiclesMissingImageHash(userId, limit) {
+  const { data, error } = await supabase
+    .from('vehicles')
+    .select('id, image_url')
+    .eq('user_id', userId)
+    .is('merged_into', null)
+    .is('image_hash', null)
+    .not('image_url', 'is', null)
+    .neq('image_url', '')
+    .limit(limit);
+
+  if (error) {
+    logger.error('Error listing vehicles without image hash:', error);
+    return [];
+  }
+
+  return data || [];
+}
+
+// Function to store the image hash of a vehicle
+async function setVehicleImageHash(vehicleId, imageHash) {
+  const { error } = await supabase
+    .from('vehicles')
+    .update({ image_hash: imageHash })
+    .eq('id', vehicleId);
+
+  if (error) {
+    logger.error(`Error saving image hash of vehicle ${vehicleId}:`, error);
+  }
+}
+
+// Function to list the pairs marked as "not a duplicate" by a user, as "idA:idB" keys (idA < idB)
+async function listExclusionKeys(userId) {
+  const keys = new Set();
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('vehicle_duplicate_exclusions')
+      .select('vehicle_id, other_vehicle_id')
+      .eq('user_id', userId)
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      logger.error('Error listing duplicate exclusions:', error);
+      throw new Error('Error listing duplicate exclusions');
+    }
+
+    data.forEach(row => keys.add(`${row.vehicle_id}:${row.other_vehicle_id}`));
+    if (data.length < PAGE_SIZE) return keys;
+  }
+}
+
+// Function to mark pairs of vehicles as "not a duplicate" ([[idA, idB]], each pair ordered idA < idB)
+async function createExclusions(userId, pairs) {
+  if (pairs.length === 0) return;
+
+  const { error } = await supabase
+    .from('vehicle_duplicate_exclusions')
+    .upsert(
+      pairs.map(([vehicleId, otherVehicleId]) => ({ user_id: userId, vehicle_id: vehicleId, other_vehicle_id: otherVehicleId })),
+      { onConflict: 'vehicle_id,other_vehicle_id', ignoreDuplicates: true }
+    );
+
+  if (error) {
+    logger.error('Error saving duplicate exclusions:', error);
+    throw new Error('Error saving duplicate exclusions');
+  }
+}
+
+// Function to move the rows of a table linked to the duplicates onto the surviving vehicle
+async function repointVehicleRows(table, survivorId, duplicateIds) {
+  const { error } = await supabase
+    .from(table)
+    .update({ vehicle_id: survivorId })
+    .in('vehicle_id', duplicateIds);
+
+  if (error) {
+    logger.error(`Error moving ${table} to vehicle ${survivorId}:`, error);
+    throw new Error(`Error moving ${table}`);
+  }
+}
+
+// Function to merge duplicates into a surviving vehicle
+// Conversations, price offers, price history and queued messages are moved first, so a failed merge
+// can be run again; the duplicates are then flagged with merged_into and `survivorUpdates` applied
+async function mergeVehicleRecords(survivorId, duplicateIds, survivorUpdates = {}) {
+  for (const table of ['conversations', 'price_offers', 'vehicle_price_history', 'outbound_messages']) {
+    await repointVehicleRows(table, survivorId, duplicateIds);
+  }
+
+  const now = new Date().toISOString();
+  const { error: mergeError } = await supabase
+    .from('vehicles')
+    .update({ merged_into: survivorId, merged_at: now, updated_at: now })
+    .in('id', duplicateIds);
+
+  if (mergeError) {
+    logger.error('Error flagging merged vehicles:', mergeError);
+    throw new Error('Error merging vehicles');
+  }
+
+  const { data, error } = await supabase
+    .from('vehicles')
+    .update({ ...survivorUpdates, updated_at: now })
+    .eq('id', survivorId)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error updating surviving vehicle:', error);
+    throw new Error('Error merging vehicles');
+  }
+
+  return data;
+}
+
+module.exports = {
+  listActiveVehiclesForDedup,
+  listVehiclesMissingImageHash,
+  setVehicleImageHash,
+  listExclusionKeys,
+  createExclusions,
+  mergeVehicleRecords,
+};
@@ -0,0 +1,108 @@
+const { supabase } = require('../services/database');
+const logger = require('../utils/logger');
+
+// Columns used to value a vehicle and to compare it with other listings
+const VALUATION_COLUMNS = 'id, user_id, brand, model, year, mileage, price, fuel_type, transmission';
+// Comparable listings loaded per valuation (the closest years come first)
+const MAX_COMPARABLES = 500;
+
+// Function to retrieve the characteristics of a vehicle to value
+// (kept separate from models/vehicle, which the AI service cannot require)
+async function getVehicleForValuation(vehicleId) {
+  const { data, error } = await supabase
+    .from('vehicles')
+    .select(VALUATION_COLUMNS)
+    .eq('id', vehicleId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Error retrieving vehicle ${vehicleId} for valuation:`, error);
+    return null;
+  }
+
+  return data;
+}
+
+// Function to list the priced listings of the same make and model family, within `yearSpan` years
+// Listings of every user are compared: only aggregated figures are returned to the API
+async function listComparableVehicles(vehicle, yearSpan) {
+  const modelPrefix = String(vehicle.model || '').trim().split(/\s+/)[0];
+
+  let query = supabase
+    .from('vehicles')
+    .select(VALUATION_COLUMNS)
+    .ilike('brand', vehicle.brand)
+    .ilike('model', `${modelPrefix}%`)
+    .neq('id', vehicle.id)
+    .not('price', 'is', null)
+    .gt('price', 0)
+    .is('merged_into', null)
+    .limit(MAX_COMPARABLES);
+
+  if (vehicle.year) {
+    query = query.gte('year', vehicle.year - yearSpan).lte('year', vehicle.year + yearSpan);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    logger.error(`Error listing comparables of vehicle ${vehicle.id}:`, error);
+    throw new Error('Error listing comparable vehicles');
+  }
+
+  return data || [];
+}
+
+// Function to retrieve the stored valuation of a vehicle
+async function getValuationByVehicleId(vehicleId) {
+  const { data, error } = await supabase
+    .from('vehicle_valuations')
+    .select('*')
+    .eq('vehicle_id', vehicleId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Error retrieving valuation of vehicle ${vehicleId}:`, error);
+    return null;
+  }
+
+  return data;
+}
+
+// Function to store the valuation of a vehicle (replaces the previous one)
+async function saveValuation(valuation) {
+  const { data, error } = await supabase
+    .from('vehicle_valuations')
+    .upsert(valuation, { onConflict: 'vehicle_id' })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error(`Error saving valuation of vehicle ${valuation.vehicle_id}:`, error);
+    throw new Error('Error saving vehicle valuation');
+  }
+
+  return data;
+}
+
+// Function to fill the target price of the contact records of a vehicle that have none
+// (a target price entered by hand is never overwritten)
+async function fillContactTargetPrice(vehicleId, targetPrice) {
+  const { error } = await supabase
+    .from('contact_records')
+    .update({ target_price: targetPrice, updated_at: new Date().toISOString() })
+    .eq('vehicle_id', vehicleId)
+    .is('target_price', null);
+
+  if (error) {
+    logger.warn(`Target price of the contacts of vehicle ${vehicleId} not updated:`, error.message);
+  }
+}
+
+module.exports = {
+  getVehicleForValuation,
+  listComparableVehicles,
+  getValuationByVehicleId,
+  saveValuation,
+  fillContactTargetPrice,
+};
@@ -0,0 +1,75 @@
+const { supabase } = require('../services/database');
+const logger = require('../utils/logger');
+
+// Function to record a new WhatsApp session
+async function createSessionRecord({ id, label, userId }) {
+  const { data, error } = await supabase
+    .from('whatsapp_sessions')
+    .insert({ id, label, user_id: userId })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Error creating WhatsApp session:', error);
+    throw new Error('Error creating WhatsApp session');
+  }
+
+  return data;
+}
+
+// Function to list the recorded WhatsApp sessions, optionally for one user
+async function listSessionRecords(userId = null) {
+  let query = supabase
+    .from('whatsapp_sessions')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    logger.error('Error listing WhatsApp sessions:', error);
+    throw new Error('Error listing WhatsApp sessions');
+  }
+
+  return data || [];
+}
+
+// Function to update a WhatsApp session (status, phone number)
+async function updateSessionRecord(id, updates) {
+  const { data, error } = await supabase
+    .from('whatsapp_sessions')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select();
+
+  if (error) {
+    logger.error('Error updating WhatsApp session:', error);
+    return null;
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Function to delete a WhatsApp session
+async function deleteSessionRecord(id) {
+  const { error } = await supabase
+    .from('whatsapp_sessions')
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    logger.error('Error deleting WhatsApp session:', error);
+    throw new Error('Error deleting WhatsApp session');
+  }
+}
+
+module.exports = {
+  createSessionRecord,
+  listSessionRecords,
+  updateSessionRecord,
+  deleteSessionRecord,
+};
@@ -0,0 +1,43 @@
+require('dotenv').config();
+const { reconcileDuplicateMessages } = require('./services/messageReconciliation');
+
+// Rapport des messages enregistrés plusieurs fois (même ID WhatsApp, ID court et ID complet du même message,
+// ou copie sans ID), et fusion avec --merge. À exécuter avant add_unique_message_id.sql, qui échoue tant qu'il
+// reste des doublons du même ID; les paires ID court / ID complet peuvent aussi être fusionnées après.
+// Usage: node reconcile_duplicate_messages.js [--merge] [--conversation <id>]
+async function main() {
+  const args = process.argv.slice(2);
+  const merge = args.includes('--merge');
+  const conversationIndex = args.indexOf('--conversation');
+  const conversationId = conversationIndex !== -1 ? args[conversationIndex + 1] : null;
+
+  console.log(merge ? 'Fusion des messages en double...' : 'Recherche des messages en double (rapport seulement)...');
+
+  const report = await reconcileDuplicateMessages({ merge, conversationId });
+
+  console.log(`${report.scanned} messages analysés.`);
+  console.log(`${report.duplicates} doublon(s) de ${report.groups} message(s).`);
+  for (const group of report.details.slice(0, 20)) {
+    console.log(`  ${group.messageId} (conversation ${group.conversationId}): conservé ${group.keptId}, doublons ${group.duplicateIds.join(', ')}`);
+  }
+  if (report.details.length > 20) {
+    console.log(`  ... et ${report.details.length - 20} autre(s)`);
+  }
+
+  if (merge) {
+    console.log(`${report.merged} doublon(s) fusionné(s), ${report.failed} message(s) en échec.`);
+  } else if (report.duplicates > 0) {
+    console.log('Relancez avec --merge pour les fusionner.');
+  }
+
+  return report;
+}
+
+main()
+  .then((report) => {
+    process.exit(report.failed > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    console.error('Erreur lors de la réconciliation:', error);
+    process.exit(1);
+  });
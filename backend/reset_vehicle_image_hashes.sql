@@ -0,0 +1,6 @@
+-- Dédoublonnage: image_hash passe du SHA-256 du fichier (64 caractères) au hash perceptuel dHash
+-- (16 caractères), qui reconnaît une même photo recompressée ou redimensionnée par un autre site.
+-- Les anciens hash sont effacés: les images sont analysées à nouveau par les prochaines recherches de doublons.
+-- À exécuter après create_vehicle_duplicates.sql
+
+UPDATE vehicles SET image_hash = NULL WHERE length(image_hash) = 64;
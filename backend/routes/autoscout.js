@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const autoscoutController = require('../controllers/autoscout');
+
+// Routes for the listing importer (interactive scrape and saved searches re-scraped on a schedule)
+router.get('/scrape', autoscoutController.streamScrape);
+router.post('/stop', autoscoutController.stopScrape);
+router.post('/vehicles', autoscoutController.saveVehicles);
+router.get('/marketplaces', autoscoutController.getMarketplaces);
+router.get('/searches', autoscoutController.getSearches);
+router.post('/searches', autoscoutController.create);
+router.patch('/searches/:searchId', autoscoutController.update);
+router.delete('/searches/:searchId', autoscoutController.remove);
+router.post('/searches/:searchId/run', autoscoutController.run);
+router.get('/searches/:searchId/runs', autoscoutController.getRuns);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const campaignController = require('../controllers/campaign');
+
+// Routes for bulk campaigns (template + vehicle filter, sent through the outbound queue)
+router.post('/', campaignController.createCampaign);
+router.get('/', campaignController.getCampaigns);
+router.post('/preview', campaignController.preview);
+router.get('/:campaignId', campaignController.getCampaign);
+router.post('/:campaignId/launch', campaignController.launch);
+router.post('/:campaignId/pause', campaignController.pause);
+router.post('/:campaignId/resume', campaignController.resume);
+router.post('/:campaignId/cancel', campaignController.cancel);
+
+module.exports = router;
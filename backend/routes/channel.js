@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const channelController = require('../controllers/channel');
+
+// Routes for messaging channels
+router.get('/', channelController.getChannels);
+router.get('/:name/status', channelController.getChannelStatus);
+router.get('/:name/qrcode', channelController.getChannelQrCode);
+
+module.exports = router;
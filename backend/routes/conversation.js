@@ -1,10 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const conversationController = require('../controllers/conversation');
+const priceOfferController = require('../controllers/priceOffer');
+const followUpController = require('../controllers/followUp');
 
 // Routes for conversations
 router.get('/', conversationController.getConversationsPaginated);
 router.get('/:id', conversationController.getConversation);
 router.patch('/:id/state', conversationController.updateConversationStateHandler);
+router.get('/:id/state-history', conversationController.getConversationStateHistoryHandler);
+router.get('/:id/backfill', conversationController.getHistoryBackfillHandler); // Import of the whole chat history
+router.post('/:id/backfill', conversationController.startHistoryBackfillHandler);
+router.get('/:id/offers', priceOfferController.getConversationOffers);
+router.get('/:id/followups', followUpController.getConversationFollowUps);
+router.put('/:id/followups', followUpController.updateConversationFollowUps);
+router.delete('/:id/followups', followUpController.cancelConversationFollowUps);
 
 module.exports = router;
@@ -1,16 +1,34 @@
 const express = require('express');
 const router = express.Router();
+const { authenticate } = require('../middleware/auth');
 
 // Import the different routers
 const whatsappRoutes = require('./whatsapp');
+const sessionRoutes = require('./session');
 const conversationRoutes = require('./conversation');
 const messageRoutes = require('./message');
 const aiRoutes = require('./ai');
+const channelRoutes = require('./channel');
+const queueRoutes = require('./queue');
+const campaignRoutes = require('./campaign');
+const autoscoutRoutes = require('./autoscout');
+const vehicleRoutes = require('./vehicle');
+const priceOfferRoutes = require('./priceOffer');
+
+// Every API route requires an authenticated user (Supabase JWT or API key)
+router.use(authenticate);
 
 // Define the routes
+router.use('/whatsapp/sessions', sessionRoutes);
 router.use('/whatsapp', whatsappRoutes);
 router.use('/conversations', conversationRoutes);
 router.use('/messages', messageRoutes);
 router.use('/ai', aiRoutes);
+router.use('/channels', channelRoutes);
+router.use('/queue', queueRoutes);
+router.use('/campaigns', campaignRoutes);
+router.use('/autoscout', autoscoutRoutes);
+router.use('/vehicles', vehicleRoutes);
+router.use('/price-offers', priceOfferRoutes);
 
 module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const priceOfferController = require('../controllers/priceOffer');
+
+// Routes for the negotiation of price offers (the thread is under /conversations/:id/offers)
+router.post('/:offerId/accept', priceOfferController.acceptPriceOffer);
+router.post('/:offerId/reject', priceOfferController.rejectPriceOffer);
+router.post('/:offerId/counter', priceOfferController.counterPriceOffer);
+
+module.exports = router;
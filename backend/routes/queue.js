@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const queueController = require('../controllers/queue');
+
+// Routes for the server-side outbound message queue
+router.post('/batches', queueController.createBatch);
+router.get('/batches', queueController.getBatches);
+router.get('/batches/:batchId', queueController.getBatchDetails);
+router.post('/batches/:batchId/pause', queueController.pause);
+router.post('/batches/:batchId/resume', queueController.resume);
+router.post('/batches/:batchId/cancel', queueController.cancel);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const sessionController = require('../controllers/session');
+
+// Routes for the named WhatsApp sessions (one phone number per buyer)
+router.get('/', sessionController.getSessions);
+router.post('/', sessionController.create);
+router.get('/:id/status', sessionController.getStatus);
+router.get('/:id/qrcode', sessionController.getQrCode);
+router.post('/:id/logout', sessionController.logout);
+router.delete('/:id', sessionController.remove);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const vehicleController = require('../controllers/vehicle');
+
+// Routes for the vehicles (search, duplicates, listing history, market valuation)
+router.get('/search', vehicleController.search);
+router.get('/duplicates', vehicleController.getDuplicates);
+router.post('/duplicates/merge', vehicleController.mergeDuplicateVehicles);
+router.post('/duplicates/exclusions', vehicleController.excludeDuplicateVehicles);
+router.get('/:vehicleId/price-history', vehicleController.getPriceHistory);
+router.get('/:vehicleId/valuation', vehicleController.getValuation);
+router.post('/:vehicleId/valuation', vehicleController.getValuation);
+
+module.exports = router;
@@ -1,16 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const whatsappController = require('../controllers/whatsapp');
+const { uploadSingleFile } = require('../middleware/upload');
 
 // Define WhatsApp routes
 router.get('/status', whatsappController.getStatus);
+router.get('/health', whatsappController.getHealth); // Sessions state, uptime, reconnections, last messages
 router.get('/qrcode', whatsappController.getQrCode);
-router.post('/send', whatsappController.sendMessage);
+router.post('/send', uploadSingleFile('file'), whatsappController.sendMessage); // Text, media (multipart `file` or `mediaUrl`) or location
 router.post('/initialize', whatsappController.initializeClient);
-router.get('/messages', whatsappController.getRecentMessages); // Get recent messages from WhatsApp
+router.get('/messages', whatsappController.getRecentMessages); // Get the recent stored messages (?limit=, 1000 max)
 router.get('/update-contacted-vehicles', whatsappController.updateContactedVehicles); // Update vehicle statuses based on WhatsApp chats
 router.get('/all-conversations', whatsappController.getAllWhatsAppConversations); // Get all conversations from WhatsApp
-router.post('/sync-conversation/:conversationId', whatsappController.syncConversationHistory); // Sync specific conversation
-router.post('/sync-all-conversations', whatsappController.syncAllConversationsHistory); // Sync all conversations
+router.post('/sync-conversation/:conversationId', whatsappController.syncConversationHistory); // Sync specific conversation since its checkpoint
+router.post('/sync-all-conversations', whatsappController.syncAllConversationsHistory); // Start (or resume) the background sync of all conversations
+router.get('/sync-status', whatsappController.getSyncStatus); // Progress of the last background sync
 
 module.exports = router;
@@ -3,6 +3,8 @@ const logger = require('../utils/logger');
 const { supabase } = require('./database'); // Import supabase at the top
 const { getMessagesByConversationId } = require('../models/message');
 const { normalizePhoneNumber } = require('../utils/phoneNumber'); // Import phone number utils
+const { getVehicleValuation, buildValuationPrompt } = require('./vehicleValuation');
+const { normalizeStateMachine } = require('../config/stateMachine');
 
 // Map to store conversation history (limited size)
 const conversationHistory = new Map();
@@ -11,6 +13,20 @@ const MAX_HISTORY_LENGTH = 15; // Number of messages to keep in history (increas
 // Variable to hold the current AI configuration (loaded from DB)
 let currentAiConfig = { ...defaultAiConfig }; // Start with defaults
 
+// Function to enable or disable the price offer rule of a state machine
+// (the pauseBotOnPriceOffer setting is that rule's switch, kept for the clients sending it)
+function withPriceOfferRule(stateMachine, enabled) {
+  return {
+    ...stateMachine,
+    rules: stateMachine.rules.map(rule => (rule.guard === 'price_detected' ? { ...rule, enabled } : rule))
+  };
+}
+
+// Function to tell whether the price offer rule of a state machine is enabled
+function isPriceOfferRuleEnabled(stateMachine) {
+  return stateMachine.rules.some(rule => rule.guard === 'price_detected' && rule.enabled);
+}
+
 // Function to load AI configuration from the database
 async function loadAIConfigFromDB() {
   try {
@@ -62,6 +78,17 @@ async function loadAIConfigFromDB() {
       configToUse = data;
     }
 
+    const pauseBotOnPriceOffer = typeof configToUse.pause_bot_on_price_offer === 'boolean' ? configToUse.pause_bot_on_price_offer : defaultAiConfig.pauseBotOnPriceOffer;
+    let stateMachine;
+    try {
+      stateMachine = configToUse.state_machine
+        ? normalizeStateMachine(configToUse.state_machine)
+        : withPriceOfferRule(normalizeStateMachine(null), pauseBotOnPriceOffer);
+    } catch (machineError) {
+      logger.ai.error('Machine à états invalide, valeurs par défaut utilisées:', machineError.message);
+      stateMachine = withPriceOfferRule(normalizeStateMachine(null), pauseBotOnPriceOffer);
+    }
+
     currentAiConfig = {
       enabled: typeof configToUse.enabled === 'boolean' ? configToUse.enabled : !!grokApiKey,
       respondToAll: typeof configToUse.respond_to_all === 'boolean' ? configToUse.respond_to_all : false,
@@ -69,7 +96,8 @@ async function loadAIConfigFromDB() {
       keywords: Array.isArray(configToUse.keywords) ? configToUse.keywords : defaultAiConfig.keywords,
       typingDelays: sanitizeTypingDelays(configToUse.typing_delays, false), // DB stores in ms
       unavailabilityKeywords: Array.isArray(configToUse.unavailability_keywords) ? configToUse.unavailability_keywords : defaultAiConfig.unavailabilityKeywords,
-      pauseBotOnPriceOffer: typeof configToUse.pause_bot_on_price_offer === 'boolean' ? configToUse.pause_bot_on_price_offer : defaultAiConfig.pauseBotOnPriceOffer
+      pauseBotOnPriceOffer: isPriceOfferRuleEnabled(stateMachine),
+      stateMachine
     };
     logger.ai.config('appliquée');
 
@@ -113,6 +141,7 @@ async function saveAIConfigToDB(config) {
       typing_delays: dbTypingDelays,
       unavailability_keywords: Array.isArray(config.unavailabilityKeywords) ? config.unavailabilityKeywords : [],
       pause_bot_on_price_offer: typeof config.pauseBotOnPriceOffer === 'boolean' ? config.pauseBotOnPriceOffer : true,
+      state_machine: config.stateMachine || null,
       active: true
     };
 
@@ -157,6 +186,18 @@ async function findConversationByPhone(phoneNumber) {
   }
 }
 
+// Function to describe the market valuation of the vehicle of a conversation (null if none)
+async function loadValuationPrompt(phoneNumber) {
+  try {
+    const conversation = await findConversationByPhone(phoneNumber);
+    if (!conversation || !conversation.vehicle_id) return null;
+    return buildValuationPrompt(await getVehicleValuation(conversation.vehicle_id));
+  } catch (error) {
+    logger.ai.warn(`Estimation du marché indisponible: ${error.message}`);
+    return null;
+  }
+}
+
 // Function to load conversation history from Supabase database
 async function loadConversationHistoryFromDB(phoneNumber) {
   try {
@@ -333,6 +374,12 @@ async function generateAIResponseWithHistory(from, message) {
       enhancedSystemPrompt += `\n\n✅ INFO: Tu peux utiliser 1 émoji (🙂 ou 🙏) dans cette réponse si approprié, mais pas obligatoire.`;
     }
 
+    // Add the market valuation of the vehicle discussed, to negotiate towards the target price
+    const valuationPrompt = await loadValuationPrompt(from);
+    if (valuationPrompt) {
+      enhancedSystemPrompt += `\n\n${valuationPrompt}`;
+    }
+
     // Prepare messages for the API, including history
     const messages = [
       {
@@ -460,6 +507,14 @@ async function updateAiConfig(newConfig) {
     // Sanitize typing delays from UI (they come in milliseconds from the frontend)
     const sanitizedTypingDelays = sanitizeTypingDelays(newConfig.typingDelays, false);
 
+    // The state machine is validated first: an invalid one rejects the whole update (400)
+    const stateMachine = newConfig.stateMachine
+        ? normalizeStateMachine(newConfig.stateMachine)
+        : withPriceOfferRule(
+            currentAiConfig.stateMachine || normalizeStateMachine(null),
+            typeof newConfig.pauseBotOnPriceOffer === 'boolean' ? newConfig.pauseBotOnPriceOffer : currentAiConfig.pauseBotOnPriceOffer
+          );
+
     currentAiConfig = {
         enabled: typeof newConfig.enabled === 'boolean' ? newConfig.enabled : currentAiConfig.enabled,
         respondToAll: typeof newConfig.respondToAll === 'boolean' ? newConfig.respondToAll : currentAiConfig.respondToAll,
@@ -467,7 +522,8 @@ async function updateAiConfig(newConfig) {
         systemPrompt: typeof newConfig.systemPrompt === 'string' ? newConfig.systemPrompt : currentAiConfig.systemPrompt,
         typingDelays: sanitizedTypingDelays, // Use the sanitized delays
         unavailabilityKeywords: Array.isArray(newConfig.unavailabilityKeywords) ? newConfig.unavailabilityKeywords.map(k => String(k).trim()).filter(k => k !== '') : currentAiConfig.unavailabilityKeywords,
-        pauseBotOnPriceOffer: typeof newConfig.pauseBotOnPriceOffer === 'boolean' ? newConfig.pauseBotOnPriceOffer : currentAiConfig.pauseBotOnPriceOffer
+        pauseBotOnPriceOffer: isPriceOfferRuleEnabled(stateMachine),
+        stateMachine
     };
     logger.info('AI configuration updated in memory:', JSON.stringify(currentAiConfig, null, 2));
 
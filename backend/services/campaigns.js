@@ -0,0 +1,259 @@
+const {
+  createCampaign,
+  getCampaignById,
+  updateCampaign,
+  claimScheduledCampaign,
+  getDueCampaigns,
+  getIncomingMessageTimes,
+} = require('../models/campaign');
+const { findVehiclesByFilter } = require('../models/vehicle');
+const { getBatch, getBatchMessages } = require('../models/outboundQueue');
+const { enqueueBatch, pauseBatch, resumeBatch, cancelBatch } = require('./outboundQueue');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+const { io } = require('../config/server');
+const { emitToUser } = require('../utils/socketRooms');
+const logger = require('../utils/logger');
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.CAMPAIGN_SCHEDULER_INTERVAL_MS) || 30000;
+const PREVIEW_SAMPLES = 5;
+
+// Template variables, rendered from the vehicles row (French aliases kept for existing templates)
+const TEMPLATE_VARIABLES = {
+  brand: vehicle => vehicle.brand,
+  model: vehicle => vehicle.model,
+  price: vehicle => vehicle.price,
+  year: vehicle => vehicle.year,
+  mileage: vehicle => vehicle.mileage,
+  location: vehicle => vehicle.location,
+  url: vehicle => vehicle.listing_url,
+  marque: vehicle => vehicle.brand,
+  modele: vehicle => vehicle.model,
+  prix: vehicle => vehicle.price,
+  annee: vehicle => vehicle.year,
+  kilometrage: vehicle => vehicle.mileage,
+};
+
+let schedulerTimer = null;
+let schedulerBusy = false;
+
+// Function to render a template for a vehicle; unknown variables are left untouched
+function renderTemplate(template, vehicle) {
+  return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => {
+    const getter = TEMPLATE_VARIABLES[name.toLowerCase()];
+    if (!getter) return match;
+    const value = getter(vehicle);
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+// Function to build one message per seller: several listings with the same phone get a single message
+// Options (from the campaign settings): randomizeOrder shuffles recipients,
+// avoidDuplicates makes two consecutive messages never strictly identical (anti-spam)
+function buildCampaignMessages(template, vehicles, { randomizeOrder = false, avoidDuplicates = false } = {}) {
+  const seen = new Set();
+  const messages = [];
+  const ordered = randomizeOrder ? [...vehicles].sort(() => Math.random() - 0.5) : vehicles;
+
+  for (const vehicle of ordered) {
+    const phone = normalizePhoneNumber(vehicle.phone);
+    if (!phone || seen.has(phone)) continue;
+    seen.add(phone);
+
+    let message = renderTemplate(template, vehicle);
+    const previous = messages[messages.length - 1];
+    if (avoidDuplicates && previous && previous.message === message) {
+      message += ' ';
+    }
+    messages.push({ number: phone, message, vehicleId: vehicle.id });
+  }
+
+  return messages;
+}
+
+// Function to preview a campaign: number of recipients and a few rendered messages
+async function previewCampaign(template, vehicleFilter) {
+  const vehicles = await findVehiclesByFilter(vehicleFilter);
+  const messages = buildCampaignMessages(template, vehicles);
+  return {
+    recipients: messages.length,
+    samples: messages.slice(0, PREVIEW_SAMPLES)
+  };
+}
+
+// Function to launch a scheduled campaign: select the vehicles, render the messages and queue them
+async function launchCampaign(campaignId) {
+  const campaign = await claimScheduledCampaign(campaignId);
+  if (!campaign) {
+    return null;
+  }
+
+  try {
+    const vehicles = await findVehiclesByFilter(campaign.vehicle_filter);
+    const messages = buildCampaignMessages(campaign.template, vehicles, campaign.settings || {});
+
+    if (messages.length === 0) {
+      logger.warn(`Campagne ${campaign.id}: aucun destinataire`);
+      return updateCampaign(campaign.id, { status: 'completed', recipients_count: 0, last_error: 'No recipients' });
+    }
+
+    const batch = await enqueueBatch({
+      name: `Campagne: ${campaign.name}`,
+      userId: campaign.user_id,
+      settings: campaign.settings,
+      messages
+    });
+
+    const updated = await updateCampaign(campaign.id, { batch_id: batch.id, recipients_count: messages.length });
+    logger.success(`Campagne ${campaign.id} lancée: ${messages.length} destinataire(s)`);
+
+    emitToUser(io, campaign.user_id, 'campaign_launched', { campaignId: campaign.id, batchId: batch.id, recipients: messages.length });
+
+    return updated;
+  } catch (error) {
+    logger.error(`Erreur lancement campagne ${campaign.id}:`, error);
+    return updateCampaign(campaign.id, { status: 'failed', last_error: error.message });
+  }
+}
+
+// Function to create a campaign, launched now or at `scheduledAt`
+async function scheduleCampaign({ name, template, vehicleFilter, settings, scheduledAt, userId }) {
+  const campaign = await createCampaign({ name, template, vehicleFilter, settings, scheduledAt, userId });
+
+  if (new Date(campaign.scheduled_at).getTime() <= Date.now()) {
+    await launchCampaign(campaign.id);
+  } else {
+    logger.info(`Campagne ${campaign.id} programmée pour ${campaign.scheduled_at}`);
+  }
+
+  return getCampaignDetails(campaign.id);
+}
+
+// Function to retrieve a campaign with its per-recipient delivery status and reply rate
+async function getCampaignDetails(campaignId) {
+  let campaign = await getCampaignById(campaignId);
+  if (!campaign) {
+    return null;
+  }
+
+  const stats = { total: campaign.recipients_count, queued: 0, sent: 0, failed: 0, cancelled: 0, replied: 0, replyRate: 0 };
+  if (!campaign.batch_id) {
+    return { ...campaign, stats, recipients: [] };
+  }
+
+  const batch = await getBatch(campaign.batch_id);
+  const messages = await getBatchMessages(campaign.batch_id);
+
+  // The batch drives the campaign once launched (pause/resume/cancel/completion)
+  if (batch && batch.status !== campaign.status && ['running', 'paused'].includes(campaign.status)) {
+    campaign = await updateCampaign(campaign.id, { status: batch.status });
+  }
+
+  const conversationIds = messages.filter(msg => msg.conversation_id).map(msg => msg.conversation_id);
+  const replyTimes = await getIncomingMessageTimes(conversationIds, campaign.started_at || campaign.created_at);
+
+  const recipients = messages.map(msg => {
+    const sentAt = msg.sent_at ? new Date(msg.sent_at).getTime() : null;
+    const replies = (msg.conversation_id && replyTimes[msg.conversation_id]) || [];
+    const firstReply = sentAt ? replies.filter(time => time >= sentAt).sort((a, b) => a - b)[0] : undefined;
+
+    return {
+      id: msg.id,
+      vehicleId: msg.vehicle_id,
+      recipient: msg.recipient,
+      conversationId: msg.conversation_id,
+      status: msg.status,
+      attempts: msg.attempts,
+      error: msg.last_error,
+      sentAt: msg.sent_at,
+      replied: firstReply !== undefined,
+      repliedAt: firstReply !== undefined ? new Date(firstReply).toISOString() : null
+    };
+  });
+
+  for (const recipient of recipients) {
+    if (recipient.status === 'sending') stats.queued++;
+    else stats[recipient.status] = (stats[recipient.status] || 0) + 1;
+    if (recipient.replied) stats.replied++;
+  }
+  stats.total = recipients.length;
+  stats.replyRate = stats.sent > 0 ? Math.round((stats.replied / stats.sent) * 1000) / 10 : 0;
+
+  return { ...campaign, stats, recipients };
+}
+
+// Function to run a batch control action on a launched campaign
+async function controlCampaign(campaignId, action) {
+  const campaign = await getCampaignById(campaignId);
+  if (!campaign) {
+    const error = new Error('Campaign not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (campaign.status === 'scheduled') {
+    if (action !== 'cancel') {
+      const error = new Error('Campaign has not started yet');
+      error.statusCode = 409;
+      throw error;
+    }
+    await updateCampaign(campaign.id, { status: 'cancelled' });
+    return getCampaignDetails(campaign.id);
+  }
+
+  if (!campaign.batch_id) {
+    const error = new Error(`Cannot ${action} a ${campaign.status} campaign`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const actions = { pause: pauseBatch, resume: resumeBatch, cancel: cancelBatch };
+  const batch = await actions[action](campaign.batch_id);
+  await updateCampaign(campaign.id, { status: batch.status });
+
+  return getCampaignDetails(campaign.id);
+}
+
+// Function to launch the campaigns whose scheduled date has passed
+async function runDueCampaigns() {
+  if (schedulerBusy) return;
+  schedulerBusy = true;
+
+  try {
+    const dueCampaigns = await getDueCampaigns();
+    for (const campaign of dueCampaigns) {
+      await launchCampaign(campaign.id);
+    }
+  } catch (error) {
+    logger.error('Erreur du planificateur de campagnes:', error);
+  } finally {
+    schedulerBusy = false;
+  }
+}
+
+// Function to start the campaign scheduler
+function startCampaignScheduler() {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(runDueCampaigns, SCHEDULER_INTERVAL_MS);
+  runDueCampaigns();
+  logger.info('Planificateur de campagnes démarré');
+}
+
+// Function to stop the campaign scheduler
+function stopCampaignScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  renderTemplate,
+  buildCampaignMessages,
+  previewCampaign,
+  scheduleCampaign,
+  launchCampaign,
+  getCampaignDetails,
+  controlCampaign,
+  startCampaignScheduler,
+  stopCampaignScheduler,
+};
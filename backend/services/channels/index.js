@@ -0,0 +1,177 @@
+const {
+  handleIncomingMessage,
+  handleOutgoingMessage,
+  handleMessageStatus,
+  handleMessageEdit,
+  handleMessageDeletion,
+  handleMessageReaction,
+  handleContactPresence,
+} = require('../../handlers/messageHandler');
+const logger = require('../../utils/logger');
+
+// Registry of messaging channels (WhatsApp, in-memory, and later SMS/email/Telegram).
+//
+// A channel adapter is an EventEmitter exposing:
+//   name, type                        - unique registry name and channel kind
+//   initialize(io)                    - connect the underlying client
+//   send(to, body)                    - send a text, resolves to { id, timestamp }
+//   sendMedia(to, media, { caption }) - send a { data: base64, mimetype, filename } media, same result
+//   sendLocation(to, location)        - send a { latitude, longitude, name, address } pin, same result
+//   fetchHistory(address, { limit })  - past messages with a contact, normalized
+//   listChats()                       - optional: [{ address, lastMessageAt, isGroup }] chats of the account
+//   downloadMedia(msg)                - { data: base64, mimetype, filename } of a media message, or null
+//   getStatus()                       - { status: 'connected' | 'disconnected' | ..., info }
+//   getQRCode()                       - pending auth challenge (QR code) or null
+//   toAddress(contact)                - channel address for a phone number / contact id
+//   logout(), destroy({ removeData }) - optional: unlink the account / stop the client (session channels)
+//   setTyping(to, typing)             - optional: show / clear the "typing…" state in a chat
+//   subscribePresence(address)        - optional: start emitting 'presence' events for a contact
+//   getHealth()                       - optional: connection state, uptime and last message dates
+//   userId                            - optional: owner of the channel, null when shared by all users
+//
+// and emitting normalized messages { id, from, to, body, timestamp, fromMe, type, hasMedia, raw }:
+//   'message'          - incoming message from a contact
+//   'outgoing_message' - message sent from outside the app (phone, web client)
+// and delivery receipts { id, to, status } with status 'pending' | 'sent' | 'delivered' | 'read' | 'failed':
+//   'message_status'   - status change of a message sent on this channel
+// and changes to a message already sent, `id` being the message changed:
+//   'message_edit'     - { id, from, to, fromMe, body, previousBody, timestamp } text edited by its sender
+//   'message_deleted'  - { id, from, to, fromMe, timestamp } deleted for everyone by its sender
+//   'message_reaction' - { id, sender, fromMe, reaction, timestamp } emoji added or changed, null when removed
+// and contact presence { from, isOnline, state } with state 'typing' | 'recording' | null:
+//   'presence'         - online / typing change of a subscribed contact
+
+const DEFAULT_CHANNEL = process.env.DEFAULT_CHANNEL || 'whatsapp';
+
+const channels = new Map();
+
+// Function to register a channel adapter and plug it into the message pipeline
+function registerChannel(adapter) {
+  if (!adapter || !adapter.name) {
+    throw new Error('Channel adapter must have a name');
+  }
+  if (channels.has(adapter.name)) {
+    throw new Error(`Channel "${adapter.name}" is already registered`);
+  }
+
+  adapter.on('message', async (msg) => {
+    await handleIncomingMessage(msg, adapter);
+  });
+
+  adapter.on('outgoing_message', async (msg) => {
+    await handleOutgoingMessage(msg, adapter);
+  });
+
+  adapter.on('message_status', async (receipt) => {
+    await handleMessageStatus(receipt, adapter);
+  });
+
+  adapter.on('message_edit', async (edit) => {
+    await handleMessageEdit(edit, adapter);
+  });
+
+  adapter.on('message_deleted', async (deletion) => {
+    await handleMessageDeletion(deletion, adapter);
+  });
+
+  adapter.on('message_reaction', async (reaction) => {
+    await handleMessageReaction(reaction, adapter);
+  });
+
+  adapter.on('presence', async (presence) => {
+    await handleContactPresence(presence, adapter);
+  });
+
+  channels.set(adapter.name, adapter);
+  logger.info(`Channel registered: ${adapter.name} (${adapter.type})`);
+  return adapter;
+}
+
+// Function to get a registered channel (defaults to the main channel)
+function getChannel(name = DEFAULT_CHANNEL) {
+  const channel = channels.get(name);
+  if (!channel) {
+    const error = new Error(`Unknown channel: ${name}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return channel;
+}
+
+// Function to get a channel the user may send from: shared channels, or channels they own (404 otherwise)
+function getChannelForUser(name, userId) {
+  const channel = getChannel(name);
+  if (channel.userId && channel.userId !== userId) {
+    const error = new Error(`Unknown channel: ${name}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return channel;
+}
+
+// Function to pick the channel used for a user when none is given:
+// their own session (connected first), else the default channel
+function getUserChannel(userId) {
+  if (userId) {
+    const owned = Array.from(channels.values()).filter(channel => channel.userId === userId);
+    const connected = owned.find(channel => channel.getStatus().status === 'connected');
+    if (connected || owned.length > 0) {
+      return connected || owned[0];
+    }
+  }
+  return getChannel();
+}
+
+// Function to get the channel a conversation goes through: its last channel, else the owner's session
+function getConversationChannel(conversation, userId = conversation.user_id) {
+  if (conversation.channel && channels.has(conversation.channel)) {
+    return channels.get(conversation.channel);
+  }
+  return getUserChannel(userId);
+}
+
+// Function to remove a channel from the registry (its client must already be stopped)
+function unregisterChannel(name) {
+  const channel = channels.get(name);
+  if (!channel) {
+    return false;
+  }
+  channel.removeAllListeners();
+  channels.delete(name);
+  logger.info(`Channel unregistered: ${name}`);
+  return true;
+}
+
+function hasChannel(name) {
+  return channels.has(name);
+}
+
+// Function to list registered channels with their current status
+// `userId` hides the channels owned by other users
+function listChannels(userId = null) {
+  return Array.from(channels.values())
+    .filter(channel => !userId || !channel.userId || channel.userId === userId)
+    .map(channel => {
+      const { status, info } = channel.getStatus();
+      return {
+        name: channel.name,
+        type: channel.type,
+        isDefault: channel.name === DEFAULT_CHANNEL,
+        userId: channel.userId || null,
+        status,
+        info
+      };
+    });
+}
+
+module.exports = {
+  DEFAULT_CHANNEL,
+  registerChannel,
+  unregisterChannel,
+  getChannel,
+  getChannelForUser,
+  getUserChannel,
+  getConversationChannel,
+  hasChannel,
+  listChannels,
+};
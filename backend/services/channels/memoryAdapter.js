@@ -0,0 +1,147 @@
+const EventEmitter = require('events');
+
+// In-memory channel adapter: no network, every message is kept in an array.
+// Used by the conversation simulator and for exercising the pipeline without WhatsApp.
+function createMemoryAdapter(name = 'memory', { selfAddress = `${name}_bot` } = {}) {
+  const adapter = new EventEmitter();
+  let messages = [];
+  let counter = 0;
+
+  adapter.name = name;
+  adapter.type = 'memory';
+
+  const nextId = () => `${name}_${Date.now()}_${++counter}`;
+
+  adapter.toAddress = (contact) => contact;
+
+  adapter.initialize = async () => adapter;
+
+  const record = (to, body, extra = {}) => {
+    const message = {
+      id: nextId(),
+      from: selfAddress,
+      to,
+      body,
+      timestamp: Math.floor(Date.now() / 1000),
+      fromMe: true,
+      type: 'chat',
+      ...extra
+    };
+    messages.push(message);
+    adapter.emit('sent', message);
+    return { id: message.id, timestamp: message.timestamp };
+  };
+
+  adapter.send = async (to, body) => record(to, body);
+
+  adapter.sendMedia = async (to, media, { caption = '' } = {}) =>
+    record(to, caption, { type: 'media', hasMedia: true, media });
+
+  adapter.sendLocation = async (to, location) =>
+    record(to, '', { type: 'location', location });
+
+  // Simulate a message coming from a contact; listeners of 'message' process it
+  // `media` ({ data: base64, mimetype, filename }) attaches a file to the message
+  adapter.receive = (from, body, { media = null } = {}) => {
+    const message = {
+      id: nextId(),
+      from,
+      to: selfAddress,
+      body,
+      timestamp: Math.floor(Date.now() / 1000),
+      fromMe: false,
+      type: media ? 'media' : 'chat',
+      hasMedia: Boolean(media),
+      media
+    };
+    messages.push(message);
+    adapter.emit('message', message);
+    return message;
+  };
+
+  // Simulate a delivery receipt ('delivered', 'read'...) for a message sent through this channel
+  adapter.acknowledge = (id, status) => {
+    const message = messages.find(msg => msg.id === id);
+    if (!message) {
+      return null;
+    }
+    message.status = status;
+    adapter.emit('message_status', { id, to: message.to, status });
+    return message;
+  };
+
+  // Simulate the edit of a stored message by its sender
+  adapter.edit = (id, body) => {
+    const message = messages.find(msg => msg.id === id);
+    if (!message) {
+      return null;
+    }
+    const previousBody = message.body;
+    message.body = body;
+    adapter.emit('message_edit', {
+      id, from: message.from, to: message.to, fromMe: message.fromMe, body, previousBody,
+      timestamp: Math.floor(Date.now() / 1000)
+    });
+    return message;
+  };
+
+  // Simulate the deletion for everyone of a stored message by its sender
+  adapter.revoke = (id) => {
+    const message = messages.find(msg => msg.id === id);
+    if (!message) {
+      return null;
+    }
+    adapter.emit('message_deleted', {
+      id, from: message.from, to: message.to, fromMe: message.fromMe,
+      timestamp: Math.floor(Date.now() / 1000)
+    });
+    return message;
+  };
+
+  // Simulate a reaction of `sender` to a stored message; an empty reaction removes it
+  adapter.react = (id, reaction, { sender } = {}) => {
+    const message = messages.find(msg => msg.id === id);
+    if (!message) {
+      return null;
+    }
+    const from = sender || (message.fromMe ? message.to : message.from);
+    adapter.emit('message_reaction', {
+      id, sender: from, fromMe: from === selfAddress, reaction: reaction || null,
+      timestamp: Math.floor(Date.now() / 1000)
+    });
+    return message;
+  };
+
+  adapter.fetchHistory = async (address, { limit = 50 } = {}) => {
+    return messages
+      .filter(msg => msg.from === address || msg.to === address)
+      .slice(-limit);
+  };
+
+  adapter.listChats = async () => {
+    const chats = new Map();
+    for (const msg of messages) {
+      const address = msg.from === selfAddress ? msg.to : msg.from;
+      chats.set(address, { address, lastMessageAt: msg.timestamp, isGroup: false });
+    }
+    return [...chats.values()];
+  };
+
+  adapter.downloadMedia = async (msg) => msg.media || null;
+
+  adapter.getStatus = () => ({ status: 'connected', info: { wid: selfAddress } });
+
+  adapter.getQRCode = () => null;
+
+  adapter.getMessages = () => [...messages];
+
+  adapter.reset = () => {
+    messages = [];
+  };
+
+  return adapter;
+}
+
+module.exports = {
+  createMemoryAdapter,
+};
@@ -0,0 +1,188 @@
+const EventEmitter = require('events');
+const whatsappService = require('../whatsapp');
+const { normalizePhoneNumber } = require('../../utils/phoneNumber');
+
+// whatsapp-web.js ack codes (MessageAck) to channel-agnostic delivery statuses
+// ACK_PLAYED (4, voice note listened) counts as read
+const ACK_STATUSES = {
+  '-1': 'failed',
+  0: 'pending',
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'read'
+};
+
+// Chat states of a contact forwarded to the app; others ('available', 'idle'...) mean not typing
+const CHAT_STATES = ['typing', 'recording'];
+
+// Convert a whatsapp-web.js message into the channel-agnostic message shape
+function normalizeWhatsAppMessage(msg) {
+  return {
+    id: msg.id._serialized,
+    from: msg.from,
+    to: msg.to,
+    body: msg.body,
+    timestamp: msg.timestamp,
+    fromMe: msg.fromMe,
+    type: msg.type,
+    hasMedia: Boolean(msg.hasMedia),
+    raw: msg
+  };
+}
+
+// Channel adapter backed by one whatsapp-web.js session of services/whatsapp.js
+// Every WhatsApp account is its own channel: `name` is the registry name, `userId` the owner of the
+// session (conversations it receives belong to that user), null for the shared default session
+function createWhatsAppAdapter({ name = 'whatsapp', session = whatsappService.getWhatsAppSession(), userId = null } = {}) {
+  const adapter = new EventEmitter();
+  adapter.name = name;
+  adapter.type = 'whatsapp';
+  adapter.userId = userId;
+  adapter.sessionId = session.id;
+
+  adapter.toAddress = (contact) => `${normalizePhoneNumber(contact)}@c.us`;
+
+  adapter.initialize = (io) => session.initialize(io);
+
+  adapter.send = async (to, body) => {
+    const sentMessage = await session.sendMessage(to, body);
+    return {
+      id: sentMessage.id._serialized,
+      timestamp: sentMessage.timestamp,
+      raw: sentMessage
+    };
+  };
+
+  adapter.sendMedia = async (to, media, { caption = '' } = {}) => {
+    const sentMessage = await session.sendMedia(to, media, caption);
+    return {
+      id: sentMessage.id._serialized,
+      timestamp: sentMessage.timestamp,
+      raw: sentMessage
+    };
+  };
+
+  adapter.sendLocation = async (to, location) => {
+    const sentMessage = await session.sendLocation(to, location);
+    return {
+      id: sentMessage.id._serialized,
+      timestamp: sentMessage.timestamp,
+      raw: sentMessage
+    };
+  };
+
+  adapter.fetchHistory = async (address, { limit = 50 } = {}) => {
+    const client = session.getClient();
+    if (!client || !client.info) {
+      throw new Error('WhatsApp client is not ready');
+    }
+    const chat = await client.getChatById(adapter.toAddress(address));
+    if (!chat) {
+      // No chat with this contact yet
+      return [];
+    }
+    const messages = await chat.fetchMessages({ limit });
+    return messages.map(normalizeWhatsAppMessage);
+  };
+
+  adapter.listChats = async () => {
+    const client = session.getClient();
+    if (!client || !client.info) {
+      throw new Error('WhatsApp client is not ready');
+    }
+    const chats = await client.getChats();
+    return chats.map(chat => ({ address: chat.id._serialized, lastMessageAt: chat.timestamp || null, isGroup: chat.isGroup }));
+  };
+
+  // Returns { data: base64, mimetype, filename } or null when the media is no longer available
+  adapter.downloadMedia = async (msg) => {
+    if (!msg.hasMedia || !msg.raw) {
+      return null;
+    }
+    const media = await msg.raw.downloadMedia();
+    if (!media) {
+      return null;
+    }
+    return { data: media.data, mimetype: media.mimetype, filename: media.filename || null };
+  };
+
+  adapter.setTyping = (to, typing = true) => session.setTyping(to, typing);
+
+  adapter.subscribePresence = (address) => session.subscribePresence(address);
+
+  adapter.getStatus = () => session.getStatus();
+
+  adapter.getHealth = () => session.getHealth();
+
+  adapter.getQRCode = () => session.getQRCode() || null;
+
+  adapter.logout = () => session.logout();
+
+  adapter.destroy = (options) => session.destroy(options);
+
+  session.events.on('message', (msg) => {
+    adapter.emit('message', normalizeWhatsAppMessage(msg));
+  });
+
+  session.events.on('outgoing_message', (msg) => {
+    adapter.emit('outgoing_message', normalizeWhatsAppMessage(msg));
+  });
+
+  session.events.on('message_ack', (msg, ack) => {
+    const status = ACK_STATUSES[ack];
+    if (status) {
+      adapter.emit('message_status', { id: msg.id._serialized, to: msg.to, status });
+    }
+  });
+
+  session.events.on('message_edit', (msg, newBody, prevBody) => {
+    adapter.emit('message_edit', {
+      id: msg.id._serialized,
+      from: msg.from,
+      to: msg.to,
+      fromMe: msg.fromMe,
+      body: newBody,
+      previousBody: prevBody,
+      timestamp: msg.latestEditSenderTimestampMs
+        ? Math.floor(msg.latestEditSenderTimestampMs / 1000)
+        : Math.floor(Date.now() / 1000)
+    });
+  });
+
+  session.events.on('message_revoke', (msg) => {
+    adapter.emit('message_deleted', {
+      id: msg.id._serialized,
+      from: msg.from,
+      to: msg.to,
+      fromMe: msg.fromMe,
+      timestamp: Math.floor(Date.now() / 1000)
+    });
+  });
+
+  // An empty reaction means the participant removed theirs
+  session.events.on('message_reaction', (reaction) => {
+    adapter.emit('message_reaction', {
+      id: reaction.msgId._serialized,
+      sender: reaction.senderId,
+      fromMe: Boolean(reaction.id && reaction.id.fromMe),
+      reaction: reaction.reaction || null,
+      timestamp: reaction.timestamp || Math.floor(Date.now() / 1000)
+    });
+  });
+
+  session.events.on('presence', (presence) => {
+    adapter.emit('presence', {
+      from: presence.chatId,
+      isOnline: Boolean(presence.isOnline),
+      state: CHAT_STATES.includes(presence.state) ? presence.state : null
+    });
+  });
+
+  return adapter;
+}
+
+module.exports = {
+  createWhatsAppAdapter,
+  normalizeWhatsAppMessage,
+};
@@ -0,0 +1,219 @@
+const {
+  getConversationStateRow,
+  updateConversationState,
+  recordStateChange,
+  listSilentConversations,
+} = require('../models/conversation');
+const { updateVehicleContactStatus, markVehicleAsSoldInDB } = require('../models/vehicle');
+const { getAiConfig } = require('./aiResponse');
+const { cancelFollowUps } = require('./followUps');
+const { CONVERSATION_STATES, canTransition, findTriggeredRule, normalizeStateMachine } = require('../config/stateMachine');
+const { io } = require('../config/server');
+const { emitToUser } = require('../utils/socketRooms');
+const logger = require('../utils/logger');
+
+// Conversation state changes, manual or triggered by the rules of the state machine (config/stateMachine.js).
+// A transition updates the conversation, is recorded in conversation_state_history, runs its hooks and is
+// sent to the owner's sockets as 'conversation_state_changed' ({ conversationId, from, to, trigger,
+// ruleId, reason, botPaused, notify }, `notify` asking the dashboard to alert the user).
+
+// How often the silence rules are checked
+const SILENCE_CHECK_INTERVAL_MS = parseInt(process.env.STATE_RULES_INTERVAL_MS) || 15 * 60 * 1000;
+
+let silenceTimer = null;
+let silenceCheckBusy = false;
+
+// Function to get the state machine of the current AI configuration
+function getStateMachine() {
+  return getAiConfig().stateMachine || normalizeStateMachine(null);
+}
+
+// Function to describe why a rule fired (stored as state_change_reason)
+function describeRule(rule, context) {
+  switch (rule.guard) {
+    case 'price_detected':
+      return `Prix détecté: ${context.priceOffer.price} ${context.priceOffer.currency || 'EUR'}`;
+    case 'unavailability_keyword':
+      return 'Véhicule indisponible';
+    case 'silence':
+      return `Aucun message depuis ${Math.floor(context.silentHours)} h`;
+    case 'offer_accepted':
+      return context.reason || 'Offre acceptée';
+    default:
+      return `Règle ${rule.id}`;
+  }
+}
+
+// Function to run the side effects of a transition that do not touch the conversation row
+async function runHooks(hooks, conversation) {
+  for (const hook of hooks) {
+    try {
+      if (hook === 'mark_vehicle_sold' && conversation.vehicle_id) {
+        await markVehicleAsSoldInDB(conversation.vehicle_id);
+      } else if (hook === 'mark_vehicle_contacted' && conversation.vehicle_id) {
+        await updateVehicleContactStatus(conversation.vehicle_id, conversation.user_id);
+      }
+    } catch (error) {
+      logger.error(`Hook ${hook} en échec (conversation ${conversation.id}):`, error);
+    }
+  }
+}
+
+// Function to move a conversation to a state
+// Options: trigger 'manual' | 'rule', the `rule` that fired, `reason`, `userId` (owner check, 404 otherwise)
+// and the event `context`. Throws 400 on an unknown state and 409 on a transition the machine does not allow.
+// Resolves to { conversation, from, to, changed }.
+async function transitionConversation(conversationId, to, { trigger = 'manual', rule = null, reason = null, userId = null, context = {} } = {}) {
+  if (!CONVERSATION_STATES.includes(to)) {
+    const error = new Error(`Unknown conversation state: ${to}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const conversation = await getConversationStateRow(conversationId, userId);
+  if (!conversation) {
+    const error = new Error('Conversation not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const from = conversation.state || 'active';
+  if (from === to) {
+    return { conversation, from, to, changed: false };
+  }
+
+  const machine = getStateMachine();
+  if (!canTransition(machine, from, to)) {
+    const error = new Error(`Transition from "${from}" to "${to}" is not allowed`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Hooks of the new state first, then those of the rule (a later pause/resume wins)
+  const hooks = [...new Set([...machine.onEnter[to], ...(rule ? rule.hooks : [])])];
+  const updates = {};
+  for (const hook of hooks) {
+    if (hook === 'pause_bot') updates.bot_paused = true;
+    if (hook === 'resume_bot') updates.bot_paused = false;
+  }
+  if (rule && rule.guard === 'price_detected') {
+    updates.detected_price = context.priceOffer.price;
+    updates.price_detected_at = new Date().toISOString();
+    updates.price_detected_message_id = context.messageId || null;
+  }
+
+  const stateReason = reason || (rule ? describeRule(rule, context) : 'Manual update');
+  const updated = await updateConversationState(conversationId, to, stateReason, userId, updates);
+  if (!updated) {
+    const error = new Error('Conversation not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await recordStateChange({
+    conversation_id: conversationId,
+    user_id: conversation.user_id,
+    from_state: from,
+    to_state: to,
+    trigger,
+    rule_id: rule ? rule.id : null,
+    reason: stateReason
+  });
+
+  await runHooks(hooks, conversation);
+
+  // Follow-ups are only sent to active conversations
+  if (to !== 'active') {
+    try {
+      await cancelFollowUps(conversationId, 'state');
+    } catch (error) {
+      logger.error(`Relances non annulées (conversation ${conversationId}):`, error);
+    }
+  }
+
+  logger.info(`Changement état: ${from} -> ${to} (${rule ? `règle ${rule.id}` : trigger}, conversation ${conversationId})`);
+
+  if (io) {
+    emitToUser(io, conversation.user_id, 'conversation_state_changed', {
+      conversationId,
+      from,
+      to,
+      trigger,
+      ruleId: rule ? rule.id : null,
+      reason: stateReason,
+      botPaused: updated.bot_paused === true,
+      notify: hooks.includes('notify'),
+      timestamp: Date.now() / 1000
+    });
+  }
+
+  return { conversation: updated, from, to, changed: true };
+}
+
+// Function to apply the rules of the state machine to an event of a conversation
+// `context`: { priceOffer, unavailable, messageId, silentHours, offerAccepted, reason } (see GUARDS)
+// Resolves to the transition, or null when no rule fired
+async function applyStateRules(conversationId, context = {}, { userId = null } = {}) {
+  const conversation = await getConversationStateRow(conversationId, userId);
+  if (!conversation) {
+    return null;
+  }
+
+  const rule = findTriggeredRule(getStateMachine(), conversation.state, context);
+  if (!rule) {
+    return null;
+  }
+
+  return transitionConversation(conversationId, rule.to, { trigger: 'rule', rule, userId, context });
+}
+
+// Function to apply the enabled silence rules to the conversations without messages for long enough
+async function runSilenceRules() {
+  if (silenceCheckBusy) return;
+  silenceCheckBusy = true;
+
+  try {
+    const rules = getStateMachine().rules.filter(rule => rule.enabled && rule.guard === 'silence');
+    for (const rule of rules) {
+      const before = new Date(Date.now() - rule.silenceHours * 3600 * 1000).toISOString();
+      const conversations = await listSilentConversations(rule.from, before);
+
+      for (const conversation of conversations) {
+        const silentHours = (Date.now() - new Date(conversation.last_message_at).getTime()) / 3600000;
+        try {
+          await applyStateRules(conversation.id, { silentHours });
+        } catch (error) {
+          logger.error(`Règle de silence en échec (conversation ${conversation.id}):`, error);
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Erreur des règles de silence:', error);
+  } finally {
+    silenceCheckBusy = false;
+  }
+}
+
+// Function to start checking the silence rules periodically
+function startStateRulesMonitor() {
+  if (silenceTimer) return;
+  silenceTimer = setInterval(runSilenceRules, SILENCE_CHECK_INTERVAL_MS);
+  logger.info('Surveillance des règles d\'état des conversations démarrée');
+}
+
+// Function to stop checking the silence rules
+function stopStateRulesMonitor() {
+  if (silenceTimer) {
+    clearInterval(silenceTimer);
+    silenceTimer = null;
+  }
+}
+
+module.exports = {
+  getStateMachine,
+  transitionConversation,
+  applyStateRules,
+  runSilenceRules,
+  startStateRulesMonitor,
+  stopStateRulesMonitor,
+};
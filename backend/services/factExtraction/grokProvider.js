@@ -0,0 +1,37 @@
+const { openai, grokApiKey, getModelApiParams } = require('../../config/ai');
+
+const MODEL = process.env.FACT_EXTRACTION_MODEL || 'grok-3-mini';
+const TIMEOUT_MS = parseInt(process.env.FACT_EXTRACTION_TIMEOUT_MS) || 30000;
+
+// Grok provider: the extraction prompt is sent to the chat completions API (deterministic answers)
+function createGrokProvider() {
+  return {
+    name: 'grok',
+
+    isAvailable: () => !!grokApiKey,
+
+    async complete(messages) {
+      const apiParams = getModelApiParams(MODEL, {
+        model: MODEL,
+        messages,
+        max_tokens: 800,
+        temperature: 0,
+      });
+
+      let timer;
+      try {
+        const completion = await Promise.race([
+          openai.chat.completions.create(apiParams),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`Fact extraction timeout (${TIMEOUT_MS} ms)`)), TIMEOUT_MS);
+          })
+        ]);
+        return completion.choices[0].message.content;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+module.exports = { createGrokProvider };
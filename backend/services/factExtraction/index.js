@@ -0,0 +1,270 @@
+const logger = require('../../utils/logger');
+const { io } = require('../../config/server');
+const { emitToUser } = require('../../utils/socketRooms');
+const {
+  getConversationFactsContext,
+  saveConversationFacts,
+  saveVehicleSellerFacts,
+} = require('../../models/conversationFacts');
+const { createGrokProvider } = require('./grokProvider');
+const { createMockProvider } = require('./mockProvider');
+
+// Extraction of negotiation facts from the messages of the sellers.
+//
+// Each incoming message is sent to an LLM provider with the extraction prompt; the JSON answer is
+// validated, and the facts are merged into conversations.facts and vehicles.seller_facts (a newer
+// fact replaces the older one: sellers correct themselves). A provider exposes:
+//   name                           - unique registry name, selected with FACT_EXTRACTION_PROVIDER
+//   isAvailable()                  - false when it cannot be called (missing API key)
+//   complete(messages, { message }) - raw answer of the model to chat `messages`; `message` is the
+//                                    seller message being analysed (used by the mock provider)
+//
+// Stored facts: { [type]: { value, details, confidence, excerpt, messageId, extractedAt, previousValue } }
+
+// Facts extracted, with the normalization of the value given by the model (null = invalid value)
+const FACT_TYPES = {
+  // Mileage given by the seller, in km (often a correction of the listing)
+  mileage: (value) => {
+    const km = typeof value === 'number' ? value : parseMileage(value);
+    return Number.isFinite(km) && km > 0 && km < 2000000 ? Math.round(km) : null;
+  },
+  // Maintenance records: 'complete' | 'partial' | 'none'
+  serviceHistory: (value) => SERVICE_HISTORY_VALUES[String(value).trim().toLowerCase()] || null,
+  // Whether the vehicle has had an accident
+  accident: (value) => parseBoolean(value),
+  // Number of previous owners
+  owners: (value) => {
+    const owners = Number(value);
+    return Number.isInteger(owners) && owners >= 1 && owners <= 20 ? owners : null;
+  },
+  // When the vehicle can be seen / tried, as told by the seller
+  viewingAvailability: (value) => {
+    const text = typeof value === 'string' ? value.trim().slice(0, 200) : '';
+    return text || null;
+  },
+};
+
+const SERVICE_HISTORY_VALUES = {
+  complete: 'complete', full: 'complete', complet: 'complete',
+  partial: 'partial', partiel: 'partial',
+  none: 'none', aucun: 'none',
+};
+
+// Facts under this confidence are ignored
+const MIN_FACT_CONFIDENCE = 0.6;
+// Messages shorter than this cannot hold a fact ("ok", "oui")
+const MIN_MESSAGE_LENGTH = 4;
+const DEFAULT_PROVIDER = process.env.FACT_EXTRACTION_PROVIDER || 'grok';
+
+const SYSTEM_PROMPT = `Tu extrais des informations factuelles des messages de vendeurs de voitures d'occasion.
+Réponds uniquement avec un objet JSON {"facts": {...}} contenant les informations données dans le message, parmi:
+- "mileage": kilométrage actuel en km (nombre entier)
+- "serviceHistory": carnet d'entretien "complete", "partial" ou "none"
+- "accident": true si le véhicule a eu un accident, false si le vendeur dit qu'il n'en a pas eu
+- "owners": nombre de propriétaires (nombre entier)
+- "viewingAvailability": disponibilités du vendeur pour une visite ou un essai (texte court)
+Chaque information est un objet {"value": ..., "details": "précision facultative", "confidence": 0 à 1, "excerpt": "passage exact du message"}.
+N'invente rien: une information absente du message n'apparaît pas. Sans information, réponds {"facts": {}}.`;
+
+const providers = new Map();
+// Extractions in progress per conversation: facts are merged one message at a time
+const conversationQueues = new Map();
+
+// Function to register an extraction provider
+function registerFactProvider(provider) {
+  if (!provider || !provider.name || typeof provider.complete !== 'function') {
+    throw new Error('Fact extraction provider must have a name and a complete() function');
+  }
+  providers.set(provider.name, provider);
+  return provider;
+}
+
+// Function to get the extraction provider (defaults to FACT_EXTRACTION_PROVIDER)
+function getFactProvider(name = DEFAULT_PROVIDER) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown fact extraction provider: ${name}`);
+  }
+  return provider;
+}
+
+// Function to read a mileage written as text ("125 000 km", "125k")
+function parseMileage(value) {
+  const match = String(value || '').toLowerCase().replace(/[\s.'’]/g, '').match(/(\d+(?:,\d+)?)(k(?!m))?/);
+  if (!match) return NaN;
+  const number = parseFloat(match[1].replace(',', '.'));
+  return match[2] ? number * 1000 : number;
+}
+
+// Function to read a yes/no value (null when it is neither)
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'oui', 'ja'].includes(text)) return true;
+  if (['false', 'no', 'non', 'nee', 'nein'].includes(text)) return false;
+  return null;
+}
+
+// Function to build the chat messages sent to the provider for a seller message
+function buildExtractionMessages(message, vehicle = null) {
+  const listing = vehicle
+    ? `Annonce: ${[vehicle.brand, vehicle.model, vehicle.year].filter(Boolean).join(' ')}`
+      + (vehicle.mileage ? `, ${vehicle.mileage} km annoncés` : '')
+    : 'Annonce: inconnue';
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `${listing}\nMessage du vendeur:\n"""${message}"""` }
+  ];
+}
+
+// Function to read the answer of the model: facts of known types with a valid value and enough confidence
+// (code fences and text around the JSON object are ignored; an unreadable answer gives no facts)
+function parseExtractionResponse(raw) {
+  const text = String(raw || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    logger.warn(`Réponse d'extraction illisible: ${error.message}`);
+    return {};
+  }
+
+  const facts = {};
+  for (const [type, fact] of Object.entries(parsed.facts || {})) {
+    const normalize = FACT_TYPES[type];
+    if (!normalize || fact == null) continue;
+
+    const item = typeof fact === 'object' && !Array.isArray(fact) ? fact : { value: fact };
+    const value = normalize(item.value);
+    const confidence = item.confidence == null ? 1 : Number(item.confidence);
+    if (value === null || !(confidence >= MIN_FACT_CONFIDENCE)) continue;
+
+    facts[type] = {
+      value,
+      details: typeof item.details === 'string' && item.details.trim() ? item.details.trim().slice(0, 200) : null,
+      confidence: Math.min(1, Math.round(confidence * 100) / 100),
+      excerpt: typeof item.excerpt === 'string' && item.excerpt.trim() ? item.excerpt.trim().slice(0, 200) : null,
+    };
+  }
+
+  return facts;
+}
+
+// Function to extract the facts of a seller message with a provider (no storage)
+async function extractFacts(message, { vehicle = null, provider = getFactProvider() } = {}) {
+  const text = String(message || '').trim();
+  if (text.length < MIN_MESSAGE_LENGTH) {
+    return {};
+  }
+
+  const raw = await provider.complete(buildExtractionMessages(text, vehicle), { message: text });
+  return parseExtractionResponse(raw);
+}
+
+// Function to merge extracted facts into stored ones
+// A fact with a new value replaces the stored one (keeping the old value in previousValue);
+// returns the merged facts and the types that changed
+function mergeFacts(existing, extracted, { messageId = null, extractedAt = new Date().toISOString() } = {}) {
+  const facts = { ...(existing || {}) };
+  const updated = [];
+
+  for (const [type, fact] of Object.entries(extracted)) {
+    const current = facts[type];
+    if (current && current.value === fact.value) continue;
+
+    facts[type] = {
+      ...fact,
+      messageId,
+      extractedAt,
+      previousValue: current ? current.value : null,
+    };
+    updated.push(type);
+  }
+
+  return { facts, updated };
+}
+
+// Function to extract the facts of an incoming message and store them on the conversation and its vehicle
+// Never throws: the message pipeline goes on whatever happens here; resolves to the updated fact types
+function extractMessageFacts({ conversationId, messageId = null, body }) {
+  const previous = conversationQueues.get(conversationId) || Promise.resolve();
+  const run = previous.then(() => processMessageFacts(conversationId, messageId, body));
+  const queued = run.catch((error) => {
+    logger.error(`Erreur extraction des informations (conversation ${conversationId}):`, error);
+    return [];
+  });
+
+  conversationQueues.set(conversationId, queued);
+  queued.then(() => {
+    if (conversationQueues.get(conversationId) === queued) {
+      conversationQueues.delete(conversationId);
+    }
+  });
+  return queued;
+}
+
+// Function to run the extraction of a message (one at a time per conversation, see extractMessageFacts)
+async function processMessageFacts(conversationId, messageId, body) {
+  const provider = getFactProvider();
+  if (provider.isAvailable && !provider.isAvailable()) {
+    logger.debug(`Extraction des informations désactivée (fournisseur ${provider.name} indisponible)`);
+    return [];
+  }
+
+  const conversation = await getConversationFactsContext(conversationId);
+  if (!conversation) {
+    return [];
+  }
+
+  const vehicle = conversation.vehicles || null;
+  const extracted = await extractFacts(body, { vehicle, provider });
+  if (Object.keys(extracted).length === 0) {
+    return [];
+  }
+
+  const meta = { messageId, extractedAt: new Date().toISOString() };
+  const { facts, updated } = mergeFacts(conversation.facts, extracted, meta);
+  if (updated.length === 0) {
+    return [];
+  }
+
+  await saveConversationFacts(conversationId, facts);
+  if (vehicle) {
+    await saveVehicleSellerFacts(vehicle.id, mergeFacts(vehicle.seller_facts, extracted, meta).facts);
+  }
+
+  logger.info(`Informations extraites (conversation ${conversationId}): ${updated.join(', ')}`);
+
+  if (io) {
+    emitToUser(io, conversation.user_id, 'conversation_facts_updated', {
+      conversationId,
+      vehicleId: conversation.vehicle_id,
+      messageId,
+      facts,
+      updated,
+    });
+  }
+
+  return updated;
+}
+
+registerFactProvider(createGrokProvider());
+registerFactProvider(createMockProvider());
+
+module.exports = {
+  FACT_TYPES,
+  registerFactProvider,
+  getFactProvider,
+  buildExtractionMessages,
+  parseExtractionResponse,
+  extractFacts,
+  mergeFacts,
+  extractMessageFacts,
+};
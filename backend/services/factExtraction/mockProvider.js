@@ -0,0 +1,34 @@
+// Mock LLM provider: answers from a table instead of calling an API.
+// Used by test_fact_extraction.js and to run the pipeline without an API key (FACT_EXTRACTION_PROVIDER=mock).
+//
+// `responses` maps a seller message to the raw answer of the model (string, or object sent as JSON),
+// or is a function (message, messages) => answer; messages without an answer get {"facts": {}}.
+// Every call is recorded in `provider.calls`.
+function createMockProvider(responses = {}, { name = 'mock' } = {}) {
+  const provider = {
+    name,
+    calls: [],
+
+    isAvailable: () => true,
+
+    async complete(messages, { message = '' } = {}) {
+      provider.calls.push({ message, messages });
+
+      const answer = typeof responses === 'function'
+        ? await responses(message, messages)
+        : responses[message];
+
+      if (answer instanceof Error) {
+        throw answer;
+      }
+      if (answer == null) {
+        return JSON.stringify({ facts: {} });
+      }
+      return typeof answer === 'string' ? answer : JSON.stringify(answer);
+    }
+  };
+
+  return provider;
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,266 @@
+const {
+  getConversationFollowUps,
+  createFollowUps,
+  updateFollowUp,
+  cancelPendingFollowUps,
+  deleteScheduledFollowUps,
+  claimFollowUp,
+  getDueFollowUps,
+  getQueuedFollowUps,
+} = require('../models/followUp');
+const { getConversationStateRow } = require('../models/conversation');
+const { getIncomingMessageTimes } = require('../models/campaign');
+const { getBatchMessages } = require('../models/outboundQueue');
+const logger = require('../utils/logger');
+
+// Follow-up sequences: reminders sent to a seller who has not answered (J+1, J+3, J+7...).
+// Each step is a conversation_followups row, due `delay_hours` after the sequence was started. Due steps are
+// handed to the send queue (services/outboundQueue.js) and so follow its anti-spam pacing. A reply from the
+// seller or a conversation leaving the 'active' state cancels the steps not sent yet.
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.FOLLOWUP_SCHEDULER_INTERVAL_MS) || 60000;
+const MAX_STEPS = 10;
+const MAX_DELAY_HOURS = 90 * 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Sequence suggested when none is attached yet (variables of services/campaigns.js)
+const DEFAULT_FOLLOWUP_STEPS = [
+  { delayHours: 24, body: 'Bonjour, avez-vous pu voir mon message au sujet de votre {{brand}} {{model}} ? Est-elle toujours disponible ?' },
+  { delayHours: 72, body: 'Bonjour, je me permets de revenir vers vous : votre {{brand}} {{model}} m\'intéresse toujours.' },
+  { delayHours: 168, body: 'Bonjour, dernière relance de ma part pour votre {{brand}} {{model}}. N\'hésitez pas à me recontacter si elle est encore à vendre.' },
+];
+
+let schedulerTimer = null;
+let schedulerBusy = false;
+
+// Function to build an error with an HTTP status
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Function to validate the steps of a sequence ({ delayHours, body }), sorted by delay
+function normalizeSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+    throw httpError(`A follow-up sequence needs between 1 and ${MAX_STEPS} steps`, 400);
+  }
+
+  return steps
+    .map((step, index) => {
+      const delayHours = Number(step && step.delayHours);
+      const body = step && typeof step.body === 'string' ? step.body.trim() : '';
+      if (!Number.isInteger(delayHours) || delayHours <= 0 || delayHours > MAX_DELAY_HOURS) {
+        throw httpError(`Step ${index + 1}: delayHours must be a whole number of hours between 1 and ${MAX_DELAY_HOURS}`, 400);
+      }
+      if (!body) {
+        throw httpError(`Step ${index + 1}: the message is empty`, 400);
+      }
+      return { delayHours, body };
+    })
+    .sort((a, b) => a.delayHours - b.delayHours);
+}
+
+// Function to get the start of the running sequence of a conversation (null when no step is pending)
+function getSequenceStart(followUps) {
+  const starts = followUps
+    .filter(followUp => followUp.status === 'scheduled' || followUp.status === 'queued')
+    .map(followUp => new Date(followUp.due_at).getTime() - followUp.delay_hours * HOUR_MS);
+  return starts.length > 0 ? Math.min(...starts) : null;
+}
+
+// Function to report the outcome of the follow-ups handed to the send queue (sent, failed or cancelled)
+async function syncQueuedFollowUps(conversationId = null) {
+  for (const followUp of await getQueuedFollowUps(conversationId)) {
+    try {
+      const [queued] = await getBatchMessages(followUp.batch_id);
+      if (!queued || queued.status === 'queued' || queued.status === 'sending') continue;
+
+      await updateFollowUp(followUp.id, {
+        status: queued.status,
+        sent_at: queued.sent_at,
+        last_error: queued.last_error
+      });
+    } catch (error) {
+      logger.warn(`Relance ${followUp.id}: état d'envoi non mis à jour: ${error.message}`);
+    }
+  }
+}
+
+// Function to check that a conversation exists and belongs to the user
+async function getOwnedConversation(conversationId, userId) {
+  const conversation = await getConversationStateRow(conversationId, userId);
+  if (!conversation) {
+    throw httpError('Conversation not found', 404);
+  }
+  return conversation;
+}
+
+// Function to list the follow-ups of a conversation with their up to date sending status
+async function getFollowUps(conversationId, userId = null) {
+  await getOwnedConversation(conversationId, userId);
+  await syncQueuedFollowUps(conversationId);
+  return getConversationFollowUps(conversationId);
+}
+
+// Function to attach a sequence to a conversation, or replace the steps not handed to the send queue yet
+// While a sequence runs its start is kept, so editing a step does not move the others;
+// otherwise the new sequence starts now. Throws 409 when the conversation is not 'active'.
+async function scheduleFollowUps(conversationId, steps, userId = null) {
+  const normalized = normalizeSteps(steps);
+  const conversation = await getOwnedConversation(conversationId, userId);
+  if (conversation.state && conversation.state !== 'active') {
+    throw httpError(`Follow-ups can only be scheduled on an active conversation (state: ${conversation.state})`, 409);
+  }
+
+  const existing = await getConversationFollowUps(conversationId);
+  const startedAt = getSequenceStart(existing) || Date.now();
+  await deleteScheduledFollowUps(conversationId);
+
+  const kept = existing.filter(followUp => followUp.status !== 'scheduled');
+  const firstStep = kept.reduce((max, followUp) => Math.max(max, followUp.step), 0) + 1;
+  await createFollowUps(conversationId, conversation.user_id, normalized.map((step, index) => ({
+    step: firstStep + index,
+    delay_hours: step.delayHours,
+    body: step.body,
+    due_at: new Date(startedAt + step.delayHours * HOUR_MS).toISOString()
+  })));
+
+  logger.info(`${normalized.length} relance(s) programmée(s) pour la conversation ${conversationId}`);
+  return getConversationFollowUps(conversationId);
+}
+
+// Function to cancel the follow-ups of a conversation not sent yet
+// `reason`: 'reply' (the seller answered), 'state' (the conversation left 'active') or 'manual'
+// Resolves to the number of cancelled follow-ups
+async function cancelFollowUps(conversationId, reason = 'manual', { userId = null } = {}) {
+  if (userId) {
+    await getOwnedConversation(conversationId, userId);
+  }
+
+  // Follow-ups already sent by the queue stay 'sent'
+  await syncQueuedFollowUps(conversationId);
+  const cancelled = await cancelPendingFollowUps(conversationId, reason);
+  // Required here: the send queue loads the channels, whose message handler uses this module
+  const { cancelBatch } = require('./outboundQueue');
+  for (const followUp of cancelled) {
+    if (!followUp.batch_id) continue;
+    try {
+      await cancelBatch(followUp.batch_id);
+    } catch (error) {
+      // 409: the message has already left, nothing to cancel
+      if (error.statusCode !== 409) {
+        logger.warn(`Relance ${followUp.id}: envoi non annulé: ${error.message}`);
+      }
+    }
+  }
+
+  if (cancelled.length > 0) {
+    logger.info(`${cancelled.length} relance(s) annulée(s) pour la conversation ${conversationId} (${reason})`);
+  }
+  return cancelled.length;
+}
+
+// Function to hand a due follow-up to the send queue
+async function sendFollowUp(followUp) {
+  const conversation = followUp.conversations;
+
+  const claimed = await claimFollowUp(followUp.id);
+  if (!claimed) return;
+
+  // Required here, like in cancelFollowUps (circular dependency through the channels)
+  const { enqueueBatch, cancelBatch } = require('./outboundQueue');
+  const { renderTemplate } = require('./campaigns');
+
+  try {
+    const batch = await enqueueBatch({
+      name: `Relance J+${Math.round(followUp.delay_hours / 24)} ${conversation.phone_number}`,
+      userId: followUp.user_id || conversation.user_id,
+      settings: conversation.channel ? { channel: conversation.channel } : {},
+      messages: [{
+        number: conversation.phone_number,
+        message: renderTemplate(followUp.body, conversation.vehicles || {}),
+        vehicleId: conversation.vehicle_id
+      }]
+    });
+    const updated = await updateFollowUp(followUp.id, { batch_id: batch.id });
+    // Cancelled (reply from the seller) while it was being queued
+    if (updated.status === 'cancelled') {
+      await cancelBatch(batch.id);
+      return;
+    }
+    logger.info(`Relance ${followUp.step} de la conversation ${conversation.id} mise en file d'envoi`);
+  } catch (error) {
+    logger.error(`Relance ${followUp.id} non mise en file:`, error);
+    await updateFollowUp(followUp.id, { status: 'failed', last_error: error.message });
+  }
+}
+
+// Function to send the due follow-ups, at most one per conversation and never while another one is still queued
+async function runDueFollowUps() {
+  if (schedulerBusy) return;
+  schedulerBusy = true;
+
+  try {
+    await syncQueuedFollowUps();
+    const busy = new Set((await getQueuedFollowUps()).map(followUp => followUp.conversation_id));
+
+    for (const followUp of await getDueFollowUps()) {
+      const conversationId = followUp.conversation_id;
+      if (busy.has(conversationId)) continue;
+      busy.add(conversationId);
+
+      try {
+        const conversation = followUp.conversations;
+        if (!conversation || (conversation.state && conversation.state !== 'active')) {
+          await cancelFollowUps(conversationId, 'state');
+          continue;
+        }
+
+        // Reply missed by the message handler (server stopped when it arrived)
+        const sequenceStart = new Date(new Date(followUp.due_at).getTime() - followUp.delay_hours * HOUR_MS);
+        const replies = await getIncomingMessageTimes([conversationId], sequenceStart.toISOString());
+        if (replies[conversationId]) {
+          await cancelFollowUps(conversationId, 'reply');
+          continue;
+        }
+
+        await sendFollowUp(followUp);
+      } catch (error) {
+        logger.error(`Relance ${followUp.id} en échec:`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('Erreur du planificateur de relances:', error);
+  } finally {
+    schedulerBusy = false;
+  }
+}
+
+// Function to start the follow-up scheduler
+function startFollowUpScheduler() {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(runDueFollowUps, SCHEDULER_INTERVAL_MS);
+  runDueFollowUps();
+  logger.info('Planificateur de relances démarré');
+}
+
+// Function to stop the follow-up scheduler
+function stopFollowUpScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  DEFAULT_FOLLOWUP_STEPS,
+  normalizeSteps,
+  getSequenceStart,
+  getFollowUps,
+  scheduleFollowUps,
+  cancelFollowUps,
+  runDueFollowUps,
+  startFollowUpScheduler,
+  stopFollowUpScheduler,
+};
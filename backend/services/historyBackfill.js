@@ -0,0 +1,291 @@
+const { supabase } = require('./database');
+const { getConversationChannel } = require('./channels');
+const { INSERT_BATCH_SIZE, toStoredMessages } = require('./historySync');
+const { saveMessages } = require('../models/message');
+const { getSyncCheckpoint, saveSyncCheckpoint } = require('../models/historySync');
+const { io } = require('../config/server');
+const { emitToUser } = require('../utils/socketRooms');
+const { saveMessageAttachments } = require('../handlers/messageHandler');
+const logger = require('../utils/logger');
+
+// Backfill of the whole chat history of a conversation: messages exchanged with the contact before the
+// app was running are imported with their original dates, with their media. Started once the message
+// that created a conversation (first link between a phone number and a vehicle) is stored, and on demand;
+// a history longer than BACKFILL_MAX_MESSAGES is imported up to that limit and flagged 'partial'; backfills run one at a time, and the ones
+// waiting for a connected channel or cut by a restart are retried by the scheduler.
+// Progress is pushed with 'history_backfill_progress' events.
+
+// Each page reaches this many messages further back in the chat
+const BACKFILL_PAGE_SIZE = 500;
+const BACKFILL_MAX_MESSAGES = parseInt(process.env.HISTORY_BACKFILL_MAX_MESSAGES) || 20000;
+const AUTO_BACKFILL = process.env.HISTORY_BACKFILL_ON_FIRST_CONTACT !== 'false';
+const RETRY_INTERVAL_MS = 5 * 60 * 1000;
+
+// Conversations queued or being backfilled by this server
+const queued = new Set();
+let queue = Promise.resolve();
+let retryTimer = null;
+
+// Function to read the whole history of a chat, page by page
+// Each page is the last `limit` messages of the chat with a larger limit: `onPage` receives the messages
+// not seen in the previous pages. Returns { total, latest, complete } - `complete` is false when the
+// history was cut at `maxMessages`
+async function collectHistoryPages(channel, address, onPage, { pageSize = BACKFILL_PAGE_SIZE, maxMessages = BACKFILL_MAX_MESSAGES } = {}) {
+  const seen = new Set();
+  let latest = null;
+
+  for (let limit = Math.min(pageSize, maxMessages); ; limit = Math.min(limit + pageSize, maxMessages)) {
+    const page = await channel.fetchHistory(address, { limit });
+    if (page.length > 0) {
+      latest = page[page.length - 1];
+    }
+
+    const unseen = page.filter(msg => !seen.has(msg.id));
+    unseen.forEach(msg => seen.add(msg.id));
+    if (unseen.length > 0) {
+      await onPage(unseen);
+    }
+
+    // Beginning of the chat reached: the page is not full, or no earlier message could be loaded
+    if (page.length < limit || (unseen.length === 0 && seen.size > 0)) {
+      return { total: seen.size, latest, complete: true };
+    }
+    if (limit >= maxMessages) {
+      return { total: seen.size, latest, complete: false };
+    }
+  }
+}
+
+// Function to update the backfill columns of a conversation and notify its owner
+async function setBackfillState(conversation, updates) {
+  const { error } = await supabase
+    .from('conversations')
+    .update(updates)
+    .eq('id', conversation.id);
+  if (error) {
+    logger.error(`Error updating backfill of conversation ${conversation.id}:`, error);
+  }
+
+  if (io && conversation.user_id) {
+    emitToUser(io, conversation.user_id, 'history_backfill_progress', {
+      conversationId: conversation.id,
+      status: updates.history_backfill_status,
+      imported: updates.history_backfill_count ?? 0,
+      error: updates.history_backfill_error || null
+    });
+  }
+}
+
+// Function to store the media of the backfilled messages just inserted (media no longer on the phone
+// are skipped, the text is kept)
+async function saveBackfilledMedia(channel, conversation, messages, savedRows) {
+  const byId = new Map(messages.filter(msg => msg.hasMedia).map(msg => [msg.id, msg]));
+  for (const row of savedRows) {
+    const msg = byId.get(row.message_id);
+    if (msg) {
+      await saveMessageAttachments(msg, channel, row, conversation.id, conversation.user_id);
+    }
+  }
+}
+
+// Function to import the whole chat history of a conversation
+// Returns the backfill status: 'completed' | 'partial' (cut at BACKFILL_MAX_MESSAGES) | 'pending' (channel
+// not connected, retried later) | 'failed'
+async function backfillConversation(conversationId) {
+  const { data: conversation, error } = await supabase
+    .from('conversations')
+    .select('id, phone_number, channel, user_id, last_message_at')
+    .eq('id', conversationId)
+    .maybeSingle();
+  if (error || !conversation) {
+    logger.error(`Conversation ${conversationId} introuvable pour l'import de l'historique:`, error);
+    return 'failed';
+  }
+
+  const channel = getConversationChannel(conversation);
+  if (!channel || !channel.fetchHistory) {
+    await setBackfillState(conversation, { history_backfill_status: 'failed', history_backfill_error: 'No channel with a history' });
+    return 'failed';
+  }
+  if (channel.getStatus().status !== 'connected') {
+    await setBackfillState(conversation, { history_backfill_status: 'pending' });
+    return 'pending';
+  }
+
+  const address = channel.toAddress(conversation.phone_number);
+  logger.info(`Import de l'historique de la conversation ${conversation.id} (${address})`);
+  await setBackfillState(conversation, { history_backfill_status: 'running', history_backfill_count: 0, history_backfill_error: null });
+
+  let imported = 0;
+  try {
+    const result = await collectHistoryPages(channel, address, async (messages) => {
+      for (let i = 0; i < messages.length; i += INSERT_BATCH_SIZE) {
+        const batch = messages.slice(i, i + INSERT_BATCH_SIZE);
+        const saved = await saveMessages(conversation.id, toStoredMessages(batch), conversation.user_id);
+        await saveBackfilledMedia(channel, conversation, batch, saved);
+        imported += saved.length;
+      }
+      await setBackfillState(conversation, { history_backfill_status: 'running', history_backfill_count: imported });
+    });
+
+    if (!result.complete) {
+      logger.warn(`Historique de ${address} limité aux ${BACKFILL_MAX_MESSAGES} derniers messages`);
+    }
+
+    // The incremental sync goes on from the last message imported
+    if (result.latest) {
+      const latestAt = new Date(result.latest.timestamp * 1000).toISOString();
+      const checkpoint = await getSyncCheckpoint(channel.name, address);
+      if (!checkpoint || new Date(checkpoint.last_message_at) < new Date(latestAt)) {
+        await saveSyncCheckpoint({
+          channel: channel.name,
+          chat_id: address,
+          conversation_id: conversation.id,
+          last_message_id: result.latest.id,
+          last_message_at: latestAt,
+          messages_synced: (checkpoint ? checkpoint.messages_synced : 0) + imported
+        });
+      }
+    }
+
+    // Only a history imported back to its first message counts as backfilled
+    const status = result.complete ? 'completed' : 'partial';
+    await setBackfillState(conversation, {
+      history_backfill_status: status,
+      history_backfilled_at: result.complete ? new Date().toISOString() : null,
+      history_backfill_count: imported,
+      history_backfill_error: null
+    });
+    logger.info(`Historique de la conversation ${conversation.id} importé${result.complete ? '' : ' partiellement'}: ${imported} message(s) sur ${result.total}`);
+    return status;
+  } catch (backfillError) {
+    // Disconnected while importing: retried once the channel is back, the messages already imported are kept
+    const disconnected = channel.getStatus().status !== 'connected';
+    logger.error(`Import de l'historique de la conversation ${conversation.id} en échec:`, backfillError);
+    await setBackfillState(conversation, {
+      history_backfill_status: disconnected ? 'pending' : 'failed',
+      history_backfill_count: imported,
+      history_backfill_error: backfillError.message
+    });
+    return disconnected ? 'pending' : 'failed';
+  }
+}
+
+// Function to queue the backfill of a conversation (one backfill at a time, not awaited)
+// Returns false when it is already queued
+function queueBackfill(conversationId) {
+  if (queued.has(conversationId)) {
+    return false;
+  }
+  queued.add(conversationId);
+
+  queue = queue
+    .then(() => backfillConversation(conversationId))
+    .catch(error => logger.error(`Import de l'historique de la conversation ${conversationId} en échec:`, error))
+    .finally(() => queued.delete(conversationId));
+  return true;
+}
+
+// Function to start the backfill of a conversation just created (first contact with the number)
+async function scheduleFirstContactBackfill(conversation) {
+  if (!AUTO_BACKFILL || !conversation || !conversation.phone_number) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('conversations')
+    .update({ history_backfill_status: 'pending' })
+    .eq('id', conversation.id);
+  if (error) {
+    logger.error(`Error scheduling backfill of conversation ${conversation.id}:`, error);
+    return;
+  }
+  queueBackfill(conversation.id);
+}
+
+// Function to get the backfill state of a conversation of the user (404 when not theirs)
+async function getBackfillStatus(conversationId, userId) {
+  const { data, error } = await supabase
+    .from('conversations')
+    .select('id, history_backfill_status, history_backfilled_at, history_backfill_count, history_backfill_error')
+    .eq('id', conversationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    logger.error(`Error retrieving backfill of conversation ${conversationId}:`, error);
+    throw new Error('Error retrieving conversation');
+  }
+  if (!data) {
+    const notFound = new Error('Conversation not found');
+    notFound.statusCode = 404;
+    throw notFound;
+  }
+
+  return {
+    conversationId: data.id,
+    status: data.history_backfill_status || null,
+    queued: queued.has(data.id),
+    backfilledAt: data.history_backfilled_at,
+    imported: data.history_backfill_count,
+    error: data.history_backfill_error
+  };
+}
+
+// Function to start the backfill of a conversation on demand (again when already completed)
+async function requestBackfill(conversationId, userId) {
+  await getBackfillStatus(conversationId, userId);
+
+  const { error } = await supabase
+    .from('conversations')
+    .update({ history_backfill_status: 'pending', history_backfill_error: null })
+    .eq('id', conversationId);
+  if (error) {
+    logger.error(`Error scheduling backfill of conversation ${conversationId}:`, error);
+    throw new Error('Error scheduling backfill');
+  }
+
+  queueBackfill(conversationId);
+  return getBackfillStatus(conversationId, userId);
+}
+
+// Function to queue the backfills waiting for a connected channel or cut by a restart
+async function retryPendingBackfills() {
+  const { data, error } = await supabase
+    .from('conversations')
+    .select('id')
+    .in('history_backfill_status', ['pending', 'running'])
+    .limit(50);
+
+  if (error) {
+    logger.error('Error retrieving pending backfills:', error);
+    return;
+  }
+
+  (data || []).forEach(conversation => queueBackfill(conversation.id));
+}
+
+// Function to start retrying the pending backfills periodically
+function startBackfillScheduler() {
+  if (retryTimer) return;
+  retryTimer = setInterval(retryPendingBackfills, RETRY_INTERVAL_MS);
+}
+
+// Function to stop retrying the pending backfills
+function stopBackfillScheduler() {
+  if (retryTimer) {
+    clearInterval(retryTimer);
+    retryTimer = null;
+  }
+}
+
+module.exports = {
+  collectHistoryPages,
+  backfillConversation,
+  scheduleFirstContactBackfill,
+  getBackfillStatus,
+  requestBackfill,
+  retryPendingBackfills,
+  startBackfillScheduler,
+  stopBackfillScheduler,
+};
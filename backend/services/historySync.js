@@ -0,0 +1,335 @@
+const { supabase } = require('./database');
+const { getConversationChannel } = require('./channels');
+const { saveMessages } = require('../models/message');
+const {
+  getSyncCheckpoint,
+  saveSyncCheckpoint,
+  createSyncRun,
+  updateSyncRun,
+  getLatestSyncRun,
+  getRunningSyncRuns,
+} = require('../models/historySync');
+const { io } = require('../config/server');
+const { emitToUser } = require('../utils/socketRooms');
+const logger = require('../utils/logger');
+
+// Incremental sync of the chat history: each chat keeps a checkpoint (last message synced), only the
+// messages after it are fetched, and they are inserted in batches (idempotent upsert on message_id).
+// A sync of every conversation of a user runs in the background and reports 'history_sync_progress'
+// events; it is stored in history_sync_runs, so a run cut by a restart or a disconnection resumes
+// where it stopped.
+//
+// Live messages do not move the checkpoint: a chat with messages missed while the server was down
+// would otherwise be seen as synced.
+
+// Messages fetched from a chat never synced (its full history is the job of a backfill)
+const FIRST_SYNC_LIMIT = parseInt(process.env.HISTORY_SYNC_FIRST_LIMIT) || 100;
+// Messages fetched first from a synced chat, multiplied until the checkpoint is reached
+const SYNC_PAGE_SIZE = 50;
+const MAX_FETCH_LIMIT = 2000;
+const INSERT_BATCH_SIZE = 200;
+// Conversations of a run loaded per request (their IDs go in the request URL)
+const CONVERSATION_PAGE_SIZE = 100;
+const LIST_PAGE_SIZE = 1000;
+const RESUME_INTERVAL_MS = 60 * 1000;
+
+// System messages not stored in the history
+const IGNORED_MESSAGE_TYPES = ['e2e_notification', 'notification_template', 'gp2', 'protocol', 'revoked'];
+
+// Runs being processed by this server
+const activeRuns = new Set();
+let resumeTimer = null;
+
+// Function to build an error carrying its HTTP status
+function syncError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Function to convert fetched channel messages into rows for saveMessages, without the system messages
+function toStoredMessages(messages) {
+  return messages
+    .filter(msg => !IGNORED_MESSAGE_TYPES.includes(msg.type))
+    .map(msg => ({
+      body: msg.body,
+      isFromMe: msg.fromMe,
+      messageId: msg.id,
+      timestamp: new Date(msg.timestamp * 1000).toISOString()
+    }));
+}
+
+// Function to keep the messages of a fetched page that come after the checkpoint
+// `messages` are in chronological order; returns { messages, complete } - `complete` is false when the
+// page may not reach back to the checkpoint, so a larger page must be fetched
+function selectNewMessages(messages, checkpoint, limit) {
+  const stored = messages.filter(msg => !IGNORED_MESSAGE_TYPES.includes(msg.type));
+  if (!checkpoint || !checkpoint.last_message_id) {
+    return { messages: stored, complete: true };
+  }
+
+  const index = messages.findIndex(msg => msg.id === checkpoint.last_message_id);
+  if (index !== -1) {
+    const after = new Set(messages.slice(index + 1).map(msg => msg.id));
+    return { messages: stored.filter(msg => after.has(msg.id)), complete: true };
+  }
+
+  // Checkpoint message not in the page (deleted, or older than the page): compare the dates, the
+  // messages of the same second are kept (the upsert skips the ones already stored)
+  const checkpointTime = Math.floor(new Date(checkpoint.last_message_at).getTime() / 1000);
+  const complete = messages.length < limit || messages.some(msg => msg.timestamp < checkpointTime);
+  return { messages: stored.filter(msg => msg.timestamp >= checkpointTime), complete };
+}
+
+// Function to fetch the messages of a chat after its checkpoint
+// Returns { messages, latest } - `latest` is the last message of the chat, new checkpoint
+async function fetchNewMessages(channel, address, checkpoint) {
+  let limit = checkpoint ? SYNC_PAGE_SIZE : FIRST_SYNC_LIMIT;
+  for (;;) {
+    const page = await channel.fetchHistory(address, { limit });
+    const selection = selectNewMessages(page, checkpoint, limit);
+    if (selection.complete || limit >= MAX_FETCH_LIMIT) {
+      if (!selection.complete) {
+        logger.warn(`Synchronisation de ${address}: plus de ${MAX_FETCH_LIMIT} messages depuis le dernier point de reprise, les plus anciens sont ignorés`);
+      }
+      return { messages: selection.messages, latest: page[page.length - 1] || null };
+    }
+    limit = Math.min(limit * 4, MAX_FETCH_LIMIT);
+  }
+}
+
+// Function to sync one conversation from its checkpoint
+// `chat`: optional { lastMessageAt } from channel.listChats(), lets an unchanged chat be skipped without
+// fetching it. Returns { newMessages, fetched, skipped }
+async function syncConversation(conversation, { chat = null } = {}) {
+  const channel = getConversationChannel(conversation);
+  if (!channel || !channel.fetchHistory) {
+    throw syncError('No channel with a history for this conversation', 400);
+  }
+  if (channel.getStatus().status !== 'connected') {
+    throw syncError(`Channel ${channel.name} is not connected`, 503);
+  }
+
+  const address = channel.toAddress(conversation.phone_number);
+  const checkpoint = await getSyncCheckpoint(channel.name, address);
+
+  if (checkpoint && chat && chat.lastMessageAt
+    && chat.lastMessageAt * 1000 <= new Date(checkpoint.last_message_at).getTime()) {
+    return { newMessages: 0, fetched: 0, skipped: true };
+  }
+
+  const { messages, latest } = await fetchNewMessages(channel, address, checkpoint);
+
+  let newMessages = 0;
+  for (let i = 0; i < messages.length; i += INSERT_BATCH_SIZE) {
+    const saved = await saveMessages(conversation.id, toStoredMessages(messages.slice(i, i + INSERT_BATCH_SIZE)), conversation.user_id);
+    newMessages += saved.length;
+  }
+
+  // The checkpoint moves once the messages are stored: a crash before this point syncs them again
+  if (latest) {
+    const latestAt = new Date(latest.timestamp * 1000).toISOString();
+    await saveSyncCheckpoint({
+      channel: channel.name,
+      chat_id: address,
+      conversation_id: conversation.id,
+      last_message_id: latest.id,
+      last_message_at: latestAt,
+      messages_synced: (checkpoint ? checkpoint.messages_synced : 0) + newMessages
+    });
+
+    if (newMessages > 0 && (!conversation.last_message_at || new Date(conversation.last_message_at) < new Date(latestAt))) {
+      await supabase
+        .from('conversations')
+        .update({ last_message_at: latestAt })
+        .eq('id', conversation.id);
+    }
+  }
+
+  return { newMessages, fetched: messages.length, skipped: false };
+}
+
+// Function to notify the owner of a run of its progress
+function emitProgress(run, extra = {}) {
+  if (!io) return;
+  emitToUser(io, run.user_id, 'history_sync_progress', { ...formatSyncRun(run), ...extra });
+}
+
+// Function to format a history_sync_runs row for the API and the socket events
+function formatSyncRun(run) {
+  return {
+    runId: run.id,
+    status: run.status,
+    processed: run.processed_count,
+    total: run.conversation_ids.length,
+    messagesSaved: run.messages_saved,
+    errors: run.errors_count,
+    lastError: run.last_error,
+    startedAt: run.started_at,
+    finishedAt: run.finished_at
+  };
+}
+
+// Function to load conversations by ID
+// Returns a Map id -> conversation (deleted conversations are missing)
+async function loadConversations(ids) {
+  const { data: conversations, error } = await supabase
+    .from('conversations')
+    .select('id, phone_number, channel, user_id, last_message_at')
+    .in('id', ids);
+  if (error) {
+    throw new Error(`Error loading conversations: ${error.message}`);
+  }
+  return new Map(conversations.map(conversation => [conversation.id, conversation]));
+}
+
+// Function to process a run from its last processed conversation
+// A disconnected channel interrupts the run without failing it: it resumes on the next resume pass
+async function processRun(run) {
+  if (activeRuns.has(run.id)) return;
+  activeRuns.add(run.id);
+
+  try {
+    const chatsByChannel = new Map(); // channel name -> Map address -> chat, listed once per run
+
+    // The run's processed_count is its cursor in conversation_ids: conversations are loaded page by page from it
+    while (run.processed_count < run.conversation_ids.length) {
+      const pageIds = run.conversation_ids.slice(run.processed_count, run.processed_count + CONVERSATION_PAGE_SIZE);
+      const byId = await loadConversations(pageIds);
+
+      for (const conversationId of pageIds) {
+        const conversation = byId.get(conversationId);
+        let result = { newMessages: 0 };
+        let failure = null;
+
+        if (conversation && conversation.phone_number) {
+          try {
+            const channel = getConversationChannel(conversation);
+            if (channel && channel.listChats && channel.getStatus().status === 'connected' && !chatsByChannel.has(channel.name)) {
+              const chats = await channel.listChats();
+              chatsByChannel.set(channel.name, new Map(chats.map(chat => [chat.address, chat])));
+            }
+            const chats = channel && chatsByChannel.get(channel.name);
+            const chat = chats ? chats.get(channel.toAddress(conversation.phone_number)) : null;
+            if (chats && !chat) {
+              // No WhatsApp chat with this contact: nothing to sync
+              result = { newMessages: 0, skipped: true };
+            } else {
+              result = await syncConversation(conversation, { chat });
+            }
+          } catch (syncFailure) {
+            if (syncFailure.statusCode === 503) {
+              logger.warn(`Synchronisation ${run.id} interrompue: ${syncFailure.message}`);
+              return;
+            }
+            failure = syncFailure;
+            logger.error(`Synchronisation de la conversation ${conversation.id} en échec:`, syncFailure);
+          }
+        }
+
+        run = await updateSyncRun(run.id, {
+          processed_count: run.processed_count + 1,
+          messages_saved: run.messages_saved + result.newMessages,
+          errors_count: run.errors_count + (failure ? 1 : 0),
+          ...(failure ? { last_error: failure.message } : {})
+        });
+        emitProgress(run, { conversationId: conversation ? conversation.id : null, newMessages: result.newMessages });
+      }
+    }
+
+    run = await updateSyncRun(run.id, { status: 'completed', finished_at: new Date().toISOString() });
+    logger.info(`Synchronisation ${run.id} terminée: ${run.messages_saved} nouveau(x) message(s) dans ${run.conversation_ids.length} conversation(s)`);
+    emitProgress(run);
+  } catch (error) {
+    logger.error(`Synchronisation ${run.id} en échec:`, error);
+    try {
+      run = await updateSyncRun(run.id, { status: 'failed', last_error: error.message, finished_at: new Date().toISOString() });
+      emitProgress(run);
+    } catch (updateError) {
+      logger.error(`Statut de la synchronisation ${run.id} non enregistré:`, updateError);
+    }
+  } finally {
+    activeRuns.delete(run.id);
+  }
+}
+
+// Function to start the background sync of every conversation of a user
+// A run not finished yet (in progress or interrupted) is resumed instead of starting a new one
+async function startHistorySync(userId) {
+  const latest = await getLatestSyncRun(userId);
+  if (latest && latest.status === 'running') {
+    processRun(latest);
+    return latest;
+  }
+
+  // Listed page by page: a single select stops at the API row limit (1000 by default)
+  const conversations = [];
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('conversations')
+      .select('id')
+      .eq('user_id', userId)
+      .not('phone_number', 'is', null)
+      .order('last_message_at', { ascending: false, nullsFirst: false })
+      .order('id', { ascending: true })
+      .range(offset, offset + LIST_PAGE_SIZE - 1);
+    if (error) {
+      logger.error('Error retrieving conversations to sync:', error);
+      throw new Error('Error retrieving conversations');
+    }
+    conversations.push(...data);
+    if (data.length < LIST_PAGE_SIZE) break;
+  }
+
+  const run = await createSyncRun(userId, conversations.map(conversation => conversation.id));
+  logger.info(`Synchronisation ${run.id} démarrée: ${conversations.length} conversation(s)`);
+  processRun(run);
+  return run;
+}
+
+// Function to get the last sync run of a user, formatted for the API (null when they never synced)
+async function getHistorySyncStatus(userId) {
+  const run = await getLatestSyncRun(userId);
+  return run ? { ...formatSyncRun(run), active: activeRuns.has(run.id) } : null;
+}
+
+// Function to resume the runs interrupted by a restart or a disconnection
+async function resumeHistorySyncs() {
+  try {
+    const runs = await getRunningSyncRuns();
+    for (const run of runs) {
+      if (!activeRuns.has(run.id)) {
+        logger.debug(`Reprise de la synchronisation ${run.id} (${run.processed_count}/${run.conversation_ids.length})`);
+        processRun(run);
+      }
+    }
+  } catch (error) {
+    logger.error('Erreur lors de la reprise des synchronisations:', error);
+  }
+}
+
+// Function to start resuming the interrupted runs periodically
+function startHistorySyncResumer() {
+  if (resumeTimer) return;
+  resumeTimer = setInterval(resumeHistorySyncs, RESUME_INTERVAL_MS);
+}
+
+// Function to stop resuming the interrupted runs
+function stopHistorySyncResumer() {
+  if (resumeTimer) {
+    clearInterval(resumeTimer);
+    resumeTimer = null;
+  }
+}
+
+module.exports = {
+  INSERT_BATCH_SIZE,
+  toStoredMessages,
+  selectNewMessages,
+  syncConversation,
+  startHistorySync,
+  getHistorySyncStatus,
+  resumeHistorySyncs,
+  startHistorySyncResumer,
+  stopHistorySyncResumer,
+};
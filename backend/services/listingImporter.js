@@ -0,0 +1,329 @@
+const { getMarketplaceForUrl } = require('./marketplaces');
+const {
+  getSearchById,
+  updateSearch,
+  getDueSearches,
+  claimSearchRun,
+  createRun,
+  updateRun,
+} = require('../models/autoscoutSearch');
+const {
+  findVehiclesByListingUrls,
+  upsertVehicles,
+  findListedVehiclesForSearch,
+  markVehiclesRemoved,
+} = require('../models/vehicle');
+const { io } = require('../config/server');
+const { emitToUser } = require('../utils/socketRooms');
+const { fetchPublicUrl } = require('../utils/safeFetch');
+const logger = require('../utils/logger');
+
+// Listing importer: scrapes the search-result pages of the supported marketplaces (see ./marketplaces),
+// upserts the listings into vehicles and re-runs the saved searches (autoscout_searches) on their own interval.
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.AUTOSCOUT_SCHEDULER_INTERVAL_MS) || 60000;
+// Pause between two result pages, to stay a polite client
+const PAGE_DELAY_MS = parseInt(process.env.AUTOSCOUT_PAGE_DELAY_MS) || 2000;
+const FETCH_TIMEOUT_MS = parseInt(process.env.AUTOSCOUT_FETCH_TIMEOUT_MS) || 20000;
+const MAX_PAGE_BYTES = 10 * 1024 * 1024;
+const MAX_PAGES = 20;
+const USER_AGENT = process.env.AUTOSCOUT_USER_AGENT
+  || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36';
+
+// Scraped columns written to vehicles; an empty scraped value keeps the stored one
+const IMPORTED_COLUMNS = [
+  'external_id', 'brand', 'model', 'price', 'year', 'mileage', 'fuel_type', 'transmission',
+  'power', 'location', 'phone', 'image_url', 'seller_type', 'source'
+];
+// Columns compared to report a listing as changed
+const TRACKED_COLUMNS = ['price', 'mileage', 'year', 'location', 'phone'];
+
+let schedulerTimer = null;
+let schedulerBusy = false;
+const runningSearches = new Set();
+
+// Function to wait between two pages (resolves early if the scrape is aborted)
+function wait(delayMs, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, delayMs);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+// Function to download a result page
+// Through safeFetch: a redirect of the site cannot lead the server to a private address
+async function fetchSearchPage(url, marketplace, signal = null) {
+  try {
+    const { buffer } = await fetchPublicUrl(url, {
+      maxBytes: MAX_PAGE_BYTES,
+      timeoutMs: FETCH_TIMEOUT_MS,
+      signal,
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml',
+        'Accept-Language': 'fr-BE,fr;q=0.9,en;q=0.8'
+      }
+    });
+    return buffer.toString('utf8');
+  } catch (error) {
+    const pageError = new Error(`${marketplace.label} inaccessible: ${error.message}`);
+    pageError.statusCode = 502;
+    throw pageError;
+  }
+}
+
+// Function to scrape a search over up to `maxPages` result pages
+// onPage({ page, totalPages, listings }) is called after each page
+// Returns { listings, pagesScraped, totalResults, complete }: complete is false when a page
+// after the first failed or the scrape was aborted (the listings seen so far are still returned)
+async function scrapeSearch(searchUrl, { maxPages = 1, signal = null, onPage = null } = {}) {
+  const marketplace = getMarketplaceForUrl(searchUrl);
+  if (!marketplace) {
+    const error = new Error('Unsupported marketplace URL');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const byUrl = new Map();
+  let lastPage = Math.min(Math.max(1, parseInt(maxPages) || 1), MAX_PAGES);
+  let pagesScraped = 0;
+  let totalResults = null;
+  let complete = true;
+
+  for (let page = 1; page <= lastPage; page++) {
+    if (signal && signal.aborted) {
+      complete = false;
+      break;
+    }
+
+    let result;
+    try {
+      const html = await fetchSearchPage(marketplace.buildPageUrl(searchUrl, page), marketplace, signal);
+      result = marketplace.parseSearchResults(html, searchUrl);
+    } catch (error) {
+      if (page === 1) throw error;
+      logger.warn(`${marketplace.label}: page ${page} de ${searchUrl} non récupérée: ${error.message}`);
+      complete = false;
+      break;
+    }
+
+    pagesScraped++;
+    if (result.totalPages) lastPage = Math.min(lastPage, result.totalPages);
+    if (result.totalResults !== null) totalResults = result.totalResults;
+    for (const listing of result.listings) {
+      byUrl.set(listing.listing_url, listing);
+    }
+
+    if (onPage) onPage({ page, totalPages: lastPage, listings: result.listings });
+    if (result.listings.length === 0) break;
+    if (page < lastPage) await wait(PAGE_DELAY_MS, signal);
+  }
+
+  return { listings: [...byUrl.values()], pagesScraped, totalResults, complete };
+}
+
+// Function to compare a stored vehicle with its scraped listing: [{ field, from, to }]
+function diffListing(existing, listing) {
+  return TRACKED_COLUMNS
+    .filter(column => listing[column] !== null && listing[column] !== '' && listing[column] !== undefined)
+    .filter(column => String(existing[column] ?? '') !== String(listing[column]))
+    .map(column => ({ field: column, from: existing[column] ?? null, to: listing[column] }));
+}
+
+// Function to summarize a vehicle for a run report
+function toReportEntry(vehicle) {
+  return {
+    vehicleId: vehicle.id,
+    listingUrl: vehicle.listing_url,
+    brand: vehicle.brand,
+    model: vehicle.model,
+    price: vehicle.price
+  };
+}
+
+// Function to upsert scraped listings into the vehicles of a user
+// The contact status and the fields the listing does not show (phone...) are kept on existing vehicles
+// Returns { saved, created: [vehicles], changed: [{ vehicle, changes }], skipped }
+async function importListings(userId, listings, { searchId = null } = {}) {
+  const now = new Date().toISOString();
+  // A listing without price ("prix sur demande") cannot be negotiated: it is not imported
+  const importable = listings.filter(listing => listing.listing_url && listing.price);
+  const existingByUrl = new Map(
+    (await findVehiclesByListingUrls(userId, importable.map(listing => listing.listing_url)))
+      .map(vehicle => [vehicle.listing_url, vehicle])
+  );
+
+  const changesByUrl = new Map();
+  const rows = importable.map(listing => {
+    const existing = existingByUrl.get(listing.listing_url);
+    if (existing) {
+      const changes = diffListing(existing, listing);
+      if (changes.length > 0) changesByUrl.set(listing.listing_url, changes);
+    }
+
+    const row = {
+      user_id: userId,
+      listing_url: listing.listing_url,
+      contact_status: existing ? existing.contact_status : 'not_contacted',
+      autoscout_search_id: searchId || (existing ? existing.autoscout_search_id : null) || null,
+      last_seen_at: now,
+      removed_at: null,
+      updated_at: now
+    };
+    for (const column of IMPORTED_COLUMNS) {
+      const value = listing[column];
+      row[column] = value === null || value === undefined || value === ''
+        ? (existing ? existing[column] : value) ?? null
+        : value;
+    }
+    // The image hash of the deduplication is computed again when the photo changes
+    row.image_hash = existing && existing.image_url === row.image_url ? existing.image_hash ?? null : null;
+    // Columns required by the vehicles table: a new car has no registration year nor mileage yet
+    row.year = row.year || new Date().getFullYear();
+    row.mileage = row.mileage || 0;
+    row.fuel_type = row.fuel_type || '';
+    row.transmission = row.transmission || '';
+    row.location = row.location || '';
+    return row;
+  });
+
+  const saved = await upsertVehicles(rows);
+
+  return {
+    saved: saved.length,
+    created: saved.filter(vehicle => !existingByUrl.has(vehicle.listing_url)),
+    changed: saved
+      .filter(vehicle => changesByUrl.has(vehicle.listing_url))
+      .map(vehicle => ({ vehicle, changes: changesByUrl.get(vehicle.listing_url) })),
+    skipped: listings.length - importable.length
+  };
+}
+
+// Function to run a saved search: scrape, import, flag the listings that disappeared, record the run
+async function runSavedSearch(search) {
+  if (runningSearches.has(search.id)) {
+    const error = new Error('Search is already running');
+    error.statusCode = 409;
+    throw error;
+  }
+  runningSearches.add(search.id);
+
+  const run = await createRun(search);
+  logger.info(`Import: exécution de la recherche "${search.name}" (${search.id})`);
+
+  try {
+    const { listings, pagesScraped, complete } = await scrapeSearch(search.url, { maxPages: search.max_pages });
+    const imported = await importListings(search.user_id, listings, { searchId: search.id });
+
+    // Only a complete scrape tells which listings are gone: a missing page would flag its listings
+    let removed = [];
+    if (complete) {
+      const seenUrls = new Set(listings.map(listing => listing.listing_url));
+      removed = (await findListedVehiclesForSearch(search.id))
+        .filter(vehicle => !seenUrls.has(vehicle.listing_url));
+      await markVehiclesRemoved(removed.map(vehicle => vehicle.id));
+    }
+
+    const report = {
+      new: imported.created.map(toReportEntry),
+      changed: imported.changed.map(({ vehicle, changes }) => ({ ...toReportEntry(vehicle), changes })),
+      removed: removed.map(toReportEntry),
+      skipped: imported.skipped,
+      complete
+    };
+
+    const finished = await updateRun(run.id, {
+      status: 'completed',
+      pages_scraped: pagesScraped,
+      listings_count: listings.length,
+      new_count: report.new.length,
+      changed_count: report.changed.length,
+      removed_count: report.removed.length,
+      report,
+      finished_at: new Date().toISOString()
+    });
+    await updateSearch(search.id, { last_run_at: finished.finished_at, last_error: null });
+
+    logger.success(`Import: "${search.name}" - ${listings.length} annonce(s), ${report.new.length} nouvelle(s), ${report.changed.length} modifiée(s), ${report.removed.length} retirée(s)`);
+    emitToUser(io, search.user_id, 'autoscout_run_completed', {
+      searchId: search.id,
+      runId: run.id,
+      status: 'completed',
+      counts: { listings: listings.length, new: report.new.length, changed: report.changed.length, removed: report.removed.length }
+    });
+
+    return finished;
+  } catch (error) {
+    logger.error(`Import: échec de la recherche ${search.id}:`, error);
+    const failed = await updateRun(run.id, { status: 'failed', error: error.message, finished_at: new Date().toISOString() });
+    await updateSearch(search.id, { last_run_at: failed.finished_at, last_error: error.message });
+    emitToUser(io, search.user_id, 'autoscout_run_completed', { searchId: search.id, runId: run.id, status: 'failed', error: error.message });
+    return failed;
+  } finally {
+    runningSearches.delete(search.id);
+  }
+}
+
+// Function to run a saved search now, outside of its schedule
+async function runSearchNow(searchId) {
+  const search = await getSearchById(searchId);
+  if (!search) {
+    const error = new Error('Search not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return runSavedSearch(search);
+}
+
+// Function to run the saved searches whose next run date has passed
+async function runDueSearches() {
+  if (schedulerBusy) return;
+  schedulerBusy = true;
+
+  try {
+    const dueSearches = await getDueSearches();
+    for (const search of dueSearches) {
+      if (runningSearches.has(search.id)) continue;
+      const nextRunAt = new Date(Date.now() + search.interval_minutes * 60 * 1000).toISOString();
+      const claimed = await claimSearchRun(search, nextRunAt);
+      if (claimed) {
+        await runSavedSearch(claimed);
+      }
+    }
+  } catch (error) {
+    logger.error('Erreur du planificateur d\'import:', error);
+  } finally {
+    schedulerBusy = false;
+  }
+}
+
+// Function to start the saved-search scheduler
+function startAutoScoutScheduler() {
+  if (schedulerTimer) return;
+  schedulerTimer = setInterval(runDueSearches, SCHEDULER_INTERVAL_MS);
+  runDueSearches();
+  logger.info('Planificateur d\'import des annonces démarré');
+}
+
+// Function to stop the saved-search scheduler
+function stopAutoScoutScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  MAX_PAGES,
+  scrapeSearch,
+  importListings,
+  runSavedSearch,
+  runSearchNow,
+  startAutoScoutScheduler,
+  stopAutoScoutScheduler,
+};
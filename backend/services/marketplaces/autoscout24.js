@@ -0,0 +1,149 @@
+const {
+  decodeEntities,
+  parseInteger,
+  parseYear,
+  parsePower,
+  kwToHp,
+  toAbsoluteUrl,
+  setPageParam,
+  normalizeSellerType,
+  toPhone,
+  extractNextData,
+} = require('./helpers');
+
+// Parser of the AutoScout24 search-result pages (https://www.autoscout24.<tld>/<lang>/lst?...)
+// Pure functions on the HTML so they can be checked against saved pages (fixtures/autoscout24).
+// The listings are read from the Next.js payload (<script id="__NEXT_DATA__">); older pages without
+// it fall back to the data-* attributes of the <article> elements.
+
+const SOURCE = 'autoscout24';
+const DEFAULT_BASE_URL = 'https://www.autoscout24.be';
+
+// Function to find a detail of the listing card by its icon ("mileage_road", "calendar", ...)
+function findVehicleDetail(details, iconNames) {
+  const detail = (details || []).find(item => item && iconNames.includes(item.iconName));
+  return detail ? detail.data : null;
+}
+
+// Function to convert a listing of the Next.js payload into a vehicles row
+function fromNextDataListing(listing, baseUrl) {
+  const vehicle = listing.vehicle || {};
+  const tracking = listing.tracking || {};
+  const location = listing.location || {};
+  const seller = listing.seller || {};
+  const details = listing.vehicleDetails || [];
+  const phones = Array.isArray(seller.phones) ? seller.phones : [];
+  const phone = phones.map(item => item.callTo || item.formattedNumber).find(Boolean);
+  const images = Array.isArray(listing.images) ? listing.images : [];
+
+  return {
+    external_id: listing.id || null,
+    brand: vehicle.make || '',
+    model: [vehicle.model, vehicle.modelVersionInput].filter(Boolean).join(' ').trim(),
+    price: parseInteger(tracking.price) ?? parseInteger(listing.price && listing.price.priceFormatted),
+    year: parseYear(tracking.firstRegistration || findVehicleDetail(details, ['calendar'])),
+    mileage: parseInteger(tracking.mileage) ?? parseInteger(vehicle.mileageInKm || findVehicleDetail(details, ['mileage_road'])),
+    fuel_type: vehicle.fuel || findVehicleDetail(details, ['gas_pump']) || '',
+    transmission: vehicle.transmission || findVehicleDetail(details, ['gearbox', 'transmission']) || '',
+    power: parsePower(findVehicleDetail(details, ['speedometer'])) ?? parseInteger(vehicle.powerInHp) ?? kwToHp(vehicle.powerInKw),
+    location: [location.zip, location.city].filter(Boolean).join(' ').trim(),
+    listing_url: toAbsoluteUrl(listing.url, baseUrl || DEFAULT_BASE_URL),
+    phone: toPhone(phone),
+    image_url: images[0] || null,
+    seller_type: normalizeSellerType(seller.type),
+    source: SOURCE
+  };
+}
+
+// Function to read the attributes of an HTML start tag into an object
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attributes;
+}
+
+// Function to split a card title ("BMW 320 d Touring") into brand and model, as written on the card
+function splitTitle(title, make, model) {
+  if (make && title.toLowerCase().startsWith(make.toLowerCase())) {
+    return { brand: title.slice(0, make.length), model: title.slice(make.length).trim() || model || '' };
+  }
+  return { brand: make || '', model: title || model || '' };
+}
+
+// Function to read the listings from the <article data-guid=...> cards (pages without Next.js payload)
+function parseArticles(html, baseUrl) {
+  const listings = [];
+  const pattern = /<article\b([^>]*\bdata-guid=[^>]*)>([\s\S]*?)<\/article>/gi;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    const attributes = parseAttributes(match[1]);
+    const body = match[2];
+    const link = body.match(/<a\b[^>]*href=["']([^"']*\/(?:offres|angebote|aanbod|offerte|ofertas|offers)\/[^"']+)["']/i);
+    const image = body.match(/<img\b[^>]*src=["']([^"']+)["']/i);
+    const title = body.match(/<h2[^>]*>([\s\S]*?)<\/h2>/i);
+    const titleText = title ? decodeEntities(title[1].replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim() : '';
+
+    listings.push({
+      external_id: attributes['data-guid'] || null,
+      ...splitTitle(titleText, attributes['data-make'], attributes['data-model']),
+      price: parseInteger(attributes['data-price']),
+      year: parseYear(attributes['data-first-registration']),
+      mileage: parseInteger(attributes['data-mileage']),
+      fuel_type: attributes['data-fuel-type'] || '',
+      transmission: '',
+      power: null,
+      location: attributes['data-listing-zip-code'] || '',
+      listing_url: toAbsoluteUrl(link && link[1], baseUrl || DEFAULT_BASE_URL),
+      phone: null,
+      image_url: image ? decodeEntities(image[1]) : null,
+      seller_type: normalizeSellerType(attributes['data-seller-type']),
+      source: SOURCE
+    });
+  }
+
+  return listings;
+}
+
+// Function to parse a search-result page
+// Returns { listings: [vehicles rows], totalPages, totalResults }; listings without URL are dropped
+function parseSearchResults(html, baseUrl = null) {
+  const nextData = extractNextData(html || '');
+  const pageProps = nextData && nextData.props && nextData.props.pageProps;
+
+  let listings;
+  let totalPages = null;
+  let totalResults = null;
+
+  if (pageProps && Array.isArray(pageProps.listings)) {
+    listings = pageProps.listings.map(listing => fromNextDataListing(listing, baseUrl));
+    totalPages = parseInteger(pageProps.numberOfPages);
+    totalResults = parseInteger(pageProps.numberOfResults);
+  } else {
+    listings = parseArticles(html || '', baseUrl);
+  }
+
+  return {
+    listings: listings.filter(listing => listing.listing_url),
+    totalPages,
+    totalResults
+  };
+}
+
+// Function to build the URL of a result page (AutoScout24 paginates with ?page=N)
+function buildPageUrl(searchUrl, page) {
+  return setPageParam(searchUrl, page, 'page');
+}
+
+module.exports = {
+  name: SOURCE,
+  label: 'AutoScout24',
+  hosts: [/(^|\.)autoscout24\.(de|at|be|ch|es|fr|it|lu|nl|pl|se|com|com\.tr|com\.ua)$/i],
+  exampleUrl: 'https://www.autoscout24.be/fr/lst/bmw/serie-3?atype=C&cy=B',
+  parseSearchResults,
+  buildPageUrl,
+};
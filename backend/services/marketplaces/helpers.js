@@ -0,0 +1,236 @@
+const { normalizePhoneNumber } = require('../../utils/phoneNumber');
+
+// Shared helpers of the marketplace parsers: reading numbers from listing texts,
+// and extracting the JSON payloads embedded in the search-result pages.
+
+const KW_TO_HP = 1.35962;
+
+// Function to decode the HTML entities found in attribute values
+function decodeEntities(text) {
+  return String(text)
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+// Function to read the first integer of a text ("€ 14.990,-" -> 14990, "120 000 km" -> 120000)
+function parseInteger(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : null;
+  if (Array.isArray(value)) return parseInteger(value[0]);
+  const match = String(value).match(/\d[\d\s.,'  ]*/);
+  if (!match) return null;
+  // Thousands separators only: the decimal part of listing prices is always ",-" or ",00"
+  const digits = match[0].replace(/[,.]\d{1,2}\s*$/, '').replace(/\D/g, '');
+  return digits ? parseInt(digits, 10) : null;
+}
+
+// Function to read the year of a first registration ("03-2018", "03/2018", "2018")
+function parseYear(value) {
+  const match = String(value || '').match(/(19|20)\d{2}/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+// Function to read the power in horsepower ("110 kW (150 CH)", "150 PS", "110 kW")
+function parsePower(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Math.round(value);
+  const text = String(value);
+  const hp = text.match(/(\d+)\s*(?:ch|cv|ps|hp|pk|bhp)\b/i);
+  if (hp) return parseInt(hp[1], 10);
+  const kw = text.match(/(\d+)\s*kw\b/i);
+  if (kw) return Math.round(parseInt(kw[1], 10) * KW_TO_HP);
+  return /^\s*\d+\s*$/.test(text) ? parseInt(text, 10) : null;
+}
+
+// Function to convert a power in kW to horsepower
+function kwToHp(kw) {
+  const value = parseInteger(kw);
+  return value ? Math.round(value * KW_TO_HP) : null;
+}
+
+// Function to build the absolute URL of a listing; the query string is dropped (search context)
+// except the parameters naming the listing (`keepParams`, e.g. mobile.de's ?id=)
+function toAbsoluteUrl(href, baseUrl, { keepParams = [] } = {}) {
+  if (!href) return null;
+  try {
+    const url = new URL(decodeEntities(href), baseUrl);
+    url.hash = '';
+    const kept = keepParams
+      .filter(param => url.searchParams.has(param))
+      .map(param => [param, url.searchParams.get(param)]);
+    url.search = '';
+    for (const [param, value] of kept) {
+      url.searchParams.set(param, value);
+    }
+    return url.toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to build the URL of a result page of a search paginated by a query parameter (page 1 has none)
+function setPageParam(searchUrl, page, param = 'page') {
+  const url = new URL(searchUrl);
+  if (page > 1) {
+    url.searchParams.set(param, String(page));
+  } else {
+    url.searchParams.delete(param);
+  }
+  return url.toString();
+}
+
+// Function to map a marketplace seller type to the vehicles.seller_type values
+function normalizeSellerType(type) {
+  if (!type) return null;
+  const value = String(type).toLowerCase();
+  if (['p', 'private', 'privat', 'person'].includes(value) || /private|particulier|privat/.test(value)) return 'particulier';
+  if (['d', 'pro', 'dealer'].includes(value) || /dealer|professionnel|händler|haendler|garage|autodealer|organization/.test(value)) {
+    return 'professionnel';
+  }
+  return null;
+}
+
+// Function to normalize a seller phone number (null when absent)
+function toPhone(value) {
+  return value ? normalizePhoneNumber(String(value)) || null : null;
+}
+
+// Function to read the Next.js payload of a page (null if absent or unreadable)
+function extractNextData(html) {
+  const match = (html || '').match(/<script[^>]*id=["']__NEXT_DATA__["'][^>]*>([\s\S]*?)<\/script>/i);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to read a JSON object assigned in an inline script (`window.__INITIAL_STATE__ = {...};`)
+// The object is delimited by matching braces, skipping the braces inside strings
+function extractAssignedJson(html, variableName) {
+  const text = html || '';
+  const start = text.indexOf(variableName);
+  if (start === -1) return null;
+  const open = text.indexOf('{', start);
+  if (open === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  for (let index = open; index < text.length; index++) {
+    const char = text[index];
+    if (inString) {
+      if (char === '\\') index++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        try {
+          return JSON.parse(text.slice(open, index + 1));
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Function to read the schema.org objects of the JSON-LD scripts (ItemList and @graph are flattened)
+function extractJsonLd(html) {
+  const items = [];
+  const pattern = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+
+  const collect = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(collect);
+      return;
+    }
+    if (node['@graph']) collect(node['@graph']);
+    if (node.itemListElement) collect(node.itemListElement);
+    if (node['@type'] === 'ListItem') {
+      collect(node.item);
+      return;
+    }
+    items.push(node);
+  };
+
+  while ((match = pattern.exec(html || '')) !== null) {
+    try {
+      collect(JSON.parse(match[1]));
+    } catch (error) {
+      // Malformed JSON-LD block: ignored, the other blocks are still read
+    }
+  }
+
+  return items;
+}
+
+// Function to check whether a schema.org object describes a vehicle
+function isSchemaOrgVehicle(item) {
+  const types = [].concat(item['@type'] || []);
+  return types.some(type => ['Car', 'Vehicle', 'MotorizedBicycle', 'Motorcycle'].includes(type))
+    || (types.includes('Product') && Boolean(item.mileageFromOdometer || item.vehicleModelDate));
+}
+
+// Function to convert a schema.org Car/Vehicle into a vehicles row
+function fromSchemaOrgVehicle(item, baseUrl, source, { keepParams = [] } = {}) {
+  const offer = [].concat(item.offers || [])[0] || {};
+  const seller = offer.seller || item.seller || {};
+  const place = offer.availableAtOrFrom || seller;
+  const address = (place && place.address) || {};
+  const engine = [].concat(item.vehicleEngine || [])[0] || {};
+  const enginePower = [].concat(engine.enginePower || [])[0] || {};
+  const brand = typeof item.brand === 'object' && item.brand ? item.brand.name : item.brand || item.manufacturer || '';
+  const name = item.name || '';
+  const image = [].concat(item.image || [])[0];
+
+  return {
+    external_id: item.sku || item.productID || item.identifier || null,
+    brand: brand || '',
+    model: item.model
+      ? String(typeof item.model === 'object' ? item.model.name : item.model)
+      : name.replace(new RegExp(`^${String(brand).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*`, 'i'), ''),
+    price: parseInteger(offer.price),
+    year: parseYear(item.vehicleModelDate || item.dateVehicleFirstRegistered || item.productionDate),
+    mileage: parseInteger(item.mileageFromOdometer && (item.mileageFromOdometer.value ?? item.mileageFromOdometer)),
+    fuel_type: item.fuelType || engine.fuelType || '',
+    transmission: item.vehicleTransmission || '',
+    power: enginePower.unitCode === 'KWT' ? kwToHp(enginePower.value) : parsePower(enginePower.value),
+    location: [address.postalCode, address.addressLocality].filter(Boolean).join(' ').trim(),
+    listing_url: toAbsoluteUrl(item.url || offer.url, baseUrl, { keepParams }),
+    phone: toPhone(seller.telephone),
+    image_url: typeof image === 'object' && image ? image.url || null : image || null,
+    seller_type: normalizeSellerType(seller['@type']),
+    source
+  };
+}
+
+module.exports = {
+  decodeEntities,
+  parseInteger,
+  parseYear,
+  parsePower,
+  kwToHp,
+  toAbsoluteUrl,
+  setPageParam,
+  normalizeSellerType,
+  toPhone,
+  extractNextData,
+  extractAssignedJson,
+  extractJsonLd,
+  isSchemaOrgVehicle,
+  fromSchemaOrgVehicle,
+};
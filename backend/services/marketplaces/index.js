@@ -0,0 +1,87 @@
+const logger = require('../../utils/logger');
+
+// Registry of the marketplace parsers (AutoScout24, Leboncoin, La Centrale, mobile.de).
+//
+// A parser maps the search-result pages of a site to vehicles rows and exposes:
+//   name                           - unique registry name, stored in vehicles.source
+//   label                          - site name shown to the user
+//   hosts                          - hostname patterns of the site's search pages
+//   exampleUrl                     - example of search URL shown to the user
+//   parseSearchResults(html, url)  - { listings, totalPages, totalResults } of a result page
+//   buildPageUrl(searchUrl, page)  - URL of the n-th result page of a search
+//
+// Listings are vehicles rows: { external_id, brand, model, price, year, mileage, fuel_type,
+// transmission, power, location, listing_url, phone, image_url, seller_type, source }
+// with seller_type 'particulier' | 'professionnel' | null; listings without listing_url are dropped.
+
+const marketplaces = new Map();
+
+// Function to register a marketplace parser
+function registerMarketplace(parser) {
+  if (!parser || !parser.name) {
+    throw new Error('Marketplace parser must have a name');
+  }
+  if (marketplaces.has(parser.name)) {
+    throw new Error(`Marketplace "${parser.name}" is already registered`);
+  }
+  if (!Array.isArray(parser.hosts) || typeof parser.parseSearchResults !== 'function' || typeof parser.buildPageUrl !== 'function') {
+    throw new Error(`Marketplace "${parser.name}" must define hosts, parseSearchResults and buildPageUrl`);
+  }
+
+  marketplaces.set(parser.name, parser);
+  logger.info(`Marketplace registered: ${parser.name}`);
+  return parser;
+}
+
+// Function to get a registered marketplace parser
+function getMarketplace(name) {
+  const parser = marketplaces.get(name);
+  if (!parser) {
+    const error = new Error(`Unknown marketplace: ${name}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return parser;
+}
+
+// Function to find the parser of a search URL (null when the site is not supported)
+function getMarketplaceForUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return null;
+  }
+  return Array.from(marketplaces.values())
+    .find(parser => parser.hosts.some(pattern => pattern.test(url.hostname))) || null;
+}
+
+// Function to check that a URL is a search page of a supported marketplace
+function isSupportedSearchUrl(value) {
+  return getMarketplaceForUrl(value) !== null;
+}
+
+// Function to list the supported marketplaces
+function listMarketplaces() {
+  return Array.from(marketplaces.values()).map(parser => ({
+    name: parser.name,
+    label: parser.label,
+    exampleUrl: parser.exampleUrl
+  }));
+}
+
+registerMarketplace(require('./autoscout24'));
+registerMarketplace(require('./leboncoin'));
+registerMarketplace(require('./lacentrale'));
+registerMarketplace(require('./mobilede'));
+
+module.exports = {
+  registerMarketplace,
+  getMarketplace,
+  getMarketplaceForUrl,
+  isSupportedSearchUrl,
+  listMarketplaces,
+};
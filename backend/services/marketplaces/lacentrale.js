@@ -0,0 +1,45 @@
+const {
+  parseInteger,
+  setPageParam,
+  extractJsonLd,
+  isSchemaOrgVehicle,
+  fromSchemaOrgVehicle,
+} = require('./helpers');
+
+// Parser of the La Centrale search-result pages (https://www.lacentrale.fr/listing?makesModelsCommercialNames=...)
+// The listings are read from the schema.org JSON-LD of the page: an ItemList of Car objects
+// whose offer names the seller (Person for a private seller, AutoDealer for a professional).
+
+const SOURCE = 'lacentrale';
+const DEFAULT_BASE_URL = 'https://www.lacentrale.fr';
+
+// Function to parse a search-result page
+// Returns { listings: [vehicles rows], totalPages, totalResults }; listings without URL are dropped
+function parseSearchResults(html, baseUrl = null) {
+  const items = extractJsonLd(html);
+  const listings = items
+    .filter(isSchemaOrgVehicle)
+    .map(item => fromSchemaOrgVehicle(item, baseUrl || DEFAULT_BASE_URL, SOURCE))
+    .filter(listing => listing.listing_url);
+
+  // The ItemList gives the number of results of the whole search, the pages have a fixed size
+  const list = items.find(item => item['@type'] === 'ItemList' || item.numberOfItems !== undefined);
+  const totalResults = list ? parseInteger(list.numberOfItems) : null;
+  const totalPages = totalResults !== null && listings.length > 0 ? Math.ceil(totalResults / listings.length) : null;
+
+  return { listings, totalPages, totalResults };
+}
+
+// Function to build the URL of a result page (La Centrale paginates with ?page=N)
+function buildPageUrl(searchUrl, page) {
+  return setPageParam(searchUrl, page, 'page');
+}
+
+module.exports = {
+  name: SOURCE,
+  label: 'La Centrale',
+  hosts: [/(^|\.)lacentrale\.fr$/i],
+  exampleUrl: 'https://www.lacentrale.fr/listing?makesModelsCommercialNames=PEUGEOT%3A308',
+  parseSearchResults,
+  buildPageUrl,
+};
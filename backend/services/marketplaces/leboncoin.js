@@ -0,0 +1,77 @@
+const {
+  parseInteger,
+  parseYear,
+  toAbsoluteUrl,
+  setPageParam,
+  normalizeSellerType,
+  extractNextData,
+} = require('./helpers');
+
+// Parser of the Leboncoin search-result pages (https://www.leboncoin.fr/recherche?category=2&...)
+// The ads are read from the Next.js payload (props.pageProps.searchData.ads); their vehicle
+// characteristics are a list of { key, value, value_label } attributes.
+// The phone number of a seller is only shown to logged-in users: it is never imported.
+
+const SOURCE = 'leboncoin';
+const DEFAULT_BASE_URL = 'https://www.leboncoin.fr';
+
+// Function to read an attribute of an ad (its label when there is one: "Diesel" rather than "2")
+function getAttribute(ad, key, { label = true } = {}) {
+  const attribute = (ad.attributes || []).find(item => item && item.key === key);
+  if (!attribute) return null;
+  return (label && attribute.value_label) || attribute.value || null;
+}
+
+// Function to convert an ad of the Next.js payload into a vehicles row
+function fromAd(ad, baseUrl) {
+  const location = ad.location || {};
+  const owner = ad.owner || {};
+  const images = ad.images || {};
+
+  return {
+    external_id: ad.list_id ? String(ad.list_id) : null,
+    brand: getAttribute(ad, 'brand') || '',
+    model: getAttribute(ad, 'model') || ad.subject || '',
+    price: parseInteger(ad.price),
+    year: parseYear(getAttribute(ad, 'regdate', { label: false })),
+    mileage: parseInteger(getAttribute(ad, 'mileage', { label: false })),
+    fuel_type: getAttribute(ad, 'fuel') || '',
+    transmission: getAttribute(ad, 'gearbox') || '',
+    power: parseInteger(getAttribute(ad, 'horse_power_din', { label: false })),
+    location: [location.zipcode, location.city].filter(Boolean).join(' ').trim(),
+    listing_url: toAbsoluteUrl(ad.url, baseUrl || DEFAULT_BASE_URL),
+    phone: null,
+    image_url: (Array.isArray(images.urls) && images.urls[0]) || images.thumb_url || null,
+    seller_type: normalizeSellerType(owner.type),
+    source: SOURCE
+  };
+}
+
+// Function to parse a search-result page
+// Returns { listings: [vehicles rows], totalPages, totalResults }; listings without URL are dropped
+function parseSearchResults(html, baseUrl = null) {
+  const nextData = extractNextData(html);
+  const pageProps = nextData && nextData.props && nextData.props.pageProps;
+  const searchData = (pageProps && pageProps.searchData) || {};
+  const ads = Array.isArray(searchData.ads) ? searchData.ads : [];
+
+  return {
+    listings: ads.map(ad => fromAd(ad, baseUrl)).filter(listing => listing.listing_url),
+    totalPages: parseInteger(searchData.max_pages),
+    totalResults: parseInteger(searchData.total)
+  };
+}
+
+// Function to build the URL of a result page (Leboncoin paginates with ?page=N)
+function buildPageUrl(searchUrl, page) {
+  return setPageParam(searchUrl, page, 'page');
+}
+
+module.exports = {
+  name: SOURCE,
+  label: 'Leboncoin',
+  hosts: [/(^|\.)leboncoin\.fr$/i],
+  exampleUrl: 'https://www.leboncoin.fr/recherche?category=2&u_car_brand=RENAULT&u_car_model=RENAULT_Clio',
+  parseSearchResults,
+  buildPageUrl,
+};
@@ -0,0 +1,92 @@
+const {
+  parseInteger,
+  parseYear,
+  parsePower,
+  toAbsoluteUrl,
+  setPageParam,
+  normalizeSellerType,
+  extractAssignedJson,
+  extractJsonLd,
+  isSchemaOrgVehicle,
+  fromSchemaOrgVehicle,
+} = require('./helpers');
+
+// Parser of the mobile.de search-result pages (https://suchen.mobile.de/fahrzeuge/search.html?...)
+// The listings are read from the state of the page (window.__INITIAL_STATE__, search.srp.data.searchResults);
+// pages without it fall back to their schema.org JSON-LD.
+// A listing is identified by the ?id= of its URL, which is kept in listing_url.
+
+const SOURCE = 'mobilede';
+const DEFAULT_BASE_URL = 'https://suchen.mobile.de';
+const URL_OPTIONS = { keepParams: ['id'] };
+
+// Function to convert a listing of the page state into a vehicles row
+function fromStateItem(item, baseUrl) {
+  const attributes = item.attr || {};
+  const price = item.price || {};
+  const contact = item.contactInfo || {};
+  const title = item.title || item.shortTitle || '';
+  const brand = item.make || title.split(' ')[0] || '';
+
+  return {
+    external_id: item.id ? String(item.id) : null,
+    brand,
+    model: item.model || title.slice(brand.length).trim(),
+    price: parseInteger(price.grossAmount) ?? parseInteger(price.gross),
+    year: parseYear(attributes.fr),
+    mileage: parseInteger(attributes.ml),
+    fuel_type: attributes.ft || '',
+    transmission: attributes.tr || '',
+    power: parsePower(attributes.pw),
+    location: (contact.location || attributes.loc || '').replace(/^[A-Z]{2}-/, '').trim(),
+    listing_url: toAbsoluteUrl(item.relativeUrl || item.url, baseUrl || DEFAULT_BASE_URL, URL_OPTIONS),
+    phone: null,
+    image_url: (item.previewImage && item.previewImage.src) || null,
+    seller_type: normalizeSellerType(item.sellerType || contact.sellerType),
+    source: SOURCE
+  };
+}
+
+// Function to parse a search-result page
+// Returns { listings: [vehicles rows], totalPages, totalResults }; listings without URL are dropped
+function parseSearchResults(html, baseUrl = null) {
+  const state = extractAssignedJson(html, 'window.__INITIAL_STATE__');
+  const srp = state && state.search && state.search.srp;
+  const searchResults = srp && srp.data && srp.data.searchResults;
+
+  if (searchResults && Array.isArray(searchResults.items)) {
+    return {
+      listings: searchResults.items
+        // The result list also holds ads and "top" placements without listing
+        .filter(item => item && item.id && (item.relativeUrl || item.url))
+        .map(item => fromStateItem(item, baseUrl))
+        .filter(listing => listing.listing_url),
+      totalPages: parseInteger(searchResults.numPages),
+      totalResults: parseInteger(searchResults.numResultsTotal)
+    };
+  }
+
+  return {
+    listings: extractJsonLd(html)
+      .filter(isSchemaOrgVehicle)
+      .map(item => fromSchemaOrgVehicle(item, baseUrl || DEFAULT_BASE_URL, SOURCE, URL_OPTIONS))
+      .filter(listing => listing.listing_url)
+      .map(listing => ({ ...listing, external_id: listing.external_id || new URL(listing.listing_url).searchParams.get('id') })),
+    totalPages: null,
+    totalResults: null
+  };
+}
+
+// Function to build the URL of a result page (mobile.de paginates with ?pageNumber=N)
+function buildPageUrl(searchUrl, page) {
+  return setPageParam(searchUrl, page, 'pageNumber');
+}
+
+module.exports = {
+  name: SOURCE,
+  label: 'mobile.de',
+  hosts: [/(^|\.)mobile\.de$/i],
+  exampleUrl: 'https://suchen.mobile.de/fahrzeuge/search.html?dam=false&isSearchRequest=true&ms=3500%3B8%3B%3B&s=Car',
+  parseSearchResults,
+  buildPageUrl,
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { supabase } = require('./database');
+const { saveAttachment } = require('../models/attachment');
+const { fetchPublicUrl } = require('../utils/safeFetch');
+const { MEDIA_BUCKET } = require('./mediaUrls');
+const logger = require('../utils/logger');
+
+// Storage backend for message media: 'local' (disk, served on /media) or 'supabase' (Storage bucket)
+const MEDIA_STORAGE = process.env.MEDIA_STORAGE || 'local';
+const MEDIA_MAX_SIZE_BYTES = (parseInt(process.env.MEDIA_MAX_SIZE_MB) || 25) * 1024 * 1024;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'video/quicktime': 'mov',
+  'application/pdf': 'pdf',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx'
+};
+
+// Function to get the local media directory
+function getMediaDirectory() {
+  return process.env.MEDIA_STORAGE_DIR || path.join(__dirname, '..', 'media');
+}
+
+// Function to classify a media from its MIME type ('ptt' is WhatsApp's voice note type)
+function mediaTypeFor(mimeType, messageType = null) {
+  if (messageType === 'ptt') return 'voice';
+  const baseType = (mimeType || '').split(';')[0].trim();
+  if (baseType.startsWith('image/')) return 'image';
+  if (baseType.startsWith('audio/')) return 'audio';
+  if (baseType.startsWith('video/')) return 'video';
+  return 'document';
+}
+
+// Function to build a safe, unique file name for a media
+// The extension comes from the MIME type only: a name sent by a contact never yields .html, .svg...
+function buildFileName(mimeType, originalName = null) {
+  const baseType = (mimeType || '').split(';')[0].trim();
+  const extension = EXTENSIONS[baseType] || 'bin';
+  const stem = originalName
+    ? path.basename(originalName, path.extname(originalName)).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 60)
+    : 'media';
+  return `${Date.now()}_${crypto.randomBytes(4).toString('hex')}_${stem}.${extension}`;
+}
+
+// Function to download a media referenced by URL into the { data: base64, mimetype, filename } shape
+// Only public hosts are fetched (see utils/safeFetch.js)
+async function fetchMediaFromUrl(url, filename = null) {
+  const { buffer, contentType, url: finalUrl } = await fetchPublicUrl(url, { maxBytes: MEDIA_MAX_SIZE_BYTES });
+
+  return {
+    data: buffer.toString('base64'),
+    mimetype: (contentType || 'application/octet-stream').split(';')[0].trim(),
+    filename: filename || path.basename(finalUrl.pathname) || null
+  };
+}
+
+// Function to store a media ({ data: base64, mimetype, filename }) for a conversation
+// Returns { storage, storagePath, url, size } or null if the media was rejected
+async function storeMedia(media, conversationId) {
+  if (!media || !media.data) {
+    return null;
+  }
+
+  const buffer = Buffer.from(media.data, 'base64');
+  if (buffer.length > MEDIA_MAX_SIZE_BYTES) {
+    logger.warn(`Media ignoré: ${buffer.length} octets dépasse la limite de ${MEDIA_MAX_SIZE_BYTES} octets`);
+    return null;
+  }
+
+  const storagePath = `${conversationId}/${buildFileName(media.mimetype, media.filename)}`;
+
+  if (MEDIA_STORAGE === 'supabase') {
+    const { error } = await supabase.storage
+      .from(MEDIA_BUCKET)
+      .upload(storagePath, buffer, { contentType: media.mimetype, upsert: false });
+
+    if (error) {
+      logger.error('Error uploading media to Supabase Storage:', error);
+      throw new Error('Error uploading media');
+    }
+
+    // Private bucket: the attachments are returned with signed URLs (services/mediaUrls.js)
+    return { storage: 'supabase', storagePath, url: `storage://${MEDIA_BUCKET}/${storagePath}`, size: buffer.length };
+  }
+
+  const filePath = path.join(getMediaDirectory(), storagePath);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+
+  return { storage: 'local', storagePath, url: `/media/${storagePath}`, size: buffer.length };
+}
+
+// Function to store a media and record it as an attachment of a saved message
+// Returns the attachment row, or null if the media was rejected or could not be recorded
+async function saveMessageMedia(media, { messageId, conversationId, userId = null, messageType = null }) {
+  const stored = await storeMedia(media, conversationId);
+  if (!stored) {
+    return null;
+  }
+
+  const attachment = await saveAttachment({
+    messageId,
+    conversationId,
+    mediaType: mediaTypeFor(media.mimetype, messageType),
+    mimeType: media.mimetype,
+    fileName: media.filename,
+    fileSize: stored.size,
+    storage: stored.storage,
+    storagePath: stored.storagePath,
+    url: stored.url,
+    userId
+  });
+
+  if (attachment) {
+    logger.database.saved('message_attachments', attachment.id);
+  }
+  return attachment;
+}
+
+module.exports = {
+  MEDIA_MAX_SIZE_BYTES,
+  buildFileName,
+  fetchMediaFromUrl,
+  getMediaDirectory,
+  mediaTypeFor,
+  saveMessageMedia,
+  storeMedia,
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { supabase } = require('./database');
+const logger = require('../utils/logger');
+
+// Access to the stored media of the messages: no media is public. Attachments are returned with
+// short-lived URLs - an HMAC signature for the files served on /media (MEDIA_STORAGE=local), a Supabase
+// signed URL for the private bucket (MEDIA_STORAGE=supabase) - that <img>/<audio> tags can load without
+// the Authorization header.
+
+const MEDIA_BUCKET = process.env.MEDIA_BUCKET || 'message-media';
+const MEDIA_URL_TTL_S = (parseInt(process.env.MEDIA_URL_TTL_HOURS) || 12) * 3600;
+
+// Without MEDIA_URL_SECRET, the URLs signed before a restart stop working (they are signed again when
+// the messages are reloaded)
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.MEDIA_URL_SECRET) {
+  logger.warn('MEDIA_URL_SECRET non défini: les liens des médias expirent au redémarrage du serveur');
+}
+
+// Function to compute the signature of a local media path for an expiry date (seconds)
+function signMediaPath(storagePath, expires) {
+  return crypto.createHmac('sha256', MEDIA_URL_SECRET).update(`${storagePath}:${expires}`).digest('hex');
+}
+
+// Function to build the signed /media URL of a local media
+function buildSignedMediaUrl(storagePath, ttlSeconds = MEDIA_URL_TTL_S) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `/media/${storagePath}?expires=${expires}&signature=${signMediaPath(storagePath, expires)}`;
+}
+
+// Function to check the signature of a /media request (expired or altered URLs are refused)
+function verifyMediaSignature(storagePath, expires, signature) {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(signMediaPath(storagePath, expiresAt), 'hex');
+  const received = Buffer.from(signature, 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Function to replace the stored URL of attachments by a URL the client can load
+// Location pins and other external links are kept as they are
+async function withSignedUrls(attachments) {
+  const inBucket = attachments.filter(attachment => attachment.storage === 'supabase' && attachment.storage_path);
+  const signedByPath = {};
+
+  if (inBucket.length > 0) {
+    const { data, error } = await supabase.storage
+      .from(MEDIA_BUCKET)
+      .createSignedUrls(inBucket.map(attachment => attachment.storage_path), MEDIA_URL_TTL_S);
+    if (error) {
+      logger.error('Error signing media URLs:', error);
+    }
+    for (const entry of data || []) {
+      if (entry.signedUrl) signedByPath[entry.path] = entry.signedUrl;
+    }
+  }
+
+  return attachments.map(attachment => {
+    if (attachment.storage === 'local' && attachment.storage_path) {
+      return { ...attachment, url: buildSignedMediaUrl(attachment.storage_path) };
+    }
+    if (attachment.storage === 'supabase') {
+      return { ...attachment, url: signedByPath[attachment.storage_path] || attachment.url };
+    }
+    return attachment;
+  });
+}
+
+module.exports = {
+  MEDIA_BUCKET,
+  buildSignedMediaUrl,
+  verifyMediaSignature,
+  withSignedUrls,
+};
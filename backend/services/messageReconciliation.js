@@ -0,0 +1,303 @@
+const { supabase } = require('./database');
+const { MESSAGE_STATUS_RANK } = require('../models/message');
+const logger = require('../utils/logger');
+
+// Reconciliation of the messages stored more than once, before message IDs were unique
+// (see add_unique_message_id.sql): the same WhatsApp ID saved twice (even in two conversations), the same
+// message saved under its short ID (old chat list sync) and its serialized ID, or a copy saved without ID
+// (old text matching) next to the message it duplicates. Each group keeps one row, the others are merged
+// into it: best delivery status, attachments moved when the kept row has none, reactions and edit
+// revisions moved, then deleted.
+
+// A copy without ID is the same message when body, sender and conversation match within this window
+const UNKEYED_MATCH_WINDOW_MS = 30000;
+const PAGE_SIZE = 1000;
+
+// Serialized WhatsApp IDs are '<fromMe>_<chat>_<short ID>' (plus '_<participant>' in groups)
+const SERIALIZED_ID_PATTERN = /^(?:true|false)_[^_]+_([^_]+)/;
+
+// Function to reduce a message ID to its short WhatsApp ID, so both stored forms match
+function toShortMessageId(messageId) {
+  const match = SERIALIZED_ID_PATTERN.exec(messageId);
+  return match ? match[1] : messageId;
+}
+
+// Function to order the rows of a group: the serialized ID (used by every current save) is kept, then
+// the first one saved
+function byKeptFirst(a, b) {
+  const aSerialized = a.message_id !== toShortMessageId(a.message_id);
+  const bSerialized = b.message_id !== toShortMessageId(b.message_id);
+  if (aSerialized !== bSerialized) {
+    return aSerialized ? -1 : 1;
+  }
+  return new Date(a.created_at || a.timestamp) - new Date(b.created_at || b.timestamp);
+}
+
+// Function to group duplicated messages rows
+// Returns [{ messageId, keep, duplicates }] - `keep` is the row kept, `duplicates` the rows merged into it
+function groupDuplicateMessages(rows) {
+  // Rows with an ID are linked when they share their full ID, whatever their conversation (the unique index
+  // of add_unique_message_id.sql covers the whole table), or their short ID within one conversation
+  // (a short ID is only unique within its chat)
+  const keyed = rows.filter(row => row.message_id);
+  const parent = keyed.map((row, index) => index);
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const firstByKey = new Map();
+  keyed.forEach((row, index) => {
+    for (const key of [`id|${row.message_id}`, `short|${row.conversation_id}|${toShortMessageId(row.message_id)}`]) {
+      if (firstByKey.has(key)) {
+        parent[find(index)] = find(firstByKey.get(key));
+      } else {
+        firstByKey.set(key, index);
+      }
+    }
+  });
+
+  const byMessageId = new Map();
+  keyed.forEach((row, index) => {
+    const key = find(index);
+    if (!byMessageId.has(key)) byMessageId.set(key, []);
+    byMessageId.get(key).push(row);
+  });
+
+  // Rows with an ID, indexed by conversation, sender and body to match the copies without ID
+  const keyedByContent = new Map();
+  for (const [messageKey, group] of byMessageId) {
+    for (const row of group) {
+      const key = `${row.conversation_id}|${row.is_from_me}|${row.body}`;
+      if (!keyedByContent.has(key)) keyedByContent.set(key, []);
+      keyedByContent.get(key).push({ messageKey, time: new Date(row.timestamp).getTime() });
+    }
+  }
+
+  const unkeyedCopies = new Map(); // message key -> rows without ID
+  for (const row of rows) {
+    if (row.message_id) continue;
+    const time = new Date(row.timestamp).getTime();
+    const match = (keyedByContent.get(`${row.conversation_id}|${row.is_from_me}|${row.body}`) || [])
+      .find(candidate => Math.abs(candidate.time - time) <= UNKEYED_MATCH_WINDOW_MS);
+    if (!match) continue;
+    if (!unkeyedCopies.has(match.messageKey)) unkeyedCopies.set(match.messageKey, []);
+    unkeyedCopies.get(match.messageKey).push(row);
+  }
+
+  const groups = [];
+  for (const [messageKey, keyed] of byMessageId) {
+    const copies = unkeyedCopies.get(messageKey) || [];
+    if (keyed.length + copies.length < 2) continue;
+
+    // The row kept carries the ID, serialized when one row has it; copies without ID are always merged
+    const [keep, ...otherKeyed] = [...keyed].sort(byKeptFirst);
+    groups.push({ messageId: keep.message_id, keep, duplicates: [...otherKeyed, ...copies] });
+  }
+
+  return groups;
+}
+
+// Function to compute the best delivery status of a group (a late ack saved on a copy is not lost)
+function getMergedStatus(group) {
+  return [group.keep, ...group.duplicates]
+    .map(row => row.status)
+    .filter(status => status in MESSAGE_STATUS_RANK)
+    .reduce((best, status) => (best === null || MESSAGE_STATUS_RANK[status] > MESSAGE_STATUS_RANK[best] ? status : best), null);
+}
+
+// Function to load the messages to reconcile, page by page
+async function loadMessages(conversationId = null) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('messages')
+      .select('id, conversation_id, message_id, body, is_from_me, timestamp, status, created_at')
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+    if (conversationId) {
+      query = query.eq('conversation_id', conversationId);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      logger.error('Error loading messages to reconcile:', error);
+      throw new Error('Error loading messages');
+    }
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+// Function to move the reactions of a group to its kept row: the latest reaction of each participant
+// (one per participant and message), the others are deleted with the copies
+async function moveReactions(group, duplicateIds) {
+  const { data: reactions, error } = await supabase
+    .from('message_reactions')
+    .select('id, message_id, sender, reacted_at')
+    .in('message_id', [group.keep.id, ...duplicateIds]);
+  if (error) {
+    throw new Error(`Error loading reactions: ${error.message}`);
+  }
+
+  const latestBySender = new Map();
+  for (const reaction of reactions) {
+    const latest = latestBySender.get(reaction.sender);
+    if (!latest || new Date(reaction.reacted_at) > new Date(latest.reacted_at)) {
+      latestBySender.set(reaction.sender, reaction);
+    }
+  }
+
+  const moved = [...latestBySender.values()].filter(reaction => reaction.message_id !== group.keep.id);
+  if (moved.length === 0) {
+    return;
+  }
+
+  // The reaction replaced on the kept row goes first (unique per message and participant)
+  const replaced = reactions
+    .filter(reaction => reaction.message_id === group.keep.id && moved.some(other => other.sender === reaction.sender))
+    .map(reaction => reaction.id);
+  if (replaced.length > 0) {
+    const { error: deleteError } = await supabase.from('message_reactions').delete().in('id', replaced);
+    if (deleteError) {
+      throw new Error(`Error replacing reactions: ${deleteError.message}`);
+    }
+  }
+
+  const { error: moveError } = await supabase
+    .from('message_reactions')
+    .update({ message_id: group.keep.id, conversation_id: group.keep.conversation_id })
+    .in('id', moved.map(reaction => reaction.id));
+  if (moveError) {
+    throw new Error(`Error moving reactions: ${moveError.message}`);
+  }
+}
+
+// Function to move the revisions of the copies to the kept row (those it does not already have)
+async function moveRevisions(group, duplicateIds) {
+  const { data: revisions, error } = await supabase
+    .from('message_revisions')
+    .select('id, message_id, body, edited_at')
+    .in('message_id', [group.keep.id, ...duplicateIds]);
+  if (error) {
+    throw new Error(`Error loading revisions: ${error.message}`);
+  }
+
+  const revisionKey = revision => `${revision.body}|${new Date(revision.edited_at).getTime()}`;
+  const known = new Set(revisions.filter(revision => revision.message_id === group.keep.id).map(revisionKey));
+  const moved = [];
+  for (const revision of revisions) {
+    if (revision.message_id === group.keep.id || known.has(revisionKey(revision))) continue;
+    known.add(revisionKey(revision));
+    moved.push(revision.id);
+  }
+  if (moved.length === 0) {
+    return;
+  }
+
+  const { error: moveError } = await supabase
+    .from('message_revisions')
+    .update({ message_id: group.keep.id })
+    .in('id', moved);
+  if (moveError) {
+    throw new Error(`Error moving revisions: ${moveError.message}`);
+  }
+}
+
+// Function to merge one group of duplicates into its kept row
+async function mergeDuplicateGroup(group) {
+  const duplicateIds = group.duplicates.map(row => row.id);
+
+  // Attachments of a copy move to the kept row when it has none (deleted with the copies otherwise)
+  const { data: attachments, error: attachmentsError } = await supabase
+    .from('message_attachments')
+    .select('id, message_id')
+    .in('message_id', [group.keep.id, ...duplicateIds]);
+  if (attachmentsError) {
+    throw new Error(`Error loading attachments: ${attachmentsError.message}`);
+  }
+
+  if (!attachments.some(attachment => attachment.message_id === group.keep.id)) {
+    const source = duplicateIds.find(id => attachments.some(attachment => attachment.message_id === id));
+    if (source) {
+      const { error } = await supabase
+        .from('message_attachments')
+        .update({ message_id: group.keep.id })
+        .eq('message_id', source);
+      if (error) {
+        throw new Error(`Error moving attachments: ${error.message}`);
+      }
+    }
+  }
+
+  // Reactions and revisions are deleted in cascade with the copies: moved first
+  await moveReactions(group, duplicateIds);
+  await moveRevisions(group, duplicateIds);
+
+  const status = getMergedStatus(group);
+  if (status && status !== group.keep.status) {
+    const { error } = await supabase
+      .from('messages')
+      .update({ status, status_updated_at: new Date().toISOString() })
+      .eq('id', group.keep.id);
+    if (error) {
+      throw new Error(`Error updating message status: ${error.message}`);
+    }
+  }
+
+  const { error: deleteError } = await supabase
+    .from('messages')
+    .delete()
+    .in('id', duplicateIds);
+  if (deleteError) {
+    throw new Error(`Error deleting duplicates: ${deleteError.message}`);
+  }
+}
+
+// Function to report the duplicated messages, and merge them when `merge` is true
+// Returns { scanned, groups, duplicates, merged, failed, details: [{ messageId, conversationId, keptId, duplicateIds }] }
+async function reconcileDuplicateMessages({ merge = false, conversationId = null } = {}) {
+  const rows = await loadMessages(conversationId);
+  const groups = groupDuplicateMessages(rows);
+
+  const report = {
+    scanned: rows.length,
+    groups: groups.length,
+    duplicates: groups.reduce((total, group) => total + group.duplicates.length, 0),
+    merged: 0,
+    failed: 0,
+    details: groups.map(group => ({
+      messageId: group.messageId,
+      conversationId: group.keep.conversation_id,
+      keptId: group.keep.id,
+      duplicateIds: group.duplicates.map(row => row.id)
+    }))
+  };
+
+  if (!merge) {
+    return report;
+  }
+
+  for (const group of groups) {
+    try {
+      await mergeDuplicateGroup(group);
+      report.merged += group.duplicates.length;
+    } catch (error) {
+      report.failed++;
+      logger.error(`Doublons du message ${group.messageId} non fusionnés: ${error.message}`);
+    }
+  }
+
+  logger.info(`Réconciliation des messages: ${report.merged} doublon(s) fusionné(s) dans ${groups.length - report.failed} message(s)`);
+  return report;
+}
+
+module.exports = {
+  toShortMessageId,
+  groupDuplicateMessages,
+  getMergedStatus,
+  reconcileDuplicateMessages,
+};
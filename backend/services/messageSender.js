@@ -0,0 +1,164 @@
+const { getChannel, getChannelForUser, getConversationChannel } = require('./channels');
+const { findOrCreateConversation } = require('../models/conversation');
+const { saveMessage } = require('../models/message');
+const { saveLocationAttachment, getAttachmentsByMessageIds } = require('../models/attachment');
+const { updateVehicleContactStatus } = require('../models/vehicle');
+const { saveMessageMedia } = require('./mediaStorage');
+const { supabase } = require('./database');
+const { io } = require('../config/server');
+const { emitToUser } = require('../utils/socketRooms');
+const logger = require('../utils/logger');
+
+// Function to build the text stored in the history for a location pin
+function formatLocationBody(location) {
+  return `📍 ${location.name || location.address || `${location.latitude}, ${location.longitude}`}`;
+}
+
+// Function to pick the channel of an outgoing message
+function resolveChannel(channelName, conversation, userId) {
+  if (channelName) {
+    return userId ? getChannelForUser(channelName, userId) : getChannel(channelName);
+  }
+  return getConversationChannel(conversation, userId);
+}
+
+// Function to send a message from the app and record it everywhere it must appear:
+// conversation, messages table, attachments, vehicle contact status and the 'new_message' WebSocket event.
+// `media` is { data: base64, mimetype, filename } (sent with `message` as caption),
+// `location` is { latitude, longitude, name, address }.
+// `channelName` forces a channel (WhatsApp session); by default the message leaves from the channel of
+// the conversation, else from the owner's session, else from the default channel.
+// Resolves to { messageId, conversationId, savedMessage }; throws only if the channel fails to send
+// (savedMessage is null when the message left but could not be recorded).
+async function sendOutgoingMessage({ number, message = '', media = null, location = null, vehicleId, userId, channelName = null }) {
+  // Find or create the conversation
+  const conversation = await findOrCreateConversation(number, vehicleId, userId);
+
+  if (!conversation) {
+    const error = new Error('Could not create conversation');
+    error.statusCode = 500;
+    throw error;
+  }
+
+  // Send the message via the channel
+  const channel = resolveChannel(channelName, conversation, userId || conversation.user_id);
+  let sentMessage;
+  let body = message;
+  if (location) {
+    sentMessage = await channel.sendLocation(number, location);
+    body = formatLocationBody(location);
+  } else if (media) {
+    sentMessage = await channel.sendMedia(number, media, { caption: message });
+  } else {
+    sentMessage = await channel.send(number, message);
+  }
+
+  const ownerId = userId || conversation.user_id;
+
+  // The channel accepted the message: from here on a failure only leaves the history incomplete,
+  // it must not make the caller send the message again
+  try {
+    return await recordSentMessage({ conversation, channel, number, body, media, location, sentMessage, ownerId });
+  } catch (error) {
+    logger.error('Error recording outgoing message after sending:', error);
+    return { messageId: sentMessage.id, conversationId: conversation.id, savedMessage: null };
+  }
+}
+
+// Function to record a message accepted by the channel: messages table, attachments, conversation,
+// vehicle contact status and the 'new_message' WebSocket event
+async function recordSentMessage({ conversation, channel, number, body, media, location, sentMessage, ownerId }) {
+  // Store the message in the messages table
+  const savedMessage = await saveMessage(
+    conversation.id,
+    body,
+    true, // isFromMe
+    sentMessage.id,
+    new Date().toISOString(),
+    ownerId
+  );
+
+  // First message to this number: import the earlier history now that this message is stored
+  // Required here, the backfill service depends on the channels
+  if (conversation.isNew) {
+    require('./historyBackfill').scheduleFirstContactBackfill(conversation)
+      .catch(error => logger.error('Error scheduling history backfill:', error));
+  }
+
+  if (!savedMessage) {
+    // The message was sent: report success to the caller, only the history is missing
+    logger.error('Error storing outgoing message after sending.');
+    return { messageId: sentMessage.id, conversationId: conversation.id, savedMessage: null };
+  }
+
+  // Record the attachment in the message history (already done when the message was stored first
+  // from its 'message_create' event)
+  const attachments = [];
+  if (savedMessage.duplicate) {
+    const storedAttachments = await getAttachmentsByMessageIds([savedMessage.id]);
+    attachments.push(...(storedAttachments[savedMessage.id] || []));
+  } else if (location) {
+    const attachment = await saveLocationAttachment({
+      messageId: savedMessage.id,
+      conversationId: conversation.id,
+      ...location,
+      userId: ownerId
+    });
+    if (attachment) attachments.push(attachment);
+  } else if (media) {
+    const attachment = await saveMessageMedia(media, {
+      messageId: savedMessage.id,
+      conversationId: conversation.id,
+      userId: ownerId
+    });
+    if (attachment) attachments.push(attachment);
+  }
+
+  // Update the last message date
+  await supabase.from('conversations').update({ last_message_at: new Date().toISOString(), channel: channel.name }).eq('id', conversation.id);
+
+  // Update vehicle contact status if available
+  if (conversation.vehicle_id) {
+    await updateVehicleContactStatus(conversation.vehicle_id, ownerId);
+  }
+
+  // Retrieve vehicle information if available (for WebSocket emission)
+  let vehicle = null;
+  if (conversation.vehicle_id) {
+    const { data: vehicleData } = await supabase
+      .from('vehicles')
+      .select('id, brand, model, year, image_url')
+      .eq('id', conversation.vehicle_id)
+      .single();
+    vehicle = vehicleData;
+  }
+
+  // Create a formatted message object for the client
+  const formattedMessage = {
+    id: savedMessage.id, // Use the DB ID
+    message_id: sentMessage.id, // Original WhatsApp ID
+    from: 'me',
+    to: number,
+    body: body,
+    timestamp: new Date(savedMessage.timestamp).getTime() / 1000, // Use saved timestamp
+    isFromMe: true,
+    chatName: vehicle ? `${vehicle.brand} ${vehicle.model}` : 'Unnamed Chat',
+    chatId: conversation.chat_id || conversation.id, // Use conversation chatId or ID
+    conversation_id: conversation.id,
+    vehicle: vehicle,
+    attachments: attachments,
+    status: savedMessage.status
+  };
+
+  // Emit the new message event to the sockets of the conversation owner
+  logger.info('WebSocket Emission (outgoing message) - Details:', JSON.stringify(formattedMessage, null, 2));
+
+  emitToUser(io, conversation.user_id || ownerId, 'new_message', formattedMessage);
+  logger.info('Message emitted via WebSocket:', formattedMessage.body);
+
+  return { messageId: sentMessage.id, conversationId: conversation.id, savedMessage };
+}
+
+module.exports = {
+  sendOutgoingMessage,
+};
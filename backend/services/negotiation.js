@@ -0,0 +1,134 @@
+const {
+  getPriceOfferById,
+  updatePriceOfferStatus,
+  supersedePendingOffers,
+  createCounterOfferInDB,
+} = require('../models/priceoffer');
+const { getConversationById } = require('../models/conversation');
+const { applyStateRules } = require('./conversationState');
+const { sendOutgoingMessage } = require('./messageSender');
+const { io } = require('../config/server');
+const { emitToUser } = require('../utils/socketRooms');
+const logger = require('../utils/logger');
+
+// Negotiation workflow around price_offers: a pending offer is accepted, rejected or countered.
+// Counter-offers are price_offers rows of direction 'buyer' pointing to the offer they answer, so a
+// conversation keeps its thread (offer -> counter -> offer). Accepting an offer applies the 'offer_accepted'
+// rules of the state machine (by default the conversation is completed).
+// Every transition is sent to the 'price_offer_detected' listeners with its `transition`.
+
+// Function to retrieve a pending offer of a conversation of the user (404 / 409 otherwise)
+async function getPendingOfferOfUser(userId, offerId) {
+  const offer = await getPriceOfferById(offerId);
+  const conversation = offer && await getConversationById(offer.conversation_id, userId);
+  if (!conversation) {
+    const error = new Error('Price offer not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  if (offer.status !== 'pending') {
+    const error = new Error(`Price offer already ${offer.status}`);
+    error.statusCode = 409;
+    throw error;
+  }
+  return { offer, conversation };
+}
+
+// Function to answer a pending offer, failing if it was answered in the meantime
+async function answerOffer(offer, status, notes = null) {
+  const updated = await updatePriceOfferStatus(offer.id, status, notes);
+  if (!updated) {
+    const error = new Error('Price offer already answered');
+    error.statusCode = 409;
+    throw error;
+  }
+  return updated;
+}
+
+// Function to send a negotiation transition to the sockets of the user
+function notifyTransition(userId, transition, offer, extra = {}) {
+  emitToUser(io, userId, 'price_offer_detected', {
+    transition, // 'detected' | 'accepted' | 'rejected' | 'countered'
+    offerId: offer.id,
+    conversationId: offer.conversation_id,
+    vehicleId: offer.vehicle_id,
+    price: Number(offer.offered_price),
+    currency: offer.offer_currency,
+    status: offer.status,
+    direction: offer.direction,
+    timestamp: Date.now() / 1000,
+    ...extra
+  });
+  logger.websocket.emit('price_offer_detected', `Offre ${offer.id} ${transition}`);
+}
+
+// Function to accept an offer: the price is agreed, the other pending offers are closed and the
+// conversation changes state as the state machine says
+async function acceptOffer(userId, offerId, { notes } = {}) {
+  const { offer, conversation } = await getPendingOfferOfUser(userId, offerId);
+  const accepted = await answerOffer(offer, 'accepted', notes);
+  await supersedePendingOffers(offer.conversation_id, offer.id);
+
+  const transition = await applyStateRules(offer.conversation_id, {
+    offerAccepted: true,
+    reason: `Offre acceptée: ${Number(offer.offered_price)} ${offer.offer_currency || 'EUR'}`
+  }, { userId });
+  const conversationState = transition ? transition.to : conversation.state;
+
+  logger.info(`Offre ${offer.id} acceptée, conversation ${offer.conversation_id}: ${conversationState}`);
+  notifyTransition(userId, 'accepted', accepted, { conversationState });
+  return { offer: accepted, conversationState };
+}
+
+// Function to reject an offer (the conversation stays open for a new offer)
+async function rejectOffer(userId, offerId, { notes } = {}) {
+  const { offer } = await getPendingOfferOfUser(userId, offerId);
+  const rejected = await answerOffer(offer, 'rejected', notes);
+
+  logger.info(`Offre ${offer.id} refusée`);
+  notifyTransition(userId, 'rejected', rejected);
+  return { offer: rejected };
+}
+
+// Function to answer an offer of the seller with our price
+// With `message`, the counter-offer is also sent to the seller, before anything is recorded
+async function counterOffer(userId, offerId, { price, message } = {}) {
+  const counterPrice = Number(price);
+  if (!(counterPrice > 0)) {
+    const error = new Error('A positive price is required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { offer, conversation } = await getPendingOfferOfUser(userId, offerId);
+  if (offer.direction === 'buyer') {
+    const error = new Error('Only offers from the seller can be countered');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let messageId = null;
+  if (message && message.trim()) {
+    const sent = await sendOutgoingMessage({
+      number: conversation.phoneNumber,
+      message: message.trim(),
+      vehicleId: offer.vehicle_id,
+      userId
+    });
+    messageId = sent.savedMessage ? sent.savedMessage.id : null;
+  }
+
+  const countered = await answerOffer(offer, 'countered');
+  const counter = await createCounterOfferInDB(offer, counterPrice, userId, messageId);
+
+  logger.info(`Contre-offre de ${counterPrice} sur l'offre ${offer.id}`);
+  notifyTransition(userId, 'countered', counter, { parentOfferId: countered.id });
+  return { offer: countered, counterOffer: counter };
+}
+
+module.exports = {
+  notifyTransition,
+  acceptOffer,
+  rejectOffer,
+  counterOffer,
+};
@@ -0,0 +1,322 @@
+const {
+  createBatch,
+  getBatch,
+  updateBatchStatus,
+  cancelPendingMessages,
+  getNextDueMessage,
+  claimMessage,
+  updateQueuedMessage,
+  postponeBatchMessages,
+  requeueInterruptedMessages,
+  countSentSince,
+  getOldestSentSince,
+  getLastSentToRecipient,
+} = require('../models/outboundQueue');
+const { getChannel, getUserChannel, hasChannel } = require('./channels');
+const { sendOutgoingMessage } = require('./messageSender');
+const { io } = require('../config/server');
+const { emitToUser } = require('../utils/socketRooms');
+const logger = require('../utils/logger');
+
+// Server-side send queue: messages are persisted in outbound_messages and sent one at a time
+// by a single worker loop, so a bulk send survives closing the browser or restarting the server.
+
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOUND_POLL_INTERVAL_MS) || 5000;
+// Global limit across all batches (WhatsApp anti-spam)
+const GLOBAL_MAX_PER_HOUR = parseInt(process.env.OUTBOUND_MAX_PER_HOUR) || 60;
+// Minimum interval between two queued messages to the same number
+const PER_NUMBER_INTERVAL_MS = (parseInt(process.env.OUTBOUND_PER_NUMBER_INTERVAL_S) || 300) * 1000;
+// Retry delay doubles after each failed attempt: 30s, 1min, 2min, 4min...
+const RETRY_BASE_DELAY_MS = (parseInt(process.env.OUTBOUND_RETRY_BASE_DELAY_S) || 30) * 1000;
+
+const DEFAULT_BATCH_SETTINGS = {
+  minDelay: 5,     // secondes entre deux envois
+  maxDelay: 15,
+  maxPerHour: 30,  // par batch
+  maxAttempts: 5
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let workerTimer = null;
+let workerRunning = false;
+let processing = false;
+
+// Function to compute the retry time after a failed attempt
+function getRetryDelay(attempts) {
+  return RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1));
+}
+
+// Function to pick a random delay between two sends, in milliseconds
+function getSendDelay(settings) {
+  const minDelay = Math.max(0, Number(settings.minDelay) || 0);
+  const maxDelay = Math.max(minDelay, Number(settings.maxDelay) || minDelay);
+  return Math.floor(Math.random() * (maxDelay - minDelay + 1) + minDelay) * 1000;
+}
+
+// Function to push the progress of a batch to the clients
+async function emitBatchProgress(batchId, item = null) {
+  if (!io) return;
+
+  try {
+    const batch = await getBatch(batchId);
+    if (!batch) return;
+
+    emitToUser(io, batch.user_id, 'outbound_queue_progress', {
+      batchId: batch.id,
+      status: batch.status,
+      total: batch.total,
+      counts: batch.counts,
+      item: item ? {
+        id: item.id,
+        recipient: item.recipient,
+        vehicleId: item.vehicle_id,
+        status: item.status,
+        attempts: item.attempts,
+        error: item.last_error,
+        messageId: item.message_id,
+        nextAttemptAt: item.next_attempt_at
+      } : null
+    });
+  } catch (error) {
+    logger.websocket.warn(`Progression du batch ${batchId} non émise: ${error.message}`);
+  }
+}
+
+// Function to mark a batch as completed once nothing is left to send
+async function completeBatchIfDone(batchId) {
+  const batch = await getBatch(batchId);
+  if (!batch || batch.status === 'cancelled' || batch.status === 'completed') {
+    return;
+  }
+
+  const { counts } = batch;
+  if (counts.queued === 0 && counts.sending === 0) {
+    await updateBatchStatus(batchId, 'completed');
+    logger.success(`Batch ${batchId} terminé: ${counts.sent} envoyé(s), ${counts.failed} échec(s)`);
+  }
+}
+
+// Function to send the next due message, if rate limits allow it
+// Returns the delay in milliseconds before the worker should look again
+async function processNextMessage() {
+  const item = await getNextDueMessage();
+  if (!item) {
+    return POLL_INTERVAL_MS;
+  }
+
+  const batchId = item.batch_id;
+  const settings = { ...DEFAULT_BATCH_SETTINGS, ...(item.outbound_batches.settings || {}) };
+  const now = Date.now();
+  const hourAgo = new Date(now - HOUR_MS);
+
+  // The batch is sent from its WhatsApp session (settings.channel), else from the owner's session.
+  // While that session is offline the batch waits, other batches can still be sent
+  const channel = settings.channel && hasChannel(settings.channel)
+    ? getChannel(settings.channel)
+    : getUserChannel(item.user_id);
+  if (channel.getStatus().status !== 'connected') {
+    await postponeBatchMessages(batchId, new Date(now + POLL_INTERVAL_MS));
+    return 0;
+  }
+
+  // Global rate limit: wait until the oldest send of the window leaves it
+  if (await countSentSince(hourAgo) >= GLOBAL_MAX_PER_HOUR) {
+    const oldest = await getOldestSentSince(hourAgo);
+    const waitMs = oldest ? oldest.getTime() + HOUR_MS - now : POLL_INTERVAL_MS;
+    logger.info(`File d'envoi: limite globale de ${GLOBAL_MAX_PER_HOUR}/h atteinte, reprise dans ${Math.round(waitMs / 1000)}s`);
+    return Math.max(waitMs, POLL_INTERVAL_MS);
+  }
+
+  // Batch rate limit: postpone the whole batch, other batches can still be sent
+  if (await countSentSince(hourAgo, { batchId }) >= settings.maxPerHour) {
+    const oldest = await getOldestSentSince(hourAgo, { batchId });
+    const resumeAt = new Date((oldest ? oldest.getTime() : now) + HOUR_MS);
+    logger.info(`File d'envoi: batch ${batchId} limité à ${settings.maxPerHour}/h, reporté à ${resumeAt.toISOString()}`);
+    await postponeBatchMessages(batchId, resumeAt);
+    return 0;
+  }
+
+  // Per-number rate limit: postpone only this message
+  const lastSent = await getLastSentToRecipient(item.recipient);
+  if (lastSent && now - lastSent.getTime() < PER_NUMBER_INTERVAL_MS) {
+    await updateQueuedMessage(item.id, {
+      next_attempt_at: new Date(lastSent.getTime() + PER_NUMBER_INTERVAL_MS).toISOString()
+    });
+    return 0;
+  }
+
+  const claimed = await claimMessage(item.id);
+  if (!claimed) {
+    return 0;
+  }
+
+  const attempts = item.attempts + 1;
+  let result;
+  let updated;
+  try {
+    // Only a refusal of the channel is retried: once the message left, sendOutgoingMessage no longer throws
+    result = await sendOutgoingMessage({
+      number: item.recipient,
+      message: item.body,
+      vehicleId: item.vehicle_id,
+      userId: item.user_id,
+      channelName: settings.channel || channel.name
+    });
+  } catch (error) {
+    const exhausted = attempts >= item.max_attempts;
+    updated = await updateQueuedMessage(item.id, {
+      status: exhausted ? 'failed' : 'queued',
+      attempts,
+      last_error: error.message,
+      next_attempt_at: new Date(Date.now() + getRetryDelay(attempts)).toISOString()
+    });
+    logger.warn(`File d'envoi: échec ${attempts}/${item.max_attempts} pour ${item.recipient}: ${error.message}`);
+  }
+
+  if (result) {
+    // The message was sent: whatever fails now is logged, the item is never put back in the queue
+    try {
+      updated = await updateQueuedMessage(item.id, {
+        status: 'sent',
+        attempts,
+        sent_at: new Date().toISOString(),
+        message_id: result.messageId,
+        conversation_id: result.conversationId,
+        last_error: null
+      });
+      logger.info(`File d'envoi: message ${item.id} envoyé à ${item.recipient}`);
+    } catch (error) {
+      logger.error(`File d'envoi: message ${item.id} envoyé à ${item.recipient} mais statut non enregistré:`, error);
+    }
+  }
+
+  await completeBatchIfDone(batchId);
+  await emitBatchProgress(batchId, updated || { ...claimed, attempts });
+
+  return getSendDelay(settings);
+}
+
+// Function to run one iteration of the worker and schedule the next one
+async function runWorker() {
+  workerTimer = null;
+  processing = true;
+  let nextDelay = POLL_INTERVAL_MS;
+
+  try {
+    nextDelay = await processNextMessage();
+  } catch (error) {
+    logger.error("Erreur de la file d'envoi:", error);
+  } finally {
+    processing = false;
+    if (workerRunning) {
+      scheduleWorker(nextDelay);
+    }
+  }
+}
+
+// Function to schedule the next worker iteration
+function scheduleWorker(delayMs) {
+  if (workerTimer) {
+    clearTimeout(workerTimer);
+  }
+  workerTimer = setTimeout(runWorker, delayMs);
+}
+
+// Function to wake the worker up immediately (new or resumed batch)
+function wakeOutboundQueue() {
+  if (workerRunning && !processing) {
+    scheduleWorker(0);
+  }
+}
+
+// Function to start the queue worker
+async function startOutboundQueue() {
+  if (workerRunning) return;
+  workerRunning = true;
+
+  const requeued = await requeueInterruptedMessages();
+  if (requeued > 0) {
+    logger.info(`File d'envoi: ${requeued} message(s) interrompu(s) remis en file`);
+  }
+
+  logger.info("File d'envoi démarrée");
+  scheduleWorker(0);
+}
+
+// Function to stop the queue worker
+function stopOutboundQueue() {
+  workerRunning = false;
+  if (workerTimer) {
+    clearTimeout(workerTimer);
+    workerTimer = null;
+  }
+}
+
+// Function to create a batch of messages and start sending it
+async function enqueueBatch({ name, userId, settings = {}, messages }) {
+  const batch = await createBatch({
+    name,
+    userId,
+    settings: { ...DEFAULT_BATCH_SETTINGS, ...settings },
+    messages
+  });
+
+  logger.info(`File d'envoi: batch ${batch.id} créé avec ${messages.length} message(s)`);
+  await emitBatchProgress(batch.id);
+  wakeOutboundQueue();
+
+  return getBatch(batch.id);
+}
+
+// Function to change a batch status, checking the transition is allowed
+async function transitionBatch(batchId, allowedFrom, status) {
+  const batch = await getBatch(batchId);
+  if (!batch) {
+    const error = new Error('Batch not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  if (!allowedFrom.includes(batch.status)) {
+    const error = new Error(`Cannot set batch to ${status} while it is ${batch.status}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  await updateBatchStatus(batchId, status);
+  return batch;
+}
+
+// Function to pause a running batch
+async function pauseBatch(batchId) {
+  await transitionBatch(batchId, ['running'], 'paused');
+  await emitBatchProgress(batchId);
+  return getBatch(batchId);
+}
+
+// Function to resume a paused batch
+async function resumeBatch(batchId) {
+  await transitionBatch(batchId, ['paused'], 'running');
+  await emitBatchProgress(batchId);
+  wakeOutboundQueue();
+  return getBatch(batchId);
+}
+
+// Function to cancel a batch: messages not sent yet are dropped
+async function cancelBatch(batchId) {
+  await transitionBatch(batchId, ['running', 'paused'], 'cancelled');
+  await cancelPendingMessages(batchId);
+  await emitBatchProgress(batchId);
+  return getBatch(batchId);
+}
+
+module.exports = {
+  processNextMessage,
+  startOutboundQueue,
+  stopOutboundQueue,
+  wakeOutboundQueue,
+  enqueueBatch,
+  pauseBatch,
+  resumeBatch,
+  cancelBatch,
+};
@@ -1,10 +1,12 @@
 const { supabase } = require('./database');
 const { findOrCreateConversation } = require('../models/conversation');
-const { saveMessage } = require('../models/message');
+const { saveMessages } = require('../models/message');
 const logger = require('../utils/logger');
 
 // Function to save a conversation and its messages from WhatsApp to Supabase
-async function saveConversationToSupabase(conversation) {
+// Idempotent: running it again on the same chat creates no message
+// `userId`: the user syncing their chats, owner of the conversations created
+async function saveConversationToSupabase(conversation, userId = null) {
   try {
     if (!conversation || !conversation.contact || !conversation.contact.number || conversation.contact.isGroup) {
       logger.debug('Conversation ignored (group or missing number):', conversation.chatName);
@@ -15,7 +17,7 @@ async function saveConversationToSupabase(conversation) {
     const phoneNumber = conversation.contact.number;
 
     // Find or create the conversation in Supabase
-    const dbConversation = await findOrCreateConversation(phoneNumber);
+    const dbConversation = await findOrCreateConversation(phoneNumber, null, userId);
 
     if (!dbConversation) {
       logger.error('Could not create conversation for:', phoneNumber);
@@ -31,42 +33,18 @@ async function saveConversationToSupabase(conversation) {
       })
       .eq('id', dbConversation.id);
 
-    // For each message
-    let messagesCreated = 0;
-
-    for (const message of conversation.messages) {
-      // Check if the message already exists
-      const { data: existingMessages, error: existingError } = await supabase
-        .from('messages')
-        .select('id') // Select only ID for existence check
-        .eq('message_id', message.id)
-        .eq('conversation_id', dbConversation.id);
-
-      if (existingError) {
-          logger.error(`Error checking for existing message ${message.id}:`, existingError);
-          // Continue to the next message if check fails
-          continue;
-      }
-
-      if (existingMessages && existingMessages.length > 0) {
-        logger.debug(`Message ${message.id} already exists, skipping.`);
-        continue;
-      }
-
-      // Save the message
-      const savedMessage = await saveMessage(
-        dbConversation.id,
-        message.body,
-        message.isFromMe,
-        message.id, // Use original WhatsApp message ID
-        new Date(message.timestamp * 1000).toISOString(), // Convert timestamp to ISO string
-        dbConversation.user_id // Use the user ID from the DB conversation
-      );
-
-      if (savedMessage) {
-        messagesCreated++;
-      }
-    }
+    // Save the messages in one upsert: the ones already stored (same WhatsApp ID) are skipped
+    const savedMessages = await saveMessages(
+      dbConversation.id,
+      conversation.messages.map(message => ({
+        body: message.body,
+        isFromMe: message.isFromMe,
+        messageId: message.id, // Use original WhatsApp message ID
+        timestamp: new Date(message.timestamp * 1000).toISOString() // Convert timestamp to ISO string
+      })),
+      dbConversation.user_id // Use the user ID from the DB conversation
+    );
+    const messagesCreated = savedMessages.length;
 
     logger.info(`Saved conversation ${dbConversation.id} with ${messagesCreated} new messages.`);
 
@@ -0,0 +1,385 @@
+const sharp = require('sharp');
+const {
+  listActiveVehiclesForDedup,
+  listVehiclesMissingImageHash,
+  setVehicleImageHash,
+  listExclusionKeys,
+  createExclusions,
+  mergeVehicleRecords,
+} = require('../models/vehicleDuplicate');
+const { getVehicleById } = require('../models/vehicle');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+const { fetchPublicUrl } = require('../utils/safeFetch');
+const logger = require('../utils/logger');
+
+// Deduplication engine: the same car is often listed twice (relisted, or on two sites).
+// Vehicles are paired when they share the same image, or the same seller phone and similar
+// characteristics, or near-identical characteristics; the pairs are then grouped into clusters.
+
+// Images hashed per batch, and batches per background run (the others are hashed by the next runs)
+const IMAGE_HASH_BATCH = parseInt(process.env.DEDUP_IMAGE_HASH_BATCH) || 50;
+const IMAGE_HASH_MAX_BATCHES = 20;
+const IMAGE_FETCH_TIMEOUT_MS = 10000;
+const IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+// Differing bits (out of 64) up to which two image hashes show the same photo, recompressed or resized
+const IMAGE_HASH_MAX_DISTANCE = 6;
+// Hex characters per block of the image hash: two photos within the distance share at least one block
+const IMAGE_HASH_BLOCK_SIZE = 2;
+// Minimum characteristics similarity (0..1) with the same phone, and without any other evidence
+const PHONE_MATCH_SIMILARITY = 0.6;
+const ATTRIBUTES_MATCH_SIMILARITY = 0.9;
+
+// Users whose images are being hashed
+const hashingUsers = new Set();
+
+// Spellings of the same make across the sites (normalized)
+const BRAND_ALIASES = {
+  vw: 'volkswagen',
+  'mercedes benz': 'mercedes',
+  'land rover': 'landrover',
+  'alfa romeo': 'alfa',
+};
+
+// Function to normalize a text for comparison (lowercase, no accents, single spaces)
+function normalizeText(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Function to normalize a make ("VW" and "Volkswagen" are the same make)
+function normalizeBrand(brand) {
+  const text = normalizeText(brand);
+  return BRAND_ALIASES[text] || text;
+}
+
+// Function to get the comparable part of a phone number (the last 9 digits: "0470..." = "32470...")
+function phoneKey(phone) {
+  const digits = normalizePhoneNumber(phone || '');
+  return digits.length >= 8 ? digits.slice(-9) : null;
+}
+
+// Function to split a model name into words ("320d Touring" -> 320, d, touring)
+function modelWords(model) {
+  return new Set(normalizeText(model).replace(/(\d)([a-z])/g, '$1 $2').split(' ').filter(Boolean));
+}
+
+// Function to compare two model names by their words (0..1); "Golf" and "Golf 1.5 TSI Life" share "golf"
+function modelSimilarity(a, b) {
+  const wordsA = modelWords(a);
+  const wordsB = modelWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  // Against the shorter name: the sites do not all include the version in the model
+  return shared / Math.min(wordsA.size, wordsB.size);
+}
+
+// Function to compare two mileages (0..1): equal within 1%, nothing in common beyond 10%
+function mileageSimilarity(a, b) {
+  if (!(a > 0) || !(b > 0)) return 0;
+  const gap = Math.abs(a - b) / Math.max(a, b);
+  if (gap <= 0.01 || Math.abs(a - b) <= 500) return 1;
+  return Math.max(0, 1 - gap / 0.1);
+}
+
+// Function to compare the characteristics of two vehicles (0..1, 0 for different makes)
+function attributeSimilarity(a, b) {
+  if (!normalizeBrand(a.brand) || normalizeBrand(a.brand) !== normalizeBrand(b.brand)) return 0;
+  const year = a.year && b.year ? (a.year === b.year ? 1 : Math.abs(a.year - b.year) === 1 ? 0.5 : 0) : 0;
+  return 0.4 * modelSimilarity(a.model, b.model) + 0.3 * year + 0.3 * mileageSimilarity(a.mileage, b.mileage);
+}
+
+// Function to tell whether a stored image hash is a perceptual hash ('' marks an image that failed)
+function isImageHash(hash) {
+  return /^[0-9a-f]{16}$/.test(hash || '');
+}
+
+// Function to count the differing bits of two image hashes (Infinity if one is missing or invalid)
+function imageHashDistance(a, b) {
+  if (!isImageHash(a) || !isImageHash(b)) return Infinity;
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+// Function to decide whether two vehicles are the same car
+// Returns { similarity, reasons: ['image' | 'phone' | 'attributes'] } or null
+function matchVehicles(a, b) {
+  const similarity = attributeSimilarity(a, b);
+  const reasons = [];
+
+  if (imageHashDistance(a.image_hash, b.image_hash) <= IMAGE_HASH_MAX_DISTANCE) {
+    reasons.push('image');
+  }
+  // A dealer lists many cars with the same number: the phone alone is not enough
+  const phone = phoneKey(a.phone);
+  if (phone && phone === phoneKey(b.phone) && similarity >= PHONE_MATCH_SIMILARITY) {
+    reasons.push('phone');
+  }
+  if (similarity >= ATTRIBUTES_MATCH_SIMILARITY) {
+    reasons.push('attributes');
+  }
+
+  return reasons.length > 0 ? { similarity: Math.round(similarity * 100) / 100, reasons } : null;
+}
+
+// Function to build the key of a pair of vehicles (ordered, as stored in vehicle_duplicate_exclusions)
+function pairKey(idA, idB) {
+  return idA < idB ? `${idA}:${idB}` : `${idB}:${idA}`;
+}
+
+// Function to list the candidate pairs: only vehicles that could match are compared
+// - same make and year: the characteristics alone only reach ATTRIBUTES_MATCH_SIMILARITY with the same year
+// - same phone and make: a phone match also needs similar characteristics, which needs the same make
+// - a block of the image hash in common
+function candidatePairs(vehicles) {
+  const blocks = new Map();
+  const addToBlock = (key, vehicle) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(vehicle);
+  };
+
+  for (const vehicle of vehicles) {
+    const brand = normalizeBrand(vehicle.brand);
+    const phone = phoneKey(vehicle.phone);
+    if (brand && vehicle.year) addToBlock(`brand:${brand}:${vehicle.year}`, vehicle);
+    if (brand && phone) addToBlock(`phone:${phone}:${brand}`, vehicle);
+    // Similar images differ by a few bits: 8 blocks of 8 bits, at least one intact within the distance
+    if (isImageHash(vehicle.image_hash)) {
+      for (let i = 0; i < vehicle.image_hash.length; i += IMAGE_HASH_BLOCK_SIZE) {
+        addToBlock(`image:${i}:${vehicle.image_hash.slice(i, i + IMAGE_HASH_BLOCK_SIZE)}`, vehicle);
+      }
+    }
+  }
+
+  const pairs = new Map();
+  for (const block of blocks.values()) {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const key = pairKey(block[i].id, block[j].id);
+        if (!pairs.has(key)) pairs.set(key, [block[i], block[j]]);
+      }
+    }
+  }
+  return pairs;
+}
+
+// Function to pick the vehicle kept by a merge: the contacted one, still listed, with a phone, the oldest
+function suggestSurvivor(vehicles) {
+  const rank = vehicle => [
+    vehicle.contact_status === 'contacted' ? 0 : 1,
+    vehicle.removed_at ? 1 : 0,
+    vehicle.phone ? 0 : 1,
+    new Date(vehicle.created_at).getTime() || 0
+  ];
+  return [...vehicles].sort((a, b) => {
+    const rankA = rank(a);
+    const rankB = rank(b);
+    const index = rankA.findIndex((value, i) => value !== rankB[i]);
+    return index === -1 ? 0 : rankA[index] - rankB[index];
+  })[0];
+}
+
+// Function to group vehicles into duplicate clusters (pairs marked "not a duplicate" are skipped)
+// Returns [{ vehicles, matches: [{ vehicleIds, similarity, reasons }], suggestedSurvivorId }]
+function clusterVehicles(vehicles, excludedPairs = new Set()) {
+  const parent = new Map(vehicles.map(vehicle => [vehicle.id, vehicle.id]));
+  const find = id => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const matches = [];
+  for (const [key, [a, b]] of candidatePairs(vehicles)) {
+    if (excludedPairs.has(key)) continue;
+    const match = matchVehicles(a, b);
+    if (!match) continue;
+    matches.push({ vehicleIds: [a.id, b.id], ...match });
+    parent.set(find(a.id), find(b.id));
+  }
+
+  const clusters = new Map();
+  for (const vehicle of vehicles) {
+    const root = find(vehicle.id);
+    if (!clusters.has(root)) clusters.set(root, { vehicles: [], matches: [] });
+    clusters.get(root).vehicles.push(vehicle);
+  }
+  for (const match of matches) {
+    clusters.get(find(match.vehicleIds[0])).matches.push(match);
+  }
+
+  return [...clusters.values()]
+    .filter(cluster => cluster.vehicles.length > 1)
+    .map(cluster => ({ ...cluster, suggestedSurvivorId: suggestSurvivor(cluster.vehicles).id }))
+    .sort((a, b) => b.vehicles.length - a.vehicles.length);
+}
+
+// Function to compute the perceptual hash (dHash) of an image: 64 bits telling whether each pixel of a 9x8
+// grayscale thumbnail is brighter than its right neighbour, so a recompressed or resized photo keeps its hash
+async function perceptualHash(buffer) {
+  const pixels = await sharp(buffer).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      hash = (hash << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Function to hash a vehicle image (null if it cannot be downloaded or decoded)
+// The URLs come from scraped listings: only public hosts are fetched
+async function hashImage(imageUrl) {
+  try {
+    const { buffer } = await fetchPublicUrl(imageUrl, { maxBytes: IMAGE_MAX_BYTES, timeoutMs: IMAGE_FETCH_TIMEOUT_MS });
+    if (buffer.length === 0) return null;
+    return await perceptualHash(buffer);
+  } catch (error) {
+    logger.debug(`Dédoublonnage: image ignorée (${imageUrl}): ${error.message}`);
+    return null;
+  }
+}
+
+// Function to hash the images of the vehicles of a user that have none yet, a batch at a time
+// An image that cannot be downloaded is stored as '' so it is not retried on every request
+async function hashMissingImages(userId, limit = IMAGE_HASH_BATCH) {
+  const vehicles = await listVehiclesMissingImageHash(userId, limit);
+  for (const vehicle of vehicles) {
+    const imageHash = await hashImage(vehicle.image_url);
+    await setVehicleImageHash(vehicle.id, imageHash || '');
+  }
+  if (vehicles.length > 0) {
+    logger.info(`Dédoublonnage: ${vehicles.length} image(s) analysée(s) pour l'utilisateur ${userId}`);
+  }
+  return vehicles.length;
+}
+
+// Function to hash the missing images of a user in the background (one run at a time per user)
+// Returns false when a run is already in progress
+function startImageHashing(userId) {
+  if (hashingUsers.has(userId)) {
+    return false;
+  }
+  hashingUsers.add(userId);
+
+  (async () => {
+    for (let batch = 0; batch < IMAGE_HASH_MAX_BATCHES; batch++) {
+      if (await hashMissingImages(userId) < IMAGE_HASH_BATCH) break;
+    }
+  })()
+    .catch(error => logger.error(`Dédoublonnage: analyse des images de l'utilisateur ${userId} interrompue:`, error))
+    .finally(() => hashingUsers.delete(userId));
+  return true;
+}
+
+// Function to find the duplicate clusters among the vehicles of a user
+// The images are hashed in the background, not during the request: photo matches show up once hashed
+async function findDuplicateClusters(userId) {
+  startImageHashing(userId);
+  const [vehicles, excludedPairs] = await Promise.all([
+    listActiveVehiclesForDedup(userId),
+    listExclusionKeys(userId)
+  ]);
+  return clusterVehicles(vehicles, excludedPairs);
+}
+
+// Function to compute the survivor fields completed from the duplicates (phone, image, contact...)
+function mergedSurvivorFields(survivor, duplicates) {
+  const updates = {};
+  for (const column of ['phone', 'image_url', 'image_hash', 'seller_type', 'location', 'fuel_type', 'transmission', 'power']) {
+    if (!survivor[column]) {
+      const donor = duplicates.find(vehicle => vehicle[column]);
+      if (donor) updates[column] = donor[column];
+    }
+  }
+
+  // The first contact with the seller may have been made on a duplicate
+  const contacted = [survivor, ...duplicates]
+    .filter(vehicle => vehicle.first_contacted_at)
+    .sort((a, b) => new Date(a.first_contacted_at) - new Date(b.first_contacted_at));
+  if (contacted.length > 0 && contacted[0].id !== survivor.id) {
+    updates.first_contacted_at = contacted[0].first_contacted_at;
+    updates.first_contact_price = contacted[0].first_contact_price;
+  }
+  if (survivor.contact_status !== 'contacted' && duplicates.some(vehicle => vehicle.contact_status === 'contacted')) {
+    updates.contact_status = 'contacted';
+  }
+
+  return updates;
+}
+
+// Function to load vehicles of a user for a merge or an exclusion (404 if one is unknown, 409 if already merged)
+async function loadOwnedVehicles(vehicleIds, userId) {
+  const vehicles = await Promise.all(vehicleIds.map(id => getVehicleById(id)));
+  vehicles.forEach((vehicle, index) => {
+    if (!vehicle || vehicle.user_id !== userId) {
+      const error = new Error(`Vehicle not found: ${vehicleIds[index]}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    if (vehicle.merged_into) {
+      const error = new Error(`Vehicle ${vehicle.id} was already merged`);
+      error.statusCode = 409;
+      throw error;
+    }
+  });
+  return vehicles;
+}
+
+// Function to merge duplicates into the surviving vehicle of a user
+// Returns the surviving vehicle, completed with the fields only the duplicates had
+async function mergeDuplicates(userId, survivorId, duplicateIds) {
+  const ids = [...new Set(duplicateIds)].filter(id => id !== survivorId);
+  if (ids.length === 0) {
+    const error = new Error('At least one duplicate is required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const [survivor, ...duplicates] = await loadOwnedVehicles([survivorId, ...ids], userId);
+  const merged = await mergeVehicleRecords(survivor.id, ids, mergedSurvivorFields(survivor, duplicates));
+  logger.info(`Dédoublonnage: ${ids.length} véhicule(s) fusionné(s) dans ${survivor.id}`);
+  return merged;
+}
+
+// Function to mark vehicles as "not duplicates" of each other (every pair of the list)
+async function excludeDuplicates(userId, vehicleIds) {
+  const ids = [...new Set(vehicleIds)];
+  if (ids.length < 2) {
+    const error = new Error('At least two vehicles are required');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await loadOwnedVehicles(ids, userId);
+  const pairs = [];
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) {
+      pairs.push(pairKey(ids[i], ids[j]).split(':'));
+    }
+  }
+  await createExclusions(userId, pairs);
+}
+
+module.exports = {
+  normalizeBrand,
+  phoneKey,
+  attributeSimilarity,
+  imageHashDistance,
+  perceptualHash,
+  matchVehicles,
+  clusterVehicles,
+  findDuplicateClusters,
+  mergeDuplicates,
+  excludeDuplicates,
+};
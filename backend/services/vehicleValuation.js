@@ -0,0 +1,237 @@
+const {
+  getVehicleForValuation,
+  listComparableVehicles,
+  getValuationByVehicleId,
+  saveValuation,
+  fillContactTargetPrice,
+} = require('../models/vehicleValuation');
+const logger = require('../utils/logger');
+
+// Valuation engine: the market price of a vehicle is estimated from the comparable listings of the
+// vehicles table. The search starts narrow (close years and mileage, same fuel and gearbox) and is
+// widened until enough comparables are found; their prices are adjusted to the year and mileage of the
+// vehicle, outliers removed, and the median with the P25-P75 interval is stored in vehicle_valuations.
+
+// Valuations older than this are computed again when requested
+const VALUATION_TTL_MS = (parseFloat(process.env.VALUATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// Below this number of comparables, no price is estimated
+const MIN_COMPARABLES = 3;
+// A search level is kept as soon as it finds this number of comparables
+const ENOUGH_COMPARABLES = 5;
+// Value lost per year of age, and per 10 000 km
+const YEAR_DEPRECIATION = 0.08;
+const MILEAGE_DEPRECIATION = 0.015;
+
+// Search levels, from the closest comparables to the widest
+const SEARCH_LEVELS = [
+  { level: 1, yearSpan: 1, mileageTolerance: 0.2, sameFuel: true, sameTransmission: true },
+  { level: 2, yearSpan: 2, mileageTolerance: 0.35, sameFuel: true, sameTransmission: false },
+  { level: 3, yearSpan: 3, mileageTolerance: 0.5, sameFuel: false, sameTransmission: false },
+];
+
+// Fuel names across the sites ("Gazole", "Diesel", "D") -> one key
+const FUEL_KEYWORDS = [
+  ['hybride', /hybri/],
+  ['electrique', /electri|^e$|elektro/],
+  ['diesel', /diesel|gazole|gasoil|^d$/],
+  ['gpl', /gpl|lpg|gnv|cng/],
+  ['essence', /essence|benzin|petrol|gasoline|^b$/],
+];
+
+// Function to normalize a fuel name (null if unknown)
+function normalizeFuel(fuel) {
+  const text = String(fuel || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+  if (!text) return null;
+  const match = FUEL_KEYWORDS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : text;
+}
+
+// Function to normalize a gearbox name to 'automatique' | 'manuelle' (null if unknown)
+function normalizeTransmission(transmission) {
+  const text = String(transmission || '').toLowerCase();
+  if (!text) return null;
+  if (/auto|dsg|cvt|^a$/.test(text)) return 'automatique';
+  if (/manu|schalt|^m$/.test(text)) return 'manuelle';
+  return text;
+}
+
+// Function to check whether a listing matches the criteria of a search level
+function matchesLevel(vehicle, comparable, level) {
+  if (vehicle.year && comparable.year && Math.abs(comparable.year - vehicle.year) > level.yearSpan) return false;
+  if (vehicle.mileage > 0) {
+    if (!(comparable.mileage > 0)) return false;
+    if (Math.abs(comparable.mileage - vehicle.mileage) > vehicle.mileage * level.mileageTolerance) return false;
+  }
+  if (level.sameFuel && normalizeFuel(vehicle.fuel_type)
+    && normalizeFuel(comparable.fuel_type) !== normalizeFuel(vehicle.fuel_type)) return false;
+  if (level.sameTransmission && normalizeTransmission(vehicle.transmission)
+    && normalizeTransmission(comparable.transmission) !== normalizeTransmission(vehicle.transmission)) return false;
+  return true;
+}
+
+// Function to bring the price of a comparable to the year and mileage of the valued vehicle
+// (an older or more driven comparable is worth less, so its price is raised, within 0.5x..1.5x)
+function adjustPrice(vehicle, comparable) {
+  let factor = 1;
+  if (vehicle.year && comparable.year) {
+    factor += YEAR_DEPRECIATION * (vehicle.year - comparable.year);
+  }
+  if (vehicle.mileage > 0 && comparable.mileage > 0) {
+    factor += MILEAGE_DEPRECIATION * (comparable.mileage - vehicle.mileage) / 10000;
+  }
+  return Number(comparable.price) * Math.min(1.5, Math.max(0.5, factor));
+}
+
+// Function to get the percentile (0..1) of sorted values, interpolated between two values
+function percentile(sorted, ratio) {
+  const position = (sorted.length - 1) * ratio;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Function to remove the prices beyond 1.5 interquartile ranges (damaged cars, typos)
+function removeOutliers(sorted) {
+  if (sorted.length < 4) return sorted;
+  const q1 = percentile(sorted, 0.25);
+  const q3 = percentile(sorted, 0.75);
+  const margin = (q3 - q1) * 1.5;
+  return sorted.filter(price => price >= q1 - margin && price <= q3 + margin);
+}
+
+// Function to round a price to the nearest 100 €
+function roundPrice(price) {
+  return Math.round(price / 100) * 100;
+}
+
+// Function to rate the confidence of an estimate from the number of comparables, the search level
+// and the spread of the interval
+function getConfidence(count, level, spread) {
+  if (count >= 10 && level === 1 && spread <= 0.15) return 'high';
+  if (count >= ENOUGH_COMPARABLES && level <= 2 && spread <= 0.3) return 'medium';
+  return 'low';
+}
+
+// Function to estimate the market price of a vehicle from a list of listings (no database access)
+// Returns the vehicle_valuations fields; estimated_price is null when there are not enough comparables
+function estimateValue(vehicle, listings) {
+  let selected = { level: null, comparables: [] };
+
+  for (const level of SEARCH_LEVELS) {
+    const comparables = listings.filter(listing => matchesLevel(vehicle, listing, level));
+    if (comparables.length > selected.comparables.length) {
+      selected = { level, comparables };
+    }
+    if (comparables.length >= ENOUGH_COMPARABLES) break;
+  }
+
+  const prices = removeOutliers(selected.comparables.map(comparable => adjustPrice(vehicle, comparable)).sort((a, b) => a - b));
+  const askingPrice = vehicle.price != null ? Number(vehicle.price) : null;
+  const criteria = selected.level && {
+    level: selected.level.level,
+    years: vehicle.year ? [vehicle.year - selected.level.yearSpan, vehicle.year + selected.level.yearSpan] : null,
+    mileageTolerance: vehicle.mileage > 0 ? selected.level.mileageTolerance : null,
+    fuel: selected.level.sameFuel ? normalizeFuel(vehicle.fuel_type) : null,
+    transmission: selected.level.sameTransmission ? normalizeTransmission(vehicle.transmission) : null,
+  };
+
+  if (prices.length < MIN_COMPARABLES) {
+    return {
+      estimated_price: null,
+      price_low: null,
+      price_high: null,
+      target_price: null,
+      confidence: 'none',
+      comparables_count: prices.length,
+      criteria: { ...criteria, askingPrice },
+    };
+  }
+
+  const estimatedPrice = roundPrice(percentile(prices, 0.5));
+  const priceLow = roundPrice(percentile(prices, 0.25));
+  const priceHigh = roundPrice(percentile(prices, 0.75));
+
+  return {
+    estimated_price: estimatedPrice,
+    price_low: priceLow,
+    price_high: priceHigh,
+    // The low end of the market, never above what the seller asks
+    target_price: askingPrice ? Math.min(priceLow, askingPrice) : priceLow,
+    confidence: getConfidence(prices.length, selected.level.level, (priceHigh - priceLow) / estimatedPrice),
+    comparables_count: prices.length,
+    criteria: { ...criteria, askingPrice },
+  };
+}
+
+// Function to compute and store the valuation of a vehicle
+async function computeVehicleValuation(vehicle) {
+  const listings = vehicle.brand && vehicle.model
+    ? await listComparableVehicles(vehicle, SEARCH_LEVELS[SEARCH_LEVELS.length - 1].yearSpan)
+    : [];
+
+  const valuation = await saveValuation({
+    vehicle_id: vehicle.id,
+    user_id: vehicle.user_id,
+    ...estimateValue(vehicle, listings),
+    computed_at: new Date().toISOString(),
+  });
+
+  if (valuation.target_price != null) {
+    await fillContactTargetPrice(vehicle.id, valuation.target_price);
+  }
+
+  logger.info(`Valuation of vehicle ${vehicle.id}: ${valuation.estimated_price ?? '-'} € (${valuation.comparables_count} comparables, ${valuation.confidence})`);
+  return valuation;
+}
+
+// Function to check whether a stored valuation can still be used (recent, and same asking price)
+function isValuationFresh(valuation, vehicle) {
+  if (!valuation) return false;
+  const askingPrice = vehicle.price != null ? Number(vehicle.price) : null;
+  if ((valuation.criteria?.askingPrice ?? null) !== askingPrice) return false;
+  return Date.now() - new Date(valuation.computed_at).getTime() < VALUATION_TTL_MS;
+}
+
+// Function to get the valuation of a vehicle (row or id), computed again when stale or when `refresh` is set
+async function getVehicleValuation(vehicleOrId, { refresh = false } = {}) {
+  const vehicle = typeof vehicleOrId === 'object' ? vehicleOrId : await getVehicleForValuation(vehicleOrId);
+  if (!vehicle) {
+    const error = new Error('Vehicle not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!refresh) {
+    const stored = await getValuationByVehicleId(vehicle.id);
+    if (isValuationFresh(stored, vehicle)) return stored;
+  }
+
+  return computeVehicleValuation(vehicle);
+}
+
+const CONFIDENCE_LABELS = { high: 'élevée', medium: 'moyenne', low: 'faible' };
+
+// Function to describe a valuation for the AI system prompt (null when there is no estimate)
+function buildValuationPrompt(valuation) {
+  if (!valuation || valuation.estimated_price == null) return null;
+
+  const askingPrice = valuation.criteria?.askingPrice;
+  const lines = [
+    `💶 ESTIMATION DU MARCHÉ (confidentiel, ne jamais communiquer ces chiffres au vendeur):`,
+    `- Valeur estimée: ${valuation.estimated_price} € (fourchette ${valuation.price_low} € - ${valuation.price_high} €, ${valuation.comparables_count} annonces comparables, confiance ${CONFIDENCE_LABELS[valuation.confidence]})`,
+    `- Prix cible pour la négociation: ${valuation.target_price} €`,
+  ];
+  if (askingPrice) {
+    const gap = Math.round(((askingPrice - valuation.estimated_price) / valuation.estimated_price) * 100);
+    lines.push(`- Prix demandé: ${askingPrice} € (${gap > 0 ? '+' : ''}${gap}% par rapport au marché)`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  normalizeFuel,
+  normalizeTransmission,
+  estimateValue,
+  getVehicleValuation,
+  buildValuationPrompt,
+};
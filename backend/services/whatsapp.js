@@ -1,4 +1,7 @@
 const qrcode = require('qrcode-terminal');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
 // Import whatsapp-web.js only when needed to avoid module-level initialization
 let Client, LocalAuth;
 const { getPuppeteerOptions, getSessionDirectory } = require('../config/puppeteer');
@@ -9,56 +12,38 @@ const { getPuppeteerOptions, getSessionDirectory } = require('../config/puppetee
 // const { detectPriceOffer, createPriceOfferInDB } = require('../models/priceoffer');
 // const { shouldAutoRespond, generateAIResponseWithHistory } = require('./aiResponse');
 const { normalizePhoneNumber } = require('../utils/phoneNumber');
+const { emitToUser } = require('../utils/socketRooms');
 const logger = require('../utils/logger');
-const { handleIncomingMessage, handleOutgoingMessage } = require('../handlers/messageHandler'); // Import the new handler
 
-let qrCodeData = '';
-let whatsappClient = null;
-let socketIo = null;
+// Several WhatsApp accounts can be connected at the same time: every session has its own
+// whatsapp-web.js client, stored by LocalAuth under its clientId. The default session keeps
+// the historical clientId so existing installs do not have to scan the QR code again.
+const DEFAULT_SESSION_ID = 'whatsapp-api';
 
-// Tracker pour les messages envoyés via l'API (pour éviter la duplication)
-let recentApiMessages = [];
+const sessions = new Map();
+let sessionDirectoryCleaned = false;
 
-function addApiMessage(to, body) {
-  const message = {
-    to,
-    body,
-    timestamp: Date.now()
-  };
-  recentApiMessages.push(message);
-  
-  // Nettoyer les anciens messages (garder seulement les 2 dernières minutes)
-  const twoMinutesAgo = Date.now() - (2 * 60 * 1000);
-  recentApiMessages = recentApiMessages.filter(msg => msg.timestamp > twoMinutesAgo);
-}
-
-function getRecentApiMessages() {
-  // Nettoyer les anciens messages à chaque appel
-  const twoMinutesAgo = Date.now() - (2 * 60 * 1000);
-  recentApiMessages = recentApiMessages.filter(msg => msg.timestamp > twoMinutesAgo);
-  return recentApiMessages;
-} // Store the Socket.IO instance
-
-async function initializeWhatsAppClient(io) {
-  // Import whatsapp-web.js only when actually initializing to avoid module-level Chrome detection
+// Function to load whatsapp-web.js only when a client is actually created (avoids module-level Chrome detection)
+function loadWhatsAppWeb() {
   if (!Client || !LocalAuth) {
     const whatsappWeb = require('whatsapp-web.js');
     Client = whatsappWeb.Client;
     LocalAuth = whatsappWeb.LocalAuth;
   }
+}
 
-  socketIo = io; // Store the Socket.IO instance
+// Function to format a recipient as a WhatsApp chat ID
+function toChatId(to) {
+  const normalized = normalizePhoneNumber(to);
+  return normalized.includes('@c.us') ? normalized : `${normalized}@c.us`;
+}
 
-  // Configuration du client WhatsApp
-  const puppeteerOptions = getPuppeteerOptions();
+// Function to prepare the shared session directory (cleaned once per process in Docker)
+function prepareSessionDirectory() {
   const sessionDirectory = getSessionDirectory();
 
-  // Ensure session directory exists and clean it in Docker
-  const fs = require('fs');
-  const path = require('path');
-  
   // Clean session directory in Docker to avoid profile conflicts
-  if (process.env.DOCKER_ENV === 'true' && fs.existsSync(sessionDirectory)) {
+  if (process.env.DOCKER_ENV === 'true' && !sessionDirectoryCleaned && fs.existsSync(sessionDirectory)) {
     try {
       fs.rmSync(sessionDirectory, { recursive: true, force: true });
       logger.info('Cleaned session directory for Docker environment');
@@ -66,6 +51,8 @@ async function initializeWhatsAppClient(io) {
       logger.warn('Could not clean session directory:', error.message);
     }
   }
+  sessionDirectoryCleaned = true;
+
   if (!fs.existsSync(sessionDirectory)) {
       try {
           fs.mkdirSync(sessionDirectory, { recursive: true });
@@ -75,184 +62,519 @@ async function initializeWhatsAppClient(io) {
       }
   }
 
-  // For Docker environment, use NoAuth strategy with fresh profile every time
-  if (process.env.DOCKER_ENV === 'true') {
-    // Force un profil Chrome temporaire unique pour éviter les conflits de verrouillage
-    const dockerPuppeteerOptions = {
-      ...puppeteerOptions,
-      userDataDir: `/tmp/chrome-${Date.now()}-${Math.random().toString(36).substring(7)}`,
-      args: [
-        ...puppeteerOptions.args,
-        '--disable-web-security',
-        '--disable-features=VizDisplayCompositor',
-        '--single-process',
-        '--no-sandbox',
-        '--disable-setuid-sandbox'
-      ]
-    };
-    
-    logger.info(`Docker: Using temporary Chrome profile: ${dockerPuppeteerOptions.userDataDir}`);
-    
-    whatsappClient = new Client({
-      puppeteer: dockerPuppeteerOptions
-    });
-  } else {
-    // For non-Docker environments, use LocalAuth without userDataDir in puppeteer
-    const cleanPuppeteerOptions = { ...puppeteerOptions };
-    delete cleanPuppeteerOptions.userDataDir;
-    
-    whatsappClient = new Client({
-      authStrategy: new LocalAuth({
-        clientId: "whatsapp-api",
-        dataPath: sessionDirectory
-      }),
-      puppeteer: cleanPuppeteerOptions
-    });
+  return sessionDirectory;
+}
+
+// Function to create a WhatsApp session (one phone number) identified by its LocalAuth clientId
+// `userId` is the owner of the session (null for the default session, shared by every user)
+function createWhatsAppSession(clientId, { userId = null } = {}) {
+  // Raw client events, consumed by the WhatsApp channel adapter (services/channels/whatsappAdapter.js)
+  const events = new EventEmitter();
+
+  let qrCodeData = '';
+  let whatsappClient = null;
+  let socketIo = null; // Store the Socket.IO instance
+
+  // Messages envoyés via l'API, reconnus par leur ID WhatsApp dans 'message_create' (pour éviter la duplication)
+  const apiMessageIds = new Map(); // WhatsApp ID -> sent at
+  const pendingApiSends = new Set(); // Sends not resolved yet
+
+  // Health of the session, reported by getHealth() and watched by services/whatsappSupervisor.js
+  // state: 'idle' (never started) | 'initializing' | 'qr' | 'connected' | 'disconnected' | 'auth_failure' | 'stopped'
+  const health = {
+    state: 'idle',
+    stateSince: Date.now(),
+    connectedAt: null,
+    lastDisconnect: null, // { reason, at }
+    lastMessageReceivedAt: null,
+    lastMessageSentAt: null,
+    restarts: 0,
+    lastRestart: null,    // { reason, at }
+    lastError: null
+  };
+
+  // Function to change the state of the session
+  function setState(state) {
+    if (health.state !== state) {
+      health.state = state;
+      health.stateSince = Date.now();
+    }
   }
 
-  // Gestionnaire d'événement QR code
-  whatsappClient.on('qr', (qr) => {
-    qrcode.generate(qr, { small: true });
-    qrCodeData = qr;
-    logger.info('New QR code generated. Scan it with WhatsApp on your phone.');
-    if (socketIo) {
-      socketIo.emit('qr_code_updated', { qrcode: qr });
+  // Function to send through the API while recording the ID of the created message
+  // WhatsApp may emit 'message_create' before the send resolves: isApiMessage() waits for the pending
+  // sends before deciding (not only those of the chat: the recipient may be addressed by another ID)
+  async function trackApiSend(send) {
+    const promise = send();
+    pendingApiSends.add(promise);
+
+    try {
+      const sentMessage = await promise;
+      if (sentMessage && sentMessage.id) {
+        apiMessageIds.set(sentMessage.id._serialized, Date.now());
+      }
+      return sentMessage;
+    } finally {
+      pendingApiSends.delete(promise);
+
+      // Nettoyer les anciens IDs (garder seulement les 10 dernières minutes)
+      const tenMinutesAgo = Date.now() - (10 * 60 * 1000);
+      for (const [id, sentAt] of apiMessageIds) {
+        if (sentAt < tenMinutesAgo) apiMessageIds.delete(id);
+      }
     }
-  });
-
-  // Gestionnaire d'événement ready
-  whatsappClient.on('ready', () => {
-    logger.info('WhatsApp client is ready!');
-    logger.info('Client Info on Ready:', whatsappClient.info);
-    if (socketIo) {
-      socketIo.emit('whatsapp_status_change', { status: 'connected', info: whatsappClient.info });
+  }
+
+  // Function to tell whether a message created in WhatsApp was sent through the API
+  async function isApiMessage(msg) {
+    const id = msg.id && msg.id._serialized;
+    if (apiMessageIds.has(id)) return true;
+
+    if (pendingApiSends.size > 0) {
+      await Promise.allSettled([...pendingApiSends]);
     }
-  });
-
-  // Gestionnaire d'événement authenticated
-  whatsappClient.on('authenticated', (session) => {
-      logger.info('WhatsApp client authenticated!');
-      // Session information is automatically saved by LocalAuth
-  });
-
-  // Gestionnaire d'événement auth_failure
-  whatsappClient.on('auth_failure', msg => {
-      logger.error('AUTHENTICATION FAILURE', msg);
-      if (socketIo) {
-        socketIo.emit('whatsapp_status_change', { status: 'auth_failure', message: msg });
+    return apiMessageIds.has(id);
+  }
+
+  // Function to push an event to the dashboard, tagged with the session it comes from
+  // Only the owner is notified of the QR code and status of their own session
+  function emitToClients(event, payload) {
+    if (!socketIo) return;
+    if (userId) {
+      emitToUser(socketIo, userId, event, { ...payload, session: clientId });
+    } else {
+      socketIo.emit(event, { ...payload, session: clientId });
+    }
+  }
+
+  // Function to check the client can send, throws otherwise
+  function assertReady() {
+    if (!whatsappClient || !whatsappClient.info) {
+      throw new Error(`WhatsApp session "${clientId}" is not ready`);
+    }
+  }
+
+  async function initialize(io) {
+    loadWhatsAppWeb();
+
+    socketIo = io;
+    setState('initializing');
+
+    // Configuration du client WhatsApp
+    const puppeteerOptions = getPuppeteerOptions();
+    const sessionDirectory = prepareSessionDirectory();
+
+    // For Docker environment, use NoAuth strategy with fresh profile every time
+    if (process.env.DOCKER_ENV === 'true') {
+      // Force un profil Chrome temporaire unique pour éviter les conflits de verrouillage
+      const dockerPuppeteerOptions = {
+        ...puppeteerOptions,
+        userDataDir: `/tmp/chrome-${clientId}-${Date.now()}-${Math.random().toString(36).substring(7)}`,
+        args: [
+          ...puppeteerOptions.args,
+          '--disable-web-security',
+          '--disable-features=VizDisplayCompositor',
+          '--single-process',
+          '--no-sandbox',
+          '--disable-setuid-sandbox'
+        ]
+      };
+
+      logger.info(`Docker: Using temporary Chrome profile: ${dockerPuppeteerOptions.userDataDir}`);
+
+      whatsappClient = new Client({
+        puppeteer: dockerPuppeteerOptions
+      });
+    } else {
+      // For non-Docker environments, use LocalAuth without userDataDir in puppeteer
+      const cleanPuppeteerOptions = { ...puppeteerOptions };
+      delete cleanPuppeteerOptions.userDataDir;
+
+      whatsappClient = new Client({
+        authStrategy: new LocalAuth({
+          clientId,
+          dataPath: sessionDirectory
+        }),
+        puppeteer: cleanPuppeteerOptions
+      });
+    }
+
+    // Gestionnaire d'événement QR code
+    whatsappClient.on('qr', (qr) => {
+      qrcode.generate(qr, { small: true });
+      qrCodeData = qr;
+      setState('qr');
+      logger.info(`[${clientId}] New QR code generated. Scan it with WhatsApp on your phone.`);
+      emitToClients('qr_code_updated', { qrcode: qr });
+    });
+
+    // Gestionnaire d'événement ready
+    whatsappClient.on('ready', () => {
+      qrCodeData = '';
+      setState('connected');
+      health.connectedAt = Date.now();
+      health.lastError = null;
+      logger.info(`[${clientId}] WhatsApp client is ready!`);
+      logger.info('Client Info on Ready:', whatsappClient.info);
+      emitToClients('whatsapp_status_change', { status: 'connected', info: whatsappClient.info });
+      events.emit('ready', whatsappClient.info);
+    });
+
+    // Gestionnaire d'événement authenticated
+    whatsappClient.on('authenticated', (session) => {
+        logger.info(`[${clientId}] WhatsApp client authenticated!`);
+        // Session information is automatically saved by LocalAuth
+    });
+
+    // Gestionnaire d'événement auth_failure
+    whatsappClient.on('auth_failure', msg => {
+        logger.error(`[${clientId}] AUTHENTICATION FAILURE`, msg);
+        setState('auth_failure');
+        health.lastDisconnect = { reason: 'auth_failure', at: Date.now() };
+        emitToClients('whatsapp_status_change', { status: 'auth_failure', message: msg });
+        events.emit('disconnected', 'auth_failure');
+    });
+
+    // Gestionnaire d'événement disconnected
+    whatsappClient.on('disconnected', (reason) => {
+        logger.info(`[${clientId}] WhatsApp client disconnected:`, reason);
+        // A logout or deletion from the app keeps the session stopped
+        if (health.state !== 'stopped') {
+          setState('disconnected');
+        }
+        health.connectedAt = null;
+        health.lastDisconnect = { reason, at: Date.now() };
+        emitToClients('whatsapp_status_change', { status: 'disconnected', reason: reason });
+        // The supervisor restarts the client (services/whatsappSupervisor.js)
+        events.emit('disconnected', reason);
+    });
+
+    // Gestionnaire de messages entrants
+    whatsappClient.on('message', (msg) => {
+      health.lastMessageReceivedAt = Date.now();
+      // Forward to the channel adapter, which runs the message pipeline
+      events.emit('message', msg);
+    });
+
+    // Accusés de réception des messages envoyés (envoyé, distribué, lu)
+    whatsappClient.on('message_ack', (msg, ack) => {
+      events.emit('message_ack', msg, ack);
+    });
+
+    // Message modifié par son expéditeur (contact, ou nous depuis le téléphone)
+    whatsappClient.on('message_edit', (msg, newBody, prevBody) => {
+      events.emit('message_edit', msg, newBody, prevBody);
+    });
+
+    // Message supprimé pour tout le monde: `msg` garde l'ID du message d'origine
+    whatsappClient.on('message_revoke_everyone', (msg) => {
+      events.emit('message_revoke', msg);
+    });
+
+    // Réaction ajoutée, changée ou retirée (emoji vide) sur un message
+    whatsappClient.on('message_reaction', (reaction) => {
+      events.emit('message_reaction', reaction);
+    });
+
+    // Gestionnaire pour TOUS les messages (entrants ET sortants)
+    whatsappClient.on('message_create', (msg) => {
+      // Ignorer les messages de statut et les messages système
+      if (msg.type === 'e2e_notification' || msg.type === 'notification_template') {
+        return;
+      }
+
+      // IGNORER les messages entrants (déjà gérés par l'événement 'message')
+      if (!msg.fromMe) {
+        return;
       }
-      // Consider restarting or prompting for re-authentication
-  });
-
-  // Gestionnaire d'événement disconnected
-  whatsappClient.on('disconnected', (reason) => {
-      logger.info('WhatsApp client disconnected:', reason);
-      if (socketIo) {
-        socketIo.emit('whatsapp_status_change', { status: 'disconnected', reason: reason });
+
+      // Si c'est un message sortant (que vous avez envoyé depuis WhatsApp Web/téléphone)
+      if (msg.fromMe && msg.to !== 'status@broadcast') {
+        // Les messages envoyés via l'API sont enregistrés par l'appelant: les reconnaître par leur ID
+        isApiMessage(msg).then((isFromApi) => {
+          if (!isFromApi) {
+            logger.info(`[${clientId}] Outgoing message detected from WhatsApp Web/Phone:`, msg.body);
+            events.emit('outgoing_message', msg);
+          } else {
+            logger.info(`[${clientId}] Outgoing message ignored (sent via API):`, msg.body);
+          }
+        });
       }
-      // Consider restarting the client
-      // client.initialize(); // Auto-reconnect attempt
-  });
-
-  // Gestionnaire de messages entrants
-  whatsappClient.on('message', async (msg) => {
-    // Call the dedicated message handler, passing the client instance
-    await handleIncomingMessage(msg, whatsappClient);
-  });
-
-  // Gestionnaire pour TOUS les messages (entrants ET sortants)
-  whatsappClient.on('message_create', async (msg) => {
-    // Ignorer les messages de statut et les messages système
-    if (msg.type === 'e2e_notification' || msg.type === 'notification_template') {
-      return;
+      // Les messages entrants sont déjà gérés par l'événement 'message'
+    });
+
+    // Initialiser le client
+    try {
+      await whatsappClient.initialize();
+    } catch (error) {
+      setState('disconnected');
+      health.lastError = error.message;
+      throw error;
     }
 
-    // IGNORER les messages entrants (déjà gérés par l'événement 'message')
-    if (!msg.fromMe) {
-      return;
+    return whatsappClient;
+  }
+
+  // Function to restart the client (stuck page, lost connection); the stored credentials are kept,
+  // so a linked phone reconnects without scanning the QR code again
+  async function restart(reason) {
+    logger.warn(`[${clientId}] Restarting WhatsApp client (${reason})`);
+    health.restarts++;
+    health.lastRestart = { reason, at: Date.now() };
+
+    if (whatsappClient) {
+      const client = whatsappClient;
+      whatsappClient = null;
+      client.removeAllListeners();
+      try {
+        await client.destroy();
+      } catch (error) {
+        logger.warn(`[${clientId}] Error destroying WhatsApp client: ${error.message}`);
+      }
     }
+    qrCodeData = '';
+    emitToClients('whatsapp_status_change', { status: 'reconnecting', reason });
 
-    // Si c'est un message sortant (que vous avez envoyé depuis WhatsApp Web/téléphone)
-    if (msg.fromMe && msg.to !== 'status@broadcast') {
-      // VÉRIFIER SI LE MESSAGE A ÉTÉ ENVOYÉ VIA L'API
-      // Si le message a été envoyé dans les 30 dernières secondes via sendWhatsAppMessage,
-      // alors ne pas le traiter ici pour éviter la duplication
-      const recentApiMessages = getRecentApiMessages();
-      const isFromApi = recentApiMessages.some(apiMsg => {
-        const timeDiff = Math.abs(apiMsg.timestamp - (msg.timestamp * 1000));
-        const sameRecipient = apiMsg.to === msg.to;
-        const sameContent = apiMsg.body === msg.body;
-        
-        logger.debug(`Checking API message: timeDiff=${timeDiff}ms, sameRecipient=${sameRecipient}, sameContent=${sameContent}`);
-        
-        return timeDiff < 30000 && sameRecipient && sameContent; // 30 secondes
+    return initialize(socketIo);
+  }
+
+  // Function to check the Puppeteer page still answers: resolves to { ok, state, error }
+  // `state` is the WhatsApp Web state ('CONNECTED', 'TIMEOUT', 'CONFLICT', 'UNPAIRED'...)
+  async function probe(timeoutMs = 15000) {
+    const client = whatsappClient;
+    if (!client || !client.pupPage || client.pupPage.isClosed()) {
+      return { ok: false, state: null, error: 'Page closed' };
+    }
+
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer from the page after ${timeoutMs} ms`)), timeoutMs);
       });
-      
-      if (!isFromApi) {
-        logger.info('Outgoing message detected from WhatsApp Web/Phone:', msg.body);
-        await handleOutgoingMessage(msg, whatsappClient);
-      } else {
-        logger.info('Outgoing message ignored (sent via API):', msg.body);
-      }
+      const state = await Promise.race([client.getState(), timeout]);
+      return { ok: state === 'CONNECTED', state, error: null };
+    } catch (error) {
+      return { ok: false, state: null, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Function to report the health of the session (timestamps in milliseconds)
+  function getHealth() {
+    return {
+      ...health,
+      uptime: health.connectedAt ? Date.now() - health.connectedAt : 0
+    };
+  }
+
+  // Function to send a WhatsApp message
+  async function sendMessage(to, message) {
+    assertReady();
+
+    if (!to || !message) {
+      throw new Error('Recipient and message are required');
     }
-    // Les messages entrants sont déjà gérés par l'événement 'message'
-  });
 
-  // Initialiser le client
-  await whatsappClient.initialize();
+    // Format the number for WhatsApp
+    const chatId = toChatId(to);
 
-  return whatsappClient;
-}
+    logger.info(`[${clientId}] Attempting to send message to ${chatId}: "${message}"`);
 
-// Function to send a WhatsApp message
-async function sendWhatsAppMessage(to, message, vehicleId, userId) {
-  if (!whatsappClient || !whatsappClient.info) {
-    throw new Error('WhatsApp client is not ready');
+    // Send the message via WhatsApp
+    const sentMessage = await trackApiSend(() => whatsappClient.sendMessage(chatId, message));
+    health.lastMessageSentAt = Date.now();
+    logger.info('Message sent via WhatsApp client. Result:', sentMessage);
+
+    return sentMessage;
   }
 
-  if (!to || !message) {
-    throw new Error('Recipient and message are required');
+  // Function to send a media ({ data: base64, mimetype, filename }) with an optional caption
+  async function sendMedia(to, media, caption = '') {
+    assertReady();
+
+    if (!to || !media || !media.data) {
+      throw new Error('Recipient and media are required');
+    }
+
+    const { MessageMedia } = require('whatsapp-web.js');
+    const chatId = toChatId(to);
+
+    logger.info(`[${clientId}] Attempting to send media to ${chatId}: ${media.mimetype} ${media.filename || ''}`);
+
+    const messageMedia = new MessageMedia(media.mimetype, media.data, media.filename || null);
+    const options = { caption: caption || undefined };
+    // Documents keep their file name instead of being rendered as an image/video preview
+    if (!/^(image|video|audio)\//.test(media.mimetype)) {
+      options.sendMediaAsDocument = true;
+    }
+
+    return trackApiSend(() => whatsappClient.sendMessage(chatId, messageMedia, options));
   }
 
-  // Format the number for WhatsApp
-  const chatId = normalizePhoneNumber(to).includes('@c.us') ? normalizePhoneNumber(to) : `${normalizePhoneNumber(to)}@c.us`;
+  // Function to send a location pin
+  async function sendLocation(to, { latitude, longitude, name, address }) {
+    assertReady();
 
-  logger.info(`Attempting to send message to ${chatId}: "${message}"`);
-  
-  // Enregistrer le message dans le tracker AVANT l'envoi
-  addApiMessage(chatId, message);
-  
-  // Send the message via WhatsApp
-  const sentMessage = await whatsappClient.sendMessage(chatId, message);
-  logger.info('Message sent via WhatsApp client. Result:', sentMessage);
+    const { Location } = require('whatsapp-web.js');
+    const chatId = toChatId(to);
 
-  // We will save this message to DB and emit via WebSocket later
-  // when we have access to Supabase service and Socket.IO instance
+    logger.info(`[${clientId}] Attempting to send location to ${chatId}: ${latitude},${longitude}`);
 
-  return sentMessage;
-}
+    const location = new Location(latitude, longitude, { name: name || undefined, address: address || undefined });
+    return trackApiSend(() => whatsappClient.sendMessage(chatId, location));
+  }
+
+  // Function to show or clear "typing…" in a chat (WhatsApp drops it after 25 seconds or when a message is sent)
+  async function setTyping(to, typing = true) {
+    assertReady();
+    const chat = await whatsappClient.getChatById(toChatId(to));
+    return typing ? chat.sendStateTyping() : chat.clearState();
+  }
+
+  // Function to receive the online / typing state of a contact as 'presence' events ({ chatId, isOnline, state })
+  // whatsapp-web.js has no presence event: the presence model of WhatsApp Web is observed in the page
+  async function subscribePresence(to) {
+    assertReady();
+    const page = whatsappClient.pupPage;
+
+    const exposed = await page.evaluate(() => Boolean(window.onPresenceChangedEvent));
+    if (!exposed) {
+      await page.exposeFunction('onPresenceChangedEvent', (presence) => events.emit('presence', presence));
+    }
+
+    return page.evaluate(async (chatId) => {
+      const { PresenceCollection } = window.require('WAWebPresenceCollection');
+      const wid = window.Store.WidFactory.createWid(chatId);
+      const presence = PresenceCollection.get(wid) || await PresenceCollection.find(wid);
+      if (!presence) {
+        return false;
+      }
+
+      if (!presence.__presenceObserved) {
+        presence.__presenceObserved = true;
+        const notify = () => window.onPresenceChangedEvent({
+          chatId,
+          isOnline: Boolean(presence.isOnline),
+          state: (presence.chatstate && presence.chatstate.type) || null
+        });
+        presence.on('change:isOnline', notify);
+        if (presence.chatstate) {
+          presence.chatstate.on('change:type', notify);
+        }
+      }
+
+      await presence.subscribe();
+      return true;
+    }, toChatId(to));
+  }
+
+  // Function to get the session status
+  function getStatus() {
+    return {
+      status: whatsappClient && whatsappClient.info ? 'connected' : 'disconnected',
+      info: whatsappClient ? whatsappClient.info : null
+    };
+  }
+
+  // Function to get the pending QR code
+  function getQRCode() {
+    return qrCodeData;
+  }
+
+  // Function to unlink the phone: WhatsApp forgets the device and LocalAuth deletes the stored credentials
+  async function logout() {
+    if (!whatsappClient) {
+      return;
+    }
+    setState('stopped');
+    if (whatsappClient.info) {
+      await whatsappClient.logout();
+    } else {
+      await whatsappClient.destroy();
+    }
+    whatsappClient = null;
+    qrCodeData = '';
+    health.connectedAt = null;
+    logger.info(`[${clientId}] WhatsApp session logged out`);
+    emitToClients('whatsapp_status_change', { status: 'disconnected', reason: 'logout' });
+  }
+
+  // Function to stop the client; removeData also deletes the stored credentials of the session
+  async function destroy({ removeData = false } = {}) {
+    setState('stopped');
+    if (whatsappClient) {
+      try {
+        await whatsappClient.destroy();
+      } catch (error) {
+        logger.warn(`[${clientId}] Error destroying WhatsApp client: ${error.message}`);
+      }
+      whatsappClient = null;
+    }
+    qrCodeData = '';
+
+    if (removeData) {
+      const sessionPath = path.join(getSessionDirectory(), `session-${clientId}`);
+      fs.rmSync(sessionPath, { recursive: true, force: true });
+      logger.info(`[${clientId}] Session data removed: ${sessionPath}`);
+    }
+
+    sessions.delete(clientId);
+    events.removeAllListeners();
+    emitToClients('whatsapp_status_change', { status: 'disconnected', reason: 'deleted' });
+  }
 
-// Function to get WhatsApp status
-function getWhatsAppStatus() {
   return {
-    status: whatsappClient && whatsappClient.info ? 'connected' : 'disconnected',
-    info: whatsappClient ? whatsappClient.info : null
+    id: clientId,
+    events,
+    initialize,
+    getClient: () => whatsappClient,
+    getStatus,
+    getHealth,
+    restart,
+    probe,
+    getQRCode,
+    sendMessage,
+    sendMedia,
+    sendLocation,
+    setTyping,
+    subscribePresence,
+    logout,
+    destroy,
+    isApiMessage
   };
 }
 
-// Function to get QR code
-function getQRCode() {
-  return qrCodeData;
+// Function to get a session, created on first use (`options` are those of createWhatsAppSession)
+function getWhatsAppSession(clientId = DEFAULT_SESSION_ID, options = {}) {
+  if (!/^[\w-]+$/.test(clientId)) {
+    throw new Error(`Invalid WhatsApp session id: ${clientId}`);
+  }
+  if (!sessions.has(clientId)) {
+    sessions.set(clientId, createWhatsAppSession(clientId, options));
+  }
+  return sessions.get(clientId);
+}
+
+// Function to list the sessions created in this process
+function listWhatsAppSessions() {
+  return [...sessions.values()];
 }
 
+// The functions below act on the default session, as before multi-account support
+const defaultSession = getWhatsAppSession(DEFAULT_SESSION_ID);
+
 // Exporter les fonctions nécessaires
 module.exports = {
-  initializeWhatsAppClient,
-  getWhatsAppClient: () => whatsappClient,
-  getQRCode,
-  getWhatsAppStatus,
-  sendWhatsAppMessage,
-  addApiMessage,
-  getRecentApiMessages
-  // handleIncomingMessage // Will be exported or called internally later
+  DEFAULT_SESSION_ID,
+  getWhatsAppSession,
+  listWhatsAppSessions,
+  initializeWhatsAppClient: (io) => defaultSession.initialize(io),
+  getWhatsAppClient: (clientId = DEFAULT_SESSION_ID) => (sessions.has(clientId) ? sessions.get(clientId).getClient() : null),
+  getQRCode: () => defaultSession.getQRCode(),
+  getWhatsAppStatus: () => defaultSession.getStatus(),
+  sendWhatsAppMessage: (to, message) => defaultSession.sendMessage(to, message),
+  sendWhatsAppMedia: (to, media, caption) => defaultSession.sendMedia(to, media, caption),
+  sendWhatsAppLocation: (to, location) => defaultSession.sendLocation(to, location),
+  whatsappEvents: defaultSession.events
 };
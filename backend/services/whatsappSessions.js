@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { getWhatsAppSession } = require('./whatsapp');
+const { createWhatsAppAdapter } = require('./channels/whatsappAdapter');
+const {
+  DEFAULT_CHANNEL,
+  registerChannel,
+  unregisterChannel,
+  getChannelForUser,
+  listChannels,
+} = require('./channels');
+const {
+  createSessionRecord,
+  listSessionRecords,
+  updateSessionRecord,
+  deleteSessionRecord,
+} = require('../models/whatsappSession');
+const { io } = require('../config/server');
+const logger = require('../utils/logger');
+
+// Named WhatsApp sessions: every buyer links their own phone. A session is a whatsapp-web.js client
+// (services/whatsapp.js) registered as a channel whose name is the LocalAuth clientId, owned by its user.
+// The default 'whatsapp' channel stays shared by every user.
+
+const DEFAULT_SESSION_LABEL = 'Numéro principal';
+
+// Function to register a session as a channel and keep its record in sync with the phone status
+function registerSessionChannel(record) {
+  const session = getWhatsAppSession(record.id, { userId: record.user_id });
+  const adapter = registerChannel(createWhatsAppAdapter({ name: record.id, session, userId: record.user_id }));
+
+  session.events.on('ready', (info) => {
+    updateSessionRecord(record.id, {
+      status: 'connected',
+      phone_number: info && info.wid ? info.wid.user : null
+    });
+  });
+
+  session.events.on('disconnected', () => {
+    updateSessionRecord(record.id, { status: 'disconnected' });
+  });
+
+  return adapter;
+}
+
+// Function to start the client of a session in the background (the QR code comes through 'qr_code_updated')
+function startSession(adapter) {
+  adapter.initialize(io).catch(error => {
+    logger.error(`Failed to initialize WhatsApp session ${adapter.name}:`, error);
+  });
+}
+
+// Function to register and start the sessions recorded in the database (called at startup)
+// In Docker the clients are not started, like the default session (see index.js)
+async function loadWhatsAppSessions() {
+  const records = await listSessionRecords();
+  for (const record of records) {
+    const adapter = registerSessionChannel(record);
+    if (process.env.DOCKER_ENV !== 'true') {
+      startSession(adapter);
+    }
+  }
+  if (records.length > 0) {
+    logger.info(`${records.length} session(s) WhatsApp chargée(s)`);
+  }
+}
+
+// Function to tell whether a user may unlink the phone of the shared default session
+// Only its owner (DEFAULT_OWNER_USER_ID) can: for anyone else it would cut the number of the whole team
+function canManageDefaultSession(userId) {
+  return Boolean(process.env.DEFAULT_OWNER_USER_ID) && userId === process.env.DEFAULT_OWNER_USER_ID;
+}
+
+// Function to describe a session channel for the API, as seen by `userId`
+function formatSession(channel, record = null, userId = null) {
+  const info = channel.info || null;
+  return {
+    id: channel.name,
+    label: record ? record.label : DEFAULT_SESSION_LABEL,
+    isDefault: channel.isDefault,
+    userId: channel.userId,
+    status: channel.status,
+    phoneNumber: (info && info.wid && info.wid.user) || (record && record.phone_number) || null,
+    canLogout: !channel.isDefault || canManageDefaultSession(userId),
+    createdAt: record ? record.created_at : null
+  };
+}
+
+// Function to list the sessions a user can send from: the default one and their own
+async function listSessions(userId) {
+  const records = await listSessionRecords(userId);
+  const recordsById = new Map(records.map(record => [record.id, record]));
+
+  return listChannels(userId)
+    .filter(channel => channel.type === 'whatsapp')
+    .map(channel => formatSession(channel, recordsById.get(channel.name), userId));
+}
+
+// Function to get a session of the user as a channel (404 if unknown or owned by someone else)
+function getSessionForUser(sessionId, userId) {
+  const channel = getChannelForUser(sessionId, userId);
+  if (channel.type !== 'whatsapp') {
+    const error = new Error(`Unknown WhatsApp session: ${sessionId}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return channel;
+}
+
+// Function to create a session for a user and start it; the phone is linked by scanning its QR code
+async function createSession({ label, userId }) {
+  const id = `wa-${crypto.randomBytes(6).toString('hex')}`;
+  const record = await createSessionRecord({ id, label, userId });
+
+  const adapter = registerSessionChannel(record);
+  startSession(adapter);
+  logger.success(`Session WhatsApp ${id} créée (${label})`);
+
+  return formatSession(listChannels(userId).find(channel => channel.name === id), record, userId);
+}
+
+// Function to unlink the phone of a session; the client restarts with a new QR code to link another phone
+async function logoutSession(sessionId, userId) {
+  const channel = getSessionForUser(sessionId, userId);
+  if ((channel.name === DEFAULT_CHANNEL || !channel.userId) && !canManageDefaultSession(userId)) {
+    const error = new Error('Only the owner of the default WhatsApp session can log it out');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  await channel.logout();
+  if (channel.name !== DEFAULT_CHANNEL) {
+    await updateSessionRecord(channel.name, { status: 'pending', phone_number: null });
+  }
+  startSession(channel);
+  logger.info(`Session WhatsApp ${sessionId} déconnectée`);
+}
+
+// Function to delete a session: the client is stopped and its stored credentials removed
+async function deleteSession(sessionId, userId) {
+  const channel = getSessionForUser(sessionId, userId);
+  if (channel.name === DEFAULT_CHANNEL || !channel.userId) {
+    const error = new Error('The default WhatsApp session cannot be deleted');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  await channel.destroy({ removeData: true });
+  unregisterChannel(channel.name);
+  await deleteSessionRecord(channel.name);
+  logger.info(`Session WhatsApp ${sessionId} supprimée`);
+}
+
+module.exports = {
+  loadWhatsAppSessions,
+  listSessions,
+  getSessionForUser,
+  createSession,
+  logoutSession,
+  deleteSession,
+};
@@ -0,0 +1,240 @@
+const { listWhatsAppSessions } = require('./whatsapp');
+const { getChannel, listChannels } = require('./channels');
+const logger = require('../utils/logger');
+
+// Supervisor of the WhatsApp sessions (services/whatsapp.js): a disconnected client is restarted with an
+// exponential backoff, and the Puppeteer page of a connected client is probed periodically so that a stuck
+// page (no answer, closed, state other than CONNECTED) is restarted too. Sessions never started (Docker),
+// waiting for their QR code to be scanned or stopped from the app (logout, deletion) are left alone.
+
+const CHECK_INTERVAL_MS = (parseInt(process.env.WHATSAPP_HEALTH_CHECK_INTERVAL_S) || 60) * 1000;
+// Delay before a restart doubles after each failed attempt: 5s, 10s, 20s... up to 5 minutes
+const RECONNECT_BASE_DELAY_MS = (parseInt(process.env.WHATSAPP_RECONNECT_BASE_DELAY_S) || 5) * 1000;
+const RECONNECT_MAX_DELAY_MS = (parseInt(process.env.WHATSAPP_RECONNECT_MAX_DELAY_S) || 300) * 1000;
+// A client still starting after this delay is restarted
+const INIT_TIMEOUT_MS = (parseInt(process.env.WHATSAPP_INIT_TIMEOUT_S) || 180) * 1000;
+const PROBE_TIMEOUT_MS = 15000;
+// Failed probes in a row before a connected page is considered stuck
+const MAX_FAILED_PROBES = 2;
+
+// Session id -> { attempts, timer, nextAttemptAt, restarting, failedProbes, lastCheck }
+const supervised = new Map();
+let checkTimer = null;
+let checkBusy = false;
+
+// Function to compute the delay before the next restart attempt
+function getReconnectDelay(attempts) {
+  return Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+// Function to check a session is still registered (not deleted from the app)
+function isLive(session) {
+  return listWhatsAppSessions().includes(session);
+}
+
+// Function to restart a session now; a failed restart schedules the next attempt
+async function restartSession(session, reason) {
+  const entry = supervised.get(session.id);
+  entry.timer = null;
+  entry.nextAttemptAt = null;
+  if (!isLive(session) || session.getHealth().state === 'stopped') {
+    return;
+  }
+
+  entry.restarting = true;
+  try {
+    await session.restart(reason);
+    entry.restarting = false;
+  } catch (error) {
+    entry.restarting = false;
+    logger.error(`[${session.id}] Redémarrage WhatsApp en échec (tentative ${entry.attempts}): ${error.message}`);
+    scheduleRestart(session, `restart failed: ${error.message}`);
+  }
+}
+
+// Function to schedule the restart of a session after the backoff delay
+function scheduleRestart(session, reason) {
+  const entry = watchSession(session);
+  if (entry.timer || entry.restarting || session.getHealth().state === 'stopped') {
+    return;
+  }
+
+  entry.attempts++;
+  const delay = getReconnectDelay(entry.attempts);
+  entry.nextAttemptAt = Date.now() + delay;
+  logger.info(`[${session.id}] Reconnexion WhatsApp dans ${Math.round(delay / 1000)}s (tentative ${entry.attempts}, ${reason})`);
+  entry.timer = setTimeout(() => restartSession(session, reason), delay);
+}
+
+// Function to start supervising a session (once per session)
+function watchSession(session) {
+  if (supervised.has(session.id)) {
+    return supervised.get(session.id);
+  }
+
+  const entry = { attempts: 0, timer: null, nextAttemptAt: null, restarting: false, failedProbes: 0, lastCheck: null };
+  supervised.set(session.id, entry);
+
+  session.events.on('ready', () => {
+    if (entry.attempts > 0) {
+      logger.success(`[${session.id}] WhatsApp reconnecté après ${entry.attempts} tentative(s)`);
+    }
+    // Connected again on its own: the pending restart is dropped
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.nextAttemptAt = null;
+    entry.attempts = 0;
+    entry.failedProbes = 0;
+  });
+
+  session.events.on('disconnected', (reason) => {
+    scheduleRestart(session, `disconnected: ${reason}`);
+  });
+
+  return entry;
+}
+
+// Function to check one session and schedule its restart when it is down or stuck
+async function checkSession(session) {
+  const entry = watchSession(session);
+  if (entry.timer || entry.restarting) return;
+
+  const health = session.getHealth();
+  switch (health.state) {
+    case 'connected': {
+      const result = await session.probe(PROBE_TIMEOUT_MS);
+      entry.lastCheck = { at: Date.now(), ok: result.ok, state: result.state, error: result.error };
+      if (result.ok) {
+        entry.failedProbes = 0;
+        return;
+      }
+      entry.failedProbes++;
+      logger.warn(`[${session.id}] Page WhatsApp sans réponse (${entry.failedProbes}/${MAX_FAILED_PROBES}): ${result.error || result.state}`);
+      if (entry.failedProbes >= MAX_FAILED_PROBES) {
+        entry.failedProbes = 0;
+        scheduleRestart(session, `stuck page: ${result.error || result.state}`);
+      }
+      return;
+    }
+    case 'initializing':
+      if (Date.now() - health.stateSince > INIT_TIMEOUT_MS) {
+        scheduleRestart(session, 'initialization timeout');
+      }
+      return;
+    case 'disconnected':
+    case 'auth_failure':
+      // Missed event, or first start failed
+      scheduleRestart(session, health.lastError || health.state);
+      return;
+    default:
+      // 'idle', 'qr', 'stopped': nothing to do
+  }
+}
+
+// Function to check every session
+async function checkSessions() {
+  if (checkBusy) return;
+  checkBusy = true;
+
+  try {
+    const sessions = listWhatsAppSessions();
+    for (const session of sessions) {
+      try {
+        await checkSession(session);
+      } catch (error) {
+        logger.error(`[${session.id}] Erreur de supervision WhatsApp:`, error);
+      }
+    }
+
+    // Forget the deleted sessions
+    const ids = new Set(sessions.map(session => session.id));
+    for (const [id, entry] of supervised) {
+      if (!ids.has(id)) {
+        clearTimeout(entry.timer);
+        supervised.delete(id);
+      }
+    }
+  } finally {
+    checkBusy = false;
+  }
+}
+
+// Function to start the supervisor
+function startWhatsAppSupervisor() {
+  if (checkTimer) return;
+  listWhatsAppSessions().forEach(watchSession);
+  checkTimer = setInterval(checkSessions, CHECK_INTERVAL_MS);
+  logger.info('Supervision des sessions WhatsApp démarrée');
+}
+
+// Function to stop the supervisor and the pending restarts
+function stopWhatsAppSupervisor() {
+  if (checkTimer) {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  }
+  for (const entry of supervised.values()) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.nextAttemptAt = null;
+  }
+}
+
+// Function to format a timestamp in milliseconds for the API
+function toISO(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+// Function to report the health of the WhatsApp sessions a user can see (the default one and their own)
+// status: 'healthy' when every session is connected, 'degraded' when some are, 'down' when none is
+function getWhatsAppHealth(userId = null) {
+  const sessions = listChannels(userId)
+    .filter(channel => channel.type === 'whatsapp')
+    .map(({ name, isDefault }) => {
+      const adapter = getChannel(name);
+      const health = adapter.getHealth();
+      const entry = supervised.get(adapter.sessionId) || {};
+      return {
+        id: name,
+        isDefault,
+        state: entry.restarting ? 'reconnecting' : health.state,
+        stateSince: toISO(health.stateSince),
+        connectedAt: toISO(health.connectedAt),
+        uptimeSeconds: Math.round(health.uptime / 1000),
+        lastMessageReceivedAt: toISO(health.lastMessageReceivedAt),
+        lastMessageSentAt: toISO(health.lastMessageSentAt),
+        lastDisconnect: health.lastDisconnect
+          ? { reason: String(health.lastDisconnect.reason), at: toISO(health.lastDisconnect.at) }
+          : null,
+        restarts: health.restarts,
+        lastRestart: health.lastRestart ? { reason: health.lastRestart.reason, at: toISO(health.lastRestart.at) } : null,
+        lastError: health.lastError,
+        reconnectAttempts: entry.attempts || 0,
+        nextReconnectAt: toISO(entry.nextAttemptAt),
+        lastCheck: entry.lastCheck ? { ...entry.lastCheck, at: toISO(entry.lastCheck.at) } : null
+      };
+    });
+
+  const connected = sessions.filter(session => session.state === 'connected').length;
+  let status = 'down';
+  if (sessions.length > 0 && connected === sessions.length) {
+    status = 'healthy';
+  } else if (connected > 0) {
+    status = 'degraded';
+  }
+
+  return {
+    status,
+    serverUptimeSeconds: Math.round(process.uptime()),
+    supervisor: { running: Boolean(checkTimer), checkIntervalSeconds: CHECK_INTERVAL_MS / 1000 },
+    sessions
+  };
+}
+
+module.exports = {
+  getReconnectDelay,
+  startWhatsAppSupervisor,
+  stopWhatsAppSupervisor,
+  checkSessions,
+  getWhatsAppHealth,
+};
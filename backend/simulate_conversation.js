@@ -1,6 +1,7 @@
 const { findOrCreateConversation } = require('./models/conversation');
 const { handleIncomingMessage } = require('./handlers/messageHandler');
 const logger = require('./utils/logger');
+const { createMemoryAdapter } = require('./services/channels/memoryAdapter');
 
 // Configuration du simulateur
 const DEMO_CONFIG = {
@@ -9,46 +10,24 @@ const DEMO_CONFIG = {
   userId: 'demo-user-123' // ID utilisateur fictif
 };
 
-// Simulateur de client WhatsApp (pour remplacer whatsappClient)
-const mockWhatsAppClient = {
-  sendMessage: async (to, message) => {
-    logger.info(`[DEMO] 🤖 Réponse IA simulée envoyée à ${to}: "${message}"`);
-    
-    // Simuler un message envoyé avec un ID fictif
-    const mockSentMessage = {
-      id: {
-        _serialized: `demo_ai_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-      }
-    };
-    
-    return mockSentMessage;
-  },
-  
-  info: {
-    wid: 'demo_bot@c.us'
-  }
-};
+// Canal en mémoire pour remplacer le client WhatsApp (les réponses IA y sont enregistrées)
+const demoChannel = createMemoryAdapter('demo', { selfAddress: 'demo_bot@c.us' });
+
+demoChannel.on('sent', (message) => {
+  logger.info(`[DEMO] 🤖 Réponse IA simulée envoyée à ${message.to}: "${message.body}"`);
+});
 
 // Fonction pour simuler un message entrant
 async function simulateIncomingMessage(messageText) {
   logger.section('SIMULATION MESSAGE ENTRANT');
   logger.info(`[DEMO] 📱 Simulation message de ${DEMO_CONFIG.phoneNumber}: "${messageText}"`);
   
-  // Créer un objet message fictif au format WhatsApp
-  const mockMessage = {
-    id: {
-      _serialized: `demo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-    },
-    from: DEMO_CONFIG.phoneNumber,
-    to: 'demo_bot@c.us',
-    body: messageText,
-    timestamp: Math.floor(Date.now() / 1000),
-    type: 'chat'
-  };
+  // Enregistrer le message entrant dans le canal de démo
+  const incomingMessage = demoChannel.receive(DEMO_CONFIG.phoneNumber, messageText);
   
   try {
     // Traiter le message avec le handler existant
-    await handleIncomingMessage(mockMessage, mockWhatsAppClient);
+    await handleIncomingMessage(incomingMessage, demoChannel);
     logger.info(`[DEMO] ✅ Message traité avec succès`);
   } catch (error) {
     logger.error(`[DEMO] ❌ Erreur lors du traitement:`, error);
@@ -0,0 +1,88 @@
+// Authentification (middleware/auth.js): clé d'API de API_KEYS, jeton de session Supabase (client auth
+// simulé sur la base en mémoire, appels comptés pour le cache) et poignée de main Socket.IO.
+process.env.API_KEYS = 'cle-script:user-1, cle:avec:deux-points:user-2,sans-utilisateur';
+const assert = require('assert');
+const { useMemorySupabase } = require('./utils/memorySupabase');
+
+const database = useMemorySupabase();
+const TOKENS = { 'jeton-valide': { id: 'user-3', email: 'vendeur@example.com' } };
+let getUserCalls = 0;
+database.auth = {
+  getUser: async (token) => {
+    getUserCalls++;
+    return TOKENS[token]
+      ? { data: { user: TOKENS[token] }, error: null }
+      : { data: { user: null }, error: new Error('invalid JWT') };
+  }
+};
+
+const { authenticate, authenticateSocket } = require('./middleware/auth');
+const { runChecks } = require('./utils/runChecks');
+
+// Function to run the Express middleware on a request with these headers; resolves { user, error }
+const request = (headers) => new Promise((resolve) => {
+  const req = { headers };
+  authenticate(req, {}, (error) => resolve({ user: req.user, error }));
+});
+
+// Function to run the Socket.IO middleware on a handshake; resolves { user, error }
+const connect = (handshake) => new Promise((resolve) => {
+  const socket = { id: 'socket-1', handshake: { auth: {}, headers: {}, ...handshake } };
+  authenticateSocket(socket, (error) => resolve({ user: socket.user, error }));
+});
+
+const checks = {
+  'clé d\'API: utilisateur de la clé, séparateur au dernier deux-points': async () => {
+    let { user, error } = await request({ 'x-api-key': 'cle-script' });
+    assert.strictEqual(error, undefined);
+    assert.deepStrictEqual(user, { id: 'user-1', email: null, authMethod: 'api_key' });
+
+    ({ user } = await request({ 'x-api-key': 'cle:avec:deux-points' }));
+    assert.strictEqual(user.id, 'user-2');
+  },
+
+  'clé d\'API inconnue ou sans utilisateur: 401': async () => {
+    for (const key of ['cle-inconnue', 'sans-utilisateur', 'cle-scrip']) {
+      const { user, error } = await request({ 'x-api-key': key });
+      assert.strictEqual(user, undefined);
+      assert.strictEqual(error.statusCode, 401);
+      assert.strictEqual(error.message, 'Invalid API key');
+    }
+  },
+
+  'jeton Bearer valide: utilisateur Supabase, vérifié une seule fois grâce au cache': async () => {
+    const first = await request({ authorization: 'Bearer jeton-valide' });
+    assert.deepStrictEqual(first.user, { id: 'user-3', email: 'vendeur@example.com', authMethod: 'jwt' });
+
+    const second = await request({ authorization: 'bearer   jeton-valide ' });
+    assert.strictEqual(second.user.id, 'user-3');
+    assert.strictEqual(getUserCalls, 1);
+  },
+
+  'jeton invalide ou requête anonyme: 401': async () => {
+    let { error } = await request({ authorization: 'Bearer jeton-expire' });
+    assert.strictEqual(error.statusCode, 401);
+    assert.strictEqual(error.message, 'Invalid or expired token');
+
+    ({ error } = await request({ authorization: 'Basic dXNlcjpwYXNz' }));
+    assert.strictEqual(error.message, 'Authentication required');
+
+    ({ error } = await request({}));
+    assert.strictEqual(error.statusCode, 401);
+  },
+
+  'Socket.IO: identifiants de la poignée de main ou de ses en-têtes, sinon connexion refusée': async () => {
+    let { user, error } = await connect({ auth: { token: 'jeton-valide' } });
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(user.id, 'user-3');
+
+    ({ user } = await connect({ headers: { 'x-api-key': 'cle-script' } }));
+    assert.strictEqual(user.authMethod, 'api_key');
+
+    ({ user, error } = await connect({ auth: { apiKey: 'cle-inconnue' } }));
+    assert.strictEqual(user, undefined);
+    assert.strictEqual(error.statusCode, 401);
+  },
+};
+
+runChecks(checks);
@@ -0,0 +1,95 @@
+// Campagnes d'envoi groupé (services/campaigns.js, models/campaign.js): rendu du modèle, un message par
+// vendeur et réponses comptées au-delà de la limite de 1000 lignes de l'API (base de données en mémoire).
+const assert = require('assert');
+const { useMemorySupabase } = require('./utils/memorySupabase');
+
+const database = useMemorySupabase();
+
+const { renderTemplate, buildCampaignMessages, previewCampaign } = require('./services/campaigns');
+const { getIncomingMessageTimes } = require('./models/campaign');
+const { runChecks } = require('./utils/runChecks');
+
+const vehicle = (fields) => ({
+  id: `vehicle-${Math.random().toString(36).slice(2)}`,
+  brand: 'Renault',
+  model: 'Clio',
+  price: 8900,
+  year: 2017,
+  phone: '33611111111',
+  ...fields,
+});
+
+const checks = {
+  'modèle: variables et alias français, variables inconnues laissées telles quelles': () => {
+    const rendered = renderTemplate(
+      'Bonjour, votre {{ brand }} {{modele}} de {{annee}} à {{prix}} € ({{mileage}} km) {{ inconnue }}',
+      vehicle({ mileage: null })
+    );
+    assert.strictEqual(rendered, 'Bonjour, votre Renault Clio de 2017 à 8900 € ( km) {{ inconnue }}');
+  },
+
+  'un seul message par vendeur, annonces sans téléphone ignorées': () => {
+    const vehicles = [
+      vehicle({ id: 'a', phone: '+33 6 11 11 11 11' }),
+      vehicle({ id: 'b', phone: '33611111111', model: 'Captur' }),
+      vehicle({ id: 'c', phone: null }),
+      vehicle({ id: 'd', phone: '33622222222' }),
+    ];
+    const messages = buildCampaignMessages('{{model}}', vehicles);
+    assert.deepStrictEqual(messages, [
+      { number: '33611111111', message: 'Clio', vehicleId: 'a' },
+      { number: '33622222222', message: 'Clio', vehicleId: 'd' },
+    ]);
+  },
+
+  'avoidDuplicates: deux messages consécutifs jamais identiques': () => {
+    const vehicles = ['33611111111', '33622222222', '33633333333'].map(phone => vehicle({ phone }));
+    const messages = buildCampaignMessages('Toujours disponible ?', vehicles, { avoidDuplicates: true });
+    messages.slice(1).forEach((message, index) => assert.notStrictEqual(message.message, messages[index].message));
+
+    const shuffled = buildCampaignMessages('{{brand}}', vehicles, { randomizeOrder: true });
+    assert.deepStrictEqual(shuffled.map(message => message.number).sort(), vehicles.map(item => item.phone).sort());
+  },
+
+  'réponses des vendeurs: toutes comptées au-delà de 1000 lignes et de 100 conversations': async () => {
+    const since = '2025-03-01T00:00:00.000Z';
+    const conversationIds = Array.from({ length: 150 }, (_, index) => `conv-${index}`);
+    for (const conversationId of conversationIds) {
+      const rows = Array.from({ length: 8 }, (_, index) => ({
+        conversation_id: conversationId,
+        is_from_me: false,
+        timestamp: new Date(Date.parse(since) + (index + 1) * 60000).toISOString(),
+      }));
+      // Messages envoyés et réponses antérieures à la campagne: ignorés
+      rows.push({ conversation_id: conversationId, is_from_me: true, timestamp: '2025-03-02T00:00:00.000Z' });
+      rows.push({ conversation_id: conversationId, is_from_me: false, timestamp: '2025-02-01T00:00:00.000Z' });
+      await database.from('messages').insert(rows);
+    }
+
+    const times = await getIncomingMessageTimes([...conversationIds, 'conv-0'], since);
+    assert.strictEqual(Object.keys(times).length, 150);
+    assert.ok(Object.values(times).every(replies => replies.length === 8));
+    assert.strictEqual(times['conv-149'][0] >= Date.parse(since), true);
+  },
+
+  'campagne de plus de 1000 vendeurs: tous les véhicules du filtre, IDs choisis par paquets': async () => {
+    const vehicles = Array.from({ length: 1200 }, (_, index) => vehicle({
+      id: `listing-${index}`,
+      user_id: 'user-1',
+      merged_into: null,
+      phone: `3361${String(index).padStart(7, '0')}`,
+      created_at: new Date(Date.parse('2025-01-01T00:00:00.000Z') + index * 60000).toISOString(),
+    }));
+    await database.from('vehicles').insert(vehicles);
+
+    const preview = await previewCampaign('{{brand}}', { userId: 'user-1' });
+    assert.strictEqual(preview.recipients, 1200);
+
+    const chosen = vehicles.filter((_, index) => index % 4 === 0).map(item => item.id);
+    const selected = await previewCampaign('{{brand}}', { userId: 'user-1', vehicleIds: chosen });
+    assert.strictEqual(selected.recipients, 300);
+    assert.strictEqual(selected.samples[0].vehicleId, 'listing-1196', 'le plus récent d\'abord');
+  },
+};
+
+runChecks(checks);
@@ -1,7 +1,7 @@
 const { io } = require('socket.io-client');
 
 console.log('🔌 Connexion au serveur WebSocket pour monitoring continu...');
-const socket = io('http://localhost:3001');
+const socket = io('http://localhost:3001', { auth: { apiKey: process.env.API_KEY } }); // API_KEY: une clé de API_KEYS
 
 socket.on('connect', () => {
   console.log('✅ Connecté au serveur WebSocket!');
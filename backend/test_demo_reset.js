@@ -33,6 +33,7 @@ async function testDemoReset() {
       method: 'DELETE',
       headers: {
         'Content-Type': 'application/json',
+        'X-API-Key': process.env.API_KEY, // une clé de API_KEYS
       }
     });
     
@@ -56,7 +57,9 @@ async function testDemoReset() {
     console.log('\n✅ ÉTAPE 5: Validation...');
     
     // Vérifier via API que l'état est bien "active"
-    const stateResponse = await fetch('http://localhost:3001/api/demo-conversation-state');
+    const stateResponse = await fetch('http://localhost:3001/api/demo-conversation-state', {
+      headers: { 'X-API-Key': process.env.API_KEY }
+    });
     const stateData = await stateResponse.json();
     
     if (stateData.exists && stateData.state === 'active') {
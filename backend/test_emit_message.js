@@ -1,7 +1,7 @@
 const { io } = require('socket.io-client');
 
 // Se connecter au serveur existant
-const socket = io('http://localhost:3001');
+const socket = io('http://localhost:3001', { auth: { apiKey: process.env.API_KEY } }); // API_KEY: une clé de API_KEYS
 
 // Simuler un message entrant
 const testMessage = {
@@ -0,0 +1,119 @@
+// Faits extraits des messages des vendeurs (services/factExtraction), avec le fournisseur simulé à la place de l'API.
+const assert = require('assert');
+const { createMockProvider } = require('./services/factExtraction/mockProvider');
+const { extractFacts, parseExtractionResponse, mergeFacts, buildExtractionMessages } = require('./services/factExtraction');
+const { runChecks } = require('./utils/runChecks');
+
+// Réponses du modèle simulé pour chaque message
+const provider = createMockProvider({
+  'Elle a en fait 142 000 km, pas 124 000 comme sur l\'annonce': {
+    facts: { mileage: { value: 142000, confidence: 0.95, excerpt: 'Elle a en fait 142 000 km' } }
+  },
+  'Carnet complet chez Peugeot, 2 propriétaires, jamais accidentée': `\`\`\`json
+{"facts": {
+  "serviceHistory": {"value": "complete", "details": "entretien chez Peugeot", "confidence": 0.9},
+  "owners": {"value": 2, "confidence": 0.9},
+  "accident": {"value": false, "confidence": 0.85, "excerpt": "jamais accidentée"}
+}}
+\`\`\``,
+  'Vous pouvez passer samedi matin ou dimanche après 14h': 'Voici les informations: {"facts": {"viewingAvailability": {"value": "samedi matin ou dimanche après 14h", "confidence": 0.8}}}',
+  'Petit accrochage réparé, je crois': { facts: { accident: { value: 'oui', details: 'accrochage réparé', confidence: 0.5 } } },
+  'Elle roule très bien': 'pas de JSON',
+  'Kilométrage 98.000': { facts: { mileage: { value: '98.000 km', confidence: 0.9 }, color: { value: 'rouge' } } },
+  'Plus de factures': { facts: { serviceHistory: { value: 'aucun', confidence: 0.8 }, owners: { value: 0 } } },
+});
+
+const vehicle = { brand: 'Peugeot', model: '308', year: 2018, mileage: 124000 };
+
+const checks = {
+  'correction du kilométrage': async () => {
+    const facts = await extractFacts("Elle a en fait 142 000 km, pas 124 000 comme sur l'annonce", { vehicle, provider });
+    assert.deepStrictEqual(Object.keys(facts), ['mileage']);
+    assert.strictEqual(facts.mileage.value, 142000);
+    assert.strictEqual(facts.mileage.excerpt, 'Elle a en fait 142 000 km');
+  },
+
+  'plusieurs informations dans un bloc de code': async () => {
+    const facts = await extractFacts('Carnet complet chez Peugeot, 2 propriétaires, jamais accidentée', { vehicle, provider });
+    assert.strictEqual(facts.serviceHistory.value, 'complete');
+    assert.strictEqual(facts.serviceHistory.details, 'entretien chez Peugeot');
+    assert.strictEqual(facts.owners.value, 2);
+    assert.strictEqual(facts.accident.value, false);
+  },
+
+  'texte autour du JSON': async () => {
+    const facts = await extractFacts('Vous pouvez passer samedi matin ou dimanche après 14h', { vehicle, provider });
+    assert.strictEqual(facts.viewingAvailability.value, 'samedi matin ou dimanche après 14h');
+  },
+
+  'confiance trop faible ignorée': async () => {
+    assert.deepStrictEqual(await extractFacts('Petit accrochage réparé, je crois', { vehicle, provider }), {});
+  },
+
+  'réponse illisible': async () => {
+    assert.deepStrictEqual(await extractFacts('Elle roule très bien', { vehicle, provider }), {});
+  },
+
+  'valeurs normalisées, types inconnus et valeurs invalides ignorés': async () => {
+    const mileage = await extractFacts('Kilométrage 98.000', { vehicle, provider });
+    assert.deepStrictEqual(Object.keys(mileage), ['mileage']);
+    assert.strictEqual(mileage.mileage.value, 98000);
+
+    const history = await extractFacts('Plus de factures', { vehicle, provider });
+    assert.deepStrictEqual(Object.keys(history), ['serviceHistory']);
+    assert.strictEqual(history.serviceHistory.value, 'none');
+  },
+
+  'message sans réponse prévue': async () => {
+    assert.deepStrictEqual(await extractFacts('Bonjour, toujours dispo ?', { vehicle, provider }), {});
+  },
+
+  'messages trop courts non envoyés au modèle': async () => {
+    const calls = provider.calls.length;
+    assert.deepStrictEqual(await extractFacts('ok', { vehicle, provider }), {});
+    assert.strictEqual(provider.calls.length, calls);
+  },
+
+  'erreur du fournisseur propagée': async () => {
+    const failing = createMockProvider(() => new Error('API indisponible'));
+    await assert.rejects(extractFacts('Carnet complet', { provider: failing }), /API indisponible/);
+  },
+
+  "annonce et message dans le prompt": async () => {
+    const messages = buildExtractionMessages('2 propriétaires', vehicle);
+    assert.strictEqual(messages[0].role, 'system');
+    assert.ok(messages[1].content.includes('Peugeot 308 2018, 124000 km annoncés'));
+    assert.ok(messages[1].content.includes('2 propriétaires'));
+    assert.ok(buildExtractionMessages('2 propriétaires')[1].content.includes('Annonce: inconnue'));
+  },
+
+  'réponses sans objet facts': async () => {
+    assert.deepStrictEqual(parseExtractionResponse('{"mileage": 12000}'), {});
+    assert.deepStrictEqual(parseExtractionResponse(''), {});
+    assert.deepStrictEqual(parseExtractionResponse('{"facts": {"owners": 3}}').owners.value, 3);
+  },
+
+  'fusion: une correction remplace la valeur et garde la précédente': async () => {
+    const first = mergeFacts({}, { mileage: { value: 124000, confidence: 0.9 } }, { messageId: 'm1' });
+    assert.deepStrictEqual(first.updated, ['mileage']);
+    assert.strictEqual(first.facts.mileage.previousValue, null);
+
+    const second = mergeFacts(first.facts, {
+      mileage: { value: 142000, confidence: 0.95 },
+      owners: { value: 2, confidence: 0.9 },
+    }, { messageId: 'm2' });
+    assert.deepStrictEqual(second.updated, ['mileage', 'owners']);
+    assert.strictEqual(second.facts.mileage.value, 142000);
+    assert.strictEqual(second.facts.mileage.previousValue, 124000);
+    assert.strictEqual(second.facts.mileage.messageId, 'm2');
+  },
+
+  'fusion: une valeur répétée ne change rien': async () => {
+    const stored = mergeFacts({}, { owners: { value: 2, confidence: 0.9 } }, { messageId: 'm1' }).facts;
+    const again = mergeFacts(stored, { owners: { value: 2, confidence: 1 } }, { messageId: 'm3' });
+    assert.deepStrictEqual(again.updated, []);
+    assert.strictEqual(again.facts.owners.messageId, 'm1');
+  },
+};
+
+runChecks(checks);
@@ -0,0 +1,57 @@
+// Séquences de relance (services/followUps.js): validation des étapes et date de début d'une séquence.
+const assert = require('assert');
+const { DEFAULT_FOLLOWUP_STEPS, normalizeSteps, getSequenceStart } = require('./services/followUps');
+const { runChecks } = require('./utils/runChecks');
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = Date.parse('2025-03-01T10:00:00Z');
+const row = (status, delayHours) => ({
+  status,
+  delay_hours: delayHours,
+  due_at: new Date(start + delayHours * HOUR_MS).toISOString(),
+});
+
+const checks = {
+  'séquence par défaut J+1, J+3, J+7': () => {
+    assert.deepStrictEqual(normalizeSteps(DEFAULT_FOLLOWUP_STEPS).map(step => step.delayHours), [24, 72, 168]);
+  },
+
+  'étapes triées et messages nettoyés': () => {
+    const steps = normalizeSteps([
+      { delayHours: 72, body: '  Deuxième relance ' },
+      { delayHours: '24', body: 'Première relance' },
+    ]);
+    assert.deepStrictEqual(steps, [
+      { delayHours: 24, body: 'Première relance' },
+      { delayHours: 72, body: 'Deuxième relance' },
+    ]);
+  },
+
+  'séquences invalides refusées (400)': () => {
+    const invalid = [
+      undefined,
+      [],
+      Array.from({ length: 11 }, () => ({ delayHours: 24, body: 'Relance' })),
+      [{ delayHours: 0, body: 'Relance' }],
+      [{ delayHours: 1.5, body: 'Relance' }],
+      [{ delayHours: 24 * 91, body: 'Relance' }],
+      [{ delayHours: 24, body: '   ' }],
+      [null],
+    ];
+    for (const steps of invalid) {
+      assert.throws(() => normalizeSteps(steps), (error) => error.statusCode === 400, JSON.stringify(steps));
+    }
+  },
+
+  'début conservé pendant la séquence': () => {
+    const followUps = [row('sent', 24), row('queued', 72), row('scheduled', 168)];
+    assert.strictEqual(getSequenceStart(followUps), start);
+  },
+
+  'nouvelle séquence quand plus rien n\'est en attente': () => {
+    assert.strictEqual(getSequenceStart([]), null);
+    assert.strictEqual(getSequenceStart([row('sent', 24), row('cancelled', 72), row('failed', 168)]), null);
+  },
+};
+
+runChecks(checks);
@@ -0,0 +1,63 @@
+// Import de l'historique complet d'une discussion (services/historyBackfill.js), page par page sur le canal en mémoire.
+const assert = require('assert');
+const { createMemoryAdapter } = require('./services/channels/memoryAdapter');
+const { collectHistoryPages } = require('./services/historyBackfill');
+const { runChecks } = require('./utils/runChecks');
+
+const SELLER = '32470000001';
+
+// Canal avec `count` messages échangés avec le vendeur (et d'autres avec un second contact)
+function createChannel(count) {
+  const channel = createMemoryAdapter('memory-backfill');
+  for (let i = 0; i < count; i++) {
+    if (i % 2 === 0) {
+      channel.send(SELLER, `Message ${i}`);
+    } else {
+      channel.receive(SELLER, `Réponse ${i}`);
+    }
+    channel.send('32470000002', `Autre contact ${i}`);
+  }
+  return channel;
+}
+
+const checks = {
+  'historique complet lu en plusieurs pages, chaque message une seule fois': async () => {
+    const pages = [];
+    const result = await collectHistoryPages(createChannel(1234), SELLER, async (messages) => {
+      pages.push(messages.length);
+    }, { pageSize: 500 });
+    assert.deepStrictEqual(pages, [500, 500, 234]);
+    assert.strictEqual(result.total, 1234);
+    assert.strictEqual(result.complete, true);
+    assert.strictEqual(result.latest.body, 'Réponse 1233');
+  },
+
+  'historique d\'exactement une page': async () => {
+    const pages = [];
+    const result = await collectHistoryPages(createChannel(500), SELLER, async (messages) => {
+      pages.push(messages.length);
+    }, { pageSize: 500 });
+    assert.deepStrictEqual(pages, [500]);
+    assert.strictEqual(result.complete, true);
+  },
+
+  'discussion vide': async () => {
+    const result = await collectHistoryPages(createChannel(0), SELLER, async () => {
+      throw new Error('aucune page attendue');
+    });
+    assert.deepStrictEqual(result, { total: 0, latest: null, complete: true });
+  },
+
+  'historique limité: les messages les plus récents sont importés': async () => {
+    const imported = [];
+    const result = await collectHistoryPages(createChannel(1000), SELLER, async (messages) => {
+      imported.push(...messages);
+    }, { pageSize: 300, maxMessages: 700 });
+    assert.strictEqual(result.complete, false);
+    assert.strictEqual(imported.length, 700);
+    assert.strictEqual(imported.some(msg => msg.body === 'Réponse 999'), true);
+    assert.strictEqual(imported.some(msg => msg.body === 'Message 0'), false);
+  },
+};
+
+runChecks(checks);
@@ -0,0 +1,55 @@
+// Synchronisation incrémentale (services/historySync.js): messages retenus après le point de reprise d'une discussion.
+const assert = require('assert');
+const { selectNewMessages } = require('./services/historySync');
+const { runChecks } = require('./utils/runChecks');
+
+const start = Date.parse('2025-03-01T10:00:00Z') / 1000;
+// Discussion de `count` messages, un par minute, du plus ancien au plus récent
+const chat = (count) => Array.from({ length: count }, (_, i) => ({
+  id: `wa-${i}`,
+  body: `Message ${i}`,
+  type: 'chat',
+  timestamp: start + i * 60,
+}));
+const checkpointAt = (msg) => ({ last_message_id: msg.id, last_message_at: new Date(msg.timestamp * 1000).toISOString() });
+const ids = (selection) => selection.messages.map(msg => msg.id);
+
+const checks = {
+  'première synchronisation: toute la page, sans les messages système': () => {
+    const messages = [...chat(3), { id: 'wa-e2e', type: 'e2e_notification', timestamp: start + 500 }];
+    const selection = selectNewMessages(messages, null, 100);
+    assert.deepStrictEqual(ids(selection), ['wa-0', 'wa-1', 'wa-2']);
+    assert.strictEqual(selection.complete, true);
+  },
+
+  'point de reprise dans la page: seulement les messages suivants': () => {
+    const messages = chat(10);
+    const selection = selectNewMessages(messages, checkpointAt(messages[6]), 10);
+    assert.deepStrictEqual(ids(selection), ['wa-7', 'wa-8', 'wa-9']);
+    assert.strictEqual(selection.complete, true);
+  },
+
+  'rien de nouveau depuis le point de reprise': () => {
+    const messages = chat(5);
+    const selection = selectNewMessages(messages, checkpointAt(messages[4]), 50);
+    assert.deepStrictEqual(ids(selection), []);
+    assert.strictEqual(selection.complete, true);
+  },
+
+  'page pleine plus récente que le point de reprise: page plus grande nécessaire': () => {
+    const messages = chat(120);
+    const selection = selectNewMessages(messages.slice(-50), checkpointAt(messages[20]), 50);
+    assert.strictEqual(selection.complete, false);
+  },
+
+  'message du point de reprise supprimé: comparaison des dates': () => {
+    const messages = chat(10);
+    const checkpoint = { ...checkpointAt(messages[6]), last_message_id: 'wa-deleted' };
+    const selection = selectNewMessages(messages, checkpoint, 50);
+    // Le message de la même seconde est repris, l'upsert ignore ceux déjà enregistrés
+    assert.deepStrictEqual(ids(selection), ['wa-6', 'wa-7', 'wa-8', 'wa-9']);
+    assert.strictEqual(selection.complete, true);
+  },
+};
+
+runChecks(checks);
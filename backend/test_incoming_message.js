@@ -0,0 +1,84 @@
+// Message d'un vendeur traité de bout en bout par handlers/messageHandler.js: canal en mémoire et base de
+// données en mémoire (utils/memorySupabase.js), réponse automatique désactivée pour rester hors ligne.
+process.env.HISTORY_BACKFILL_ON_FIRST_CONTACT = 'false';
+process.env.FACT_EXTRACTION_PROVIDER = 'mock';
+const assert = require('assert');
+const { useMemorySupabase } = require('./utils/memorySupabase');
+
+const OWNER = 'user-1';
+const SELLER = '33612345678';
+const database = useMemorySupabase({
+  vehicles: [{ id: 'vehicle-1', brand: 'Peugeot', model: '308', phone: '+33612345678', user_id: OWNER, merged_into: null }]
+});
+
+const { createMemoryAdapter } = require('./services/channels/memoryAdapter');
+const { handleIncomingMessage } = require('./handlers/messageHandler');
+const { updateAiConfig } = require('./services/aiResponse');
+const { runChecks } = require('./utils/runChecks');
+
+// Session WhatsApp de l'acheteur, hors du registre des canaux: chaque message est traité avant de continuer
+const channel = createMemoryAdapter('memory-incoming');
+channel.userId = OWNER;
+
+const conversationOf = (phoneNumber) => database.rows('conversations').find(row => row.phone_number === phoneNumber);
+
+const checks = {
+  'premier message: conversation du véhicule et du propriétaire de la session, message enregistré': async () => {
+    const msg = channel.receive(SELLER, 'Bonjour, oui la voiture est toujours disponible');
+    await handleIncomingMessage(msg, channel);
+
+    const conversation = conversationOf(SELLER);
+    assert.ok(conversation, 'conversation créée');
+    assert.strictEqual(conversation.vehicle_id, 'vehicle-1');
+    assert.strictEqual(conversation.user_id, OWNER);
+    assert.strictEqual(conversation.channel, 'memory-incoming', 'les réponses repartent du canal du message');
+
+    const messages = database.rows('messages');
+    assert.strictEqual(messages.length, 1);
+    assert.strictEqual(messages[0].message_id, msg.id);
+    assert.strictEqual(messages[0].is_from_me, false);
+    assert.strictEqual(messages[0].timestamp, new Date(msg.timestamp * 1000).toISOString());
+    assert.strictEqual(database.rows('vehicles')[0].contact_status, 'contacted');
+  },
+
+  'événement rejoué: message ignoré': async () => {
+    const [stored] = database.rows('messages');
+    const replayed = channel.getMessages().find(msg => msg.id === stored.message_id);
+    await handleIncomingMessage(replayed, channel);
+    assert.strictEqual(database.rows('messages').length, 1);
+  },
+
+  'offre de prix: offre en attente et conversation en négociation, bot en pause': async () => {
+    await handleIncomingMessage(channel.receive(SELLER, 'Je vous la laisse à 15 000 €'), channel);
+
+    const conversation = conversationOf(SELLER);
+    const [offer] = database.rows('price_offers');
+    assert.ok(offer, 'offre enregistrée');
+    assert.strictEqual(offer.offered_price, 15000);
+    assert.strictEqual(offer.status, 'pending');
+    assert.strictEqual(offer.conversation_id, conversation.id);
+
+    assert.strictEqual(conversation.state, 'negotiation');
+    assert.strictEqual(conversation.bot_paused, true);
+    assert.strictEqual(conversation.detected_price, 15000);
+    const [change] = database.rows('conversation_state_history');
+    assert.deepStrictEqual([change.from_state, change.to_state, change.rule_id], ['active', 'negotiation', 'price_offer']);
+  },
+
+  'véhicule vendu: conversation terminée, aucune offre': async () => {
+    const otherSeller = '33698765432';
+    await handleIncomingMessage(channel.receive(otherSeller, 'Désolé, je l\'ai vendu hier'), channel);
+
+    const conversation = conversationOf(otherSeller);
+    assert.strictEqual(conversation.user_id, OWNER);
+    assert.strictEqual(conversation.state, 'completed');
+    assert.strictEqual(database.rows('price_offers').filter(offer => offer.conversation_id === conversation.id).length, 0);
+  },
+
+  'réponse automatique désactivée: rien n\'est envoyé au vendeur': async () => {
+    assert.strictEqual(channel.getMessages().filter(msg => msg.fromMe).length, 0);
+  },
+};
+
+// Sans réponse automatique, aucun appel au modèle d'IA
+updateAiConfig({ enabled: false }).then(() => runChecks(checks));
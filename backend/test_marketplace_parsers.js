@@ -0,0 +1,193 @@
+// Parsers des sites d'annonces, sur les pages de résultats enregistrées dans fixtures/<site>.
+// À relancer après avoir ajouté une page enregistrée au format actuel d'un site.
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { getMarketplace, getMarketplaceForUrl, isSupportedSearchUrl } = require('./services/marketplaces');
+const { runChecks } = require('./utils/runChecks');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SEARCH_URL = 'https://www.autoscout24.be/fr/lst/bmw/serie-3?atype=C&cy=B';
+const LEBONCOIN_URL = 'https://www.leboncoin.fr/recherche?category=2&u_car_brand=RENAULT&u_car_model=RENAULT_Clio';
+const LACENTRALE_URL = 'https://www.lacentrale.fr/listing?makesModelsCommercialNames=PEUGEOT%3A308';
+const MOBILEDE_URL = 'https://suchen.mobile.de/fahrzeuge/search.html?isSearchRequest=true&ms=25200%3B20%3B%3B&s=Car';
+
+const autoscout24 = getMarketplace('autoscout24');
+const leboncoin = getMarketplace('leboncoin');
+const lacentrale = getMarketplace('lacentrale');
+const mobilede = getMarketplace('mobilede');
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+const checks = {
+  'AutoScout24: page avec données Next.js': () => {
+    const { listings, totalPages, totalResults } = autoscout24.parseSearchResults(readFixture('autoscout24/search_next_data.html'), SEARCH_URL);
+    assert.strictEqual(totalPages, 1);
+    assert.strictEqual(totalResults, 2);
+    assert.strictEqual(listings.length, 2);
+    assert.deepStrictEqual(listings[0], {
+      external_id: '6b3c5f0e-1a2b-4c3d-9e8f-001122334455',
+      brand: 'BMW',
+      model: '320 d Touring',
+      price: 14990,
+      year: 2018,
+      mileage: 128500,
+      fuel_type: 'Diesel',
+      transmission: 'Boîte automatique',
+      power: 190,
+      location: '1000 Bruxelles',
+      listing_url: 'https://www.autoscout24.be/offres/bmw-320-d-touring-diesel-noir-6b3c5f0e-1a2b-4c3d-9e8f-001122334455',
+      phone: '32470123456',
+      image_url: 'https://prod.pictures.autoscout24.net/listing-images/6b3c5f0e_1.jpg/250x188.webp',
+      seller_type: 'particulier',
+      source: 'autoscout24'
+    });
+    assert.strictEqual(listings[1].phone, null);
+    assert.strictEqual(listings[1].image_url, null);
+    assert.strictEqual(listings[1].seller_type, 'professionnel');
+    assert.strictEqual(listings[1].power, 136);
+  },
+
+  'AutoScout24: page sans données Next.js (cartes <article>)': () => {
+    const { listings, totalPages } = autoscout24.parseSearchResults(readFixture('autoscout24/search_articles.html'), SEARCH_URL);
+    assert.strictEqual(totalPages, null);
+    assert.strictEqual(listings.length, 2);
+    assert.strictEqual(listings[0].brand, 'Volkswagen');
+    assert.strictEqual(listings[0].model, 'Golf 1.0 TSI Trendline');
+    assert.strictEqual(listings[0].price, 11750);
+    assert.strictEqual(listings[0].year, 2017);
+    assert.strictEqual(listings[0].mileage, 97000);
+    assert.strictEqual(listings[0].location, '9000');
+    assert.strictEqual(listings[0].seller_type, 'particulier');
+    assert.strictEqual(
+      listings[0].listing_url,
+      'https://www.autoscout24.be/offres/volkswagen-golf-1-0-tsi-trendline-essence-gris-1f2e3d4c-0000-4b5a-9c8d-aabbccddeeff'
+    );
+    assert.strictEqual(listings[1].image_url, null);
+  },
+
+  'Leboncoin: page avec données Next.js': () => {
+    const { listings, totalPages, totalResults } = leboncoin.parseSearchResults(readFixture('leboncoin/search_next_data.html'), LEBONCOIN_URL);
+    assert.strictEqual(totalPages, 1);
+    assert.strictEqual(totalResults, 2);
+    assert.strictEqual(listings.length, 2);
+    assert.deepStrictEqual(listings[0], {
+      external_id: '2456789012',
+      brand: 'Renault',
+      model: 'Clio',
+      price: 8490,
+      year: 2017,
+      mileage: 112000,
+      fuel_type: 'Diesel',
+      transmission: 'Manuelle',
+      power: 90,
+      location: '59000 Lille',
+      listing_url: 'https://www.leboncoin.fr/ad/voitures/2456789012',
+      phone: null,
+      image_url: 'https://img.leboncoin.fr/api/v1/lbcpb1/images/ab/cd/ef/abcdef.jpg?rule=ad-image',
+      seller_type: 'particulier',
+      source: 'leboncoin'
+    });
+    assert.strictEqual(listings[1].listing_url, 'https://www.leboncoin.fr/ad/voitures/2456700001');
+    assert.strictEqual(listings[1].seller_type, 'professionnel');
+    assert.strictEqual(listings[1].image_url, null);
+  },
+
+  'La Centrale: page avec JSON-LD': () => {
+    const { listings, totalPages, totalResults } = lacentrale.parseSearchResults(readFixture('lacentrale/search_json_ld.html'), LACENTRALE_URL);
+    assert.strictEqual(totalPages, 1);
+    assert.strictEqual(totalResults, 2);
+    assert.strictEqual(listings.length, 2);
+    assert.deepStrictEqual(listings[0], {
+      external_id: 'W103456789',
+      brand: 'PEUGEOT',
+      model: '308',
+      price: 14490,
+      year: 2019,
+      mileage: 84500,
+      fuel_type: 'Diesel',
+      transmission: 'Manuelle',
+      power: 131,
+      location: '69003 Lyon',
+      listing_url: 'https://www.lacentrale.fr/auto-occasion-annonce-69103456789.html',
+      phone: null,
+      image_url: 'https://photos.lacentrale.fr/W103456789_1.jpg',
+      seller_type: 'particulier',
+      source: 'lacentrale'
+    });
+    assert.strictEqual(listings[1].listing_url, 'https://www.lacentrale.fr/auto-occasion-annonce-87106543210.html');
+    assert.strictEqual(listings[1].phone, '33478000000');
+    assert.strictEqual(listings[1].power, 130);
+    assert.strictEqual(listings[1].seller_type, 'professionnel');
+  },
+
+  'mobile.de: page avec état initial': () => {
+    const { listings, totalPages, totalResults } = mobilede.parseSearchResults(readFixture('mobilede/search_initial_state.html'), MOBILEDE_URL);
+    assert.strictEqual(totalPages, 1);
+    assert.strictEqual(totalResults, 2);
+    assert.strictEqual(listings.length, 2);
+    assert.deepStrictEqual(listings[0], {
+      external_id: '381234567',
+      brand: 'Volkswagen',
+      model: 'Golf',
+      price: 13450,
+      year: 2018,
+      mileage: 98000,
+      fuel_type: 'Diesel',
+      transmission: 'Schaltgetriebe',
+      power: 150,
+      location: '10115 Berlin',
+      listing_url: 'https://suchen.mobile.de/fahrzeuge/details.html?id=381234567',
+      phone: null,
+      image_url: 'https://img.classistatic.de/api/v1/mo-prod/images/12/123456.jpg?rule=mo-360',
+      seller_type: 'particulier',
+      source: 'mobilede'
+    });
+    assert.strictEqual(listings[1].model, 'Golf 1.5 eTSI Life');
+    assert.strictEqual(listings[1].price, 24990);
+    assert.strictEqual(listings[1].seller_type, 'professionnel');
+  },
+
+  'mobile.de: page sans état initial (JSON-LD)': () => {
+    const { listings, totalPages } = mobilede.parseSearchResults(readFixture('mobilede/search_json_ld.html'), MOBILEDE_URL);
+    assert.strictEqual(totalPages, null);
+    assert.strictEqual(listings.length, 1);
+    assert.strictEqual(listings[0].external_id, '379999999');
+    assert.strictEqual(listings[0].brand, 'BMW');
+    assert.strictEqual(listings[0].model, '320d Touring');
+    assert.strictEqual(listings[0].price, 11990);
+    assert.strictEqual(listings[0].mileage, 142000);
+    assert.strictEqual(listings[0].location, '70173 Stuttgart');
+    assert.strictEqual(listings[0].listing_url, 'https://suchen.mobile.de/fahrzeuge/details.html?id=379999999');
+  },
+
+  'Page vide ou inattendue': () => {
+    for (const parser of [autoscout24, leboncoin, lacentrale, mobilede]) {
+      assert.deepStrictEqual(parser.parseSearchResults('<html><body>Access denied</body></html>', SEARCH_URL).listings, []);
+      assert.deepStrictEqual(parser.parseSearchResults('', SEARCH_URL).listings, []);
+    }
+  },
+
+  'URLs de recherche et pagination': () => {
+    assert.strictEqual(getMarketplaceForUrl(SEARCH_URL), autoscout24);
+    assert.strictEqual(getMarketplaceForUrl('https://www.autoscout24.de/lst?sort=price'), autoscout24);
+    assert.strictEqual(getMarketplaceForUrl(LEBONCOIN_URL), leboncoin);
+    assert.strictEqual(getMarketplaceForUrl(LACENTRALE_URL), lacentrale);
+    assert.strictEqual(getMarketplaceForUrl(MOBILEDE_URL), mobilede);
+    assert.strictEqual(isSupportedSearchUrl('https://example.com/lst'), false);
+    assert.strictEqual(isSupportedSearchUrl('https://leboncoin.fr.example.com/recherche'), false);
+    assert.strictEqual(isSupportedSearchUrl('https://www.autoscout24.attacker.com/lst'), false);
+    assert.strictEqual(isSupportedSearchUrl('https://autoscout24.de.internal/lst'), false);
+    assert.strictEqual(isSupportedSearchUrl('https://www.autoscout24.com.tr/lst'), true);
+    assert.strictEqual(isSupportedSearchUrl('file:///etc/passwd'), false);
+    assert.strictEqual(isSupportedSearchUrl(undefined), false);
+    assert.strictEqual(autoscout24.buildPageUrl(SEARCH_URL, 3), `${SEARCH_URL}&page=3`);
+    assert.strictEqual(autoscout24.buildPageUrl(`${SEARCH_URL}&page=3`, 1), SEARCH_URL);
+    assert.strictEqual(leboncoin.buildPageUrl(LEBONCOIN_URL, 2), `${LEBONCOIN_URL}&page=2`);
+    assert.strictEqual(mobilede.buildPageUrl(MOBILEDE_URL, 2), `${MOBILEDE_URL}&pageNumber=2`);
+  }
+};
+
+runChecks(checks);
@@ -0,0 +1,69 @@
+// Accès aux médias des messages (services/mediaUrls.js, middleware/media.js): liens signés et expirants,
+// extension choisie d'après le type MIME. Sert les fichiers depuis un serveur local sur un port libre.
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { buildSignedMediaUrl, verifyMediaSignature, withSignedUrls } = require('./services/mediaUrls');
+const { requireSignedMediaUrl, setMediaHeaders } = require('./middleware/media');
+const { buildFileName } = require('./services/mediaStorage');
+const { runChecks } = require('./utils/runChecks');
+
+const mediaDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'media-'));
+fs.mkdirSync(path.join(mediaDirectory, 'conv-1'));
+fs.writeFileSync(path.join(mediaDirectory, 'conv-1', 'photo.jpg'), 'jpeg');
+
+const app = express();
+app.use('/media', requireSignedMediaUrl, express.static(mediaDirectory, { setHeaders: setMediaHeaders }));
+let baseUrl;
+
+const checks = {
+  'extension déduite du type MIME, jamais du nom envoyé': async () => {
+    assert.match(buildFileName('text/html', 'offre.html'), /_offre\.bin$/);
+    assert.match(buildFileName('image/svg+xml', 'logo.svg'), /_logo\.bin$/);
+    assert.match(buildFileName('image/jpeg', 'voiture.php'), /_voiture\.jpg$/);
+    assert.match(buildFileName('application/pdf'), /_media\.pdf$/);
+  },
+
+  'signature vérifiée: chemin, date d\'expiration et signature liés': async () => {
+    const url = new URL(buildSignedMediaUrl('conv-1/photo.jpg'), 'http://x');
+    const expires = url.searchParams.get('expires');
+    const signature = url.searchParams.get('signature');
+    assert.strictEqual(verifyMediaSignature('conv-1/photo.jpg', expires, signature), true);
+    assert.strictEqual(verifyMediaSignature('conv-2/photo.jpg', expires, signature), false);
+    assert.strictEqual(verifyMediaSignature('conv-1/photo.jpg', String(Number(expires) + 1), signature), false);
+    assert.strictEqual(verifyMediaSignature('conv-1/photo.jpg', expires, 'abcd'), false);
+    const expired = new URL(buildSignedMediaUrl('conv-1/photo.jpg', -10), 'http://x');
+    assert.strictEqual(verifyMediaSignature('conv-1/photo.jpg', expired.searchParams.get('expires'), expired.searchParams.get('signature')), false);
+  },
+
+  'pièces jointes locales renvoyées avec un lien signé, positions inchangées': async () => {
+    const [local, pin] = await withSignedUrls([
+      { storage: 'local', storage_path: 'conv-1/photo.jpg', url: '/media/conv-1/photo.jpg' },
+      { storage: 'external', url: 'https://www.google.com/maps/search/?api=1&query=1,2' }
+    ]);
+    assert.match(local.url, /^\/media\/conv-1\/photo\.jpg\?expires=\d+&signature=[0-9a-f]{64}$/);
+    assert.strictEqual(pin.url, 'https://www.google.com/maps/search/?api=1&query=1,2');
+  },
+
+  '/media: refusé sans signature, servi en téléchargement avec': async () => {
+    assert.strictEqual((await fetch(`${baseUrl}/media/conv-1/photo.jpg`)).status, 403);
+
+    const response = await fetch(`${baseUrl}${buildSignedMediaUrl('conv-1/photo.jpg')}`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), 'jpeg');
+    assert.strictEqual(response.headers.get('x-content-type-options'), 'nosniff');
+    assert.strictEqual(response.headers.get('content-disposition'), 'attachment');
+  },
+};
+
+const server = app.listen(0, () => {
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  runChecks(checks, {
+    teardown: () => {
+      server.close();
+      fs.rmSync(mediaDirectory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,95 @@
+// Modifications, suppressions et réactions WhatsApp converties en événements de canal
+// (services/channels/whatsappAdapter.js), sur une session jamais démarrée.
+const assert = require('assert');
+const { getWhatsAppSession } = require('./services/whatsapp');
+const { createWhatsAppAdapter } = require('./services/channels/whatsappAdapter');
+const { createMemoryAdapter } = require('./services/channels/memoryAdapter');
+const { runChecks } = require('./utils/runChecks');
+
+const session = getWhatsAppSession('wa-changes', { userId: 'user-1' });
+const adapter = createWhatsAppAdapter({ name: 'wa-changes', session, userId: 'user-1' });
+
+// Message whatsapp-web.js simulé
+const fakeMessage = (id, extra = {}) => ({
+  id: { _serialized: id },
+  from: '33612345678@c.us',
+  to: '33700000000@c.us',
+  fromMe: false,
+  body: 'Bonjour, 8000€ ?',
+  ...extra
+});
+
+// Function to capture the next event emitted by an adapter
+function nextEvent(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+const checks = {
+  'modification: nouveau texte, ancien texte et date de la modification': async () => {
+    const received = nextEvent(adapter, 'message_edit');
+    session.events.emit('message_edit', fakeMessage('false_1', { latestEditSenderTimestampMs: 1700000000500 }), 'Bonjour, 7500€ ?', 'Bonjour, 8000€ ?');
+    const edit = await received;
+    assert.strictEqual(edit.id, 'false_1');
+    assert.strictEqual(edit.body, 'Bonjour, 7500€ ?');
+    assert.strictEqual(edit.previousBody, 'Bonjour, 8000€ ?');
+    assert.strictEqual(edit.timestamp, 1700000000);
+  },
+
+  'suppression pour tous: ID du message d\'origine': async () => {
+    const received = nextEvent(adapter, 'message_deleted');
+    session.events.emit('message_revoke', fakeMessage('false_2', { type: 'revoked', body: '' }));
+    const deletion = await received;
+    assert.strictEqual(deletion.id, 'false_2');
+    assert.strictEqual(deletion.fromMe, false);
+    assert.ok(deletion.timestamp > 0);
+  },
+
+  'réaction: message visé, participant et emoji': async () => {
+    const received = nextEvent(adapter, 'message_reaction');
+    session.events.emit('message_reaction', {
+      id: { fromMe: true, _serialized: 'true_r1' },
+      msgId: { _serialized: 'false_3' },
+      senderId: '33700000000@c.us',
+      reaction: '👍',
+      timestamp: 1700000100
+    });
+    const reaction = await received;
+    assert.deepStrictEqual(reaction, { id: 'false_3', sender: '33700000000@c.us', fromMe: true, reaction: '👍', timestamp: 1700000100 });
+  },
+
+  'réaction retirée: emoji vide converti en null': async () => {
+    const received = nextEvent(adapter, 'message_reaction');
+    session.events.emit('message_reaction', {
+      id: { fromMe: false, _serialized: 'false_r2' },
+      msgId: { _serialized: 'false_3' },
+      senderId: '33612345678@c.us',
+      reaction: '',
+      timestamp: 1700000200
+    });
+    const reaction = await received;
+    assert.strictEqual(reaction.reaction, null);
+    assert.strictEqual(reaction.fromMe, false);
+  },
+
+  'canal en mémoire: mêmes événements simulés': async () => {
+    const memory = createMemoryAdapter('memory-changes');
+    const incoming = memory.receive('contact', 'Toujours dispo ?');
+
+    const edited = nextEvent(memory, 'message_edit');
+    memory.edit(incoming.id, 'Toujours disponible ?');
+    assert.strictEqual((await edited).previousBody, 'Toujours dispo ?');
+
+    const reacted = nextEvent(memory, 'message_reaction');
+    memory.react(incoming.id, '❤️', { sender: 'memory-changes_bot' });
+    const reaction = await reacted;
+    assert.strictEqual(reaction.fromMe, true);
+    assert.strictEqual(reaction.reaction, '❤️');
+
+    const deleted = nextEvent(memory, 'message_deleted');
+    memory.revoke(incoming.id);
+    assert.strictEqual((await deleted).id, incoming.id);
+    assert.strictEqual(memory.edit('inconnu', 'x'), null);
+  },
+};
+
+runChecks(checks);
@@ -0,0 +1,128 @@
+// Regroupement des messages enregistrés plusieurs fois (services/messageReconciliation.js), et fusion sur
+// la base de données en mémoire: pièces jointes, réactions et modifications passent au message conservé.
+const assert = require('assert');
+const { useMemorySupabase } = require('./utils/memorySupabase');
+
+const database = useMemorySupabase();
+
+const {
+  toShortMessageId,
+  groupDuplicateMessages,
+  getMergedStatus,
+  reconcileDuplicateMessages,
+} = require('./services/messageReconciliation');
+const { runChecks } = require('./utils/runChecks');
+
+let nextId = 1;
+const row = (fields) => ({
+  id: `row-${nextId++}`,
+  conversation_id: 'conv-1',
+  message_id: null,
+  body: 'Bonjour, la voiture est-elle toujours disponible ?',
+  is_from_me: true,
+  timestamp: '2025-03-01T10:00:00Z',
+  status: 'sent',
+  created_at: '2025-03-01T10:00:01Z',
+  ...fields,
+});
+
+const checks = {
+  'même ID WhatsApp enregistré deux fois: le premier est conservé': () => {
+    const first = row({ message_id: 'wa-1' });
+    const second = row({ message_id: 'wa-1', created_at: '2025-03-01T10:00:02Z', status: 'read' });
+    const groups = groupDuplicateMessages([second, first]);
+    assert.strictEqual(groups.length, 1);
+    assert.strictEqual(groups[0].keep, first);
+    assert.deepStrictEqual(groups[0].duplicates, [second]);
+    assert.strictEqual(getMergedStatus(groups[0]), 'read');
+  },
+
+  'même ID WhatsApp dans deux conversations: un seul message conservé': () => {
+    const first = row({ message_id: 'true_33612345678@c.us_3EB0FF', conversation_id: 'conv-1' });
+    const moved = row({ message_id: 'true_33612345678@c.us_3EB0FF', conversation_id: 'conv-2', created_at: '2025-03-02T00:00:00Z' });
+    const legacy = row({ message_id: '3EB0FF', conversation_id: 'conv-2', created_at: '2025-03-01T09:00:00Z' });
+    const groups = groupDuplicateMessages([moved, legacy, first]);
+    assert.strictEqual(groups.length, 1);
+    assert.strictEqual(groups[0].keep, first);
+    assert.deepStrictEqual(groups[0].duplicates.map(item => item.id).sort(), [moved.id, legacy.id].sort());
+  },
+
+  'copie sans ID du même message rattachée à celui qui a un ID': () => {
+    const keyed = row({ message_id: 'wa-2' });
+    const copy = row({ timestamp: '2025-03-01T10:00:12Z' });
+    const groups = groupDuplicateMessages([copy, keyed]);
+    assert.strictEqual(groups.length, 1);
+    assert.strictEqual(groups[0].keep, keyed);
+    assert.deepStrictEqual(groups[0].duplicates, [copy]);
+  },
+
+  'ID court de l\'ancienne synchronisation rattaché à l\'ID complet': () => {
+    assert.strictEqual(toShortMessageId('true_33612345678@c.us_3EB0A1B2C3'), '3EB0A1B2C3');
+    assert.strictEqual(toShortMessageId('false_123-456@g.us_3EB0A1B2C3_33612345678@c.us'), '3EB0A1B2C3');
+    assert.strictEqual(toShortMessageId('3EB0A1B2C3'), '3EB0A1B2C3');
+
+    const legacy = row({ message_id: '3EB0A1B2C3', created_at: '2025-03-01T09:00:00Z' });
+    const serialized = row({ message_id: 'true_33612345678@c.us_3EB0A1B2C3', status: 'read' });
+    const groups = groupDuplicateMessages([legacy, serialized]);
+    assert.strictEqual(groups.length, 1);
+    assert.strictEqual(groups[0].keep, serialized, 'l\'ID complet est conservé même enregistré après');
+    assert.deepStrictEqual(groups[0].duplicates, [legacy]);
+
+    // Même ID court dans une autre conversation: autre message
+    const elsewhere = row({ message_id: '3EB0A1B2C3', conversation_id: 'conv-2' });
+    assert.strictEqual(groupDuplicateMessages([elsewhere, serialized]).length, 0);
+  },
+
+  'messages différents conservés': () => {
+    const rows = [
+      row({ message_id: 'wa-3' }),
+      row({ message_id: 'wa-4', body: 'ok' }),
+      // Même texte hors de la fenêtre de 30 secondes: message répété
+      row({ timestamp: '2025-03-01T10:05:00Z' }),
+      // Même texte reçu du vendeur, ou dans une autre conversation
+      row({ is_from_me: false }),
+      row({ conversation_id: 'conv-2' }),
+      // Messages sans ID identiques entre eux: rien ne permet de les distinguer d'une répétition
+      row({ message_id: null, body: 'merci' }),
+      row({ message_id: null, body: 'merci' }),
+    ];
+    assert.deepStrictEqual(groupDuplicateMessages(rows), []);
+  },
+
+  'statut fusionné: le plus avancé, "failed" ne l\'emporte pas': () => {
+    const group = { keep: row({ status: 'failed' }), duplicates: [row({ status: 'delivered' }), row({ status: null })] };
+    assert.strictEqual(getMergedStatus(group), 'delivered');
+    assert.strictEqual(getMergedStatus({ keep: row({ status: null }), duplicates: [row({ status: null })] }), null);
+  },
+
+  'fusion: copies supprimées, pièces jointes, réactions et modifications reportées': async () => {
+    const keep = row({ message_id: 'wa-9', status: 'sent' });
+    const copy = row({ message_id: 'wa-9', conversation_id: 'conv-2', status: 'read', created_at: '2025-03-01T10:00:05Z' });
+    await database.from('messages').insert([keep, copy]);
+    await database.from('message_attachments').insert({ id: 'att-1', message_id: copy.id });
+    await database.from('message_reactions').insert([
+      { id: 'react-1', message_id: keep.id, conversation_id: 'conv-1', sender: '33611111111@c.us', reaction: '👍', reacted_at: '2025-03-01T10:01:00Z' },
+      { id: 'react-2', message_id: copy.id, conversation_id: 'conv-2', sender: '33611111111@c.us', reaction: '❤️', reacted_at: '2025-03-01T10:02:00Z' },
+      { id: 'react-3', message_id: copy.id, conversation_id: 'conv-2', sender: '33622222222@c.us', reaction: '😂', reacted_at: '2025-03-01T10:03:00Z' },
+    ]);
+    await database.from('message_revisions').insert([
+      { id: 'rev-1', message_id: keep.id, body: 'Bonjour', edited_at: '2025-03-01T10:10:00Z' },
+      { id: 'rev-2', message_id: copy.id, body: 'Bonjour', edited_at: '2025-03-01T10:10:00Z' },
+      { id: 'rev-3', message_id: copy.id, body: 'Bonjour !', edited_at: '2025-03-01T10:20:00Z' },
+    ]);
+
+    const report = await reconcileDuplicateMessages({ merge: true });
+    assert.strictEqual(report.merged, 1);
+    assert.strictEqual(report.failed, 0);
+
+    assert.deepStrictEqual(database.rows('messages').map(message => [message.id, message.status]), [[keep.id, 'read']]);
+    assert.strictEqual(database.rows('message_attachments')[0].message_id, keep.id);
+    const reactions = database.rows('message_reactions').filter(reaction => reaction.message_id === keep.id);
+    assert.deepStrictEqual(reactions.map(reaction => reaction.reaction).sort(), ['❤️', '😂'].sort());
+    assert.ok(reactions.every(reaction => reaction.conversation_id === 'conv-1'));
+    const revisions = database.rows('message_revisions').filter(revision => revision.message_id === keep.id);
+    assert.deepStrictEqual(revisions.map(revision => revision.id).sort(), ['rev-1', 'rev-3']);
+  },
+};
+
+runChecks(checks);
@@ -0,0 +1,104 @@
+// Accusés de réception (models/message.js updateMessageStatus): le statut d'un message ne recule jamais,
+// même quand les accusés arrivent dans le désordre, et 'failed' ne s'applique qu'avant la remise.
+// Filtre "lu sans réponse" de la liste des conversations, appliqué par la base avant la pagination.
+const assert = require('assert');
+const { useMemorySupabase } = require('./utils/memorySupabase');
+
+const database = useMemorySupabase({
+  conversations: [{ id: 'conv-1', user_id: 'user-1', last_message_at: '2025-03-01T10:00:00.000Z' }],
+  messages: [
+    { id: 'row-1', message_id: 'wamid-1', conversation_id: 'conv-1', status: 'sent', is_from_me: true },
+    { id: 'row-2', message_id: 'wamid-2', conversation_id: 'conv-1', status: 'sent', is_from_me: true },
+    { id: 'row-3', message_id: 'wamid-3', conversation_id: 'conv-1', status: null, is_from_me: true },
+  ]
+});
+
+const { updateMessageStatus } = require('./models/message');
+const { handleMessageStatus } = require('./handlers/messageHandler');
+const { getAllConversations } = require('./models/conversation');
+const { io } = require('./config/server');
+const { runChecks } = require('./utils/runChecks');
+
+const statusOf = (messageId) => database.rows('messages').find(row => row.message_id === messageId).status;
+
+const checks = {
+  'accusés dans l\'ordre: sent -> delivered -> read': async () => {
+    const delivered = await updateMessageStatus('wamid-1', 'delivered');
+    assert.strictEqual(delivered.status, 'delivered');
+    assert.strictEqual(delivered.conversation_id, 'conv-1');
+    assert.ok(delivered.status_updated_at);
+
+    await updateMessageStatus('wamid-1', 'read');
+    assert.strictEqual(statusOf('wamid-1'), 'read');
+  },
+
+  'accusé en retard ou rejoué: ignoré, le statut ne recule pas': async () => {
+    assert.strictEqual(await updateMessageStatus('wamid-1', 'delivered'), null);
+    assert.strictEqual(await updateMessageStatus('wamid-1', 'sent'), null);
+    assert.strictEqual(await updateMessageStatus('wamid-1', 'read'), null);
+    assert.strictEqual(statusOf('wamid-1'), 'read');
+  },
+
+  'failed: appliqué avant la remise, ignoré après': async () => {
+    assert.strictEqual(await updateMessageStatus('wamid-1', 'failed'), null);
+    assert.strictEqual(statusOf('wamid-1'), 'read');
+
+    const failed = await updateMessageStatus('wamid-2', 'failed');
+    assert.strictEqual(failed.status, 'failed');
+  },
+
+  'message sans statut: premier accusé appliqué': async () => {
+    await updateMessageStatus('wamid-3', 'pending');
+    assert.strictEqual(statusOf('wamid-3'), 'pending');
+  },
+
+  'message inconnu: null; statut inconnu: erreur': async () => {
+    assert.strictEqual(await updateMessageStatus('wamid-inconnu', 'read'), null);
+    await assert.rejects(updateMessageStatus('wamid-3', 'played'), /Invalid message status/);
+  },
+
+  'accusé reçu du canal: statut enregistré, émis à la conversation et à la liste de son propriétaire': async () => {
+    const emitted = [];
+    const to = io.to;
+    io.to = (rooms) => ({ emit: (event, payload) => emitted.push({ rooms, event, payload }) });
+    try {
+      await handleMessageStatus({ id: 'wamid-3', to: '33611111111', status: 'delivered' }, null);
+    } finally {
+      io.to = to;
+    }
+
+    assert.strictEqual(statusOf('wamid-3'), 'delivered');
+    assert.strictEqual(emitted.length, 1);
+    assert.deepStrictEqual(emitted[0].rooms, ['conversation:conv-1', 'user:user-1']);
+    assert.strictEqual(emitted[0].event, 'message_status');
+    assert.deepStrictEqual(
+      [emitted[0].payload.message_id, emitted[0].payload.conversation_id, emitted[0].payload.status],
+      ['wamid-3', 'conv-1', 'delivered']
+    );
+  },
+
+  'filtre "lu sans réponse": appliqué avant la pagination, sur toutes les conversations': async () => {
+    const conversations = Array.from({ length: 45 }, (_, index) => ({
+      id: `conv-list-${index}`,
+      user_id: 'user-2',
+      phone_number: `336000000${String(index).padStart(2, '0')}`,
+      last_message_at: new Date(Date.parse('2025-03-01T00:00:00.000Z') + index * 60000).toISOString(),
+      // Une conversation sur trois: dernier message envoyé et lu; les autres: répondu, ou pas encore lu
+      last_message_from_me: index % 3 !== 1,
+      last_message_status: index % 3 === 0 ? 'read' : 'delivered',
+    }));
+    await database.from('conversations').insert(conversations);
+
+    const firstPage = await getAllConversations(1, 10, 'user-2', 'read_no_reply');
+    assert.strictEqual(firstPage.pagination.total, 15);
+    assert.strictEqual(firstPage.pagination.totalPages, 2);
+    assert.strictEqual(firstPage.conversations.length, 10);
+    assert.strictEqual(firstPage.conversations[0].id, 'conv-list-42', 'la plus récente d\'abord');
+
+    const secondPage = await getAllConversations(2, 10, 'user-2', 'read_no_reply');
+    assert.deepStrictEqual(secondPage.conversations.map(conversation => conversation.id).slice(-1), ['conv-list-0']);
+    assert.strictEqual((await getAllConversations(1, 10, 'user-2')).pagination.total, 45);
+  },
+};
+
+runChecks(checks);
@@ -0,0 +1,126 @@
+// File d'envoi (services/outboundQueue.js): chaque appel au worker envoie au plus un message par le canal en
+// mémoire et l'enregistre dans la base de données en mémoire. Délais anti-spam à zéro entre deux envois.
+process.env.HISTORY_BACKFILL_ON_FIRST_CONTACT = 'false';
+const assert = require('assert');
+const { useMemorySupabase } = require('./utils/memorySupabase');
+
+const OWNER = 'user-1';
+const database = useMemorySupabase({}, {
+  defaults: {
+    outbound_messages: { status: 'queued', attempts: 0, next_attempt_at: () => new Date().toISOString() }
+  }
+});
+
+const { createMemoryAdapter } = require('./services/channels/memoryAdapter');
+const { registerChannel } = require('./services/channels');
+const { processNextMessage, enqueueBatch } = require('./services/outboundQueue');
+const { getBatch } = require('./models/outboundQueue');
+const { runChecks } = require('./utils/runChecks');
+
+const channel = registerChannel(createMemoryAdapter('memory-queue'));
+const SETTINGS = { channel: 'memory-queue', minDelay: 0, maxDelay: 0, maxAttempts: 2 };
+
+// Function to queue one message in a batch of its own
+const enqueue = (number, message) => enqueueBatch({
+  name: `Envoi à ${number}`,
+  userId: OWNER,
+  settings: SETTINGS,
+  messages: [{ number, message }]
+});
+
+const queued = (batchId) => database.rows('outbound_messages').find(row => row.batch_id === batchId);
+const sentTo = (number) => channel.getMessages().filter(msg => msg.fromMe && msg.to === number);
+
+const checks = {
+  'message envoyé: marqué sent avec l\'ID du canal, enregistré dans l\'historique, batch terminé': async () => {
+    const batch = await enqueue('33611111111', 'Bonjour, la voiture est-elle disponible ?');
+    await processNextMessage();
+
+    const [sent] = sentTo('33611111111');
+    const item = queued(batch.id);
+    assert.strictEqual(item.status, 'sent');
+    assert.strictEqual(item.attempts, 1);
+    assert.strictEqual(item.message_id, sent.id);
+
+    const stored = database.rows('messages').find(row => row.message_id === sent.id);
+    assert.ok(stored, 'message dans l\'historique');
+    assert.strictEqual(stored.is_from_me, true);
+    assert.strictEqual(stored.conversation_id, item.conversation_id);
+    assert.strictEqual(database.rows('outbound_batches').find(row => row.id === batch.id).status, 'completed');
+  },
+
+  'historique en échec après l\'envoi: message marqué sent, jamais renvoyé': async () => {
+    const batch = await enqueue('33622222222', 'Toujours à vendre ?');
+    const from = database.from;
+    database.from = (table) => {
+      if (table === 'messages') throw new Error('base indisponible');
+      return from(table);
+    };
+    try {
+      await processNextMessage();
+    } finally {
+      database.from = from;
+    }
+
+    assert.strictEqual(queued(batch.id).status, 'sent');
+    // Rien n'est resté en file: un nouveau passage du worker n'envoie rien
+    await processNextMessage();
+    assert.strictEqual(sentTo('33622222222').length, 1);
+  },
+
+  'canal en échec: remis en file avec un délai, puis failed après maxAttempts': async () => {
+    const batch = await enqueue('33633333333', 'Bonjour');
+    const send = channel.send;
+    channel.send = async () => { throw new Error('WhatsApp indisponible'); };
+    try {
+      await processNextMessage();
+      let item = queued(batch.id);
+      assert.strictEqual(item.status, 'queued');
+      assert.strictEqual(item.attempts, 1);
+      assert.strictEqual(item.last_error, 'WhatsApp indisponible');
+      assert.ok(new Date(item.next_attempt_at).getTime() > Date.now(), 'nouvelle tentative plus tard');
+
+      await database.from('outbound_messages').update({ next_attempt_at: new Date().toISOString() }).eq('id', item.id);
+      await processNextMessage();
+      item = queued(batch.id);
+      assert.strictEqual(item.status, 'failed');
+      assert.strictEqual(item.attempts, 2);
+    } finally {
+      channel.send = send;
+    }
+    assert.strictEqual(database.rows('outbound_batches').find(row => row.id === batch.id).status, 'completed');
+  },
+
+  'même numéro recontacté trop tôt: message reporté sans envoi': async () => {
+    const batch = await enqueue('33611111111', 'Je peux passer la voir samedi ?');
+    await processNextMessage();
+
+    const item = queued(batch.id);
+    assert.strictEqual(item.status, 'queued');
+    assert.strictEqual(item.attempts, 0);
+    assert.ok(new Date(item.next_attempt_at).getTime() > Date.now() + 60 * 1000);
+    assert.strictEqual(sentTo('33611111111').length, 1);
+  },
+
+  'batch de plus de 1000 messages: compteurs complets, batch toujours en cours': async () => {
+    const batch = await enqueue('33644444444', 'Bonjour');
+    const rows = Array.from({ length: 1000 }, (_, index) => ({
+      batch_id: batch.id,
+      user_id: OWNER,
+      recipient: `3360000${String(index).padStart(4, '0')}`,
+      body: 'Bonjour',
+      status: 'sent',
+    }));
+    await database.from('outbound_messages').insert(rows);
+    // Le message en file est après les 1000 premières lignes lues par l'API
+    const item = queued(batch.id);
+    await database.from('outbound_messages').delete().eq('id', item.id);
+    await database.from('outbound_messages').insert({ ...item, next_attempt_at: '2999-01-01T00:00:00.000Z' });
+
+    const { counts, status } = await getBatch(batch.id);
+    assert.deepStrictEqual(counts, { queued: 1, sending: 0, sent: 1000, failed: 0, cancelled: 0 });
+    assert.strictEqual(status, 'running');
+  },
+};
+
+runChecks(checks);
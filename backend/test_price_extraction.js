@@ -0,0 +1,167 @@
+// Prix lus dans les messages des vendeurs (utils/priceExtraction.js et detectPriceOffer).
+// Ajouter au tableau les messages mal compris rencontrés en production.
+const assert = require('assert');
+const { extractPrice } = require('./utils/priceExtraction');
+const { detectPriceOffer } = require('./models/priceoffer');
+const { runChecks } = require('./utils/runChecks');
+
+// [message, prix attendu (null = aucun prix), champs attendus en plus du prix]
+const CASES = [
+  // Chiffres, séparateurs et multiplicateurs
+  ['15000', 15000, { currency: 'EUR', type: 'offer' }],
+  ['15000€', 15000, { currency: 'EUR' }],
+  ['15 000 €', 15000, { currency: 'EUR' }],
+  ['15.000 euros', 15000, { currency: 'EUR' }],
+  ['15,000 EUR', 15000, { currency: 'EUR' }],
+  ['€ 15.500', 15500, { currency: 'EUR' }],
+  ['15k', 15000, {}],
+  ['15K€', 15000, { currency: 'EUR' }],
+  ['15.5k', 15500, {}],
+  ['15,5 k€', 15500, { currency: 'EUR' }],
+  ['15 keur', 15000, { currency: 'EUR' }],
+  ['15 mille', 15000, {}],
+  ['15 mille euros', 15000, { currency: 'EUR' }],
+  ['15 mille 500', 15500, {}],
+  ['15 000,00 €', 15000, { currency: 'EUR' }],
+  ['15 000,-', 15000, {}],
+  ['OK 15 000 € (espace insécable)', 15000, { currency: 'EUR' }],
+  ['9 500 balles', 9500, { currency: 'EUR' }],
+
+  // Nombres en toutes lettres
+  ['quinze mille', 15000, {}],
+  ['quinze mille euros', 15000, { currency: 'EUR' }],
+  ['quinze mille cinq cents', 15500, {}],
+  ['vingt-deux mille', 22000, {}],
+  ['vingt et un mille', 21000, {}],
+  ['quatre-vingt mille', 80000, {}],
+  ['dix-sept mille', 17000, {}],
+  ['septante mille', 70000, {}],
+  ['mille cinq cents euros', 1500, { currency: 'EUR' }],
+  ['cinq cents euros', 500, { currency: 'EUR' }],
+  ['fifteen thousand', 15000, {}],
+  ['twenty two thousand pounds', 22000, { currency: 'GBP' }],
+  ['fünfzehntausend Euro', 15000, { currency: 'EUR' }],
+  ['zweiundzwanzigtausend', 22000, {}],
+  ['zweitausendfünfhundert Euro', 2500, { currency: 'EUR' }],
+  ['vijftienduizend euro', 15000, { currency: 'EUR' }],
+  ['tweeëntwintigduizend', 22000, {}],
+
+  // Devises
+  ["CHF 15'000", 15000, { currency: 'CHF' }],
+  ["15'000 CHF", 15000, { currency: 'CHF' }],
+  ['15000 francs', 15000, { currency: 'CHF' }],
+  ['£15k', 15000, { currency: 'GBP' }],
+  ['15000 GBP', 15000, { currency: 'GBP' }],
+  ['15 grand', 15000, {}],
+
+  // Types: offre, prix demandé, prix plancher
+  ['Je vous propose 14500 €', 14500, { type: 'offer' }],
+  ['je peux vous la laisser à 14 000', 14000, { type: 'offer' }],
+  ['je peux descendre à 13500', 13500, { type: 'offer' }],
+  ['ok pour 14000', 14000, { type: 'offer' }],
+  ['I can do 12,500 pounds', 12500, { type: 'offer', currency: 'GBP' }],
+  ['Ich biete 9000 Euro', 9000, { type: 'offer' }],
+  ['Ik bied 9000 euro', 9000, { type: 'offer' }],
+  ['Le prix est de 17000 €', 17000, { type: 'ask' }],
+  ['je la vends 16 500 euros', 16500, { type: 'ask' }],
+  ['16500 à débattre', 16500, { type: 'ask' }],
+  ['Preis 16.500 VB', 16500, { type: 'ask' }],
+  ['vraagprijs 16500', 16500, { type: 'ask' }],
+  ['pas moins de 16000', 16000, { type: 'floor' }],
+  ['Pas en dessous de 16 000 €', 16000, { type: 'floor' }],
+  ['mon dernier prix est 15 500', 15500, { type: 'floor' }],
+  ['15500 dernier prix', 15500, { type: 'floor' }],
+  ['16k minimum', 16000, { type: 'floor' }],
+  ['not less than 16000', 16000, { type: 'floor' }],
+  ['mindestens 16.000 €', 16000, { type: 'floor' }],
+  ['niet minder dan 16000', 16000, { type: 'floor' }],
+  ['le prix affiché est 17000 mais je peux faire 16000', 16000, { type: 'offer' }],
+  ['dernière offre 15000', 15000, { type: 'floor' }],
+
+  // Fourchettes
+  ['entre 14 et 15k', 14000, { type: 'range', min: 14000, max: 15000 }],
+  ['entre 14000 et 15000 €', 14000, { type: 'range', min: 14000, max: 15000, currency: 'EUR' }],
+  ['14-15k', 14000, { type: 'range', min: 14000, max: 15000 }],
+  ['de 14 000 à 15 000 €', 14000, { type: 'range', min: 14000, max: 15000 }],
+  ['14 ou 15 mille', 14000, { type: 'range', min: 14000, max: 15000 }],
+  ['between 14 and 15k', 14000, { type: 'range', min: 14000, max: 15000 }],
+  ['zwischen 14 und 15 tausend', 14000, { type: 'range', min: 14000, max: 15000 }],
+  ['tussen 14 en 15 duizend', 14000, { type: 'range', min: 14000, max: 15000 }],
+  ['14/15k€', 14000, { type: 'range', min: 14000, max: 15000, currency: 'EUR' }],
+  ['entre 2000 et 2500 €', 2000, { type: 'range', min: 2000, max: 2500 }],
+
+  // Kilométrage, années et autres nombres
+  ['150 000 km', null],
+  ['elle a 150000 kms', null],
+  ['120k km', null],
+  ['compteur 98000', null],
+  ['kilométrage: 98 000', null],
+  ['2016', null],
+  ['modèle 2018', null],
+  ['Elle est de 2015', null],
+  ['immatriculée en 2019, très bon état', null],
+  ['190 ch', null],
+  ['150 PS', null],
+  ['1.6 l', null],
+  ['3 ans de garantie', null],
+  ['20%', null],
+  ['rdv à 14h30', null],
+  ['le 15/06 à 10:30', null],
+  ['appelez-moi au 0470 12 34 56', null],
+  ['mon numéro: +32 470 12 34 56', null],
+  ['5 portes, 2 propriétaires', null],
+  ['bonjour, la voiture est toujours disponible ?', null],
+  ['elle a 2 ans', null],
+  ['une voiture neuve', null],
+  ['un grand coffre', null],
+
+  // Messages mélangés
+  ['2016, 120 000 km, 9500 €', 9500, { currency: 'EUR' }],
+  ['Elle a 150000 km et je propose 9000 euros', 9000, { type: 'offer' }],
+  ['je propose 2000', 2000, { type: 'offer' }],
+  ['modèle 2018, prix 14500', 14500, { type: 'ask' }],
+  ['Bonjour, elle date de 2017 et a 95 000 km. Je peux descendre à 12 000 €.', 12000, { type: 'offer' }],
+  ['190 ch, 2019, 18.5k', 18500, {}],
+];
+
+// Messages sans prix assez sûr pour être enregistrés comme offre (detectPriceOffer)
+const NOT_DETECTED = [
+  'Oui elle est toujours disponible, les factures d entretien sont dans le dossier 15000 voir photos',
+  'elle a fait 15000',
+  'appelez-moi au 0470 12 34 56',
+];
+
+const checks = {};
+
+for (const [message, price, expected = {}] of CASES) {
+  checks[`"${message}"`] = () => {
+    const result = extractPrice(message);
+    if (price === null) {
+      assert.strictEqual(result, null, `aucun prix attendu, trouvé ${JSON.stringify(result)}`);
+      return;
+    }
+    assert.ok(result, 'aucun prix trouvé');
+    assert.strictEqual(result.price, price);
+    for (const [field, value] of Object.entries(expected)) {
+      assert.strictEqual(result[field], value, `${field}: ${result[field]} au lieu de ${value}`);
+    }
+  };
+}
+
+checks['detectPriceOffer: offres détectées avec type et confiance'] = () => {
+  const result = detectPriceOffer('je propose 15 mille');
+  assert.strictEqual(result.detected, true);
+  assert.strictEqual(result.price, 15000);
+  assert.strictEqual(result.currency, 'EUR');
+  assert.strictEqual(result.type, 'offer');
+  assert.ok(result.confidence >= 0.5 && result.confidence <= 1);
+  assert.deepStrictEqual(detectPriceOffer('entre 14 et 15k').min, 14000);
+};
+
+checks['detectPriceOffer: messages ignorés'] = () => {
+  for (const message of NOT_DETECTED) {
+    assert.strictEqual(detectPriceOffer(message).detected, false, message);
+  }
+};
+
+runChecks(checks);
@@ -0,0 +1,42 @@
+// Téléchargement d'URL fournies par les utilisateurs (utils/safeFetch.js): hôtes locaux, privés ou de
+// métadonnées cloud refusés avant toute connexion.
+const assert = require('assert');
+const { isPrivateAddress, fetchPublicUrl } = require('./utils/safeFetch');
+const { runChecks } = require('./utils/runChecks');
+
+// Function to check a download is refused with the expected HTTP status
+async function assertRefused(url, statusCode = 400) {
+  await assert.rejects(fetchPublicUrl(url, { maxBytes: 1024, timeoutMs: 2000 }), (error) => {
+    assert.strictEqual(error.statusCode, statusCode, `${url}: ${error.message}`);
+    return true;
+  });
+}
+
+const checks = {
+  'adresses privées, locales et de liaison locale reconnues': async () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', 'pas-une-ip']) {
+      assert.strictEqual(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '151.101.1.69', '2606:4700::6810:85e5']) {
+      assert.strictEqual(isPrivateAddress(address), false, address);
+    }
+  },
+
+  'IP privée écrite dans l\'URL refusée': async () => {
+    await assertRefused('http://127.0.0.1:3001/api/vehicles');
+    await assertRefused('http://169.254.169.254/latest/meta-data/');
+    await assertRefused('http://[::1]/');
+  },
+
+  'nom d\'hôte résolu vers une adresse locale refusé': async () => {
+    await assertRefused('http://localhost:3001/');
+  },
+
+  'protocoles autres que http(s) refusés': async () => {
+    await assertRefused('file:///etc/passwd');
+    await assertRefused('ftp://example.com/photo.jpg');
+    await assertRefused('pas une url');
+  },
+};
+
+runChecks(checks);
@@ -0,0 +1,100 @@
+// Machine à états des conversations (config/stateMachine.js): transitions autorisées, règles automatiques
+// et validation de la configuration.
+const assert = require('assert');
+const {
+  DEFAULT_STATE_MACHINE,
+  normalizeStateMachine,
+  canTransition,
+  findTriggeredRule,
+} = require('./config/stateMachine');
+const { runChecks } = require('./utils/runChecks');
+
+const machine = normalizeStateMachine(null);
+const price = (confidence = 0.8) => ({ priceOffer: { detected: true, price: 15000, currency: 'EUR', confidence } });
+
+const checks = {
+  'configuration par défaut': () => {
+    assert.deepStrictEqual(machine, normalizeStateMachine(DEFAULT_STATE_MACHINE));
+    assert.deepStrictEqual(machine.onEnter.negotiation, ['pause_bot']);
+  },
+
+  'transitions autorisées': () => {
+    assert.ok(canTransition(machine, 'active', 'negotiation'));
+    assert.ok(canTransition(machine, 'completed', 'active'));
+    assert.ok(!canTransition(machine, 'completed', 'negotiation'));
+    assert.ok(canTransition(machine, null, 'manual'), 'sans état, la conversation est active');
+  },
+
+  'offre de prix: active -> negotiation': () => {
+    assert.strictEqual(findTriggeredRule(machine, 'active', price()).id, 'price_offer');
+    assert.strictEqual(findTriggeredRule(machine, 'negotiation', price()), null);
+    assert.strictEqual(findTriggeredRule(machine, 'active', { priceOffer: { detected: false } }), null);
+  },
+
+  'indisponibilité prioritaire sur le prix': () => {
+    const rule = findTriggeredRule(machine, 'negotiation', { ...price(), unavailable: true });
+    assert.strictEqual(rule.id, 'vehicle_unavailable');
+    assert.strictEqual(rule.to, 'completed');
+    assert.ok(rule.hooks.includes('mark_vehicle_sold'));
+  },
+
+  'offre acceptée': () => {
+    assert.strictEqual(findTriggeredRule(machine, 'negotiation', { offerAccepted: true }).to, 'completed');
+    assert.strictEqual(findTriggeredRule(machine, 'completed', { offerAccepted: true }), null);
+  },
+
+  'silence: règle désactivée par défaut puis activée': () => {
+    assert.strictEqual(findTriggeredRule(machine, 'active', { silentHours: 100 }), null);
+
+    const withSilence = normalizeStateMachine({
+      ...machine,
+      rules: machine.rules.map(rule => (rule.guard === 'silence' ? { ...rule, enabled: true, silenceHours: 48 } : rule)),
+    });
+    assert.strictEqual(findTriggeredRule(withSilence, 'negotiation', { silentHours: 50 }).to, 'manual');
+    assert.strictEqual(findTriggeredRule(withSilence, 'negotiation', { silentHours: 47 }), null);
+    assert.strictEqual(findTriggeredRule(withSilence, 'manual', { silentHours: 50 }), null);
+  },
+
+  'confiance minimale du prix': () => {
+    const strict = normalizeStateMachine({
+      rules: [{ id: 'sure_price', guard: 'price_detected', from: ['active'], to: 'negotiation', minConfidence: 0.7 }],
+    });
+    assert.strictEqual(findTriggeredRule(strict, 'active', price(0.6)), null);
+    assert.strictEqual(findTriggeredRule(strict, 'active', price(0.9)).id, 'sure_price');
+  },
+
+  'règle vers une transition interdite ignorée': () => {
+    const locked = normalizeStateMachine({
+      transitions: { active: ['manual'] },
+      rules: [{ id: 'price', guard: 'price_detected', from: ['active'], to: 'negotiation' }],
+    });
+    assert.strictEqual(findTriggeredRule(locked, 'active', price()), null);
+  },
+
+  'configuration partielle complétée, doublons et boucles retirés': () => {
+    const partial = normalizeStateMachine({
+      transitions: { active: ['manual', 'manual', 'active'] },
+      onEnter: { manual: ['notify'] },
+    });
+    assert.deepStrictEqual(partial.transitions.active, ['manual']);
+    assert.deepStrictEqual(partial.transitions.negotiation, DEFAULT_STATE_MACHINE.transitions.negotiation);
+    assert.deepStrictEqual(partial.onEnter.manual, ['notify']);
+    assert.strictEqual(partial.rules.length, DEFAULT_STATE_MACHINE.rules.length);
+  },
+
+  'configuration invalide refusée (400)': () => {
+    const invalid = [
+      { transitions: { active: ['sold'] } },
+      { onEnter: { active: ['send_email'] } },
+      { rules: [{ guard: 'keyword', from: ['active'], to: 'manual' }] },
+      { rules: [{ guard: 'silence', from: ['active'], to: 'manual' }] },
+      { rules: [{ guard: 'price_detected', from: ['active'], to: 'negotiation', minConfidence: 2 }] },
+      { rules: [{ guard: 'offer_accepted', from: 'active', to: 'completed' }] },
+    ];
+    for (const config of invalid) {
+      assert.throws(() => normalizeStateMachine(config), (error) => error.statusCode === 400, JSON.stringify(config));
+    }
+  },
+};
+
+runChecks(checks);
@@ -0,0 +1,164 @@
+// Dédoublonnage des véhicules (services/vehicleDedup.js): paires par photo, téléphone ou caractéristiques,
+// regroupement en clusters et hash perceptuel des photos (images générées avec sharp, sans réseau).
+const assert = require('assert');
+const sharp = require('sharp');
+const { useMemorySupabase } = require('./utils/memorySupabase');
+
+const OWNER = 'user-1';
+const database = useMemorySupabase();
+
+const {
+  matchVehicles,
+  clusterVehicles,
+  perceptualHash,
+  imageHashDistance,
+  findDuplicateClusters,
+} = require('./services/vehicleDedup');
+const { runChecks } = require('./utils/runChecks');
+
+const vehicle = (id, fields) => ({
+  id,
+  brand: 'Volkswagen',
+  model: 'Golf',
+  year: 2018,
+  mileage: 85000,
+  phone: null,
+  image_hash: null,
+  contact_status: null,
+  removed_at: null,
+  created_at: '2025-03-01T00:00:00.000Z',
+  ...fields,
+});
+
+// Function to render the same synthetic photo (a gradient) in a given size and format
+function photo({ width = 320, height = 240, flip = false } = {}) {
+  const pixels = Buffer.alloc(320 * 240 * 3);
+  for (let y = 0; y < 240; y++) {
+    for (let x = 0; x < 320; x++) {
+      const index = (y * 320 + x) * 3;
+      pixels[index] = Math.round(x * 0.8);
+      pixels[index + 1] = Math.round(y * 1.05);
+      pixels[index + 2] = (x * y) % 256;
+    }
+  }
+  const image = sharp(pixels, { raw: { width: 320, height: 240, channels: 3 } });
+  return (flip ? image.flop() : image).resize(width, height);
+}
+
+const checks = {
+  'même voiture sur deux sites: "VW" et "Volkswagen", modèle plus détaillé, kilométrage arrondi': () => {
+    const match = matchVehicles(
+      vehicle('a', { brand: 'VW', model: 'Golf' }),
+      vehicle('b', { model: 'Golf 1.5 TSI Life', mileage: 85300 })
+    );
+    assert.deepStrictEqual(match, { similarity: 1, reasons: ['attributes'] });
+  },
+
+  'même numéro: doublon seulement avec des caractéristiques proches (un garage vend plusieurs voitures)': () => {
+    const a = vehicle('a', { phone: '0470 12 34 56', mileage: 60000 });
+    assert.deepStrictEqual(matchVehicles(a, vehicle('b', { phone: '+32470123456', year: 2017, mileage: 61000 })).reasons, ['phone']);
+    assert.strictEqual(matchVehicles(a, vehicle('c', { phone: '+32470123456', model: 'Polo', year: 2015 })), null);
+  },
+
+  'photos proches (quelques bits d\'écart): même photo, sinon aucune preuve': () => {
+    const a = vehicle('a', { brand: 'Peugeot', image_hash: '0f0f00ff33cc5aa5' });
+    assert.deepStrictEqual(matchVehicles(a, vehicle('b', { image_hash: '0f0f00ff33cc5aa4' })).reasons, ['image']);
+    assert.strictEqual(matchVehicles(a, vehicle('c', { image_hash: 'f0f0ff00cc33a55a' })), null);
+    assert.strictEqual(matchVehicles(vehicle('d', { image_hash: '' }), vehicle('e', { brand: 'Audi', image_hash: '' })), null);
+  },
+
+  'hash perceptuel: photo recompressée ou réduite reconnue, photo retournée différente': async () => {
+    const original = await perceptualHash(await photo().jpeg({ quality: 95 }).toBuffer());
+    const resized = await perceptualHash(await photo({ width: 160, height: 120 }).jpeg({ quality: 40 }).toBuffer());
+    const converted = await perceptualHash(await photo().webp().toBuffer());
+    const flipped = await perceptualHash(await photo({ flip: true }).png().toBuffer());
+
+    assert.match(original, /^[0-9a-f]{16}$/);
+    assert.ok(imageHashDistance(original, resized) <= 6, `écart ${imageHashDistance(original, resized)}`);
+    assert.ok(imageHashDistance(original, converted) <= 6, `écart ${imageHashDistance(original, converted)}`);
+    assert.ok(imageHashDistance(original, flipped) > 20, `écart ${imageHashDistance(original, flipped)}`);
+    assert.strictEqual(imageHashDistance(original, 'a'.repeat(64)), Infinity, 'ancien SHA-256 ignoré');
+  },
+
+  'clusters: paires chaînées regroupées, paires exclues ignorées, véhicule contacté conservé': () => {
+    const vehicles = [
+      vehicle('a', { brand: 'Renault', model: 'Clio', image_hash: '00000000000000ff' }),
+      vehicle('b', { brand: 'Dacia', model: 'Sandero', image_hash: '00000000000000fe', contact_status: 'contacted' }),
+      vehicle('c', { brand: 'Dacia', model: 'Sandero Stepway', mileage: 85100 }),
+      vehicle('d', { model: 'Polo', year: 2012 }),
+      vehicle('e', { model: 'Polo', year: 2012, mileage: 84900 }),
+    ];
+
+    const clusters = clusterVehicles(vehicles);
+    assert.deepStrictEqual(clusters.map(cluster => cluster.vehicles.map(item => item.id)), [['a', 'b', 'c'], ['d', 'e']]);
+    assert.strictEqual(clusters[0].matches.length, 2);
+    assert.strictEqual(clusters[0].suggestedSurvivorId, 'b');
+
+    const [remaining] = clusterVehicles(vehicles, new Set(['a:b', 'd:e']));
+    assert.deepStrictEqual(remaining.vehicles.map(item => item.id), ['b', 'c']);
+    assert.strictEqual(clusterVehicles(vehicles, new Set(['a:b', 'b:c', 'd:e'])).length, 0);
+  },
+
+  'blocs de comparaison: même marque et même année, ou même numéro et même marque': () => {
+    const fleet = Array.from({ length: 400 }, (_, index) => vehicle(`fleet-${index}`, {
+      brand: 'Renault',
+      model: `X${index}`,
+      year: 2000 + (index % 20),
+      mileage: 10000 + index * 1000,
+      phone: `+3247${String(index).padStart(7, '0')}`,
+    }));
+    assert.deepStrictEqual(clusterVehicles(fleet), []);
+
+    // Remise en ligne un an plus tard par le même vendeur: trouvée par le bloc du numéro
+    const relisted = vehicle('relisted', { brand: 'Renault', model: 'X7', year: 2008, mileage: 17000, phone: '047 000 00 07' });
+    const [cluster] = clusterVehicles([...fleet, relisted]);
+    assert.deepStrictEqual(cluster.vehicles.map(item => item.id), ['fleet-7', 'relisted']);
+    assert.deepStrictEqual(cluster.matches[0].reasons, ['phone']);
+  },
+
+  'images d\'annonces sur un hôte privé: jamais téléchargées, marquées comme analysées': async () => {
+    await database.from('vehicles').insert([
+      vehicle('v1', { user_id: OWNER, merged_into: null, image_url: 'http://127.0.0.1:9/photo.jpg' }),
+      vehicle('v2', { user_id: OWNER, merged_into: null, image_url: 'http://169.254.169.254/latest/meta-data' }),
+    ]);
+
+    // La requête n'attend pas l'analyse des images, faite en arrière-plan
+    const clusters = await findDuplicateClusters(OWNER);
+    assert.deepStrictEqual(clusters[0].matches[0].reasons, ['attributes']);
+    for (let attempt = 0; attempt < 50 && database.rows('vehicles').some(row => row.image_hash === null); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.deepStrictEqual(database.rows('vehicles').map(row => row.image_hash), ['', '']);
+  },
+
+  'plus de 1000 véhicules et exclusions: tous comparés, toutes les exclusions respectées': async () => {
+    const user = 'user-2';
+    const vehicles = Array.from({ length: 1100 }, (_, index) => vehicle(`stock-${index}`, {
+      user_id: user,
+      merged_into: null,
+      model: `X${index}`,
+      year: 2000 + (index % 20),
+      created_at: new Date(Date.parse('2025-01-01T00:00:00.000Z') + index * 60000).toISOString(),
+    }));
+    vehicles.push(
+      vehicle('late-a', { user_id: user, merged_into: null, model: 'T-Roc', created_at: '2025-06-01T00:00:00.000Z' }),
+      vehicle('late-b', { user_id: user, merged_into: null, model: 'T-Roc', created_at: '2025-06-02T00:00:00.000Z' }),
+      vehicle('late-c', { user_id: user, merged_into: null, model: 'Tiguan', created_at: '2025-06-03T00:00:00.000Z' }),
+      vehicle('late-d', { user_id: user, merged_into: null, model: 'Tiguan', created_at: '2025-06-04T00:00:00.000Z' }),
+    );
+    await database.from('vehicles').insert(vehicles);
+    const exclusions = Array.from({ length: 1000 }, (_, index) => ({
+      id: `exclusion-${String(index).padStart(4, '0')}`,
+      user_id: user,
+      vehicle_id: `stock-${index}`,
+      other_vehicle_id: `stock-${index + 1}`,
+    }));
+    exclusions.push({ id: 'exclusion-9999', user_id: user, vehicle_id: 'late-c', other_vehicle_id: 'late-d' });
+    await database.from('vehicle_duplicate_exclusions').insert(exclusions);
+
+    const clusters = await findDuplicateClusters(user);
+    assert.deepStrictEqual(clusters.map(cluster => cluster.vehicles.map(item => item.id)), [['late-a', 'late-b']]);
+  },
+};
+
+runChecks(checks);
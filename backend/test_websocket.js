@@ -2,7 +2,7 @@ const io = require('socket.io-client');
 
 console.log('🔌 Test de connexion WebSocket...');
 
-const socket = io('http://localhost:3001');
+const socket = io('http://localhost:3001', { auth: { apiKey: process.env.API_KEY } }); // API_KEY: une clé de API_KEYS
 
 socket.on('connect', () => {
   console.log('✅ Connexion WebSocket établie avec succès!');
@@ -0,0 +1,99 @@
+// Superviseur des sessions WhatsApp (services/whatsappSupervisor.js), sur des sessions jamais démarrées
+// dont l'état et la sonde de la page sont simulés.
+const assert = require('assert');
+const { getWhatsAppSession } = require('./services/whatsapp');
+const { registerChannel } = require('./services/channels');
+const { createWhatsAppAdapter } = require('./services/channels/whatsappAdapter');
+const {
+  getReconnectDelay,
+  checkSessions,
+  getWhatsAppHealth,
+  stopWhatsAppSupervisor,
+} = require('./services/whatsappSupervisor');
+const { runChecks } = require('./utils/runChecks');
+
+// Session simulée: `state` et le résultat de la sonde sont modifiables, les redémarrages sont comptés
+function createFakeSession(id, state, probeResult = { ok: true, state: 'CONNECTED', error: null }) {
+  const session = getWhatsAppSession(id, { userId: 'user-1' });
+  const fake = { state, probeResult, restarts: [] };
+  const realHealth = session.getHealth;
+  session.getHealth = () => ({ ...realHealth(), state: fake.state, stateSince: Date.now() - 1000 });
+  session.probe = async () => fake.probeResult;
+  session.restart = async (reason) => { fake.restarts.push(reason); };
+  registerChannel(createWhatsAppAdapter({ name: id, session, userId: 'user-1' }));
+  return { session, fake };
+}
+
+const healthOf = (id) => getWhatsAppHealth('user-1').sessions.find(session => session.id === id);
+
+const checks = {
+  'délai de reconnexion exponentiel et plafonné': async () => {
+    assert.strictEqual(getReconnectDelay(1), 5000);
+    assert.strictEqual(getReconnectDelay(2), 10000);
+    assert.strictEqual(getReconnectDelay(4), 40000);
+    assert.strictEqual(getReconnectDelay(20), 300000);
+  },
+
+  'session connectée et page qui répond: rien à faire': async () => {
+    createFakeSession('wa-ok', 'connected');
+    await checkSessions();
+    const health = healthOf('wa-ok');
+    assert.strictEqual(health.reconnectAttempts, 0);
+    assert.strictEqual(health.nextReconnectAt, null);
+    assert.strictEqual(health.lastCheck.ok, true);
+  },
+
+  'page bloquée: redémarrage après deux sondes en échec': async () => {
+    createFakeSession('wa-stuck', 'connected', { ok: false, state: null, error: 'No answer from the page' });
+    await checkSessions();
+    assert.strictEqual(healthOf('wa-stuck').nextReconnectAt, null, 'une seule sonde en échec ne suffit pas');
+    await checkSessions();
+    const health = healthOf('wa-stuck');
+    assert.strictEqual(health.reconnectAttempts, 1);
+    assert.ok(health.nextReconnectAt);
+  },
+
+  'déconnexion: reconnexion programmée, puis remise à zéro une fois prête': async () => {
+    const { session } = createFakeSession('wa-drop', 'connected');
+    await checkSessions();
+    session.events.emit('disconnected', 'NAVIGATION');
+    assert.strictEqual(healthOf('wa-drop').reconnectAttempts, 1);
+    assert.ok(healthOf('wa-drop').nextReconnectAt);
+
+    session.events.emit('ready', {});
+    assert.strictEqual(healthOf('wa-drop').reconnectAttempts, 0);
+    assert.strictEqual(healthOf('wa-drop').nextReconnectAt, null);
+  },
+
+  'premier démarrage en échec: nouvelle tentative': async () => {
+    createFakeSession('wa-failed', 'disconnected');
+    await checkSessions();
+    assert.strictEqual(healthOf('wa-failed').reconnectAttempts, 1);
+  },
+
+  'sessions jamais démarrées ou en attente du QR code non redémarrées': async () => {
+    for (const [id, state] of [['wa-idle', 'idle'], ['wa-qr', 'qr']]) {
+      createFakeSession(id, state);
+      await checkSessions();
+      assert.strictEqual(healthOf(id).reconnectAttempts, 0, state);
+    }
+  },
+
+  'session arrêtée depuis l\'application (déconnexion, suppression) non redémarrée': async () => {
+    const { session } = createFakeSession('wa-stopped', 'stopped');
+    await checkSessions();
+    session.events.emit('disconnected', 'LOGOUT');
+    assert.strictEqual(healthOf('wa-stopped').reconnectAttempts, 0);
+    assert.strictEqual(healthOf('wa-stopped').nextReconnectAt, null);
+  },
+
+  'état global: dégradé quand une partie des sessions est connectée': async () => {
+    const report = getWhatsAppHealth('user-1');
+    assert.strictEqual(report.status, 'degraded');
+    assert.ok(report.sessions.every(session => typeof session.uptimeSeconds === 'number'));
+    assert.strictEqual(getWhatsAppHealth('user-2').sessions.some(session => session.id === 'wa-ok'), false);
+  },
+};
+
+// Annule les reconnexions programmées
+runChecks(checks, { teardown: stopWhatsAppSupervisor });
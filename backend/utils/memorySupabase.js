@@ -0,0 +1,370 @@
+const crypto = require('crypto');
+
+// In-memory stand-in for the Supabase client, used by the test_*.js scripts to run the models and the
+// message pipeline without a database. It covers the query builder calls made by the models:
+// select / insert / upsert / update / delete, the filters (eq, in, is, not, gte, ilike, or...), order,
+// limit / range, single / maybeSingle, `count` and one level of embedded resources per relation
+// (`conversations(id, vehicles(*))`, resolved through the `<relation>_id` column).
+// Column defaults are given per table (values or functions), besides `id` and `created_at`, and like the
+// API a response holds at most `maxRows` rows (1000); constraints, RLS and functions (rpc) are not emulated.
+
+// Function to build the error of a query, shaped like the PostgREST ones
+function queryError(message, code = 'MEMORY') {
+  return { message, code, details: null, hint: null };
+}
+
+// Function to read a column, `relation.column` reading an embedded resource
+function readColumn(row, column) {
+  return column.split('.').reduce((value, key) => (value == null ? undefined : value[key]), row);
+}
+
+// Function to turn a LIKE pattern into a regular expression
+function likePattern(pattern, flags = '') {
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, flags);
+}
+
+// Function to parse a filter value written in a PostgREST string (`or`, `not`)
+function parseValue(value) {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+// Function to compare a column value with a filter value (numbers, dates and strings)
+function compare(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) - Number(b);
+  }
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+// Function to build the predicate of a filter operator
+function buildPredicate(column, operator, value) {
+  switch (operator) {
+    case 'eq': return row => readColumn(row, column) != null && compare(readColumn(row, column), value) === 0;
+    case 'neq': return row => readColumn(row, column) != null && compare(readColumn(row, column), value) !== 0;
+    case 'gt': return row => readColumn(row, column) != null && compare(readColumn(row, column), value) > 0;
+    case 'gte': return row => readColumn(row, column) != null && compare(readColumn(row, column), value) >= 0;
+    case 'lt': return row => readColumn(row, column) != null && compare(readColumn(row, column), value) < 0;
+    case 'lte': return row => readColumn(row, column) != null && compare(readColumn(row, column), value) <= 0;
+    case 'is': return row => (readColumn(row, column) ?? null) === value;
+    case 'in': {
+      const values = Array.isArray(value)
+        ? value
+        : String(value).replace(/^\(|\)$/g, '').split(',').map(parseValue);
+      return row => values.some(entry => readColumn(row, column) != null && compare(readColumn(row, column), entry) === 0);
+    }
+    case 'like': return row => readColumn(row, column) != null && likePattern(value).test(readColumn(row, column));
+    case 'ilike': return row => readColumn(row, column) != null && likePattern(value, 'i').test(readColumn(row, column));
+    default:
+      throw new Error(`Filter operator not supported by the memory database: ${operator}`);
+  }
+}
+
+// Function to parse the `column.operator.value` conditions of an `or` filter
+function parseOrFilter(expression) {
+  const predicates = expression.split(',').map(condition => {
+    const [column, operator, ...rest] = condition.split('.');
+    return buildPredicate(column, operator, parseValue(rest.join('.')));
+  });
+  return row => predicates.some(predicate => predicate(row));
+}
+
+// Function to split a select string into its columns and embedded resources
+// 'id, conversations!inner(id, vehicles(*))' -> { columns: ['id'], embeds: [{ name, inner, select }] }
+function parseSelect(select = '*') {
+  const columns = [];
+  const embeds = [];
+  let depth = 0;
+  let current = '';
+  const flush = () => {
+    const part = current.trim();
+    current = '';
+    if (!part) return;
+    const embed = /^(\w+)(!inner)?(?::\w+)?\((.*)\)$/s.exec(part);
+    if (embed) {
+      embeds.push({ name: embed[1], inner: Boolean(embed[2]), select: embed[3] });
+    } else {
+      columns.push(part);
+    }
+  };
+
+  for (const char of select) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      flush();
+    } else {
+      current += char;
+    }
+  }
+  flush();
+  return { columns, embeds };
+}
+
+// Function to list the columns that can reference a table: vehicles -> vehicle_id,
+// outbound_batches -> outbound_batch_id or batch_id
+function referenceColumns(table) {
+  const singular = table.replace(/ies$/, 'y').replace(/(ch|sh|x|s)es$/, '$1').replace(/s$/, '');
+  return [`${singular}_id`, `${singular.split('_').pop()}_id`];
+}
+
+// Function to create an in-memory client; `tables` seeds rows by table name, `defaults` gives the
+// column defaults of inserted rows by table name ({ status: 'queued', next_attempt_at: () => ... })
+function createMemorySupabase(tables = {}, { defaults = {}, maxRows = 1000 } = {}) {
+  const data = new Map(Object.entries(tables).map(([name, rows]) => [name, rows.map(row => ({ ...row }))]));
+
+  const getTable = (name) => {
+    if (!data.has(name)) {
+      data.set(name, []);
+    }
+    return data.get(name);
+  };
+
+  // Function to attach the embedded resources of a select to a row (a copy)
+  const embedRow = (table, row, embeds) => {
+    const result = { ...row };
+    for (const embed of embeds) {
+      const { columns, embeds: nested } = parseSelect(embed.select);
+      const foreignKey = referenceColumns(embed.name).find(column => column in row);
+      const backReference = referenceColumns(table);
+      const shape = (related) => project(embed.name, related, columns, nested);
+
+      if (foreignKey) {
+        const related = getTable(embed.name).find(candidate => candidate.id === row[foreignKey]);
+        result[embed.name] = related ? shape(related) : null;
+      } else {
+        result[embed.name] = getTable(embed.name)
+          .filter(candidate => backReference.some(column => candidate[column] === row.id))
+          .map(shape);
+      }
+    }
+    return result;
+  };
+
+  // Function to keep the selected columns of a row, with its embedded resources
+  const project = (table, row, columns, embeds) => {
+    const embedded = embedRow(table, row, embeds);
+    if (columns.length === 0 || columns.includes('*')) {
+      return embedded;
+    }
+    const result = {};
+    for (const column of columns) {
+      result[column] = row[column] ?? null;
+    }
+    for (const embed of embeds) {
+      result[embed.name] = embedded[embed.name];
+    }
+    return result;
+  };
+
+  const from = (table) => {
+    const state = {
+      action: 'select',
+      values: null,
+      options: {},
+      select: null,
+      count: null,
+      head: false,
+      filters: [],
+      orders: [],
+      limit: null,
+      range: null,
+      single: null
+    };
+
+    const builder = {
+      select(columns = '*', { count = null, head = false } = {}) {
+        state.select = columns;
+        state.count = count;
+        state.head = head;
+        return builder;
+      },
+      insert(values) {
+        state.action = 'insert';
+        state.values = values;
+        return builder;
+      },
+      upsert(values, options = {}) {
+        state.action = 'upsert';
+        state.values = values;
+        state.options = options;
+        return builder;
+      },
+      update(values) {
+        state.action = 'update';
+        state.values = values;
+        return builder;
+      },
+      delete() {
+        state.action = 'delete';
+        return builder;
+      },
+      filter(column, operator, value) {
+        state.filters.push(buildPredicate(column, operator, value));
+        return builder;
+      },
+      not(column, operator, value) {
+        const predicate = buildPredicate(column, operator, operator === 'is' ? parseValue(String(value)) : value);
+        state.filters.push(row => !predicate(row));
+        return builder;
+      },
+      or(expression) {
+        state.filters.push(parseOrFilter(expression));
+        return builder;
+      },
+      match(values) {
+        Object.entries(values).forEach(([column, value]) => builder.eq(column, value));
+        return builder;
+      },
+      order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+        state.orders.push({ column, ascending, nullsFirst });
+        return builder;
+      },
+      limit(count) {
+        state.limit = count;
+        return builder;
+      },
+      range(fromIndex, toIndex) {
+        state.range = [fromIndex, toIndex];
+        return builder;
+      },
+      single() {
+        state.single = 'single';
+        return builder;
+      },
+      maybeSingle() {
+        state.single = 'maybe';
+        return builder;
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(() => run(table, state)).then(resolve, reject);
+      }
+    };
+    ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'like', 'ilike'].forEach(operator => {
+      builder[operator] = (column, value) => builder.filter(column, operator, value);
+    });
+    return builder;
+  };
+
+  // Function to sort, paginate and shape the rows a query returns
+  const respond = (table, rows, state) => {
+    const { columns, embeds } = parseSelect(state.select || '*');
+    let result = rows.map(row => embedRow(table, row, embeds));
+
+    // `!inner` embeds drop the rows without a match, filters on `relation.column` apply to the embed
+    result = result.filter(row => embeds.every(embed => !embed.inner || (Array.isArray(row[embed.name]) ? row[embed.name].length > 0 : row[embed.name])));
+
+    for (const { column, ascending, nullsFirst } of [...state.orders].reverse()) {
+      result.sort((a, b) => {
+        const valueA = readColumn(a, column);
+        const valueB = readColumn(b, column);
+        if (valueA == null || valueB == null) {
+          if (valueA == null && valueB == null) return 0;
+          return (valueA == null) === nullsFirst ? -1 : 1;
+        }
+        return ascending ? compare(valueA, valueB) : compare(valueB, valueA);
+      });
+    }
+
+    const count = result.length;
+    if (state.range) {
+      result = result.slice(state.range[0], state.range[1] + 1);
+    }
+    result = result.slice(0, state.limit !== null ? Math.min(state.limit, maxRows) : maxRows);
+    result = result.map(row => {
+      const shaped = project(table, row, columns, []);
+      embeds.forEach(embed => { shaped[embed.name] = row[embed.name]; });
+      return shaped;
+    });
+
+    if (state.head) {
+      return { data: null, error: null, count };
+    }
+    if (state.single) {
+      if (result.length > 1 || (result.length === 0 && state.single === 'single')) {
+        return { data: null, error: queryError(`JSON object requested, ${result.length} rows returned`, 'PGRST116'), count };
+      }
+      return { data: result[0] || null, error: null, count };
+    }
+    return { data: result, error: null, count: state.count ? count : null };
+  };
+
+  const run = (table, state) => {
+    const rows = getTable(table);
+    // Filters on embedded columns are checked once the resources are embedded
+    const matches = (row) => {
+      const { embeds } = parseSelect(state.select || '*');
+      const embedded = embeds.length > 0 ? embedRow(table, row, embeds) : row;
+      return state.filters.every(predicate => predicate(embedded));
+    };
+    const returning = state.select !== null;
+
+    if (state.action === 'select') {
+      return respond(table, rows.filter(matches), state);
+    }
+
+    if (state.action === 'insert' || state.action === 'upsert') {
+      const values = Array.isArray(state.values) ? state.values : [state.values];
+      const conflictColumns = state.action === 'upsert' ? (state.options.onConflict || 'id').split(',').map(column => column.trim()) : null;
+      const written = [];
+
+      for (const value of values) {
+        const existing = conflictColumns && rows.find(row => conflictColumns.every(column => value[column] != null && row[column] === value[column]));
+        if (existing) {
+          if (!state.options.ignoreDuplicates) {
+            Object.assign(existing, value);
+            written.push(existing);
+          }
+          continue;
+        }
+        const tableDefaults = Object.fromEntries(Object.entries(defaults[table] || {})
+          .map(([column, defaultValue]) => [column, typeof defaultValue === 'function' ? defaultValue() : defaultValue]));
+        const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...tableDefaults, ...value };
+        rows.push(row);
+        written.push(row);
+      }
+      return returning ? respond(table, written, { ...state, filters: [], orders: [] }) : { data: null, error: null };
+    }
+
+    if (state.action === 'update') {
+      const updated = rows.filter(matches);
+      updated.forEach(row => Object.assign(row, state.values));
+      return returning ? respond(table, updated, state) : { data: null, error: null };
+    }
+
+    if (state.action === 'delete') {
+      const deleted = rows.filter(matches);
+      data.set(table, rows.filter(row => !deleted.includes(row)));
+      return returning ? respond(table, deleted, state) : { data: null, error: null };
+    }
+
+    return { data: null, error: queryError(`Unknown action: ${state.action}`) };
+  };
+
+  return {
+    from,
+    rpc: async (name) => ({ data: null, error: queryError(`Function not available in the memory database: ${name}`) }),
+    // Rows of a table, to check what the code under test wrote
+    rows: (table) => getTable(table).map(row => ({ ...row })),
+    reset: () => data.clear()
+  };
+}
+
+// Function to make the app use an in-memory database: to call before requiring the models, which keep
+// the client they get from services/database when they load
+function useMemorySupabase(tables = {}, options = {}) {
+  const database = require('../services/database');
+  database.supabase = createMemorySupabase(tables, options);
+  return database.supabase;
+}
+
+module.exports = {
+  createMemorySupabase,
+  useMemorySupabase,
+};
@@ -0,0 +1,391 @@
+// Price extraction from seller messages (French, English, German, Dutch)
+// The message is split into tokens (numbers, words, symbols); numbers written with digits, thousands
+// separators, "k"/"mille" multipliers or in words ("quinze mille", "fünfzehntausend") are grouped into
+// quantities, then each quantity is classified from its neighbours: unit (km, ch, ans...), currency,
+// keywords before or after it (offer, floor, asking price) and ranges ("entre 14 et 15k").
+
+// Prices outside these bounds are not car prices
+const MIN_PRICE = 300;
+const MAX_PRICE = 500000;
+// Oldest model year recognised as a year rather than a price
+const MIN_YEAR = 1950;
+
+// Currencies: symbols and words -> ISO code
+const CURRENCIES = {
+  '€': 'EUR', eur: 'EUR', euro: 'EUR', euros: 'EUR', balles: 'EUR', boules: 'EUR',
+  chf: 'CHF', fr: 'CHF', frs: 'CHF', sfr: 'CHF', franken: 'CHF', francs: 'CHF', franc: 'CHF',
+  '£': 'GBP', gbp: 'GBP', pound: 'GBP', pounds: 'GBP', livres: 'GBP', quid: 'GBP',
+};
+
+// Units after which a number is not a price
+const UNITS = {
+  km: 'mileage', kms: 'mileage', kilometre: 'mileage', kilometres: 'mileage', kilometer: 'mileage',
+  kilometers: 'mileage', miles: 'mileage', mi: 'mileage',
+  ch: 'power', cv: 'power', hp: 'power', ps: 'power', kw: 'power', pk: 'power', chevaux: 'power',
+  cc: 'engine', cm: 'engine', cm3: 'engine', l: 'engine', litres: 'engine', liter: 'engine', tdi: 'engine', tsi: 'engine',
+  an: 'duration', ans: 'duration', annees: 'duration', years: 'duration', year: 'duration', jahre: 'duration',
+  jaar: 'duration', mois: 'duration', months: 'duration', monate: 'duration', maanden: 'duration',
+  jours: 'duration', days: 'duration', tage: 'duration', dagen: 'duration', semaines: 'duration', weeks: 'duration',
+  h: 'time', heures: 'time', heure: 'time', uhr: 'time', uur: 'time',
+  portes: 'count', places: 'count', doors: 'count', seats: 'count', turen: 'count', deuren: 'count',
+  proprietaires: 'count', owners: 'count', personnes: 'count', photos: 'count',
+};
+
+// Number words: value and role ('unit' adds, 'hundred' multiplies the current group, 'thousand' closes it)
+const NUMBER_WORDS = {};
+const addNumberWords = (role, entries) => {
+  for (const [words, value] of entries) {
+    for (const word of words.split(' ')) NUMBER_WORDS[word] = { value, role };
+  }
+};
+addNumberWords('unit', [
+  // French (with the Belgian and Swiss tens)
+  ['un une', 1], ['deux', 2], ['trois', 3], ['quatre', 4], ['cinq', 5], ['six', 6], ['sept', 7], ['huit', 8],
+  ['neuf', 9], ['dix', 10], ['onze', 11], ['douze', 12], ['treize', 13], ['quatorze', 14], ['quinze', 15],
+  ['seize', 16], ['vingt vingts', 20], ['trente', 30], ['quarante', 40], ['cinquante', 50], ['soixante', 60],
+  ['septante', 70], ['huitante octante', 80], ['nonante', 90],
+  // English
+  ['one', 1], ['two', 2], ['three', 3], ['four', 4], ['five', 5], ['seven', 7], ['eight', 8], ['nine', 9],
+  ['ten', 10], ['eleven', 11], ['twelve', 12], ['thirteen', 13], ['fourteen', 14], ['fifteen', 15],
+  ['sixteen', 16], ['seventeen', 17], ['eighteen', 18], ['nineteen', 19], ['twenty', 20], ['thirty', 30],
+  ['forty', 40], ['fifty', 50], ['sixty', 60], ['seventy', 70], ['eighty', 80], ['ninety', 90],
+  // German
+  ['ein eins eine', 1], ['zwei', 2], ['drei', 3], ['vier', 4], ['funf', 5], ['sechs', 6], ['sieben', 7],
+  ['acht', 8], ['neun', 9], ['zehn', 10], ['elf', 11], ['zwolf', 12], ['dreizehn', 13], ['vierzehn', 14],
+  ['funfzehn', 15], ['sechzehn', 16], ['siebzehn', 17], ['achtzehn', 18], ['neunzehn', 19], ['zwanzig', 20],
+  ['dreissig', 30], ['vierzig', 40], ['funfzig', 50], ['sechzig', 60], ['siebzig', 70], ['achtzig', 80],
+  ['neunzig', 90],
+  // Dutch
+  ['een', 1], ['twee', 2], ['drie', 3], ['vijf', 5], ['zes', 6], ['zeven', 7], ['negen', 9], ['tien', 10],
+  ['twaalf', 12], ['dertien', 13], ['veertien', 14], ['vijftien', 15], ['zestien', 16], ['zeventien', 17],
+  ['achttien', 18], ['negentien', 19], ['twintig', 20], ['dertig', 30], ['veertig', 40], ['vijftig', 50],
+  ['zestig', 60], ['zeventig', 70], ['tachtig', 80], ['negentig', 90],
+]);
+addNumberWords('hundred', [['cent cents hundred hundert honderd', 100]]);
+addNumberWords('thousand', [['mille thousand tausend duizend', 1000]]);
+// Multipliers only understood after digits ("15k", "15 grand"; "un grand coffre" is not a price)
+const DIGIT_MULTIPLIERS = { k: 1000, grand: 1000, keur: 1000 };
+// Words joining number words ("vingt et un", "zweiundzwanzig", "tweeëntwintig")
+const NUMBER_CONNECTORS = new Set(['et', 'and', 'und', 'en']);
+
+// Keywords, on the normalized text (lowercase, no accents)
+const FLOOR_RE = /\b((pas|rien) (a )?(moins|en dessous) (de|d)|minimum|au moins|plancher|dernier prix|prix final|derniere offre|pas en dessous|not (less|lower|under) than|no (less|lower) than|at least|lowest|bottom|last price|final price|mindestens|nicht (weniger|unter)|letzter preis|unter \w+ nicht|minstens|niet (minder|lager|onder)|laatste prijs|min)\b/;
+const OFFER_RE = /\b(je (vous )?(la |le )?(propose|offre|donne|fais|laisse|cede)|je peux (vous )?(la |le )?(faire|descendre|laisser|ceder|accepter)|(ok|d ?accord) (pour|a)|propos\w*|offre|i (can|could|would) (do|go|accept|let it go)|i offer|i d (take|accept)|(my )?offer|ich (biete|mache|gebe|kann|wurde)|angebot|biete|ik (bied|doe|kan|wil)|bod|bieden)\b/;
+const ASK_RE = /\b(prix|tarif|demande|je (la |le )?vends|vendue? a|affiche|annonce|asking|price|preis|kostet|verkaufe|vraagprijs|prijs|kost|negociable|a debattre|a discuter|vb|verhandelbar|verhandlungsbasis|bespreekbaar|ono|obo)\b/;
+// Words announcing a year ("modèle 2016") or a mileage ("compteur 150000")
+const YEAR_CONTEXT_RE = /\b(annee|modele|model|since|depuis|seit|sinds|bj|baujahr|bouwjaar|immatricul\w*|mec|circulation|ez|erstzulassung|jahrgang)\s*$/;
+const MILEAGE_CONTEXT_RE = /\b(kilometrage|compteur|a fait|kilometerstand|tacho|mileage|odometer|roule|gelaufen|gereden|kilometers?)\b/;
+// Range: "entre 14 et 15k", "14-15k", "de 14 000 a 15 000", "zwischen 14 und 15 tausend"
+const RANGE_CONNECTORS = new Set(['-', 'a', 'et', 'to', 'and', 'bis', 'und', 'tot', 'en', 'ou', 'or', 'oder', 'of', '/']);
+const RANGE_OPENERS_RE = /\b(entre|between|zwischen|tussen|de|from|von|van)\s*$/;
+
+// Function to normalize a message for matching (lowercase, no accents, apostrophes as spaces except between digits)
+function normalizeMessage(message) {
+  return String(message || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ß/g, 'ss')
+    .replace(/[\u00a0\u202f]/g, ' ')
+    .replace(/(\d)['’](?=\d{3}(?!\d))/g, '$1 ') // Swiss thousands separator: 15'000
+    .replace(/['’]/g, ' ');
+}
+
+// Function to read a number written with digits ("15 000", "15.500", "15,5") -> { value, decimal }
+function parseDigits(raw) {
+  const match = raw.match(/^(.*?)(?:[.,](\d{1,2}))?$/);
+  const integer = parseInt(match[1].replace(/[^\d]/g, ''), 10);
+  return { value: match[2] ? parseFloat(`${integer}.${match[2]}`) : integer, decimal: Boolean(match[2]) };
+}
+
+// Function to split a compound number word ("funfzehntausend", "tweeentwintig") into number words
+// Returns null when the word is not entirely made of number words
+function splitNumberWord(word, memo = new Map()) {
+  if (word === '') return [];
+  if (memo.has(word)) return memo.get(word);
+  let result = null;
+  for (let length = Math.min(word.length, 10); length >= 2 && !result; length--) {
+    const head = word.slice(0, length);
+    if (NUMBER_WORDS[head] || NUMBER_CONNECTORS.has(head)) {
+      const rest = splitNumberWord(word.slice(length), memo);
+      if (rest) result = [head, ...rest];
+    }
+  }
+  memo.set(word, result);
+  return result;
+}
+
+// Function to split a normalized message into tokens: numbers, words and symbols, with their position
+function tokenize(text) {
+  const tokens = [];
+  const tokenRe = /(\d{1,3}(?:[ .,]\d{3}(?!\d))+(?:[.,]\d{1,2}(?!\d))?|\d+(?:[.,]\d{1,2}(?!\d))?)|([a-z]+\d*)|([€£$%/:+\-.!?,;])/g;
+  let match;
+  while ((match = tokenRe.exec(text))) {
+    const [raw, digits, word] = match;
+    const base = { raw, start: match.index, end: match.index + raw.length };
+    if (digits) {
+      tokens.push({ ...base, kind: 'digits', ...parseDigits(digits) });
+    } else if (word) {
+      const parts = !NUMBER_WORDS[word] && word.length > 6 ? splitNumberWord(word) : null;
+      const valid = parts && parts.length > 1 && !NUMBER_CONNECTORS.has(parts[0]) && !NUMBER_CONNECTORS.has(parts[parts.length - 1]);
+      if (valid) {
+        parts.forEach(part => tokens.push({ ...base, raw: part, kind: 'word', text: part }));
+      } else {
+        tokens.push({ ...base, kind: 'word', text: word });
+      }
+    } else {
+      tokens.push({ ...base, kind: 'symbol', text: raw });
+    }
+  }
+  return tokens;
+}
+
+// Function to check whether a token continues a number phrase started before it
+// After digits only a multiplier may follow ("15 mille", "15k"): "15000 un prix" is not 15001
+function continuesNumber(tokens, index, hasDigits) {
+  const token = tokens[index];
+  if (!token || token.kind === 'digits') return false;
+  if (hasDigits) {
+    return token.kind === 'word' && (Boolean(DIGIT_MULTIPLIERS[token.text]) || NUMBER_WORDS[token.text]?.role === 'thousand');
+  }
+  if (token.kind === 'word' && NUMBER_WORDS[token.text]) return true;
+  // "vingt et un", "vingt-deux": a connector between two number words
+  const next = tokens[index + 1];
+  const joins = (token.kind === 'word' && NUMBER_CONNECTORS.has(token.text))
+    || (token.kind === 'symbol' && token.text === '-' && next && next.start === token.end);
+  return Boolean(joins && next && next.kind === 'word' && NUMBER_WORDS[next.text]);
+}
+
+// Function to group tokens into quantities: "15 000", "15k", "15.5 k", "15 mille", "quinze mille cinq cents"
+function readQuantities(tokens) {
+  const quantities = [];
+  let index = 0;
+  while (index < tokens.length) {
+    const first = tokens[index];
+    const hasDigits = first.kind === 'digits';
+    if (!hasDigits && !(first.kind === 'word' && NUMBER_WORDS[first.text])) {
+      index++;
+      continue;
+    }
+
+    let total = 0;
+    let current = 0;
+    let multiplied = false;
+    let currency = null;
+    let previousUnit = null;
+    const add = (token) => {
+      if (token.kind === 'digits') {
+        current = token.value;
+        return;
+      }
+      const word = NUMBER_WORDS[token.text];
+      if (DIGIT_MULTIPLIERS[token.text] || word?.role === 'thousand') {
+        total += (current || 1) * (DIGIT_MULTIPLIERS[token.text] || word.value);
+        current = 0;
+        multiplied = true;
+        if (token.text === 'keur') currency = 'EUR';
+      } else if (word?.role === 'hundred') {
+        current = (current || 1) * 100;
+        previousUnit = null;
+      } else if (word) {
+        // "quatre-vingt" is 4 x 20
+        current += word.value === 20 && previousUnit === 4 ? 76 : word.value;
+        previousUnit = word.value;
+      }
+    };
+
+    let end = index;
+    add(first);
+    while (continuesNumber(tokens, end + 1, hasDigits)) {
+      end++;
+      add(tokens[end]);
+    }
+    // "15 mille 500"
+    const rest = tokens[end + 1];
+    if (hasDigits && multiplied && rest && rest.kind === 'digits' && !rest.decimal && /^\d{3}$/.test(rest.raw)) {
+      end++;
+      current = rest.value;
+    }
+
+    quantities.push({
+      value: total + current,
+      firstIndex: index,
+      lastIndex: end,
+      start: first.start,
+      end: tokens[end].end,
+      digits: hasDigits ? first.raw : null,
+      decimal: hasDigits && first.decimal,
+      multiplied,
+      currency,
+    });
+    index = end + 1;
+  }
+  return quantities;
+}
+
+// Function to find the currency written next to a quantity ("15 000 €", "CHF 15'000", "£15k")
+function findCurrency(tokens, quantity) {
+  const next = tokens[quantity.lastIndex + 1];
+  const previous = tokens[quantity.firstIndex - 1];
+  if (next && CURRENCIES[next.text]) return CURRENCIES[next.text];
+  if (previous && CURRENCIES[previous.text]) return CURRENCIES[previous.text];
+  return quantity.currency;
+}
+
+// Function to tell what a quantity which is not a price measures (mileage, power, phone...), or null
+function findNonPriceKind(tokens, quantity, before) {
+  const next = tokens[quantity.lastIndex + 1];
+  const afterNext = tokens[quantity.lastIndex + 2];
+  const previous = tokens[quantity.firstIndex - 1];
+  const digits = quantity.digits ? quantity.digits.replace(/\D/g, '') : null;
+  const unit = next && next.kind === 'word' ? UNITS[next.text.replace(/\d+$/, '')] : null;
+  if (unit) return unit;
+  if (next && next.text === '%') return 'percent';
+  if ((next && next.text === ':') || (previous && previous.text === ':')) return 'time';
+  // "0470 12 34 56", "+32 470 12 34 56"
+  if (digits && (/^0\d{3,}/.test(digits) || digits.length > 7 || (previous && previous.text === '+'))) return 'phone';
+  if (next && next.kind === 'digits' && next.raw.length === 2 && afterNext && afterNext.kind === 'digits' && afterNext.raw.length === 2) return 'phone';
+  if (MILEAGE_CONTEXT_RE.test(before.slice(-30))) return 'mileage';
+  return null;
+}
+
+// Function to check whether a quantity is written like a year (four digits, from 1950 to next year)
+function isYearLike(quantity) {
+  return Boolean(quantity.digits && /^\d{4}$/.test(quantity.digits)
+    && quantity.value >= MIN_YEAR && quantity.value <= new Date().getFullYear() + 1);
+}
+
+// Function to check whether a quantity is a model year ("2016", "modèle 2018") rather than a price
+// A year-like number is a price only after a price keyword ("je propose 2000"), unless a year word precedes it
+function isYear(quantity, before, hasKeyword) {
+  if (!isYearLike(quantity) || quantity.currency) return false;
+  return !hasKeyword || YEAR_CONTEXT_RE.test(before);
+}
+
+// Function to read the type of a price from the words around it
+function findPriceType(before, after) {
+  if (FLOOR_RE.test(before) || FLOOR_RE.test(after)) return 'floor';
+  if (OFFER_RE.test(before)) return 'offer';
+  if (ASK_RE.test(before) || ASK_RE.test(after)) return 'ask';
+  return null;
+}
+
+// Function to rate how sure we are that a quantity is a price (0..1)
+function getConfidence({ currency, multiplied, type, range, wordCount, yearLike }) {
+  let confidence = 0.4;
+  if (currency) confidence += 0.3;
+  else if (multiplied) confidence += 0.2;
+  if (type) confidence += 0.2;
+  if (range) confidence += 0.1;
+  if (wordCount <= 6) confidence += 0.1;
+  if (yearLike) confidence -= 0.2;
+  return Math.round(Math.max(0.1, Math.min(1, confidence)) * 100) / 100;
+}
+
+// Function to extract every price of a message
+// Returns [{ price, currency, type: 'ask'|'offer'|'floor'|'range', confidence, min?, max?, explicitCurrency }]
+// in the order of the message; other numbers (mileage, years, power, phone numbers...) are left out
+function extractPrices(message) {
+  const text = normalizeMessage(message);
+  const tokens = tokenize(text);
+  const wordCount = tokens.filter(token => token.kind !== 'symbol').length;
+  const quantities = readQuantities(tokens);
+
+  // Sentence boundaries limit the keywords read before and after a quantity
+  const sentenceStart = (position) => Math.max(text.lastIndexOf('.', position - 2), text.lastIndexOf('!', position - 1), text.lastIndexOf('?', position - 1)) + 1;
+  const candidates = [];
+  let previousEnd = 0;
+
+  for (let i = 0; i < quantities.length; i++) {
+    const quantity = quantities[i];
+    const before = text.slice(Math.max(previousEnd, sentenceStart(quantity.start), quantity.start - 60), quantity.start).trim();
+    const nextStart = quantities[i + 1] ? quantities[i + 1].start : text.length;
+    const after = text.slice(quantity.end, Math.min(nextStart, quantity.end + 30)).replace(/[.!?].*$/, '');
+    previousEnd = quantity.end;
+
+    quantity.currency = findCurrency(tokens, quantity);
+    const nonPrice = findNonPriceKind(tokens, quantity, before);
+    const type = findPriceType(before, after);
+    candidates.push({
+      quantity,
+      before,
+      type,
+      excluded: nonPrice || (isYear(quantity, before, Boolean(type)) ? 'year' : null),
+    });
+  }
+
+  // Ranges: two quantities joined by a connector; the multiplier and currency of the second apply to the first
+  const prices = [];
+  for (let i = 0; i < candidates.length; i++) {
+    const candidate = candidates[i];
+    const next = candidates[i + 1];
+    const { quantity } = candidate;
+    const connector = next && next.quantity.firstIndex === quantity.lastIndex + 2 ? tokens[quantity.lastIndex + 1] : null;
+    const isRange = connector && RANGE_CONNECTORS.has(connector.text) && !next.excluded
+      && (!candidate.excluded || candidate.excluded === 'year')
+      && (connector.text !== '/' || next.quantity.multiplied || next.quantity.currency)
+      && (!['et', 'and', 'und', 'en', 'a'].includes(connector.text) || RANGE_OPENERS_RE.test(candidate.before) || connector.text === 'a');
+
+    if (isRange) {
+      let low = quantity.value;
+      const high = next.quantity.value;
+      if (!quantity.multiplied && next.quantity.multiplied && low * 1000 <= high && low * 1000 >= high / 2) low *= 1000;
+      if (low < high && low >= MIN_PRICE && high <= MAX_PRICE && high <= low * 2) {
+        const currency = next.quantity.currency || quantity.currency;
+        prices.push({
+          price: low,
+          min: low,
+          max: high,
+          currency: currency || 'EUR',
+          type: candidate.type === 'floor' ? 'floor' : 'range',
+          explicitCurrency: Boolean(currency),
+          confidence: getConfidence({ currency, multiplied: next.quantity.multiplied, type: candidate.type, range: true, wordCount }),
+          start: quantity.start,
+        });
+        i++;
+        continue;
+      }
+    }
+
+    if (candidate.excluded || quantity.value < MIN_PRICE || quantity.value > MAX_PRICE) continue;
+    if (quantity.decimal && !quantity.multiplied && !quantity.currency) continue;
+
+    prices.push({
+      price: Math.round(quantity.value),
+      currency: quantity.currency || 'EUR',
+      type: candidate.type || 'offer',
+      explicitCurrency: Boolean(quantity.currency),
+      confidence: getConfidence({
+        currency: quantity.currency,
+        multiplied: quantity.multiplied,
+        type: candidate.type,
+        wordCount,
+        yearLike: isYearLike(quantity),
+      }),
+      start: quantity.start,
+    });
+  }
+
+  return prices.map(({ start, ...price }) => price);
+}
+
+// Priority of the price types when a message holds several prices ("le prix est 17000 mais je peux faire 16000")
+const TYPE_PRIORITY = { floor: 4, offer: 3, range: 2, ask: 1 };
+
+// Function to extract the main price of a message (null if none)
+function extractPrice(message) {
+  const prices = extractPrices(message);
+  if (prices.length === 0) return null;
+  return prices.reduce((best, price) => {
+    const score = TYPE_PRIORITY[price.type] + price.confidence;
+    const bestScore = TYPE_PRIORITY[best.type] + best.confidence;
+    return score >= bestScore ? price : best;
+  });
+}
+
+module.exports = {
+  normalizeMessage,
+  tokenize,
+  extractPrices,
+  extractPrice,
+};
@@ -0,0 +1,27 @@
+// Runner of the test_*.js scripts: each check is a named function (sync or async) throwing on failure.
+// The checks run in order, one ✅/❌ line each, then the total; the process exits with status 1 if one failed.
+// `teardown` runs after the checks (servers to close, timers to cancel, files to remove).
+async function runChecks(checks, { teardown = null } = {}) {
+  const entries = Object.entries(checks);
+  let failed = 0;
+  for (const [name, check] of entries) {
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  if (teardown) {
+    await teardown();
+  }
+
+  console.log(`\n${entries.length - failed}/${entries.length} vérifications réussies`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+module.exports = {
+  runChecks,
+};
@@ -0,0 +1,162 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+// Download of URLs given by users or scraped from listings: only public hosts are reached (no loopback,
+// private network, link-local / cloud metadata address), checked on the address actually connected to and
+// again after each redirect, with a time limit and a size limit enforced while the body streams.
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 3;
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// Function to build an error carrying its HTTP status
+function fetchError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Function to tell whether an IP address is not reachable from the internet (invalid addresses count too)
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  if (!family) {
+    return true;
+  }
+  return BLOCKED_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// DNS lookup for http.request refusing hosts that resolve to a private address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(fetchError(`Host not allowed: ${hostname}`, 400));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Function to parse an http(s) URL, rejecting other protocols and literal private addresses
+function parsePublicUrl(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    parsedUrl = null;
+  }
+  if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw fetchError('Invalid URL', 400);
+  }
+
+  // A literal IP is connected to without lookup
+  const host = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw fetchError(`Host not allowed: ${host}`, 400);
+  }
+  return parsedUrl;
+}
+
+// Function to run one GET request, following its redirects
+function request(parsedUrl, options, redirects) {
+  return new Promise((resolve, reject) => {
+    const client = parsedUrl.protocol === 'https:' ? https : http;
+    const req = client.get(parsedUrl, { lookup: publicLookup, signal: options.signal, headers: options.headers }, (response) => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(fetchError('Too many redirects', 400));
+        }
+        try {
+          const nextUrl = parsePublicUrl(new URL(headers.location, parsedUrl).toString());
+          return resolve(request(nextUrl, options, redirects + 1));
+        } catch (error) {
+          return reject(error);
+        }
+      }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        return reject(fetchError(`Download failed (HTTP ${statusCode})`, 400));
+      }
+
+      const announcedSize = parseInt(headers['content-length'], 10);
+      if (announcedSize > options.maxBytes) {
+        response.destroy();
+        return reject(fetchError('Content is too large', 413));
+      }
+
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > options.maxBytes) {
+          response.destroy();
+          reject(fetchError('Content is too large', 413));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({
+        buffer: Buffer.concat(chunks),
+        contentType: headers['content-type'] || null,
+        url: parsedUrl
+      }));
+      response.on('error', reject);
+    });
+
+    req.on('error', (error) => {
+      if (error.name === 'AbortError') {
+        reject(fetchError('Download timed out', 504));
+      } else {
+        reject(error.statusCode ? error : fetchError(`Download failed: ${error.message}`, 400));
+      }
+    });
+  });
+}
+
+// Function to download a public URL (`signal` lets the caller abort it too)
+// Returns { buffer, contentType, url } - throws errors carrying statusCode 400 (invalid or private URL,
+// HTTP error), 413 (larger than `maxBytes`) or 504 (slower than `timeoutMs`, or aborted)
+async function fetchPublicUrl(url, { maxBytes, timeoutMs = DEFAULT_TIMEOUT_MS, headers = {}, signal = null } = {}) {
+  const parsedUrl = parsePublicUrl(url);
+  const timeout = AbortSignal.timeout(timeoutMs);
+  return request(parsedUrl, { maxBytes, headers, signal: signal ? AbortSignal.any([signal, timeout]) : timeout }, 0);
+}
+
+module.exports = {
+  isPrivateAddress,
+  fetchPublicUrl,
+};
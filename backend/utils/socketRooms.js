@@ -0,0 +1,51 @@
+// Socket.IO rooms: every authenticated socket joins the room of its user when it connects,
+// and the room of the conversation it displays ('join_conversation' / 'leave_conversation').
+// Events are emitted to these rooms only, so a user never receives another user's messages.
+
+// Function to get the room of a user
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+// Function to get the room of a conversation
+function conversationRoom(conversationId) {
+  return `conversation:${conversationId}`;
+}
+
+// Function to emit an event to every socket of a user
+// Events of resources with no owner are dropped: they are not visible to anyone through the API either
+function emitToUser(io, userId, event, payload) {
+  if (!io || !userId) {
+    return false;
+  }
+  io.to(userRoom(userId)).emit(event, payload);
+  return true;
+}
+
+// Function to emit an event to the sockets displaying a conversation
+function emitToConversation(io, conversationId, event, payload) {
+  if (!io || !conversationId) {
+    return false;
+  }
+  io.to(conversationRoom(conversationId)).emit(event, payload);
+  return true;
+}
+
+// Function to emit an event to the sockets displaying a conversation and to every socket of its owner
+// (a socket in both rooms receives it once)
+function emitToConversationAndUser(io, conversationId, userId, event, payload) {
+  if (!io || !conversationId) {
+    return false;
+  }
+  const rooms = userId ? [conversationRoom(conversationId), userRoom(userId)] : [conversationRoom(conversationId)];
+  io.to(rooms).emit(event, payload);
+  return true;
+}
+
+module.exports = {
+  userRoom,
+  conversationRoom,
+  emitToUser,
+  emitToConversation,
+  emitToConversationAndUser,
+};
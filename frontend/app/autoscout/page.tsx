@@ -9,6 +9,7 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert"
 import { AlertCircle, CheckCircle2, Save } from "lucide-react"
 import { DashboardLayout } from "@/components/DashboardLayout"
+import { AutoScoutSearches } from "@/components/AutoScoutSearches"
 
 import { useAutoScoutScraper } from "@/hooks/useAutoScoutScraper"
 import { downloadCSV, downloadLogs, saveVehiclesToDatabase, type Vehicle } from "@/utils/autoScoutUtils"
@@ -74,7 +75,7 @@ export default function AutoScoutPage() {
   return (
     <DashboardLayout>
       <div className="space-y-6">
-        <h1 className="text-3xl font-bold">Extraction AutoScout24</h1>
+        <h1 className="text-3xl font-bold">Extraction d'annonces</h1>
 
         {error && (
           <Alert variant="destructive" className="mb-4">
@@ -95,7 +96,9 @@ export default function AutoScoutPage() {
         <Card className="border-0 shadow-sm">
           <CardHeader>
             <CardTitle>Configuration</CardTitle>
-            <CardDescription>Entrez l'URL de recherche AutoScout24 à analyser</CardDescription>
+            <CardDescription>
+              Entrez l'URL d'une recherche AutoScout24, Leboncoin, La Centrale ou mobile.de à analyser
+            </CardDescription>
           </CardHeader>
           <CardContent>
             <div className="flex flex-col gap-4">
@@ -135,6 +138,8 @@ export default function AutoScoutPage() {
           </CardContent>
         </Card>
 
+        <AutoScoutSearches url={url} multiPage={multiPage} />
+
         {isRunning && (
           <Card className="border-0 shadow-sm">
             <CardHeader>
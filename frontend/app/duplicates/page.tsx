@@ -0,0 +1,15 @@
+"use client"
+
+import { DashboardLayout } from "@/components/DashboardLayout"
+import { VehicleDuplicates } from "@/components/VehicleDuplicates"
+
+export default function DuplicatesPage() {
+  return (
+    <DashboardLayout>
+      <div className="space-y-6">
+        <h1 className="text-3xl font-bold">Doublons</h1>
+        <VehicleDuplicates />
+      </div>
+    </DashboardLayout>
+  )
+}
@@ -0,0 +1,144 @@
+"use client"
+
+import { useState } from "react"
+import { CalendarClock, Loader2, Play, Trash2 } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Switch } from "@/components/ui/switch"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { useAutoScoutSearches } from "@/hooks/useAutoScoutSearches"
+import type { AutoScoutRun } from "@/types/autoscout"
+
+const INTERVALS = [
+  { value: "60", label: "Toutes les heures" },
+  { value: "360", label: "Toutes les 6 heures" },
+  { value: "720", label: "Toutes les 12 heures" },
+  { value: "1440", label: "Une fois par jour" },
+]
+
+const MULTI_PAGE_MAX_PAGES = 20
+
+interface AutoScoutSearchesProps {
+  url: string
+  multiPage: boolean
+}
+
+const formatInterval = (minutes: number) =>
+  INTERVALS.find((interval) => interval.value === String(minutes))?.label ?? `Toutes les ${minutes} min`
+
+const formatRunSummary = (run: AutoScoutRun) =>
+  run.status === "failed"
+    ? `Échec: ${run.error}`
+    : `${run.listings_count} annonce(s) · ${run.new_count} nouvelle(s) · ${run.changed_count} modifiée(s) · ${run.removed_count} retirée(s)`
+
+// Recherches (AutoScout24, Leboncoin, La Centrale, mobile.de) re-scrapées automatiquement par le serveur (les annonces sont enregistrées sans clic)
+export function AutoScoutSearches({ url, multiPage }: AutoScoutSearchesProps) {
+  const { searches, lastRuns, loading, runningId, createSearch, toggleSearch, runSearch, deleteSearch } =
+    useAutoScoutSearches()
+  const [name, setName] = useState("")
+  const [intervalMinutes, setIntervalMinutes] = useState("360")
+  const [saving, setSaving] = useState(false)
+
+  const handleCreate = async () => {
+    if (!url || !name.trim()) return
+    setSaving(true)
+    const created = await createSearch({
+      name: name.trim(),
+      url,
+      maxPages: multiPage ? MULTI_PAGE_MAX_PAGES : 1,
+      intervalMinutes: Number(intervalMinutes),
+    })
+    if (created) setName("")
+    setSaving(false)
+  }
+
+  return (
+    <Card className="border-0 shadow-sm">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <CalendarClock className="h-5 w-5" />
+          Recherches programmées
+        </CardTitle>
+        <CardDescription>
+          Le serveur relance la recherche ci-dessus à intervalle régulier et enregistre les annonces nouvelles ou
+          modifiées
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-col gap-2 md:flex-row">
+          <Input
+            placeholder="Nom de la recherche (ex: BMW Série 3 < 15 000 €)"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="flex-1"
+          />
+          <Select value={intervalMinutes} onValueChange={setIntervalMinutes}>
+            <SelectTrigger className="md:w-52">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {INTERVALS.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button onClick={handleCreate} disabled={saving || !url || !name.trim()}>
+            {saving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <CalendarClock className="mr-2 h-4 w-4" />}
+            Programmer
+          </Button>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Chargement...</p>
+        ) : searches.length === 0 ? (
+          <p className="text-sm text-gray-500">Aucune recherche programmée</p>
+        ) : (
+          <div className="divide-y rounded border">
+            {searches.map((search) => {
+              const lastRun = lastRuns[search.id]
+              return (
+                <div key={search.id} className="flex items-center gap-3 p-3">
+                  <Switch checked={search.enabled} onCheckedChange={() => toggleSearch(search)} />
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center gap-2">
+                      <span className="truncate font-medium">{search.name}</span>
+                      <span className="text-xs text-gray-500">{formatInterval(search.interval_minutes)}</span>
+                    </div>
+                    <p className="truncate text-xs text-gray-500">
+                      {search.last_run_at
+                        ? `Dernière exécution: ${new Date(search.last_run_at).toLocaleString("fr-BE")}`
+                        : "Jamais exécutée"}
+                      {lastRun && ` — ${formatRunSummary(lastRun)}`}
+                    </p>
+                    {search.last_error && <p className="truncate text-xs text-red-600">{search.last_error}</p>}
+                  </div>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => runSearch(search.id)}
+                    disabled={runningId === search.id}
+                    title="Exécuter maintenant"
+                  >
+                    {runningId === search.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => deleteSearch(search.id)}
+                    title="Supprimer"
+                    className="text-red-600 hover:text-red-700"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -97,6 +97,7 @@ const ConversationsView: React.FC = () => {
   // Initialize WebSocket
   const { socketConnected } = useWebSocket({
     onNewMessage: handleNewMessage,
+    conversationId: selectedConversation?.id,
     enabled: true,
   })
 
@@ -3,7 +3,7 @@
 import type React from "react"
 import Link from "next/link"
 import { usePathname } from "next/navigation"
-import { Home, MessageSquare, Send, Car, Settings, Database, FileText, ChevronRight, Menu, Users } from "lucide-react"
+import { Home, MessageSquare, Send, Car, Copy, Settings, Database, FileText, ChevronRight, Menu, Users } from "lucide-react"
 import { cn } from "@/lib/utils"
 import { Button } from "@/components/ui/button"
 import { Sheet, SheetContent, SheetTrigger } from "@/components/ui/sheet"
@@ -106,6 +106,12 @@ export function DashboardLayout({ children }: DashboardLayoutProps) {
                     label="AutoScout24"
                     isActive={pathname === "/autoscout"}
                   />
+                  <NavItem
+                    href="/duplicates"
+                    icon={<Copy className="h-4 w-4" />}
+                    label="Doublons"
+                    isActive={pathname === "/duplicates"}
+                  />
                   <NavItem
                     href="/logs"
                     icon={<FileText className="h-4 w-4" />}
@@ -172,6 +178,12 @@ function MobileNav({ pathname }: { pathname: string }) {
             label="AutoScout24"
             isActive={pathname === "/autoscout"}
           />
+          <NavItem
+            href="/duplicates"
+            icon={<Copy className="h-4 w-4" />}
+            label="Doublons"
+            isActive={pathname === "/duplicates"}
+          />
           <NavItem href="/logs" icon={<FileText className="h-4 w-4" />} label="Logs" isActive={pathname === "/logs"} />
           <NavItem
             href="/db-conversations"
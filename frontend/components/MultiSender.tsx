@@ -33,9 +33,14 @@ import {
   Copy,
   CheckCheck,
   HelpCircle,
+  Pause,
+  Play,
+  XCircle,
+  Smartphone,
 } from "lucide-react"
 import MessageTemplates from "./MessageTemplates"
 import VehicleSelector from "./VehicleSelector"
+import { WhatsAppSessionSelect } from "./WhatsAppSessionSelect"
 import { useMultiSender } from "@/hooks/useMultiSender"
 import { useToast } from "@/hooks/use-toast"
 import { cn } from "@/lib/utils"
@@ -77,6 +82,12 @@ export default function MultiSender() {
     handleVehiclesSelected,
     handleTemplateSelected,
     sendMessages,
+    scheduledAt,
+    setScheduledAt,
+    batchStatus,
+    pauseSending,
+    resumeSending,
+    cancelSending,
   } = useMultiSender() // Removed getSelectedVehicles
 
   // Définir les sections disponibles
@@ -145,12 +156,12 @@ export default function MultiSender() {
     const vehicle = selectedVehicleForPreview
 
     // Remplacer toutes les variables par leurs valeurs
-    preview = preview.replace(/{{marque}}/g, vehicle.brand || "N/A")
-    preview = preview.replace(/{{modele}}/g, vehicle.model || "N/A")
-    preview = preview.replace(/{{prix}}/g, vehicle.price ? vehicle.price.toString() : "N/A")
-    preview = preview.replace(/{{annee}}/g, vehicle.year ? vehicle.year.toString() : "N/A")
-    preview = preview.replace(/{{kilometrage}}/g, vehicle.mileage ? vehicle.mileage.toString() : "N/A")
-    preview = preview.replace(/{{url}}/g, vehicle.listing_url || "N/A")
+    preview = preview.replace(/{{\s*(marque|brand)\s*}}/g, vehicle.brand || "N/A")
+    preview = preview.replace(/{{\s*(modele|model)\s*}}/g, vehicle.model || "N/A")
+    preview = preview.replace(/{{\s*(prix|price)\s*}}/g, vehicle.price ? vehicle.price.toString() : "N/A")
+    preview = preview.replace(/{{\s*(annee|year)\s*}}/g, vehicle.year ? vehicle.year.toString() : "N/A")
+    preview = preview.replace(/{{\s*(kilometrage|mileage)\s*}}/g, vehicle.mileage ? vehicle.mileage.toString() : "N/A")
+    preview = preview.replace(/{{\s*url\s*}}/g, vehicle.listing_url || "N/A")
 
     setPreviewMessage(preview)
   }, [selectedVehicleForPreview, message])
@@ -162,6 +173,13 @@ export default function MultiSender() {
     }
   }, [vehicles, selectedVehicleForPreview])
 
+  // Afficher la progression d'un envoi retrouvé au chargement de la page
+  useEffect(() => {
+    if (batchStatus === "running" || batchStatus === "paused") {
+      setCurrentSection("review")
+    }
+  }, [batchStatus])
+
   const getStatusIcon = (status: string) => {
     switch (status) {
       case "success":
@@ -241,7 +259,8 @@ export default function MultiSender() {
 
   // Vérifier si l'utilisateur peut envoyer les messages
   const canSendMessages = () => {
-    return vehicles.length > 0 && message.trim().length > 0 && status === "connected" && !isProcessing
+    const isScheduled = scheduledAt !== "" && new Date(scheduledAt).getTime() > Date.now()
+    return vehicles.length > 0 && message.trim().length > 0 && (status === "connected" || isScheduled) && !isProcessing
   }
 
   return (
@@ -581,6 +600,18 @@ export default function MultiSender() {
               {/* Section: Paramètres d'envoi */}
               {currentSection === "settings" && (
                 <div className="p-4 space-y-6">
+                  <div className="space-y-4">
+                    <div className="flex items-center gap-2">
+                      <Smartphone className="h-4 w-4 text-[#25D366]" />
+                      <h3 className="text-sm font-medium">Numéro d'envoi</h3>
+                    </div>
+                    <div className="pl-6">
+                      <WhatsAppSessionSelect disabled={isProcessing} />
+                    </div>
+                  </div>
+
+                  <Separator />
+
                   <div className="space-y-4">
                     <div className="flex items-center gap-2">
                       <Clock className="h-4 w-4 text-[#25D366]" />
@@ -798,16 +829,55 @@ export default function MultiSender() {
                           </p>
                         </div>
                       </div>
+                      <div className="mt-4 space-y-1.5">
+                        <Label htmlFor="scheduled-at" className="flex items-center gap-1.5">
+                          <Clock className="h-4 w-4 text-[#25D366]" />
+                          Programmer l'envoi (optionnel)
+                        </Label>
+                        <Input
+                          id="scheduled-at"
+                          type="datetime-local"
+                          value={scheduledAt}
+                          onChange={(e) => setScheduledAt(e.target.value)}
+                          className="max-w-xs"
+                          disabled={isProcessing}
+                        />
+                        <p className="text-xs text-muted-foreground">
+                          Laissez vide pour envoyer immédiatement. La campagne est lancée par le serveur à l'heure prévue.
+                        </p>
+                      </div>
                     </CardContent>
                   </Card>
 
                   {isProcessing && (
                     <div className="space-y-2 animate-fadeIn">
                       <div className="flex items-center justify-between text-sm">
-                        <span>Progression</span>
+                        <span>
+                          Progression{batchStatus === "paused" ? " (en pause)" : ""}
+                        </span>
                         <span>{progress}%</span>
                       </div>
                       <Progress value={progress} className="h-2" />
+                      <p className="text-xs text-muted-foreground">
+                        L'envoi est géré par le serveur: vous pouvez fermer cette page, la progression sera retrouvée.
+                      </p>
+                      <div className="flex gap-2">
+                        {batchStatus === "paused" ? (
+                          <Button size="sm" variant="outline" onClick={resumeSending}>
+                            <Play className="mr-2 h-4 w-4" />
+                            Reprendre
+                          </Button>
+                        ) : (
+                          <Button size="sm" variant="outline" onClick={pauseSending}>
+                            <Pause className="mr-2 h-4 w-4" />
+                            Pause
+                          </Button>
+                        )}
+                        <Button size="sm" variant="outline" className="text-red-600" onClick={cancelSending}>
+                          <XCircle className="mr-2 h-4 w-4" />
+                          Annuler
+                        </Button>
+                      </div>
                     </div>
                   )}
 
@@ -854,7 +924,7 @@ export default function MultiSender() {
                   ) : (
                     <>
                       <Send className="mr-2 h-4 w-4" />
-                      Envoyer les messages
+                      {scheduledAt ? "Programmer la campagne" : "Envoyer les messages"}
                     </>
                   )}
                 </Button>
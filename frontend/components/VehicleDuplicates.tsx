@@ -0,0 +1,156 @@
+"use client"
+
+import { useState } from "react"
+import { Car, Copy, Loader2, Merge, RefreshCw, X } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group"
+import { getClusterKey, useVehicleDuplicates } from "@/hooks/useVehicleDuplicates"
+import { getVehicleSourceLabel, type VehicleDuplicateCluster, type VehicleDuplicateMatch } from "@/types/vehicles"
+
+const REASON_LABELS: Record<VehicleDuplicateMatch["reasons"][number], string> = {
+  image: "Même photo",
+  phone: "Même numéro",
+  attributes: "Caractéristiques identiques",
+}
+
+// Raisons de regroupement d'un groupe, sans répétition
+const getClusterReasons = (cluster: VehicleDuplicateCluster) =>
+  [...new Set(cluster.matches.flatMap((match) => match.reasons))].map((reason) => REASON_LABELS[reason])
+
+function DuplicateCluster({
+  cluster,
+  pending,
+  onMerge,
+  onDismiss,
+}: {
+  cluster: VehicleDuplicateCluster
+  pending: boolean
+  onMerge: (survivorId: string) => void
+  onDismiss: () => void
+}) {
+  const [survivorId, setSurvivorId] = useState(cluster.suggestedSurvivorId)
+
+  return (
+    <Card className="border-0 shadow-sm">
+      <CardHeader className="pb-3">
+        <div className="flex items-center justify-between gap-2">
+          <CardTitle className="text-base">
+            {cluster.vehicles.length} annonces pour la même voiture
+          </CardTitle>
+          <div className="flex flex-wrap gap-1">
+            {getClusterReasons(cluster).map((reason) => (
+              <Badge key={reason} variant="outline" className="text-xs">
+                {reason}
+              </Badge>
+            ))}
+          </div>
+        </div>
+        <CardDescription>Choisissez le véhicule conservé : les conversations et offres des autres y sont déplacées</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <RadioGroup value={survivorId} onValueChange={setSurvivorId} className="divide-y rounded border">
+          {cluster.vehicles.map((vehicle) => (
+            <label key={vehicle.id} className="flex cursor-pointer items-center gap-3 p-3">
+              <RadioGroupItem value={vehicle.id} />
+              {vehicle.image_url ? (
+                <img src={vehicle.image_url} alt="" className="h-12 w-16 rounded object-cover" loading="lazy" />
+              ) : (
+                <div className="flex h-12 w-16 items-center justify-center rounded bg-slate-100">
+                  <Car className="h-6 w-6 text-slate-400" />
+                </div>
+              )}
+              <div className="min-w-0 flex-1">
+                <div className="truncate font-medium">
+                  {vehicle.brand} {vehicle.model} {vehicle.year ? `(${vehicle.year})` : ""}
+                </div>
+                <div className="truncate text-xs text-gray-500">
+                  {[
+                    vehicle.price ? `${Number(vehicle.price).toLocaleString("fr-FR")} €` : null,
+                    vehicle.mileage ? `${Number(vehicle.mileage).toLocaleString("fr-FR")} km` : null,
+                    vehicle.phone,
+                    vehicle.location,
+                  ]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </div>
+              </div>
+              <div className="flex flex-col items-end gap-1">
+                {getVehicleSourceLabel(vehicle.source) && (
+                  <Badge variant="outline" className="text-xs">
+                    {getVehicleSourceLabel(vehicle.source)}
+                  </Badge>
+                )}
+                {vehicle.contact_status === "contacted" && (
+                  <Badge variant="outline" className="border-green-600 text-xs text-green-600">
+                    Contacté
+                  </Badge>
+                )}
+                {vehicle.removed_at && <span className="text-xs text-gray-400">Annonce retirée</span>}
+              </div>
+              {vehicle.listing_url && (
+                <a
+                  href={vehicle.listing_url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-xs text-[#25D366] hover:underline"
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  Annonce
+                </a>
+              )}
+            </label>
+          ))}
+        </RadioGroup>
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" size="sm" onClick={onDismiss} disabled={pending}>
+            <X className="mr-2 h-4 w-4" />
+            Voitures différentes
+          </Button>
+          <Button size="sm" onClick={() => onMerge(survivorId)} disabled={pending}>
+            {pending ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Merge className="mr-2 h-4 w-4" />}
+            Fusionner
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+// Doublons détectés parmi les véhicules (même voiture remise en ligne ou publiée sur plusieurs sites)
+export function VehicleDuplicates() {
+  const { clusters, loading, pendingClusterKey, fetchClusters, mergeCluster, dismissCluster } = useVehicleDuplicates()
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="flex items-center gap-2 text-sm text-gray-500">
+          <Copy className="h-4 w-4" />
+          {loading ? "Recherche des doublons..." : `${clusters.length} groupe(s) de doublons`}
+        </p>
+        <Button variant="outline" size="sm" onClick={fetchClusters} disabled={loading}>
+          <RefreshCw className={`mr-2 h-4 w-4 ${loading ? "animate-spin" : ""}`} />
+          Actualiser
+        </Button>
+      </div>
+
+      {!loading && clusters.length === 0 && (
+        <p className="py-10 text-center text-sm text-gray-500">Aucun doublon détecté</p>
+      )}
+
+      {clusters.map((cluster) => {
+        const key = getClusterKey(cluster)
+        return (
+          <DuplicateCluster
+            key={key}
+            cluster={cluster}
+            pending={pendingClusterKey === key}
+            onMerge={(survivorId) => mergeCluster(cluster, survivorId)}
+            onDismiss={() => dismissCluster(cluster)}
+          />
+        )
+      })}
+    </div>
+  )
+}
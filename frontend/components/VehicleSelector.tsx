@@ -8,11 +8,11 @@ import { Checkbox } from "@/components/ui/checkbox"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 import {
   Car, MapPin, Banknote, Gauge, Fuel, Phone, MessageCircle, Building,
-  Search, Filter, CheckSquare, X, ChevronRight, Loader2
+  Search, Filter, CheckSquare, X, ChevronRight, Loader2, Globe
 } from "lucide-react"
 import { useVehicleSearch } from "@/hooks/useVehicleSearch"
 import { cn } from "@/lib/utils"
-import type { Vehicle } from "../types/vehicles"
+import { VEHICLE_SOURCES, getVehicleSourceLabel, type Vehicle } from "../types/vehicles"
 
 interface VehicleSelectorProps {
   onVehiclesSelected: (vehicles: Vehicle[]) => void
@@ -70,6 +70,7 @@ export default function VehicleSelector({ onVehiclesSelected, selectedVehicles =
   const activeFiltersCount = [
     searchParams.contactStatus !== "all",
     searchParams.sellerType !== "all",
+    searchParams.source !== "all",
     searchParams.minPrice > 0 || searchParams.maxPrice < 100000,
     searchParams.minYear > 2000 || searchParams.maxYear < new Date().getFullYear(),
   ].filter(Boolean).length
@@ -270,6 +271,31 @@ export default function VehicleSelector({ onVehiclesSelected, selectedVehicles =
                   </Button>
                 </div>
               </div>
+              <div>
+                <label className="text-xs font-medium">Origine</label>
+                <div className="flex flex-wrap mt-1 gap-2">
+                  <Button
+                    variant={searchParams.source === "all" ? "default" : "outline"}
+                    size="sm"
+                    onClick={() => handleFilterChange('source', 'all')}
+                    className="h-8 text-xs"
+                  >
+                    Toutes
+                  </Button>
+                  {VEHICLE_SOURCES.map((source) => (
+                    <Button
+                      key={source.value}
+                      variant={searchParams.source === source.value ? "default" : "outline"}
+                      size="sm"
+                      onClick={() => handleFilterChange('source', source.value)}
+                      className="h-8 text-xs"
+                    >
+                      <Globe className="h-3.5 w-3.5 mr-1" />
+                      {source.label}
+                    </Button>
+                  ))}
+                </div>
+              </div>
               <div>
                 <label className="text-xs font-medium">Numéro de téléphone</label>
                 <div className="flex mt-1 space-x-2">
@@ -469,6 +495,12 @@ export default function VehicleSelector({ onVehiclesSelected, selectedVehicles =
                                 {vehicle.phone}
                               </Badge>
                             )}
+                            {getVehicleSourceLabel(vehicle.source) && (
+                              <Badge variant="outline" className="text-xs flex items-center gap-1 bg-slate-50">
+                                <Globe className="h-3 w-3" />
+                                {getVehicleSourceLabel(vehicle.source)}
+                              </Badge>
+                            )}
                             {vehicle.contact_status === "contacted" && (
                               <Badge
                                 variant="outline"
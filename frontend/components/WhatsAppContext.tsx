@@ -2,6 +2,11 @@
 
 import { createContext, useContext, useState, useEffect, useRef, type ReactNode } from "react"
 import axios, { AxiosError } from "axios"
+import { installAuthInterceptor } from "@/lib/auth"
+import { DEFAULT_WHATSAPP_SESSION, type WhatsAppSession } from "@/types/whatsapp"
+
+// Le fournisseur est monté à la racine: toutes les requêtes axios vers /api portent le jeton de session
+installAuthInterceptor()
 
 interface WhatsAppContextType {
   status: string
@@ -10,6 +15,14 @@ interface WhatsAppContextType {
   lastChecked: Date | null
   isRefreshing: boolean
   forceRefreshQrCode: () => Promise<void>
+  // Sessions WhatsApp (un numéro par acheteur); status et qrCode sont ceux de la session sélectionnée
+  sessions: WhatsAppSession[]
+  selectedSession: string
+  selectSession: (sessionId: string) => void
+  refreshSessions: () => Promise<void>
+  createSession: (label: string) => Promise<WhatsAppSession>
+  logoutSession: (sessionId: string) => Promise<void>
+  deleteSession: (sessionId: string) => Promise<void>
 }
 
 const WhatsAppContext = createContext<WhatsAppContextType>({
@@ -19,8 +32,20 @@ const WhatsAppContext = createContext<WhatsAppContextType>({
   lastChecked: null,
   isRefreshing: false,
   forceRefreshQrCode: async () => {},
+  sessions: [],
+  selectedSession: DEFAULT_WHATSAPP_SESSION,
+  selectSession: () => {},
+  refreshSessions: async () => {},
+  createSession: async () => {
+    throw new Error("WhatsAppProvider manquant")
+  },
+  logoutSession: async () => {},
+  deleteSession: async () => {},
 })
 
+// La session choisie est mémorisée entre deux visites
+const SELECTED_SESSION_KEY = "pandorabox_whatsapp_session"
+
 export const useWhatsApp = () => useContext(WhatsAppContext)
 
 export const WhatsAppProvider = ({ children }: { children: ReactNode }) => {
@@ -29,6 +54,10 @@ export const WhatsAppProvider = ({ children }: { children: ReactNode }) => {
   const [lastChecked, setLastChecked] = useState<Date | null>(null)
   const [isRefreshing, setIsRefreshing] = useState(false)
   const intervalRef = useRef<NodeJS.Timeout | null>(null)
+  const [sessions, setSessions] = useState<WhatsAppSession[]>([])
+  const [selectedSession, setSelectedSession] = useState(DEFAULT_WHATSAPP_SESSION)
+  // Lu par les vérifications périodiques, créées une seule fois au montage
+  const selectedSessionRef = useRef(DEFAULT_WHATSAPP_SESSION)
 
   // Utilise les routes API du frontend (proxy vers le backend)
   const SERVER_URL = ''
@@ -46,7 +75,7 @@ export const WhatsAppProvider = ({ children }: { children: ReactNode }) => {
       console.log("Vérification du statut WhatsApp...")
       
       // Ajouter un timeout pour éviter les requêtes qui traînent
-      const response = await axios.get(`${SERVER_URL}/api/whatsapp/status`, {
+      const response = await axios.get(`${SERVER_URL}/api/whatsapp/sessions/${selectedSessionRef.current}/status`, {
         timeout: 5000,
         headers: {
           'Content-Type': 'application/json',
@@ -77,12 +106,13 @@ export const WhatsAppProvider = ({ children }: { children: ReactNode }) => {
 
   const fetchQrCode = async (forceRefresh = false) => {
     try {
-      console.log("Tentative de récupération du QR code depuis:", `${SERVER_URL}/api/whatsapp/qrcode`)
+      const qrCodeUrl = `${SERVER_URL}/api/whatsapp/sessions/${selectedSessionRef.current}/qrcode`
+      console.log("Tentative de récupération du QR code depuis:", qrCodeUrl)
       
       // Ajouter un timestamp pour bypasser le cache si demandé
       const url = forceRefresh 
-        ? `${SERVER_URL}/api/whatsapp/qrcode?t=${Date.now()}`
-        : `${SERVER_URL}/api/whatsapp/qrcode`
+        ? `${qrCodeUrl}?t=${Date.now()}`
+        : qrCodeUrl
       
       const { data } = await axios.get(url)
       console.log("Réponse API QR code:", data)
@@ -97,8 +127,59 @@ export const WhatsAppProvider = ({ children }: { children: ReactNode }) => {
     }
   }
 
+  const refreshSessions = async () => {
+    try {
+      const { data } = await axios.get(`${SERVER_URL}/api/whatsapp/sessions`)
+      setSessions(data.sessions)
+
+      // La session mémorisée a pu être supprimée entre-temps
+      if (!data.sessions.some((session: WhatsAppSession) => session.id === selectedSessionRef.current)) {
+        selectSession(DEFAULT_WHATSAPP_SESSION)
+      }
+    } catch (error) {
+      console.warn("Erreur lors du chargement des sessions WhatsApp:", error)
+    }
+  }
+
+  const selectSession = (sessionId: string) => {
+    selectedSessionRef.current = sessionId
+    setSelectedSession(sessionId)
+    localStorage.setItem(SELECTED_SESSION_KEY, sessionId)
+    setQrCode("")
+    setStatus("disconnected")
+    refreshStatus()
+  }
+
+  const createSession = async (label: string) => {
+    const { data } = await axios.post(`${SERVER_URL}/api/whatsapp/sessions`, { label })
+    await refreshSessions()
+    selectSession(data.id)
+    return data as WhatsAppSession
+  }
+
+  const logoutSession = async (sessionId: string) => {
+    await axios.post(`${SERVER_URL}/api/whatsapp/sessions/${sessionId}/logout`)
+    setQrCode("")
+    await Promise.all([refreshSessions(), refreshStatus()])
+  }
+
+  const deleteSession = async (sessionId: string) => {
+    await axios.delete(`${SERVER_URL}/api/whatsapp/sessions/${sessionId}`)
+    if (selectedSessionRef.current === sessionId) {
+      selectSession(DEFAULT_WHATSAPP_SESSION)
+    }
+    await refreshSessions()
+  }
+
   // Vérifier le statut au chargement avec un léger délai initial
   useEffect(() => {
+    const storedSession = localStorage.getItem(SELECTED_SESSION_KEY)
+    if (storedSession) {
+      selectedSessionRef.current = storedSession
+      setSelectedSession(storedSession)
+    }
+    refreshSessions()
+
     // Nettoyer l'intervalle précédent pour éviter les doublons
     if (intervalRef.current) {
       clearInterval(intervalRef.current)
@@ -127,7 +208,23 @@ export const WhatsAppProvider = ({ children }: { children: ReactNode }) => {
   }
 
   return (
-    <WhatsAppContext.Provider value={{ status, qrCode, refreshStatus, lastChecked, isRefreshing, forceRefreshQrCode }}>
+    <WhatsAppContext.Provider
+      value={{
+        status,
+        qrCode,
+        refreshStatus,
+        lastChecked,
+        isRefreshing,
+        forceRefreshQrCode,
+        sessions,
+        selectedSession,
+        selectSession,
+        refreshSessions,
+        createSession,
+        logoutSession,
+        deleteSession,
+      }}
+    >
       {children}
     </WhatsAppContext.Provider>
   )
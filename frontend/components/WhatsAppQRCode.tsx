@@ -6,7 +6,9 @@ import { Button } from "@/components/ui/button"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
 import { useWhatsApp } from "@/components/WhatsAppContext"
+import { WhatsAppSessionSelect } from "@/components/WhatsAppSessionSelect"
 import { 
   QrCode, 
   Smartphone, 
@@ -15,7 +17,10 @@ import {
   AlertCircle, 
   Loader2,
   Wifi,
-  WifiOff 
+  WifiOff,
+  Plus,
+  LogOut,
+  Trash2
 } from "lucide-react"
 
 interface WhatsAppQRCodeProps {
@@ -33,10 +38,44 @@ export function WhatsAppQRCode({
   isRefreshing, 
   lastChecked 
 }: WhatsAppQRCodeProps) {
-  const { forceRefreshQrCode } = useWhatsApp()
+  const { forceRefreshQrCode, sessions, selectedSession, createSession, logoutSession, deleteSession } = useWhatsApp()
   const [showInstructions, setShowInstructions] = useState(false)
   const [qrCodeError, setQrCodeError] = useState(false)
   const [isRefreshingQR, setIsRefreshingQR] = useState(false)
+  const [newSessionLabel, setNewSessionLabel] = useState("")
+  const [sessionAction, setSessionAction] = useState<"create" | "logout" | "delete" | null>(null)
+  const [sessionError, setSessionError] = useState<string | null>(null)
+
+  const currentSession = sessions.find((session) => session.id === selectedSession)
+
+  // Création, déconnexion et suppression de la session sélectionnée
+  const runSessionAction = async (action: "create" | "logout" | "delete", run: () => Promise<unknown>) => {
+    setSessionAction(action)
+    setSessionError(null)
+    try {
+      await run()
+    } catch (error: any) {
+      setSessionError(error.response?.data?.error || "Action impossible sur cette session")
+    } finally {
+      setSessionAction(null)
+    }
+  }
+
+  const handleCreateSession = () => {
+    const label = newSessionLabel.trim()
+    if (!label) return
+    runSessionAction("create", async () => {
+      await createSession(label)
+      setNewSessionLabel("")
+    })
+  }
+
+  const handleLogoutSession = () => runSessionAction("logout", () => logoutSession(selectedSession))
+
+  const handleDeleteSession = () => {
+    if (!window.confirm(`Supprimer la session "${currentSession?.label ?? selectedSession}" ?`)) return
+    runSessionAction("delete", () => deleteSession(selectedSession))
+  }
 
   // Auto-refresh QR code every 30 seconds if disconnected
   useEffect(() => {
@@ -117,6 +156,55 @@ export function WhatsAppQRCode({
       </CardHeader>
 
       <CardContent className="p-6">
+        <div className="space-y-2 mb-6">
+          <div className="flex gap-2">
+            <WhatsAppSessionSelect className="flex-1 h-9" />
+            {status === "connected" && currentSession?.canLogout && (
+              <Button
+                variant="outline"
+                size="icon"
+                className="h-9 w-9"
+                title="Déconnecter ce numéro"
+                onClick={handleLogoutSession}
+                disabled={sessionAction !== null}
+              >
+                {sessionAction === "logout" ? <Loader2 className="h-4 w-4 animate-spin" /> : <LogOut className="h-4 w-4" />}
+              </Button>
+            )}
+            {currentSession && !currentSession.isDefault && (
+              <Button
+                variant="outline"
+                size="icon"
+                className="h-9 w-9 text-red-500"
+                title="Supprimer cette session"
+                onClick={handleDeleteSession}
+                disabled={sessionAction !== null}
+              >
+                {sessionAction === "delete" ? <Loader2 className="h-4 w-4 animate-spin" /> : <Trash2 className="h-4 w-4" />}
+              </Button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <Input
+              value={newSessionLabel}
+              onChange={(e) => setNewSessionLabel(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && handleCreateSession()}
+              placeholder="Nouveau numéro (ex: Julien)"
+              className="h-9"
+            />
+            <Button
+              variant="outline"
+              size="sm"
+              className="h-9"
+              onClick={handleCreateSession}
+              disabled={!newSessionLabel.trim() || sessionAction !== null}
+            >
+              {sessionAction === "create" ? <Loader2 className="h-4 w-4 animate-spin" /> : <Plus className="h-4 w-4" />}
+            </Button>
+          </div>
+          {sessionError && <p className="text-xs text-red-500">{sessionError}</p>}
+        </div>
+
         {status === "connected" ? (
           <div className="text-center space-y-4">
             <div className="bg-green-50 dark:bg-green-900/20 p-6 rounded-lg">
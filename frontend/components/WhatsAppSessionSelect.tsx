@@ -0,0 +1,38 @@
+"use client"
+
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { useWhatsApp } from "@/components/WhatsAppContext"
+import type { WhatsAppSession } from "@/types/whatsapp"
+
+interface WhatsAppSessionSelectProps {
+  className?: string
+  disabled?: boolean
+}
+
+const formatSessionLabel = (session: WhatsAppSession) =>
+  session.phoneNumber ? `${session.label} (+${session.phoneNumber})` : session.label
+
+// Choix du numéro WhatsApp utilisé (session sélectionnée du contexte)
+export function WhatsAppSessionSelect({ className, disabled }: WhatsAppSessionSelectProps) {
+  const { sessions, selectedSession, selectSession } = useWhatsApp()
+
+  return (
+    <Select value={selectedSession} onValueChange={selectSession} disabled={disabled || sessions.length === 0}>
+      <SelectTrigger className={className ?? "w-full h-9"}>
+        <SelectValue placeholder="Numéro WhatsApp" />
+      </SelectTrigger>
+      <SelectContent>
+        {sessions.map((session) => (
+          <SelectItem key={session.id} value={session.id}>
+            <span className="flex items-center gap-2">
+              <span
+                className={`h-2 w-2 rounded-full ${session.status === "connected" ? "bg-[#25D366]" : "bg-red-500"}`}
+              />
+              {formatSessionLabel(session)}
+            </span>
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
@@ -3,7 +3,9 @@
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Badge } from "@/components/ui/badge"
-import { RefreshCw, QrCode } from "lucide-react"
+import { RefreshCw, QrCode, Activity } from "lucide-react"
+import { useWhatsAppHealth } from "@/hooks/useWhatsAppHealth"
+import { DEFAULT_WHATSAPP_SESSION, type WhatsAppSessionState } from "@/types/whatsapp"
 
 interface WhatsAppStatusProps {
   status: string
@@ -11,9 +13,46 @@ interface WhatsAppStatusProps {
   lastChecked: Date | null
   onRefresh: () => void
   isRefreshing: boolean
+  sessionId?: string // Session dont la santé est affichée (par défaut celle de l'équipe)
 }
 
-export function WhatsAppStatus({ status, qrCode, lastChecked, onRefresh, isRefreshing }: WhatsAppStatusProps) {
+const STATE_LABELS: Record<WhatsAppSessionState, { label: string; className: string }> = {
+  idle: { label: "Non démarré", className: "border-slate-400 text-slate-500" },
+  initializing: { label: "Démarrage", className: "border-blue-500 text-blue-500" },
+  qr: { label: "QR code à scanner", className: "border-amber-500 text-amber-600" },
+  connected: { label: "Connecté", className: "border-green-600 text-green-600" },
+  disconnected: { label: "Déconnecté", className: "border-red-500 text-red-500" },
+  auth_failure: { label: "Authentification refusée", className: "border-red-500 text-red-500" },
+  stopped: { label: "Arrêté", className: "border-slate-400 text-slate-500" },
+  reconnecting: { label: "Reconnexion…", className: "border-amber-500 text-amber-600" },
+}
+
+const formatDuration = (seconds: number) => {
+  if (seconds < 60) return `${seconds} s`
+  const minutes = Math.floor(seconds / 60)
+  if (minutes < 60) return `${minutes} min`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `${hours} h ${minutes % 60} min`
+  return `${Math.floor(hours / 24)} j ${hours % 24} h`
+}
+
+const formatHealthDate = (date: string | null) =>
+  date
+    ? new Date(date).toLocaleString("fr-BE", { day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" })
+    : "Jamais"
+
+export function WhatsAppStatus({
+  status,
+  qrCode,
+  lastChecked,
+  onRefresh,
+  isRefreshing,
+  sessionId = DEFAULT_WHATSAPP_SESSION,
+}: WhatsAppStatusProps) {
+  const { health, error: healthError, refresh: refreshHealth } = useWhatsAppHealth()
+  const session = health?.sessions.find((s) => s.id === sessionId)
+  const state = session ? STATE_LABELS[session.state] || { label: session.state, className: "" } : null
+
   return (
     <Card className="shadow-sm border-0">
       <CardHeader className="pb-2">
@@ -62,11 +101,57 @@ export function WhatsAppStatus({ status, qrCode, lastChecked, onRefresh, isRefre
             <span className="text-xs text-muted-foreground">
               Dernier statut vérifié: {lastChecked ? lastChecked.toLocaleTimeString() : "Jamais"}
             </span>
-            <Button variant="outline" size="sm" onClick={onRefresh} disabled={isRefreshing}>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => {
+                onRefresh()
+                refreshHealth()
+              }}
+              disabled={isRefreshing}
+            >
               <RefreshCw className={`mr-2 h-3.5 w-3.5 ${isRefreshing ? "animate-spin" : ""}`} />
               Actualiser
             </Button>
           </div>
+          {session && state ? (
+            <div className="mt-4 w-full space-y-1 rounded-md border p-3 text-xs">
+              <div className="flex items-center justify-between">
+                <span className="flex items-center gap-1 font-medium">
+                  <Activity className="h-3.5 w-3.5" />
+                  Santé de la connexion
+                </span>
+                <Badge variant="outline" className={`text-xs ${state.className}`}>
+                  {state.label}
+                </Badge>
+              </div>
+              {session.state === "connected" && (
+                <p className="text-muted-foreground">Connecté depuis {formatDuration(session.uptimeSeconds)}</p>
+              )}
+              <p className="text-muted-foreground">
+                Dernier message reçu: {formatHealthDate(session.lastMessageReceivedAt)}
+              </p>
+              {session.restarts > 0 && (
+                <p className="text-muted-foreground">
+                  Reconnexions automatiques: {session.restarts}
+                  {session.lastRestart ? ` (dernière le ${formatHealthDate(session.lastRestart.at)})` : ""}
+                </p>
+              )}
+              {session.nextReconnectAt && (
+                <p className="text-amber-600">
+                  Nouvelle tentative le {formatHealthDate(session.nextReconnectAt)} (tentative{" "}
+                  {session.reconnectAttempts})
+                </p>
+              )}
+              {session.lastDisconnect && session.state !== "connected" && (
+                <p className="text-red-500">
+                  Déconnecté le {formatHealthDate(session.lastDisconnect.at)}: {session.lastDisconnect.reason}
+                </p>
+              )}
+            </div>
+          ) : (
+            healthError && <p className="mt-4 w-full text-xs text-red-500">{healthError}</p>
+          )}
         </div>
       </CardContent>
     </Card>
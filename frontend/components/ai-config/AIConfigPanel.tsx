@@ -15,6 +15,7 @@ import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert" // A
 
 // Interface pour la configuration de l'IA
 import type { AIConfig } from "../../types/ai-config"
+import StateMachineEditor from "./StateMachineEditor"
 
 type AIConfigPanelProps = {}
 
@@ -84,6 +85,11 @@ const AIConfigPanel: React.FC<AIConfigPanelProps> = () => {
       setError(null)
       setUpdateSuccess(false)
       const payload = { ...aiConfig }
+      // L'ancienne option suit la règle "offre de prix" de la machine à états
+      const priceRule = aiConfig.stateMachine?.rules.find((rule) => rule.guard === "price_detected")
+      if (priceRule) {
+        payload.pauseBotOnPriceOffer = priceRule.enabled
+      }
       console.log("Sending AI Config Payload:", payload)
       const response = await axios.post("http://localhost:3001/api/ai/config", payload) // Updated endpoint URL
 
@@ -95,7 +101,7 @@ const AIConfigPanel: React.FC<AIConfigPanelProps> = () => {
       }
     } catch (err: any) {
       console.error("Erreur lors de la mise à jour de la configuration IA:", err)
-      setError(`Impossible de mettre à jour la configuration IA: ${err.message}`)
+      setError(`Impossible de mettre à jour la configuration IA: ${err.response?.data?.error || err.message}`)
     } finally {
       setUpdatingAIConfig(false)
     }
@@ -212,22 +218,6 @@ const AIConfigPanel: React.FC<AIConfigPanelProps> = () => {
             />
           </div>
 
-          {/* Nouveau contrôle pour l'arrêt du bot sur offre de prix */}
-          <div className="flex items-center justify-between">
-            <div className="space-y-0.5">
-              <Label htmlFor="pause-on-price">Mettre en pause le bot sur offre de prix</Label>
-              <p className="text-sm text-slate-500">
-                Si activé, le bot s'arrêtera de répondre automatiquement lorsqu'une offre de prix est détectée.
-              </p>
-            </div>
-            <Switch
-              id="pause-on-price"
-              checked={aiConfig.pauseBotOnPriceOffer}
-              onCheckedChange={(checked) => setAIConfig({ ...aiConfig, pauseBotOnPriceOffer: checked })}
-              disabled={!aiConfig.enabled}
-            />
-          </div>
-
           <div className="space-y-2 border-t pt-4 mt-4">
             <h3 className="font-medium">Délais de réponse</h3>
             <p className="text-sm text-slate-500 mb-4">Configurez les délais pour simuler un temps de réponse humain</p>
@@ -467,6 +457,21 @@ const AIConfigPanel: React.FC<AIConfigPanelProps> = () => {
             </div>
           </div>
 
+          {aiConfig.stateMachine && (
+            <div className="space-y-2 border-t pt-4 mt-4">
+              <h3 className="font-medium">États des conversations</h3>
+              <p className="text-sm text-slate-500 mb-4">
+                Règles de passage d'un état à l'autre (offre de prix, véhicule indisponible, silence du vendeur) et
+                actions associées. Le bot ne répond pas tant qu'il est en pause.
+              </p>
+              <StateMachineEditor
+                value={aiConfig.stateMachine}
+                onChange={(stateMachine) => setAIConfig({ ...aiConfig, stateMachine })}
+                disabled={!aiConfig.enabled}
+              />
+            </div>
+          )}
+
           <Button
             onClick={updateAIConfigHandler}
             className="w-full bg-green-600 hover:bg-green-700"
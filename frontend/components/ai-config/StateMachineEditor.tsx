@@ -0,0 +1,218 @@
+"use client"
+
+import type React from "react"
+import { Label } from "@/components/ui/label"
+import { Input } from "@/components/ui/input"
+import { Switch } from "@/components/ui/switch"
+import { Badge } from "@/components/ui/badge"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import type { ConversationStateName, StateHook, StateMachine, StateRule } from "../../types/ai-config"
+
+const STATES: ConversationStateName[] = ["active", "negotiation", "manual", "completed", "archived"]
+
+const STATE_LABELS: Record<ConversationStateName, string> = {
+  active: "Active",
+  negotiation: "Négociation",
+  manual: "Manuel",
+  completed: "Terminée",
+  archived: "Archivée",
+}
+
+const HOOK_LABELS: Record<StateHook, string> = {
+  pause_bot: "Mettre le bot en pause",
+  resume_bot: "Réactiver le bot",
+  notify: "Me notifier",
+  mark_vehicle_contacted: "Véhicule contacté",
+  mark_vehicle_sold: "Véhicule vendu",
+}
+
+const GUARD_LABELS: Record<StateRule["guard"], string> = {
+  price_detected: "Offre de prix détectée",
+  unavailability_keyword: "Phrase de non-disponibilité",
+  silence: "Aucun message depuis",
+  offer_accepted: "Offre acceptée",
+}
+
+const HOOKS = Object.keys(HOOK_LABELS) as StateHook[]
+
+// Ajouter ou retirer une valeur d'une liste
+const toggle = <T,>(list: T[], value: T): T[] =>
+  list.includes(value) ? list.filter((item) => item !== value) : [...list, value]
+
+interface ChipsProps<T extends string> {
+  options: T[]
+  selected: T[]
+  labels: Record<T, string>
+  onToggle: (value: T) => void
+  disabled?: boolean
+}
+
+// Liste de valeurs sélectionnables sous forme de badges
+const Chips = <T extends string>({ options, selected, labels, onToggle, disabled }: ChipsProps<T>) => (
+  <div className="flex flex-wrap gap-1">
+    {options.map((option) => (
+      <button key={option} type="button" onClick={() => onToggle(option)} disabled={disabled}>
+        <Badge
+          variant={selected.includes(option) ? "default" : "outline"}
+          className={disabled ? "opacity-50" : "cursor-pointer"}
+        >
+          {labels[option]}
+        </Badge>
+      </button>
+    ))}
+  </div>
+)
+
+interface StateMachineEditorProps {
+  value: StateMachine
+  onChange: (machine: StateMachine) => void
+  disabled?: boolean
+}
+
+const StateMachineEditor: React.FC<StateMachineEditorProps> = ({ value, onChange, disabled }) => {
+  const updateRule = (index: number, changes: Partial<StateRule>) => {
+    onChange({ ...value, rules: value.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)) })
+  }
+
+  const toggleTransition = (from: ConversationStateName, to: ConversationStateName) => {
+    onChange({ ...value, transitions: { ...value.transitions, [from]: toggle(value.transitions[from], to) } })
+  }
+
+  const toggleOnEnterHook = (state: ConversationStateName, hook: StateHook) => {
+    onChange({ ...value, onEnter: { ...value.onEnter, [state]: toggle(value.onEnter[state], hook) } })
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Label>Règles automatiques</Label>
+        <p className="text-sm text-slate-500">
+          Appliquées dans l'ordre à chaque message : la première règle active dont la condition est remplie change
+          l'état de la conversation.
+        </p>
+
+        {value.rules.map((rule, index) => (
+          <div key={rule.id} className="rounded-md border p-3 space-y-2">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-2 text-sm font-medium">
+                {GUARD_LABELS[rule.guard]}
+                {rule.guard === "silence" && (
+                  <>
+                    <Input
+                      type="number"
+                      min={1}
+                      className="h-7 w-20"
+                      value={rule.silenceHours ?? 72}
+                      onChange={(e) => updateRule(index, { silenceHours: Number.parseInt(e.target.value) || 1 })}
+                      disabled={disabled || !rule.enabled}
+                    />
+                    heures
+                  </>
+                )}
+              </div>
+              <Switch
+                checked={rule.enabled}
+                onCheckedChange={(checked) => updateRule(index, { enabled: checked })}
+                disabled={disabled}
+              />
+            </div>
+
+            <div className="grid grid-cols-[6rem_1fr] items-center gap-2 text-sm">
+              <span className="text-slate-500">Depuis</span>
+              <Chips
+                options={STATES}
+                selected={rule.from}
+                labels={STATE_LABELS}
+                onToggle={(state) => updateRule(index, { from: toggle(rule.from, state) })}
+                disabled={disabled || !rule.enabled}
+              />
+
+              <span className="text-slate-500">Vers</span>
+              <Select
+                value={rule.to}
+                onValueChange={(to) => updateRule(index, { to: to as ConversationStateName })}
+                disabled={disabled || !rule.enabled}
+              >
+                <SelectTrigger className="h-8 w-48">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {STATES.map((state) => (
+                    <SelectItem key={state} value={state}>
+                      {STATE_LABELS[state]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+
+              <span className="text-slate-500">Actions</span>
+              <Chips
+                options={HOOKS}
+                selected={rule.hooks}
+                labels={HOOK_LABELS}
+                onToggle={(hook) => updateRule(index, { hooks: toggle(rule.hooks, hook) })}
+                disabled={disabled || !rule.enabled}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        <Label>Transitions autorisées</Label>
+        <p className="text-sm text-slate-500">
+          Changements d'état permis, manuels ou automatiques (ligne : état actuel, colonne : nouvel état).
+        </p>
+        <table className="w-full text-sm">
+          <thead>
+            <tr>
+              <th />
+              {STATES.map((state) => (
+                <th key={state} className="font-normal text-slate-500 px-1">
+                  {STATE_LABELS[state]}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {STATES.map((from) => (
+              <tr key={from}>
+                <td className="py-1 pr-2">{STATE_LABELS[from]}</td>
+                {STATES.map((to) => (
+                  <td key={to} className="text-center">
+                    {from !== to && (
+                      <Checkbox
+                        checked={value.transitions[from].includes(to)}
+                        onCheckedChange={() => toggleTransition(from, to)}
+                        disabled={disabled}
+                      />
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="space-y-2">
+        <Label>Actions à l'entrée dans un état</Label>
+        {STATES.map((state) => (
+          <div key={state} className="grid grid-cols-[6rem_1fr] items-center gap-2 text-sm">
+            <span>{STATE_LABELS[state]}</span>
+            <Chips
+              options={HOOKS}
+              selected={value.onEnter[state]}
+              labels={HOOK_LABELS}
+              onToggle={(hook) => toggleOnEnterHook(state, hook)}
+              disabled={disabled}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default StateMachineEditor
@@ -4,7 +4,8 @@ import { Skeleton } from "@/components/ui/skeleton"
 import { MessageList } from "./MessageList"
 import { MessageInput } from "./MessageInput"
 import { ConversationHeader } from "./ConversationHeader"
-import type { AppMessage } from "@/types/messages"
+import { FollowUpPanel } from "./FollowUpPanel"
+import type { AppMessage, ConversationPresence } from "@/types/messages"
 import type { ChatGroup } from "@/types/conversations"
 
 interface ConversationDetailProps {
@@ -19,6 +20,7 @@ interface ConversationDetailProps {
   updatingConversationState: boolean
   formatDate: (timestamp: number) => string
   formatPhoneNumber: (phoneNumber: string) => string
+  presence?: ConversationPresence
 }
 
 const ConversationDetail: React.FC<ConversationDetailProps> = ({
@@ -33,6 +35,7 @@ const ConversationDetail: React.FC<ConversationDetailProps> = ({
   updatingConversationState,
   formatDate,
   formatPhoneNumber,
+  presence,
 }) => {
   if (!selectedConversation) {
     return (
@@ -51,6 +54,12 @@ const ConversationDetail: React.FC<ConversationDetailProps> = ({
         onStateChange={onStateChange}
         updatingState={updatingConversationState}
         formatPhoneNumber={formatPhoneNumber}
+        presence={presence}
+      />
+      <FollowUpPanel
+        conversationId={selectedConversation.id}
+        conversationState={selectedConversation.state}
+        refreshKey={selectedConversation.lastMessageTime}
       />
       <CardContent className="flex-1 p-0 overflow-hidden flex flex-col">
         {loadingMessages ? (
@@ -2,7 +2,7 @@ import { Card, CardContent } from "@/components/ui/card"
 import { Skeleton } from "@/components/ui/skeleton"
 import { MessageCircle, AlertCircle } from "lucide-react"
 import { Alert, AlertDescription } from "@/components/ui/alert"
-import type { AppMessage } from "@/types/messages"
+import type { AppMessage, OutgoingAttachment, ConversationPresence } from "@/types/messages"
 import type { ChatGroup } from "@/types/conversations"
 
 // Import components directly with absolute paths
@@ -14,7 +14,7 @@ interface ConversationDetailViewProps {
   selectedConversation: ChatGroup | null
   messagesForSelectedChat: AppMessage[]
   loadingMessages: boolean
-  onSendMessage: (message: string) => Promise<void>
+  onSendMessage: (message: string, attachment?: OutgoingAttachment) => Promise<void>
   sendingMessage: boolean
   sendError: string | null
   whatsAppStatus: string
@@ -22,6 +22,7 @@ interface ConversationDetailViewProps {
   updatingConversationState: boolean
   formatDate: (timestamp: number) => string
   formatPhoneNumber: (phoneNumber: string) => string
+  presence?: ConversationPresence
 }
 
 export function ConversationDetailView({
@@ -36,6 +37,7 @@ export function ConversationDetailView({
   updatingConversationState,
   formatDate,
   formatPhoneNumber,
+  presence,
 }: ConversationDetailViewProps) {
   if (!selectedConversation) {
     return (
@@ -55,6 +57,7 @@ export function ConversationDetailView({
         onStateChange={onStateChange}
         updatingConversationState={updatingConversationState}
         formatPhoneNumber={formatPhoneNumber}
+        presence={presence}
       />
       <CardContent className="flex-1 p-0 overflow-hidden flex flex-col">
         {sendError && (
@@ -22,17 +22,29 @@ import {
   Calendar,
   MapPin,
   RefreshCw,
+  LineChart,
+  Handshake,
+  Hand,
+  History,
 } from "lucide-react"
 import { Button } from "@/components/ui/button"
-import { Dialog, DialogContent, DialogHeader, DialogClose } from "@/components/ui/dialog"
+import { Dialog, DialogContent, DialogHeader, DialogClose, DialogTitle } from "@/components/ui/dialog"
+import VehicleDetails from "./VehicleDetails"
+import NegotiationPanel from "./NegotiationPanel"
 import type { ChatGroup } from "../../types/conversations"
+import type { ConversationPresence } from "../../types/messages"
 import axios from "axios"
+import { useHistoryBackfill } from "@/hooks/useHistoryBackfill"
+
+// Rafraîchir la page pour voir les messages importés
+const reloadPage = () => window.location.reload()
 
 interface ConversationHeaderProps {
   selectedConversation: ChatGroup | null | undefined
   onStateChange: (newState: string) => void
   updatingConversationState: boolean
   formatPhoneNumber: (phone: string) => string
+  presence?: ConversationPresence
 }
 
 export const ConversationHeader: React.FC<ConversationHeaderProps> = ({
@@ -40,10 +52,17 @@ export const ConversationHeader: React.FC<ConversationHeaderProps> = ({
   onStateChange,
   updatingConversationState,
   formatPhoneNumber,
+  presence,
 }) => {
   const [showStateMenu, setShowStateMenu] = useState(false)
   const [showImageModal, setShowImageModal] = useState(false)
   const [syncingHistory, setSyncingHistory] = useState(false)
+  const [showPriceHistory, setShowPriceHistory] = useState(false)
+  const [showNegotiation, setShowNegotiation] = useState(false)
+  const { backfill, inProgress: backfillInProgress, starting: startingBackfill, startBackfill } = useHistoryBackfill(
+    selectedConversation?.id,
+    reloadPage,
+  )
 
   if (!selectedConversation) {
     return null
@@ -66,6 +85,12 @@ export const ConversationHeader: React.FC<ConversationHeaderProps> = ({
           color: "text-amber-600 dark:text-amber-400",
           icon: <AlertCircle className="h-3.5 w-3.5 mr-1" />,
         }
+      case "manual":
+        return {
+          label: "Manuel",
+          color: "text-purple-600 dark:text-purple-400",
+          icon: <Hand className="h-3.5 w-3.5 mr-1" />,
+        }
       case "completed":
         return {
           label: "Terminé",
@@ -88,6 +113,20 @@ export const ConversationHeader: React.FC<ConversationHeaderProps> = ({
   }
 
   const stateDetails = getStateDetails(state)
+
+  // Présence en temps réel: l'IA qui rédige sa réponse passe avant l'état du contact
+  const getPresenceLabel = () => {
+    if (!presence) return null
+    if (presence.assistantTyping) return { label: "L'assistant écrit…", color: "text-primary" }
+    if (presence.contactState === "typing") return { label: "écrit…", color: "text-green-600 dark:text-green-400" }
+    if (presence.contactState === "recording") {
+      return { label: "enregistre un audio…", color: "text-green-600 dark:text-green-400" }
+    }
+    if (presence.isOnline) return { label: "En ligne", color: "text-green-600 dark:text-green-400" }
+    return null
+  }
+
+  const presenceLabel = getPresenceLabel()
   const formattedPhone = formatPhoneNumber(vehicle?.phone || phoneNumber || "")
   // Format date consistently to avoid hydration mismatches
   const formattedDate = createdAt
@@ -173,6 +212,9 @@ export const ConversationHeader: React.FC<ConversationHeaderProps> = ({
               <div className="flex items-center text-sm text-muted-foreground mt-1">
                 <Phone className="h-3 w-3 mr-1 flex-shrink-0" />
                 <span className="truncate">{formattedPhone}</span>
+                {presenceLabel && (
+                  <span className={`ml-2 flex-shrink-0 italic ${presenceLabel.color}`}>{presenceLabel.label}</span>
+                )}
               </div>
 
               {/* Date de création */}
@@ -260,6 +302,61 @@ export const ConversationHeader: React.FC<ConversationHeaderProps> = ({
                 <span className="hidden sm:inline">Sync</span>
               </Button>
 
+              {/* Import de tout l'historique WhatsApp de la conversation */}
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={startBackfill}
+                disabled={startingBackfill || backfillInProgress}
+                className="gap-1"
+                title={
+                  backfill?.status === "completed" && backfill.backfilledAt
+                    ? `Historique importé le ${new Date(backfill.backfilledAt).toLocaleString("fr-FR")} (${backfill.imported ?? 0} message(s)) - cliquer pour réimporter`
+                    : backfill?.status === "partial"
+                      ? `Historique importé partiellement (${backfill.imported ?? 0} message(s), limite atteinte) - cliquer pour réimporter`
+                      : "Importer tout l'historique WhatsApp de la conversation"
+                }
+              >
+                {startingBackfill || backfillInProgress ? (
+                  <Loader2 className="h-4 w-4 animate-spin" />
+                ) : (
+                  <History className="h-4 w-4" />
+                )}
+                <span className="hidden sm:inline">
+                  {backfillInProgress
+                    ? backfill?.status === "pending"
+                      ? "En attente"
+                      : `Import${backfill?.imported ? ` (${backfill.imported})` : ""}`
+                    : "Historique"}
+                </span>
+              </Button>
+
+              {/* Historique des prix du véhicule */}
+              {vehicle?.id && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setShowPriceHistory(true)}
+                  className="gap-1"
+                  title="Valeur estimée, historique du prix demandé et offres"
+                >
+                  <LineChart className="h-4 w-4" />
+                  <span className="hidden sm:inline">Prix</span>
+                </Button>
+              )}
+
+              {/* Fil de négociation (offres, contre-offres) */}
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setShowNegotiation(true)}
+                className="gap-1"
+                title="Offres de prix: accepter, refuser ou faire une contre-offre"
+              >
+                <Handshake className="h-4 w-4" />
+                <span className="hidden sm:inline">Négociation</span>
+              </Button>
+
               {/* Bouton d'état */}
               <div className="relative">
                 <Button
@@ -301,6 +398,15 @@ export const ConversationHeader: React.FC<ConversationHeaderProps> = ({
                         <AlertCircle className="h-4 w-4 mr-2 text-amber-500" />
                         Négociation
                       </button>
+                      <button
+                        className={`flex items-center w-full px-4 py-2 text-sm hover:bg-accent ${
+                          state === "manual" ? "bg-accent/50" : ""
+                        }`}
+                        onClick={() => handleStateChange("manual")}
+                      >
+                        <Hand className="h-4 w-4 mr-2 text-purple-500" />
+                        Manuel
+                      </button>
                       <button
                         className={`flex items-center w-full px-4 py-2 text-sm hover:bg-accent ${
                           state === "completed" ? "bg-accent/50" : ""
@@ -328,6 +434,36 @@ export const ConversationHeader: React.FC<ConversationHeaderProps> = ({
         </div>
       </CardHeader>
 
+      {/* Valeur estimée, historique des prix et offres */}
+      <Dialog open={showPriceHistory} onOpenChange={setShowPriceHistory}>
+        <DialogContent className="sm:max-w-xl">
+          <DialogHeader>
+            <DialogTitle>Prix du véhicule</DialogTitle>
+          </DialogHeader>
+          {showPriceHistory && (
+            <VehicleDetails
+              vehicle={vehicle}
+              layout="full"
+              facts={selectedConversation.facts}
+              showValuation
+              showPriceHistory
+            />
+          )}
+        </DialogContent>
+      </Dialog>
+
+      {/* Négociation autour des offres de prix */}
+      <Dialog open={showNegotiation} onOpenChange={setShowNegotiation}>
+        <DialogContent className="sm:max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Négociation</DialogTitle>
+          </DialogHeader>
+          {showNegotiation && (
+            <NegotiationPanel conversationId={conversationUUID} refreshKey={selectedConversation.lastMessageTime} />
+          )}
+        </DialogContent>
+      </Dialog>
+
       {/* Modal pour afficher l'image en grand */}
       <Dialog open={showImageModal} onOpenChange={setShowImageModal}>
         <DialogContent className="sm:max-w-3xl max-h-[90vh] p-0 overflow-hidden">
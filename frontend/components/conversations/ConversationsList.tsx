@@ -9,9 +9,17 @@ import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { Search, MessageCircle, Filter, Loader2 } from "lucide-react"
 import { useState, useMemo, useCallback } from "react"
 import { Button } from "@/components/ui/button"
-import { useConversations } from "@/hooks/useConversations"
+import type { ChatGroup, ConversationListFilter } from "@/types/conversations"
 
+// La liste affiche l'instance useConversations du parent, qui reçoit aussi les événements WebSocket
 interface ConversationsListProps {
+  conversations: ChatGroup[]
+  loading: boolean
+  page: number
+  totalPages: number
+  onNextPage: () => void
+  onPrevPage: () => void
+  onFilterChange: (filter: ConversationListFilter | null) => void
   selectedConversationUUID: string | null
   onSelectConversation: (chatId: string, conversationUUID: string) => void
   formatDate: (timestamp: number) => string
@@ -20,13 +28,19 @@ interface ConversationsListProps {
 }
 
 const ConversationsList: React.FC<ConversationsListProps> = ({
+  conversations,
+  loading,
+  page,
+  totalPages,
+  onNextPage,
+  onPrevPage,
+  onFilterChange,
   selectedConversationUUID,
   onSelectConversation,
   formatDate,
   formatPhoneNumber,
   showDebugInfo = false,
 }) => {
-  const { conversations, loadingDbConversations, page, totalPages, nextPage, prevPage } = useConversations()
   const [searchTerm, setSearchTerm] = useState("")
   const [activeFilter, setActiveFilter] = useState<string>("all")
 
@@ -45,19 +59,29 @@ const ConversationsList: React.FC<ConversationsListProps> = ({
       if (activeFilter === "negotiation") return searchMatch && chat.state === "negotiation"
       if (activeFilter === "completed") return searchMatch && chat.state === "completed"
       if (activeFilter === "archived") return searchMatch && chat.state === "archived"
+      // "read_no_reply" est filtré par le serveur, avant la pagination
 
       return searchMatch
     })
   }, [conversations, searchTerm, activeFilter])
 
+  // Changement d'onglet: seul "Lu sans réponse" est demandé au serveur
+  const handleFilterChange = useCallback(
+    (value: string) => {
+      setActiveFilter(value)
+      onFilterChange(value === "read_no_reply" ? "read_no_reply" : null)
+    },
+    [onFilterChange],
+  )
+
   // Fonction pour gérer le changement de page avec scrollTo forcé
   const handlePageChange = useCallback(
     (action: "prev" | "next") => {
       // Naviguer vers la page suivante/précédente
       if (action === "prev") {
-        prevPage()
+        onPrevPage()
       } else {
-        nextPage()
+        onNextPage()
       }
 
       // Forcer le scroll en haut de façon impérative avec un setTimeout
@@ -85,10 +109,10 @@ const ConversationsList: React.FC<ConversationsListProps> = ({
         }
       }, 50) // Un délai de 50ms devrait être suffisant
     },
-    [prevPage, nextPage],
+    [onPrevPage, onNextPage],
   )
 
-  if (loadingDbConversations) {
+  if (loading) {
     return (
       <Card className="h-full">
         <CardHeader className="pb-3">
@@ -130,13 +154,16 @@ const ConversationsList: React.FC<ConversationsListProps> = ({
         </div>
       </CardHeader>
 
-      <Tabs defaultValue="all" className="px-4" onValueChange={setActiveFilter}>
-        <TabsList className="grid grid-cols-5 mb-2">
+      <Tabs value={activeFilter} className="px-4" onValueChange={handleFilterChange}>
+        <TabsList className="grid grid-cols-6 mb-2">
           <TabsTrigger value="all">Tous</TabsTrigger>
           <TabsTrigger value="active">Actifs</TabsTrigger>
           <TabsTrigger value="negotiation">Négo</TabsTrigger>
           <TabsTrigger value="completed">Terminés</TabsTrigger>
           <TabsTrigger value="archived">Archivés</TabsTrigger>
+          <TabsTrigger value="read_no_reply" title="Lu sans réponse">
+            Lus
+          </TabsTrigger>
         </TabsList>
       </Tabs>
 
@@ -177,7 +204,7 @@ const ConversationsList: React.FC<ConversationsListProps> = ({
             variant="outline"
             size="sm"
             onClick={() => handlePageChange("prev")}
-            disabled={page === 1 || loadingDbConversations}
+            disabled={page === 1 || loading}
           >
             Précédent
           </Button>
@@ -188,7 +215,7 @@ const ConversationsList: React.FC<ConversationsListProps> = ({
             variant="outline"
             size="sm"
             onClick={() => handlePageChange("next")}
-            disabled={page === totalPages || loadingDbConversations}
+            disabled={page === totalPages || loading}
           >
             Suivant
           </Button>
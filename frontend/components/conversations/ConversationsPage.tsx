@@ -13,7 +13,10 @@ import { useWhatsApp } from "@/components/WhatsAppContext"
 import { useConversations } from "@/hooks/useConversations"
 import { useMessages } from "@/hooks/useMessages"
 import { useWebSocket } from "@/hooks/useWebSocket"
+import { usePresence } from "@/hooks/usePresence"
 import AIConfigPanel from "@/components/ai-config/AIConfigPanel"
+import type { HistorySyncProgress } from "@/types/conversations"
+import type { MessageStatusUpdate } from "@/types/messages"
 
 // Import components directly with absolute paths
 import ConversationsList from "@/components/conversations/ConversationsList"
@@ -34,9 +37,18 @@ export function ConversationsPage() {
     fetchDbConversations,
     handleSelectConversation,
     handleConversationStateChange,
+    applyPriceOfferEvent,
+    applyFactsEvent,
+    applyStateEvent,
+    applyMessageStatus,
     updateConversationOnNewMessage,
     setNewMessageNotification,
     setError,
+    changeFilter,
+    page,
+    totalPages,
+    nextPage,
+    prevPage,
   } = useConversations()
 
   const {
@@ -47,34 +59,79 @@ export function ConversationsPage() {
     fetchMessagesForChat,
     handleSendMessage,
     addIncomingMessage,
+    updateMessageStatus,
+    applyMessageEdit,
+    applyMessageDeletion,
+    applyMessageReaction,
   } = useMessages(selectedConversation, updateConversationOnNewMessage)
 
-  const { socketConnected } = useWebSocket({ onNewMessage: addIncomingMessage })
+  const { presence, handleContactPresence, handleAssistantTyping } = usePresence(selectedConversationUUID)
+
+  // Accusé de réception: fil de messages ouvert et dernier message de la liste
+  const handleMessageStatus = useCallback(
+    (update: MessageStatusUpdate) => {
+      updateMessageStatus(update)
+      applyMessageStatus(update)
+    },
+    [updateMessageStatus, applyMessageStatus],
+  )
+
+  // Synchronisation de l'historique en arrière-plan: la liste est rechargée une fois terminée
+  const [historySync, setHistorySync] = useState<HistorySyncProgress | null>(null)
+  const handleHistorySyncProgress = useCallback(
+    (progress: HistorySyncProgress) => {
+      setHistorySync(progress)
+      if (progress.status !== "running") {
+        fetchDbConversations()
+      }
+    },
+    [fetchDbConversations],
+  )
+  const historySyncRunning = historySync?.status === "running"
+
+  // Afficher une synchronisation déjà en cours (lancée depuis un autre onglet, ou reprise après un redémarrage)
+  useEffect(() => {
+    axios
+      .get("http://localhost:3001/api/whatsapp/sync-status")
+      .then((response) => setHistorySync(response.data.sync))
+      .catch((err) => console.warn("Statut de synchronisation indisponible:", err))
+  }, [])
+
+  const { socketConnected } = useWebSocket({
+    onNewMessage: addIncomingMessage,
+    onMessageStatus: handleMessageStatus,
+    onMessageEdited: applyMessageEdit,
+    onMessageDeleted: applyMessageDeletion,
+    onMessageReaction: applyMessageReaction,
+    onContactPresence: handleContactPresence,
+    onAssistantTyping: handleAssistantTyping,
+    onPriceOffer: applyPriceOfferEvent,
+    onFactsUpdated: applyFactsEvent,
+    onStateChanged: applyStateEvent,
+    onHistorySyncProgress: handleHistorySyncProgress,
+    conversationId: selectedConversationUUID,
+  })
 
   // State for UI toggles
   const [showDebugInfo, setShowDebugInfo] = useState<boolean>(false)
   const [showAIConfig, setShowAIConfig] = useState<boolean>(false)
   const [loadingRecentConversations, setLoadingRecentConversations] = useState<boolean>(false)
 
-  // Récupérer les messages récents et synchroniser l'historique
+  // Récupérer les conversations et lancer la synchronisation de l'historique en arrière-plan
+  // (seuls les messages arrivés depuis la dernière synchronisation de chaque discussion sont récupérés)
   const fetchRecentConversations = async () => {
     try {
       setLoadingRecentConversations(true)
       setError(null)
-      console.log("Récupération et synchronisation des conversations...")
-      
-      // D'abord synchroniser l'historique de toutes les conversations
+
       try {
         const syncResponse = await axios.post("http://localhost:3001/api/whatsapp/sync-all-conversations")
-        if (syncResponse.data.success) {
-          console.log(`Synchronisation réussie: ${syncResponse.data.totalNewMessages} nouveaux messages synchronisés`)
-        }
+        setHistorySync(syncResponse.data.sync)
       } catch (syncError: any) {
         console.warn("Erreur lors de la synchronisation (continuons quand même):", syncError)
         // Ne pas arrêter le processus si la synchronisation échoue
       }
-      
-      // Ensuite récupérer les conversations mises à jour
+
       await fetchDbConversations()
     } catch (err: any) {
       console.error("Erreur lors de la récupération des conversations :", err)
@@ -124,7 +181,7 @@ export function ConversationsPage() {
                     disabled={loadingRecentConversations}
                     className="h-9 w-9"
                   >
-                    {loadingRecentConversations ? (
+                    {loadingRecentConversations || historySyncRunning ? (
                       <Loader2 className="h-4 w-4 animate-spin" />
                     ) : (
                       <RefreshCw className="h-4 w-4" />
@@ -136,6 +193,11 @@ export function ConversationsPage() {
                 </TooltipContent>
               </Tooltip>
             </TooltipProvider>
+            {historySyncRunning && historySync && (
+              <span className="text-xs text-muted-foreground">
+                Synchronisation {historySync.processed}/{historySync.total}
+              </span>
+            )}
 
             {/* Bouton de configuration IA */}
             <TooltipProvider>
@@ -225,13 +287,18 @@ export function ConversationsPage() {
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         <div className="md:col-span-1">
           <ConversationsList
+            conversations={conversations}
+            loading={loadingDbConversations}
+            page={page}
+            totalPages={totalPages}
+            onNextPage={nextPage}
+            onPrevPage={prevPage}
+            onFilterChange={changeFilter}
             selectedConversationUUID={selectedConversationUUID}
             onSelectConversation={handleSelectConversation}
             formatDate={formatDate}
             formatPhoneNumber={formatPhoneNumber}
             showDebugInfo={showDebugInfo}
-            // conversations prop is not needed here as ConversationsList fetches it internally
-            // loading prop is also fetched internally by ConversationsList
           />
         </div>
 
@@ -248,6 +315,7 @@ export function ConversationsPage() {
             updatingConversationState={updatingConversationState}
             formatDate={formatDate}
             formatPhoneNumber={formatPhoneNumber}
+            presence={presence}
           />
         </div>
       </div>
@@ -0,0 +1,195 @@
+"use client"
+
+import { useState } from "react"
+import type React from "react"
+import { BellRing, ChevronDown, ChevronUp, Loader2, Pencil, Plus, Trash2, X } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
+import { useFollowUps } from "@/hooks/useFollowUps"
+import type { FollowUp, FollowUpStep } from "@/types/conversations"
+
+interface FollowUpPanelProps {
+  conversationId: string
+  conversationState?: string
+  refreshKey?: unknown // Recharge la séquence quand il change (dernier message de la conversation)
+}
+
+const STATUS_LABELS: Record<FollowUp["status"], { label: string; className: string }> = {
+  scheduled: { label: "Programmée", className: "border-amber-500 text-amber-600" },
+  queued: { label: "En file d'envoi", className: "border-blue-500 text-blue-500" },
+  sent: { label: "Envoyée", className: "border-green-600 text-green-600" },
+  failed: { label: "Échec", className: "border-red-500 text-red-500" },
+  cancelled: { label: "Annulée", className: "border-slate-400 text-slate-500" },
+}
+
+const CANCEL_REASONS: Record<string, string> = {
+  reply: "le vendeur a répondu",
+  state: "conversation plus active",
+  manual: "annulée manuellement",
+}
+
+const formatFollowUpDate = (date: string) =>
+  new Date(date).toLocaleString("fr-BE", { day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" })
+
+const formatDelay = (delayHours: number) =>
+  delayHours % 24 === 0 ? `J+${delayHours / 24}` : `${delayHours} h`
+
+// Séquence de relance d'une conversation: relances envoyées tant que le vendeur ne répond pas
+export const FollowUpPanel: React.FC<FollowUpPanelProps> = ({ conversationId, conversationState, refreshKey }) => {
+  const { followUps, pendingFollowUps, defaultSteps, loading, submitting, saveSteps, cancelFollowUps } = useFollowUps(
+    conversationId,
+    refreshKey,
+  )
+  const [expanded, setExpanded] = useState(false)
+  const [draft, setDraft] = useState<FollowUpStep[] | null>(null)
+  const isActive = !conversationState || conversationState === "active"
+
+  // Modifier la séquence en cours, ou en créer une à partir de la séquence proposée
+  const startEditing = () => {
+    const steps = pendingFollowUps.length > 0 ? pendingFollowUps : defaultSteps
+    setDraft(steps.map(({ delayHours, body }) => ({ delayHours, body })))
+    setExpanded(true)
+  }
+
+  const updateDraftStep = (index: number, changes: Partial<FollowUpStep>) => {
+    setDraft((steps) => steps && steps.map((step, i) => (i === index ? { ...step, ...changes } : step)))
+  }
+
+  const handleSave = async () => {
+    if (draft && (await saveSteps(draft))) {
+      setDraft(null)
+    }
+  }
+
+  const summary =
+    pendingFollowUps.length > 0
+      ? `${pendingFollowUps.length} programmée${pendingFollowUps.length > 1 ? "s" : ""}, prochaine le ${formatFollowUpDate(pendingFollowUps[0].dueAt)}`
+      : "Aucune relance programmée"
+
+  return (
+    <div className="border-b px-4 py-2 text-sm">
+      <button type="button" className="flex w-full items-center gap-2" onClick={() => setExpanded(!expanded)}>
+        <BellRing className="h-4 w-4 text-slate-500" />
+        <span className="font-medium">Relances</span>
+        <span className="flex-1 truncate text-left text-xs text-slate-500">
+          {loading ? <Loader2 className="h-3 w-3 animate-spin" /> : summary}
+        </span>
+        {expanded ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+      </button>
+
+      {expanded && (
+        <div className="mt-2 space-y-3">
+          {followUps.length > 0 && !draft && (
+            <ol className="space-y-2">
+              {followUps.map((followUp) => (
+                <li key={followUp.id} className="flex items-start gap-2 rounded-md border p-2">
+                  <Badge variant="outline" className="text-xs">
+                    {formatDelay(followUp.delayHours)}
+                  </Badge>
+                  <div className="min-w-0 flex-1">
+                    <p className="whitespace-pre-wrap break-words">{followUp.body}</p>
+                    <p className="text-xs text-slate-500">
+                      {followUp.status === "sent" && followUp.sentAt
+                        ? `Envoyée le ${formatFollowUpDate(followUp.sentAt)}`
+                        : followUp.status === "cancelled"
+                          ? CANCEL_REASONS[followUp.cancelReason || ""] || "Annulée"
+                          : followUp.status === "failed"
+                            ? followUp.error || "Envoi impossible"
+                            : `Prévue le ${formatFollowUpDate(followUp.dueAt)}`}
+                    </p>
+                  </div>
+                  <Badge variant="outline" className={`text-xs ${STATUS_LABELS[followUp.status]?.className || ""}`}>
+                    {STATUS_LABELS[followUp.status]?.label || followUp.status}
+                  </Badge>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {draft ? (
+            <div className="space-y-2">
+              <p className="text-xs text-slate-500">
+                Délais comptés depuis le début de la séquence. Variables : {"{{brand}}"}, {"{{model}}"}, {"{{price}}"}…
+              </p>
+              {draft.map((step, index) => (
+                <div key={index} className="flex items-start gap-2">
+                  <div className="flex items-center gap-1">
+                    <span className="text-xs text-slate-500">J+</span>
+                    <Input
+                      type="number"
+                      min={1}
+                      className="h-8 w-16"
+                      value={Math.max(1, Math.round(step.delayHours / 24))}
+                      onChange={(e) => updateDraftStep(index, { delayHours: (Number.parseInt(e.target.value) || 1) * 24 })}
+                      disabled={submitting}
+                    />
+                  </div>
+                  <Textarea
+                    rows={2}
+                    className="flex-1"
+                    value={step.body}
+                    onChange={(e) => updateDraftStep(index, { body: e.target.value })}
+                    disabled={submitting}
+                  />
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    onClick={() => setDraft(draft.filter((_, i) => i !== index))}
+                    disabled={submitting || draft.length === 1}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => {
+                    const lastDelay = draft.length > 0 ? draft[draft.length - 1].delayHours : 0
+                    setDraft([...draft, { delayHours: lastDelay + 48, body: "" }])
+                  }}
+                  disabled={submitting}
+                >
+                  <Plus className="mr-2 h-4 w-4" />
+                  Étape
+                </Button>
+                <div className="flex-1" />
+                <Button size="sm" variant="ghost" onClick={() => setDraft(null)} disabled={submitting}>
+                  Annuler
+                </Button>
+                <Button
+                  size="sm"
+                  onClick={handleSave}
+                  disabled={submitting || draft.length === 0 || draft.some((step) => !step.body.trim())}
+                >
+                  {submitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                  Enregistrer
+                </Button>
+              </div>
+            </div>
+          ) : isActive ? (
+            <div className="flex gap-2">
+              <Button size="sm" variant="outline" onClick={startEditing} disabled={submitting || loading}>
+                {pendingFollowUps.length > 0 ? <Pencil className="mr-2 h-4 w-4" /> : <Plus className="mr-2 h-4 w-4" />}
+                {pendingFollowUps.length > 0 ? "Modifier les relances" : "Programmer des relances"}
+              </Button>
+              {pendingFollowUps.length > 0 && (
+                <Button size="sm" variant="ghost" onClick={cancelFollowUps} disabled={submitting}>
+                  <X className="mr-2 h-4 w-4" />
+                  Tout annuler
+                </Button>
+              )}
+            </div>
+          ) : (
+            <p className="text-xs text-slate-500">Les relances ne sont envoyées qu'aux conversations actives.</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FollowUpPanel
@@ -2,28 +2,79 @@
 
 import React, { useRef, useState } from "react"
 import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
 import { Textarea } from "@/components/ui/textarea"
-import { Loader2, Send, Paperclip, Smile } from "lucide-react"
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover"
+import { Loader2, Send, Paperclip, Smile, MapPin, FileText, X, LocateFixed } from "lucide-react"
+import type { OutgoingAttachment } from "@/types/messages"
+
+// Types acceptés par WhatsApp: photos, vidéos, notes audio et documents (offres d'achat, checklists...)
+const ACCEPTED_FILES = "image/*,video/*,audio/*,application/pdf,.doc,.docx,.xls,.xlsx"
 
 interface MessageInputProps {
   initialValue: string
-  onSend: (text: string) => void
+  onSend: (text: string, attachment?: OutgoingAttachment) => void
   disabled: boolean
   sending: boolean
 }
 
 export const MessageInput = React.memo(({ initialValue, onSend, disabled, sending }: MessageInputProps) => {
   const inputRef = useRef<HTMLTextAreaElement>(null)
+  const fileInputRef = useRef<HTMLInputElement>(null)
   const [message, setMessage] = useState(initialValue)
+  const [attachment, setAttachment] = useState<OutgoingAttachment | null>(null)
+  const [locationOpen, setLocationOpen] = useState(false)
+  const [locationForm, setLocationForm] = useState({ name: "", latitude: "", longitude: "" })
+  const [locating, setLocating] = useState(false)
 
   const handleChange = (e: React.ChangeEvent<HTMLTextAreaElement>) => {
     setMessage(e.target.value)
   }
 
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0]
+    if (file) {
+      setAttachment({ file })
+    }
+    // Permet de re-sélectionner le même fichier
+    e.target.value = ""
+  }
+
+  const handleUseCurrentPosition = () => {
+    if (!navigator.geolocation) return
+    setLocating(true)
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocationForm((prev) => ({
+          ...prev,
+          latitude: position.coords.latitude.toFixed(6),
+          longitude: position.coords.longitude.toFixed(6),
+        }))
+        setLocating(false)
+      },
+      () => setLocating(false),
+    )
+  }
+
+  const latitude = parseFloat(locationForm.latitude)
+  const longitude = parseFloat(locationForm.longitude)
+  const isLocationValid =
+    !isNaN(latitude) && !isNaN(longitude) && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180
+
+  const handleAttachLocation = () => {
+    if (!isLocationValid) return
+    setAttachment({ location: { latitude, longitude, name: locationForm.name.trim() || undefined } })
+    setLocationOpen(false)
+  }
+
+  const canSend = !disabled && !sending && (message.trim() !== "" || attachment !== null)
+
   const handleSend = () => {
-    if (message.trim() && !disabled && !sending) {
-      onSend(message)
+    if (canSend) {
+      onSend(message, attachment || undefined)
       setMessage("")
+      setAttachment(null)
+      setLocationForm({ name: "", latitude: "", longitude: "" })
       if (inputRef.current) {
         inputRef.current.focus()
       }
@@ -38,36 +89,101 @@ export const MessageInput = React.memo(({ initialValue, onSend, disabled, sendin
   }
 
   return (
-    <div className="flex items-end space-x-2">
-      <Button size="icon" variant="ghost" className="rounded-full h-9 w-9 flex-shrink-0" disabled={disabled}>
-        <Paperclip className="h-5 w-5 text-slate-500" />
-        <span className="sr-only">Joindre un fichier</span>
-      </Button>
-
-      <Textarea
-        ref={inputRef}
-        value={message}
-        onChange={handleChange}
-        onKeyDown={handleKeyDown}
-        placeholder="Saisissez votre message..."
-        className="flex-grow resize-none min-h-[80px] max-h-[160px]"
-        disabled={disabled}
-      />
-
-      <Button size="icon" variant="ghost" className="rounded-full h-9 w-9 flex-shrink-0" disabled={disabled}>
-        <Smile className="h-5 w-5 text-slate-500" />
-        <span className="sr-only">Ajouter un emoji</span>
-      </Button>
-
-      <Button
-        onClick={handleSend}
-        disabled={disabled || sending || !message.trim()}
-        className="bg-[#25D366] hover:bg-[#128C7E] text-white rounded-full h-10 w-10 flex-shrink-0"
-        size="icon"
-      >
-        {sending ? <Loader2 className="h-5 w-5 animate-spin" /> : <Send className="h-5 w-5" />}
-        <span className="sr-only">Envoyer</span>
-      </Button>
+    <div className="space-y-2">
+      {attachment && (
+        <div className="flex items-center space-x-2 rounded-md border border-slate-200 dark:border-slate-600 bg-slate-50 dark:bg-slate-800 px-3 py-2 text-sm">
+          {attachment.location ? (
+            <MapPin className="h-4 w-4 text-red-500 flex-shrink-0" />
+          ) : (
+            <FileText className="h-4 w-4 text-slate-500 flex-shrink-0" />
+          )}
+          <span className="truncate flex-grow">
+            {attachment.file?.name ||
+              attachment.location?.name ||
+              `${attachment.location?.latitude}, ${attachment.location?.longitude}`}
+          </span>
+          <Button size="icon" variant="ghost" className="h-6 w-6" onClick={() => setAttachment(null)}>
+            <X className="h-4 w-4" />
+            <span className="sr-only">Retirer la pièce jointe</span>
+          </Button>
+        </div>
+      )}
+
+      <div className="flex items-end space-x-2">
+        <input ref={fileInputRef} type="file" accept={ACCEPTED_FILES} className="hidden" onChange={handleFileChange} />
+        <Button
+          size="icon"
+          variant="ghost"
+          className="rounded-full h-9 w-9 flex-shrink-0"
+          disabled={disabled}
+          onClick={() => fileInputRef.current?.click()}
+        >
+          <Paperclip className="h-5 w-5 text-slate-500" />
+          <span className="sr-only">Joindre un fichier</span>
+        </Button>
+
+        <Popover open={locationOpen} onOpenChange={setLocationOpen}>
+          <PopoverTrigger asChild>
+            <Button size="icon" variant="ghost" className="rounded-full h-9 w-9 flex-shrink-0" disabled={disabled}>
+              <MapPin className="h-5 w-5 text-slate-500" />
+              <span className="sr-only">Envoyer une position</span>
+            </Button>
+          </PopoverTrigger>
+          <PopoverContent className="w-72 space-y-2">
+            <Input
+              placeholder="Nom du lieu (optionnel)"
+              value={locationForm.name}
+              onChange={(e) => setLocationForm((prev) => ({ ...prev, name: e.target.value }))}
+            />
+            <div className="flex space-x-2">
+              <Input
+                placeholder="Latitude"
+                value={locationForm.latitude}
+                onChange={(e) => setLocationForm((prev) => ({ ...prev, latitude: e.target.value }))}
+              />
+              <Input
+                placeholder="Longitude"
+                value={locationForm.longitude}
+                onChange={(e) => setLocationForm((prev) => ({ ...prev, longitude: e.target.value }))}
+              />
+            </div>
+            <div className="flex justify-between">
+              <Button variant="outline" size="sm" onClick={handleUseCurrentPosition} disabled={locating}>
+                {locating ? <Loader2 className="h-4 w-4 animate-spin mr-1" /> : <LocateFixed className="h-4 w-4 mr-1" />}
+                Ma position
+              </Button>
+              <Button size="sm" onClick={handleAttachLocation} disabled={!isLocationValid}>
+                Joindre
+              </Button>
+            </div>
+          </PopoverContent>
+        </Popover>
+
+        <Textarea
+          ref={inputRef}
+          value={message}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          placeholder={attachment?.file ? "Ajouter une légende..." : "Saisissez votre message..."}
+          className="flex-grow resize-none min-h-[80px] max-h-[160px]"
+          disabled={disabled}
+        />
+
+        <Button size="icon" variant="ghost" className="rounded-full h-9 w-9 flex-shrink-0" disabled={disabled}>
+          <Smile className="h-5 w-5 text-slate-500" />
+          <span className="sr-only">Ajouter un emoji</span>
+        </Button>
+
+        <Button
+          onClick={handleSend}
+          disabled={!canSend}
+          className="bg-[#25D366] hover:bg-[#128C7E] text-white rounded-full h-10 w-10 flex-shrink-0"
+          size="icon"
+        >
+          {sending ? <Loader2 className="h-5 w-5 animate-spin" /> : <Send className="h-5 w-5" />}
+          <span className="sr-only">Envoyer</span>
+        </Button>
+      </div>
     </div>
   )
 })
@@ -1,8 +1,96 @@
 "use client"
 
+import { useState } from "react"
 import type React from "react"
-import { Check, CheckCheck, Clock } from "lucide-react"
-import type { AppMessage } from "../../types/messages"
+import { AlertCircle, Ban, Check, CheckCheck, Clock, FileText, MapPin } from "lucide-react"
+import type { AppMessage, MessageAttachment, MessageReaction } from "../../types/messages"
+
+const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001"
+
+// Les médias stockés localement sont servis par le backend sous /media
+const resolveAttachmentUrl = (url: string) => (url.startsWith("/") ? `${BACKEND_URL}${url}` : url)
+
+const formatFileSize = (size?: number | null) => {
+  if (!size) return ""
+  if (size < 1024 * 1024) return `${Math.round(size / 1024)} Ko`
+  return `${(size / (1024 * 1024)).toFixed(1)} Mo`
+}
+
+const AttachmentPreview: React.FC<{ attachment: MessageAttachment }> = ({ attachment }) => {
+  const url = resolveAttachmentUrl(attachment.url)
+
+  switch (attachment.media_type) {
+    case "image":
+      return (
+        <a href={url} target="_blank" rel="noopener noreferrer">
+          <img
+            src={url}
+            alt={attachment.file_name || "Image"}
+            className="rounded-md max-h-64 w-auto object-cover"
+            loading="lazy"
+          />
+        </a>
+      )
+    case "voice":
+    case "audio":
+      return <audio controls src={url} className="max-w-full" />
+    case "video":
+      return <video controls src={url} className="rounded-md max-h-64 max-w-full" />
+    case "location":
+      return (
+        <a
+          href={url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="flex items-center space-x-2 rounded-md bg-black/5 dark:bg-white/10 p-2 hover:underline"
+        >
+          <MapPin className="h-5 w-5 flex-shrink-0 text-red-500" />
+          <span className="truncate">
+            {attachment.file_name || `${attachment.latitude}, ${attachment.longitude}`}
+          </span>
+        </a>
+      )
+    default:
+      return (
+        <a
+          href={url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="flex items-center space-x-2 rounded-md bg-black/5 dark:bg-white/10 p-2 hover:underline"
+        >
+          <FileText className="h-5 w-5 flex-shrink-0" />
+          <span className="truncate">{attachment.file_name || "Document"}</span>
+          <span className="text-xs text-slate-500 dark:text-slate-400">{formatFileSize(attachment.file_size)}</span>
+        </a>
+      )
+  }
+}
+
+const formatEventDate = (date: string) =>
+  new Date(date).toLocaleString("fr-FR", { day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" })
+
+// Réactions regroupées par emoji, avec le nombre de participants
+const ReactionBar: React.FC<{ reactions: MessageReaction[]; isFromMe: boolean }> = ({ reactions, isFromMe }) => {
+  const groups = new Map<string, MessageReaction[]>()
+  for (const reaction of reactions) {
+    groups.set(reaction.reaction, [...(groups.get(reaction.reaction) || []), reaction])
+  }
+
+  return (
+    <div className={`flex flex-wrap gap-1 -mt-2 ${isFromMe ? "justify-end mr-2" : "justify-start ml-2"}`}>
+      {[...groups.entries()].map(([emoji, group]) => (
+        <span
+          key={emoji}
+          className="rounded-full border border-slate-200 dark:border-slate-600 bg-white dark:bg-slate-800 px-1.5 text-sm shadow-sm"
+          title={group.map((reaction) => (reaction.from_me ? "Vous" : "Vendeur")).join(", ")}
+        >
+          {emoji}
+          {group.length > 1 && <span className="ml-0.5 text-xs text-slate-500">{group.length}</span>}
+        </span>
+      ))}
+    </div>
+  )
+}
 
 interface MessageItemProps {
   message: AppMessage
@@ -11,6 +99,8 @@ interface MessageItemProps {
 
 const MessageItem: React.FC<MessageItemProps> = ({ message, formatDate }) => {
   const isFromMe = message.isFromMe || message.fromMe
+  const [showRevisions, setShowRevisions] = useState(false)
+  const revisions = message.revisions || []
 
   // Fonction pour déterminer l'icône de statut du message
   const getStatusIcon = () => {
@@ -23,13 +113,18 @@ const MessageItem: React.FC<MessageItemProps> = ({ message, formatDate }) => {
         return <CheckCheck className="h-3 w-3 text-slate-400" />
       case "read":
         return <CheckCheck className="h-3 w-3 text-blue-500" />
-      default:
+      case "failed":
+        return <AlertCircle className="h-3 w-3 text-red-500" />
+      case "pending":
         return <Clock className="h-3 w-3 text-slate-400" />
+      default:
+        // Messages enregistrés avant le suivi des accusés de réception
+        return null
     }
   }
 
   return (
-    <div className={`flex ${isFromMe ? "justify-end" : "justify-start"}`}>
+    <div className={`flex flex-col ${isFromMe ? "items-end" : "items-start"}`}>
       <div
         className={`max-w-[80%] md:max-w-[70%] rounded-lg p-3 ${
           isFromMe
@@ -37,12 +132,56 @@ const MessageItem: React.FC<MessageItemProps> = ({ message, formatDate }) => {
             : "bg-white dark:bg-slate-700 text-slate-800 dark:text-slate-100 border border-slate-200 dark:border-slate-600 rounded-tl-none"
         }`}
       >
-        <div className="whitespace-pre-wrap break-words">{message.body}</div>
+        {message.attachments && message.attachments.length > 0 && (
+          <div className="space-y-2 mb-1">
+            {message.attachments.map((attachment) => (
+              <AttachmentPreview key={attachment.id} attachment={attachment} />
+            ))}
+          </div>
+        )}
+        {message.is_deleted && (
+          <div
+            className="flex items-center text-xs italic text-slate-500 dark:text-slate-400 mb-1"
+            title={message.deleted_at ? `Supprimé le ${formatEventDate(message.deleted_at)}` : undefined}
+          >
+            <Ban className="h-3 w-3 mr-1" />
+            Supprimé par l&apos;expéditeur
+          </div>
+        )}
+        {message.body && (
+          <div className={`whitespace-pre-wrap break-words ${message.is_deleted ? "line-through opacity-60" : ""}`}>
+            {message.body}
+          </div>
+        )}
+        {showRevisions && revisions.length > 0 && (
+          <div className="mt-2 space-y-1 border-t border-black/10 dark:border-white/10 pt-1">
+            {[...revisions].reverse().map((revision) => (
+              <div key={revision.id} className="text-xs text-slate-500 dark:text-slate-400">
+                <span className="line-through whitespace-pre-wrap break-words">{revision.body || "(vide)"}</span>
+                <span className="ml-1">· remplacé le {formatEventDate(revision.edited_at)}</span>
+              </div>
+            ))}
+          </div>
+        )}
         <div className="flex justify-end items-center mt-1 space-x-1">
+          {message.edited_at && (
+            <button
+              type="button"
+              onClick={() => setShowRevisions((shown) => !shown)}
+              disabled={revisions.length === 0}
+              className="text-xs italic text-slate-500 dark:text-slate-400 hover:underline disabled:no-underline"
+              title={revisions.length > 0 ? "Afficher les versions précédentes" : undefined}
+            >
+              modifié
+            </button>
+          )}
           <span className="text-xs text-slate-500 dark:text-slate-400">{formatDate(message.timestamp)}</span>
           {getStatusIcon()}
         </div>
       </div>
+      {message.reactions && message.reactions.length > 0 && (
+        <ReactionBar reactions={message.reactions} isFromMe={isFromMe} />
+      )}
     </div>
   )
 }
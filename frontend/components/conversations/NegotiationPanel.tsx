@@ -0,0 +1,131 @@
+"use client"
+
+import { useState } from "react"
+import type React from "react"
+import { Check, CornerDownRight, Loader2, Send, X } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
+import { useNegotiation } from "@/hooks/useNegotiation"
+import type { PriceOffer } from "@/types/conversations"
+
+interface NegotiationPanelProps {
+  conversationId: string
+  refreshKey?: unknown // Recharge le fil quand il change (dernier message de la conversation)
+}
+
+const STATUS_LABELS: Record<PriceOffer["status"], { label: string; className: string }> = {
+  pending: { label: "En attente", className: "border-amber-500 text-amber-600" },
+  accepted: { label: "Acceptée", className: "border-green-600 text-green-600" },
+  rejected: { label: "Refusée", className: "border-red-500 text-red-500" },
+  countered: { label: "Contre-offre", className: "border-blue-500 text-blue-500" },
+  superseded: { label: "Remplacée", className: "border-slate-400 text-slate-500" },
+}
+
+const formatOfferDate = (date: string) =>
+  new Date(date).toLocaleString("fr-BE", { day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" })
+
+// Fil de négociation d'une conversation (offre -> contre-offre -> offre) avec les réponses à l'offre en attente
+export const NegotiationPanel: React.FC<NegotiationPanelProps> = ({ conversationId, refreshKey }) => {
+  const { offers, pendingOffer, loading, submitting, acceptOffer, rejectOffer, counterOffer } = useNegotiation(
+    conversationId,
+    refreshKey,
+  )
+  const [counterPrice, setCounterPrice] = useState("")
+  const [counterMessage, setCounterMessage] = useState("")
+
+  const handleCounter = async () => {
+    if (!pendingOffer) return
+    const price = Number(counterPrice)
+    if (!(price > 0)) return
+    if (await counterOffer(pendingOffer.id, price, counterMessage.trim() || undefined)) {
+      setCounterPrice("")
+      setCounterMessage("")
+    }
+  }
+
+  if (loading && offers.length === 0) {
+    return (
+      <div className="flex items-center text-sm text-slate-500">
+        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+        Chargement de la négociation...
+      </div>
+    )
+  }
+
+  if (offers.length === 0) {
+    return <p className="text-sm text-slate-500">Aucune offre de prix dans cette conversation</p>
+  }
+
+  return (
+    <div className="space-y-4">
+      <ol className="space-y-2">
+        {offers.map((offer) => (
+          <li
+            key={offer.id}
+            className={`flex items-center gap-2 rounded-md border p-2 text-sm ${
+              offer.direction === "buyer" ? "ml-6 bg-primary/5" : ""
+            }`}
+          >
+            {offer.parentOfferId && <CornerDownRight className="h-3.5 w-3.5 flex-shrink-0 text-slate-400" />}
+            <div className="min-w-0 flex-1">
+              <div className="font-medium">
+                {offer.direction === "buyer" ? "Votre contre-offre" : "Offre du vendeur"}:{" "}
+                {offer.price.toLocaleString()} {offer.currency === "EUR" || !offer.currency ? "€" : offer.currency}
+              </div>
+              <div className="text-xs text-slate-500">{formatOfferDate(offer.createdAt)}</div>
+            </div>
+            <Badge variant="outline" className={`text-xs ${STATUS_LABELS[offer.status]?.className || ""}`}>
+              {STATUS_LABELS[offer.status]?.label || offer.status}
+            </Badge>
+          </li>
+        ))}
+      </ol>
+
+      {pendingOffer && (
+        <div className="space-y-3 border-t pt-3">
+          <div className="flex gap-2">
+            <Button size="sm" onClick={() => acceptOffer(pendingOffer.id)} disabled={submitting}>
+              {submitting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Check className="mr-2 h-4 w-4" />}
+              {pendingOffer.direction === "buyer" ? "Acceptée par le vendeur" : "Accepter"}
+            </Button>
+            <Button size="sm" variant="outline" onClick={() => rejectOffer(pendingOffer.id)} disabled={submitting}>
+              <X className="mr-2 h-4 w-4" />
+              {pendingOffer.direction === "buyer" ? "Refusée par le vendeur" : "Refuser"}
+            </Button>
+          </div>
+
+          {pendingOffer.direction === "seller" && (
+            <div className="space-y-2">
+              <div className="flex gap-2">
+                <Input
+                  type="number"
+                  min={0}
+                  step={100}
+                  placeholder="Contre-offre (€)"
+                  value={counterPrice}
+                  onChange={(e) => setCounterPrice(e.target.value)}
+                  disabled={submitting}
+                />
+                <Button size="sm" variant="secondary" onClick={handleCounter} disabled={submitting || !(Number(counterPrice) > 0)}>
+                  <Send className="mr-2 h-4 w-4" />
+                  Contre-offre
+                </Button>
+              </div>
+              <Textarea
+                rows={2}
+                placeholder="Message envoyé au vendeur (facultatif)"
+                value={counterMessage}
+                onChange={(e) => setCounterMessage(e.target.value)}
+                disabled={submitting}
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NegotiationPanel
@@ -1,8 +1,32 @@
 "use client"
 
 import type React from "react"
-import { Car, Calendar, Gauge, MapPin, Fuel, Euro, ExternalLink, Info } from "lucide-react"
+import {
+  Car,
+  Calendar,
+  CalendarClock,
+  Gauge,
+  MapPin,
+  Fuel,
+  Euro,
+  ExternalLink,
+  Info,
+  TrendingDown,
+  Loader2,
+  Scale,
+  RefreshCw,
+  ShieldAlert,
+  ShieldCheck,
+  Users,
+  Wrench,
+} from "lucide-react"
+import { CartesianGrid, ComposedChart, Line, Scatter, XAxis, YAxis } from "recharts"
+import { ChartContainer, ChartTooltip, ChartTooltipContent, type ChartConfig } from "@/components/ui/chart"
+import { useVehiclePriceHistory } from "@/hooks/useVehiclePriceHistory"
+import { useVehicleValuation } from "@/hooks/useVehicleValuation"
 import type { Database } from "@/types/supabase" // Assuming global Supabase types
+import type { VehiclePriceHistory, VehicleValuation } from "@/types/vehicles"
+import type { ConversationFact, ConversationFacts } from "@/types/conversations"
 
 type Vehicle = Database["public"]["Tables"]["vehicles"]["Row"]
 
@@ -10,6 +34,232 @@ interface VehicleDetailsProps {
   vehicle: Vehicle | null | undefined
   layout?: "compact" | "full" // To control verbosity if needed
   className?: string
+  showPriceHistory?: boolean // Full layout: price-over-time chart with the offers made
+  showValuation?: boolean // Full layout: market price estimated from comparable listings
+  facts?: ConversationFacts | null // Full layout: facts told by the seller (defaults to vehicle.seller_facts)
+}
+
+const priceChartConfig = {
+  askingPrice: { label: "Prix demandé", color: "#2563eb" },
+  offer: { label: "Offre", color: "#f59e0b" },
+} satisfies ChartConfig
+
+// Baisse du prix demandé depuis le premier contact (null si le prix n'a pas baissé)
+const getPriceDrop = (vehicle: Vehicle) => {
+  if (vehicle.first_contact_price == null || vehicle.price == null) return null
+  const amount = vehicle.first_contact_price - vehicle.price
+  return amount > 0 ? { amount, percent: Math.round((amount / vehicle.first_contact_price) * 1000) / 10 } : null
+}
+
+const formatChartDate = (time: number) => new Date(time).toLocaleDateString("fr-BE", { day: "2-digit", month: "2-digit" })
+
+// Points du graphique: prix demandé (historique) et offres, sur un même axe de temps
+const buildPriceChartData = ({ history, offers, vehicle }: VehiclePriceHistory) => {
+  const points: { time: number; askingPrice?: number; offer?: number }[] = [
+    ...history
+      .filter((entry) => entry.price != null && entry.event !== "removed")
+      .map((entry) => ({ time: new Date(entry.recorded_at).getTime(), askingPrice: Number(entry.price) })),
+    ...offers.map((offer) => ({ time: new Date(offer.createdAt).getTime(), offer: Number(offer.price) })),
+  ]
+  // Le prix actuel prolonge la courbe jusqu'à aujourd'hui
+  if (vehicle.price != null) points.push({ time: Date.now(), askingPrice: Number(vehicle.price) })
+  return points.sort((a, b) => a.time - b.time)
+}
+
+// Graphique du prix demandé dans le temps, avec les offres de price_offers
+const PriceHistoryChart: React.FC<{ vehicleId: string }> = ({ vehicleId }) => {
+  const { data, loading, error } = useVehiclePriceHistory(vehicleId)
+
+  if (loading) {
+    return (
+      <div className="flex items-center text-xs text-slate-500 mt-3">
+        <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+        Chargement de l'historique des prix...
+      </div>
+    )
+  }
+  if (error) return <div className="text-xs text-red-500 mt-3">{error}</div>
+  if (!data || data.history.length === 0) {
+    return <div className="text-xs text-slate-500 mt-3">Aucun historique de prix pour ce véhicule</div>
+  }
+
+  return (
+    <div className="mt-3">
+      <h5 className="text-xs font-medium text-slate-600 dark:text-slate-300 mb-1">Historique des prix</h5>
+      <ChartContainer config={priceChartConfig} className="h-40 w-full">
+        <ComposedChart data={buildPriceChartData(data)} margin={{ top: 5, right: 10, left: 0, bottom: 0 }}>
+          <CartesianGrid vertical={false} />
+          <XAxis
+            dataKey="time"
+            type="number"
+            scale="time"
+            domain={["dataMin", "dataMax"]}
+            tickFormatter={formatChartDate}
+            fontSize={10}
+          />
+          <YAxis width={55} fontSize={10} tickFormatter={(value: number) => `${value.toLocaleString()} €`} />
+          <ChartTooltip
+            content={<ChartTooltipContent labelFormatter={(_, payload) => formatChartDate(payload?.[0]?.payload?.time)} />}
+          />
+          <Line
+            dataKey="askingPrice"
+            type="stepAfter"
+            stroke="var(--color-askingPrice)"
+            strokeWidth={2}
+            dot={false}
+            connectNulls
+          />
+          <Scatter dataKey="offer" fill="var(--color-offer)" />
+        </ComposedChart>
+      </ChartContainer>
+      {data.offers.length > 0 && (
+        <div className="text-xs text-slate-500 mt-1">
+          {data.offers.length} offre(s), dernière: {data.offers[data.offers.length - 1].price.toLocaleString()} €
+        </div>
+      )}
+    </div>
+  )
+}
+
+const CONFIDENCE_LABELS: Record<VehicleValuation["confidence"], string> = {
+  high: "Confiance élevée",
+  medium: "Confiance moyenne",
+  low: "Confiance faible",
+  none: "",
+}
+
+// Écart entre le prix demandé et la valeur estimée, en % (positif = plus cher que le marché)
+const getMarketGap = ({ askingPrice, estimatedPrice }: VehicleValuation) =>
+  askingPrice != null && estimatedPrice ? Math.round(((askingPrice - estimatedPrice) / estimatedPrice) * 100) : null
+
+// Valeur de marché estimée à partir des annonces comparables, avec le prix cible de négociation
+const ValuationSummary: React.FC<{ vehicleId: string }> = ({ vehicleId }) => {
+  const { valuation, loading, error, refresh } = useVehicleValuation(vehicleId)
+
+  if (loading && !valuation) {
+    return (
+      <div className="flex items-center text-xs text-slate-500 mt-3">
+        <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+        Estimation de la valeur...
+      </div>
+    )
+  }
+  if (error) return <div className="text-xs text-red-500 mt-3">{error}</div>
+  if (!valuation) return null
+
+  if (valuation.estimatedPrice == null) {
+    return (
+      <div className="text-xs text-slate-500 mt-3">
+        Pas assez d'annonces comparables pour estimer la valeur ({valuation.comparablesCount} trouvée(s))
+      </div>
+    )
+  }
+
+  const gap = getMarketGap(valuation)
+
+  return (
+    <div className="mt-3 rounded-md border border-slate-200 dark:border-slate-700 p-2 text-xs">
+      <div className="flex items-center justify-between">
+        <h5 className="font-medium text-slate-600 dark:text-slate-300 flex items-center">
+          <Scale className="h-3 w-3 mr-1" />
+          Valeur estimée
+        </h5>
+        <button
+          type="button"
+          onClick={refresh}
+          disabled={loading}
+          className="text-slate-400 hover:text-slate-600"
+          title="Recalculer l'estimation"
+        >
+          <RefreshCw className={`h-3 w-3 ${loading ? "animate-spin" : ""}`} />
+        </button>
+      </div>
+      <div className="text-sm font-semibold mt-1">{valuation.estimatedPrice.toLocaleString()} €</div>
+      <div className="text-slate-500">
+        Fourchette {valuation.priceLow?.toLocaleString()} € - {valuation.priceHigh?.toLocaleString()} € ·{" "}
+        {valuation.comparablesCount} annonces comparables · {CONFIDENCE_LABELS[valuation.confidence]}
+      </div>
+      {valuation.targetPrice != null && (
+        <div className="mt-1">
+          Prix cible: <span className="font-medium">{valuation.targetPrice.toLocaleString()} €</span>
+        </div>
+      )}
+      {gap != null && (
+        <div className={gap > 0 ? "text-red-600 dark:text-red-400" : "text-green-700 dark:text-green-400"}>
+          Prix demandé {gap > 0 ? `${gap}% au-dessus` : gap < 0 ? `${-gap}% en dessous` : "au niveau"} du marché
+        </div>
+      )}
+    </div>
+  )
+}
+
+const SERVICE_HISTORY_LABELS: Record<NonNullable<ConversationFacts["serviceHistory"]>["value"], string> = {
+  complete: "Carnet d'entretien complet",
+  partial: "Carnet d'entretien partiel",
+  none: "Pas de carnet d'entretien",
+}
+
+// Passage du message d'où vient l'information, affiché au survol
+const factTitle = (fact: ConversationFact<unknown>) =>
+  [fact.excerpt && `« ${fact.excerpt} »`, fact.details].filter(Boolean).join(" · ") || undefined
+
+// Informations données par le vendeur dans ses messages (kilométrage réel, entretien, accident...)
+const SellerFacts: React.FC<{ facts: ConversationFacts; listedMileage: number | null }> = ({ facts, listedMileage }) => {
+  const { mileage, serviceHistory, accident, owners, viewingAvailability } = facts
+  if (!mileage && !serviceHistory && !accident && !owners && !viewingAvailability) return null
+
+  const mileageCorrected = mileage && listedMileage != null && mileage.value !== listedMileage
+
+  return (
+    <div className="mt-3 rounded-md border border-slate-200 dark:border-slate-700 p-2 text-xs space-y-1">
+      <h5 className="font-medium text-slate-600 dark:text-slate-300">Informations du vendeur</h5>
+      {mileage && (
+        <div className="flex items-center" title={factTitle(mileage)}>
+          <Gauge className="h-3 w-3 mr-1.5 text-slate-500" />
+          <span className={mileageCorrected ? "font-medium text-amber-600" : ""}>
+            {mileage.value.toLocaleString()} km
+            {mileageCorrected && ` (annonce: ${listedMileage.toLocaleString()} km)`}
+          </span>
+        </div>
+      )}
+      {serviceHistory && (
+        <div className="flex items-center" title={factTitle(serviceHistory)}>
+          <Wrench className="h-3 w-3 mr-1.5 text-slate-500" />
+          <span>{SERVICE_HISTORY_LABELS[serviceHistory.value] || serviceHistory.value}</span>
+        </div>
+      )}
+      {accident && (
+        <div
+          className={`flex items-center ${accident.value ? "text-red-600 dark:text-red-400" : ""}`}
+          title={factTitle(accident)}
+        >
+          {accident.value ? (
+            <ShieldAlert className="h-3 w-3 mr-1.5" />
+          ) : (
+            <ShieldCheck className="h-3 w-3 mr-1.5 text-slate-500" />
+          )}
+          <span>
+            {accident.value ? "Accidenté" : "Jamais accidenté"}
+            {accident.value && accident.details && `: ${accident.details}`}
+          </span>
+        </div>
+      )}
+      {owners && (
+        <div className="flex items-center" title={factTitle(owners)}>
+          <Users className="h-3 w-3 mr-1.5 text-slate-500" />
+          <span>
+            {owners.value} propriétaire{owners.value > 1 ? "s" : ""}
+          </span>
+        </div>
+      )}
+      {viewingAvailability && (
+        <div className="flex items-center" title={factTitle(viewingAvailability)}>
+          <CalendarClock className="h-3 w-3 mr-1.5 text-slate-500 flex-shrink-0" />
+          <span>Visite: {viewingAvailability.value}</span>
+        </div>
+      )}
+    </div>
+  )
 }
 
 // Helper to format phone number
@@ -18,7 +268,14 @@ const formatPhoneNumber = (phoneNumber: string | null | undefined) => {
   return phoneNumber.replace("@c.us", "")
 }
 
-const VehicleDetails: React.FC<VehicleDetailsProps> = ({ vehicle, layout = "full", className = "" }) => {
+const VehicleDetails: React.FC<VehicleDetailsProps> = ({
+  vehicle,
+  layout = "full",
+  className = "",
+  showPriceHistory = false,
+  showValuation = false,
+  facts,
+}) => {
   if (!vehicle) {
     if (layout === "compact") return null // Don't show anything if no vehicle in compact mode
     return (
@@ -29,6 +286,8 @@ const VehicleDetails: React.FC<VehicleDetailsProps> = ({ vehicle, layout = "full
     )
   }
 
+  const priceDrop = getPriceDrop(vehicle)
+
   if (layout === "compact") {
     return (
       <div className={`mt-2 ${className}`}>
@@ -82,6 +341,12 @@ const VehicleDetails: React.FC<VehicleDetailsProps> = ({ vehicle, layout = "full
             </div>
           )}
         </div>
+        {priceDrop && (
+          <div className="text-xs text-green-700 dark:text-green-400 flex items-center mt-1">
+            <TrendingDown className="h-3 w-3 mr-1" />
+            Prix baissé de {priceDrop.amount.toLocaleString()} € depuis le premier contact
+          </div>
+        )}
         {vehicle.listing_url && (
           <a
             href={vehicle.listing_url}
@@ -122,6 +387,12 @@ const VehicleDetails: React.FC<VehicleDetailsProps> = ({ vehicle, layout = "full
               {vehicle.price.toLocaleString()} €
             </div>
           )}
+          {priceDrop && (
+            <div className="text-xs text-green-700 dark:text-green-400 flex items-center">
+              <TrendingDown className="h-3 w-3 mr-1" />
+              -{priceDrop.amount.toLocaleString()} € ({priceDrop.percent}%) depuis le premier contact
+            </div>
+          )}
         </div>
       </div>
       <div className="grid grid-cols-2 md:grid-cols-4 gap-x-4 gap-y-2 text-xs">
@@ -173,6 +444,12 @@ const VehicleDetails: React.FC<VehicleDetailsProps> = ({ vehicle, layout = "full
           Voir l'annonce originale
         </a>
       )}
+      <SellerFacts
+        facts={facts ?? ((vehicle.seller_facts as ConversationFacts | null) || {})}
+        listedMileage={vehicle.mileage ?? null}
+      />
+      {showValuation && <ValuationSummary vehicleId={vehicle.id} />}
+      {showPriceHistory && <PriceHistoryChart vehicleId={vehicle.id} />}
     </div>
   )
 }
@@ -11,7 +11,9 @@ import { useWhatsApp } from "@/components/WhatsAppContext"
 import { useConversations } from "@/hooks/useConversations"
 import { useMessages } from "@/hooks/useMessages"
 import { useWebSocket } from "@/hooks/useWebSocket"
+import { usePresence } from "@/hooks/usePresence"
 import AIConfigPanel from "@/components/ai-config/AIConfigPanel"
+import type { MessageStatusUpdate } from "@/types/messages"
 
 // Import components directly from their files with correct paths
 import ConversationsList from "./ConversationsList"
@@ -32,9 +34,18 @@ const WhatsAppConversationsContainer: React.FC = () => {
     fetchDbConversations,
     handleSelectConversation,
     handleConversationStateChange,
+    applyPriceOfferEvent,
+    applyFactsEvent,
+    applyStateEvent,
+    applyMessageStatus,
     updateConversationOnNewMessage,
     setNewMessageNotification,
     setError,
+    changeFilter,
+    page,
+    totalPages,
+    nextPage,
+    prevPage,
   } = useConversations()
 
   const {
@@ -45,9 +56,36 @@ const WhatsAppConversationsContainer: React.FC = () => {
     fetchMessagesForChat,
     handleSendMessage,
     addIncomingMessage,
+    updateMessageStatus,
+    applyMessageEdit,
+    applyMessageDeletion,
+    applyMessageReaction,
   } = useMessages(selectedConversation, updateConversationOnNewMessage)
 
-  const { socketConnected } = useWebSocket({ onNewMessage: addIncomingMessage })
+  const { presence, handleContactPresence, handleAssistantTyping } = usePresence(selectedConversationUUID)
+
+  // Accusé de réception: fil de messages ouvert et dernier message de la liste
+  const handleMessageStatus = useCallback(
+    (update: MessageStatusUpdate) => {
+      updateMessageStatus(update)
+      applyMessageStatus(update)
+    },
+    [updateMessageStatus, applyMessageStatus],
+  )
+
+  const { socketConnected } = useWebSocket({
+    onNewMessage: addIncomingMessage,
+    onMessageStatus: handleMessageStatus,
+    onMessageEdited: applyMessageEdit,
+    onMessageDeleted: applyMessageDeletion,
+    onMessageReaction: applyMessageReaction,
+    onContactPresence: handleContactPresence,
+    onAssistantTyping: handleAssistantTyping,
+    onPriceOffer: applyPriceOfferEvent,
+    onFactsUpdated: applyFactsEvent,
+    onStateChanged: applyStateEvent,
+    conversationId: selectedConversationUUID,
+  })
 
   // State for UI toggles
   const [showDebugInfo, setShowDebugInfo] = useState<boolean>(false)
@@ -259,6 +297,11 @@ const WhatsAppConversationsContainer: React.FC = () => {
             formatPhoneNumber={formatPhoneNumber}
             showDebugInfo={showDebugInfo}
             loading={loadingDbConversations}
+            page={page}
+            totalPages={totalPages}
+            onNextPage={nextPage}
+            onPrevPage={prevPage}
+            onFilterChange={changeFilter}
           />
         </div>
 
@@ -275,6 +318,7 @@ const WhatsAppConversationsContainer: React.FC = () => {
             updatingConversationState={updatingConversationState}
             formatDate={formatDate}
             formatPhoneNumber={formatPhoneNumber}
+            presence={presence}
           />
         </div>
       </div>
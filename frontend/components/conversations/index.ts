@@ -7,3 +7,5 @@ export { default as ConversationItem } from "./ConversationItem"
 export { default as ConversationsList } from "./ConversationsList"
 export { default as MessageItem } from "./MessageItem"
 export { default as VehicleDetails } from "./VehicleDetails"
+export { default as NegotiationPanel } from "./NegotiationPanel"
+export { default as FollowUpPanel } from "./FollowUpPanel"
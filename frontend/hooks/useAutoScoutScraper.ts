@@ -1,6 +1,12 @@
 "use client"
 
-import { useState, useEffect, useCallback } from "react"
+import { useState, useEffect, useCallback, useRef } from "react"
+import axios from "axios"
+import { getAccessToken, installAuthInterceptor } from "@/lib/auth"
+
+installAuthInterceptor()
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001"
 
 interface ScraperState {
   url: string
@@ -25,7 +31,36 @@ export function useAutoScoutScraper() {
     multiPage: false,
   })
 
-  const [eventSource, setEventSource] = useState<EventSource | null>(null)
+  const abortControllerRef = useRef<AbortController | null>(null)
+
+  // Traite un événement du flux d'extraction (Server-Sent Events)
+  const handleScraperEvent = useCallback((data: any) => {
+    switch (data.type) {
+      case "log":
+        setState((prev) => ({ ...prev, logs: [...prev.logs, data.message] }))
+        break
+      case "progress":
+        setState((prev) => ({ ...prev, progress: data.value }))
+        break
+      case "result":
+        setState((prev) => ({ ...prev, results: data.vehicles }))
+        break
+      case "error":
+        setState((prev) => ({
+          ...prev,
+          error: data.message,
+          isRunning: false,
+        }))
+        break
+      case "complete":
+        setState((prev) => ({
+          ...prev,
+          success: "Extraction terminée avec succès!",
+          isRunning: false,
+        }))
+        break
+    }
+  }, [])
 
   const startScraping = useCallback(async () => {
     if (!state.url) {
@@ -33,86 +68,79 @@ export function useAutoScoutScraper() {
       return
     }
 
+    // Reset state
+    setState((prev) => ({
+      ...prev,
+      isRunning: true,
+      progress: 0,
+      logs: [],
+      results: [],
+      error: null,
+      success: null,
+    }))
+
+    // Close existing stream
+    abortControllerRef.current?.abort()
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+
     try {
-      // Reset state
-      setState((prev) => ({
-        ...prev,
-        isRunning: true,
-        progress: 0,
-        logs: [],
-        results: [],
-        error: null,
-        success: null,
-      }))
+      // EventSource ne permet pas d'envoyer le jeton: le flux est lu avec fetch
+      const token = await getAccessToken()
+      const response = await fetch(
+        `${API_BASE_URL}/api/autoscout/scrape?url=${encodeURIComponent(state.url)}&multiPage=${state.multiPage}`,
+        {
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
+          signal: abortController.signal,
+        },
+      )
 
-      // Close existing event source
-      if (eventSource) {
-        eventSource.close()
+      if (!response.ok || !response.body) {
+        const body = await response.json().catch(() => null)
+        throw new Error(body?.error || "Erreur de connexion au serveur")
       }
 
-      // Create new event source
-      const newEventSource = new EventSource(
-        `/api/autoscout/scrape?url=${encodeURIComponent(state.url)}&multiPage=${state.multiPage}`,
-      )
-      setEventSource(newEventSource)
-
-      newEventSource.onmessage = (event) => {
-        const data = JSON.parse(event.data)
-
-        switch (data.type) {
-          case "log":
-            setState((prev) => ({ ...prev, logs: [...prev.logs, data.message] }))
-            break
-          case "progress":
-            setState((prev) => ({ ...prev, progress: data.value }))
-            break
-          case "result":
-            setState((prev) => ({ ...prev, results: data.vehicles }))
-            break
-          case "error":
-            setState((prev) => ({
-              ...prev,
-              error: data.message,
-              isRunning: false,
-            }))
-            newEventSource.close()
-            break
-          case "complete":
-            setState((prev) => ({
-              ...prev,
-              success: "Extraction terminée avec succès!",
-              isRunning: false,
-            }))
-            newEventSource.close()
-            break
+      const reader = response.body.getReader()
+      const decoder = new TextDecoder()
+      let buffer = ""
+
+      while (true) {
+        const { done, value } = await reader.read()
+        if (done) break
+
+        buffer += decoder.decode(value, { stream: true })
+        const events = buffer.split("\n\n")
+        buffer = events.pop() || ""
+
+        for (const event of events) {
+          const line = event.split("\n").find((item) => item.startsWith("data: "))
+          if (line) {
+            handleScraperEvent(JSON.parse(line.slice(6)))
+          }
         }
       }
 
-      newEventSource.onerror = () => {
-        setState((prev) => ({
-          ...prev,
-          error: "Erreur de connexion au serveur",
-          isRunning: false,
-        }))
-        newEventSource.close()
-      }
-    } catch (err) {
+      setState((prev) => ({ ...prev, isRunning: false }))
+    } catch (err: any) {
+      if (abortController.signal.aborted) return
       setState((prev) => ({
         ...prev,
-        error: "Une erreur est survenue lors du démarrage de l'extraction",
+        error: err?.message || "Une erreur est survenue lors du démarrage de l'extraction",
         isRunning: false,
       }))
+    } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null
+      }
     }
-  }, [state.url, state.multiPage, eventSource])
+  }, [state.url, state.multiPage, handleScraperEvent])
 
   const stopScraping = useCallback(async () => {
-    if (eventSource) {
-      eventSource.close()
-      setEventSource(null)
-    }
+    abortControllerRef.current?.abort()
+    abortControllerRef.current = null
 
     try {
-      await fetch("/api/autoscout/stop", { method: "POST" })
+      await axios.post(`${API_BASE_URL}/api/autoscout/stop`)
       setState((prev) => ({
         ...prev,
         logs: [...prev.logs, "Extraction arrêtée manuellement"],
@@ -122,9 +150,10 @@ export function useAutoScoutScraper() {
       setState((prev) => ({
         ...prev,
         error: "Erreur lors de l'arrêt de l'extraction",
+        isRunning: false,
       }))
     }
-  }, [eventSource])
+  }, [])
 
   const setUrl = useCallback((newUrl: string) => {
     setState((prev) => ({ ...prev, url: newUrl }))
@@ -137,11 +166,9 @@ export function useAutoScoutScraper() {
   // Cleanup effect
   useEffect(() => {
     return () => {
-      if (eventSource) {
-        eventSource.close()
-      }
+      abortControllerRef.current?.abort()
     }
-  }, [eventSource])
+  }, [])
 
   return {
     ...state,
@@ -149,6 +176,5 @@ export function useAutoScoutScraper() {
     stopScraping,
     setUrl,
     setMultiPage,
-    eventSource,
   }
 }
@@ -0,0 +1,126 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import axios from "axios"
+import { installAuthInterceptor } from "@/lib/auth"
+import { useToast } from "@/hooks/use-toast"
+import type { AutoScoutRun, AutoScoutSearch } from "@/types/autoscout"
+
+installAuthInterceptor()
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001"
+
+// Recherches AutoScout24 enregistrées et dernière exécution de chacune
+export function useAutoScoutSearches() {
+  const [searches, setSearches] = useState<AutoScoutSearch[]>([])
+  const [lastRuns, setLastRuns] = useState<Record<string, AutoScoutRun>>({})
+  const [loading, setLoading] = useState(true)
+  const [runningId, setRunningId] = useState<string | null>(null)
+  const { toast } = useToast()
+
+  const showError = useCallback(
+    (err: any, fallback: string) => {
+      toast({
+        title: "Erreur",
+        description: err?.response?.data?.error || fallback,
+        variant: "destructive",
+      })
+    },
+    [toast],
+  )
+
+  // Charger les recherches et leur dernier rapport
+  const fetchSearches = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/autoscout/searches`)
+      const list: AutoScoutSearch[] = response.data.searches || []
+      setSearches(list)
+
+      const runs = await Promise.all(
+        list.map((search) =>
+          axios
+            .get(`${API_BASE_URL}/api/autoscout/searches/${search.id}/runs`, { params: { limit: 1 } })
+            .then((res) => [search.id, res.data.runs?.[0]] as const)
+            .catch(() => [search.id, undefined] as const),
+        ),
+      )
+      setLastRuns(Object.fromEntries(runs.filter(([, run]) => run)) as Record<string, AutoScoutRun>)
+    } catch (err) {
+      showError(err, "Impossible de charger les recherches enregistrées")
+    } finally {
+      setLoading(false)
+    }
+  }, [showError])
+
+  useEffect(() => {
+    fetchSearches()
+  }, [fetchSearches])
+
+  // Enregistrer une recherche, re-scrapée toutes les `intervalMinutes`
+  const createSearch = async (search: { name: string; url: string; maxPages: number; intervalMinutes: number }) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/autoscout/searches`, search)
+      setSearches((prev) => [response.data, ...prev])
+      toast({ title: "Succès", description: "Recherche programmée" })
+      return true
+    } catch (err) {
+      showError(err, "Impossible d'enregistrer la recherche")
+      return false
+    }
+  }
+
+  // Activer ou suspendre les exécutions programmées
+  const toggleSearch = async (search: AutoScoutSearch) => {
+    try {
+      const response = await axios.patch(`${API_BASE_URL}/api/autoscout/searches/${search.id}`, {
+        enabled: !search.enabled,
+      })
+      setSearches((prev) => prev.map((item) => (item.id === search.id ? response.data : item)))
+    } catch (err) {
+      showError(err, "Impossible de modifier la recherche")
+    }
+  }
+
+  // Lancer une exécution immédiate (le rapport est renvoyé à la fin)
+  const runSearch = async (searchId: string) => {
+    setRunningId(searchId)
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/autoscout/searches/${searchId}/run`, undefined, {
+        timeout: 0,
+      })
+      const run: AutoScoutRun = response.data
+      setLastRuns((prev) => ({ ...prev, [searchId]: run }))
+      setSearches((prev) =>
+        prev.map((item) =>
+          item.id === searchId ? { ...item, last_run_at: run.finished_at, last_error: run.error } : item,
+        ),
+      )
+    } catch (err) {
+      showError(err, "Impossible d'exécuter la recherche")
+    } finally {
+      setRunningId(null)
+    }
+  }
+
+  // Supprimer une recherche (les véhicules importés sont conservés)
+  const deleteSearch = async (searchId: string) => {
+    try {
+      await axios.delete(`${API_BASE_URL}/api/autoscout/searches/${searchId}`)
+      setSearches((prev) => prev.filter((item) => item.id !== searchId))
+    } catch (err) {
+      showError(err, "Impossible de supprimer la recherche")
+    }
+  }
+
+  return {
+    searches,
+    lastRuns,
+    loading,
+    runningId,
+    fetchSearches,
+    createSearch,
+    toggleSearch,
+    runSearch,
+    deleteSearch,
+  }
+}
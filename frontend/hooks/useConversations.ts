@@ -1,9 +1,17 @@
 "use client"
 
-import { useState, useEffect, useCallback } from "react"
+import { useState, useEffect, useCallback, useRef } from "react"
 import axios from "axios"
 import type { Database } from "@/types/supabase"
-import type { ChatGroup } from "@/types/conversations" // Import ChatGroup from shared types
+import type {
+  ChatGroup,
+  ConversationListFilter,
+  ConversationFactsEvent,
+  ConversationStateChangedEvent,
+  PriceOfferEvent,
+} from "@/types/conversations" // Import ChatGroup from shared types
+import type { MessageStatus, MessageStatusUpdate } from "@/types/messages"
+import { useToast } from "@/hooks/use-toast"
 
 // Define types locally for now, to be centralized later
 type Vehicle = Database["public"]["Tables"]["vehicles"]["Row"]
@@ -19,6 +27,7 @@ interface AppMessage {
   conversation_id?: string
   vehicle?: Vehicle | null
   message_id?: string
+  status?: MessageStatus | null
 }
 
 // Function to update conversation state via API (can be moved to a service)
@@ -30,6 +39,10 @@ const updateConversationStateAPI = async (conversationId: string, newState: stri
     return response.data.success
   } catch (error: any) {
     console.error(`Error updating conversation ${conversationId} state to ${newState}:`, error)
+    // Transition refusée par la machine à états (409) ou état inconnu (400): message du serveur
+    if (error.response?.data?.error) {
+      throw new Error(error.response.data.error)
+    }
     return false
   }
 }
@@ -41,18 +54,29 @@ export const useConversations = () => {
   const [selectedConversationUUID, setSelectedConversationUUID] = useState<string | null>(null)
   const [updatingConversationState, setUpdatingConversationState] = useState<boolean>(false)
   const [newMessageNotification, setNewMessageNotification] = useState<boolean>(false) // For visual cue
+  const { toast } = useToast()
 
   // Pagination state
   const [page, setPage] = useState(1)
   const [limit, setLimit] = useState(20) // Default limit
   const [totalPages, setTotalPages] = useState(1)
   const [totalConversations, setTotalConversations] = useState(0)
+  const [filter, setFilter] = useState<ConversationListFilter | null>(null)
+
+  // Conversations affichées, lues par les événements WebSocket sans recréer leurs callbacks
+  const conversationsRef = useRef<ChatGroup[]>([])
+  useEffect(() => {
+    conversationsRef.current = conversations
+  }, [conversations])
 
   const fetchDbConversations = useCallback(async () => {
     setLoadingDbConversations(true)
     setError(null)
     try {
-      const response = await axios.get(`http://31.97.69.92:3001/api/conversations?page=${page}&limit=${limit}`)
+      const filterParam = filter ? `&filter=${filter}` : ""
+      const response = await axios.get(
+        `http://31.97.69.92:3001/api/conversations?page=${page}&limit=${limit}${filterParam}`,
+      )
       if (response.data && Array.isArray(response.data.conversations)) {
         const dbChatGroups: ChatGroup[] = response.data.conversations.map((conv: any) => ({
           id: conv.id,
@@ -67,9 +91,12 @@ export const useConversations = () => {
           phoneNumber: conv.phoneNumber.includes("@c.us") ? conv.phoneNumber : `${conv.phoneNumber}@c.us`,
           rawPhoneNumbers: [conv.phoneNumber],
           vehicle: conv.vehicle,
-          lastMessage: conv.lastMessage,
+          // is_from_me + status du dernier message: filtre "lu sans réponse"
+          lastMessage: conv.lastMessage ? { ...conv.lastMessage, isFromMe: conv.lastMessage.is_from_me } : null,
           debugInfo: `DB Conv - ID: ${conv.id}, Phone: ${conv.phoneNumber}, State: ${conv.state}`,
           state: conv.state,
+          facts: conv.facts || {},
+          botPaused: conv.botPaused === true,
           createdAt: conv.created_at, // Map the created_at from the API response
         }))
         // Sorting is now done on the server, but keep client-side sort for safety/consistency if needed
@@ -105,7 +132,7 @@ export const useConversations = () => {
     } finally {
       setLoadingDbConversations(false)
     }
-  }, [page, limit, selectedConversationUUID]) // Add page and limit to dependencies
+  }, [page, limit, filter, selectedConversationUUID]) // Add page, limit and filter to dependencies
 
   const handleSelectConversation = useCallback((chatId: string, conversationUUID: string) => {
     setSelectedConversationUUID(conversationUUID)
@@ -135,9 +162,73 @@ export const useConversations = () => {
     [selectedConversationUUID],
   )
 
+  // Étape de négociation reçue par WebSocket: reporte le nouvel état de la conversation (offre acceptée -> terminée)
+  const applyPriceOfferEvent = useCallback((event: PriceOfferEvent) => {
+    if (!event.conversationState) return
+    setConversations((prev) =>
+      prev.map((chat) => (chat.id === event.conversationId ? { ...chat, state: event.conversationState } : chat)),
+    )
+  }, [])
+
+  // Informations extraites d'un message du vendeur: remplace celles de la conversation
+  const applyFactsEvent = useCallback((event: ConversationFactsEvent) => {
+    setConversations((prev) =>
+      prev.map((chat) => (chat.id === event.conversationId ? { ...chat, facts: event.facts } : chat)),
+    )
+  }, [])
+
+  // Changement d'état reçu par WebSocket (règle automatique ou autre onglet), notifié si la règle le demande
+  const applyStateEvent = useCallback(
+    (event: ConversationStateChangedEvent) => {
+      setConversations((prev) =>
+        prev.map((chat) =>
+          chat.id === event.conversationId ? { ...chat, state: event.to, botPaused: event.botPaused } : chat,
+        ),
+      )
+      if (event.notify) {
+        toast({ title: "État de la conversation modifié", description: event.reason })
+      }
+    },
+    [toast],
+  )
+
+  // Accusé de réception: met à jour le statut du dernier message de la conversation dans la liste
+  // Avec le filtre "lu sans réponse", une conversation dont le dernier message vient d'être lu y entre: rechargée
+  const applyMessageStatus = useCallback(
+    (update: MessageStatusUpdate) => {
+      const isLastMessage = (message?: AppMessage | null) =>
+        !!message &&
+        (message.id === update.id || message.id === update.message_id || message.message_id === update.message_id)
+
+      const listed = conversationsRef.current.find((chat) => chat.id === update.conversation_id)
+      if (filter === "read_no_reply" && update.status === "read" && !listed) {
+        fetchDbConversations()
+        return
+      }
+
+      setConversations((prev) =>
+        prev.map((chat) =>
+          chat.id === update.conversation_id && chat.lastMessage && isLastMessage(chat.lastMessage)
+            ? { ...chat, lastMessage: { ...chat.lastMessage, status: update.status } }
+            : chat,
+        ),
+      )
+    },
+    [filter, fetchDbConversations],
+  )
+
   // Callback for when a message is sent or received
   const updateConversationOnNewMessage = useCallback(
     (newMessage: AppMessage, conversationId: string) => {
+      // "Lu sans réponse": une réponse du vendeur ou un nouvel envoi (pas encore lu) sort la conversation du filtre
+      if (filter === "read_no_reply") {
+        setConversations((prevConversations) => prevConversations.filter((c) => c.id !== conversationId))
+        if (selectedConversationUUID !== conversationId) {
+          setNewMessageNotification(true)
+        }
+        return
+      }
+
       setConversations((prevConversations) => {
         const updatedConversations = [...prevConversations]
         const conversationIndex = updatedConversations.findIndex((c) => c.id === conversationId)
@@ -181,7 +272,7 @@ export const useConversations = () => {
         return updatedConversations.sort((a, b) => b.lastMessageTime - a.lastMessageTime)
       })
     },
-    [selectedConversationUUID],
+    [selectedConversationUUID, filter],
   )
 
   // Initial fetch and fetch on page/limit change
@@ -189,6 +280,12 @@ export const useConversations = () => {
     fetchDbConversations()
   }, [fetchDbConversations, page, limit]) // Depend on fetchDbConversations, page, and limit
 
+  // Changement de filtre: la liste filtrée par le serveur repart de la première page
+  const changeFilter = useCallback((nextFilter: ConversationListFilter | null) => {
+    setFilter(nextFilter)
+    setPage(1)
+  }, [])
+
   // Pagination navigation functions
   const nextPage = useCallback(() => {
     setSelectedConversationUUID(null) // Réinitialiser la sélection
@@ -227,10 +324,18 @@ export const useConversations = () => {
     fetchDbConversations,
     handleSelectConversation,
     handleConversationStateChange,
+    applyPriceOfferEvent,
+    applyFactsEvent,
+    applyStateEvent,
+    applyMessageStatus,
     updateConversationOnNewMessage,
     setNewMessageNotification, // Expose to clear notification from parent if needed
     setError, // Expose to allow parent to set errors
 
+    // Filtre appliqué par le serveur
+    filter,
+    changeFilter,
+
     // Expose pagination state and functions
     page,
     limit,
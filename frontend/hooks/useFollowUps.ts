@@ -0,0 +1,90 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import axios from "axios"
+import { installAuthInterceptor } from "@/lib/auth"
+import { useToast } from "@/hooks/use-toast"
+import type { FollowUp, FollowUpStep } from "@/types/conversations"
+
+installAuthInterceptor()
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001"
+
+// Séquence de relance d'une conversation: programmer, modifier ou annuler les relances non envoyées
+// `refreshKey` recharge la séquence quand il change (une réponse du vendeur annule les relances)
+export function useFollowUps(conversationId: string | null | undefined, refreshKey?: unknown) {
+  const [followUps, setFollowUps] = useState<FollowUp[]>([])
+  const [defaultSteps, setDefaultSteps] = useState<FollowUpStep[]>([])
+  const [loading, setLoading] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+  const { toast } = useToast()
+
+  const showError = useCallback(
+    (err: any, fallback: string) => {
+      toast({
+        title: "Erreur",
+        description: err?.response?.data?.error || fallback,
+        variant: "destructive",
+      })
+    },
+    [toast],
+  )
+
+  const fetchFollowUps = useCallback(async () => {
+    if (!conversationId) {
+      setFollowUps([])
+      return
+    }
+    setLoading(true)
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/conversations/${conversationId}/followups`)
+      setFollowUps(response.data.followUps || [])
+      setDefaultSteps(response.data.defaultSteps || [])
+    } catch (err) {
+      showError(err, "Impossible de charger les relances")
+    } finally {
+      setLoading(false)
+    }
+  }, [conversationId, showError])
+
+  useEffect(() => {
+    fetchFollowUps()
+  }, [fetchFollowUps, refreshKey])
+
+  // Programme les étapes (remplace celles qui ne sont pas encore parties)
+  const saveSteps = async (steps: FollowUpStep[]) => {
+    if (!conversationId) return false
+    setSubmitting(true)
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/conversations/${conversationId}/followups`, { steps })
+      setFollowUps(response.data.followUps || [])
+      toast({ title: "Succès", description: "Relances programmées" })
+      return true
+    } catch (err) {
+      showError(err, "Impossible de programmer les relances")
+      return false
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const cancelFollowUps = async () => {
+    if (!conversationId) return false
+    setSubmitting(true)
+    try {
+      const response = await axios.delete(`${API_BASE_URL}/api/conversations/${conversationId}/followups`)
+      setFollowUps(response.data.followUps || [])
+      toast({ title: "Succès", description: "Relances annulées" })
+      return true
+    } catch (err) {
+      showError(err, "Impossible d'annuler les relances")
+      return false
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const pendingFollowUps = followUps.filter((followUp) => followUp.status === "scheduled" || followUp.status === "queued")
+
+  return { followUps, pendingFollowUps, defaultSteps, loading, submitting, fetchFollowUps, saveSteps, cancelFollowUps }
+}
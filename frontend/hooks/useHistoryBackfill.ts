@@ -0,0 +1,78 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import axios from "axios"
+import { installAuthInterceptor } from "@/lib/auth"
+import { useToast } from "@/hooks/use-toast"
+import type { HistoryBackfill } from "@/types/conversations"
+
+installAuthInterceptor()
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001"
+const POLL_INTERVAL_MS = 5000
+
+// Import de tout l'historique WhatsApp d'une conversation (messages antérieurs au lancement de l'application)
+// `onImported` est appelé quand un import se termine avec de nouveaux messages
+export function useHistoryBackfill(conversationId: string | null | undefined, onImported?: (imported: number) => void) {
+  const [backfill, setBackfill] = useState<HistoryBackfill | null>(null)
+  const [starting, setStarting] = useState(false)
+  const { toast } = useToast()
+
+  const inProgress = backfill?.status === "pending" || backfill?.status === "running"
+
+  const fetchBackfill = useCallback(async () => {
+    if (!conversationId) {
+      setBackfill(null)
+      return null
+    }
+    try {
+      const response = await axios.get<HistoryBackfill>(`${API_BASE_URL}/api/conversations/${conversationId}/backfill`)
+      setBackfill(response.data)
+      return response.data
+    } catch (err) {
+      console.warn("État de l'import de l'historique indisponible:", err)
+      return null
+    }
+  }, [conversationId])
+
+  useEffect(() => {
+    fetchBackfill()
+  }, [fetchBackfill])
+
+  // Suivre l'import en cours jusqu'à sa fin
+  useEffect(() => {
+    if (!inProgress) return
+    const timer = setInterval(async () => {
+      const current = await fetchBackfill()
+      if (current?.status === "completed" || current?.status === "partial") {
+        toast({
+          title: current.status === "partial" ? "Historique importé partiellement" : "Historique importé",
+          description: `${current.imported ?? 0} message(s) importé(s)${current.status === "partial" ? ", les plus anciens n'ont pas été repris" : ""}`,
+        })
+        if (current.imported) onImported?.(current.imported)
+      } else if (current?.status === "failed") {
+        toast({ title: "Erreur", description: current.error || "Import de l'historique impossible", variant: "destructive" })
+      }
+    }, POLL_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [inProgress, fetchBackfill, onImported, toast])
+
+  const startBackfill = useCallback(async () => {
+    if (!conversationId) return
+    setStarting(true)
+    try {
+      const response = await axios.post<HistoryBackfill>(`${API_BASE_URL}/api/conversations/${conversationId}/backfill`)
+      setBackfill(response.data)
+    } catch (err: any) {
+      toast({
+        title: "Erreur",
+        description: err?.response?.data?.error || "Impossible de lancer l'import de l'historique",
+        variant: "destructive",
+      })
+    } finally {
+      setStarting(false)
+    }
+  }, [conversationId, toast])
+
+  return { backfill, inProgress, starting, startBackfill }
+}
@@ -4,6 +4,17 @@ import { useState, useCallback, useRef, useEffect } from "react"
 import axios from "axios"
 import { sendWhatsAppMessage } from "@/services/messageService"
 import type { Database } from "@/types/supabase"
+import type {
+  MessageAttachment,
+  MessageDeletedUpdate,
+  MessageEditedUpdate,
+  MessageReaction,
+  MessageReactionUpdate,
+  MessageRevision,
+  MessageStatus,
+  MessageStatusUpdate,
+  OutgoingAttachment,
+} from "@/types/messages"
 import { useAuth } from "@/hooks/useAuth" // To get user ID
 
 // Define types locally for now, to be centralized later
@@ -20,6 +31,13 @@ interface AppMessage {
   conversation_id?: string
   vehicle?: Vehicle | null
   message_id?: string
+  attachments?: MessageAttachment[]
+  status?: MessageStatus | null
+  edited_at?: string | null
+  revisions?: MessageRevision[]
+  is_deleted?: boolean
+  deleted_at?: string | null
+  reactions?: MessageReaction[]
 }
 interface ChatGroup {
   // For context on selected chat
@@ -72,6 +90,13 @@ export const useMessages = (
             chatId: response.data.chatId || response.data.id,
             conversation_id: response.data.id,
             vehicle: response.data.vehicle,
+            attachments: msg.attachments || [],
+            status: msg.status,
+            edited_at: msg.edited_at,
+            revisions: msg.revisions || [],
+            is_deleted: msg.is_deleted,
+            deleted_at: msg.deleted_at,
+            reactions: msg.reactions || [],
           }))
           fetchedMessages.sort((a, b) => a.timestamp - b.timestamp)
           setMessagesForSelectedChat(fetchedMessages)
@@ -97,6 +122,13 @@ export const useMessages = (
                     chatId: retryResponse.data.chatId || retryResponse.data.id,
                     conversation_id: retryResponse.data.id,
                     vehicle: retryResponse.data.vehicle,
+                    attachments: msg.attachments || [],
+                    status: msg.status,
+                    edited_at: msg.edited_at,
+                    revisions: msg.revisions || [],
+                    is_deleted: msg.is_deleted,
+                    deleted_at: msg.deleted_at,
+                    reactions: msg.reactions || [],
                   }))
                   syncedMessages.sort((a, b) => a.timestamp - b.timestamp)
                   setMessagesForSelectedChat(syncedMessages)
@@ -153,7 +185,7 @@ export const useMessages = (
   }, [selectedConversation?.id, options.autoRefresh, options.refreshInterval, fetchMessagesForChat])
 
   const handleSendMessage = useCallback(
-    async (text: string) => {
+    async (text: string, attachment?: OutgoingAttachment) => {
       console.log("handleSendMessage called with text:", text);
       console.log("selectedConversation:", selectedConversation);
       console.log("user:", user);
@@ -164,7 +196,7 @@ export const useMessages = (
         setSendError("Aucune conversation sélectionnée.");
         return;
       }
-      if (!text.trim()) {
+      if (!text.trim() && !attachment) {
         console.log("Message sending aborted: Message is empty.");
         // No need to set error for empty message, input is usually disabled or cleared
         return;
@@ -180,6 +212,7 @@ export const useMessages = (
           text,
           selectedConversation.vehicle,
           user ? user.id : null, // Pass user.id if user exists, otherwise pass null
+          attachment,
         )
 
         if (result.success) {
@@ -249,6 +282,76 @@ export const useMessages = (
     [selectedConversation],
   )
 
+  // Function to apply a delivery receipt received via WebSocket (ticks of the sent messages)
+  const updateMessageStatus = useCallback(
+    (update: MessageStatusUpdate) => {
+      if (!selectedConversation || update.conversation_id !== selectedConversation.id) return
+
+      setMessagesForSelectedChat((prev) =>
+        prev.map((m) =>
+          m.id === update.id || m.id === update.message_id || m.message_id === update.message_id
+            ? { ...m, status: update.status }
+            : m,
+        ),
+      )
+    },
+    [selectedConversation],
+  )
+
+  // Function to apply a socket update to the matching message of the displayed conversation
+  const updateMessage = useCallback(
+    (
+      update: { id: string; message_id: string; conversation_id: string },
+      apply: (message: AppMessage) => AppMessage,
+    ) => {
+      if (!selectedConversation || update.conversation_id !== selectedConversation.id) return
+
+      setMessagesForSelectedChat((prev) =>
+        prev.map((m) =>
+          m.id === update.id || m.id === update.message_id || m.message_id === update.message_id ? apply(m) : m,
+        ),
+      )
+    },
+    [selectedConversation],
+  )
+
+  // Message modifié par son expéditeur: nouveau texte, l'ancien rejoint les versions précédentes
+  const applyMessageEdit = useCallback(
+    (update: MessageEditedUpdate) =>
+      updateMessage(update, (m) => ({
+        ...m,
+        body: update.body,
+        edited_at: update.edited_at,
+        revisions: [...(m.revisions || []), update.revision],
+      })),
+    [updateMessage],
+  )
+
+  // Message supprimé pour tous: le texte d'origine reste affiché, signalé comme supprimé
+  const applyMessageDeletion = useCallback(
+    (update: MessageDeletedUpdate) =>
+      updateMessage(update, (m) => ({ ...m, is_deleted: true, deleted_at: update.deleted_at })),
+    [updateMessage],
+  )
+
+  // Réaction ajoutée, changée ou retirée: une réaction par participant
+  const applyMessageReaction = useCallback(
+    (update: MessageReactionUpdate) =>
+      updateMessage(update, (m) => {
+        const others = (m.reactions || []).filter((reaction) => reaction.sender !== update.sender)
+        return {
+          ...m,
+          reactions: update.reaction
+            ? [
+                ...others,
+                { sender: update.sender, from_me: update.from_me, reaction: update.reaction, reacted_at: update.reacted_at },
+              ]
+            : others,
+        }
+      }),
+    [updateMessage],
+  )
+
   // Fonction pour rafraîchir manuellement les messages
   const refreshMessages = useCallback(() => {
     if (selectedConversation?.id) {
@@ -265,6 +368,10 @@ export const useMessages = (
     fetchMessagesForChat,
     handleSendMessage,
     addIncomingMessage,
+    updateMessageStatus,
+    applyMessageEdit,
+    applyMessageDeletion,
+    applyMessageReaction,
     refreshMessages,
     setMessagesForSelectedChat, // Expose setter if direct manipulation is needed from parent
   }
@@ -1,19 +1,37 @@
 "use client"
 
-import { useState, useEffect, useCallback } from "react"
-import type { SendStatus } from "@/types/message"
+import { useState, useEffect, useCallback, useRef } from "react"
+import { io, type Socket } from "socket.io-client"
+import type { SendStatus, OutboundBatchStatus, OutboundQueueProgress, OutboundQueueItem } from "@/types/message"
 import type { Database } from "@/types/supabase"
 import axios from "axios"
 import { useWhatsApp } from "@/components/WhatsAppContext"
+import { getSocketUrl, getSocketOptions } from "@/lib/socket"
 
 type Vehicle = Database["public"]["Tables"]["vehicles"]["Row"]
 
-const TEMP_USER_ID = "00000000-0000-0000-0000-000000000000" // Temporary user ID
-
-const BASE_URL = "http://31.97.69.92:3001/api/whatsapp"
+const QUEUE_URL = "http://31.97.69.92:3001/api/queue"
+const CAMPAIGNS_URL = "http://31.97.69.92:3001/api/campaigns"
+
+// Le batch en cours est mémorisé pour retrouver sa progression après fermeture de l'onglet
+const ACTIVE_BATCH_KEY = "pandorabox_active_batch"
+
+// Correspondance entre le statut d'un message de la file serveur et le statut affiché
+const toSendStatus = (item: OutboundQueueItem): Partial<SendStatus> => {
+  switch (item.status) {
+    case "sent":
+      return { status: "success", messageId: item.message_id || item.messageId || undefined, error: undefined }
+    case "failed":
+      return { status: "error", error: item.last_error || item.error || "Erreur d'envoi" }
+    case "cancelled":
+      return { status: "error", error: "Envoi annulé" }
+    default:
+      return { status: "pending", error: item.last_error || item.error || undefined }
+  }
+}
 
 export function useMultiSender() {
-  const { status, refreshStatus, lastChecked } = useWhatsApp()
+  const { status, refreshStatus, lastChecked, selectedSession } = useWhatsApp()
   const [vehicles, setVehicles] = useState<Vehicle[]>([])
   const [message, setMessage] = useState("")
   const [sendStatus, setSendStatus] = useState<SendStatus[]>([])
@@ -48,69 +66,111 @@ export function useMultiSender() {
     setVehicles(vehiclesWithPhone)
   }, [])
 
+  // Les variables ({{brand}}, {{model}}, {{price}}, {{year}}...) sont conservées: le serveur les remplace par véhicule
   const handleTemplateSelected = useCallback((templateContent: string) => {
-    let template = templateContent
-    template = template.replace(/{{[ ]*(\w+)[ ]*}}/g, "___") // Replace variables for preview
-    setMessage(template)
+    setMessage(templateContent)
   }, [])
 
+  const [batchId, setBatchId] = useState<string | null>(null)
+  const [batchStatus, setBatchStatus] = useState<OutboundBatchStatus | null>(null)
+  const [scheduledAt, setScheduledAt] = useState("")
+  const batchIdRef = useRef<string | null>(null)
+  const scheduledCampaignRef = useRef<string | null>(null)
+  const socketRef = useRef<Socket | null>(null)
+
   const updateSendStatus = useCallback((contactId: string, newStatus: Partial<SendStatus>) => {
     setSendStatus((prev) =>
       prev.map((status) => (status.contactId === contactId ? { ...status, ...newStatus } : status)),
     )
   }, [])
 
-  const processVehicle = useCallback(
-    async (vehicle: Vehicle, personalizedMessage: string) => {
-      if (!vehicle.phone) {
-        return { success: false, error: "No phone number" }
+  const trackBatch = useCallback((id: string | null) => {
+    batchIdRef.current = id
+    setBatchId(id)
+    if (id) {
+      localStorage.setItem(ACTIVE_BATCH_KEY, id)
+    } else {
+      localStorage.removeItem(ACTIVE_BATCH_KEY)
+    }
+  }, [])
+
+  const applyBatchState = useCallback(
+    (state: { status: OutboundBatchStatus; total: number; counts: OutboundQueueProgress["counts"] }) => {
+      const done = state.counts.sent + state.counts.failed + state.counts.cancelled
+      setProgress(state.total > 0 ? Math.round((done / state.total) * 100) : 0)
+      setBatchStatus(state.status)
+      setIsProcessing(state.status === "running" || state.status === "paused")
+
+      if (state.status === "completed" || state.status === "cancelled") {
+        setResult({
+          success: state.counts.sent > 0,
+          message:
+            state.status === "cancelled"
+              ? `Envoi annulé: ${state.counts.sent} message(s) envoyé(s), ${state.counts.cancelled} annulé(s)`
+              : `Envoi terminé: ${state.counts.sent} message(s) envoyé(s), ${state.counts.failed} échec(s)`,
+        })
+        trackBatch(null)
       }
+    },
+    [trackBatch],
+  )
 
-      // Add to the list of statuses
-      setSendStatus((prev) => [
-        ...prev,
-        {
-          contactId: vehicle.id,
-          contactName: `${vehicle.brand} ${vehicle.model}`,
-          contactNumber: vehicle.phone || "",
-          status: "pending",
-          timestamp: new Date(),
-        },
-      ])
+  // Charger un batch et l'état de chacun de ses messages depuis le serveur
+  const loadBatch = useCallback(
+    async (id: string, knownVehicles: Vehicle[] = []) => {
+      const { data } = await axios.get(`${QUEUE_URL}/batches/${id}`)
+      trackBatch(data.id)
+      setSendStatus(
+        data.messages.map((item: OutboundQueueItem) => {
+          const vehicle = knownVehicles.find((v) => v.id === item.vehicle_id)
+          return {
+            contactId: item.vehicle_id || item.recipient,
+            contactName: vehicle ? `${vehicle.brand} ${vehicle.model}` : item.recipient,
+            contactNumber: item.recipient,
+            timestamp: new Date(item.created_at || Date.now()),
+            ...toSendStatus(item),
+          }
+        }),
+      )
+      applyBatchState(data)
+    },
+    [applyBatchState, trackBatch],
+  )
 
-      try {
-        console.log(`Envoi du message pour ${vehicle.brand} ${vehicle.model} (${vehicle.phone})...`)
+  // Suivre la progression de la file d'envoi côté serveur
+  useEffect(() => {
+    socketRef.current = io(getSocketUrl(), getSocketOptions())
 
-        // Option 1: Utiliser l'API directement
-        const { data } = await axios.post(`${BASE_URL}/send`, {
-          number: vehicle.phone,
-          message: personalizedMessage,
-        })
+    socketRef.current.on("outbound_queue_progress", (event: OutboundQueueProgress) => {
+      if (event.batchId !== batchIdRef.current) return
 
-        // Option 2: Utiliser le service de messagerie (décommentez pour utiliser)
-        // const result = await sendWhatsAppMessage(
-        //   vehicle.phone || "",
-        //   personalizedMessage,
-        //   vehicle,
-        //   TEMP_USER_ID
-        // )
-        // const data = { messageId: result.messageId || "unknown" }
+      if (event.item) {
+        updateSendStatus(event.item.vehicleId || event.item.recipient, toSendStatus(event.item))
+      }
+      applyBatchState(event)
+    })
 
-        console.log("Réponse du serveur:", data)
+    // Une campagne programmée depuis cette page vient de démarrer: suivre son batch
+    socketRef.current.on("campaign_launched", (event: { campaignId: string; batchId: string }) => {
+      if (event.campaignId !== scheduledCampaignRef.current) return
+      scheduledCampaignRef.current = null
+      setResult(null)
+      loadBatch(event.batchId).catch((error) => console.error("Erreur de chargement du batch:", error))
+    })
 
-        updateSendStatus(vehicle.id, { status: "success", messageId: data.messageId })
-        return { success: true }
-      } catch (error: any) {
-        console.error("Erreur lors de l'envoi:", error)
-        updateSendStatus(vehicle.id, {
-          status: "error",
-          error: error.response?.data?.error || "Erreur d'envoi",
-        })
-        return { success: false, error: error.response?.data?.error || "Erreur d'envoi" }
-      }
-    },
-    [updateSendStatus],
-  )
+    return () => {
+      socketRef.current?.disconnect()
+      socketRef.current = null
+    }
+  }, [applyBatchState, updateSendStatus, loadBatch])
+
+  // Retrouver un batch lancé précédemment (onglet fermé puis rouvert)
+  useEffect(() => {
+    const storedBatchId = localStorage.getItem(ACTIVE_BATCH_KEY)
+    if (!storedBatchId) return
+
+    loadBatch(storedBatchId).catch(() => trackBatch(null))
+  }, [loadBatch, trackBatch])
 
   const sendMessages = useCallback(async () => {
     if (vehicles.length === 0 || !message) {
@@ -123,7 +183,9 @@ export function useMultiSender() {
 
     await refreshStatus()
 
-    if (status !== "connected") {
+    const isScheduled = scheduledAt !== "" && new Date(scheduledAt).getTime() > Date.now()
+
+    if (status !== "connected" && !isScheduled) {
       setResult({
         success: false,
         message: "WhatsApp n'est pas connecté. Veuillez scanner le QR code dans l'onglet 'Envoi simple'.",
@@ -136,65 +198,39 @@ export function useMultiSender() {
     setSendStatus([])
     setResult(null)
 
-    let vehiclesToProcess = [...vehicles]
-
-    if (randomizeOrder) {
-      vehiclesToProcess = vehiclesToProcess.sort(() => Math.random() - 0.5)
-    }
-
-    if (vehiclesToProcess.length > maxPerHour) {
-      setResult({
-        success: false,
-        message: `Trop de véhicules sélectionnés. Maximum: ${maxPerHour} par heure.`,
+    try {
+      // La campagne est rendue, planifiée et cadencée par le serveur: fermer l'onglet ne l'interrompt pas
+      const { data: campaign } = await axios.post(CAMPAIGNS_URL, {
+        name: `Envoi groupé du ${new Date().toLocaleString("fr-FR")}`,
+        template: message,
+        filter: { vehicleIds: vehicles.map((vehicle) => vehicle.id) },
+        // Les messages partent du numéro WhatsApp sélectionné
+        settings: { minDelay, maxDelay, maxPerHour, randomizeOrder, avoidDuplicates, channel: selectedSession },
+        scheduledAt: isScheduled ? new Date(scheduledAt).toISOString() : undefined,
       })
-      setIsProcessing(false)
-      return
-    }
-
-    let successCount = 0
-    let failCount = 0
-    let lastMessage = ""
-
-    for (let i = 0; i < vehiclesToProcess.length; i++) {
-      const vehicle = vehiclesToProcess[i]
 
-      let personalizedMessage = message
-      personalizedMessage = personalizedMessage.replace(/{{[ ]*marque[ ]*}}/g, vehicle.brand)
-      personalizedMessage = personalizedMessage.replace(/{{[ ]*modele[ ]*}}/g, vehicle.model)
-      personalizedMessage = personalizedMessage.replace(/{{[ ]*prix[ ]*}}/g, vehicle.price?.toString() || "")
-      personalizedMessage = personalizedMessage.replace(/{{[ ]*annee[ ]*}}/g, vehicle.year?.toString() || "")
-      personalizedMessage = personalizedMessage.replace(/{{[ ]*kilometrage[ ]*}}/g, vehicle.mileage?.toString() || "")
-      personalizedMessage = personalizedMessage.replace(/{{[ ]*url[ ]*}}/g, vehicle.listing_url || "")
-
-      if (avoidDuplicates && personalizedMessage === lastMessage) {
-        personalizedMessage += " "
-      }
-
-      lastMessage = personalizedMessage
-
-      const result = await processVehicle(vehicle, personalizedMessage)
-
-      if (result.success) {
-        successCount++
+      if (campaign.batch_id) {
+        await loadBatch(campaign.batch_id, vehicles)
+      } else if (campaign.status === "scheduled") {
+        scheduledCampaignRef.current = campaign.id
+        setIsProcessing(false)
+        setResult({
+          success: true,
+          message: `Campagne programmée pour le ${new Date(campaign.scheduled_at).toLocaleString("fr-FR")}`,
+        })
       } else {
-        failCount++
-      }
-
-      setProgress(Math.round(((i + 1) / vehiclesToProcess.length) * 100))
-
-      if (i < vehiclesToProcess.length - 1) {
-        const delay = Math.floor(Math.random() * (maxDelay - minDelay + 1) + minDelay) * 1000
-        console.log(`Attente de ${delay / 1000} secondes avant le prochain envoi...`)
-        await new Promise((resolve) => setTimeout(resolve, delay))
+        setIsProcessing(false)
+        setResult({ success: false, message: campaign.last_error || "La campagne n'a pas pu être lancée" })
       }
+    } catch (error: any) {
+      console.error("Erreur lors de la création de la campagne:", error)
+      setIsProcessing(false)
+      setSendStatus([])
+      setResult({
+        success: false,
+        message: error.response?.data?.error || "Impossible de créer la campagne d'envoi",
+      })
     }
-
-    setProgress(100)
-    setIsProcessing(false)
-    setResult({
-      success: successCount > 0,
-      message: `Envoi terminé: ${successCount} message(s) envoyé(s), ${failCount} échec(s)`,
-    })
   }, [
     vehicles,
     message,
@@ -205,9 +241,28 @@ export function useMultiSender() {
     avoidDuplicates,
     minDelay,
     maxDelay,
-    processVehicle,
+    scheduledAt,
+    selectedSession,
+    loadBatch,
   ])
 
+  const controlBatch = useCallback(
+    async (action: "pause" | "resume" | "cancel") => {
+      if (!batchIdRef.current) return
+      try {
+        const { data } = await axios.post(`${QUEUE_URL}/batches/${batchIdRef.current}/${action}`)
+        applyBatchState(data)
+      } catch (error: any) {
+        setResult({ success: false, message: error.response?.data?.error || "Action impossible sur l'envoi en cours" })
+      }
+    },
+    [applyBatchState],
+  )
+
+  const pauseSending = useCallback(() => controlBatch("pause"), [controlBatch])
+  const resumeSending = useCallback(() => controlBatch("resume"), [controlBatch])
+  const cancelSending = useCallback(() => controlBatch("cancel"), [controlBatch])
+
   return {
     status,
     lastChecked,
@@ -233,5 +288,12 @@ export function useMultiSender() {
     handleVehiclesSelected,
     handleTemplateSelected,
     sendMessages,
+    scheduledAt,
+    setScheduledAt,
+    batchId,
+    batchStatus,
+    pauseSending,
+    resumeSending,
+    cancelSending,
   }
 }
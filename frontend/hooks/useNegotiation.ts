@@ -0,0 +1,80 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import axios from "axios"
+import { installAuthInterceptor } from "@/lib/auth"
+import { useToast } from "@/hooks/use-toast"
+import type { PriceOffer } from "@/types/conversations"
+
+installAuthInterceptor()
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001"
+
+// Fil de négociation d'une conversation: accepter, refuser ou répondre par une contre-offre
+// `refreshKey` recharge le fil quand il change (nouveau message pouvant contenir une offre)
+export function useNegotiation(conversationId: string | null | undefined, refreshKey?: unknown) {
+  const [offers, setOffers] = useState<PriceOffer[]>([])
+  const [pendingOfferId, setPendingOfferId] = useState<string | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+  const { toast } = useToast()
+
+  const showError = useCallback(
+    (err: any, fallback: string) => {
+      toast({
+        title: "Erreur",
+        description: err?.response?.data?.error || fallback,
+        variant: "destructive",
+      })
+    },
+    [toast],
+  )
+
+  const fetchOffers = useCallback(async () => {
+    if (!conversationId) {
+      setOffers([])
+      setPendingOfferId(null)
+      return
+    }
+    setLoading(true)
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/conversations/${conversationId}/offers`)
+      setOffers(response.data.offers || [])
+      setPendingOfferId(response.data.pendingOfferId || null)
+    } catch (err) {
+      showError(err, "Impossible de charger la négociation")
+    } finally {
+      setLoading(false)
+    }
+  }, [conversationId, showError])
+
+  useEffect(() => {
+    fetchOffers()
+  }, [fetchOffers, refreshKey])
+
+  // Envoie une réponse à l'offre puis recharge le fil
+  const respond = async (offerId: string, action: "accept" | "reject" | "counter", body: object, success: string) => {
+    setSubmitting(true)
+    try {
+      await axios.post(`${API_BASE_URL}/api/price-offers/${offerId}/${action}`, body)
+      toast({ title: "Succès", description: success })
+      await fetchOffers()
+      return true
+    } catch (err) {
+      showError(err, "Impossible de répondre à l'offre")
+      return false
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const acceptOffer = (offerId: string) => respond(offerId, "accept", {}, "Offre acceptée")
+  const rejectOffer = (offerId: string) => respond(offerId, "reject", {}, "Offre refusée")
+  // Contre-offre, envoyée au vendeur avec `message` s'il est renseigné
+  const counterOffer = (offerId: string, price: number, message?: string) =>
+    respond(offerId, "counter", { price, message }, `Contre-offre de ${price.toLocaleString()} € enregistrée`)
+
+  const pendingOffer = offers.find((offer) => offer.id === pendingOfferId) || null
+
+  return { offers, pendingOffer, loading, submitting, fetchOffers, acceptOffer, rejectOffer, counterOffer }
+}
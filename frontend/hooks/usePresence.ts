@@ -0,0 +1,55 @@
+"use client"
+
+import { useState, useEffect, useCallback, useRef } from "react"
+import type { AssistantTypingUpdate, ContactPresenceUpdate, ConversationPresence } from "@/types/messages"
+
+// Un état "en train d'écrire" sans mise à jour est considéré terminé (événement de fin perdu)
+const CONTACT_STATE_TIMEOUT_MS = 30000
+
+const INITIAL_PRESENCE: ConversationPresence = { isOnline: false, contactState: null, assistantTyping: false }
+
+// Présence du contact et frappe de l'IA pour la conversation affichée (événements reçus via useWebSocket)
+export function usePresence(conversationId: string | null | undefined) {
+  const [presence, setPresence] = useState<ConversationPresence>(INITIAL_PRESENCE)
+  const stateTimeoutRef = useRef<NodeJS.Timeout | null>(null)
+
+  const clearStateTimeout = () => {
+    if (stateTimeoutRef.current) {
+      clearTimeout(stateTimeoutRef.current)
+      stateTimeoutRef.current = null
+    }
+  }
+
+  // Nouvelle conversation affichée: la présence de la précédente ne s'applique plus
+  useEffect(() => {
+    clearStateTimeout()
+    setPresence(INITIAL_PRESENCE)
+    return clearStateTimeout
+  }, [conversationId])
+
+  const handleContactPresence = useCallback(
+    (update: ContactPresenceUpdate) => {
+      if (update.conversation_id !== conversationId) return
+
+      clearStateTimeout()
+      setPresence((prev) => ({ ...prev, isOnline: update.isOnline || update.state !== null, contactState: update.state }))
+
+      if (update.state) {
+        stateTimeoutRef.current = setTimeout(() => {
+          setPresence((prev) => ({ ...prev, contactState: null }))
+        }, CONTACT_STATE_TIMEOUT_MS)
+      }
+    },
+    [conversationId],
+  )
+
+  const handleAssistantTyping = useCallback(
+    (update: AssistantTypingUpdate) => {
+      if (update.conversation_id !== conversationId) return
+      setPresence((prev) => ({ ...prev, assistantTyping: update.typing }))
+    },
+    [conversationId],
+  )
+
+  return { presence, handleContactPresence, handleAssistantTyping }
+}
@@ -0,0 +1,90 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import axios from "axios"
+import { installAuthInterceptor } from "@/lib/auth"
+import { useToast } from "@/hooks/use-toast"
+import type { VehicleDuplicateCluster } from "@/types/vehicles"
+
+installAuthInterceptor()
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001"
+
+// Clé d'un groupe (les identifiants de ses véhicules)
+export const getClusterKey = (cluster: VehicleDuplicateCluster) =>
+  cluster.vehicles.map((vehicle) => vehicle.id).join(":")
+
+// Groupes de véhicules en doublon, à fusionner ou à marquer comme différents
+export function useVehicleDuplicates() {
+  const [clusters, setClusters] = useState<VehicleDuplicateCluster[]>([])
+  const [loading, setLoading] = useState(true)
+  const [pendingClusterKey, setPendingClusterKey] = useState<string | null>(null)
+  const { toast } = useToast()
+
+  const showError = useCallback(
+    (err: any, fallback: string) => {
+      toast({
+        title: "Erreur",
+        description: err?.response?.data?.error || fallback,
+        variant: "destructive",
+      })
+    },
+    [toast],
+  )
+
+  const fetchClusters = useCallback(async () => {
+    setLoading(true)
+    try {
+      // Les photos pas encore analysées le sont pendant la requête
+      const response = await axios.get(`${API_BASE_URL}/api/vehicles/duplicates`, { timeout: 0 })
+      setClusters(response.data.clusters || [])
+    } catch (err) {
+      showError(err, "Impossible de charger les doublons")
+    } finally {
+      setLoading(false)
+    }
+  }, [showError])
+
+  useEffect(() => {
+    fetchClusters()
+  }, [fetchClusters])
+
+  const removeCluster = (key: string) =>
+    setClusters((prev) => prev.filter((cluster) => getClusterKey(cluster) !== key))
+
+  // Fusionner les doublons dans le véhicule conservé
+  const mergeCluster = async (cluster: VehicleDuplicateCluster, survivorId: string) => {
+    const key = getClusterKey(cluster)
+    setPendingClusterKey(key)
+    try {
+      await axios.post(`${API_BASE_URL}/api/vehicles/duplicates/merge`, {
+        survivorId,
+        vehicleIds: cluster.vehicles.map((vehicle) => vehicle.id).filter((id) => id !== survivorId),
+      })
+      removeCluster(key)
+      toast({ title: "Succès", description: `${cluster.vehicles.length - 1} doublon(s) fusionné(s)` })
+    } catch (err) {
+      showError(err, "Impossible de fusionner les véhicules")
+    } finally {
+      setPendingClusterKey(null)
+    }
+  }
+
+  // Marquer les véhicules du groupe comme des voitures différentes
+  const dismissCluster = async (cluster: VehicleDuplicateCluster) => {
+    const key = getClusterKey(cluster)
+    setPendingClusterKey(key)
+    try {
+      await axios.post(`${API_BASE_URL}/api/vehicles/duplicates/exclusions`, {
+        vehicleIds: cluster.vehicles.map((vehicle) => vehicle.id),
+      })
+      removeCluster(key)
+    } catch (err) {
+      showError(err, "Impossible d'ignorer ce groupe")
+    } finally {
+      setPendingClusterKey(null)
+    }
+  }
+
+  return { clusters, loading, pendingClusterKey, fetchClusters, mergeCluster, dismissCluster }
+}
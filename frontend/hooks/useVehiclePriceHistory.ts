@@ -0,0 +1,46 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import axios from "axios"
+import { installAuthInterceptor } from "@/lib/auth"
+import type { VehiclePriceHistory } from "@/types/vehicles"
+
+installAuthInterceptor()
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001"
+
+// Historique du prix demandé d'un véhicule et offres faites dessus
+export function useVehiclePriceHistory(vehicleId: string | null | undefined) {
+  const [data, setData] = useState<VehiclePriceHistory | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!vehicleId) {
+      setData(null)
+      return
+    }
+
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+
+    axios
+      .get<VehiclePriceHistory>(`${API_BASE_URL}/api/vehicles/${vehicleId}/price-history`)
+      .then((response) => {
+        if (!cancelled) setData(response.data)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err?.response?.data?.error || "Impossible de charger l'historique des prix")
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [vehicleId])
+
+  return { data, loading, error }
+}
@@ -2,13 +2,19 @@
 
 import { useState, useCallback, useEffect } from "react"
 import axios from "axios"
-import type { Vehicle } from "../types/vehicles" // Corrected path
+import { installAuthInterceptor } from "@/lib/auth"
+import type { Vehicle, VehicleSource } from "../types/vehicles" // Corrected path
+
+installAuthInterceptor()
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001"
 
 // Define interfaces and types (assuming these were defined before in the original hook)
 interface SearchParams {
   searchTerm: string
   contactStatus: "all" | "contacted" | "not_contacted"
   sellerType: "all" | "particulier" | "professionnel"
+  source: "all" | VehicleSource
   minPrice: number
   maxPrice: number
   minYear: number
@@ -37,6 +43,7 @@ export function useVehicleSearch() {
     searchTerm: "",
     contactStatus: "all",
     sellerType: "all",
+    source: "all",
     minPrice: 0,
     maxPrice: 100000,
     minYear: 2000,
@@ -81,6 +88,7 @@ export function useVehicleSearch() {
         search: params.searchTerm,
         contactStatus: params.contactStatus,
         sellerType: params.sellerType,
+        source: params.source,
         minPrice: params.minPrice.toString(),
         maxPrice: params.maxPrice.toString(),
         minYear: params.minYear.toString(),
@@ -91,7 +99,7 @@ export function useVehicleSearch() {
         limit: params.limit.toString()
       })
 
-      const response = await axios.get(`/api/vehicles/search?${queryParams.toString()}`)
+      const response = await axios.get(`${API_BASE_URL}/api/vehicles/search?${queryParams.toString()}`)
       setResults(response.data)
 
       // Update search parameters state
@@ -122,6 +130,7 @@ export function useVehicleSearch() {
       searchTerm: "",
       contactStatus: "all",
       sellerType: "all",
+      source: "all",
       minPrice: 0,
       maxPrice: 100000,
       minYear: 2000,
@@ -184,6 +193,7 @@ export function useVehicleSearch() {
         search: params.searchTerm,
         contactStatus: params.contactStatus,
         sellerType: params.sellerType,
+        source: params.source,
         minPrice: params.minPrice.toString(),
         maxPrice: params.maxPrice.toString(),
         minYear: params.minYear.toString(),
@@ -195,7 +205,7 @@ export function useVehicleSearch() {
       });
 
       // Request only IDs to minimize data transfer
-      const response = await axios.get(`/api/vehicles/search?${queryParams.toString()}&select=id`);
+      const response = await axios.get(`${API_BASE_URL}/api/vehicles/search?${queryParams.toString()}&select=id`);
 
       // Assuming the API returns an array of vehicle objects with only the 'id' property
       const allIds = response.data.vehicles.map((vehicle: { id: string }) => vehicle.id);
@@ -231,7 +241,7 @@ export function useVehicleSearch() {
         ids: ids.join(',') // Pass IDs as a comma-separated string
       });
 
-      const response = await axios.get(`/api/vehicles/search?${queryParams.toString()}`);
+      const response = await axios.get(`${API_BASE_URL}/api/vehicles/search?${queryParams.toString()}`);
 
       // Assuming the API returns an array of full vehicle objects
       return response.data.vehicles;
@@ -0,0 +1,60 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import axios from "axios"
+import { installAuthInterceptor } from "@/lib/auth"
+import type { VehicleValuation } from "@/types/vehicles"
+
+installAuthInterceptor()
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001"
+
+// Estimation du prix de marché d'un véhicule, recalculable à la demande
+export function useVehicleValuation(vehicleId: string | null | undefined) {
+  const [valuation, setValuation] = useState<VehicleValuation | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!vehicleId) {
+      setValuation(null)
+      return
+    }
+
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+
+    axios
+      .get<VehicleValuation>(`${API_BASE_URL}/api/vehicles/${vehicleId}/valuation`)
+      .then((response) => {
+        if (!cancelled) setValuation(response.data)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err?.response?.data?.error || "Impossible d'estimer la valeur du véhicule")
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [vehicleId])
+
+  const refresh = useCallback(async () => {
+    if (!vehicleId) return
+    setLoading(true)
+    setError(null)
+    try {
+      const response = await axios.post<VehicleValuation>(`${API_BASE_URL}/api/vehicles/${vehicleId}/valuation`)
+      setValuation(response.data)
+    } catch (err: any) {
+      setError(err?.response?.data?.error || "Impossible d'estimer la valeur du véhicule")
+    } finally {
+      setLoading(false)
+    }
+  }, [vehicleId])
+
+  return { valuation, loading, error, refresh }
+}
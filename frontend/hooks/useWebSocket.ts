@@ -2,7 +2,24 @@
 
 import { useState, useEffect, useRef } from "react"
 import { io, type Socket } from "socket.io-client"
-import type { Database } from "@/types/supabase" // Assuming global Supabase types
+import { getSocketUrl, getSocketOptions } from "@/lib/socket"
+import type { Database } from "@/types/supabase"
+import type {
+  AssistantTypingUpdate,
+  ContactPresenceUpdate,
+  MessageAttachment,
+  MessageDeletedUpdate,
+  MessageEditedUpdate,
+  MessageReactionUpdate,
+  MessageStatus,
+  MessageStatusUpdate,
+} from "@/types/messages" // Assuming global Supabase types
+import type {
+  ConversationFactsEvent,
+  ConversationStateChangedEvent,
+  HistorySyncProgress,
+  PriceOfferEvent,
+} from "@/types/conversations"
 
 // Define types locally for now, to be centralized later
 type Vehicle = Database["public"]["Tables"]["vehicles"]["Row"]
@@ -19,37 +36,46 @@ interface AppMessage {
   conversation_id?: string
   vehicle?: Vehicle | null
   message_id?: string
+  attachments?: MessageAttachment[]
+  status?: MessageStatus | null
 }
 
 interface UseWebSocketOptions {
   onNewMessage: (message: AppMessage) => void
+  onMessageStatus?: (update: MessageStatusUpdate) => void // Accusés de réception (envoyé, distribué, lu)
+  onMessageEdited?: (update: MessageEditedUpdate) => void // Message modifié par son expéditeur
+  onMessageDeleted?: (update: MessageDeletedUpdate) => void // Message supprimé pour tous par son expéditeur
+  onMessageReaction?: (update: MessageReactionUpdate) => void // Réaction ajoutée, changée ou retirée
+  onContactPresence?: (update: ContactPresenceUpdate) => void // Contact en ligne / en train d'écrire
+  onAssistantTyping?: (update: AssistantTypingUpdate) => void // L'IA prépare une réponse
+  onPriceOffer?: (event: PriceOfferEvent) => void // Offre détectée, acceptée, refusée ou contre-offre
+  onFactsUpdated?: (event: ConversationFactsEvent) => void // Informations extraites d'un message du vendeur
+  onStateChanged?: (event: ConversationStateChangedEvent) => void // Changement d'état d'une conversation
+  onHistorySyncProgress?: (progress: HistorySyncProgress) => void // Avancement de la synchronisation de l'historique
+  conversationId?: string | null // Conversation affichée: ses événements (accusés de réception) ne sont reçus qu'une fois rejointe
   socketUrl?: string
   enabled?: boolean // Nouvelle option pour activer/désactiver le WebSocket
 }
 
 export const useWebSocket = ({
   onNewMessage,
+  onMessageStatus,
+  onMessageEdited,
+  onMessageDeleted,
+  onMessageReaction,
+  onContactPresence,
+  onAssistantTyping,
+  onPriceOffer,
+  onFactsUpdated,
+  onStateChanged,
+  onHistorySyncProgress,
+  conversationId = null,
   socketUrl,
   enabled = true, // Activé par défaut
 }: UseWebSocketOptions) => {
-  // Déterminer l'URL WebSocket de manière sûre pour SSR
-  const getSocketUrl = () => {
-    if (socketUrl) return socketUrl;
-    
-    if (typeof window === 'undefined') {
-      // Côté serveur, utiliser l'URL du backend
-      return "http://pandorabox:3001";
-    }
-    
-    // Côté client
-    if (process.env.NODE_ENV === 'production') {
-      return `${window.location.protocol}//${window.location.host}`;
-    }
-    
-    return "http://31.97.69.92:3001";
-  };
   const [socketConnected, setSocketConnected] = useState<boolean>(false)
   const socketRef = useRef<Socket | null>(null)
+  const joinedConversationRef = useRef<string | null>(null)
 
   useEffect(() => {
     // Ne pas initialiser côté serveur
@@ -68,9 +94,9 @@ export const useWebSocket = ({
 
     // Initialiser le WebSocket seulement s'il n'existe pas déjà
     if (!socketRef.current) {
-      const finalSocketUrl = getSocketUrl();
+      const finalSocketUrl = getSocketUrl(socketUrl);
       console.log("🔌 Initializing WebSocket connection to:", finalSocketUrl)
-      socketRef.current = io(finalSocketUrl)
+      socketRef.current = io(finalSocketUrl, getSocketOptions())
 
       socketRef.current.on("connect", () => {
         console.log("✅ WebSocket connected!")
@@ -110,6 +136,46 @@ export const useWebSocket = ({
           console.error("❌ Error in onNewMessage callback:", error)
         }
       })
+
+      socketRef.current.on("message_status", (update: MessageStatusUpdate) => {
+        onMessageStatus?.(update)
+      })
+
+      socketRef.current.on("message_edited", (update: MessageEditedUpdate) => {
+        onMessageEdited?.(update)
+      })
+
+      socketRef.current.on("message_deleted", (update: MessageDeletedUpdate) => {
+        onMessageDeleted?.(update)
+      })
+
+      socketRef.current.on("message_reaction", (update: MessageReactionUpdate) => {
+        onMessageReaction?.(update)
+      })
+
+      socketRef.current.on("contact_presence", (update: ContactPresenceUpdate) => {
+        onContactPresence?.(update)
+      })
+
+      socketRef.current.on("assistant_typing", (update: AssistantTypingUpdate) => {
+        onAssistantTyping?.(update)
+      })
+
+      socketRef.current.on("price_offer_detected", (event: PriceOfferEvent) => {
+        onPriceOffer?.(event)
+      })
+
+      socketRef.current.on("conversation_facts_updated", (event: ConversationFactsEvent) => {
+        onFactsUpdated?.(event)
+      })
+
+      socketRef.current.on("conversation_state_changed", (event: ConversationStateChangedEvent) => {
+        onStateChanged?.(event)
+      })
+
+      socketRef.current.on("history_sync_progress", (progress: HistorySyncProgress) => {
+        onHistorySyncProgress?.(progress)
+      })
     }
 
     // Nettoyer la connexion WebSocket lors du démontage du composant
@@ -121,7 +187,28 @@ export const useWebSocket = ({
         setSocketConnected(false)
       }
     }
-  }, [onNewMessage, socketUrl, enabled])
+  }, [onNewMessage, onMessageStatus, onMessageEdited, onMessageDeleted, onMessageReaction, onContactPresence, onAssistantTyping, onPriceOffer, onFactsUpdated, onStateChanged, onHistorySyncProgress, socketUrl, enabled])
+
+  // Rejoindre la room de la conversation affichée et quitter la précédente.
+  // Les rooms sont perdues à la déconnexion: la conversation est rejointe à nouveau à chaque connexion
+  useEffect(() => {
+    const socket = socketRef.current
+    const previousConversationId = joinedConversationRef.current
+    joinedConversationRef.current = conversationId
+
+    if (!socket || !socketConnected) return
+
+    if (previousConversationId && previousConversationId !== conversationId) {
+      socket.emit("leave_conversation", previousConversationId)
+    }
+    if (conversationId) {
+      socket.emit("join_conversation", conversationId, (response: { ok: boolean; error?: string }) => {
+        if (!response?.ok) {
+          console.warn("Impossible de suivre la conversation", conversationId, response?.error)
+        }
+      })
+    }
+  }, [conversationId, socketConnected])
 
   // Fonction pour reconnecter manuellement le WebSocket
   const reconnect = () => {
@@ -132,9 +219,9 @@ export const useWebSocket = ({
     }
 
     if (enabled) {
-      const finalSocketUrl = getSocketUrl();
+      const finalSocketUrl = getSocketUrl(socketUrl);
       console.log("🔌 Reconnecting to:", finalSocketUrl)
-      socketRef.current = io(finalSocketUrl)
+      socketRef.current = io(finalSocketUrl, getSocketOptions())
 
       socketRef.current.on("connect", () => {
         console.log("✅ WebSocket reconnected!")
@@ -167,6 +254,46 @@ export const useWebSocket = ({
           console.error("❌ Error in onNewMessage callback:", error)
         }
       })
+
+      socketRef.current.on("message_status", (update: MessageStatusUpdate) => {
+        onMessageStatus?.(update)
+      })
+
+      socketRef.current.on("message_edited", (update: MessageEditedUpdate) => {
+        onMessageEdited?.(update)
+      })
+
+      socketRef.current.on("message_deleted", (update: MessageDeletedUpdate) => {
+        onMessageDeleted?.(update)
+      })
+
+      socketRef.current.on("message_reaction", (update: MessageReactionUpdate) => {
+        onMessageReaction?.(update)
+      })
+
+      socketRef.current.on("contact_presence", (update: ContactPresenceUpdate) => {
+        onContactPresence?.(update)
+      })
+
+      socketRef.current.on("assistant_typing", (update: AssistantTypingUpdate) => {
+        onAssistantTyping?.(update)
+      })
+
+      socketRef.current.on("price_offer_detected", (event: PriceOfferEvent) => {
+        onPriceOffer?.(event)
+      })
+
+      socketRef.current.on("conversation_facts_updated", (event: ConversationFactsEvent) => {
+        onFactsUpdated?.(event)
+      })
+
+      socketRef.current.on("conversation_state_changed", (event: ConversationStateChangedEvent) => {
+        onStateChanged?.(event)
+      })
+
+      socketRef.current.on("history_sync_progress", (progress: HistorySyncProgress) => {
+        onHistorySyncProgress?.(progress)
+      })
     }
   }
 
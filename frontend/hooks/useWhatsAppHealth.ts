@@ -0,0 +1,39 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import axios from "axios"
+import { installAuthInterceptor } from "@/lib/auth"
+import type { WhatsAppHealth } from "@/types/whatsapp"
+
+installAuthInterceptor()
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001"
+
+// Santé des sessions WhatsApp (connexion, reconnexions, derniers messages), rafraîchie périodiquement
+export function useWhatsAppHealth(intervalMs = 30000) {
+  const [health, setHealth] = useState<WhatsAppHealth | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [loading, setLoading] = useState(false)
+
+  const fetchHealth = useCallback(async () => {
+    setLoading(true)
+    try {
+      const response = await axios.get<WhatsAppHealth>(`${API_BASE_URL}/api/whatsapp/health`)
+      setHealth(response.data)
+      setError(null)
+    } catch (err: any) {
+      setError(err?.response?.data?.error || "Impossible de vérifier l'état de WhatsApp")
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchHealth()
+    if (!intervalMs) return
+    const timer = setInterval(fetchHealth, intervalMs)
+    return () => clearInterval(timer)
+  }, [fetchHealth, intervalMs])
+
+  return { health, error, loading, refresh: fetchHealth }
+}
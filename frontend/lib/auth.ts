@@ -0,0 +1,46 @@
+import axios, { type AxiosError, type AxiosInstance, type InternalAxiosRequestConfig } from "axios"
+import { supabase } from "@/lib/supabase"
+
+const LOGIN_PATH = "/login"
+
+// Jeton d'accès de la session Supabase, vérifié par le backend sur chaque route /api et connexion WebSocket
+export const getAccessToken = async (): Promise<string | null> => {
+  const {
+    data: { session },
+  } = await supabase.auth.getSession()
+  return session?.access_token ?? null
+}
+
+// Ajoute `Authorization: Bearer <token>` aux requêtes vers l'API
+const authorizeRequest = async (config: InternalAxiosRequestConfig) => {
+  const url = `${config.baseURL || ""}${config.url || ""}`
+  if (url.includes("/api/") && !config.headers.has("Authorization")) {
+    const token = await getAccessToken()
+    if (token) {
+      config.headers.set("Authorization", `Bearer ${token}`)
+    }
+  }
+  return config
+}
+
+// Session absente ou expirée: retour à la page de connexion
+const redirectOnUnauthorized = (error: AxiosError) => {
+  if (
+    error.response?.status === 401 &&
+    typeof window !== "undefined" &&
+    window.location.pathname !== LOGIN_PATH
+  ) {
+    window.location.assign(`${LOGIN_PATH}?redirect=${encodeURIComponent(window.location.pathname)}`)
+  }
+  return Promise.reject(error)
+}
+
+const authorizedInstances = new WeakSet<AxiosInstance>()
+
+// Installe les intercepteurs sur une instance axios (l'instance globale par défaut), une seule fois
+export const installAuthInterceptor = (instance: AxiosInstance = axios) => {
+  if (authorizedInstances.has(instance)) return
+  authorizedInstances.add(instance)
+  instance.interceptors.request.use(authorizeRequest)
+  instance.interceptors.response.use(undefined, redirectOnUnauthorized)
+}
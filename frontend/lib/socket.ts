@@ -0,0 +1,25 @@
+import { getAccessToken } from "@/lib/auth"
+
+// Déterminer l'URL Socket.IO du backend de manière sûre pour SSR
+export const getSocketUrl = (socketUrl?: string) => {
+  if (socketUrl) return socketUrl
+
+  if (typeof window === "undefined") {
+    // Côté serveur, utiliser l'URL du backend
+    return "http://pandorabox:3001"
+  }
+
+  // Côté client
+  if (process.env.NODE_ENV === "production") {
+    return `${window.location.protocol}//${window.location.host}`
+  }
+
+  return "http://31.97.69.92:3001"
+}
+
+// Options Socket.IO: le jeton de session est relu à chaque (re)connexion, le backend refuse les connexions anonymes
+export const getSocketOptions = () => ({
+  auth: (cb: (data: object) => void) => {
+    getAccessToken().then((token) => cb({ token }))
+  },
+})
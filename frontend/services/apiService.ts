@@ -1,12 +1,14 @@
 import axios, { AxiosRequestConfig } from "axios"
 import { cacheService } from "./cacheService"
 import { debounce, throttle } from "@/utils/debounce"
+import { installAuthInterceptor } from "@/lib/auth"
 
 // Configuration de base pour axios
 const api = axios.create({
   baseURL: process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001",
   timeout: 10000,
 })
+installAuthInterceptor(api)
 
 // Fonction pour générer une clé de cache basée sur la requête
 const getCacheKey = (url: string, params?: any) => {
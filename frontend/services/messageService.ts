@@ -1,6 +1,7 @@
 import axios from "axios"
 import { supabase } from "@/lib/supabase"
 import type { Database } from "@/types/supabase"
+import type { OutgoingAttachment } from "@/types/messages"
 
 type Vehicle = Database["public"]["Tables"]["vehicles"]["Row"]
 type ContactRecord = Database["public"]["Tables"]["contact_records"]["Row"]
@@ -36,24 +37,63 @@ async function updateVehicleContactStatus(vehicleId: string) {
 }
 
 /**
- * Sends a WhatsApp message and updates all related records
+ * Builds the /api/whatsapp/send payload: multipart when a file is attached, JSON otherwise
+ */
+function buildSendPayload(
+  fields: Record<string, string | number | null | undefined>,
+  attachment?: OutgoingAttachment,
+): FormData | Record<string, string | number | null | undefined> {
+  const payload = { ...fields }
+  if (attachment?.mediaUrl) {
+    payload.mediaUrl = attachment.mediaUrl
+  }
+  if (attachment?.location) {
+    payload.latitude = attachment.location.latitude
+    payload.longitude = attachment.location.longitude
+    payload.locationName = attachment.location.name
+    payload.locationAddress = attachment.location.address
+  }
+
+  if (!attachment?.file) {
+    return payload
+  }
+
+  const formData = new FormData()
+  Object.entries(payload).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      formData.append(key, String(value))
+    }
+  })
+  formData.append("file", attachment.file, attachment.file.name)
+  return formData
+}
+
+/**
+ * Sends a WhatsApp message (optionally with a file, media URL or location) and updates all related records
  */
 export async function sendWhatsAppMessage(
   phone: string,
   message: string,
   vehicle: Vehicle | null | undefined,
   userId: string | null, // Allow userId to be null
+  attachment?: OutgoingAttachment,
 ): Promise<SendMessageResult> {
-  console.log("sendWhatsAppMessage called with:", { phone, message, vehicleId: vehicle?.id, userId });
+  console.log("sendWhatsAppMessage called with:", { phone, message, vehicleId: vehicle?.id, userId, attachment });
   try {
     // Send the WhatsApp message via the API
     console.log("Attempting to send message via backend API...");
-    const response = await axios.post("/api/whatsapp/send", {
-      number: phone,
-      message,
-      vehicleId: vehicle?.id, // Optional vehicleId
-      userId,
-    });
+    const response = await axios.post(
+      "/api/whatsapp/send",
+      buildSendPayload(
+        {
+          number: phone,
+          message,
+          vehicleId: vehicle?.id, // Optional vehicleId
+          userId,
+        },
+        attachment,
+      ),
+    );
     const data = response.data;
     console.log("Backend API responded:", response);
 
@@ -13,4 +13,29 @@ export interface AIConfig {
   }
   unavailabilityKeywords?: string[]
   pauseBotOnPriceOffer?: boolean
+  stateMachine?: StateMachine
+}
+
+export type ConversationStateName = "active" | "negotiation" | "manual" | "completed" | "archived"
+
+export type StateGuard = "price_detected" | "unavailability_keyword" | "silence" | "offer_accepted"
+
+export type StateHook = "pause_bot" | "resume_bot" | "notify" | "mark_vehicle_contacted" | "mark_vehicle_sold"
+
+// Transition automatique : la première règle active dont la condition est remplie s'applique
+export interface StateRule {
+  id: string
+  guard: StateGuard
+  from: ConversationStateName[]
+  to: ConversationStateName
+  enabled: boolean
+  hooks: StateHook[]
+  silenceHours?: number
+  minConfidence?: number
+}
+
+export interface StateMachine {
+  transitions: Record<ConversationStateName, ConversationStateName[]>
+  onEnter: Record<ConversationStateName, StateHook[]>
+  rules: StateRule[]
 }
@@ -0,0 +1,43 @@
+// Recherche AutoScout24 enregistrée, re-scrapée à intervalle régulier par le backend
+export interface AutoScoutSearch {
+  id: string
+  name: string
+  url: string
+  max_pages: number
+  interval_minutes: number
+  enabled: boolean
+  next_run_at: string
+  last_run_at: string | null
+  last_error: string | null
+  created_at: string
+}
+
+export interface AutoScoutRunEntry {
+  vehicleId: string
+  listingUrl: string
+  brand: string
+  model: string
+  price: number
+}
+
+// Exécution d'une recherche: annonces nouvelles, modifiées (prix, kilométrage...) et retirées
+export interface AutoScoutRun {
+  id: string
+  search_id: string
+  status: "running" | "completed" | "failed"
+  pages_scraped: number
+  listings_count: number
+  new_count: number
+  changed_count: number
+  removed_count: number
+  report: {
+    new?: AutoScoutRunEntry[]
+    changed?: (AutoScoutRunEntry & { changes: { field: string; from: unknown; to: unknown }[] })[]
+    removed?: AutoScoutRunEntry[]
+    skipped?: number
+    complete?: boolean
+  }
+  error: string | null
+  started_at: string
+  finished_at: string | null
+}
@@ -13,9 +13,15 @@ export interface ChatGroup {
   debugInfo?: string
   lastMessage?: AppMessage | null
   state?: string
+  facts?: ConversationFacts // Informations extraites des messages du vendeur
+  botPaused?: boolean // Le bot ne répond pas (états hors 'active' par défaut)
   createdAt: string // Add createdAt property
 }
 
+// Filtre de la liste appliqué par le serveur (GET /api/conversations?filter=...), avant la pagination
+// read_no_reply: dernier message envoyé et lu par le vendeur, sans réponse depuis
+export type ConversationListFilter = "read_no_reply"
+
 export interface FormattedConversation {
   id: string
   phoneNumber: string
@@ -25,3 +31,134 @@ export interface FormattedConversation {
   messages: Message[]
   lastMessage: Message | null
 }
+
+// Offre du fil de négociation d'une conversation (GET /api/conversations/:id/offers)
+// direction: "seller" = offre reçue du vendeur, "buyer" = notre contre-offre
+export interface PriceOffer {
+  id: string
+  conversationId: string
+  vehicleId: string | null
+  parentOfferId: string | null
+  direction: "seller" | "buyer"
+  price: number
+  currency: string | null
+  status: "pending" | "accepted" | "rejected" | "countered" | "superseded"
+  notes: string | null
+  messageId: string | null
+  createdAt: string
+  respondedAt: string | null
+}
+
+// Étape d'une séquence de relance (PUT /api/conversations/:id/followups)
+// delayHours: délai depuis l'activation de la séquence (J+1 = 24)
+export interface FollowUpStep {
+  delayHours: number
+  body: string // Variables {{brand}} {{model}} {{price}}...
+}
+
+// Relance d'une conversation (GET /api/conversations/:id/followups)
+export interface FollowUp extends FollowUpStep {
+  id: string
+  step: number
+  status: "scheduled" | "queued" | "sent" | "failed" | "cancelled"
+  dueAt: string
+  sentAt: string | null
+  cancelReason: "reply" | "state" | "manual" | null // Réponse du vendeur, conversation plus active ou annulation
+  error: string | null
+  createdAt: string
+}
+
+// Événement WebSocket 'price_offer_detected', émis à chaque étape de la négociation
+export interface PriceOfferEvent {
+  transition: "detected" | "accepted" | "rejected" | "countered"
+  offerId: string
+  conversationId: string
+  vehicleId: string | null
+  price: number
+  currency: string | null
+  status: PriceOffer["status"]
+  direction: PriceOffer["direction"]
+  parentOfferId?: string | null
+  conversationState?: string // Nouvel état de la conversation quand il change
+  priceType?: "ask" | "offer" | "floor" | "range" // Type de prix détecté dans le message du vendeur
+  confidence?: number // Confiance de l'extraction (0 à 1)
+  timestamp: number
+}
+
+// Information extraite d'un message du vendeur (conversations.facts, vehicles.seller_facts)
+export interface ConversationFact<T> {
+  value: T
+  details: string | null
+  confidence: number
+  excerpt: string | null // Passage du message d'où vient l'information
+  messageId: string | null
+  extractedAt: string
+  previousValue: T | null // Valeur remplacée quand le vendeur se corrige
+}
+
+export interface ConversationFacts {
+  mileage?: ConversationFact<number> // Kilométrage donné par le vendeur (km)
+  serviceHistory?: ConversationFact<"complete" | "partial" | "none">
+  accident?: ConversationFact<boolean>
+  owners?: ConversationFact<number>
+  viewingAvailability?: ConversationFact<string>
+}
+
+// Événement WebSocket 'conversation_facts_updated', émis quand un message apporte de nouvelles informations
+export interface ConversationFactsEvent {
+  conversationId: string
+  vehicleId: string | null
+  messageId: string | null
+  facts: ConversationFacts
+  updated: (keyof ConversationFacts)[]
+}
+
+// Événement WebSocket 'conversation_state_changed', émis à chaque changement d'état (manuel ou par une règle)
+export interface ConversationStateChangedEvent {
+  conversationId: string
+  from: string
+  to: string
+  trigger: "manual" | "rule"
+  ruleId: string | null
+  reason: string
+  botPaused: boolean
+  notify: boolean // Une action "Me notifier" est associée à la transition
+  timestamp: number
+}
+
+// Progression de la synchronisation de l'historique en arrière-plan
+// (événement "history_sync_progress", POST /api/whatsapp/sync-all-conversations, GET /api/whatsapp/sync-status)
+export interface HistorySyncProgress {
+  runId: string
+  status: "running" | "completed" | "failed"
+  processed: number
+  total: number
+  messagesSaved: number
+  errors: number
+  lastError: string | null
+  startedAt: string
+  finishedAt: string | null
+  conversationId?: string | null // Conversation qui vient d'être synchronisée
+  newMessages?: number
+}
+
+// Import de tout l'historique WhatsApp d'une conversation (GET / POST /api/conversations/:id/backfill)
+export interface HistoryBackfill {
+  conversationId: string
+  status: "pending" | "running" | "completed" | "partial" | "failed" | null // null: jamais importé, partial: limité aux messages les plus récents
+  queued: boolean
+  backfilledAt: string | null
+  imported: number | null
+  error: string | null
+}
+
+// Entrée de l'historique des états (GET /api/conversations/:id/state-history)
+export interface ConversationStateHistoryEntry {
+  id: string
+  fromState: string | null
+  toState: string
+  trigger: "manual" | "rule"
+  ruleId: string | null
+  reason: string | null
+  createdAt: string
+}
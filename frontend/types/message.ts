@@ -15,3 +15,31 @@ export interface SendStatus {
   messageId?: string
   error?: string
 }
+
+export type OutboundBatchStatus = "running" | "paused" | "cancelled" | "completed"
+
+export type OutboundMessageStatus = "queued" | "sending" | "sent" | "failed" | "cancelled"
+
+// Message de la file d'envoi serveur (ligne outbound_messages ou élément d'un événement de progression)
+export interface OutboundQueueItem {
+  id: string
+  recipient: string
+  status: OutboundMessageStatus
+  attempts: number
+  vehicle_id?: string | null
+  vehicleId?: string | null
+  message_id?: string | null
+  messageId?: string | null
+  last_error?: string | null
+  error?: string | null
+  created_at?: string
+}
+
+// Événement Socket.IO "outbound_queue_progress"
+export interface OutboundQueueProgress {
+  batchId: string
+  status: OutboundBatchStatus
+  total: number
+  counts: Record<OutboundMessageStatus, number>
+  item: OutboundQueueItem | null
+}
@@ -1,5 +1,111 @@
 import type { Vehicle } from "./vehicles"
 
+export type AttachmentMediaType = "image" | "voice" | "audio" | "video" | "document" | "location"
+
+export interface MessageAttachment {
+  id: string
+  media_type: AttachmentMediaType
+  mime_type: string
+  file_name?: string | null
+  file_size?: number | null
+  url: string
+  latitude?: number | null
+  longitude?: number | null
+}
+
+export interface OutgoingLocation {
+  latitude: number
+  longitude: number
+  name?: string
+  address?: string
+}
+
+// Pièce jointe à envoyer avec un message: fichier uploadé, média référencé par URL ou position
+export interface OutgoingAttachment {
+  file?: File
+  mediaUrl?: string
+  location?: OutgoingLocation
+}
+
+// Statut de livraison d'un message envoyé (accusés de réception WhatsApp)
+export type MessageStatus = "pending" | "sent" | "delivered" | "read" | "failed"
+
+// Événement socket `message_status`
+export interface MessageStatusUpdate {
+  id: string
+  message_id: string
+  conversation_id: string
+  status: MessageStatus
+  status_updated_at: string
+}
+
+// Version précédente d'un message modifié par son expéditeur
+export interface MessageRevision {
+  id: string
+  body: string | null
+  edited_at: string
+}
+
+// Réaction (emoji) d'un participant à un message
+export interface MessageReaction {
+  id?: string
+  sender: string
+  from_me: boolean
+  reaction: string
+  reacted_at: string
+}
+
+// Événement socket `message_edited`
+export interface MessageEditedUpdate {
+  id: string
+  message_id: string
+  conversation_id: string
+  body: string
+  edited_at: string
+  revision: MessageRevision
+}
+
+// Événement socket `message_deleted`: supprimé pour tous par son expéditeur, le texte reste affiché
+export interface MessageDeletedUpdate {
+  id: string
+  message_id: string
+  conversation_id: string
+  is_deleted: boolean
+  deleted_at: string
+}
+
+// Événement socket `message_reaction` (`reaction` à null: réaction retirée)
+export interface MessageReactionUpdate {
+  id: string
+  message_id: string
+  conversation_id: string
+  sender: string
+  from_me: boolean
+  reaction: string | null
+  reacted_at: string
+}
+
+// Événement socket `contact_presence`: le contact est en ligne / en train d'écrire
+export interface ContactPresenceUpdate {
+  conversation_id: string
+  isOnline: boolean
+  state: "typing" | "recording" | null
+  updated_at: string
+}
+
+// Événement socket `assistant_typing`: l'IA « écrit » avant d'envoyer sa réponse
+export interface AssistantTypingUpdate {
+  conversation_id: string
+  typing: boolean
+}
+
+// Présence affichée dans l'en-tête de la conversation
+export interface ConversationPresence {
+  isOnline: boolean
+  contactState: ContactPresenceUpdate["state"]
+  assistantTyping: boolean
+}
+
 export interface Message {
   id: string
   body: string
@@ -15,4 +121,11 @@ export interface AppMessage extends Message {
   conversation_id?: string
   vehicle?: Vehicle | null
   message_id?: string
+  attachments?: MessageAttachment[]
+  status?: MessageStatus | null
+  edited_at?: string | null
+  revisions?: MessageRevision[]
+  is_deleted?: boolean
+  deleted_at?: string | null
+  reactions?: MessageReaction[]
 }
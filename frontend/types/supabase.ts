@@ -114,6 +114,14 @@ export interface Database {
           user_id: string | null
           contact_status: string | null
           seller_type: "particulier" | "professionnel" | null // Added from previous task
+          external_id: string | null
+          source: string | null
+          last_seen_at: string | null
+          removed_at: string | null
+          autoscout_search_id: string | null
+          first_contacted_at: string | null
+          first_contact_price: number | null
+          seller_facts: Json | null // Informations extraites des messages des vendeurs (ConversationFacts)
         }
         Insert: {
           id?: string
@@ -134,6 +142,14 @@ export interface Database {
           user_id?: string | null
           contact_status?: string | null
           seller_type?: "particulier" | "professionnel" | null // Added from previous task
+          external_id?: string | null
+          source?: string | null
+          last_seen_at?: string | null
+          removed_at?: string | null
+          autoscout_search_id?: string | null
+          first_contacted_at?: string | null
+          first_contact_price?: number | null
+          seller_facts?: Json | null
         }
         Update: {
           id?: string
@@ -154,6 +170,14 @@ export interface Database {
           user_id?: string | null
           contact_status?: string | null
           seller_type?: "particulier" | "professionnel" | null // Added from previous task
+          external_id?: string | null
+          source?: string | null
+          last_seen_at?: string | null
+          removed_at?: string | null
+          autoscout_search_id?: string | null
+          first_contacted_at?: string | null
+          first_contact_price?: number | null
+          seller_facts?: Json | null
         }
       }
       contact_records: {
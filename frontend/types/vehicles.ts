@@ -1,3 +1,96 @@
 import type { Database } from "./database.types"
 
 export type Vehicle = Database["public"]["Tables"]["vehicles"]["Row"]
+
+// Sites d'annonces d'où proviennent les véhicules importés (colonne vehicles.source)
+export type VehicleSource = "autoscout24" | "leboncoin" | "lacentrale" | "mobilede"
+
+export const VEHICLE_SOURCES: { value: VehicleSource; label: string }[] = [
+  { value: "autoscout24", label: "AutoScout24" },
+  { value: "leboncoin", label: "Leboncoin" },
+  { value: "lacentrale", label: "La Centrale" },
+  { value: "mobilede", label: "mobile.de" },
+]
+
+export const getVehicleSourceLabel = (source: string | null | undefined) =>
+  VEHICLE_SOURCES.find((item) => item.value === source)?.label ?? null
+
+// Ligne de vehicle_price_history (alimentée par les triggers de la table vehicles)
+export interface VehiclePriceHistoryEntry {
+  id: string
+  vehicle_id: string
+  event: "listed" | "price_changed" | "mileage_changed" | "removed" | "relisted"
+  price: number | null
+  previous_price: number | null
+  mileage: number | null
+  previous_mileage: number | null
+  recorded_at: string
+}
+
+// Offre de prix (price_offers) faite sur le véhicule
+export interface VehiclePriceOffer {
+  id: string
+  conversationId: string
+  price: number
+  currency: string | null
+  status: string | null
+  createdAt: string
+}
+
+// Baisse du prix demandé depuis le premier contact avec le vendeur
+export interface VehiclePriceDrop {
+  firstContactPrice: number
+  currentPrice: number
+  amount: number
+  percent: number
+}
+
+// Réponse de GET /api/vehicles/:id/price-history
+export interface VehiclePriceHistory {
+  vehicle: {
+    id: string
+    price: number
+    mileage: number
+    firstContactedAt: string | null
+    firstContactPrice: number | null
+    removedAt: string | null
+  }
+  history: VehiclePriceHistoryEntry[]
+  offers: VehiclePriceOffer[]
+  priceDrop: VehiclePriceDrop | null
+}
+
+// Paire de véhicules reconnue comme la même voiture par le dédoublonnage
+export interface VehicleDuplicateMatch {
+  vehicleIds: [string, string]
+  similarity: number
+  reasons: ("image" | "phone" | "attributes")[]
+}
+
+// Groupe de doublons renvoyé par GET /api/vehicles/duplicates
+export interface VehicleDuplicateCluster {
+  vehicles: Vehicle[]
+  matches: VehicleDuplicateMatch[]
+  suggestedSurvivorId: string
+}
+
+// Estimation du prix de marché renvoyée par GET /api/vehicles/:id/valuation
+// (estimatedPrice est null quand il n'y a pas assez d'annonces comparables)
+export interface VehicleValuation {
+  vehicleId: string
+  askingPrice: number | null
+  estimatedPrice: number | null
+  priceLow: number | null
+  priceHigh: number | null
+  targetPrice: number | null
+  confidence: "high" | "medium" | "low" | "none"
+  comparablesCount: number
+  criteria: {
+    level?: number
+    years?: [number, number] | null
+    mileageTolerance?: number | null
+    fuel?: string | null
+    transmission?: string | null
+  }
+  computedAt: string
+}
@@ -0,0 +1,52 @@
+// Session WhatsApp (un numéro connecté) renvoyée par /api/whatsapp/sessions
+export interface WhatsAppSession {
+  id: string
+  label: string
+  isDefault: boolean
+  userId: string | null
+  status: "connected" | "disconnected" | string
+  phoneNumber: string | null
+  // La session par défaut ne peut être déliée que par son propriétaire
+  canLogout: boolean
+  createdAt: string | null
+}
+
+// Session par défaut, partagée par toute l'équipe
+export const DEFAULT_WHATSAPP_SESSION = "whatsapp"
+
+// État d'une session suivi par le superviseur (reconnexion automatique)
+export type WhatsAppSessionState =
+  | "idle"
+  | "initializing"
+  | "qr"
+  | "connected"
+  | "disconnected"
+  | "auth_failure"
+  | "stopped"
+  | "reconnecting"
+
+export interface WhatsAppSessionHealth {
+  id: string
+  isDefault: boolean
+  state: WhatsAppSessionState
+  stateSince: string | null
+  connectedAt: string | null
+  uptimeSeconds: number
+  lastMessageReceivedAt: string | null
+  lastMessageSentAt: string | null
+  lastDisconnect: { reason: string; at: string | null } | null
+  restarts: number
+  lastRestart: { reason: string; at: string | null } | null
+  lastError: string | null
+  reconnectAttempts: number
+  nextReconnectAt: string | null
+  lastCheck: { at: string | null; ok: boolean; state: string | null; error: string | null } | null
+}
+
+// Santé des sessions WhatsApp renvoyée par /api/whatsapp/health
+export interface WhatsAppHealth {
+  status: "healthy" | "degraded" | "down"
+  serverUptimeSeconds: number
+  supervisor: { running: boolean; checkIntervalSeconds: number }
+  sessions: WhatsAppSessionHealth[]
+}
@@ -1,3 +1,10 @@
+import axios from "axios"
+import { installAuthInterceptor } from "@/lib/auth"
+
+installAuthInterceptor()
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:3001"
+
 export interface Vehicle {
   marque: string
   modele: string
@@ -11,6 +18,8 @@ export interface Vehicle {
   url: string
   telephone?: string
   image_url?: string
+  vendeur?: string
+  source?: string
 }
 
 export function formatPhoneNumber(phone: string): string {
@@ -46,6 +55,8 @@ export function formatVehicleForDatabase(vehicle: Vehicle) {
     listing_url: vehicle.url,
     phone: formatPhoneNumber(vehicle.telephone || ""),
     image_url: vehicle.image_url || "",
+    seller_type: vehicle.vendeur || null,
+    source: vehicle.source || null,
     contact_status: "not_contacted",
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString(),
@@ -97,21 +108,16 @@ export function downloadLogs(logs: string[]) {
   document.body.removeChild(link)
 }
 
-export function saveVehiclesToDatabase(results: Vehicle[]) {
-  if (results.length === 0) return Promise.resolve({ savedCount: 0 })
+// Enregistre les annonces vérifiées dans les véhicules de l'utilisateur (mises à jour si l'annonce existe déjà)
+export async function saveVehiclesToDatabase(results: Vehicle[]) {
+  if (results.length === 0) return { savedCount: 0 }
 
   const formattedVehicles = results.map(formatVehicleForDatabase)
 
-  return fetch("/api/autoscout/vehicles", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ vehicles: formattedVehicles }),
-  }).then((response) => {
-    if (!response.ok) {
-      throw new Error("Erreur lors de l'enregistrement")
-    }
-    return response.json()
-  })
+  try {
+    const response = await axios.post(`${API_BASE_URL}/api/autoscout/vehicles`, { vehicles: formattedVehicles })
+    return response.data as { savedCount: number; createdCount: number; changedCount: number; skippedCount: number }
+  } catch (error) {
+    throw new Error("Erreur lors de l'enregistrement")
+  }
 }